@@ -0,0 +1,23 @@
+// backend/middleware/auth.js
+const jwt = require('jsonwebtoken');
+
+/**
+ * Staff session (token from POST /api/auth/login).
+ * Sets req.user = { id, email, role }; portal sessions of hotspot users are refused.
+ */
+module.exports = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token' });
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Portal sessions of hotspot users are not staff accounts
+    if (decoded.role === 'hotspot_user') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    req.user = decoded;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
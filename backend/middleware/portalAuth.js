@@ -0,0 +1,22 @@
+// backend/middleware/portalAuth.js
+const jwt = require('jsonwebtoken');
+
+/**
+ * Portal session of a hotspot user (token from POST /api/portal/login).
+ * Sets req.hotspotUser = { hotspotUserId, username }.
+ */
+module.exports = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token' });
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'hotspot_user') {
+      return res.status(403).json({ error: 'Not a portal session' });
+    }
+    req.hotspotUser = decoded;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
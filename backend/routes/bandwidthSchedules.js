@@ -0,0 +1,109 @@
+// backend/routes/bandwidthSchedules.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Bandwidth Schedule Routes
+ * Time-of-day speed windows across all routers
+ */
+
+module.exports = (bandwidthScheduler) => {
+  /**
+   * GET /api/bandwidth/schedules
+   * List schedules and whether each window is open right now
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const schedules = await bandwidthScheduler.getSchedules();
+      res.json(schedules);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bandwidth/schedules
+   * Create schedule { name, days, startTime, endTime, rateLimit, countsTowardQuota, fupPolicyId, siteId }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const { name, startTime, endTime } = req.body;
+      if (!name || !startTime || !endTime) {
+        return res.status(400).json({ error: 'Name, startTime and endTime are required' });
+      }
+
+      const schedule = await bandwidthScheduler.createSchedule(req.body);
+      res.status(201).json(schedule);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bandwidth/schedules/preview
+   * Preview an unsaved schedule: affected users and routers
+   */
+  router.post('/preview', authMiddleware, async (req, res) => {
+    try {
+      const preview = await bandwidthScheduler.preview(req.body);
+      res.json(preview);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/bandwidth/schedules/:id/preview
+   * Preview a saved schedule
+   */
+  router.get('/:id/preview', authMiddleware, async (req, res) => {
+    try {
+      const preview = await bandwidthScheduler.preview(req.params.id);
+      res.json(preview);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/bandwidth/schedules/:id
+   * Update schedule
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      const schedule = await bandwidthScheduler.updateSchedule(req.params.id, req.body);
+      res.json(schedule);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/bandwidth/schedules/:id
+   * Delete schedule (reverting it if in effect)
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const result = await bandwidthScheduler.deleteSchedule(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/bandwidth/schedules/run
+   * Apply/revert due schedules now instead of waiting for the next check
+   */
+  router.post('/run', authMiddleware, async (req, res) => {
+    try {
+      const changes = await bandwidthScheduler.tick();
+      res.json({ changes });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,109 @@
+// backend/routes/fup.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Fair Usage Policy Routes
+ * Tiered throttling policies and per-user FUP status
+ */
+
+module.exports = (fupEngine) => {
+  /**
+   * GET /api/fup/policies
+   * List policies with the number of users on each
+   */
+  router.get('/policies', authMiddleware, async (req, res) => {
+    try {
+      const policies = await fupEngine.getPolicies();
+      res.json(policies);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/fup/policies
+   * Create policy, e.g. { name, fullRateLimit, resetPeriod, resetDay, tiers: [{ thresholdGB, rateLimit | action }] }
+   */
+  router.post('/policies', authMiddleware, async (req, res) => {
+    try {
+      const { name, tiers } = req.body;
+      if (!name || !Array.isArray(tiers) || tiers.length === 0) {
+        return res.status(400).json({ error: 'Name and at least one tier are required' });
+      }
+
+      const policy = await fupEngine.createPolicy(req.body);
+      res.status(201).json(policy);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/fup/policies/:id
+   * Update policy
+   */
+  router.put('/policies/:id', authMiddleware, async (req, res) => {
+    try {
+      const policy = await fupEngine.updatePolicy(req.params.id, req.body);
+      res.json(policy);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/fup/policies/:id
+   * Delete policy (users fall back to the default policy)
+   */
+  router.delete('/policies/:id', authMiddleware, async (req, res) => {
+    try {
+      const result = await fupEngine.deletePolicy(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/fup/users/:username/policy
+   * Assign a policy to a user ({ policyId: null } for the default)
+   */
+  router.put('/users/:username/policy', authMiddleware, async (req, res) => {
+    try {
+      const status = await fupEngine.assignPolicy(req.params.username, req.body.policyId || null);
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/fup/users/:username/reset
+   * Start a fresh cycle for a user now (back to full speed)
+   */
+  router.post('/users/:username/reset', authMiddleware, async (req, res) => {
+    try {
+      const status = await fupEngine.resetUserByName(req.params.username);
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/fup/run
+   * Evaluate all users now instead of waiting for the next poll
+   */
+  router.post('/run', authMiddleware, async (req, res) => {
+    try {
+      const result = await fupEngine.runOnce();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
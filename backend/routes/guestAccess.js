@@ -0,0 +1,80 @@
+// backend/routes/guestAccess.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Guest Access Routes
+ * Free-access settings, terms versions and acceptance records per site
+ */
+
+module.exports = (guestAccessService) => {
+  const siteIdOf = (value) => (value ? parseInt(value, 10) : null);
+
+  /**
+   * GET /api/guest-access/settings
+   * Effective settings for ?siteId (global without it)
+   */
+  router.get('/settings', authMiddleware, async (req, res) => {
+    try {
+      const settings = await guestAccessService.getSettings(siteIdOf(req.query.siteId));
+      res.json(settings);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/guest-access/settings
+   * Save settings { siteId, enabled, profileId, sessionMinutes, dailyMinutes, cooldownMinutes }
+   */
+  router.put('/settings', authMiddleware, async (req, res) => {
+    try {
+      const settings = await guestAccessService.updateSettings(siteIdOf(req.body.siteId), req.body);
+      res.json(settings);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/guest-access/terms
+   * Terms versions for ?siteId (global without it), newest first
+   */
+  router.get('/terms', authMiddleware, async (req, res) => {
+    try {
+      const versions = await guestAccessService.getTermsVersions(siteIdOf(req.query.siteId));
+      res.json(versions);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/guest-access/terms
+   * Publish a new terms version { siteId, title, body }
+   */
+  router.post('/terms', authMiddleware, async (req, res) => {
+    try {
+      const terms = await guestAccessService.publishTerms(siteIdOf(req.body.siteId), req.body, req.user.id);
+      res.status(201).json(terms);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/guest-access/acceptances
+   * Acceptance records (?siteId, ?mac, ?from, ?to, ?limit, ?offset)
+   */
+  router.get('/acceptances', authMiddleware, async (req, res) => {
+    try {
+      const acceptances = await guestAccessService.getAcceptances(req.query);
+      res.json(acceptances);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,99 @@
+// backend/routes/hotspotProfiles.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Hotspot Profile Routes
+ * Profile CRUD and sync to every router
+ */
+
+module.exports = (hotspotProfileService) => {
+  /**
+   * GET /api/profiles
+   * List profiles with usage counts
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const profiles = await hotspotProfileService.getProfiles();
+      res.json(profiles);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/profiles
+   * Create profile { name, sharedUsers, rateLimit, idleTimeout, keepaliveTimeout,
+   * sessionTimeout, addressList, onLogin, onLogout, validityDays, dataLimitGb, maxDevices }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      if (!req.body.name) {
+        return res.status(400).json({ error: 'Name is required' });
+      }
+
+      const profile = await hotspotProfileService.createProfile(req.body);
+      res.status(201).json(profile);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/profiles/sync
+   * Push profiles to the main router and all sites (or one site with { siteId })
+   */
+  router.post('/sync', authMiddleware, async (req, res) => {
+    try {
+      const result = await hotspotProfileService.syncProfiles(req.body.siteId || null);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/profiles/:id
+   * Get profile
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const profile = await hotspotProfileService.getProfile(req.params.id);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      res.json(profile);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/profiles/:id
+   * Update profile
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      const profile = await hotspotProfileService.updateProfile(req.params.id, req.body);
+      res.json(profile);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/profiles/:id
+   * Delete profile (removed from routers on the next sync)
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const result = await hotspotProfileService.deleteProfile(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
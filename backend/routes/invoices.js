@@ -0,0 +1,68 @@
+// backend/routes/invoices.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Invoice Routes
+ * Invoices and credit notes issued for payments, and their PDFs
+ */
+
+module.exports = (invoiceService) => {
+  // Reseller staff only see their reseller's documents, operator staff every tenant's
+  const scopeOf = (req) => (req.user.resellerId ? { resellerId: req.user.resellerId } : {});
+
+  /**
+   * GET /api/invoices
+   * Documents, newest first (?resellerId, ?hotspotUserId, ?documentType, ?paymentId, ?from, ?to, ?limit, ?offset)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      res.json(await invoiceService.getInvoices({ ...req.query, ...scopeOf(req) }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/invoices/:id
+   * One invoice or credit note
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await invoiceService.getInvoice(req.params.id, scopeOf(req)));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/invoices/:id/pdf
+   * Download the stored PDF
+   */
+  router.get('/:id/pdf', authMiddleware, async (req, res) => {
+    try {
+      const { filename, pdf } = await invoiceService.getInvoicePDF(req.params.id, scopeOf(req));
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(pdf);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/invoices/:id/email
+   * Email the PDF { email } (default: the customer's address)
+   */
+  router.post('/:id/email', authMiddleware, async (req, res) => {
+    try {
+      res.json(await invoiceService.emailInvoice(req.params.id, req.body.email, scopeOf(req)));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
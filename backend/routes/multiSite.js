@@ -27,6 +27,8 @@ module.exports = (multiSiteManager) => {
         routerPort,
         routerUser,
         routerPass,
+        routerApiType, // 'rest', 'rest-ssl', 'api', 'api-ssl' or 'auto'
+        timezone, // e.g. 'Asia/Dhaka', for the site's bandwidth schedules
         bandwidth,
         maxUsers,
       } = req.body;
@@ -39,6 +41,8 @@ module.exports = (multiSiteManager) => {
         routerPort,
         routerUser,
         routerPass,
+        routerApiType,
+        timezone,
         bandwidth,
         maxUsers,
       });
@@ -422,8 +426,6 @@ module.exports = (multiSiteManager) => {
   return router;
 };
 
----
-
 // ARCHITECTURE DIAGRAM
 /*
 
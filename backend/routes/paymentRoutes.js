@@ -0,0 +1,75 @@
+// backend/routes/paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Payment Routing Routes
+ * Which payment gateway takes payments per site, reseller and currency
+ */
+
+module.exports = (paymentRoutingService) => {
+  /**
+   * GET /api/payment-routes/providers
+   * Providers, their currencies and whether they are configured
+   */
+  router.get('/providers', authMiddleware, async (req, res) => {
+    try {
+      res.json(await paymentRoutingService.getProviders());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/payment-routes
+   * Routes, most specific first (?siteId, ?resellerId)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      res.json(await paymentRoutingService.getRoutes(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/payment-routes
+   * Add a route { siteId, resellerId, currency, provider, priority }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const route = await paymentRoutingService.createRoute(req.body, req.user.id);
+      res.status(201).json(route);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/payment-routes/:id
+   * Enable/disable a route or change its priority { status, priority }
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await paymentRoutingService.updateRoute(req.params.id, req.body));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/payment-routes/:id
+   * Remove a route
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      await paymentRoutingService.deleteRoute(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,103 @@
+// backend/routes/portalDevices.js
+const express = require('express');
+const router = express.Router();
+const portalAuth = require('../middleware/portalAuth');
+
+/**
+ * Portal Device Routes
+ * "My devices" for the logged-in hotspot user
+ */
+
+module.exports = (deviceRegistry) => {
+  const sendError = (res, error) => {
+    res.status(error.status || 500).json({ error: error.message, ...(error.details || {}) });
+  };
+
+  /**
+   * GET /api/portal/devices
+   * Remembered devices and the plan's device limit
+   */
+  router.get('/', portalAuth, async (req, res) => {
+    try {
+      const { hotspotUserId } = req.hotspotUser;
+      const [devices, maxDevices] = await Promise.all([
+        deviceRegistry.getDevices(hotspotUserId),
+        deviceRegistry.getMaxDevices(hotspotUserId),
+      ]);
+      res.json({ devices, maxDevices });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/portal/devices
+   * Remember the current device { mac, ip, name }
+   */
+  router.post('/', portalAuth, async (req, res) => {
+    try {
+      const { mac, ip, name } = req.body;
+      if (!mac) {
+        return res.status(400).json({ error: 'MAC address is required' });
+      }
+
+      const device = await deviceRegistry.registerDevice(req.hotspotUser.hotspotUserId, mac, {
+        ip,
+        name,
+        userAgent: req.headers['user-agent'],
+      });
+      res.status(201).json(device);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * PUT /api/portal/devices/:id
+   * Rename device { name }
+   */
+  router.put('/:id', portalAuth, async (req, res) => {
+    try {
+      const device = await deviceRegistry.renameDevice(
+        req.hotspotUser.hotspotUserId, req.params.id, req.body.name
+      );
+      res.json(device);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/portal/devices/:id/repair
+   * Move a device slot to the MAC this device uses now { mac, ip }
+   */
+  router.post('/:id/repair', portalAuth, async (req, res) => {
+    try {
+      if (!req.body.mac) {
+        return res.status(400).json({ error: 'MAC address is required' });
+      }
+
+      const device = await deviceRegistry.repairDevice(
+        req.hotspotUser.hotspotUserId, req.params.id, req.body.mac, { ip: req.body.ip }
+      );
+      res.json(device);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /api/portal/devices/:id
+   * Forget device
+   */
+  router.delete('/:id', portalAuth, async (req, res) => {
+    try {
+      const result = await deviceRegistry.removeDevice(req.hotspotUser.hotspotUserId, req.params.id);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
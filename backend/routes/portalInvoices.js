@@ -0,0 +1,47 @@
+// backend/routes/portalInvoices.js
+const express = require('express');
+const router = express.Router();
+const portalAuth = require('../middleware/portalAuth');
+
+/**
+ * Portal Invoice Routes
+ * The logged-in hotspot user's invoices and credit notes
+ */
+
+module.exports = (invoiceService) => {
+  /**
+   * GET /api/portal/invoices
+   * Own documents, newest first (?limit, ?offset)
+   */
+  router.get('/', portalAuth, async (req, res) => {
+    try {
+      res.json(await invoiceService.getInvoices({
+        hotspotUserId: req.hotspotUser.hotspotUserId,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/portal/invoices/:id/pdf
+   * Download one of the user's own documents
+   */
+  router.get('/:id/pdf', portalAuth, async (req, res) => {
+    try {
+      const { filename, pdf } = await invoiceService.getInvoicePDF(req.params.id, {
+        hotspotUserId: req.hotspotUser.hotspotUserId,
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(pdf);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
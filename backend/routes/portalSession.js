@@ -0,0 +1,41 @@
+// backend/routes/portalSession.js
+const express = require('express');
+const router = express.Router();
+const portalAuth = require('../middleware/portalAuth');
+
+/**
+ * Portal Session Routes
+ * Live usage/status for the logged-in hotspot user, and logging out on the router
+ */
+
+module.exports = (portalStatusService) => {
+  /**
+   * GET /api/portal/session
+   * Data used vs limit, time left, speed limit and its reason, live sessions with throughput
+   */
+  router.get('/', portalAuth, async (req, res) => {
+    try {
+      const status = await portalStatusService.getStatus(req.hotspotUser.hotspotUserId);
+      res.json(status);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/portal/session/logout
+   * End the router session of this device { mac } (every session without it)
+   */
+  router.post('/logout', portalAuth, async (req, res) => {
+    try {
+      const result = await portalStatusService.logout(req.hotspotUser.hotspotUserId, {
+        macAddress: req.body.mac,
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
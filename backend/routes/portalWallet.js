@@ -0,0 +1,107 @@
+// backend/routes/portalWallet.js
+const express = require('express');
+const router = express.Router();
+const portalAuth = require('../middleware/portalAuth');
+
+/**
+ * Portal Wallet Routes
+ * Prepaid balance of the logged-in hotspot user: statement, top-ups, and paying for plans
+ */
+
+module.exports = (walletService, portalCheckoutService) => {
+  /**
+   * GET /api/portal/wallet
+   * Balances, one per currency: [{ accountId, currency, balance, held, available }]
+   */
+  router.get('/', portalAuth, async (req, res) => {
+    try {
+      res.json(await walletService.getBalances('hotspot_user', req.hotspotUser.hotspotUserId));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/portal/wallet/statement
+   * Postings on the wallet, newest first (?currency, ?from, ?to, ?limit, ?offset)
+   */
+  router.get('/statement', portalAuth, async (req, res) => {
+    try {
+      const balances = await walletService.getBalances('hotspot_user', req.hotspotUser.hotspotUserId);
+      const account = req.query.currency
+        ? balances.find((balance) => balance.currency === req.query.currency.toUpperCase())
+        : balances[0];
+      if (!account) {
+        return res.json({ account: null, postings: [] });
+      }
+      res.json(await walletService.getStatement(account.accountId, req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/portal/wallet/topup
+   * Start a top-up { amount, currency, email, phone, siteId } -> { topupId, checkoutUrl, provider }
+   */
+  router.post('/topup', portalAuth, async (req, res) => {
+    try {
+      const { amount, currency, email, phone, siteId } = req.body;
+      const result = await walletService.createTopUp({
+        ownerType: 'hotspot_user',
+        ownerId: req.hotspotUser.hotspotUserId,
+        amount,
+        currency,
+        email,
+        phone,
+        siteId: siteId ? parseInt(siteId, 10) : null,
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/portal/wallet/topups/:id
+   * Top-up state, polled by the portal after checkout
+   */
+  router.get('/topups/:id', portalAuth, async (req, res) => {
+    try {
+      const topup = await walletService.getTopUp(req.params.id);
+      if (topup.owner_type !== 'hotspot_user' || topup.owner_id !== req.hotspotUser.hotspotUserId) {
+        return res.status(404).json({ error: 'Top-up not found' });
+      }
+      res.json({ topupId: topup.id, status: topup.status, amount: Number(topup.amount), currency: topup.currency });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/portal/wallet/purchase
+   * Pay for a plan from the wallet { planId, mac, ip, siteId, promoCodes }; the plan is added to the account
+   */
+  router.post('/purchase', portalAuth, async (req, res) => {
+    try {
+      const { planId, mac, ip, siteId, promoCodes } = req.body;
+      if (!planId) {
+        return res.status(400).json({ error: 'Plan is required' });
+      }
+
+      const order = await portalCheckoutService.payFromWallet({
+        planId,
+        hotspotUserId: req.hotspotUser.hotspotUserId,
+        mac,
+        ip,
+        siteId: siteId ? parseInt(siteId, 10) : null,
+        promoCodes,
+      });
+      res.status(201).json({ orderId: order.id, status: order.status });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
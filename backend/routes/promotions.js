@@ -0,0 +1,121 @@
+// backend/routes/promotions.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Promotion Routes
+ * Discount campaigns, their promo codes and redemptions
+ */
+
+module.exports = (promotionService, monetizationService) => {
+  /**
+   * GET /api/promotions
+   * Campaigns with their redemption totals (?status)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.getPromotions(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/promotions
+   * Create a campaign { name, discountType, discountValue, ..., codes, generate: { count, prefix, length } }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      res.status(201).json(await promotionService.createPromotion(req.body, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/promotions/revenue
+   * Revenue by source with promo discounts (?days)
+   */
+  router.get('/revenue', authMiddleware, async (req, res) => {
+    try {
+      res.json(await monetizationService.getRevenueBySource(req.query.days || 30));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/promotions/quote
+   * Try codes against a price { codes, channel, amount, currency, planId, siteId }
+   */
+  router.post('/quote', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.quote(null, req.body));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/promotions/:id
+   * One campaign with its codes
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.getPromotion(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/promotions/:id
+   * Change a campaign's terms or status ('active' | 'paused' | 'archived')
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.updatePromotion(req.params.id, req.body));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/promotions/:id/codes
+   * Add codes { codes, generate: { count, prefix, length }, maxRedemptions }
+   */
+  router.post('/:id/codes', authMiddleware, async (req, res) => {
+    try {
+      res.status(201).json(await promotionService.addCodes(req.params.id, req.body));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/promotions/codes/:codeId
+   * Enable or disable one code { status: 'active' | 'disabled' }
+   */
+  router.put('/codes/:codeId', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.setCodeStatus(req.params.codeId, req.body.status));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/promotions/:id/redemptions
+   * Redemptions, newest first (?status, ?limit, ?offset)
+   */
+  router.get('/:id/redemptions', authMiddleware, async (req, res) => {
+    try {
+      res.json(await promotionService.getRedemptions(req.params.id, req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
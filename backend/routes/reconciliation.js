@@ -0,0 +1,126 @@
+// backend/routes/reconciliation.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Payment Reconciliation Routes
+ * Gateway settlement exports matched against payments
+ */
+
+// Exports are posted as the raw file; JSON ones too, so they skip the JSON body parser
+const exportBody = express.text({ type: () => true, limit: '20mb' });
+
+module.exports = (reconciliationService) => {
+  /**
+   * GET /api/reconciliation/imports
+   * Imported exports, newest first, with open issue counts (?provider)
+   */
+  router.get('/imports', authMiddleware, async (req, res) => {
+    try {
+      res.json(await reconciliationService.getImports(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/reconciliation/imports?provider=bkash&format=csv&fileName=...&periodStart=&periodEnd=
+   * Import an export (the file is the request body) and reconcile it
+   */
+  router.post('/imports', authMiddleware, exportBody, async (req, res) => {
+    try {
+      // A small export sent as application/json was already parsed by express.json
+      const parsed = typeof req.body !== 'string' && Object.keys(req.body || {}).length > 0;
+      const settlementImport = await reconciliationService.importSettlement(
+        {
+          ...req.query,
+          format: parsed ? 'json' : req.query.format,
+          content: parsed ? JSON.stringify(req.body) : (typeof req.body === 'string' ? req.body : ''),
+        },
+        req.user.id
+      );
+      res.status(201).json(settlementImport);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/reconciliation/imports/:id
+   * One import with its summary
+   */
+  router.get('/imports/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await reconciliationService.getImport(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/reconciliation/imports/:id
+   * Remove an import with its rows and issues
+   */
+  router.delete('/imports/:id', authMiddleware, async (req, res) => {
+    try {
+      await reconciliationService.deleteImport(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/reconciliation/imports/:id/issues
+   * Issues found for an import (?type, ?resolved=true|false)
+   */
+  router.get('/imports/:id/issues', authMiddleware, async (req, res) => {
+    try {
+      res.json(await reconciliationService.getIssues(req.params.id, req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/reconciliation/imports/:id/run
+   * Reconcile the import again
+   */
+  router.post('/imports/:id/run', authMiddleware, async (req, res) => {
+    try {
+      res.json(await reconciliationService.reconcile(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/reconciliation/imports/:id/report
+   * Download the reconciliation report (Excel)
+   */
+  router.get('/imports/:id/report', authMiddleware, async (req, res) => {
+    try {
+      const report = await reconciliationService.generateReport(req.params.id);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${req.params.id}.xlsx"`);
+      res.send(Buffer.from(report));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/reconciliation/issues/:id/resolve
+   * Mark an issue as dealt with { note }
+   */
+  router.put('/issues/:id/resolve', authMiddleware, async (req, res) => {
+    try {
+      res.json(await reconciliationService.resolveIssue(req.params.id, req.body.note, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
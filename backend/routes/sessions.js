@@ -0,0 +1,69 @@
+// backend/routes/sessions.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Active Session Routes
+ * Who is online right now, and kicking/blocking them
+ */
+
+module.exports = (mikrotikManager) => {
+  /**
+   * GET /api/sessions
+   * List active hotspot sessions with counters and access point
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const sessions = await mikrotikManager.getActiveSessions();
+      res.json(sessions);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/sessions/:id
+   * Get a single active session
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      const session = await mikrotikManager.getSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json(session);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/sessions/:id
+   * Disconnect a session; ?block=true also blocks the device's MAC
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const session = await mikrotikManager.getSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const blocked = req.query.block === 'true';
+      if (blocked) {
+        await mikrotikManager.blockDevice(
+          session.macAddress,
+          `Blocked ${session.user} by ${req.user.email || req.user.id}`
+        );
+      }
+
+      await mikrotikManager.disconnectSession(session.id);
+
+      res.json({ success: true, session, blocked });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,122 @@
+// backend/routes/subscriptions.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Subscription Routes
+ * Recurring plan subscriptions and their renewal charges
+ */
+
+module.exports = (billingService) => {
+  /**
+   * GET /api/subscriptions
+   * Subscriptions, soonest due first (?status=past_due,suspended, ?hotspotUserId, ?limit, ?offset)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.getSubscriptions(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/subscriptions
+   * Subscribe a hotspot user { planId, hotspotUserId, provider, customerId, paymentMethodId, email, phone }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      res.status(201).json(await billingService.createSubscription(req.body, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/subscriptions/:id
+   * One subscription with its charges
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.getSubscription(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/subscriptions/:id/payment-method
+   * Replace the saved payment method { provider, customerId, paymentMethodId }
+   */
+  router.put('/:id/payment-method', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.updatePaymentMethod(req.params.id, req.body));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/subscriptions/:id/change-plan/preview?planId=&effective=now|period_end
+   * The proration a plan change would make
+   */
+  router.get('/:id/change-plan/preview', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.previewPlanChange(req.params.id, req.query.planId, req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/subscriptions/:id/change-plan
+   * Switch plans { planId, effective: 'now' | 'period_end' }; upgrades default to now,
+   * downgrades to the period end
+   */
+  router.post('/:id/change-plan', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.changePlan(req.params.id, req.body, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/subscriptions/:id/plan-change
+   * Drop the plan change scheduled for the period end
+   */
+  router.delete('/:id/plan-change', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.cancelPlanChange(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/subscriptions/:id/retry
+   * Charge a past-due or suspended subscription now
+   */
+  router.post('/:id/retry', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.retryNow(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/subscriptions/:id/cancel
+   * Stop renewing the subscription
+   */
+  router.post('/:id/cancel', authMiddleware, async (req, res) => {
+    try {
+      res.json(await billingService.cancelSubscription(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,144 @@
+// backend/routes/voucherBatches.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Voucher Batch Routes
+ * Bulk generation, printable cards, export and void
+ */
+
+module.exports = (voucherBatchService) => {
+  // Admins see every batch, everyone else only the batches they created
+  const ownerOf = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+  /**
+   * POST /api/vouchers/batches
+   * Generate a new batch of vouchers
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      const {
+        name,
+        quantity,
+        days,
+        price,
+        bandwidth,
+        codeLength,
+        alphabet,
+        prefix,
+        notes,
+        profileId,
+        promoCodes,
+      } = req.body;
+
+      if (!quantity || (!days && !profileId)) {
+        return res.status(400).json({ error: 'Quantity and days (or a profile) are required' });
+      }
+
+      const batch = await voucherBatchService.createBatch(
+        { name, quantity, days, price, bandwidth, codeLength, alphabet, prefix, notes, profileId, promoCodes },
+        req.user.id,
+        req.user.resellerId || null
+      );
+
+      res.status(201).json(batch);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/vouchers/batches
+   * List batches created by the current user
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+      const batches = await voucherBatchService.getBatches(
+        ownerOf(req),
+        parseInt(limit),
+        parseInt(offset)
+      );
+      res.json(batches);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/vouchers/batches/:batchId
+   * Get batch details with vouchers
+   */
+  router.get('/:batchId', authMiddleware, async (req, res) => {
+    try {
+      const batch = await voucherBatchService.getBatch(req.params.batchId, ownerOf(req));
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+      res.json(batch);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/vouchers/batches/:batchId/pdf
+   * Download printable A4 voucher cards
+   */
+  router.get('/:batchId/pdf', authMiddleware, async (req, res) => {
+    try {
+      const pdf = await voucherBatchService.generateBatchPDF(req.params.batchId, {
+        includeRedeemed: req.query.includeRedeemed === 'true',
+        createdBy: ownerOf(req),
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="vouchers-${req.params.batchId}.pdf"`
+      );
+      res.send(pdf);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/vouchers/batches/:batchId/export
+   * Export batch vouchers as CSV
+   */
+  router.get('/:batchId/export', authMiddleware, async (req, res) => {
+    try {
+      const csv = await voucherBatchService.exportBatchCSV(req.params.batchId, ownerOf(req));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="vouchers-${req.params.batchId}.csv"`
+      );
+      res.send(csv);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/vouchers/batches/:batchId/void
+   * Void all unredeemed vouchers in a batch
+   */
+  router.post('/:batchId/void', authMiddleware, async (req, res) => {
+    try {
+      const result = await voucherBatchService.voidBatch(
+        req.params.batchId,
+        req.body.reason,
+        ownerOf(req)
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
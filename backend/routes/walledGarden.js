@@ -0,0 +1,116 @@
+// backend/routes/walledGarden.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Walled Garden Routes
+ * Pre-login allow list, presets and drift against each router
+ */
+
+module.exports = (walledGardenService) => {
+  /**
+   * GET /api/walled-garden
+   * List entries (?siteId=global for global only, ?siteId=<id> for global + site)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      const entries = await walledGardenService.getEntries(req.query.siteId || null);
+      res.json(entries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/walled-garden
+   * Create entry { type, dstHost, dstAddress, dstPort, protocol, action, siteId, comment }
+   */
+  router.post('/', authMiddleware, async (req, res) => {
+    try {
+      if (!req.body.dstHost && !req.body.dstAddress) {
+        return res.status(400).json({ error: 'dstHost or dstAddress is required' });
+      }
+
+      const entry = await walledGardenService.createEntry(req.body);
+      res.status(201).json(entry);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/walled-garden/presets
+   * Available presets (payment gateways, portal, support site)
+   */
+  router.get('/presets', authMiddleware, (req, res) => {
+    res.json(walledGardenService.getPresets());
+  });
+
+  /**
+   * POST /api/walled-garden/presets/:name
+   * Add a preset's hosts to the global set or to { siteId }
+   */
+  router.post('/presets/:name', authMiddleware, async (req, res) => {
+    try {
+      const result = await walledGardenService.applyPreset(req.params.name, req.body.siteId || null);
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/walled-garden/drift
+   * Differences between the DB and each router (?siteId for one site)
+   */
+  router.get('/drift', authMiddleware, async (req, res) => {
+    try {
+      const drift = await walledGardenService.getDrift(req.query.siteId || null);
+      res.json(drift);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/walled-garden/sync
+   * Push entries to all routers (or { siteId })
+   */
+  router.post('/sync', authMiddleware, async (req, res) => {
+    try {
+      const result = await walledGardenService.sync(req.body.siteId || null);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PUT /api/walled-garden/:id
+   * Update entry
+   */
+  router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+      const entry = await walledGardenService.updateEntry(req.params.id, req.body);
+      res.json(entry);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/walled-garden/:id
+   * Delete entry (removed from routers on the next sync)
+   */
+  router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+      const result = await walledGardenService.deleteEntry(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,121 @@
+// backend/routes/wallet.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Wallet Routes
+ * Ledger accounts of hotspot users, resellers and affiliates, their statements and holds
+ */
+
+module.exports = (walletService) => {
+  /**
+   * GET /api/wallet/accounts
+   * Accounts, largest balance first (?ownerType, ?ownerId, ?currency, ?limit, ?offset)
+   */
+  router.get('/accounts', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getAccounts(req.query));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/wallet/accounts/:id
+   * One account with its balance, held and available amounts
+   */
+  router.get('/accounts/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getAccount(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/wallet/accounts/:id/statement
+   * Postings on the account, newest first (?from, ?to, ?limit, ?offset)
+   */
+  router.get('/accounts/:id/statement', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getStatement(req.params.id, req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/wallet/accounts/:id/holds
+   * Holds on the account (?status=active|captured|released|expired, empty for all)
+   */
+  router.get('/accounts/:id/holds', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getHolds(req.params.id, req.query.status === undefined ? 'active' : req.query.status));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/wallet/accounts/:id/adjust
+   * Manual credit or debit { amount (negative debits), description }
+   */
+  router.post('/accounts/:id/adjust', authMiddleware, async (req, res) => {
+    try {
+      res.status(201).json(await walletService.adjust(req.params.id, req.body, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/wallet/topups
+   * Payment link to load a wallet { ownerType, ownerId, amount, currency, email, phone, successUrl }
+   */
+  router.post('/topups', authMiddleware, async (req, res) => {
+    try {
+      res.status(201).json(await walletService.createTopUp(req.body, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/wallet/topups/:id
+   * One top-up
+   */
+  router.get('/topups/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getTopUp(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/wallet/entries/:id
+   * A journal entry with all of its postings
+   */
+  router.get('/entries/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.getEntry(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/wallet/holds/:id/release
+   * Give held money back to the account
+   */
+  router.post('/holds/:id/release', authMiddleware, async (req, res) => {
+    try {
+      res.json(await walletService.releaseHold(null, req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
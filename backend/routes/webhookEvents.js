@@ -0,0 +1,49 @@
+// backend/routes/webhookEvents.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Payment Webhook Event Routes
+ * Inbound gateway notifications as the payment service stored them
+ */
+
+module.exports = (webhookEventService) => {
+  /**
+   * GET /api/payment-webhooks
+   * Events newest first, with counts per status (?status=failed,dead, ?provider, ?limit, ?offset)
+   */
+  router.get('/', authMiddleware, async (req, res) => {
+    try {
+      res.json(await webhookEventService.getEvents(req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/payment-webhooks/:id
+   * One event with the normalized event and the gateway's payload
+   */
+  router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+      res.json(await webhookEventService.getEvent(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/payment-webhooks/:id/replay
+   * Handle the event again now
+   */
+  router.post('/:id/replay', authMiddleware, async (req, res) => {
+    try {
+      res.json(await webhookEventService.replayEvent(req.params.id, req.user.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
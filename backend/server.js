@@ -1,13 +1,47 @@
 // backend/server.js
+const path = require('path');
 const express = require('express');
+const axios = require('axios');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const redis = require('redis');
-const axios = require('axios');
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
+const VoucherBatchService = require('./services/voucherBatchService');
+const RadiusServer = require('./services/radiusServer');
+const RadiusCoAClient = require('./services/radiusCoAClient');
+const MikrotikManager = require('./services/mikrotikManager');
+const NotificationOutbox = require('./services/notificationOutbox');
+const VoucherRedemptionService = require('./services/voucherRedemptionService');
+const FUPEngine = require('./services/fupEngine');
+const MultiSiteManager = require('./services/multiSiteManager');
+const BandwidthScheduler = require('./services/bandwidthScheduler');
+const HotspotProfileService = require('./services/hotspotProfileService');
+const WalledGardenService = require('./services/walledGardenService');
+const DeviceRegistry = require('./services/deviceRegistry');
+const { DeviceError } = DeviceRegistry;
+const OtpService = require('./services/otpService');
+const OAuthLoginService = require('./services/oauthLoginService');
+const GuestAccessService = require('./services/guestAccessService');
+const MonetizationService = require('./services/monetizationService');
+const PortalCheckoutService = require('./services/portalCheckoutService');
+const PaymentRoutingService = require('./services/paymentRoutingService');
+const WebhookEventService = require('./services/webhookEventService');
+const AnalyticsService = require('./services/analyticsService');
+const ReconciliationService = require('./services/reconciliationService');
+const PortalStatusService = require('./services/portalStatusService');
+const SubscriptionBillingService = require('./services/subscriptionBillingService');
+const WalletService = require('./services/walletService');
+const PromotionService = require('./services/promotionService');
+const WhiteLabelService = require('./services/whitelabelService');
+const InvoiceService = require('./services/invoiceService');
+const { providersFromEnv } = OAuthLoginService;
+const { createTransport, detectTransport } = require('./services/mikrotikTransport');
+const PluginManager = require('./core/PluginManager');
+const authMiddleware = require('./middleware/auth');
+const portalAuth = require('./middleware/portalAuth');
 
 dotenv.config();
 
@@ -46,25 +80,58 @@ const twilioClient = twilio(
   process.env.TWILIO_AUTH_TOKEN
 );
 
-// Mikrotik REST API Client
+// Plugins (SMS gateways etc. hook into notification:send), loaded in the background
+const pluginManager = new PluginManager({
+  pluginDir: process.env.PLUGIN_DIR || path.join(__dirname, '../plugins'),
+  logger: console,
+  db: pool,
+});
+pluginManager.loadAllPlugins().catch((error) => {
+  console.error('Failed to load plugins:', error);
+});
+
+// Mikrotik Client (REST on RouterOS v7, binary API on 8728/8729 otherwise)
 class MikrotikClient {
   constructor(host, user, pass) {
     this.host = host;
     this.user = user;
     this.pass = pass;
-    this.baseURL = `http://${host}:8728/rest`;
+    this.transportType = process.env.MIKROTIK_TRANSPORT || 'auto';
+    this.transport = null;
+    this.connecting = null;
   }
 
-  async request(path, method = 'GET', data = null) {
-    try {
+  async getTransport() {
+    if (this.transport) return this.transport;
+
+    // One probe for all the requests that arrive before it finishes
+    if (!this.connecting) {
       const config = {
-        method,
-        url: `${this.baseURL}${path}`,
-        auth: { username: this.user, password: this.pass },
+        host: this.host,
+        user: this.user,
+        pass: this.pass,
+        apiPort: process.env.MIKROTIK_API_PORT,
+        restPort: process.env.MIKROTIK_REST_PORT,
       };
-      if (data) config.data = data;
-      const response = await axios(config);
-      return response.data;
+
+      this.connecting = (this.transportType === 'auto'
+        ? detectTransport(config)
+        : Promise.resolve(createTransport(this.transportType, config)))
+        .then((transport) => {
+          this.transport = transport;
+          return transport;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    return this.connecting;
+  }
+
+  async request(path, method = 'GET', data = null) {
+    try {
+      const transport = await this.getTransport();
+      return await transport.request(method, path, data);
     } catch (error) {
       console.error('Mikrotik API Error:', error.message);
       throw error;
@@ -79,6 +146,14 @@ class MikrotikClient {
     return this.request('/ip/hotspot/user', 'POST', data);
   }
 
+  async updateUser(username, data) {
+    return this.request(`/ip/hotspot/user/${username}`, 'PATCH', data);
+  }
+
+  async deleteUser(username) {
+    return this.request(`/ip/hotspot/user/${username}`, 'DELETE');
+  }
+
   async getUserStats(username) {
     return this.request(`/ip/hotspot/stat?numbers=${username}`);
   }
@@ -102,33 +177,224 @@ class MikrotikClient {
   }
 }
 
-const mikrotik = new MikrotikClient(
-  process.env.MIKROTIK_HOST,
-  process.env.MIKROTIK_USER,
-  process.env.MIKROTIK_PASS
-);
+// DEMO_MODE talks to the bundled RouterOS simulator (docker-compose --profile demo)
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+
+const mikrotik = DEMO_MODE
+  ? new MikrotikClient(
+    process.env.ROUTEROS_SIM_HOST || 'routeros_sim',
+    process.env.ROUTEROS_SIM_USER,
+    process.env.ROUTEROS_SIM_PASS
+  )
+  : new MikrotikClient(
+    process.env.MIKROTIK_HOST,
+    process.env.MIKROTIK_USER,
+    process.env.MIKROTIK_PASS
+  );
+
+// Mikrotik Manager (sessions, queues, RADIUS setup) for the same router
+const mikrotikManager = new MikrotikManager({
+  host: mikrotik.host,
+  user: mikrotik.user,
+  pass: mikrotik.pass,
+});
+
+// Remote sites with their own routers
+const multiSiteManager = new MultiSiteManager(pool);
+
+// Discount campaigns and promo codes for portal checkout and voucher batch sales
+const promotionService = new PromotionService(pool);
+
+// Prepaid wallets on a double-entry ledger: top-ups, wallet purchases, commissions, payouts
+const walletService = new WalletService(pool, {
+  defaultCurrency: process.env.WALLET_CURRENCY,
+  minTopUp: process.env.WALLET_MIN_TOPUP ? Number(process.env.WALLET_MIN_TOPUP) : undefined,
+});
+
+// Reseller details and branding; reseller sales are invoiced in the reseller's name
+const whitelabelService = new WhiteLabelService(pool, { walletService });
+
+// Voucher Batches
+const voucherBatchService = new VoucherBatchService(pool, {
+  portalURL: process.env.PORTAL_URL,
+  currency: process.env.CURRENCY,
+  promotionService,
+  whitelabelService,
+});
+
+// RADIUS (routers authenticate against Postgres instead of local /ip/hotspot/user)
+const RADIUS_ENABLED = process.env.RADIUS_ENABLED === 'true';
+
+if (RADIUS_ENABLED && !process.env.RADIUS_SECRET) {
+  console.error('RADIUS_ENABLED is set but RADIUS_SECRET is empty; refusing to start');
+  process.exit(1);
+}
+
+// Remembered devices come back by MAC: logged in on their router (with login-by=mac-cookie
+// on the hotspot server profile), or by RADIUS login-by=mac
+const deviceRegistry = new DeviceRegistry(pool, {
+  mikrotikManager,
+  multiSiteManager,
+  routerLogin: !RADIUS_ENABLED,
+  defaultMaxDevices: parseInt(process.env.DEFAULT_MAX_DEVICES || '3', 10),
+});
+
+const radiusServer = new RadiusServer(pool, {
+  secret: process.env.RADIUS_SECRET,
+  authPort: parseInt(process.env.RADIUS_AUTH_PORT || '1812', 10),
+  acctPort: parseInt(process.env.RADIUS_ACCT_PORT || '1813', 10),
+  defaultRateLimit: process.env.RADIUS_DEFAULT_RATE_LIMIT,
+  interimInterval: parseInt(process.env.RADIUS_INTERIM_INTERVAL || '300', 10),
+  deviceRegistry,
+});
+
+// CoA/Disconnect to the NAS when an entitlement changes mid-session
+const radiusCoAClient = new RadiusCoAClient(pool, {
+  radiusServer,
+  port: parseInt(process.env.RADIUS_COA_PORT || '3799', 10),
+});
+
+// Notifications are queued in the outbox and delivered in the background
+const notificationOutbox = new NotificationOutbox(pool, {
+  mailer,
+  smsClient: twilioClient,
+});
+
+const voucherRedemptionService = new VoucherRedemptionService(pool, {
+  mikrotik,
+  outbox: notificationOutbox,
+  provisionRouter: !RADIUS_ENABLED,
+});
+
+// Time-of-day bandwidth windows on the main router and all remote sites
+const bandwidthScheduler = new BandwidthScheduler(pool, {
+  mikrotikManager,
+  multiSiteManager,
+  checkInterval: parseInt(process.env.SCHEDULE_CHECK_INTERVAL || '60000', 10),
+  // Clock of the main router's (and global) schedules; sites set their own
+  timezone: process.env.SCHEDULE_TIMEZONE,
+});
+
+// Fair usage policies: throttle/block per tier, reset each billing cycle
+const fupEngine = new FUPEngine(pool, {
+  mikrotikManager,
+  bandwidthScheduler,
+  coaClient: radiusCoAClient,
+  outbox: notificationOutbox,
+  radiusEnabled: RADIUS_ENABLED,
+  pollInterval: parseInt(process.env.FUP_POLL_INTERVAL || '60000', 10),
+});
+
+// Hotspot user profiles, pushed to the main router and all remote sites
+const hotspotProfileService = new HotspotProfileService(pool, {
+  mikrotikManager,
+  multiSiteManager,
+});
+
+// Social login (Google, Facebook, local mock) for the captive portal
+const oauthLoginService = new OAuthLoginService(pool, {
+  redis: redisClient,
+  providers: providersFromEnv(process.env),
+  callbackBaseURL: process.env.OAUTH_CALLBACK_BASE_URL || process.env.APP_URL,
+  freeMinutes: parseInt(process.env.OAUTH_FREE_MINUTES || '30', 10),
+  freeProfileId: process.env.OAUTH_FREE_PROFILE_ID ? parseInt(process.env.OAUTH_FREE_PROFILE_ID, 10) : null,
+  freeCooldownHours: parseInt(process.env.OAUTH_FREE_COOLDOWN_HOURS || '24', 10),
+});
+
+// Click-through terms and free-tier guest access per site
+const guestAccessService = new GuestAccessService(pool, { deviceRegistry });
+
+// Numbered PDF invoices with VAT for completed payments, credit notes for refunds
+const invoiceService = new InvoiceService(pool, {
+  whitelabelService,
+  mailer,
+  country: process.env.INVOICE_COUNTRY,
+  sweepInterval: parseInt(process.env.INVOICE_SWEEP_INTERVAL || '600000', 10),
+});
+
+// Plans, and their self-service purchase in the captive portal
+const monetizationService = new MonetizationService(pool, { walletService, promotionService });
+const portalCheckoutService = new PortalCheckoutService(pool, {
+  monetizationService,
+  walletService,
+  promotionService,
+  redemptionService: voucherRedemptionService,
+  generateCode: () => voucherBatchService.generateCode(),
+});
+
+// Which payment gateway takes payments per site, reseller and currency
+const paymentRoutingService = new PaymentRoutingService(pool);
+
+// Gateway webhooks stored by the payment service, for inspection and replay
+const webhookEventService = new WebhookEventService(pool);
+
+// Gateway settlement exports matched against payments; reports via the analytics workbook
+const analyticsService = new AnalyticsService(pool);
+const reconciliationService = new ReconciliationService(pool, { analyticsService });
+
+// Recurring subscription renewals with dunning: retries, reminders, then suspend or downgrade
+const subscriptionBillingService = new SubscriptionBillingService(pool, {
+  monetizationService,
+  outbox: notificationOutbox,
+  coaClient: radiusCoAClient,
+  mikrotikManager,
+  radiusEnabled: RADIUS_ENABLED,
+  dunningSchedule: (process.env.SUBSCRIPTION_DUNNING_DAYS || '1,3,7').split(','),
+  finalAction: process.env.SUBSCRIPTION_DUNNING_ACTION || 'suspend',
+  downgradeProfileId: process.env.SUBSCRIPTION_DOWNGRADE_PROFILE_ID
+    ? parseInt(process.env.SUBSCRIPTION_DOWNGRADE_PROFILE_ID, 10)
+    : null,
+  pollInterval: parseInt(process.env.SUBSCRIPTION_BILLING_INTERVAL || '300000', 10),
+});
+
+// Live usage and logout for the portal dashboard
+const portalStatusService = new PortalStatusService(pool, {
+  mikrotikManager,
+  multiSiteManager,
+  deviceRegistry,
+  coaClient: radiusCoAClient,
+  radiusEnabled: RADIUS_ENABLED,
+});
+
+// Pre-login allow list (payment gateways, support site, portal, login providers) for every router
+const walledGardenService = new WalledGardenService(pool, {
+  mikrotikManager,
+  multiSiteManager,
+  paymentURL: process.env.PAYMENT_PUBLIC_URL,
+  extraPresets: oauthLoginService.getWalledGardenPresets(),
+});
+
+// Phone (SMS OTP) login for the captive portal
+const otpService = new OtpService(pool, {
+  redis: redisClient,
+  smsClient: twilioClient,
+  pluginManager,
+  ttl: parseInt(process.env.OTP_TTL || '300', 10),
+  resendCooldown: parseInt(process.env.OTP_RESEND_COOLDOWN || '60', 10),
+  maxPerPhone: parseInt(process.env.OTP_MAX_PER_PHONE || '5', 10),
+  maxPerMac: parseInt(process.env.OTP_MAX_PER_MAC || '10', 10),
+  defaultCountryCode: process.env.OTP_DEFAULT_COUNTRY_CODE || '880',
+  signupMinutes: parseInt(process.env.OTP_SIGNUP_MINUTES || '0', 10),
+});
 
 // ==================== AUTHENTICATION ====================
 
 const generateToken = (user) => {
   return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
+    { id: user.id, email: user.email, role: user.role, resellerId: user.reseller_id || null },
     process.env.JWT_SECRET,
     { expiresIn: '7d' }
   );
 };
 
-const authMiddleware = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token' });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+// Admin JWT, or the shared token used by sibling services (payment)
+const internalOrAuthMiddleware = (req, res, next) => {
+  const internalToken = process.env.INTERNAL_API_TOKEN;
+  if (internalToken && req.headers['x-internal-token'] === internalToken) {
+    req.user = { role: 'service' };
+    return next();
   }
+  return authMiddleware(req, res, next);
 };
 
 // ==================== USER AUTHENTICATION ====================
@@ -177,23 +443,59 @@ app.post('/api/auth/login', async (req, res) => {
 
 app.post('/api/vouchers/create', authMiddleware, async (req, res) => {
   try {
-    const { code, days, price, bandwidth } = req.body;
+    const { code, price, profileId } = req.body;
+    let { days, bandwidth } = req.body;
+
+    if (profileId) {
+      const profile = await hotspotProfileService.getProfile(profileId);
+      if (!profile || profile.status !== 'active') {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      days = days || profile.validity_days;
+      bandwidth = bandwidth || profile.data_limit_gb;
+    }
+
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + days);
 
-    const result = await pool.query(
-      `INSERT INTO vouchers (code, days, price, bandwidth, expiry_date, created_by, created_at, status)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW(), 'active')
-       RETURNING *`,
-      [code, days, price, bandwidth, expiryDate, req.user.id]
-    );
+    // A voucher sold by reseller staff earns the reseller commission with the sale
+    const resellerId = req.user.resellerId || null;
+    const client = await pool.connect();
+    let voucher;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO vouchers (code, days, price, bandwidth, expiry_date, created_by, profile_id, reseller_id, created_at, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), 'active')
+         RETURNING *`,
+        [code, days, price, bandwidth, expiryDate, req.user.id, profileId || null, resellerId]
+      );
+      voucher = result.rows[0];
+
+      if (resellerId && Number(price) > 0) {
+        await whitelabelService.recordCommission(
+          resellerId,
+          Number(price),
+          { transactionType: 'voucher_sale', currency: process.env.CURRENCY, referenceId: voucher.id },
+          client
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(voucher);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+app.use('/api/vouchers/batches', require('./routes/voucherBatches')(voucherBatchService));
+
 app.get('/api/vouchers', authMiddleware, async (req, res) => {
   try {
     const result = await pool.query(
@@ -209,62 +511,322 @@ app.get('/api/vouchers', authMiddleware, async (req, res) => {
 app.post('/api/vouchers/redeem', async (req, res) => {
   try {
     const { code, username, email, phone } = req.body;
+    const user = await voucherRedemptionService.redeem({ code, username, email, phone });
 
-    const voucherResult = await pool.query(
-      'SELECT * FROM vouchers WHERE code = $1 AND status = $2',
-      [code, 'active']
-    );
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ==================== PORTAL AUTHENTICATION ====================
 
-    if (voucherResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid voucher' });
+const generatePortalToken = (hotspotUser) => {
+  return jwt.sign(
+    { hotspotUserId: hotspotUser.id, username: hotspotUser.username, role: 'hotspot_user' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1d' }
+  );
+};
+
+// Token and device registration for a hotspot user who just logged in on the portal
+const startPortalSession = async (user, { mac, ip, userAgent }) => {
+  let device = null;
+  let deviceLimit = null;
+  if (mac) {
+    try {
+      device = await deviceRegistry.registerDevice(user.id, mac, { ip, userAgent });
+    } catch (error) {
+      if (!(error instanceof DeviceError)) throw error;
+      // Over the limit: the portal offers to re-pair this device onto an existing slot
+      deviceLimit = error.details.code === 'DEVICE_LIMIT' ? error.details : null;
     }
+  }
 
-    const voucher = voucherResult.rows[0];
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + voucher.days);
-
-    // Create hotspot user in Mikrotik
-    await mikrotik.createUser({
-      name: username,
-      password: Math.random().toString(36).substring(7),
-      'limit-bytes-out': voucher.bandwidth * 1024 * 1024 * 1024,
-      'limit-uptime': voucher.days * 24 * 60 * 60,
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      phone: user.phone,
+      expiry_date: user.expiry_date,
+    },
+    token: generatePortalToken(user),
+    device,
+    deviceLimit,
+  };
+};
+
+// Hotspot user login from the captive portal; `mac`/`ip` come from the router's login redirect
+app.post('/api/portal/login', async (req, res) => {
+  try {
+    const { username, password, mac, ip } = req.body;
+    const result = await pool.query('SELECT * FROM hotspot_users WHERE username = $1', [username]);
+    const user = result.rows[0];
+
+    // Stored passwords are cleartext (CHAP) or bcrypt
+    const passwordMatch = user && user.password && password && (user.password.startsWith('$2')
+      ? require('bcryptjs').compareSync(password, user.password)
+      : user.password === password);
+
+    if (!passwordMatch) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.status !== 'active') {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    res.json(await startPortalSession(user, { mac, ip, userAgent: req.headers['user-agent'] }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Phone login, step 1: text a code to { phone } (rate limited per phone and per `mac`)
+app.post('/api/portal/otp/request', async (req, res) => {
+  try {
+    const { phone, mac } = req.body;
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const result = await otpService.requestOtp(phone, { mac });
+    res.json(result);
+  } catch (error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message, retryAfter: error.retryAfter });
+  }
+});
+
+// Phone login, step 2: check { phone, code }; the account is created on first login
+app.post('/api/portal/otp/verify', async (req, res) => {
+  try {
+    const { phone, code, mac, ip } = req.body;
+    if (!phone || !code) {
+      return res.status(400).json({ error: 'Phone number and code are required' });
+    }
+
+    const { user, created } = await otpService.verifyOtp(phone, code);
+    if (user.status !== 'active') {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    const session = await startPortalSession(user, { mac, ip, userAgent: req.headers['user-agent'] });
+    res.json({ ...session, created });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Login buttons for the portal: [{ name, label }]
+app.get('/api/portal/oauth/providers', (req, res) => {
+  res.json(oauthLoginService.getProviders());
+});
+
+// Social login, step 1: redirect to the provider (`mac`, `ip`, `consent` from the portal query)
+app.get('/api/portal/oauth/:provider/start', async (req, res) => {
+  try {
+    const { mac, ip, consent } = req.query;
+    const url = await oauthLoginService.createAuthorizationURL(req.params.provider, {
+      mac,
+      ip,
+      marketingConsent: consent === '1' || consent === 'true',
     });
+    res.redirect(url);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Social login, step 2: provider redirect back; hands the portal token over in the URL fragment
+app.get('/api/portal/oauth/:provider/callback', async (req, res) => {
+  const portalURL = (process.env.PORTAL_URL || '').replace(/\/$/, '');
+
+  try {
+    const { user, mac, ip } = await oauthLoginService.handleCallback(req.params.provider, req.query);
+    if (user.status !== 'active') {
+      return res.redirect(`${portalURL}/#oauth_error=${encodeURIComponent('Account disabled')}`);
+    }
+
+    const session = await startPortalSession(user, { mac, ip, userAgent: req.headers['user-agent'] });
+    res.redirect(`${portalURL}/#oauth_token=${encodeURIComponent(session.token)}`);
+  } catch (error) {
+    res.redirect(`${portalURL}/#oauth_error=${encodeURIComponent(error.message)}`);
+  }
+});
 
-    // Create user in database
-    const userResult = await pool.query(
-      `INSERT INTO hotspot_users (username, email, phone, bandwidth_limit, expiry_date, voucher_id, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING *`,
-      [username, email, phone, voucher.bandwidth, expiryDate, voucher.id]
+// Current hotspot account for a portal token
+app.get('/api/portal/me', portalAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, phone, expiry_date, status FROM hotspot_users WHERE id = $1',
+      [req.hotspotUser.hotspotUserId]
     );
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ user: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Free access offer for this device: { enabled, terms, sessionMinutes, remainingMinutes, availableAt }
+app.get('/api/portal/guest', async (req, res) => {
+  try {
+    const { siteId, mac } = req.query;
+    const status = await guestAccessService.getGuestStatus(siteId ? parseInt(siteId, 10) : null, mac);
+    res.json(status);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Accept the terms { siteId, termsVersionId, mac, ip } and start a free session
+app.post('/api/portal/guest/accept', async (req, res) => {
+  try {
+    const { siteId, termsVersionId, mac, ip } = req.body;
+    if (!termsVersionId) {
+      return res.status(400).json({ error: 'Please accept the terms to continue' });
+    }
 
-    // Update voucher status
-    await pool.query('UPDATE vouchers SET status = $1, redeemed_at = NOW() WHERE id = $2', [
-      'redeemed',
-      voucher.id,
-    ]);
-
-    // Send notifications
-    await mailer.sendMail({
-      to: email,
-      subject: 'Hotspot Account Created',
-      html: `<h2>Welcome!</h2><p>Your account has been created. Username: ${username}</p>`,
+    const userAgent = req.headers['user-agent'];
+    const { user, expiresAt } = await guestAccessService.acceptTerms({
+      siteId: siteId ? parseInt(siteId, 10) : null,
+      termsVersionId,
+      macAddress: mac,
+      ip: ip || req.ip,
+      userAgent,
     });
 
-    res.json({ success: true, user: userResult.rows[0] });
+    const session = await startPortalSession(user, { mac, ip, userAgent });
+    res.json({ ...session, expiresAt });
+  } catch (error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message, retryAfter: error.retryAfter });
+  }
+});
+
+app.use('/api/portal/devices', require('./routes/portalDevices')(deviceRegistry));
+app.use('/api/portal/session', require('./routes/portalSession')(portalStatusService));
+app.use('/api/portal/wallet', require('./routes/portalWallet')(walletService, portalCheckoutService));
+app.use('/api/portal/invoices', require('./routes/portalInvoices')(invoiceService));
+
+// ==================== PORTAL PURCHASES ====================
+
+// Hotspot user behind an optional portal token (buying while logged in tops up that account)
+const optionalPortalUser = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.role === 'hotspot_user' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+app.get('/api/portal/plans', async (req, res) => {
+  try {
+    res.json(await portalCheckoutService.getPlans());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Price a plan with promo codes { planId, promoCodes, email, phone, mac, siteId } -> { amount, discount, bonusDays, applied }
+app.post('/api/portal/checkout/quote', async (req, res) => {
+  try {
+    const { planId, promoCodes, email, phone, mac, siteId } = req.body;
+    if (!planId) {
+      return res.status(400).json({ error: 'Plan is required' });
+    }
+
+    const portalUser = optionalPortalUser(req);
+    res.json(await portalCheckoutService.quoteOrder({
+      planId,
+      promoCodes,
+      hotspotUserId: portalUser ? portalUser.hotspotUserId : null,
+      email,
+      phone,
+      mac,
+      siteId: siteId ? parseInt(siteId, 10) : null,
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Start checkout { planId, email, phone, mac, ip, siteId, promoCodes } -> { orderId, checkoutUrl, provider, claimToken }
+app.post('/api/portal/checkout', async (req, res) => {
+  try {
+    const { planId, email, phone, mac, ip, siteId, promoCodes } = req.body;
+    if (!planId) {
+      return res.status(400).json({ error: 'Plan is required' });
+    }
+
+    const portalUser = optionalPortalUser(req);
+    const result = await portalCheckoutService.createOrder({
+      planId,
+      hotspotUserId: portalUser ? portalUser.hotspotUserId : null,
+      email,
+      phone,
+      mac,
+      ip,
+      siteId: siteId ? parseInt(siteId, 10) : null,
+      promoCodes,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Order state, polled by the portal after checkout -> { orderId, status, plan }
+app.get('/api/portal/orders/:id', async (req, res) => {
+  try {
+    res.json(await portalCheckoutService.getOrderStatus(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Log in with a fulfilled order { claimToken } (from POST /api/portal/checkout); once only
+app.post('/api/portal/orders/:id/session', async (req, res) => {
+  try {
+    const { order, user } = await portalCheckoutService.claimOrder(req.params.id, req.body.claimToken);
+    const session = await startPortalSession(user, {
+      mac: order.mac_address,
+      ip: order.ip_address,
+      userAgent: req.headers['user-agent'],
+    });
+    res.json(session);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Payment confirmed (called by the payment service webhook) { transactionId, amount, currency }
+app.post('/api/portal/orders/:id/fulfill', internalOrAuthMiddleware, async (req, res) => {
+  try {
+    const order = await portalCheckoutService.fulfillOrder(req.params.id, req.body);
+    res.json({ success: true, order });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ==================== USER MANAGEMENT ====================
 
-app.get('/api/users/stats/:username', async (req, res) => {
+// Staff only: never returns the password (kept in clear for RADIUS PAP/CHAP)
+app.get('/api/users/stats/:username', authMiddleware, async (req, res) => {
   try {
     const stats = await mikrotik.getUserStats(req.params.username);
     const dbUser = await pool.query(
-      'SELECT * FROM hotspot_users WHERE username = $1',
+      `SELECT id, username, email, phone, bandwidth_limit, bandwidth_used, session_duration,
+              expiry_date, last_login, status, rate_limit, voucher_id, profile_id,
+              fup_policy_id, fup_tier, fup_rate_limit, fup_blocked, created_at, updated_at
+       FROM hotspot_users WHERE username = $1`,
       [req.params.username]
     );
 
@@ -290,13 +852,17 @@ app.get('/api/users', authMiddleware, async (req, res) => {
 
 // ==================== BANDWIDTH MANAGEMENT ====================
 
+app.use('/api/bandwidth/schedules', require('./routes/bandwidthSchedules')(bandwidthScheduler));
+
 app.post('/api/bandwidth/update', authMiddleware, async (req, res) => {
   try {
     const { username, bandwidth } = req.body;
     const bandwidthBytes = bandwidth * 1024 * 1024 * 1024;
 
-    // Update in Mikrotik
-    await mikrotik.updateUserBandwidth(username, bandwidthBytes);
+    // Update in Mikrotik (RADIUS users only exist in the database)
+    if (!RADIUS_ENABLED) {
+      await mikrotik.updateUserBandwidth(username, bandwidthBytes);
+    }
 
     // Update in database
     const result = await pool.query(
@@ -304,12 +870,175 @@ app.post('/api/bandwidth/update', authMiddleware, async (req, res) => {
       [bandwidth, username]
     );
 
-    res.json(result.rows[0]);
+    // Apply to live sessions
+    const coa = await radiusCoAClient.syncUser(username, 'bandwidth-update');
+
+    res.json({ ...result.rows[0], coa });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ==================== FAIR USAGE POLICY ====================
+
+app.use('/api/fup', require('./routes/fup')(fupEngine));
+
+// ==================== RADIUS COA ====================
+
+app.post('/api/radius/coa', internalOrAuthMiddleware, async (req, res) => {
+  try {
+    const { username, action = 'sync', reason } = req.body;
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    const results = action === 'disconnect'
+      ? await radiusCoAClient.disconnectUser(username, reason)
+      : await radiusCoAClient.syncUser(username, reason);
+
+    res.json({ username, action, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== MULTI-SITE ====================
+
+app.use('/api/sites', require('./routes/multiSite')(multiSiteManager));
+
+// ==================== HOTSPOT PROFILES ====================
+
+app.use('/api/profiles', require('./routes/hotspotProfiles')(hotspotProfileService));
+
+// ==================== SUBSCRIPTION PLANS ====================
+
+app.get('/api/plans', authMiddleware, async (req, res) => {
+  try {
+    res.json(await monetizationService.getAllPlans());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create plan { name, description, price, currency, billingPeriod, validityDays, bandwidthLimit, profileId, features }
+app.post('/api/plans', authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.name || !(Number(req.body.price) > 0)) {
+      return res.status(400).json({ error: 'Name and price are required' });
+    }
+    res.status(201).json(await monetizationService.createPlan(req.body));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SUBSCRIPTION BILLING ====================
+
+// Renewal charge paid (called by the payment service) { paymentId, transactionId, provider }
+app.post('/api/subscriptions/charges/:id/paid', internalOrAuthMiddleware, async (req, res) => {
+  try {
+    const charge = await subscriptionBillingService.markChargePaid(req.params.id, req.body);
+    res.json({ success: true, charge });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.use('/api/subscriptions', require('./routes/subscriptions')(subscriptionBillingService));
+
+// ==================== WALLETS ====================
+
+// Top-up paid (called by the payment service webhook) { transactionId, amount, currency }
+app.post('/api/wallet/topups/:id/credit', internalOrAuthMiddleware, async (req, res) => {
+  try {
+    const topup = await walletService.creditTopUp(req.params.id, req.body);
+    res.json({ success: true, topup });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Top-up refunded at the gateway (called by the payment service) { transactionId }
+app.post('/api/wallet/topups/:id/refund', internalOrAuthMiddleware, async (req, res) => {
+  try {
+    const topup = await walletService.refundTopUp(req.params.id, req.body);
+    res.json({ success: true, topup });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.use('/api/wallet', require('./routes/wallet')(walletService));
+app.use('/api/promotions', require('./routes/promotions')(promotionService, monetizationService));
+
+// ==================== REFUNDS ====================
+
+// Refund a payment at its gateway { reason }. Admins only: the payment service also
+// deactivates the voucher, disconnects its users and takes the money back out of wallets
+app.post('/api/payments/:paymentId/refund', authMiddleware, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const response = await axios.post(
+      `${process.env.PAYMENT_SERVICE_URL}/api/payment/refund`,
+      { paymentId: req.params.paymentId, reason: req.body.reason },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN }, timeout: 60000 }
+    );
+    console.log(`Payment ${req.params.paymentId} refunded by user ${req.user.id}: ${response.data.status}`);
+    res.json(response.data);
+  } catch (error) {
+    res.status(error.response?.status || 502).json({ error: error.response?.data?.error || error.message });
+  }
+});
+
+// ==================== INVOICES ====================
+
+// Invoice a completed payment (called by the payment service) { email: true | address }
+app.post('/api/invoices/payments/:paymentId', internalOrAuthMiddleware, async (req, res) => {
+  // Issued for any tenant's payment: not for reseller staff
+  if (req.user.resellerId) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const invoice = await invoiceService.issueInvoice(req.params.paymentId, req.body);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Credit note for a refunded payment (called by the payment service) { reason, email }
+app.post('/api/invoices/payments/:paymentId/credit-note', internalOrAuthMiddleware, async (req, res) => {
+  // Likewise operator staff and the payment service only
+  if (req.user.resellerId) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  try {
+    const creditNote = await invoiceService.issueCreditNote(req.params.paymentId, req.body);
+    res.json({ success: true, creditNote });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.use('/api/invoices', require('./routes/invoices')(invoiceService));
+
+// ==================== WALLED GARDEN ====================
+
+app.use('/api/walled-garden', require('./routes/walledGarden')(walledGardenService));
+app.use('/api/guest-access', require('./routes/guestAccess')(guestAccessService));
+app.use('/api/payment-routes', require('./routes/paymentRoutes')(paymentRoutingService));
+app.use('/api/payment-webhooks', require('./routes/webhookEvents')(webhookEventService));
+app.use('/api/reconciliation', require('./routes/reconciliation')(reconciliationService));
+
+// ==================== ACTIVE SESSIONS ====================
+
+app.use('/api/sessions', require('./routes/sessions')(mikrotikManager));
+
 // ==================== NETWORK MONITORING ====================
 
 app.get('/api/network/status', authMiddleware, async (req, res) => {
@@ -357,25 +1086,6 @@ app.post('/api/notify/email', authMiddleware, async (req, res) => {
   }
 });
 
-// ==================== PAYMENT WEBHOOK ====================
-
-app.post('/api/payment/webhook', async (req, res) => {
-  try {
-    const { event_type, data } = req.body;
-
-    if (event_type === 'payment_success') {
-      await pool.query(
-        'UPDATE vouchers SET status = $1, paid = true WHERE id = $2',
-        ['active', data.voucher_id]
-      );
-    }
-
-    res.json({ received: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // ==================== HEALTH CHECK ====================
 
 app.get('/health', (req, res) => {
@@ -386,3 +1096,22 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Backend API running on port ${PORT}`);
 });
+
+notificationOutbox.start();
+fupEngine.start();
+bandwidthScheduler.start();
+deviceRegistry.start();
+guestAccessService.start().catch((error) => {
+  console.error('Failed to start guest access expiry:', error);
+});
+reconciliationService.start();
+subscriptionBillingService.start();
+walletService.start();
+invoiceService.start();
+
+if (RADIUS_ENABLED) {
+  radiusServer.start().catch((error) => {
+    console.error('Failed to start RADIUS server:', error);
+    process.exit(1);
+  });
+}
@@ -565,6 +565,11 @@ class AnalyticsService extends EventEmitter {
     try {
       const workbook = new ExcelJS.Workbook();
 
+      if (reportData.reportType === 'reconciliation') {
+        this.addReconciliationSheets(workbook, reportData);
+        return await workbook.xlsx.writeBuffer();
+      }
+
       // Summary sheet
       const summarySheet = workbook.addWorksheet('Summary');
       if (reportData.summary?.overview) {
@@ -605,6 +610,94 @@ class AnalyticsService extends EventEmitter {
     }
   }
 
+  /**
+   * Settlement reconciliation: summary, issues and every export row with its match
+   */
+  addReconciliationSheets(workbook, reportData) {
+    const { import: settlementImport, summary = {}, issues = [], transactions = [] } = reportData.reconciliation;
+    const date = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : '');
+    const amount = (value) => (value === null || value === undefined ? null : Number(value));
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ width: 28 }, { width: 40 }];
+    summarySheet.addRow(['Provider', settlementImport.provider]);
+    summarySheet.addRow(['File', settlementImport.file_name]);
+    summarySheet.addRow(['Period', `${date(reportData.dateRange.start)} - ${date(reportData.dateRange.end)}`]);
+    summarySheet.addRow(['Reconciled', date(settlementImport.reconciled_at)]);
+    summarySheet.addRow(['Generated', reportData.generatedAt]);
+    summarySheet.addRow([]);
+    summarySheet.addRow(['Rows', summary.rows]);
+    summarySheet.addRow(['Matched', summary.matched]);
+    summarySheet.addRow(['Matched with issues', summary.withIssues]);
+    summarySheet.addRow(['Unmatched', summary.unmatched]);
+    summarySheet.addRow(['Skipped (fees, payouts, failed)', summary.skipped]);
+    summarySheet.addRow(['Settled amount', summary.settledAmount]);
+    summarySheet.addRow(['Refunded amount', summary.refundedAmount]);
+    summarySheet.addRow(['Fees', summary.fees]);
+    summarySheet.addRow([]);
+    summarySheet.addRow(['Issues', summary.issueCount]).font = { bold: true };
+    Object.entries(summary.issues || {}).forEach(([type, count]) => {
+      summarySheet.addRow([type.replace(/_/g, ' '), count]);
+    });
+
+    const issuesSheet = workbook.addWorksheet('Issues');
+    issuesSheet.columns = [
+      { header: 'Issue', key: 'type', width: 24 },
+      { header: 'Export Row', key: 'row_number', width: 11 },
+      { header: 'Gateway Transaction', key: 'settlement_transaction', width: 28 },
+      { header: 'Payment', key: 'payment_id', width: 10 },
+      { header: 'Reference', key: 'reference', width: 22 },
+      { header: 'Payment Status', key: 'payment_status', width: 15 },
+      { header: 'Voucher', key: 'voucher_code', width: 16 },
+      { header: 'Expected', key: 'expected_amount', width: 12 },
+      { header: 'Settled', key: 'settled_amount', width: 12 },
+      { header: 'Currency', key: 'currency', width: 9 },
+      { header: 'Details', key: 'details', width: 60 },
+      { header: 'Resolved', key: 'resolved_at', width: 20 },
+      { header: 'Resolution', key: 'resolution_note', width: 40 },
+    ];
+    issues.forEach((issue) => {
+      issuesSheet.addRow({
+        ...issue,
+        expected_amount: amount(issue.expected_amount),
+        settled_amount: amount(issue.settled_amount),
+        resolved_at: date(issue.resolved_at),
+      });
+    });
+
+    const transactionsSheet = workbook.addWorksheet('Transactions');
+    transactionsSheet.columns = [
+      { header: 'Row', key: 'row_number', width: 7 },
+      { header: 'Date', key: 'occurred_at', width: 20 },
+      { header: 'Type', key: 'type', width: 10 },
+      { header: 'Transaction ID', key: 'transaction_id', width: 28 },
+      { header: 'Payment Ref', key: 'payment_ref', width: 28 },
+      { header: 'Amount', key: 'amount', width: 12 },
+      { header: 'Refunded', key: 'refunded_amount', width: 12 },
+      { header: 'Fee', key: 'fee', width: 10 },
+      { header: 'Net', key: 'net', width: 12 },
+      { header: 'Currency', key: 'currency', width: 9 },
+      { header: 'Match', key: 'match_status', width: 11 },
+      { header: 'Payment', key: 'payment_id', width: 10 },
+      { header: 'Payment Status', key: 'payment_status', width: 15 },
+    ];
+    transactions.forEach((transaction) => {
+      transactionsSheet.addRow({
+        ...transaction,
+        occurred_at: date(transaction.occurred_at),
+        amount: amount(transaction.amount),
+        refunded_amount: amount(transaction.refunded_amount),
+        fee: amount(transaction.fee),
+        net: amount(transaction.net),
+      });
+    });
+
+    [issuesSheet, transactionsSheet].forEach((sheet) => {
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    });
+  }
+
   /**
    * ==================== DATA CLEANUP ====================
    */
@@ -0,0 +1,582 @@
+// backend/services/bandwidthScheduler.js
+const EventEmitter = require('events');
+const { getRouterTargets } = require('./routerTargets');
+const { DEFAULT_FULL_RATE } = require('./fupEngine');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RATE_UNITS = { k: 1e3, K: 1e3, M: 1e6, G: 1e9 };
+
+// Schedules with the timezone of their site
+const SCHEDULE_SELECT = `SELECT s.*, st.timezone AS site_timezone
+  FROM bandwidth_schedules s
+  LEFT JOIN sites st ON st.id = s.site_id`;
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map((n) => parseInt(n, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Parse a cron-like day field: '*', 'mon-fri', 'sat,sun' or [1, 2, 3]
+ */
+function parseDays(days) {
+  if (Array.isArray(days)) return days.map(Number);
+  if (!days || days === '*') return [0, 1, 2, 3, 4, 5, 6];
+
+  const result = new Set();
+  String(days).toLowerCase().split(',').forEach((part) => {
+    const [from, to] = part.trim().split('-').map((d) => DAY_NAMES.indexOf(d.slice(0, 3)));
+    if (from < 0 || (to !== undefined && to < 0)) {
+      throw new Error(`Invalid day in schedule: ${part}`);
+    }
+    if (to === undefined) {
+      result.add(from);
+      return;
+    }
+    let day = from;
+    do {
+      result.add(day);
+      day = (day + 1) % 7;
+    } while (day !== (to + 1) % 7);
+  });
+  return [...result].sort();
+}
+
+/**
+ * Bits per second of one side of a RouterOS rate ('512k', '10M'); 0 means unlimited
+ */
+function rateValue(part) {
+  const match = /^(\d+(?:\.\d+)?)([kKMG]?)$/.exec(String(part).trim());
+  const value = match ? parseFloat(match[1]) * (RATE_UNITS[match[2]] || 1) : 0;
+  return value > 0 ? value : Infinity;
+}
+
+/**
+ * Slowest of several rates ('upload/download', each side compared on its own), or
+ * null when there are none
+ */
+function slowestRate(rates) {
+  const sides = rates.filter(Boolean).map((rate) => String(rate).split('/'));
+  if (sides.length === 0) return null;
+
+  const pick = (i) => sides
+    .map((parts) => parts[i] || parts[0])
+    .reduce((slowest, part) => (rateValue(part) < rateValue(slowest) ? part : slowest));
+  return `${pick(0)}/${pick(1)}`;
+}
+
+/**
+ * Day of the week and minute of the day at `now` in a timezone (IANA name; the
+ * server's own when not given)
+ */
+function localTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minute: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+/**
+ * Bandwidth Scheduler
+ * Time-of-day speed windows (e.g. unmetered nights, capped office hours) applied to
+ * user queues on the main router and on every remote site of MultiSiteManager.
+ * A site's schedules follow the site's timezone, global ones the configured one.
+ *
+ * While any schedule is in effect for a user, their queue runs at the slowest of the
+ * schedules in effect and their fair usage tier. The queue's own limits are saved
+ * once, when the first schedule reaches it, and restored when the last one ends.
+ */
+class BandwidthScheduler extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.multiSiteManager = config.multiSiteManager || null;
+    this.checkInterval = config.checkInterval || 60000;
+    this.timezone = config.timezone || undefined;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== SCHEDULES ====================
+   */
+
+  /**
+   * Create schedule
+   * { name, days: 'mon-fri', startTime: '22:00', endTime: '06:00', rateLimit: '50M/50M',
+   *   countsTowardQuota, fupPolicyId (plan), siteId }
+   */
+  async createSchedule(scheduleData) {
+    try {
+      const {
+        name,
+        description,
+        days,
+        startTime,
+        endTime,
+        rateLimit,
+        countsTowardQuota,
+        fupPolicyId,
+        siteId,
+      } = scheduleData;
+
+      const result = await this.db.query(
+        `INSERT INTO bandwidth_schedules (
+          name, description, days, start_time, end_time, rate_limit,
+          counts_toward_quota, fup_policy_id, site_id, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', NOW())
+        RETURNING *`,
+        [
+          name,
+          description,
+          parseDays(days),
+          startTime,
+          endTime,
+          rateLimit,
+          countsTowardQuota !== false,
+          fupPolicyId || null,
+          siteId || null,
+        ]
+      );
+
+      this.logger.info(`Created bandwidth schedule: ${name}`);
+      this.emit('schedule:created', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error creating bandwidth schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update schedule; an applied schedule is reverted first and re-applied on the next tick
+   */
+  async updateSchedule(scheduleId, updates) {
+    try {
+      const current = await this.getSchedule(scheduleId);
+      if (current.applied) {
+        await this.revert(current);
+      }
+
+      const fields = {
+        name: updates.name,
+        description: updates.description,
+        days: updates.days !== undefined ? parseDays(updates.days) : undefined,
+        start_time: updates.startTime,
+        end_time: updates.endTime,
+        rate_limit: updates.rateLimit,
+        counts_toward_quota: updates.countsTowardQuota,
+        fup_policy_id: updates.fupPolicyId,
+        site_id: updates.siteId,
+        status: updates.status,
+      };
+
+      const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+      const result = await this.db.query(
+        `UPDATE bandwidth_schedules
+         SET ${entries.map(([key], i) => `${key} = $${i + 2}`).join(', ')}${entries.length ? ',' : ''} updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [scheduleId, ...entries.map(([, value]) => value)]
+      );
+
+      this.emit('schedule:updated', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error updating bandwidth schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete schedule (reverting it first if it is in effect)
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const schedule = await this.getSchedule(scheduleId);
+      if (schedule.applied) {
+        await this.revert(schedule);
+      }
+
+      await this.db.query('DELETE FROM bandwidth_schedules WHERE id = $1', [scheduleId]);
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Error deleting bandwidth schedule:', error);
+      throw error;
+    }
+  }
+
+  async getSchedule(scheduleId) {
+    const result = await this.db.query(`${SCHEDULE_SELECT} WHERE s.id = $1`, [scheduleId]);
+    if (result.rows.length === 0) {
+      throw new Error('Schedule not found');
+    }
+    return result.rows[0];
+  }
+
+  async getSchedules() {
+    try {
+      const result = await this.db.query(`${SCHEDULE_SELECT} ORDER BY s.start_time`);
+      return result.rows.map((schedule) => ({
+        ...schedule,
+        activeNow: this.isWindowActive(schedule),
+      }));
+    } catch (error) {
+      this.logger.error('Error getting bandwidth schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== WINDOWS ====================
+   */
+
+  /**
+   * Is `now` inside the schedule window, on the clock of the schedule's site? Windows
+   * ending before they start wrap past midnight and belong to the day they started on.
+   */
+  isWindowActive(schedule, now = new Date()) {
+    const days = schedule.days || [];
+    const start = toMinutes(schedule.start_time);
+    const end = toMinutes(schedule.end_time);
+    const { day: today, minute } = localTime(now, schedule.site_timezone || this.timezone);
+    const yesterday = (today + 6) % 7;
+
+    if (start < end) {
+      return days.includes(today) && minute >= start && minute < end;
+    }
+
+    return (days.includes(today) && minute >= start) || (days.includes(yesterday) && minute < end);
+  }
+
+  /**
+   * ==================== TARGETS ====================
+   */
+
+  /**
+   * Users a schedule applies to: active users on its plan (or everyone), with their
+   * fair usage tier's rate and the full rate of the policy they are under
+   */
+  async getAffectedUsers(schedule) {
+    const result = await this.db.query(
+      `SELECT u.id, u.username, u.email, u.fup_policy_id, u.fup_rate_limit, p.name AS plan_name,
+              fp.full_rate_limit AS fup_full_rate_limit
+       FROM hotspot_users u
+       LEFT JOIN fup_policies p ON p.id = u.fup_policy_id
+       LEFT JOIN fup_policies fp ON fp.id = COALESCE(
+         u.fup_policy_id,
+         (SELECT id FROM fup_policies WHERE is_default = true AND status = 'active' LIMIT 1)
+       )
+       WHERE u.status = 'active'
+         AND ($1::int IS NULL OR u.fup_policy_id = $1)
+       ORDER BY u.username`,
+      [schedule.fup_policy_id || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Routers a schedule applies to: the main router and all remote sites, or one site
+   */
+  async getTargetRouters(schedule) {
+    return getRouterTargets(
+      this.db,
+      { mikrotikManager: this.mikrotikManager, multiSiteManager: this.multiSiteManager },
+      schedule.site_id
+    );
+  }
+
+  /**
+   * Preview which users and routers a schedule (saved or draft) touches
+   */
+  async preview(scheduleOrData) {
+    try {
+      const schedule = typeof scheduleOrData === 'object'
+        ? {
+          ...scheduleOrData,
+          days: parseDays(scheduleOrData.days),
+          start_time: scheduleOrData.start_time || scheduleOrData.startTime,
+          end_time: scheduleOrData.end_time || scheduleOrData.endTime,
+          fup_policy_id: scheduleOrData.fup_policy_id || scheduleOrData.fupPolicyId,
+          site_id: scheduleOrData.site_id || scheduleOrData.siteId,
+        }
+        : await this.getSchedule(scheduleOrData);
+
+      const [users, routers] = await Promise.all([
+        this.getAffectedUsers(schedule),
+        this.getTargetRouters(schedule),
+      ]);
+
+      return {
+        schedule,
+        activeNow: this.isWindowActive(schedule),
+        userCount: users.length,
+        users,
+        routers: routers.map((r) => ({ key: r.key, name: r.name })),
+      };
+    } catch (error) {
+      this.logger.error('Error previewing bandwidth schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== APPLY / REVERT ====================
+   */
+
+  /**
+   * Rates of the other schedules in effect, per user: [{ username, rate_limit, site_id }]
+   */
+  async getOtherRates(scheduleId) {
+    const result = await this.db.query(
+      `SELECT r.username, s.rate_limit, s.site_id
+       FROM bandwidth_schedule_runs r
+       JOIN bandwidth_schedules s ON s.id = r.schedule_id
+       WHERE s.applied = true AND s.id <> $1 AND s.rate_limit IS NOT NULL`,
+      [scheduleId]
+    );
+    return result.rows;
+  }
+
+  ratesOn(otherRates, username, router) {
+    return otherRates
+      .filter((row) => row.username === username && (row.site_id === null || row.site_id === router.siteId))
+      .map((row) => row.rate_limit);
+  }
+
+  /**
+   * Rate for a user's queue on the main router given their fair usage tier's rate:
+   * the slowest of that and the schedules in effect, null for neither (FUP engine)
+   */
+  async getEffectiveRate(username, fupRateLimit) {
+    const otherRates = await this.getOtherRates(0);
+    return slowestRate([...this.ratesOn(otherRates, username, { siteId: null }), fupRateLimit]);
+  }
+
+  async setQueueRate(router, queue, rate) {
+    await router.set('/queue/simple', queue['.id'], {
+      'max-limit': rate,
+      'limit-at': rate,
+      'burst-limit': rate,
+    });
+  }
+
+  /**
+   * Save a queue's own limits before the first schedule changes them. A queue slowed
+   * down by the fair usage policy is saved at the policy's full rate instead.
+   */
+  async saveBaseLimits(user, router, queue) {
+    const fullRate = user.fup_rate_limit ? user.fup_full_rate_limit || DEFAULT_FULL_RATE : null;
+    await this.db.query(
+      `INSERT INTO bandwidth_base_limits (username, router_key, max_limit, limit_at, burst_limit, saved_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (username, router_key) DO NOTHING`,
+      [
+        user.username,
+        router.key,
+        fullRate || queue['max-limit'],
+        fullRate || queue['limit-at'],
+        fullRate || queue['burst-limit'],
+      ]
+    );
+  }
+
+  /**
+   * Apply the schedule's speed to every affected queue (slowed further by other
+   * schedules in effect or the user's fair usage tier)
+   */
+  async apply(schedule) {
+    const [users, routers, otherRates] = await Promise.all([
+      this.getAffectedUsers(schedule),
+      this.getTargetRouters(schedule),
+      this.getOtherRates(schedule.id),
+    ]);
+
+    for (const user of users) {
+      await this.db.query(
+        `INSERT INTO bandwidth_schedule_runs (schedule_id, username, usage_at_start, started_at)
+         SELECT $1, $2, COALESCE(bandwidth_used, 0), NOW() FROM hotspot_users WHERE username = $2
+         ON CONFLICT (schedule_id, username) DO NOTHING`,
+        [schedule.id, user.username]
+      );
+    }
+
+    for (const router of schedule.rate_limit ? routers : []) {
+      try {
+        const queues = await router.print('/queue/simple');
+        const byName = new Map(queues.map((q) => [q.name, q]));
+
+        for (const user of users) {
+          const queue = byName.get(`queue-${user.username}`);
+          if (!queue) continue;
+
+          await this.saveBaseLimits(user, router, queue);
+          await this.setQueueRate(router, queue, slowestRate([
+            schedule.rate_limit,
+            ...this.ratesOn(otherRates, user.username, router),
+            user.fup_rate_limit,
+          ]));
+        }
+      } catch (error) {
+        this.logger.error(`Error applying schedule ${schedule.name} on ${router.name}: ${error.message}`);
+      }
+    }
+
+    await this.db.query(
+      'UPDATE bandwidth_schedules SET applied = true, last_applied_at = NOW() WHERE id = $1',
+      [schedule.id]
+    );
+
+    this.logger.info(`Applied schedule ${schedule.name} to ${users.length} users on ${routers.length} routers`);
+    this.emit('schedule:applied', { schedule, users: users.length, routers: routers.length });
+    return { users: users.length, routers: routers.length };
+  }
+
+  /**
+   * Take the schedule off its users' queues: back to the slowest of what is still in
+   * effect (other schedules, the fair usage tier), or to the saved limits once nothing
+   * is. Unmetered windows credit their usage back to the FUP quota.
+   */
+  async revert(schedule) {
+    const [routers, otherRates, runs] = await Promise.all([
+      this.getTargetRouters(schedule),
+      this.getOtherRates(schedule.id),
+      this.db.query(
+        `SELECT r.*, u.fup_rate_limit
+         FROM bandwidth_schedule_runs r
+         LEFT JOIN hotspot_users u ON u.username = r.username
+         WHERE r.schedule_id = $1`,
+        [schedule.id]
+      ),
+    ]);
+    const usernames = runs.rows.map((run) => run.username);
+    const baseLimits = await this.db.query(
+      'SELECT * FROM bandwidth_base_limits WHERE username = ANY($1)',
+      [usernames]
+    );
+
+    for (const router of schedule.rate_limit ? routers : []) {
+      try {
+        const queues = await router.print('/queue/simple');
+        const byName = new Map(queues.map((q) => [q.name, q]));
+
+        for (const run of runs.rows) {
+          const queue = byName.get(`queue-${run.username}`);
+          if (!queue) continue;
+
+          const rate = slowestRate([...this.ratesOn(otherRates, run.username, router), run.fup_rate_limit]);
+          if (rate) {
+            await this.setQueueRate(router, queue, rate);
+            continue;
+          }
+
+          const base = baseLimits.rows.find((row) => row.username === run.username && row.router_key === router.key);
+          if (base) {
+            await router.set('/queue/simple', queue['.id'], {
+              'max-limit': base.max_limit,
+              'limit-at': base.limit_at,
+              'burst-limit': base.burst_limit,
+            });
+          }
+        }
+      } catch (error) {
+        this.logger.error(`Error reverting schedule ${schedule.name} on ${router.name}: ${error.message}`);
+      }
+    }
+
+    for (const run of runs.rows) {
+      if (!schedule.counts_toward_quota) {
+        await this.db.query(
+          `UPDATE hotspot_users
+           SET fup_free_bytes = COALESCE(fup_free_bytes, 0)
+             + GREATEST(COALESCE(bandwidth_used, 0) - GREATEST($1, COALESCE(fup_usage_base, 0)), 0)
+           WHERE username = $2`,
+          [run.usage_at_start, run.username]
+        );
+      }
+    }
+
+    await this.db.query('DELETE FROM bandwidth_schedule_runs WHERE schedule_id = $1', [schedule.id]);
+    // Saved limits are kept while another schedule is still in effect for the user
+    await this.db.query(
+      `DELETE FROM bandwidth_base_limits b
+       WHERE b.username = ANY($1)
+         AND NOT EXISTS (SELECT 1 FROM bandwidth_schedule_runs r WHERE r.username = b.username)`,
+      [usernames]
+    );
+    await this.db.query(
+      'UPDATE bandwidth_schedules SET applied = false, last_reverted_at = NOW() WHERE id = $1',
+      [schedule.id]
+    );
+
+    this.logger.info(`Reverted schedule ${schedule.name} (${runs.rows.length} users)`);
+    this.emit('schedule:reverted', { schedule, users: runs.rows.length });
+    return { users: runs.rows.length };
+  }
+
+  /**
+   * Apply schedules whose window opened and revert those whose window closed
+   */
+  async tick(now = new Date()) {
+    const result = await this.db.query(SCHEDULE_SELECT);
+    const changes = [];
+
+    for (const schedule of result.rows) {
+      const shouldApply = schedule.status === 'active' && this.isWindowActive(schedule, now);
+
+      try {
+        if (shouldApply && !schedule.applied) {
+          changes.push({ id: schedule.id, action: 'apply', ...(await this.apply(schedule)) });
+        } else if (!shouldApply && schedule.applied) {
+          changes.push({ id: schedule.id, action: 'revert', ...(await this.revert(schedule)) });
+        }
+      } catch (error) {
+        this.logger.error(`Error running schedule ${schedule.name}:`, error);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.tick();
+      } catch (error) {
+        this.logger.error('Error running bandwidth scheduler:', error);
+      } finally {
+        this.running = false;
+      }
+    }, this.checkInterval);
+
+    this.logger.info('Bandwidth scheduler started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = BandwidthScheduler;
+module.exports.parseDays = parseDays;
+module.exports.slowestRate = slowestRate;
@@ -0,0 +1,505 @@
+// backend/services/deviceRegistry.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { getRouterTargets } = require('./routerTargets');
+const { parseDuration } = require('./mikrotikManager');
+
+const HOST_PATH = '/ip/hotspot/host';
+const USER_PATH = '/ip/hotspot/user';
+const ACTIVE_PATH = '/ip/hotspot/active';
+const COOKIE_PATH = '/ip/hotspot/cookie';
+// Earlier versions bypassed the hotspot for remembered devices; those bindings are cleared
+const BINDING_PATH = '/ip/hotspot/ip-binding';
+const DEFAULT_MAX_DEVICES = 3;
+
+/**
+ * Device error with the HTTP status to answer with
+ */
+class DeviceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'DeviceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalise a MAC to AA:BB:CC:DD:EE:FF (accepts -, : or no separators)
+ */
+function normalizeMac(mac) {
+  const hex = String(mac || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+  if (hex.length !== 12) {
+    throw new DeviceError(`Invalid MAC address: ${mac}`);
+  }
+  return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Locally administered MACs (second-lowest bit of the first octet) are what phones
+ * use for "private Wi-Fi address"; they can change per network or over time
+ */
+function isRandomizedMac(mac) {
+  return (parseInt(normalizeMac(mac).slice(0, 2), 16) & 0x02) !== 0;
+}
+
+/**
+ * Whether the account may be online now
+ */
+function isEntitled(user) {
+  return Boolean(user) && user.status === 'active'
+    && (!user.expiry_date || new Date(user.expiry_date).getTime() > Date.now());
+}
+
+/**
+ * Device Registry
+ * Remembers the devices of each hotspot user (up to the profile's max_devices) so
+ * returning devices are logged in automatically. Without RADIUS the device is logged
+ * in as its owner on the router that reports it as a hotspot host, and the router's
+ * MAC cookie brings it back; the owner's router user carries their profile and an
+ * uptime limit ending at expiry, so rate limits, FUP and accounting all apply. With
+ * RADIUS the router asks by MAC (Calling-Station-Id) instead. Only entitled accounts
+ * get devices logged in. Randomised MACs are flagged and can be re-paired onto an
+ * existing device slot.
+ */
+class DeviceRegistry extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.multiSiteManager = config.multiSiteManager || null;
+    // With RADIUS the router asks us about the MAC instead (login-by=mac)
+    this.routerLogin = config.routerLogin !== false;
+    this.defaultMaxDevices = config.defaultMaxDevices || DEFAULT_MAX_DEVICES;
+    this.checkInterval = config.checkInterval || 300000;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== DEVICES ====================
+   */
+
+  async getDevices(hotspotUserId) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM user_devices
+         WHERE hotspot_user_id = $1 AND status = 'active'
+         ORDER BY last_seen DESC NULLS LAST`,
+        [hotspotUserId]
+      );
+      return result.rows;
+    } catch (error) {
+      this.logger.error('Error getting devices:', error);
+      throw error;
+    }
+  }
+
+  async getDevice(hotspotUserId, deviceId) {
+    const result = await this.db.query(
+      'SELECT * FROM user_devices WHERE id = $1 AND hotspot_user_id = $2',
+      [deviceId, hotspotUserId]
+    );
+    if (result.rows.length === 0) {
+      throw new DeviceError('Device not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * The account with its profile's router name
+   */
+  async getUser(hotspotUserId) {
+    const result = await this.db.query(
+      `SELECT hu.*, hp.name AS profile_name
+       FROM hotspot_users hu
+       LEFT JOIN hotspot_profiles hp ON hp.id = hu.profile_id AND hp.status = 'active'
+       WHERE hu.id = $1`,
+      [hotspotUserId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Device limit from the user's hotspot profile
+   */
+  async getMaxDevices(hotspotUserId) {
+    const result = await this.db.query(
+      `SELECT hp.max_devices
+       FROM hotspot_users hu
+       LEFT JOIN hotspot_profiles hp ON hp.id = hu.profile_id
+       WHERE hu.id = $1`,
+      [hotspotUserId]
+    );
+    const row = result.rows[0];
+    return row && row.max_devices ? row.max_devices : this.defaultMaxDevices;
+  }
+
+  /**
+   * Remember the device a user just logged in from and log it in on its router.
+   * Known devices are refreshed; a new one over the limit is refused with the device
+   * list so it can be re-paired. Accounts that are disabled or expired get nothing.
+   */
+  async registerDevice(hotspotUserId, macAddress, options = {}) {
+    const mac = normalizeMac(macAddress);
+    const randomized = isRandomizedMac(mac);
+
+    try {
+      const user = await this.getUser(hotspotUserId);
+      if (!isEntitled(user)) {
+        throw new DeviceError('This account has no access right now', 403, { code: 'NOT_ENTITLED' });
+      }
+
+      const existing = await this.db.query(
+        'SELECT * FROM user_devices WHERE hotspot_user_id = $1 AND mac_address = $2',
+        [hotspotUserId, mac]
+      );
+
+      if (existing.rows[0] && existing.rows[0].status === 'active') {
+        const result = await this.db.query(
+          `UPDATE user_devices SET last_seen = NOW(), last_ip = COALESCE($2, last_ip)
+           WHERE id = $1 RETURNING *`,
+          [existing.rows[0].id, options.ip || null]
+        );
+        await this.loginDevice(user, result.rows[0], options);
+        return result.rows[0];
+      }
+
+      const [devices, maxDevices] = await Promise.all([
+        this.getDevices(hotspotUserId),
+        this.getMaxDevices(hotspotUserId),
+      ]);
+
+      if (devices.length >= maxDevices) {
+        throw new DeviceError(`Device limit reached (${maxDevices})`, 409, {
+          code: 'DEVICE_LIMIT',
+          macAddress: mac,
+          randomized,
+          maxDevices,
+          devices,
+        });
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO user_devices (
+          hotspot_user_id, mac_address, name, randomized, last_ip, status, first_seen, last_seen
+        ) VALUES ($1, $2, $3, $4, $5, 'active', NOW(), NOW())
+        ON CONFLICT (hotspot_user_id, mac_address) DO UPDATE SET
+          status = 'active', last_ip = EXCLUDED.last_ip, last_seen = NOW()
+        RETURNING *`,
+        [hotspotUserId, mac, options.name || this.defaultName(options.userAgent), randomized, options.ip || null]
+      );
+      const device = result.rows[0];
+
+      await this.loginDevice(user, device, options);
+
+      this.logger.info(`Registered device ${mac} for hotspot user ${hotspotUserId}`);
+      this.emit('device:registered', device);
+      return device;
+    } catch (error) {
+      if (!(error instanceof DeviceError)) {
+        this.logger.error('Error registering device:', error);
+      }
+      throw error;
+    }
+  }
+
+  async renameDevice(hotspotUserId, deviceId, name) {
+    const trimmed = String(name || '').trim().slice(0, 64);
+    if (!trimmed) {
+      throw new DeviceError('Name is required');
+    }
+
+    await this.getDevice(hotspotUserId, deviceId);
+    const result = await this.db.query(
+      'UPDATE user_devices SET name = $1 WHERE id = $2 RETURNING *',
+      [trimmed, deviceId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Forget a device: it has to log in with credentials again next time
+   */
+  async removeDevice(hotspotUserId, deviceId) {
+    try {
+      const device = await this.getDevice(hotspotUserId, deviceId);
+
+      await this.unbindDevice(device);
+      await this.db.query("UPDATE user_devices SET status = 'removed' WHERE id = $1", [deviceId]);
+
+      this.emit('device:removed', device);
+      return { success: true };
+    } catch (error) {
+      if (!(error instanceof DeviceError)) {
+        this.logger.error('Error removing device:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-pair: move an existing device slot (name and history) to a new MAC,
+   * e.g. after a phone rotated its private Wi-Fi address
+   */
+  async repairDevice(hotspotUserId, deviceId, macAddress, options = {}) {
+    const mac = normalizeMac(macAddress);
+
+    try {
+      const device = await this.getDevice(hotspotUserId, deviceId);
+      const user = await this.getUser(hotspotUserId);
+      if (!isEntitled(user)) {
+        throw new DeviceError('This account has no access right now', 403, { code: 'NOT_ENTITLED' });
+      }
+
+      const clash = await this.db.query(
+        `SELECT id FROM user_devices
+         WHERE hotspot_user_id = $1 AND mac_address = $2 AND status = 'active' AND id <> $3`,
+        [hotspotUserId, mac, deviceId]
+      );
+      if (clash.rows.length > 0) {
+        throw new DeviceError('This device is already registered', 409);
+      }
+
+      await this.unbindDevice(device);
+      // A removed record with the new MAC would block the unique key
+      await this.db.query(
+        "DELETE FROM user_devices WHERE hotspot_user_id = $1 AND mac_address = $2 AND status <> 'active'",
+        [hotspotUserId, mac]
+      );
+
+      const result = await this.db.query(
+        `UPDATE user_devices
+         SET mac_address = $2, randomized = $3, previous_mac = $4, last_ip = COALESCE($5, last_ip),
+             status = 'active', repaired_at = NOW(), last_seen = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [deviceId, mac, isRandomizedMac(mac), device.mac_address, options.ip || null]
+      );
+      const repaired = result.rows[0];
+
+      await this.loginDevice(user, repaired, options);
+
+      this.logger.info(`Re-paired device ${deviceId}: ${device.mac_address} -> ${mac}`);
+      this.emit('device:repaired', { device: repaired, previousMac: device.mac_address });
+      return repaired;
+    } catch (error) {
+      if (!(error instanceof DeviceError)) {
+        this.logger.error('Error re-pairing device:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Active device with this MAC; by default only if its owner is still entitled
+   * (RADIUS MAC login). Accounting passes entitledOnly: false to close out sessions.
+   */
+  async findByMac(macAddress, { entitledOnly = true } = {}) {
+    let mac;
+    try {
+      mac = normalizeMac(macAddress);
+    } catch (error) {
+      return null;
+    }
+
+    const result = await this.db.query(
+      `SELECT d.*, hu.username
+       FROM user_devices d
+       JOIN hotspot_users hu ON hu.id = d.hotspot_user_id
+       WHERE d.mac_address = $1 AND d.auto_login = TRUE
+         AND (NOT $2 OR (d.status = 'active' AND hu.status = 'active'
+           AND (hu.expiry_date IS NULL OR hu.expiry_date > NOW())))
+       ORDER BY d.last_seen DESC NULLS LAST
+       LIMIT 1`,
+      [mac, entitledOnly]
+    );
+    return result.rows[0] || null;
+  }
+
+  async touchDevice(deviceId, ip = null) {
+    await this.db.query(
+      'UPDATE user_devices SET last_seen = NOW(), last_ip = COALESCE($2, last_ip) WHERE id = $1',
+      [deviceId, ip]
+    );
+  }
+
+  defaultName(userAgent = '') {
+    if (/iphone|ipad/i.test(userAgent)) return 'iPhone';
+    if (/android/i.test(userAgent)) return 'Android device';
+    if (/windows/i.test(userAgent)) return 'Windows PC';
+    if (/macintosh|mac os/i.test(userAgent)) return 'Mac';
+    return 'New device';
+  }
+
+  /**
+   * ==================== ROUTER LOGIN ====================
+   */
+
+  bindingComment(device) {
+    return `device:${device.id}`;
+  }
+
+  async getRouters() {
+    return getRouterTargets(this.db, {
+      mikrotikManager: this.mikrotikManager,
+      multiSiteManager: this.multiSiteManager,
+    });
+  }
+
+  /**
+   * Log the device in as its owner on the router that reports it as a hotspot host
+   * (at `ip`, when given). The MAC must be one the router sees; the address used is
+   * the router's. Resolves to the router's name, or null when no router has the device.
+   */
+  async loginDevice(user, device, { ip } = {}) {
+    if (!this.routerLogin) return null;
+
+    for (const router of await this.getRouters()) {
+      try {
+        const hosts = (await router.print(HOST_PATH, { 'mac-address': device.mac_address })) || [];
+        const host = hosts.find((h) => String(h['mac-address']).toUpperCase() === device.mac_address
+          && (!ip || h.address === ip));
+        if (!host) continue;
+
+        const password = await this.provisionRouterUser(router, user);
+        await router.command(`${ACTIVE_PATH}/login`, {
+          user: user.username,
+          password,
+          'mac-address': device.mac_address,
+          ip: host.address,
+        });
+
+        this.logger.info(`Logged device ${device.mac_address} in as ${user.username} on ${router.name}`);
+        return router.name;
+      } catch (error) {
+        this.logger.error(`Error logging device ${device.mac_address} in on ${router.name}:`, error.message);
+      }
+    }
+
+    this.logger.info(`Device ${device.mac_address} is not a hotspot host on any router`);
+    return null;
+  }
+
+  /**
+   * Create or refresh the owner's router user: their profile, and an uptime limit
+   * that runs out when the account expires. Resolves to the password to log in with.
+   */
+  async provisionRouterUser(router, user) {
+    // Hashed passwords cannot be given to the router; those accounts get a throwaway one
+    const password = user.password && !user.password.startsWith('$2')
+      ? user.password
+      : crypto.randomBytes(9).toString('base64');
+    const [existing] = (await router.print(USER_PATH, { name: user.username })) || [];
+
+    const remaining = user.expiry_date
+      ? Math.max(Math.ceil((new Date(user.expiry_date).getTime() - Date.now()) / 1000), 1)
+      : 0;
+    const data = {
+      password,
+      // limit-uptime counts all the user's sessions, so it is set past what they have used
+      'limit-uptime': remaining ? parseDuration(existing && existing.uptime) + remaining : 0,
+      disabled: 'no',
+    };
+    if (user.profile_name) {
+      data.profile = user.profile_name;
+    }
+
+    if (existing) {
+      await router.set(USER_PATH, existing['.id'], data);
+    } else {
+      await router.add(USER_PATH, { name: user.username, ...data });
+    }
+    return password;
+  }
+
+  /**
+   * Stop logging the device in automatically: its MAC cookies go (and any bypass left
+   * by earlier versions). With `logout` its sessions are ended as well.
+   */
+  async unbindDevice(device, { logout = false } = {}) {
+    if (!this.routerLogin) return;
+
+    const comment = this.bindingComment(device);
+    for (const router of await this.getRouters()) {
+      try {
+        const menus = [
+          [COOKIE_PATH, (await router.print(COOKIE_PATH, { 'mac-address': device.mac_address })) || []],
+          [BINDING_PATH, ((await router.print(BINDING_PATH)) || []).filter((b) => b.comment === comment)],
+        ];
+        if (logout) {
+          menus.push([ACTIVE_PATH, (await router.print(ACTIVE_PATH, { 'mac-address': device.mac_address })) || []]);
+        }
+
+        for (const [path, items] of menus) {
+          for (const item of items) {
+            await router.remove(path, item['.id']);
+          }
+        }
+      } catch (error) {
+        this.logger.error(`Error unbinding device ${device.mac_address} on ${router.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Log out devices of users who expired or were disabled (all, or one user's); they
+   * come back on next login
+   */
+  async suspendExpired(hotspotUserId = null) {
+    const result = await this.db.query(
+      `SELECT d.*
+       FROM user_devices d
+       JOIN hotspot_users hu ON hu.id = d.hotspot_user_id
+       WHERE d.status = 'active'
+         AND (hu.status <> 'active' OR hu.expiry_date <= NOW())
+         AND ($1::int IS NULL OR d.hotspot_user_id = $1)`,
+      [hotspotUserId]
+    );
+
+    for (const device of result.rows) {
+      await this.unbindDevice(device, { logout: true });
+      await this.db.query("UPDATE user_devices SET status = 'suspended' WHERE id = $1", [device.id]);
+    }
+
+    if (result.rows.length > 0) {
+      this.logger.info(`Suspended auto-login for ${result.rows.length} devices`);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.suspendExpired();
+      } catch (error) {
+        this.logger.error('Error suspending expired devices:', error);
+      } finally {
+        this.running = false;
+      }
+    }, this.checkInterval);
+
+    this.logger.info('Device registry started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = DeviceRegistry;
+module.exports.DeviceError = DeviceError;
+module.exports.normalizeMac = normalizeMac;
+module.exports.isRandomizedMac = isRandomizedMac;
+module.exports.isEntitled = isEntitled;
@@ -0,0 +1,572 @@
+// backend/services/fupEngine.js
+const EventEmitter = require('events');
+
+const GIGABYTE = 1024 * 1024 * 1024;
+// Tier 0 speed of a policy without fullRateLimit
+const DEFAULT_FULL_RATE = '10M/10M';
+
+/**
+ * Fair Usage Policy Engine
+ * Polls per-user usage, applies tiered throttling when thresholds are crossed,
+ * resets at the start of each billing cycle and notifies users at every tier.
+ *
+ * A policy's tiers are ordered by threshold, e.g.
+ *   [{ thresholdGB: 10, rateLimit: '2M/2M' }, { thresholdGB: 20, action: 'block' }]
+ * Tier 0 is full speed (the policy's fullRateLimit).
+ */
+class FUPEngine extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.coaClient = config.coaClient || null;
+    this.outbox = config.outbox || null;
+    // Schedules in effect can slow a queue down further (BandwidthScheduler)
+    this.bandwidthScheduler = config.bandwidthScheduler || null;
+    // RADIUS: limits travel as Mikrotik-Rate-Limit via CoA; otherwise via router queues
+    this.radiusEnabled = config.radiusEnabled || false;
+    this.pollInterval = config.pollInterval || 60000;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== POLICIES ====================
+   */
+
+  /**
+   * Create FUP policy
+   */
+  async createPolicy(policyData) {
+    try {
+      const { name, description, fullRateLimit, resetPeriod, resetDay, tiers, isDefault } = policyData;
+
+      const result = await this.db.query(
+        `INSERT INTO fup_policies (name, description, full_rate_limit, reset_period, reset_day, tiers, is_default, status, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', NOW())
+         RETURNING *`,
+        [
+          name,
+          description,
+          fullRateLimit || null,
+          resetPeriod || 'monthly',
+          resetDay || 1,
+          JSON.stringify(this.normalizeTiers(tiers)),
+          isDefault || false,
+        ]
+      );
+
+      if (isDefault) {
+        await this.db.query('UPDATE fup_policies SET is_default = false WHERE id != $1', [result.rows[0].id]);
+      }
+
+      this.logger.info(`Created FUP policy: ${name}`);
+      this.emit('policy:created', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error creating FUP policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update FUP policy
+   */
+  async updatePolicy(policyId, updates) {
+    try {
+      const fields = {
+        name: updates.name,
+        description: updates.description,
+        full_rate_limit: updates.fullRateLimit,
+        reset_period: updates.resetPeriod,
+        reset_day: updates.resetDay,
+        tiers: updates.tiers ? JSON.stringify(this.normalizeTiers(updates.tiers)) : undefined,
+        is_default: updates.isDefault,
+        status: updates.status,
+      };
+
+      const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+      if (entries.length === 0) {
+        throw new Error('Nothing to update');
+      }
+
+      const result = await this.db.query(
+        `UPDATE fup_policies
+         SET ${entries.map(([key], i) => `${key} = $${i + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [policyId, ...entries.map(([, value]) => value)]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Policy not found');
+      }
+
+      if (updates.isDefault) {
+        await this.db.query('UPDATE fup_policies SET is_default = false WHERE id != $1', [policyId]);
+      }
+
+      this.emit('policy:updated', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error updating FUP policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all policies
+   */
+  async getPolicies() {
+    try {
+      const result = await this.db.query(
+        `SELECT p.*, COUNT(u.id) AS user_count
+         FROM fup_policies p
+         LEFT JOIN hotspot_users u ON u.fup_policy_id = p.id
+         WHERE p.status != 'deleted'
+         GROUP BY p.id
+         ORDER BY p.created_at DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      this.logger.error('Error getting FUP policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a policy; its users fall back to the default policy
+   */
+  async deletePolicy(policyId) {
+    try {
+      await this.db.query('UPDATE hotspot_users SET fup_policy_id = NULL WHERE fup_policy_id = $1', [policyId]);
+      await this.db.query(
+        "UPDATE fup_policies SET status = 'deleted', is_default = false, updated_at = NOW() WHERE id = $1",
+        [policyId]
+      );
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Error deleting FUP policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a user on a policy (null = default policy)
+   */
+  async assignPolicy(username, policyId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE hotspot_users SET fup_policy_id = $1, updated_at = NOW()
+         WHERE username = $2
+         RETURNING *`,
+        [policyId, username]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      return this.evaluateUser(result.rows[0]);
+    } catch (error) {
+      this.logger.error('Error assigning FUP policy:', error);
+      throw error;
+    }
+  }
+
+  normalizeTiers(tiers = []) {
+    return tiers
+      .map((tier) => ({
+        thresholdGB: Number(tier.thresholdGB),
+        action: tier.action === 'block' ? 'block' : 'throttle',
+        rateLimit: tier.rateLimit || null,
+        notify: tier.notify !== false,
+      }))
+      .filter((tier) => tier.thresholdGB > 0 && (tier.action === 'block' || tier.rateLimit))
+      .sort((a, b) => a.thresholdGB - b.thresholdGB);
+  }
+
+  /**
+   * ==================== EVALUATION ====================
+   */
+
+  /**
+   * Start of the billing cycle containing `now`
+   */
+  getCycleStart(policy, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+
+    switch (policy.reset_period) {
+      case 'daily':
+        return start;
+      case 'weekly': {
+        // reset_day: 0 = Sunday ... 6 = Saturday
+        const diff = (start.getDay() - (policy.reset_day % 7) + 7) % 7;
+        start.setDate(start.getDate() - diff);
+        return start;
+      }
+      case 'monthly': {
+        const day = Math.min(Math.max(policy.reset_day || 1, 1), 28);
+        const beforeResetDay = start.getDate() < day;
+        start.setDate(day);
+        if (beforeResetDay) start.setMonth(start.getMonth() - 1);
+        return start;
+      }
+      default:
+        // 'none': one cycle for the lifetime of the account
+        return new Date(0);
+    }
+  }
+
+  /**
+   * Index of the tier for `usedBytes` (0 = full speed)
+   */
+  getTierIndex(policy, usedBytes) {
+    const tiers = policy.tiers || [];
+    let index = 0;
+    tiers.forEach((tier, i) => {
+      if (usedBytes >= tier.thresholdGB * GIGABYTE) index = i + 1;
+    });
+    return index;
+  }
+
+  /**
+   * Usage this cycle, minus traffic in unmetered schedule windows (see bandwidthScheduler):
+   * closed windows are in fup_free_bytes, an open one counts from `unmeteredSince`
+   */
+  getCycleUsage(user, unmeteredSince = null) {
+    const used = Number(user.bandwidth_used || 0);
+    const base = Number(user.fup_usage_base || 0);
+    const open = unmeteredSince === null ? 0 : Math.max(0, used - Math.max(Number(unmeteredSince), base));
+    return Math.max(0, used - base - Number(user.fup_free_bytes || 0) - open);
+  }
+
+  /**
+   * Usage counter at the start of each user's earliest open schedule window that does
+   * not count toward the quota: Map username -> bytes
+   */
+  async getUnmeteredSince(usernames = null) {
+    const result = await this.db.query(
+      `SELECT r.username, MIN(r.usage_at_start) AS usage_at_start
+       FROM bandwidth_schedule_runs r
+       JOIN bandwidth_schedules s ON s.id = r.schedule_id
+       WHERE s.counts_toward_quota = false
+         AND ($1::text[] IS NULL OR r.username = ANY($1))
+       GROUP BY r.username`,
+      [usernames]
+    );
+    return new Map(result.rows.map((row) => [row.username, Number(row.usage_at_start || 0)]));
+  }
+
+  async getDefaultPolicy() {
+    const result = await this.db.query(
+      "SELECT * FROM fup_policies WHERE is_default = true AND status = 'active' LIMIT 1"
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Evaluate one user: reset on a new cycle, apply the tier if it changed
+   */
+  async evaluateUser(user, policy = null, unmetered = null) {
+    const activePolicy = policy || (user.fup_policy_id
+      ? (await this.db.query('SELECT * FROM fup_policies WHERE id = $1', [user.fup_policy_id])).rows[0]
+      : await this.getDefaultPolicy());
+
+    if (!activePolicy) {
+      return { username: user.username, policy: null };
+    }
+
+    let current = user;
+    const cycleStart = this.getCycleStart(activePolicy);
+    if (!current.fup_cycle_start || new Date(current.fup_cycle_start) < cycleStart) {
+      current = await this.resetUser(current, activePolicy, cycleStart);
+    }
+
+    const since = (unmetered || await this.getUnmeteredSince([current.username])).get(current.username);
+    const used = this.getCycleUsage(current, since === undefined ? null : since);
+    const tierIndex = this.getTierIndex(activePolicy, used);
+
+    const previousTier = Number(current.fup_tier || 0);
+    if (tierIndex !== previousTier) {
+      current = await this.applyTier(current, activePolicy, tierIndex);
+      if (tierIndex > previousTier) {
+        await this.notifyTier(current, activePolicy, tierIndex, used);
+      }
+    } else if (current.fup_enforce_pending) {
+      await this.enforceTier(current, activePolicy);
+    }
+
+    return {
+      username: current.username,
+      policy: activePolicy.name,
+      tier: tierIndex,
+      usedBytes: used,
+      cycleStart: current.fup_cycle_start,
+      rateLimit: current.fup_rate_limit,
+      blocked: current.fup_blocked,
+    };
+  }
+
+  /**
+   * Evaluate every active user
+   */
+  async runOnce() {
+    if (!this.radiusEnabled && this.mikrotikManager) {
+      await this.collectRouterCounters();
+    }
+
+    const [usersResult, defaultPolicy, policiesResult, unmetered] = await Promise.all([
+      this.db.query("SELECT * FROM hotspot_users WHERE status = 'active'"),
+      this.getDefaultPolicy(),
+      this.db.query("SELECT * FROM fup_policies WHERE status = 'active'"),
+      this.getUnmeteredSince(),
+    ]);
+
+    const policies = new Map(policiesResult.rows.map((p) => [p.id, p]));
+    let changed = 0;
+
+    for (const user of usersResult.rows) {
+      const policy = user.fup_policy_id ? policies.get(user.fup_policy_id) : defaultPolicy;
+      if (!policy) continue;
+
+      try {
+        const result = await this.evaluateUser(user, policy, unmetered);
+        if (result.tier !== Number(user.fup_tier || 0)) changed += 1;
+      } catch (error) {
+        this.logger.error(`Error evaluating FUP for ${user.username}:`, error);
+      }
+    }
+
+    return { evaluated: usersResult.rows.length, changed };
+  }
+
+  /**
+   * Without RADIUS accounting the router's per-user counters are the source of usage.
+   * They restart from zero when the router reboots or the user is recreated, so only the
+   * growth since the last poll is added (or the whole counter once it has gone backwards).
+   */
+  async collectRouterCounters() {
+    try {
+      const routerUsers = await this.mikrotikManager.print('/ip/hotspot/user');
+
+      for (const routerUser of routerUsers) {
+        const total = Number(routerUser['bytes-in'] || 0) + Number(routerUser['bytes-out'] || 0);
+        await this.db.query(
+          `UPDATE hotspot_users
+           SET bandwidth_used = COALESCE(bandwidth_used, 0) + CASE
+                 WHEN $1 >= COALESCE(router_bytes_seen, 0) THEN $1 - COALESCE(router_bytes_seen, 0)
+                 ELSE $1
+               END,
+               router_bytes_seen = $1
+           WHERE username = $2`,
+          [total, routerUser.name]
+        );
+      }
+    } catch (error) {
+      this.logger.error(`Error collecting router counters: ${error.message}`);
+    }
+  }
+
+  /**
+   * ==================== ENFORCEMENT ====================
+   */
+
+  /**
+   * Record the tier, then enforce it. The row stays marked fup_enforce_pending until the
+   * router or NAS has taken the change, and evaluateUser retries it on every run until then.
+   */
+  async applyTier(user, policy, tierIndex) {
+    const tier = tierIndex > 0 ? policy.tiers[tierIndex - 1] : null;
+    const blocked = Boolean(tier && tier.action === 'block');
+    const rateLimit = tier && !blocked ? tier.rateLimit : null;
+
+    const result = await this.db.query(
+      `UPDATE hotspot_users
+       SET fup_tier = $1, fup_rate_limit = $2, fup_blocked = $3, fup_enforce_pending = true, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [tierIndex, rateLimit, blocked, user.id]
+    );
+    let updated = result.rows[0];
+
+    if (await this.enforceTier(updated, policy)) {
+      updated = { ...updated, fup_enforce_pending: false };
+    }
+
+    this.logger.info(`FUP: ${user.username} moved to tier ${tierIndex} (${blocked ? 'blocked' : rateLimit || 'full speed'})`);
+    this.emit('tier:changed', { user: updated, policy, tier: tierIndex });
+    return updated;
+  }
+
+  /**
+   * Push the recorded tier to the NAS (CoA) or router; true once it has been taken
+   */
+  async enforceTier(user, policy) {
+    try {
+      if (this.radiusEnabled && this.coaClient) {
+        // RadiusServer.buildReplyAttributes honours fup_rate_limit/fup_blocked
+        const results = await this.coaClient.syncUser(user.username, 'fup');
+        const failed = (results || []).filter((r) => !r.acked);
+        if (failed.length > 0) {
+          throw new Error(`${failed.length} session(s) did not acknowledge the change`);
+        }
+      } else if (this.mikrotikManager
+        && !(await this.applyOnRouter(user.username, policy, user.fup_rate_limit, user.fup_blocked))) {
+        // Offline without a queue: retried until the user's next session
+        return false;
+      }
+
+      await this.db.query(
+        'UPDATE hotspot_users SET fup_enforce_pending = false WHERE id = $1 AND fup_tier = $2',
+        [user.id, user.fup_tier]
+      );
+      return true;
+    } catch (error) {
+      this.logger.error(`Error enforcing FUP tier for ${user.username}, will retry: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Disable the hotspot user or set its simple queue (created on the session's address
+   * when missing); false when there is no queue and no session to put one on yet
+   */
+  async applyOnRouter(username, policy, rateLimit, blocked) {
+    const fullRate = policy.full_rate_limit || DEFAULT_FULL_RATE;
+    const rate = (this.bandwidthScheduler
+      ? await this.bandwidthScheduler.getEffectiveRate(username, rateLimit)
+      : rateLimit) || fullRate;
+
+    await this.mikrotikManager.updateHotspotUser(username, { disabled: blocked ? 'yes' : 'no' });
+
+    if (blocked) {
+      const sessions = await this.mikrotikManager.getActiveSessions();
+      for (const session of sessions.filter((s) => s.user === username)) {
+        await this.mikrotikManager.disconnectSession(session.id);
+      }
+      return true;
+    }
+
+    const bandwidth = { maxLimit: rate, limitAt: rate, burstLimit: rate };
+    const queues = await this.mikrotikManager.getQueues();
+    if (queues.some((q) => q.name === `queue-${username}`)) {
+      await this.mikrotikManager.updateQueueBandwidth(username, bandwidth);
+      return true;
+    }
+
+    const session = (await this.mikrotikManager.getActiveSessions()).find((s) => s.user === username);
+    if (!session) {
+      // Nothing to slow down; a full speed tier needs no queue at all
+      return !rateLimit;
+    }
+    await this.mikrotikManager.createQueue(username, { ...bandwidth, target: `${session.ipAddress}/32` });
+    return true;
+  }
+
+  /**
+   * New billing cycle: usage counts from here, back to full speed
+   */
+  async resetUser(user, policy, cycleStart = this.getCycleStart(policy)) {
+    const result = await this.db.query(
+      `UPDATE hotspot_users
+       SET fup_usage_base = COALESCE(bandwidth_used, 0), fup_free_bytes = 0, fup_cycle_start = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [cycleStart, user.id]
+    );
+
+    let updated = result.rows[0];
+    if (Number(user.fup_tier || 0) !== 0) {
+      updated = await this.applyTier(updated, policy, 0);
+    }
+
+    this.emit('cycle:reset', { user: updated, policy });
+    return updated;
+  }
+
+  /**
+   * Manually reset a user's cycle (e.g. after a top-up)
+   */
+  async resetUserByName(username) {
+    const result = await this.db.query('SELECT * FROM hotspot_users WHERE username = $1', [username]);
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const user = result.rows[0];
+    const policy = user.fup_policy_id
+      ? (await this.db.query('SELECT * FROM fup_policies WHERE id = $1', [user.fup_policy_id])).rows[0]
+      : await this.getDefaultPolicy();
+    if (!policy) {
+      throw new Error('No FUP policy applies to this user');
+    }
+
+    const reset = await this.resetUser(user, policy, new Date());
+    return this.evaluateUser(reset, policy);
+  }
+
+  async notifyTier(user, policy, tierIndex, usedBytes) {
+    const tier = policy.tiers[tierIndex - 1];
+    if (!this.outbox || !tier || !tier.notify) return;
+
+    const usedGB = (usedBytes / GIGABYTE).toFixed(2);
+    const message = tier.action === 'block'
+      ? `You have used ${usedGB} GB and reached the fair usage limit of your plan. Access is paused until your next billing cycle.`
+      : `You have used ${usedGB} GB this cycle. Your speed is now limited to ${tier.rateLimit} until your next billing cycle.`;
+
+    if (user.email) {
+      await this.outbox.enqueue({
+        channel: 'email',
+        type: 'fup_threshold',
+        hotspotUserId: user.id,
+        recipient: user.email,
+        subject: 'Fair usage limit reached',
+        message: `<p>${message}</p>`,
+      });
+    }
+
+    if (user.phone) {
+      await this.outbox.enqueue({
+        channel: 'sms',
+        type: 'fup_threshold',
+        hotspotUserId: user.id,
+        recipient: user.phone,
+        message,
+      });
+    }
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.logger.error('Error running FUP engine:', error);
+      } finally {
+        this.running = false;
+      }
+    }, this.pollInterval);
+
+    this.logger.info('FUP engine started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = FUPEngine;
+module.exports.DEFAULT_FULL_RATE = DEFAULT_FULL_RATE;
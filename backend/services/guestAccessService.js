@@ -0,0 +1,428 @@
+// backend/services/guestAccessService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { normalizeMac } = require('./deviceRegistry');
+
+/**
+ * Guest access error with the HTTP status to answer with (and seconds to wait for 429s)
+ */
+class GuestAccessError extends Error {
+  constructor(message, status = 400, retryAfter = null) {
+    super(message);
+    this.name = 'GuestAccessError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  profile_id: null,
+  session_minutes: 30,
+  daily_minutes: 30,
+  cooldown_minutes: 60,
+};
+
+/**
+ * Guest Access Service
+ * Click-through free access for sites that don't sell anything: the guest accepts the
+ * current terms version and gets a short session on the site's guest profile (which
+ * carries the speed limit). Every acceptance is recorded with MAC, IP and terms version.
+ * Free minutes are capped per MAC per day, with a cooldown between sessions.
+ * Settings and terms are per site, falling back to the global (site_id NULL) ones.
+ * The guest is logged in as a guest account on that profile (deviceRegistry), and
+ * the session and MAC cookie are taken away the moment the grant runs out.
+ */
+class GuestAccessService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.deviceRegistry = config.deviceRegistry || null;
+    // Grants still running, ended on time by a timer each (hotspot user id -> timer)
+    this.expiryTimers = new Map();
+  }
+
+  /**
+   * ==================== SETTINGS ====================
+   */
+
+  /**
+   * Effective settings for a site (site row, else global row, else defaults)
+   */
+  async getSettings(siteId = null) {
+    try {
+      const result = await this.db.query(
+        `SELECT s.*, p.name AS profile_name, p.rate_limit AS profile_rate_limit
+         FROM guest_access_settings s
+         LEFT JOIN hotspot_profiles p ON p.id = s.profile_id
+         WHERE s.site_id IS NOT DISTINCT FROM $1 OR s.site_id IS NULL
+         ORDER BY s.site_id NULLS LAST
+         LIMIT 1`,
+        [siteId || null]
+      );
+
+      return result.rows[0] || { ...DEFAULT_SETTINGS, site_id: null };
+    } catch (error) {
+      this.logger.error('Error getting guest access settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save settings for a site (or global with no siteId)
+   * { enabled, profileId, sessionMinutes, dailyMinutes, cooldownMinutes }
+   */
+  async updateSettings(siteId, settings) {
+    try {
+      const current = await this.getSettings(siteId);
+      const pick = (value, fallback) => (value !== undefined ? value : fallback);
+
+      const values = {
+        enabled: Boolean(pick(settings.enabled, current.enabled)),
+        profileId: pick(settings.profileId, current.profile_id) || null,
+        sessionMinutes: parseInt(pick(settings.sessionMinutes, current.session_minutes), 10),
+        dailyMinutes: parseInt(pick(settings.dailyMinutes, current.daily_minutes), 10),
+        cooldownMinutes: parseInt(pick(settings.cooldownMinutes, current.cooldown_minutes), 10),
+      };
+
+      if (!(values.sessionMinutes > 0) || !(values.dailyMinutes > 0) || !(values.cooldownMinutes >= 0)) {
+        throw new GuestAccessError('Minutes must be positive numbers');
+      }
+      if (values.enabled && !values.profileId) {
+        throw new GuestAccessError('A guest profile is required to enable free access');
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO guest_access_settings (
+          site_id, enabled, profile_id, session_minutes, daily_minutes, cooldown_minutes, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT ((COALESCE(site_id, 0))) DO UPDATE SET
+          enabled = EXCLUDED.enabled,
+          profile_id = EXCLUDED.profile_id,
+          session_minutes = EXCLUDED.session_minutes,
+          daily_minutes = EXCLUDED.daily_minutes,
+          cooldown_minutes = EXCLUDED.cooldown_minutes,
+          updated_at = NOW()
+        RETURNING *`,
+        [
+          siteId || null,
+          values.enabled,
+          values.profileId,
+          values.sessionMinutes,
+          values.dailyMinutes,
+          values.cooldownMinutes,
+        ]
+      );
+
+      this.logger.info(`Guest access ${values.enabled ? 'enabled' : 'disabled'} for ${siteId ? `site ${siteId}` : 'all sites'}`);
+      this.emit('guest:settings', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      if (!(error instanceof GuestAccessError)) {
+        this.logger.error('Error updating guest access settings:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== TERMS ====================
+   */
+
+  /**
+   * Publish a new terms version for a site (or global); versions are never edited
+   */
+  async publishTerms(siteId, { title, body }, publishedBy = null) {
+    if (!body || !String(body).trim()) {
+      throw new GuestAccessError('Terms text is required');
+    }
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO terms_versions (site_id, version, title, body, published_by, published_at)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, NOW()
+         FROM terms_versions
+         WHERE site_id IS NOT DISTINCT FROM $1
+         RETURNING *`,
+        [siteId || null, title || 'Terms of Use', body, publishedBy]
+      );
+
+      const terms = result.rows[0];
+      this.logger.info(`Published terms v${terms.version} for ${siteId ? `site ${siteId}` : 'all sites'}`);
+      this.emit('terms:published', terms);
+      return terms;
+    } catch (error) {
+      this.logger.error('Error publishing terms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All versions for a site (or the global ones), newest first
+   */
+  async getTermsVersions(siteId = null) {
+    const result = await this.db.query(
+      `SELECT t.*, COUNT(a.id)::int AS acceptances
+       FROM terms_versions t
+       LEFT JOIN terms_acceptances a ON a.terms_version_id = t.id
+       WHERE t.site_id IS NOT DISTINCT FROM $1
+       GROUP BY t.id
+       ORDER BY t.version DESC`,
+      [siteId || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Terms guests must accept on a site: its latest version, else the latest global one
+   */
+  async getCurrentTerms(siteId = null) {
+    const result = await this.db.query(
+      `SELECT * FROM terms_versions
+       WHERE site_id IS NOT DISTINCT FROM $1 OR site_id IS NULL
+       ORDER BY site_id NULLS LAST, version DESC
+       LIMIT 1`,
+      [siteId || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Acceptance records for compliance requests
+   * { siteId, mac, from, to, limit, offset }
+   */
+  async getAcceptances(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.siteId) {
+      params.push(filters.siteId);
+      conditions.push(`a.site_id = $${params.length}`);
+    }
+    if (filters.mac) {
+      params.push(normalizeMac(filters.mac));
+      conditions.push(`a.mac_address = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`a.accepted_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`a.accepted_at < $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(filters.limit, 10) || 100, 1000));
+    params.push(parseInt(filters.offset, 10) || 0);
+
+    const result = await this.db.query(
+      `SELECT a.*, t.version AS terms_version, t.title AS terms_title
+       FROM terms_acceptances a
+       JOIN terms_versions t ON t.id = a.terms_version_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.accepted_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * ==================== FREE ACCESS ====================
+   */
+
+  /**
+   * Minutes left today and when the device may start another session
+   */
+  async getAllowance(siteId, mac, settings, client = this.db) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(minutes), 0)::int AS used_minutes, MAX(expires_at) AS last_expires_at
+       FROM guest_access_grants
+       WHERE mac_address = $1 AND site_id IS NOT DISTINCT FROM $2 AND granted_at >= date_trunc('day', NOW())`,
+      [mac, siteId || null]
+    );
+    const { used_minutes: usedMinutes, last_expires_at: lastExpiresAt } = result.rows[0];
+
+    const remainingMinutes = Math.max(settings.daily_minutes - usedMinutes, 0);
+    const availableAt = lastExpiresAt
+      ? new Date(new Date(lastExpiresAt).getTime() + settings.cooldown_minutes * 60 * 1000)
+      : null;
+
+    return {
+      usedMinutes,
+      remainingMinutes,
+      availableAt: availableAt && availableAt > new Date() ? availableAt : null,
+    };
+  }
+
+  /**
+   * What the portal shows a device: whether free access is on, the terms and the allowance
+   */
+  async getGuestStatus(siteId, macAddress) {
+    const settings = await this.getSettings(siteId);
+    if (!settings.enabled) {
+      return { enabled: false };
+    }
+
+    const terms = await this.getCurrentTerms(siteId);
+    const status = {
+      enabled: Boolean(terms),
+      sessionMinutes: settings.session_minutes,
+      dailyMinutes: settings.daily_minutes,
+      rateLimit: settings.profile_rate_limit || null,
+      terms: terms && { id: terms.id, version: terms.version, title: terms.title, body: terms.body },
+    };
+
+    if (macAddress) {
+      Object.assign(status, await this.getAllowance(siteId, normalizeMac(macAddress), settings));
+    }
+    return status;
+  }
+
+  /**
+   * Record acceptance of the terms and start a free session for the device.
+   * Returns the guest hotspot account (one per MAC) with its new expiry.
+   */
+  async acceptTerms({ siteId, termsVersionId, macAddress, ip, userAgent }) {
+    if (!macAddress) {
+      throw new GuestAccessError('Free access needs the device MAC, please reconnect to the WiFi');
+    }
+    const mac = normalizeMac(macAddress);
+
+    const settings = await this.getSettings(siteId);
+    if (!settings.enabled) {
+      throw new GuestAccessError('Free access is not available here', 403);
+    }
+
+    const terms = await this.getCurrentTerms(siteId);
+    if (!terms || terms.id !== parseInt(termsVersionId, 10)) {
+      throw new GuestAccessError('The terms have changed, please review them again', 409);
+    }
+
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      // One grant at a time per device
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`guest:${mac}`]);
+
+      const acceptance = await client.query(
+        `INSERT INTO terms_acceptances (terms_version_id, site_id, mac_address, ip_address, user_agent, accepted_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [terms.id, siteId || null, mac, ip || null, userAgent || null]
+      );
+
+      const allowance = await this.getAllowance(siteId, mac, settings, client);
+      if (allowance.remainingMinutes <= 0) {
+        // The acceptance stays on record even when no session is granted
+        await client.query('COMMIT');
+        throw new GuestAccessError('Free access for today is used up on this device', 429, this.secondsUntilTomorrow());
+      }
+      if (allowance.availableAt) {
+        await client.query('COMMIT');
+        const wait = Math.ceil((allowance.availableAt.getTime() - Date.now()) / 1000);
+        throw new GuestAccessError(`Free access is available again in ${Math.ceil(wait / 60)} minutes`, 429, wait);
+      }
+
+      const minutes = Math.min(settings.session_minutes, allowance.remainingMinutes);
+      const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+      const userResult = await client.query(
+        `INSERT INTO hotspot_users (username, password, expiry_date, profile_id, status, created_at)
+         VALUES ($1, $2, $3, $4, 'active', NOW())
+         ON CONFLICT (username) DO UPDATE SET
+           expiry_date = EXCLUDED.expiry_date, profile_id = EXCLUDED.profile_id, updated_at = NOW()
+         RETURNING *`,
+        [`guest-${mac.replace(/:/g, '')}`, crypto.randomBytes(6).toString('hex'), expiresAt, settings.profile_id]
+      );
+      const user = userResult.rows[0];
+
+      const grant = await client.query(
+        `INSERT INTO guest_access_grants (
+          site_id, mac_address, hotspot_user_id, terms_acceptance_id, minutes, granted_at, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, NOW(), $6)
+        RETURNING *`,
+        [siteId || null, mac, user.id, acceptance.rows[0].id, minutes, expiresAt]
+      );
+      await client.query(
+        'UPDATE terms_acceptances SET hotspot_user_id = $1 WHERE id = $2',
+        [user.id, acceptance.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Free access for ${mac}: ${minutes} minutes (terms v${terms.version})`);
+      this.scheduleExpiry(grant.rows[0]);
+      this.emit('guest:granted', { user, grant: grant.rows[0] });
+      return { user, grant: grant.rows[0], minutes, expiresAt };
+    } catch (error) {
+      if (!(error instanceof GuestAccessError)) {
+        await client.query('ROLLBACK');
+        this.logger.error('Error granting free access:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  secondsUntilTomorrow() {
+    const tomorrow = new Date();
+    tomorrow.setHours(24, 0, 0, 0);
+    return Math.ceil((tomorrow.getTime() - Date.now()) / 1000);
+  }
+
+  /**
+   * ==================== EXPIRY ====================
+   */
+
+  /**
+   * End the guest's access when the grant runs out. The router's uptime limit only
+   * counts time online, so a device that left and came back on its MAC cookie would
+   * otherwise stay online until the device registry's next sweep.
+   */
+  scheduleExpiry(grant) {
+    if (!this.deviceRegistry) return;
+
+    const userId = grant.hotspot_user_id;
+    clearTimeout(this.expiryTimers.get(userId));
+
+    // A second late, so the account has expired by the database's clock too
+    const delay = Math.max(new Date(grant.expires_at).getTime() - Date.now(), 0) + 1000;
+    const timer = setTimeout(async () => {
+      this.expiryTimers.delete(userId);
+      try {
+        await this.deviceRegistry.suspendExpired(userId);
+      } catch (error) {
+        this.logger.error(`Error ending free access for ${grant.mac_address}:`, error);
+      }
+    }, delay);
+    timer.unref();
+    this.expiryTimers.set(userId, timer);
+  }
+
+  /**
+   * Pick up the timers of grants from before a restart; ones that ran out meanwhile
+   * end right away
+   */
+  async start() {
+    const result = await this.db.query(
+      `SELECT DISTINCT ON (hotspot_user_id) *
+       FROM guest_access_grants
+       WHERE expires_at > NOW() - INTERVAL '1 day'
+       ORDER BY hotspot_user_id, expires_at DESC`
+    );
+    result.rows.forEach((grant) => this.scheduleExpiry(grant));
+    this.logger.info(`Guest access started (${result.rows.length} grants tracked)`);
+  }
+
+  stop() {
+    this.expiryTimers.forEach((timer) => clearTimeout(timer));
+    this.expiryTimers.clear();
+  }
+}
+
+module.exports = GuestAccessService;
+module.exports.GuestAccessError = GuestAccessError;
@@ -0,0 +1,349 @@
+// backend/services/hotspotProfileService.js
+const EventEmitter = require('events');
+const { getRouterTargets } = require('./routerTargets');
+
+const PROFILE_PATH = '/ip/hotspot/user/profile';
+
+// RouterOS ships this profile and refuses to remove it
+const BUILTIN_PROFILE = 'default';
+
+// What RouterOS reports for a property that is not set; sent when a field is cleared so
+// the router drops the old value instead of keeping it
+const UNSET_VALUES = {
+  'shared-users': '1',
+  'rate-limit': '',
+  'idle-timeout': 'none',
+  'keepalive-timeout': '2m',
+  'session-timeout': '0s',
+  'address-list': '',
+  'on-login': '',
+  'on-logout': '',
+};
+
+/**
+ * Hotspot Profile Service
+ * Keeps /ip/hotspot/user/profile (shared-users, rate-limit, timeouts, address-list,
+ * on-login scripts) in Postgres and pushes it to the main router and every remote site.
+ * Vouchers and users reference a profile instead of carrying raw limits.
+ */
+class HotspotProfileService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.multiSiteManager = config.multiSiteManager || null;
+  }
+
+  /**
+   * ==================== PROFILES ====================
+   */
+
+  /**
+   * Create profile
+   * { name, description, sharedUsers, rateLimit: '5M/10M', idleTimeout: '5m',
+   *   keepaliveTimeout: '2m', sessionTimeout, addressList, onLogin, onLogout,
+   *   validityDays, dataLimitGb, maxDevices }
+   */
+  async createProfile(profileData) {
+    try {
+      const {
+        name,
+        description,
+        sharedUsers,
+        rateLimit,
+        idleTimeout,
+        keepaliveTimeout,
+        sessionTimeout,
+        addressList,
+        onLogin,
+        onLogout,
+        validityDays,
+        dataLimitGb,
+        maxDevices,
+      } = profileData;
+
+      this.validateName(name);
+
+      const result = await this.db.query(
+        `INSERT INTO hotspot_profiles (
+          name, description, shared_users, rate_limit, idle_timeout, keepalive_timeout,
+          session_timeout, address_list, on_login, on_logout, validity_days, data_limit_gb,
+          max_devices, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', NOW())
+        ON CONFLICT (name) DO UPDATE SET
+          description = EXCLUDED.description, shared_users = EXCLUDED.shared_users,
+          rate_limit = EXCLUDED.rate_limit, idle_timeout = EXCLUDED.idle_timeout,
+          keepalive_timeout = EXCLUDED.keepalive_timeout, session_timeout = EXCLUDED.session_timeout,
+          address_list = EXCLUDED.address_list, on_login = EXCLUDED.on_login,
+          on_logout = EXCLUDED.on_logout, validity_days = EXCLUDED.validity_days,
+          data_limit_gb = EXCLUDED.data_limit_gb, max_devices = EXCLUDED.max_devices,
+          status = 'active', updated_at = NOW()
+        WHERE hotspot_profiles.status = 'deleted'
+        RETURNING *`,
+        [
+          name,
+          description || null,
+          sharedUsers || 1,
+          rateLimit || null,
+          idleTimeout || null,
+          keepaliveTimeout || null,
+          sessionTimeout || null,
+          addressList || null,
+          onLogin || null,
+          onLogout || null,
+          validityDays || null,
+          dataLimitGb || null,
+          maxDevices || 3,
+        ]
+      );
+
+      // A deleted profile with the same name is revived; an active one is a conflict
+      if (result.rows.length === 0) {
+        throw new Error(`Profile ${name} already exists`);
+      }
+
+      this.logger.info(`Created hotspot profile: ${name}`);
+      this.emit('profile:created', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error creating hotspot profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update profile. Profiles are matched on routers by name, so renaming is not allowed.
+   */
+  async updateProfile(profileId, updates) {
+    try {
+      const current = await this.getProfile(profileId);
+      if (!current) {
+        throw new Error('Profile not found');
+      }
+      if (updates.name !== undefined && updates.name !== current.name) {
+        throw new Error('Profiles cannot be renamed; create a new profile instead');
+      }
+
+      const fields = {
+        description: updates.description,
+        shared_users: updates.sharedUsers,
+        rate_limit: updates.rateLimit,
+        idle_timeout: updates.idleTimeout,
+        keepalive_timeout: updates.keepaliveTimeout,
+        session_timeout: updates.sessionTimeout,
+        address_list: updates.addressList,
+        on_login: updates.onLogin,
+        on_logout: updates.onLogout,
+        validity_days: updates.validityDays,
+        data_limit_gb: updates.dataLimitGb,
+        max_devices: updates.maxDevices,
+      };
+
+      const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+      const result = await this.db.query(
+        `UPDATE hotspot_profiles
+         SET ${entries.map(([key], i) => `${key} = $${i + 2}`).join(', ')}${entries.length ? ',' : ''} updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [profileId, ...entries.map(([, value]) => (value === '' ? null : value))]
+      );
+
+      this.emit('profile:updated', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error updating hotspot profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete profile (soft). The next sync removes it from the routers.
+   */
+  async deleteProfile(profileId) {
+    try {
+      const profile = await this.getProfile(profileId);
+      if (!profile) {
+        throw new Error('Profile not found');
+      }
+      if (profile.name === BUILTIN_PROFILE) {
+        throw new Error('The default profile cannot be deleted');
+      }
+
+      const inUse = await this.db.query(
+        `SELECT
+          (SELECT COUNT(*) FROM hotspot_users WHERE profile_id = $1 AND status = 'active') as users,
+          (SELECT COUNT(*) FROM vouchers WHERE profile_id = $1 AND status = 'active') as vouchers`,
+        [profileId]
+      );
+      const { users, vouchers } = inUse.rows[0];
+      if (parseInt(users, 10) > 0 || parseInt(vouchers, 10) > 0) {
+        throw new Error(`Profile is in use by ${users} active users and ${vouchers} active vouchers`);
+      }
+
+      await this.db.query(
+        "UPDATE hotspot_profiles SET status = 'deleted', updated_at = NOW() WHERE id = $1",
+        [profileId]
+      );
+
+      this.emit('profile:deleted', profile);
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Error deleting hotspot profile:', error);
+      throw error;
+    }
+  }
+
+  async getProfile(profileId) {
+    const result = await this.db.query('SELECT * FROM hotspot_profiles WHERE id = $1', [profileId]);
+    return result.rows[0];
+  }
+
+  /**
+   * List active profiles with how many users and vouchers reference each
+   */
+  async getProfiles() {
+    try {
+      const result = await this.db.query(
+        `SELECT
+          p.*,
+          (SELECT COUNT(*) FROM hotspot_users u WHERE u.profile_id = p.id AND u.status = 'active') as active_users,
+          (SELECT COUNT(*) FROM vouchers v WHERE v.profile_id = p.id AND v.status = 'active') as active_vouchers
+        FROM hotspot_profiles p
+        WHERE p.status = 'active'
+        ORDER BY p.name`
+      );
+      return result.rows;
+    } catch (error) {
+      this.logger.error('Error getting hotspot profiles:', error);
+      throw error;
+    }
+  }
+
+  validateName(name) {
+    // RouterOS names are free text, but keep them safe to use in scripts and URLs
+    if (!name || !/^[A-Za-z0-9_.-]{1,64}$/.test(name)) {
+      throw new Error('Profile name must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+  }
+
+  /**
+   * ==================== ROUTER SYNC ====================
+   */
+
+  /**
+   * Map a profile row onto /ip/hotspot/user/profile properties
+   */
+  toRouterProfile(profile) {
+    const properties = {
+      name: profile.name,
+      'shared-users': profile.shared_users,
+      'rate-limit': profile.rate_limit,
+      'idle-timeout': profile.idle_timeout,
+      'keepalive-timeout': profile.keepalive_timeout,
+      'session-timeout': profile.session_timeout,
+      'address-list': profile.address_list,
+      'on-login': profile.on_login,
+      'on-logout': profile.on_logout,
+    };
+
+    return Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [
+        key,
+        value === null || value === undefined || value === '' ? UNSET_VALUES[key] : String(value),
+      ])
+    );
+  }
+
+  /**
+   * Properties whose value on the router differs from the desired one
+   */
+  diffProfile(desired, existing) {
+    return Object.fromEntries(
+      Object.entries(desired).filter(([key, value]) => String(existing[key] || '') !== value)
+    );
+  }
+
+  /**
+   * Push all profiles to one router: add missing, update changed, remove deleted
+   */
+  async syncRouter(router, profiles, deleted) {
+    const report = { router: router.name, siteId: router.siteId, created: [], updated: [], removed: [] };
+
+    const existing = await router.print(PROFILE_PATH);
+    const byName = new Map((existing || []).map((entry) => [entry.name, entry]));
+
+    for (const profile of profiles) {
+      const desired = this.toRouterProfile(profile);
+      const current = byName.get(profile.name);
+
+      if (!current) {
+        await router.add(PROFILE_PATH, desired);
+        report.created.push(profile.name);
+        continue;
+      }
+
+      const changes = this.diffProfile(desired, current);
+      if (Object.keys(changes).length > 0) {
+        await router.set(PROFILE_PATH, current['.id'], changes);
+        report.updated.push(profile.name);
+      }
+    }
+
+    for (const profile of deleted) {
+      const current = byName.get(profile.name);
+      if (current && profile.name !== BUILTIN_PROFILE) {
+        await router.remove(PROFILE_PATH, current['.id']);
+        report.removed.push(profile.name);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Sync profiles to the main router and every active remote site (or a single site).
+   * A failing router does not stop the others; its error is returned in the report.
+   */
+  async syncProfiles(siteId = null) {
+    try {
+      const [profilesResult, routers] = await Promise.all([
+        this.db.query('SELECT * FROM hotspot_profiles ORDER BY name'),
+        getRouterTargets(
+          this.db,
+          { mikrotikManager: this.mikrotikManager, multiSiteManager: this.multiSiteManager },
+          siteId
+        ),
+      ]);
+
+      const profiles = profilesResult.rows.filter((p) => p.status === 'active');
+      const deleted = profilesResult.rows.filter((p) => p.status === 'deleted');
+
+      const reports = [];
+      for (const router of routers) {
+        try {
+          reports.push(await this.syncRouter(router, profiles, deleted));
+        } catch (error) {
+          this.logger.error(`Error syncing hotspot profiles to ${router.name}:`, error);
+          reports.push({ router: router.name, siteId: router.siteId, error: error.message });
+        }
+      }
+
+      const synced = reports.every((report) => !report.error);
+      if (synced && !siteId && profiles.length > 0) {
+        await this.db.query(
+          'UPDATE hotspot_profiles SET last_synced_at = NOW() WHERE id = ANY($1)',
+          [profiles.map((p) => p.id)]
+        );
+      }
+
+      this.emit('profiles:synced', { synced, reports });
+      return { synced, routers: reports };
+    } catch (error) {
+      this.logger.error('Error syncing hotspot profiles:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = HotspotProfileService;
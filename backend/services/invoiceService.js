@@ -0,0 +1,720 @@
+// backend/services/invoiceService.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Invoice error with the HTTP status to answer with
+ */
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+const DOCUMENT_TYPE = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+};
+
+const DEFAULT_PREFIX = { invoice: 'INV', credit_note: 'CN' };
+
+// Everything but the stored PDF, for listings
+const INVOICE_COLUMNS = `id, number, document_type, payment_id, original_invoice_id, reseller_id, hotspot_user_id,
+  user_id, customer_name, customer_email, customer_phone, seller, lines, currency, subtotal, tax_name, tax_rate,
+  tax_amount, total, country, status, issued_at, emailed_at`;
+
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+
+// An ISO 3166-1 alpha-2 code ("bd" -> "BD"), or null for anything else ("Bangladesh")
+const countryCode = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) && regionNames.of(code) ? code : null;
+};
+
+/**
+ * Invoice Service
+ * Invoices for completed payments and credit notes for refunded ones, numbered without
+ * gaps per tenant (the operator, or the reseller the payment was taken for) and document
+ * type. Prices are tax-inclusive: the tax rate of the seller's country is looked up in
+ * `tax_rates` and broken out of the amount paid. Reseller invoices carry the reseller's
+ * details and branding. The PDF is rendered once and stored with the invoice.
+ * The payment service asks for documents as payments complete and are refunded; a
+ * background sweep issues any it missed. Wallet purchases are not invoiced, the
+ * top-up that funded them is.
+ */
+class InvoiceService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.whitelabelService = config.whitelabelService || null;
+    this.mailer = config.mailer || null;
+    this.country = (config.country || process.env.INVOICE_COUNTRY || 'BD').toUpperCase();
+    this.seller = config.seller || {
+      name: process.env.INVOICE_SELLER_NAME || 'WiFi Hotspot',
+      address: process.env.INVOICE_SELLER_ADDRESS || null,
+      email: process.env.INVOICE_SELLER_EMAIL || null,
+      phone: process.env.INVOICE_SELLER_PHONE || null,
+      taxId: process.env.INVOICE_SELLER_TAX_ID || null,
+    };
+    this.sweepInterval = config.sweepInterval || 10 * 60 * 1000;
+    this.sweepDays = config.sweepDays || 7;
+    this.timer = null;
+  }
+
+  /**
+   * ==================== TAX & NUMBERING ====================
+   */
+
+  /**
+   * The rate in force in a country on a date; none means no tax on the invoice
+   */
+  async getTaxRate(client, country, date = new Date()) {
+    const result = await client.query(
+      `SELECT * FROM tax_rates
+       WHERE country = $1 AND status = 'active' AND effective_from <= $2::date
+       ORDER BY effective_from DESC
+       LIMIT 1`,
+      [country, date]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Net amount and tax contained in a tax-inclusive total
+   */
+  splitTax(total, rate) {
+    const subtotal = roundMoney(total / (1 + Number(rate || 0) / 100));
+    return { subtotal, taxAmount: roundMoney(total - subtotal) };
+  }
+
+  /**
+   * Take the tenant's next number. The sequence row stays locked until the caller's
+   * transaction ends, so a rolled-back document leaves no gap.
+   */
+  async nextNumber(client, resellerId, documentType) {
+    const prefix = resellerId ? `${DEFAULT_PREFIX[documentType]}-R${resellerId}` : DEFAULT_PREFIX[documentType];
+    await client.query(
+      `INSERT INTO invoice_sequences (reseller_id, document_type, prefix, next_number, updated_at)
+       VALUES ($1, $2, $3, 1, NOW())
+       ON CONFLICT ((COALESCE(reseller_id, 0)), document_type) DO NOTHING`,
+      [resellerId || null, documentType, prefix]
+    );
+    const result = await client.query(
+      `UPDATE invoice_sequences SET next_number = next_number + 1, updated_at = NOW()
+       WHERE COALESCE(reseller_id, 0) = COALESCE($1::int, 0) AND document_type = $2
+       RETURNING prefix, next_number - 1 AS number`,
+      [resellerId || null, documentType]
+    );
+    const { prefix: tenantPrefix, number } = result.rows[0];
+    return `${tenantPrefix}-${String(number).padStart(6, '0')}`;
+  }
+
+  /**
+   * ==================== PARTIES ====================
+   */
+
+  /**
+   * Seller details printed on the invoice: the operator, or the reseller with their branding
+   */
+  async sellerFor(resellerId) {
+    const seller = { ...this.seller, country: this.country };
+    if (!resellerId || !this.whitelabelService) {
+      return seller;
+    }
+
+    const reseller = await this.whitelabelService.getReseller(resellerId);
+    const branding = await this.whitelabelService.getBrandingProfile(resellerId);
+    if (!reseller) {
+      return seller;
+    }
+
+    // Tax follows the country, so one that is not a country code is not guessed at
+    const country = countryCode(reseller.country);
+    if (reseller.country && !country) {
+      this.logger.warn(`Reseller ${resellerId} country "${reseller.country}" is not an ISO 3166 code, invoicing as ${this.country}`);
+    }
+    return {
+      name: (branding && branding.company_name) || reseller.business_name,
+      address: reseller.address,
+      email: (branding && branding.support_email) || reseller.email,
+      phone: (branding && branding.support_phone) || reseller.phone,
+      taxId: reseller.tax_id || null,
+      country: country || this.country,
+      logoUrl: branding ? branding.company_logo_url : null,
+      primaryColor: branding ? branding.primary_color : null,
+      supportUrl: branding ? branding.support_url : null,
+    };
+  }
+
+  /**
+   * Who paid: the hotspot account of a portal order, subscription or top-up, else the
+   * admin user on the payment
+   */
+  async customerFor(client, payment) {
+    const metadata = payment.metadata || {};
+    const orderId = payment.order_id || metadata.orderId;
+    let hotspotUserId = null;
+    let customer = {};
+
+    if (orderId) {
+      const result = await client.query('SELECT * FROM portal_orders WHERE id = $1', [orderId]);
+      const order = result.rows[0] || {};
+      hotspotUserId = order.hotspot_user_id;
+      customer = { email: order.email, phone: order.phone };
+    } else if (metadata.subscriptionId) {
+      const result = await client.query('SELECT * FROM user_subscriptions WHERE id = $1', [metadata.subscriptionId]);
+      const subscription = result.rows[0] || {};
+      hotspotUserId = subscription.hotspot_user_id;
+      customer = { email: subscription.email, phone: subscription.phone };
+    } else if (metadata.topupId) {
+      const result = await client.query(
+        `SELECT a.owner_type, a.owner_id FROM wallet_topups t
+         JOIN wallet_accounts a ON a.id = t.account_id
+         WHERE t.id = $1`,
+        [metadata.topupId]
+      );
+      const account = result.rows[0];
+      if (account && account.owner_type === 'hotspot_user') {
+        hotspotUserId = account.owner_id;
+      } else if (account) {
+        customer = { name: `${account.owner_type} #${account.owner_id}` };
+      }
+    }
+
+    if (hotspotUserId) {
+      const result = await client.query('SELECT * FROM hotspot_users WHERE id = $1', [hotspotUserId]);
+      const user = result.rows[0] || {};
+      return {
+        hotspotUserId,
+        userId: null,
+        name: user.username || customer.name || null,
+        email: customer.email || user.email || null,
+        phone: customer.phone || user.phone || null,
+      };
+    }
+
+    if (payment.user_id) {
+      const result = await client.query('SELECT * FROM users WHERE id = $1', [payment.user_id]);
+      const user = result.rows[0] || {};
+      return { hotspotUserId: null, userId: payment.user_id, name: user.email, email: user.email, phone: user.phone };
+    }
+
+    return { hotspotUserId: null, userId: null, name: customer.name || null, email: customer.email || null, phone: customer.phone || null };
+  }
+
+  /**
+   * Invoice lines (tax-inclusive): the plan at list price and any promo discount on the order
+   */
+  async linesFor(client, payment) {
+    const amount = roundMoney(payment.amount);
+    const orderId = payment.order_id || (payment.metadata || {}).orderId;
+    const description = payment.description || 'WiFi access';
+
+    if (orderId) {
+      const result = await client.query('SELECT * FROM portal_orders WHERE id = $1', [orderId]);
+      const order = result.rows[0];
+      if (order && Number(order.discount_amount) > 0 && order.list_amount) {
+        return [
+          { description, quantity: 1, unitPrice: roundMoney(order.list_amount), amount: roundMoney(order.list_amount) },
+          {
+            description: 'Promotional discount',
+            quantity: 1,
+            unitPrice: -roundMoney(order.discount_amount),
+            amount: -roundMoney(order.discount_amount),
+          },
+        ];
+      }
+    }
+    return [{ description, quantity: 1, unitPrice: amount, amount }];
+  }
+
+  /**
+   * ==================== ISSUING ====================
+   */
+
+  /**
+   * The invoice for a completed (or since refunded) payment, issued on first call
+   * { email: also send it there, `true` for the customer's address }
+   */
+  async issueInvoice(paymentId, { email } = {}) {
+    const paymentResult = await this.db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      throw new InvoiceError('Payment not found', 404);
+    }
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      throw new InvoiceError(`A ${payment.status} payment cannot be invoiced`, 409);
+    }
+
+    const seller = await this.sellerFor(payment.reseller_id);
+    const logo = await this.fetchLogo(seller.logoUrl);
+    const client = await this.db.connect();
+    let invoice;
+    let issued = false;
+
+    try {
+      await client.query('BEGIN');
+      // Concurrent calls for one payment wait here instead of racing for a number
+      await client.query('SELECT id FROM payments WHERE id = $1 FOR UPDATE', [payment.id]);
+
+      const existing = await client.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices WHERE payment_id = $1 AND document_type = $2`,
+        [payment.id, DOCUMENT_TYPE.INVOICE]
+      );
+      invoice = existing.rows[0];
+
+      if (!invoice) {
+        const issuedAt = payment.paid_at || payment.created_at || new Date();
+        const tax = await this.getTaxRate(client, seller.country, issuedAt);
+        const total = roundMoney(payment.amount);
+        const { subtotal, taxAmount } = this.splitTax(total, tax ? tax.rate : 0);
+
+        const document = {
+          number: await this.nextNumber(client, payment.reseller_id, DOCUMENT_TYPE.INVOICE),
+          document_type: DOCUMENT_TYPE.INVOICE,
+          payment_id: payment.id,
+          original_invoice_id: null,
+          reseller_id: payment.reseller_id || null,
+          customer: await this.customerFor(client, payment),
+          seller: {
+            ...seller,
+            registrationLabel: tax ? tax.registration_label : null,
+            title: tax ? tax.invoice_title : null,
+            paymentReference: [payment.provider, payment.transaction_id || payment.reference].filter(Boolean).join(' '),
+          },
+          lines: await this.linesFor(client, payment),
+          currency: payment.currency.toUpperCase(),
+          subtotal,
+          tax_name: tax ? tax.tax_name : null,
+          tax_rate: tax ? Number(tax.rate) : 0,
+          tax_amount: taxAmount,
+          total,
+          country: seller.country,
+          issued_at: issuedAt,
+        };
+        invoice = await this.insertDocument(client, document, logo);
+        issued = true;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (!error.status) {
+        this.logger.error(`Error invoicing payment ${paymentId}:`, error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (issued) {
+      this.logger.info(`Issued invoice ${invoice.number} for payment ${payment.id}`);
+      this.emit('invoice:issued', invoice);
+    }
+    // `true` only mails a new invoice, so retries do not send it twice
+    if (email && (issued || email !== true)) {
+      await this.sendIssued(invoice, email);
+    }
+    return invoice;
+  }
+
+  /**
+   * The credit note cancelling a refunded payment's invoice, issued on first call
+   */
+  async issueCreditNote(paymentId, { reason, email } = {}) {
+    const invoice = await this.issueInvoice(paymentId);
+    const logo = await this.fetchLogo(invoice.seller.logoUrl);
+    const client = await this.db.connect();
+    let creditNote;
+    let issued = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const paymentResult = await client.query('SELECT status FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+      if (paymentResult.rows[0].status !== 'refunded') {
+        throw new InvoiceError('Only refunded payments get a credit note', 409);
+      }
+
+      const existing = await client.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices WHERE payment_id = $1 AND document_type = $2`,
+        [paymentId, DOCUMENT_TYPE.CREDIT_NOTE]
+      );
+      creditNote = existing.rows[0];
+
+      if (!creditNote) {
+        // Credit notes follow the invoice's figures and tax, whatever the rate is today
+        creditNote = await this.insertDocument(client, {
+          number: await this.nextNumber(client, invoice.reseller_id, DOCUMENT_TYPE.CREDIT_NOTE),
+          document_type: DOCUMENT_TYPE.CREDIT_NOTE,
+          payment_id: invoice.payment_id,
+          original_invoice_id: invoice.id,
+          reseller_id: invoice.reseller_id,
+          customer: {
+            hotspotUserId: invoice.hotspot_user_id,
+            userId: invoice.user_id,
+            name: invoice.customer_name,
+            email: invoice.customer_email,
+            phone: invoice.customer_phone,
+          },
+          seller: { ...invoice.seller, title: null, originalNumber: invoice.number, reason: reason || 'Refund' },
+          lines: invoice.lines,
+          currency: invoice.currency,
+          subtotal: Number(invoice.subtotal),
+          tax_name: invoice.tax_name,
+          tax_rate: Number(invoice.tax_rate),
+          tax_amount: Number(invoice.tax_amount),
+          total: Number(invoice.total),
+          country: invoice.country,
+          issued_at: new Date(),
+        }, logo);
+
+        await client.query(`UPDATE invoices SET status = 'credited' WHERE id = $1`, [invoice.id]);
+        issued = true;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (!error.status) {
+        this.logger.error(`Error issuing credit note for payment ${paymentId}:`, error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (issued) {
+      this.logger.info(`Issued credit note ${creditNote.number} for invoice ${invoice.number}`);
+      this.emit('invoice:credited', { invoice, creditNote });
+    }
+    if (email && (issued || email !== true)) {
+      await this.sendIssued(creditNote, email);
+    }
+    return creditNote;
+  }
+
+  /**
+   * Mail a document to the given address, or best effort to the customer (`true`): an
+   * automatic mail that cannot be sent does not undo the document
+   */
+  async sendIssued(invoice, email) {
+    if (email !== true) {
+      await this.emailInvoice(invoice.id, email);
+      return;
+    }
+    if (!invoice.customer_email || !this.mailer) return;
+    try {
+      await this.emailInvoice(invoice.id, invoice.customer_email);
+    } catch (error) {
+      this.logger.error(`Could not email ${invoice.number} to ${invoice.customer_email}:`, error.message);
+    }
+  }
+
+  async insertDocument(client, document, logo) {
+    const pdf = await this.renderPDF(document, logo);
+    const { customer } = document;
+    const result = await client.query(
+      `INSERT INTO invoices (
+        number, document_type, payment_id, original_invoice_id, reseller_id, hotspot_user_id, user_id,
+        customer_name, customer_email, customer_phone, seller, lines, currency, subtotal, tax_name, tax_rate,
+        tax_amount, total, country, status, pdf, issued_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, 'issued', $20, $21)
+      RETURNING ${INVOICE_COLUMNS}`,
+      [
+        document.number, document.document_type, document.payment_id, document.original_invoice_id,
+        document.reseller_id, customer.hotspotUserId || null, customer.userId || null, customer.name,
+        customer.email, customer.phone, JSON.stringify(document.seller), JSON.stringify(document.lines),
+        document.currency, document.subtotal, document.tax_name, document.tax_rate, document.tax_amount,
+        document.total, document.country, pdf, document.issued_at,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * ==================== QUERIES ====================
+   */
+
+  /**
+   * Invoices and credit notes, newest first (?resellerId, ?hotspotUserId, ?documentType,
+   * ?paymentId, ?from, ?to, ?limit, ?offset)
+   */
+  async getInvoices({ resellerId, hotspotUserId, documentType, paymentId, from, to, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+    if (resellerId) add('reseller_id = ?', parseInt(resellerId, 10));
+    if (hotspotUserId) add('hotspot_user_id = ?', parseInt(hotspotUserId, 10));
+    if (documentType) add('document_type = ?', documentType);
+    if (paymentId) add('payment_id = ?', parseInt(paymentId, 10));
+    if (from) add('issued_at >= ?', from);
+    if (to) add('issued_at < ?', to);
+
+    params.push(Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0);
+    const result = await this.db.query(
+      `SELECT ${INVOICE_COLUMNS} FROM invoices
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY issued_at DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * One document; `hotspotUserId` limits it to that customer's own, `resellerId` to
+   * that reseller's
+   */
+  async getInvoice(invoiceId, { hotspotUserId, resellerId } = {}) {
+    const result = await this.db.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1`, [invoiceId]);
+    const invoice = result.rows[0];
+    if (
+      !invoice
+      || (hotspotUserId && Number(invoice.hotspot_user_id) !== Number(hotspotUserId))
+      || (resellerId && Number(invoice.reseller_id) !== Number(resellerId))
+    ) {
+      throw new InvoiceError('Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * The stored PDF -> { filename, pdf }
+   */
+  async getInvoicePDF(invoiceId, options = {}) {
+    const invoice = await this.getInvoice(invoiceId, options);
+    const result = await this.db.query('SELECT pdf FROM invoices WHERE id = $1', [invoice.id]);
+    let { pdf } = result.rows[0];
+
+    // Documents stored without a PDF are rendered on first download
+    if (!pdf) {
+      const document = {
+        ...invoice,
+        customer: { name: invoice.customer_name, email: invoice.customer_email, phone: invoice.customer_phone },
+      };
+      pdf = await this.renderPDF(document, await this.fetchLogo(invoice.seller.logoUrl));
+      await this.db.query('UPDATE invoices SET pdf = $2 WHERE id = $1', [invoice.id, pdf]);
+    }
+    return { filename: `${invoice.number}.pdf`, pdf };
+  }
+
+  /**
+   * Email the PDF, to `email` or the customer's address on the document
+   */
+  async emailInvoice(invoiceId, email, options = {}) {
+    const invoice = await this.getInvoice(invoiceId, options);
+    const recipient = email || invoice.customer_email;
+    if (!recipient) {
+      throw new InvoiceError('No email address for this invoice');
+    }
+    if (!this.mailer) {
+      throw new InvoiceError('Email transport not configured', 503);
+    }
+
+    const { filename, pdf } = await this.getInvoicePDF(invoice.id);
+    const label = invoice.document_type === DOCUMENT_TYPE.CREDIT_NOTE ? 'Credit note' : 'Invoice';
+    await this.mailer.sendMail({
+      to: recipient,
+      subject: `${label} ${invoice.number} from ${invoice.seller.name}`,
+      html: `<p>${label} ${invoice.number} for ${invoice.currency} ${Number(invoice.total).toFixed(2)} is attached.</p>`
+        + `<p>Thank you,<br>${invoice.seller.name}</p>`,
+      attachments: [{ filename, content: pdf, contentType: 'application/pdf' }],
+    });
+
+    await this.db.query('UPDATE invoices SET emailed_at = NOW() WHERE id = $1', [invoice.id]);
+    this.logger.info(`Emailed ${invoice.number} to ${recipient}`);
+    return { success: true, number: invoice.number, recipient };
+  }
+
+  /**
+   * ==================== PDF ====================
+   */
+
+  /**
+   * Logo for reseller invoices; an unreachable logo leaves the invoice without one
+   */
+  async fetchLogo(url) {
+    if (!url) return null;
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+      return Buffer.from(response.data);
+    } catch (error) {
+      this.logger.warn(`Could not load invoice logo ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  renderPDF(document, logo = null) {
+    const { seller, customer } = document;
+    const isCreditNote = document.document_type === DOCUMENT_TYPE.CREDIT_NOTE;
+    const title = isCreditNote ? 'Credit Note' : (seller.title || (document.tax_name ? 'Tax Invoice' : 'Invoice'));
+    const accent = seller.primaryColor || '#2563eb';
+    const money = (amount) => `${document.currency} ${Number(amount).toFixed(2)}`;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = 50;
+      const right = doc.page.width - 50;
+      const width = right - left;
+
+      // Seller
+      let y = 50;
+      if (logo) {
+        try {
+          doc.image(logo, left, y, { fit: [120, 50] });
+          y += 60;
+        } catch (error) {
+          // Not a PNG/JPEG; leave it out
+        }
+      }
+      doc.fillColor('#111827').font('Helvetica-Bold').fontSize(14).text(seller.name, left, y, { width: width / 2 });
+      doc.font('Helvetica').fontSize(9).fillColor('#374151');
+      [
+        seller.address,
+        [seller.email, seller.phone].filter(Boolean).join(' · '),
+        seller.taxId ? `${seller.registrationLabel || 'Tax ID'}: ${seller.taxId}` : null,
+      ].filter(Boolean).forEach((line) => doc.text(line, { width: width / 2 }));
+
+      // Document
+      doc.fillColor(accent).font('Helvetica-Bold').fontSize(16)
+        .text(title, left + width / 2, 50, { width: width / 2, align: 'right' });
+      doc.fillColor('#111827').font('Helvetica').fontSize(10)
+        .text(`No. ${document.number}`, { width: width / 2, align: 'right' })
+        .text(`Date: ${new Date(document.issued_at).toLocaleDateString('en-GB')}`, { width: width / 2, align: 'right' });
+      if (isCreditNote) {
+        doc.text(`Credits invoice ${seller.originalNumber}`, { width: width / 2, align: 'right' })
+          .text(`Reason: ${seller.reason}`, { width: width / 2, align: 'right' });
+      }
+
+      // Customer
+      y = Math.max(doc.y, 150) + 20;
+      doc.fillColor('#6b7280').fontSize(9).text(isCreditNote ? 'CREDITED TO' : 'BILLED TO', left, y);
+      doc.fillColor('#111827').fontSize(10);
+      [customer.name, customer.email, customer.phone].filter(Boolean).forEach((line) => doc.text(line));
+
+      // Lines
+      y = doc.y + 20;
+      const columns = [
+        { label: 'Description', x: left, width: width - 250, align: 'left' },
+        { label: 'Qty', x: right - 250, width: 50, align: 'right' },
+        { label: 'Unit price', x: right - 200, width: 100, align: 'right' },
+        { label: 'Amount', x: right - 100, width: 100, align: 'right' },
+      ];
+      doc.rect(left, y - 4, width, 18).fill(accent);
+      doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+      columns.forEach((column) => doc.text(column.label, column.x + 4, y, { width: column.width - 8, align: column.align }));
+
+      y += 20;
+      doc.fillColor('#111827').font('Helvetica');
+      document.lines.forEach((line) => {
+        const cells = [line.description, String(line.quantity), money(line.unitPrice), money(line.amount)];
+        const rowHeight = doc.heightOfString(line.description, { width: columns[0].width - 8 });
+        cells.forEach((cell, i) => doc.text(cell, columns[i].x + 4, y, { width: columns[i].width - 8, align: columns[i].align }));
+        y += rowHeight + 6;
+        doc.moveTo(left, y - 3).lineTo(right, y - 3).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+      });
+
+      // Totals
+      y += 10;
+      const taxLabel = document.tax_name ? `${document.tax_name} ${Number(document.tax_rate)}%` : 'Tax';
+      [
+        [`Subtotal${document.tax_name ? ` (excl. ${document.tax_name})` : ''}`, money(document.subtotal)],
+        [taxLabel, money(document.tax_amount)],
+        [isCreditNote ? 'Total credited' : 'Total', money(document.total)],
+      ].forEach(([label, value], i, rows) => {
+        doc.font(i === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+          .text(label, right - 250, y, { width: 150, align: 'right' })
+          .text(value, right - 100, y, { width: 96, align: 'right' });
+        y += 16;
+      });
+
+      // Footer
+      doc.fillColor('#6b7280').font('Helvetica').fontSize(8);
+      const notes = [
+        document.tax_name ? `Prices include ${document.tax_name} at ${Number(document.tax_rate)}%.` : null,
+        seller.paymentReference ? `Payment: ${seller.paymentReference}` : null,
+        seller.supportUrl || seller.email ? `Questions? ${seller.supportUrl || seller.email}` : null,
+      ].filter(Boolean);
+      doc.text(notes.join('   '), left, doc.page.height - 80, { width, align: 'center' });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  /**
+   * Issue documents the payment service could not ask for (backend down, failed call)
+   */
+  async sweep() {
+    const missing = await this.db.query(
+      `SELECT * FROM (
+        SELECT p.id, p.status,
+          EXISTS (SELECT 1 FROM invoices i WHERE i.payment_id = p.id AND i.document_type = 'invoice') AS invoiced,
+          EXISTS (SELECT 1 FROM invoices i WHERE i.payment_id = p.id AND i.document_type = 'credit_note') AS credited
+        FROM payments p
+        WHERE p.status IN ('completed', 'refunded')
+        AND p.amount > 0
+        AND p.updated_at >= NOW() - INTERVAL '1 day' * $1
+      ) p
+      WHERE NOT p.invoiced OR (p.status = 'refunded' AND NOT p.credited)
+      ORDER BY p.id
+      LIMIT 200`,
+      [this.sweepDays]
+    );
+
+    let issued = 0;
+    for (const payment of missing.rows) {
+      try {
+        if (!payment.invoiced) {
+          await this.issueInvoice(payment.id);
+          issued += 1;
+        }
+        if (payment.status === 'refunded' && !payment.credited) {
+          await this.issueCreditNote(payment.id);
+          issued += 1;
+        }
+      } catch (error) {
+        this.logger.error(`Invoice sweep failed for payment ${payment.id}:`, error.message);
+      }
+    }
+    return issued;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch((error) => this.logger.error('Invoice sweep failed:', error.message));
+    }, this.sweepInterval);
+
+    this.logger.info('Invoice sweep started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = InvoiceService;
+module.exports.InvoiceError = InvoiceError;
+module.exports.DOCUMENT_TYPE = DOCUMENT_TYPE;
@@ -1,10 +1,26 @@
 // backend/services/mikrotikManager.js
-const axios = require('axios');
 const EventEmitter = require('events');
+const { createTransport, detectTransport } = require('./mikrotikTransport');
+
+/**
+ * Parse a RouterOS duration (1w2d3h4m5s, or bare seconds) into seconds
+ */
+function parseDuration(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+
+  const units = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+)([wdhms])/g)) {
+    seconds += parseInt(amount, 10) * units[unit];
+  }
+  return seconds;
+}
 
 /**
  * Advanced Mikrotik Manager
  * Handles REST API, RADIUS, User Manager, and Queue management
+ * Talks to the router over REST (RouterOS v7) or the binary API (v6/v7), see mikrotikTransport
  */
 class MikrotikManager extends EventEmitter {
   constructor(config = {}) {
@@ -12,14 +28,16 @@ class MikrotikManager extends EventEmitter {
     this.host = config.host || process.env.MIKROTIK_HOST;
     this.user = config.user || process.env.MIKROTIK_USER;
     this.pass = config.pass || process.env.MIKROTIK_PASS;
-    this.port = config.port || 8728;
-    this.apiPort = config.apiPort || 8728;
     this.useSSL = config.useSSL || false;
+    this.apiPort = config.apiPort || process.env.MIKROTIK_API_PORT || (this.useSSL ? 8729 : 8728);
+    this.restPort = config.restPort || process.env.MIKROTIK_REST_PORT || (this.useSSL ? 443 : 80);
     this.timeout = config.timeout || 5000;
     this.logger = config.logger || console;
 
-    this.baseURL = `http${this.useSSL ? 's' : ''}://${this.host}:${this.apiPort}/rest`;
-    this.auth = { username: this.user, password: this.pass };
+    // 'rest', 'api' or 'auto' (probe: REST on v7, binary API otherwise)
+    this.transportType = config.transport || process.env.MIKROTIK_TRANSPORT || 'auto';
+    this.connecting = null;
+    this.transport = config.transportInstance || null;
 
     // Cache for performance
     this.cache = {
@@ -30,18 +48,90 @@ class MikrotikManager extends EventEmitter {
     };
   }
 
+  /**
+   * Get (and lazily create) the transport for this router. Callers that arrive while
+   * it is being probed wait for the same probe.
+   */
+  async getTransport() {
+    if (this.transport) return this.transport;
+
+    if (!this.connecting) {
+      this.connecting = this.openTransport().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async openTransport() {
+    const config = {
+      host: this.host,
+      user: this.user,
+      pass: this.pass,
+      useSSL: this.useSSL,
+      apiPort: this.apiPort,
+      restPort: this.restPort,
+      timeout: this.timeout,
+      logger: this.logger,
+    };
+
+    if (this.transportType === 'auto') {
+      this.transport = await detectTransport(config);
+    } else {
+      const type = this.useSSL ? `${this.transportType}-ssl` : this.transportType;
+      this.transport = createTransport(type, config);
+    }
+
+    this.logger.info(`Using ${this.transport.type} transport for ${this.host}`);
+    return this.transport;
+  }
+
+  /**
+   * Shortcuts for transport operations
+   */
+  async print(path, query = {}) {
+    return (await this.getTransport()).print(path, query);
+  }
+
+  async add(path, data) {
+    return (await this.getTransport()).add(path, data);
+  }
+
+  async set(path, id, data) {
+    return (await this.getTransport()).set(path, id, data);
+  }
+
+  async remove(path, id) {
+    return (await this.getTransport()).remove(path, id);
+  }
+
+  async command(path, data = {}) {
+    return (await this.getTransport()).command(path, data);
+  }
+
+  async listen(path, onData) {
+    return (await this.getTransport()).listen(path, onData);
+  }
+
+  /**
+   * Close the router connection (binary API keeps a socket open)
+   */
+  close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
   /**
    * Test Mikrotik connection
    */
   async testConnection() {
     try {
       this.logger.info('Testing Mikrotik connection...');
-      const response = await axios.get(`${this.baseURL}/system/identity`, {
-        auth: this.auth,
-        timeout: this.timeout,
-      });
-      this.logger.info(`✓ Connected to Mikrotik: ${response.data[0].name}`);
-      return { success: true, identity: response.data[0].name };
+      const [identity] = await this.print('/system/identity');
+      this.logger.info(`✓ Connected to Mikrotik: ${identity.name}`);
+      return { success: true, identity: identity.name, transport: this.transport.type };
     } catch (error) {
       this.logger.error('Mikrotik connection failed:', error.message);
       return { success: false, error: error.message };
@@ -66,15 +156,11 @@ class MikrotikManager extends EventEmitter {
         ...options,
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/ip/hotspot/user`,
-        payload,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const user = await this.add('/ip/hotspot/user', payload);
 
       this.logger.info(`Created hotspot user: ${username}`);
       this.cache.users = null; // Invalidate cache
-      return { success: true, user: response.data };
+      return { success: true, user };
     } catch (error) {
       this.logger.error(`Error creating hotspot user: ${error.message}`);
       throw error;
@@ -94,15 +180,11 @@ class MikrotikManager extends EventEmitter {
         throw new Error(`User not found: ${username}`);
       }
 
-      const response = await axios.put(
-        `${this.baseURL}/ip/hotspot/user/${user['.id']}`,
-        updates,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const updated = await this.set('/ip/hotspot/user', user['.id'], updates);
 
       this.logger.info(`Updated hotspot user: ${username}`);
       this.cache.users = null;
-      return { success: true, user: response.data };
+      return { success: true, user: updated };
     } catch (error) {
       this.logger.error(`Error updating hotspot user: ${error.message}`);
       throw error;
@@ -121,10 +203,7 @@ class MikrotikManager extends EventEmitter {
         throw new Error(`User not found: ${username}`);
       }
 
-      await axios.delete(
-        `${this.baseURL}/ip/hotspot/user/${user['.id']}`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      await this.remove('/ip/hotspot/user', user['.id']);
 
       this.logger.info(`Deleted hotspot user: ${username}`);
       this.cache.users = null;
@@ -148,14 +227,11 @@ class MikrotikManager extends EventEmitter {
         return this.cache.users;
       }
 
-      const response = await axios.get(
-        `${this.baseURL}/ip/hotspot/user`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const users = await this.print('/ip/hotspot/user');
 
-      this.cache.users = response.data;
+      this.cache.users = users;
       this.cache.lastUpdate = Date.now();
-      return response.data;
+      return users;
     } catch (error) {
       this.logger.error(`Error getting hotspot users: ${error.message}`);
       return [];
@@ -167,12 +243,9 @@ class MikrotikManager extends EventEmitter {
    */
   async getHotspotUserStats(username) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/ip/hotspot/stat`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const stats = await this.print('/ip/hotspot/stat');
 
-      const userStats = response.data.find((s) => s.user === username);
+      const userStats = stats.find((s) => s.user === username);
       return userStats || null;
     } catch (error) {
       this.logger.error(
@@ -182,6 +255,158 @@ class MikrotikManager extends EventEmitter {
     }
   }
 
+  /**
+   * ==================== ACTIVE SESSIONS ====================
+   */
+
+  /**
+   * Get logged-in hotspot sessions with byte/uptime counters and the AP each client is on
+   */
+  async getActiveSessions() {
+    try {
+      const [active, clients] = await Promise.all([
+        this.print('/ip/hotspot/active'),
+        this.getConnectedClients(),
+      ]);
+
+      const clientsByMac = new Map(
+        clients.map((c) => [String(c.macAddress).toUpperCase(), c])
+      );
+
+      return active.map((session) => {
+        const client = clientsByMac.get(String(session['mac-address']).toUpperCase());
+
+        return {
+          id: session['.id'],
+          user: session.user,
+          server: session.server,
+          ipAddress: session.address,
+          macAddress: session['mac-address'],
+          loginBy: session['login-by'],
+          uptime: session.uptime,
+          uptimeSeconds: parseDuration(session.uptime),
+          idleTime: session['idle-time'] || null,
+          sessionTimeLeft: session['session-time-left'] || null,
+          // bytes-in is what the router received from the client (upload)
+          bytesIn: Number(session['bytes-in'] || 0),
+          bytesOut: Number(session['bytes-out'] || 0),
+          packetsIn: Number(session['packets-in'] || 0),
+          packetsOut: Number(session['packets-out'] || 0),
+          accessPoint: client ? client.interface : null,
+          signal: client ? client.signal : null,
+        };
+      });
+    } catch (error) {
+      this.logger.error(`Error getting active sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single active session by .id
+   */
+  async getSession(id) {
+    const sessions = await this.getActiveSessions();
+    return sessions.find((s) => s.id === id) || null;
+  }
+
+  /**
+   * End an active session (the client is sent back to the login page)
+   */
+  async disconnectSession(id) {
+    try {
+      await this.remove('/ip/hotspot/active', id);
+
+      this.logger.info(`Disconnected hotspot session: ${id}`);
+      this.emit('session:disconnected', { id });
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Error disconnecting session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Block a device by MAC through a hotspot IP binding
+   */
+  async blockDevice(macAddress, comment = 'Blocked from admin dashboard') {
+    try {
+      const binding = await this.add('/ip/hotspot/ip-binding', {
+        'mac-address': macAddress,
+        type: 'blocked',
+        comment,
+      });
+
+      this.logger.info(`Blocked device: ${macAddress}`);
+      this.emit('device:blocked', { macAddress });
+      return { success: true, binding };
+    } catch (error) {
+      this.logger.error(`Error blocking device: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== WALLED GARDEN ====================
+   */
+
+  /**
+   * Menu for walled-garden entries: 'host' (HTTP by dst-host) or 'ip' (any protocol by address)
+   */
+  walledGardenPath(type = 'host') {
+    return type === 'ip' ? '/ip/hotspot/walled-garden/ip' : '/ip/hotspot/walled-garden';
+  }
+
+  /**
+   * Get walled-garden entries
+   */
+  async getWalledGarden(type = 'host') {
+    try {
+      return await this.print(this.walledGardenPath(type));
+    } catch (error) {
+      this.logger.error(`Error getting walled garden: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a walled-garden entry, e.g. { 'dst-host': '*.stripe.com', action: 'allow' }
+   */
+  async addWalledGardenEntry(type, entry) {
+    try {
+      const result = await this.add(this.walledGardenPath(type), entry);
+
+      this.logger.info(`Added walled garden ${type} entry: ${entry['dst-host'] || entry['dst-address']}`);
+      this.emit('walledGarden:added', { type, entry });
+      return result;
+    } catch (error) {
+      this.logger.error(`Error adding walled garden entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateWalledGardenEntry(type, id, updates) {
+    try {
+      return await this.set(this.walledGardenPath(type), id, updates);
+    } catch (error) {
+      this.logger.error(`Error updating walled garden entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async removeWalledGardenEntry(type, id) {
+    try {
+      await this.remove(this.walledGardenPath(type), id);
+
+      this.logger.info(`Removed walled garden ${type} entry: ${id}`);
+      this.emit('walledGarden:removed', { type, id });
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Error removing walled garden entry: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * ==================== RADIUS SERVER MANAGEMENT ====================
    */
@@ -190,24 +415,24 @@ class MikrotikManager extends EventEmitter {
    * Configure RADIUS server
    */
   async configureRADIUSServer(config = {}) {
+    if (!config.secret) {
+      throw new Error('RADIUS shared secret is required');
+    }
+
     try {
       const radiusConfig = {
         'address': config.address || '127.0.0.1',
-        'secret': config.secret || 'hotspot-radius-secret',
+        'secret': config.secret,
         'service': config.service || 'hotspot',
         'timeout': config.timeout || 3,
         'retries': config.retries || 3,
       };
 
       // Set RADIUS server
-      const response = await axios.post(
-        `${this.baseURL}/radius`,
-        radiusConfig,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const radius = await this.add('/radius', radiusConfig);
 
       this.logger.info('RADIUS server configured');
-      return { success: true, config: response.data };
+      return { success: true, config: radius };
     } catch (error) {
       this.logger.error(`Error configuring RADIUS: ${error.message}`);
       throw error;
@@ -219,22 +444,15 @@ class MikrotikManager extends EventEmitter {
    */
   async enableRADIUSAuth(hotspotName = 'hotspot1') {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/ip/hotspot`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const hotspots = await this.print('/ip/hotspot');
 
-      const hotspot = response.data.find((h) => h.name === hotspotName);
+      const hotspot = hotspots.find((h) => h.name === hotspotName);
       if (!hotspot) {
         throw new Error(`Hotspot not found: ${hotspotName}`);
       }
 
       // Update hotspot to use RADIUS
-      await axios.put(
-        `${this.baseURL}/ip/hotspot/${hotspot['.id']}`,
-        { 'use-radius': 'yes' },
-        { auth: this.auth, timeout: this.timeout }
-      );
+      await this.set('/ip/hotspot', hotspot['.id'], { 'use-radius': 'yes' });
 
       this.logger.info(`RADIUS enabled for hotspot: ${hotspotName}`);
       return { success: true };
@@ -246,6 +464,21 @@ class MikrotikManager extends EventEmitter {
     }
   }
 
+  /**
+   * Accept CoA/Disconnect requests from the RADIUS server (RFC 5176)
+   */
+  async enableRADIUSIncoming(port = 3799) {
+    try {
+      await this.command('/radius/incoming/set', { accept: 'yes', port });
+
+      this.logger.info(`RADIUS incoming enabled on port ${port}`);
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Error enabling RADIUS incoming: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * ==================== USER MANAGER INTEGRATION ====================
    */
@@ -264,14 +497,10 @@ class MikrotikManager extends EventEmitter {
         ...options,
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/user-manager/user`,
-        payload,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const user = await this.add('/user-manager/user', payload);
 
       this.logger.info(`Created User Manager user: ${username}`);
-      return { success: true, user: response.data };
+      return { success: true, user };
     } catch (error) {
       this.logger.error(`Error creating User Manager user: ${error.message}`);
       throw error;
@@ -283,12 +512,7 @@ class MikrotikManager extends EventEmitter {
    */
   async getUserManagerUsers() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/user-manager/user`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data;
+      return await this.print('/user-manager/user');
     } catch (error) {
       this.logger.error(`Error getting User Manager users: ${error.message}`);
       return [];
@@ -311,14 +535,10 @@ class MikrotikManager extends EventEmitter {
         ...options,
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/user-manager/user-account`,
-        account,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const created = await this.add('/user-manager/user-account', account);
 
       this.logger.info(`Created User Manager account: ${username}`);
-      return { success: true, account: response.data };
+      return { success: true, account: created };
     } catch (error) {
       this.logger.error(
         `Error creating User Manager account: ${error.message}`
@@ -347,15 +567,11 @@ class MikrotikManager extends EventEmitter {
         ...options,
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/queue/simple`,
-        queue,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const created = await this.add('/queue/simple', queue);
 
       this.logger.info(`Created queue for user: ${username}`);
       this.cache.queues = null;
-      return { success: true, queue: response.data };
+      return { success: true, queue: created };
     } catch (error) {
       this.logger.error(`Error creating queue: ${error.message}`);
       throw error;
@@ -380,11 +596,7 @@ class MikrotikManager extends EventEmitter {
         'burst-limit': bandwidth.burstLimit || '15M/15M',
       };
 
-      await axios.put(
-        `${this.baseURL}/queue/simple/${queue['.id']}`,
-        updates,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      await this.set('/queue/simple', queue['.id'], updates);
 
       this.logger.info(`Updated queue bandwidth for: ${username}`);
       this.cache.queues = null;
@@ -407,10 +619,7 @@ class MikrotikManager extends EventEmitter {
         throw new Error(`Queue not found for user: ${username}`);
       }
 
-      await axios.delete(
-        `${this.baseURL}/queue/simple/${queue['.id']}`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      await this.remove('/queue/simple', queue['.id']);
 
       this.logger.info(`Deleted queue for user: ${username}`);
       this.cache.queues = null;
@@ -433,13 +642,10 @@ class MikrotikManager extends EventEmitter {
         return this.cache.queues;
       }
 
-      const response = await axios.get(
-        `${this.baseURL}/queue/simple`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const queues = await this.print('/queue/simple');
 
-      this.cache.queues = response.data;
-      return response.data;
+      this.cache.queues = queues;
+      return queues;
     } catch (error) {
       this.logger.error(`Error getting queues: ${error.message}`);
       return [];
@@ -462,12 +668,9 @@ class MikrotikManager extends EventEmitter {
         return this.cache.aps;
       }
 
-      const response = await axios.get(
-        `${this.baseURL}/interface/wireless`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const interfaces = await this.print('/interface/wireless');
 
-      this.cache.aps = response.data.map((ap) => ({
+      this.cache.aps = interfaces.map((ap) => ({
         id: ap['.id'],
         name: ap.name,
         ssid: ap.ssid,
@@ -490,12 +693,7 @@ class MikrotikManager extends EventEmitter {
    */
   async getAPStatistics() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/interface/wireless/stats`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data;
+      return await this.print('/interface/wireless/stats');
     } catch (error) {
       this.logger.error(`Error getting AP statistics: ${error.message}`);
       return [];
@@ -507,12 +705,7 @@ class MikrotikManager extends EventEmitter {
    */
   async getConnectedClients(interfaceName = null) {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/interface/wireless/registration-table`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      let clients = response.data;
+      let clients = await this.print('/interface/wireless/registration-table');
 
       if (interfaceName) {
         clients = clients.filter(
@@ -547,12 +740,8 @@ class MikrotikManager extends EventEmitter {
    */
   async getRouterInfo() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/system/identity`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data[0];
+      const [identity] = await this.print('/system/identity');
+      return identity;
     } catch (error) {
       this.logger.error(`Error getting router info: ${error.message}`);
       return null;
@@ -564,12 +753,8 @@ class MikrotikManager extends EventEmitter {
    */
   async getRouterResources() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/system/resource`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data[0];
+      const [resource] = await this.print('/system/resource');
+      return resource;
     } catch (error) {
       this.logger.error(`Error getting router resources: ${error.message}`);
       return null;
@@ -581,12 +766,8 @@ class MikrotikManager extends EventEmitter {
    */
   async getSystemStatus() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/system/package`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data[0];
+      const [pkg] = await this.print('/system/package');
+      return pkg;
     } catch (error) {
       this.logger.error(`Error getting system status: ${error.message}`);
       return null;
@@ -602,12 +783,9 @@ class MikrotikManager extends EventEmitter {
    */
   async getInterfaceStats() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/interface`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const interfaces = await this.print('/interface');
 
-      return response.data.map((iface) => ({
+      return interfaces.map((iface) => ({
         name: iface.name,
         type: iface.type,
         mtu: iface.mtu,
@@ -628,12 +806,7 @@ class MikrotikManager extends EventEmitter {
    */
   async getRoutes() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/ip/route`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data;
+      return await this.print('/ip/route');
     } catch (error) {
       this.logger.error(`Error getting routes: ${error.message}`);
       return [];
@@ -645,12 +818,7 @@ class MikrotikManager extends EventEmitter {
    */
   async getIPAddresses() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/ip/address`,
-        { auth: this.auth, timeout: this.timeout }
-      );
-
-      return response.data;
+      return await this.print('/ip/address');
     } catch (error) {
       this.logger.error(`Error getting IP addresses: ${error.message}`);
       return [];
@@ -666,14 +834,10 @@ class MikrotikManager extends EventEmitter {
    */
   async createBackup() {
     try {
-      const response = await axios.post(
-        `${this.baseURL}/system/backup/save`,
-        { 'password': '' },
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const backup = await this.command('/system/backup/save', { 'password': '' });
 
       this.logger.info('System backup created');
-      return { success: true, backup: response.data };
+      return { success: true, backup };
     } catch (error) {
       this.logger.error(`Error creating backup: ${error.message}`);
       throw error;
@@ -685,12 +849,9 @@ class MikrotikManager extends EventEmitter {
    */
   async getBackups() {
     try {
-      const response = await axios.get(
-        `${this.baseURL}/file`,
-        { auth: this.auth, timeout: this.timeout }
-      );
+      const files = await this.print('/file');
 
-      return response.data.filter((f) => f.name.includes('.backup'));
+      return files.filter((f) => f.name.includes('.backup'));
     } catch (error) {
       this.logger.error(`Error getting backups: ${error.message}`);
       return [];
@@ -749,3 +910,4 @@ class MikrotikManager extends EventEmitter {
 }
 
 module.exports = MikrotikManager;
+module.exports.parseDuration = parseDuration;
@@ -0,0 +1,202 @@
+// backend/services/mikrotikTransport.js
+const axios = require('axios');
+const { RouterOSApiClient } = require('./routerosApiClient');
+
+/**
+ * MikroTik Transports
+ * Common interface over RouterOS v7 REST (www/www-ssl) and the binary API (8728/8729)
+ *
+ *   print(path, query)      list items, optionally filtered by exact-match query
+ *   add(path, data)         create item, resolves to { '.id' }
+ *   set(path, id, data)     update item by .id or name
+ *   remove(path, id)        delete item by .id or name
+ *   command(path, data)     run a command such as /system/backup/save
+ *   request(method, endpoint, data)  REST-style call mapped onto the above ('COMMAND' runs one)
+ */
+class MikrotikTransport {
+  /**
+   * Map a REST-style call (as used by callSiteAPI) onto transport operations
+   */
+  async request(method, endpoint, data = null) {
+    const verb = method.toUpperCase();
+    const [path, queryString] = endpoint.split('?');
+    const query = Object.fromEntries(new URLSearchParams(queryString || ''));
+    const segments = path.split('/');
+    const last = segments[segments.length - 1];
+    const hasId = /^\*[0-9A-Fa-f]+$/.test(last) || !['GET', 'POST', 'COMMAND'].includes(verb);
+    const menu = hasId ? segments.slice(0, -1).join('/') : path;
+
+    switch (verb) {
+      case 'GET':
+        return hasId ? this.print(menu, { '.id': last, ...query }) : this.print(menu, query);
+      case 'POST':
+        return this.add(menu, data || {});
+      case 'COMMAND':
+        return this.command(menu, data || {});
+      case 'PUT':
+      case 'PATCH':
+        return this.set(menu, last, data || {});
+      case 'DELETE':
+        return this.remove(menu, last);
+      default:
+        throw new Error(`Unsupported method: ${method}`);
+    }
+  }
+
+  async listen() {
+    throw new Error(`${this.type} transport does not support listen`);
+  }
+
+  close() {}
+}
+
+/**
+ * RouterOS v7 REST transport
+ */
+class RestTransport extends MikrotikTransport {
+  constructor(config = {}) {
+    super();
+    this.type = 'rest';
+    this.useSSL = config.useSSL || false;
+    this.port = config.restPort || (this.useSSL ? 443 : 80);
+    this.timeout = config.timeout || 5000;
+    this.baseURL = `http${this.useSSL ? 's' : ''}://${config.host}:${this.port}/rest`;
+    this.auth = { username: config.user, password: config.pass };
+  }
+
+  async call(method, path, data = null, params = null) {
+    const response = await axios({
+      method,
+      url: `${this.baseURL}${path}`,
+      auth: this.auth,
+      timeout: this.timeout,
+      data: data || undefined,
+      params: params || undefined,
+    });
+    return response.data;
+  }
+
+  async print(path, query = {}) {
+    const result = await this.call('GET', path, null, query);
+    return Array.isArray(result) ? result : [result];
+  }
+
+  async add(path, data) {
+    return this.call('PUT', path, data);
+  }
+
+  async set(path, id, data) {
+    return this.call('PATCH', `${path}/${encodeURIComponent(id)}`, data);
+  }
+
+  async remove(path, id) {
+    return this.call('DELETE', `${path}/${encodeURIComponent(id)}`);
+  }
+
+  async command(path, data = {}) {
+    return this.call('POST', path, data);
+  }
+}
+
+/**
+ * RouterOS binary API transport (v6 and v7)
+ */
+class ApiTransport extends MikrotikTransport {
+  constructor(config = {}) {
+    super();
+    this.type = config.useSSL ? 'api-ssl' : 'api';
+    this.client = config.client || new RouterOSApiClient({
+      host: config.host,
+      user: config.user,
+      pass: config.pass,
+      port: config.apiPort,
+      useTLS: config.useSSL,
+      timeout: config.timeout,
+      tlsOptions: config.tlsOptions,
+      logger: config.logger,
+    });
+  }
+
+  async print(path, query = {}) {
+    const queries = Object.entries(query).map(([key, value]) => `?${key}=${value}`);
+    return this.client.exec(`${path}/print`, {}, { queries });
+  }
+
+  async add(path, data) {
+    const result = await this.client.exec(`${path}/add`, data, { withDone: true });
+    return { '.id': result.done.ret, ...data };
+  }
+
+  async set(path, id, data) {
+    await this.client.exec(`${path}/set`, { numbers: id, ...data });
+    return { '.id': id, ...data };
+  }
+
+  async remove(path, id) {
+    await this.client.exec(`${path}/remove`, { numbers: id });
+    return { '.id': id };
+  }
+
+  async command(path, data = {}) {
+    return this.client.exec(path, data);
+  }
+
+  /**
+   * Stream changes of a menu, e.g. listen('/ip/hotspot/active', onData)
+   */
+  async listen(path, onData) {
+    return this.client.listen(`${path}/listen`, {}, onData);
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+/**
+ * Create transport for a router
+ * type: 'rest' | 'rest-ssl' | 'api' | 'api-ssl'
+ */
+function createTransport(type, config = {}) {
+  switch (type) {
+    case 'rest':
+      return new RestTransport(config);
+    case 'rest-ssl':
+      return new RestTransport({ ...config, useSSL: true });
+    case 'api':
+      return new ApiTransport({ ...config, useSSL: false });
+    case 'api-ssl':
+      return new ApiTransport({ ...config, useSSL: true });
+    default:
+      throw new Error(`Unknown MikroTik transport: ${type}`);
+  }
+}
+
+/**
+ * Pick a transport by probing the router: REST on v7, binary API otherwise
+ */
+async function detectTransport(config = {}) {
+  const logger = config.logger || console;
+  const rest = new RestTransport(config);
+
+  try {
+    const [resource] = await rest.print('/system/resource');
+    if (resource && String(resource.version).startsWith('7')) {
+      return rest;
+    }
+  } catch (error) {
+    logger.info(`REST unavailable on ${config.host} (${error.message}), using binary API`);
+  }
+
+  const api = new ApiTransport(config);
+  await api.client.connect();
+  return api;
+}
+
+module.exports = {
+  MikrotikTransport,
+  RestTransport,
+  ApiTransport,
+  createTransport,
+  detectTransport,
+};
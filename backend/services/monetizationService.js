@@ -2,9 +2,32 @@
 const EventEmitter = require('events');
 const crypto = require('crypto');
 
+// Plan billing periods as Postgres intervals
+const BILLING_INTERVALS = {
+  daily: '1 day',
+  weekly: '1 week',
+  monthly: '1 month',
+  quarterly: '3 months',
+  yearly: '1 year',
+};
+
+/**
+ * Subscription error with the HTTP status to answer with
+ */
+class SubscriptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+  }
+}
+
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
 /**
  * Monetization & Affiliate Program Service
- * Manages subscriptions, affiliate tracking, and revenue optimization
+ * Manages subscriptions, affiliate tracking, and revenue optimization.
+ * With a wallet service, affiliate commissions and their payouts post to the ledger.
  */
 class MonetizationService extends EventEmitter {
   constructor(db, config = {}) {
@@ -12,6 +35,8 @@ class MonetizationService extends EventEmitter {
     this.db = db;
     this.logger = config.logger || console;
     this.stripeClient = config.stripeClient;
+    this.walletService = config.walletService || null;
+    this.promotionService = config.promotionService || null;
   }
 
   /**
@@ -33,13 +58,16 @@ class MonetizationService extends EventEmitter {
         maxDevices,
         features,
         maxUsers,
+        validityDays, // Access bought through the portal; defaults from billingPeriod
+        profileId,
       } = planData;
 
       const result = await this.db.query(
         `INSERT INTO subscription_plans (
           name, description, price, currency, billing_period,
-          bandwidth_limit, max_devices, features, max_users, status, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', NOW())
+          bandwidth_limit, max_devices, features, max_users,
+          validity_days, profile_id, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'active', NOW())
         RETURNING *`,
         [
           name,
@@ -51,6 +79,8 @@ class MonetizationService extends EventEmitter {
           maxDevices,
           JSON.stringify(features || []),
           maxUsers || 100,
+          validityDays || null,
+          profileId || null,
         ]
       );
 
@@ -94,8 +124,10 @@ class MonetizationService extends EventEmitter {
 
   /**
    * Subscribe user to plan
+   * options: { hotspotUserId, provider, customerId, email, phone }. Without a Stripe
+   * client the first period is left due, so the billing engine charges it.
    */
-  async subscribeUserToPlan(userId, planId, paymentMethodId) {
+  async subscribeUserToPlan(userId, planId, paymentMethodId, options = {}) {
     try {
       const plan = await this.db.query(
         'SELECT * FROM subscription_plans WHERE id = $1',
@@ -107,26 +139,50 @@ class MonetizationService extends EventEmitter {
       }
 
       const planData = plan.rows[0];
+      const interval = BILLING_INTERVALS[planData.billing_period] || BILLING_INTERVALS.monthly;
+      const chargeNow = Boolean(this.stripeClient);
 
       // Create subscription in database
       const result = await this.db.query(
         `INSERT INTO user_subscriptions (
-          user_id, plan_id, price, currency, status, next_billing_date, created_at
-        ) VALUES ($1, $2, $3, $4, 'active', NOW() + INTERVAL '1 ${planData.billing_period}', NOW())
+          user_id, hotspot_user_id, plan_id, price, currency, status, provider, provider_customer_id,
+          payment_method_id, email, phone, current_period_start, current_period_end, next_billing_date, created_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, 'active', $6, $7, $8, $9, $10,
+          CASE WHEN $11 THEN NOW() END,
+          CASE WHEN $11 THEN NOW() + $12::interval END,
+          CASE WHEN $11 THEN NOW() + $12::interval ELSE NOW() END,
+          NOW()
+        )
         RETURNING *`,
-        [userId, planId, planData.price, planData.currency]
+        [
+          userId || null,
+          options.hotspotUserId || null,
+          planId,
+          planData.price,
+          planData.currency,
+          options.provider || (paymentMethodId ? 'stripe' : null),
+          options.customerId || null,
+          paymentMethodId || null,
+          options.email || null,
+          options.phone || null,
+          chargeNow,
+          interval,
+        ]
       );
 
       const subscription = result.rows[0];
 
       // Process payment
-      const payment = await this.processSubscriptionPayment(
-        userId,
-        subscription.id,
-        planData.price,
-        planData.currency,
-        paymentMethodId
-      );
+      const payment = chargeNow
+        ? await this.processSubscriptionPayment(
+          userId,
+          subscription.id,
+          planData.price,
+          planData.currency,
+          paymentMethodId
+        )
+        : null;
 
       this.logger.info(`User ${userId} subscribed to plan ${planId}`);
       this.emit('subscription:created', subscription);
@@ -170,7 +226,7 @@ class MonetizationService extends EventEmitter {
   async cancelSubscription(subscriptionId) {
     try {
       const result = await this.db.query(
-        `UPDATE user_subscriptions SET status = 'cancelled', cancelled_at = NOW()
+        `UPDATE user_subscriptions SET status = 'cancelled', cancelled_at = NOW(), next_retry_at = NULL, updated_at = NOW()
          WHERE id = $1
          RETURNING *`,
         [subscriptionId]
@@ -186,6 +242,286 @@ class MonetizationService extends EventEmitter {
     }
   }
 
+  /**
+   * ==================== PLAN CHANGES ====================
+   */
+
+  /**
+   * What switching now costs: the unused part of the period is credited at the old
+   * price and charged at the new one. Credit on the subscription pays the difference
+   * first; what is left over is charged, or kept as credit for the next renewal.
+   */
+  computeProration(subscription, newPlan, now = new Date()) {
+    const start = subscription.current_period_start && new Date(subscription.current_period_start);
+    const end = subscription.current_period_end && new Date(subscription.current_period_end);
+    // Nothing paid yet: the first renewal simply charges the new price
+    const fraction = start && end && end > start
+      ? Math.min(Math.max((end - now) / (end - start), 0), 1)
+      : 0;
+
+    const unusedCredit = roundMoney(Number(subscription.price) * fraction);
+    const newCost = roundMoney(Number(newPlan.price) * fraction);
+    const difference = roundMoney(newCost - unusedCredit);
+    const balance = Number(subscription.credit_balance || 0);
+    const balanceApplied = difference > 0 ? roundMoney(Math.min(Math.max(balance, 0), difference)) : 0;
+
+    return {
+      periodStart: fraction > 0 ? now : null,
+      periodEnd: fraction > 0 ? end : null,
+      remainingFraction: Math.round(fraction * 1e6) / 1e6,
+      unusedCredit,
+      newCost,
+      balanceApplied,
+      amountDue: difference > 0 ? roundMoney(difference - balanceApplied) : 0,
+      amountCredited: difference < 0 ? -difference : 0,
+      currency: subscription.currency,
+    };
+  }
+
+  async loadPlanChange(client, subscriptionId, newPlanId, effective, lock = false) {
+    const subscriptionResult = await client.query(
+      `SELECT s.*, p.billing_period FROM user_subscriptions s
+       LEFT JOIN subscription_plans p ON p.id = s.plan_id
+       WHERE s.id = $1
+       ${lock ? 'FOR UPDATE OF s' : ''}`,
+      [subscriptionId]
+    );
+    const subscription = subscriptionResult.rows[0];
+    if (!subscription) {
+      throw new SubscriptionError('Subscription not found', 404);
+    }
+    if (!['active', 'past_due'].includes(subscription.status)) {
+      throw new SubscriptionError(`A ${subscription.status} subscription cannot change plan`, 409);
+    }
+
+    const planResult = await client.query(
+      `SELECT * FROM subscription_plans WHERE id = $1 AND status = 'active'`,
+      [newPlanId]
+    );
+    const newPlan = planResult.rows[0];
+    if (!newPlan) {
+      throw new SubscriptionError('Plan not found', 404);
+    }
+    if (newPlan.id === subscription.plan_id) {
+      throw new SubscriptionError('Subscription is already on this plan', 409);
+    }
+    if (newPlan.currency !== subscription.currency) {
+      throw new SubscriptionError(`Plan is priced in ${newPlan.currency}, the subscription in ${subscription.currency}`);
+    }
+
+    // Upgrades apply straight away, downgrades at the end of the paid period
+    const upgrade = Number(newPlan.price) > Number(subscription.price);
+    const when = effective || (upgrade ? 'now' : 'period_end');
+    if (!['now', 'period_end'].includes(when)) {
+      throw new SubscriptionError("effective must be 'now' or 'period_end'");
+    }
+    if (when === 'now' && newPlan.billing_period !== subscription.billing_period) {
+      throw new SubscriptionError('Plans with a different billing period switch at the end of the period');
+    }
+
+    return { subscription, newPlan, upgrade, effective: when };
+  }
+
+  /**
+   * The change changePlan would make, without making it
+   */
+  async previewPlanChange(subscriptionId, newPlanId, { effective } = {}) {
+    const change = await this.loadPlanChange(this.db, subscriptionId, newPlanId, effective);
+    return {
+      fromPlanId: change.subscription.plan_id,
+      toPlanId: change.newPlan.id,
+      upgrade: change.upgrade,
+      effective: change.effective,
+      ...(change.effective === 'now'
+        ? this.computeProration(change.subscription, change.newPlan)
+        : { effectiveAt: change.subscription.next_billing_date, currency: change.subscription.currency }),
+    };
+  }
+
+  /**
+   * Switch a subscription to another plan { effective: 'now' | 'period_end', requestedBy }
+   * Now: the plan, price and account limits change at once and the proration is
+   * recorded as an adjusted invoice; an amount due becomes a 'proration' charge
+   * (returned for the billing engine to take), a credit goes to credit_balance.
+   * Period end: the change is scheduled and applied when the renewal is claimed.
+   * Returns { change, subscription, charge, reprovision }.
+   */
+  async changePlan(subscriptionId, newPlanId, { effective, requestedBy = null } = {}) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      const { subscription, newPlan, effective: when } = await this.loadPlanChange(
+        client, subscriptionId, newPlanId, effective, true
+      );
+
+      // A newer request replaces a scheduled one
+      await client.query(
+        `UPDATE subscription_plan_changes SET status = 'cancelled'
+         WHERE subscription_id = $1 AND status = 'scheduled'`,
+        [subscription.id]
+      );
+
+      if (when === 'period_end') {
+        const scheduled = await client.query(
+          `INSERT INTO subscription_plan_changes (
+            subscription_id, from_plan_id, to_plan_id, effective, status, currency, requested_by, created_at
+          ) VALUES ($1, $2, $3, 'period_end', 'scheduled', $4, $5, NOW())
+          RETURNING *`,
+          [subscription.id, subscription.plan_id, newPlan.id, subscription.currency, requestedBy]
+        );
+        const updated = await client.query(
+          `UPDATE user_subscriptions SET pending_plan_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+          [subscription.id, newPlan.id]
+        );
+        await client.query('COMMIT');
+
+        this.logger.info(`Subscription ${subscription.id}: plan ${newPlan.id} scheduled for ${subscription.next_billing_date}`);
+        this.emit('subscription:plan-scheduled', { subscription: updated.rows[0], change: scheduled.rows[0] });
+        return { change: scheduled.rows[0], subscription: updated.rows[0], charge: null, reprovision: false };
+      }
+
+      const proration = this.computeProration(subscription, newPlan);
+
+      let charge = null;
+      if (proration.amountDue > 0) {
+        const chargeResult = await client.query(
+          `INSERT INTO subscription_charges (
+            subscription_id, type, attempt, amount, credit_applied, currency, period_start, period_end, status, provider, created_at
+          ) VALUES ($1, 'proration', 1, $2, $3, $4, $5, $6, 'pending', $7, NOW())
+          RETURNING *`,
+          [
+            subscription.id, proration.amountDue, proration.balanceApplied, subscription.currency,
+            proration.periodStart, proration.periodEnd, subscription.provider,
+          ]
+        );
+        charge = chargeResult.rows[0];
+      }
+
+      const change = await client.query(
+        `INSERT INTO subscription_plan_changes (
+          subscription_id, from_plan_id, to_plan_id, effective, status, period_start, period_end,
+          remaining_fraction, unused_credit, new_cost, balance_applied, amount_due, amount_credited,
+          currency, charge_id, requested_by, created_at, applied_at
+        ) VALUES ($1, $2, $3, 'now', 'applied', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+        RETURNING *`,
+        [
+          subscription.id, subscription.plan_id, newPlan.id, proration.periodStart, proration.periodEnd,
+          proration.remainingFraction, proration.unusedCredit, proration.newCost, proration.balanceApplied,
+          proration.amountDue, proration.amountCredited, subscription.currency, charge ? charge.id : null, requestedBy,
+        ]
+      );
+
+      const updated = await client.query(
+        `UPDATE user_subscriptions
+         SET plan_id = $2, price = $3, pending_plan_id = NULL,
+             credit_balance = COALESCE(credit_balance, 0) - $4 + $5, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [subscription.id, newPlan.id, newPlan.price, proration.balanceApplied, proration.amountCredited]
+      );
+
+      await this.applyPlanLimits(client, subscription.hotspot_user_id, newPlan);
+      await client.query('COMMIT');
+
+      this.logger.info(`Subscription ${subscription.id}: plan ${subscription.plan_id} -> ${newPlan.id} now`);
+      this.emit('subscription:plan-changed', { subscription: updated.rows[0], change: change.rows[0], charge });
+      return { change: change.rows[0], subscription: updated.rows[0], charge, reprovision: true };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!(error instanceof SubscriptionError)) {
+        this.logger.error('Error changing plan:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply a scheduled plan change that has come due (at renewal, in the caller's
+   * transaction). Returns the applied change or null.
+   */
+  async applyPendingPlanChange(client, subscription) {
+    if (!subscription.pending_plan_id) return null;
+
+    const planResult = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [subscription.pending_plan_id]);
+    const newPlan = planResult.rows[0];
+
+    const change = await client.query(
+      `UPDATE subscription_plan_changes SET status = $2, applied_at = NOW()
+       WHERE subscription_id = $1 AND status = 'scheduled'
+       RETURNING *`,
+      [subscription.id, newPlan && newPlan.status === 'active' ? 'applied' : 'cancelled']
+    );
+
+    if (!newPlan || newPlan.status !== 'active') {
+      await client.query('UPDATE user_subscriptions SET pending_plan_id = NULL WHERE id = $1', [subscription.id]);
+      this.logger.warn(`Subscription ${subscription.id}: scheduled plan ${subscription.pending_plan_id} is no longer offered`);
+      return null;
+    }
+
+    await client.query(
+      `UPDATE user_subscriptions
+       SET plan_id = $2, price = $3, currency = $4, pending_plan_id = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [subscription.id, newPlan.id, newPlan.price, newPlan.currency]
+    );
+    await this.applyPlanLimits(client, subscription.hotspot_user_id, newPlan);
+
+    this.logger.info(`Subscription ${subscription.id}: scheduled switch to plan ${newPlan.id} applied`);
+    this.emit('subscription:plan-changed', { subscription, change: change.rows[0], charge: null });
+    return change.rows[0] || null;
+  }
+
+  /**
+   * Drop a change scheduled for the period end
+   */
+  async cancelPlanChange(subscriptionId) {
+    const result = await this.db.query(
+      `UPDATE subscription_plan_changes SET status = 'cancelled'
+       WHERE subscription_id = $1 AND status = 'scheduled'
+       RETURNING *`,
+      [subscriptionId]
+    );
+    await this.db.query(
+      'UPDATE user_subscriptions SET pending_plan_id = NULL, updated_at = NOW() WHERE id = $1',
+      [subscriptionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new SubscriptionError('No plan change is scheduled', 404);
+    }
+    return result.rows[0];
+  }
+
+  async getPlanChanges(subscriptionId) {
+    const result = await this.db.query(
+      `SELECT c.*, fp.name AS from_plan_name, tp.name AS to_plan_name
+       FROM subscription_plan_changes c
+       LEFT JOIN subscription_plans fp ON fp.id = c.from_plan_id
+       LEFT JOIN subscription_plans tp ON tp.id = c.to_plan_id
+       WHERE c.subscription_id = $1
+       ORDER BY c.created_at DESC, c.id DESC`,
+      [subscriptionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * The account takes the plan's profile and data allowance (where the plan sets them)
+   */
+  async applyPlanLimits(client, hotspotUserId, plan) {
+    if (!hotspotUserId) return;
+
+    await client.query(
+      `UPDATE hotspot_users
+       SET profile_id = COALESCE($2, profile_id), bandwidth_limit = COALESCE($3, bandwidth_limit), updated_at = NOW()
+       WHERE id = $1`,
+      [hotspotUserId, plan.profile_id || null, plan.bandwidth_limit || null]
+    );
+  }
+
   /**
    * ==================== AFFILIATE PROGRAM ====================
    */
@@ -266,9 +602,11 @@ class MonetizationService extends EventEmitter {
   }
 
   /**
-   * Track affiliate conversion
+   * Track affiliate conversion; the commission is credited to the affiliate's wallet
    */
-  async trackAffiliateConversion(trackingToken, userId, amount) {
+  async trackAffiliateConversion(trackingToken, userId, amount, currency = null) {
+    const client = await this.db.connect();
+
     try {
       // Get affiliate from tracking token
       const click = await this.db.query(
@@ -293,10 +631,12 @@ class MonetizationService extends EventEmitter {
       }
 
       const affiliateData = affiliate.rows[0];
-      const commission = (amount * affiliateData.commission_rate) / 100;
+      const commission = roundMoney((amount * affiliateData.commission_rate) / 100);
+
+      await client.query('BEGIN');
 
       // Record conversion
-      const result = await this.db.query(
+      const result = await client.query(
         `INSERT INTO affiliate_conversions (
           affiliate_id, user_id, tracking_token, amount, commission, status, created_at
         ) VALUES ($1, $2, $3, $4, $5, 'pending', NOW())
@@ -310,6 +650,20 @@ class MonetizationService extends EventEmitter {
         ]
       );
 
+      if (this.walletService && commission > 0) {
+        await this.walletService.creditCommission(client, {
+          ownerType: 'affiliate',
+          ownerId: affiliateData.id,
+          amount: commission,
+          currency,
+          description: `${affiliateData.commission_rate}% commission on a referred sale`,
+          referenceType: 'affiliate_conversion',
+          referenceId: result.rows[0].id,
+        });
+      }
+
+      await client.query('COMMIT');
+
       this.logger.info(
         `Conversion tracked: ${affiliateCode} - $${amount} (Commission: $${commission})`
       );
@@ -317,8 +671,77 @@ class MonetizationService extends EventEmitter {
 
       return result.rows[0];
     } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
       this.logger.error('Error tracking conversion:', error);
       throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Pay an affiliate their pending commissions: the conversions are marked paid and
+   * the total is paid out of the affiliate's wallet { transactionId, currency }
+   */
+  async payAffiliateCommissions(affiliateCode, { transactionId, currency = null } = {}) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const affiliate = await client.query(
+        'SELECT id FROM affiliates WHERE affiliate_code = $1',
+        [affiliateCode]
+      );
+      if (affiliate.rows.length === 0) {
+        throw new Error('Affiliate not found');
+      }
+      const affiliateId = affiliate.rows[0].id;
+
+      const paid = await client.query(
+        `UPDATE affiliate_conversions SET status = 'paid'
+         WHERE id IN (
+           SELECT id FROM affiliate_conversions
+           WHERE affiliate_id = $1 AND status = 'pending'
+           FOR UPDATE
+         )
+         RETURNING id, commission`,
+        [affiliateId]
+      );
+      const amount = roundMoney(paid.rows.reduce((sum, row) => sum + Number(row.commission), 0));
+
+      let entry = null;
+      if (this.walletService && amount > 0) {
+        entry = await this.walletService.payout(client, {
+          ownerType: 'affiliate',
+          ownerId: affiliateId,
+          amount,
+          currency,
+          description: `Affiliate payout for ${paid.rows.length} conversion(s)${transactionId ? ` (${transactionId})` : ''}`,
+          referenceType: 'affiliate_payout',
+          referenceId: `${affiliateId}:${transactionId || Date.now()}`,
+        });
+      }
+
+      await client.query('COMMIT');
+
+      const payout = {
+        affiliateCode,
+        conversions: paid.rows.length,
+        amount,
+        transactionId: transactionId || null,
+        entryId: entry ? entry.id : null,
+      };
+      this.logger.info(`Affiliate payout: ${affiliateCode} - $${amount} (${paid.rows.length} conversions)`);
+      this.emit('affiliate:payout', payout);
+
+      return payout;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      this.logger.error('Error paying affiliate commissions:', error);
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -423,7 +846,7 @@ class MonetizationService extends EventEmitter {
   /**
    * Calculate dynamic pricing
    */
-  async calculateDynamicPrice(bandwidth, demandLevel = 'medium') {
+  async calculateDynamicPrice(bandwidth, demandLevel = 'medium', { promoCodes, planId, siteId, customerKey, currency } = {}) {
     try {
       const tiers = await this.getPricingTiers();
 
@@ -452,12 +875,30 @@ class MonetizationService extends EventEmitter {
         price *= 0.9; // 10% discount for high bandwidth
       }
 
+      // Promo codes come off the demand-adjusted price
+      let promotion = null;
+      if (promoCodes && promoCodes.length && this.promotionService) {
+        promotion = await this.promotionService.quote(null, {
+          codes: promoCodes,
+          channel: 'portal',
+          amount: price,
+          currency,
+          planId,
+          siteId,
+          customerKey,
+        });
+        price = promotion.amount;
+      }
+
       return {
         bandwidth,
         basePrice: baseTier.price,
         demandMultiplier: demandMultipliers[demandLevel],
         finalPrice: price,
         demandLevel,
+        discount: promotion ? promotion.discount : 0,
+        bonusDays: promotion ? promotion.bonusDays : 0,
+        promotions: promotion ? promotion.applied : [],
       };
     } catch (error) {
       this.logger.error('Error calculating price:', error);
@@ -494,21 +935,49 @@ class MonetizationService extends EventEmitter {
   }
 
   /**
-   * Get revenue by source
+   * Get revenue by source: completed payments by what they paid for (portal purchase,
+   * renewal, top-up...) plus voucher batches sold, with what promo codes took off.
+   * Revenue is net: payments.amount and voucher_batches.price are what was charged after
+   * discounts. gross_revenue adds the recorded discounts back on top of that.
    */
   async getRevenueBySource(daysBack = 30) {
     try {
       const result = await this.db.query(
-        `SELECT 
+        `WITH discounts AS (
+          SELECT order_id, batch_id, SUM(discount_amount) AS discount
+          FROM promotion_redemptions
+          WHERE status = 'redeemed'
+          GROUP BY order_id, batch_id
+        ),
+        sales AS (
+          SELECT
+            COALESCE(p.metadata->>'type', CASE WHEN p.order_id IS NOT NULL THEN 'portal_purchase' ELSE 'other' END) AS source,
+            p.amount AS net_amount,
+            d.discount
+          FROM payments p
+          LEFT JOIN discounts d ON d.order_id = p.order_id
+          WHERE p.status = 'completed'
+          AND p.created_at >= NOW() - INTERVAL '1 day' * $1
+          UNION ALL
+          -- price is the discounted unit price (list_price the one before promo codes)
+          SELECT 'voucher_batch', COALESCE(b.price, 0) * b.quantity, d.discount
+          FROM voucher_batches b
+          LEFT JOIN discounts d ON d.batch_id = b.id
+          WHERE b.status <> 'void'
+          AND b.created_at >= NOW() - INTERVAL '1 day' * $1
+        )
+        SELECT
           source,
           COUNT(*) as transaction_count,
-          SUM(amount) as total_revenue,
-          AVG(amount) as avg_amount
-         FROM payments
-         WHERE status = 'completed'
-         AND created_at >= NOW() - INTERVAL '${daysBack} days'
+          SUM(net_amount) as total_revenue,
+          AVG(net_amount) as avg_amount,
+          COUNT(discount) as promoted_count,
+          COALESCE(SUM(discount), 0) as discount_total,
+          SUM(net_amount) + COALESCE(SUM(discount), 0) as gross_revenue
+         FROM sales
          GROUP BY source
-         ORDER BY total_revenue DESC`
+         ORDER BY total_revenue DESC`,
+        [parseInt(daysBack, 10) || 30]
       );
 
       return result.rows;
@@ -565,3 +1034,5 @@ class MonetizationService extends EventEmitter {
 }
 
 module.exports = MonetizationService;
+module.exports.SubscriptionError = SubscriptionError;
+module.exports.BILLING_INTERVALS = BILLING_INTERVALS;
@@ -1,7 +1,7 @@
 // backend/services/multiSiteManager.js
-const axios = require('axios');
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const { createTransport, detectTransport } = require('./mikrotikTransport');
 
 /**
  * Multi-Site Manager
@@ -15,6 +15,8 @@ class MultiSiteManager extends EventEmitter {
     this.db = db;
     this.logger = config.logger || console;
     this.sites = new Map();
+    this.transports = new Map();
+    this.connecting = new Map();
   }
 
   /**
@@ -34,6 +36,8 @@ class MultiSiteManager extends EventEmitter {
         routerPort,
         routerUser,
         routerPass,
+        routerApiType, // 'rest', 'rest-ssl', 'api', 'api-ssl' or 'auto'
+        timezone, // IANA name, e.g. 'Asia/Dhaka'; the site's bandwidth schedules follow it
         apiKey, // For remote sites
         bandwidth,
         maxUsers,
@@ -47,8 +51,8 @@ class MultiSiteManager extends EventEmitter {
         `INSERT INTO sites (
           site_name, location, site_type, router_ip, router_port,
           router_user, router_pass, api_key, bandwidth, max_users,
-          parent_site_id, status, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'active', NOW())
+          parent_site_id, router_api_type, timezone, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', NOW())
         RETURNING id, site_name, api_key, site_type`,
         [
           siteName,
@@ -62,6 +66,8 @@ class MultiSiteManager extends EventEmitter {
           bandwidth,
           maxUsers,
           parentSiteId || null,
+          routerApiType || 'auto',
+          timezone || null,
         ]
       );
 
@@ -148,13 +154,67 @@ class MultiSiteManager extends EventEmitter {
    * ==================== SITE CONNECTION MANAGEMENT ====================
    */
 
+  /**
+   * Get (cached) router transport for a site
+   * router_port is the port of the chosen transport; 'auto' probes default ports.
+   * Concurrent calls for a site share one probe.
+   */
+  async getSiteTransport(siteId, site) {
+    const key = String(siteId);
+    if (this.transports.has(key)) {
+      return this.transports.get(key);
+    }
+
+    if (!this.connecting.has(key)) {
+      this.connecting.set(key, this.createSiteTransport(site)
+        .then((transport) => {
+          this.transports.set(key, transport);
+          return transport;
+        })
+        .finally(() => this.connecting.delete(key)));
+    }
+    return this.connecting.get(key);
+  }
+
+  async createSiteTransport(site) {
+    const type = site.router_api_type || 'auto';
+    const config = {
+      host: site.router_ip,
+      user: site.router_user,
+      pass: site.router_pass,
+      timeout: 10000,
+      logger: this.logger,
+    };
+
+    let transport;
+    if (type === 'auto') {
+      transport = await detectTransport({ ...config, apiPort: site.router_port || undefined });
+    } else {
+      const portKey = type.startsWith('api') ? 'apiPort' : 'restPort';
+      transport = createTransport(type, { ...config, [portKey]: site.router_port || undefined });
+    }
+    return transport;
+  }
+
+  /**
+   * Drop cached transport (e.g. after connection failure or site update)
+   */
+  closeSiteTransport(siteId) {
+    const key = String(siteId);
+    const transport = this.transports.get(key);
+    if (transport) {
+      transport.close();
+      this.transports.delete(key);
+    }
+  }
+
   /**
    * Test connection to remote site
    */
   async testSiteConnection(siteId) {
     try {
       const site = await this.db.query(
-        `SELECT router_ip, router_port, router_user, router_pass, site_type
+        `SELECT router_ip, router_port, router_user, router_pass, router_api_type, site_type
          FROM sites WHERE id = $1`,
         [siteId]
       );
@@ -165,22 +225,15 @@ class MultiSiteManager extends EventEmitter {
 
       const siteData = site.rows[0];
 
-      // For remote sites, test via REST API
+      // For remote sites, test via the router's REST or binary API
       if (siteData.site_type === 'remote') {
-        const response = await axios.get(
-          `http://${siteData.router_ip}:${siteData.router_port || 8728}/rest/system/identity`,
-          {
-            auth: {
-              username: siteData.router_user,
-              password: siteData.router_pass,
-            },
-            timeout: 5000,
-          }
-        );
+        const transport = await this.getSiteTransport(siteId, siteData);
+        const [identity] = await transport.print('/system/identity');
 
         return {
           connected: true,
-          identity: response.data[0]?.name,
+          identity: identity?.name,
+          transport: transport.type,
           uptime: new Date(),
         };
       } else {
@@ -188,6 +241,7 @@ class MultiSiteManager extends EventEmitter {
         return { connected: true, type: 'local' };
       }
     } catch (error) {
+      this.closeSiteTransport(siteId);
       this.logger.error(`Connection test failed for site ${siteId}:`, error.message);
       return {
         connected: false,
@@ -231,7 +285,7 @@ class MultiSiteManager extends EventEmitter {
   async callSiteAPI(siteId, endpoint, method = 'GET', data = null) {
     try {
       const siteResult = await this.db.query(
-        `SELECT router_ip, router_port, router_user, router_pass, site_type
+        `SELECT router_ip, router_port, router_user, router_pass, router_api_type, site_type
          FROM sites WHERE id = $1`,
         [siteId]
       );
@@ -247,29 +301,22 @@ class MultiSiteManager extends EventEmitter {
         throw new Error('Can only call API on remote sites');
       }
 
-      const url = `http://${site.router_ip}:${site.router_port || 8728}/rest${endpoint}`;
-
-      const config = {
+      const transport = await this.getSiteTransport(siteId, site);
+      const result = await transport.request(
         method,
-        url,
-        auth: {
-          username: site.router_user,
-          password: site.router_pass,
-        },
-        timeout: 10000,
-      };
-
-      if (data && (method === 'POST' || method === 'PUT')) {
-        config.data = data;
-      }
-
-      const response = await axios(config);
+        endpoint,
+        ['POST', 'PUT', 'COMMAND'].includes(method) ? data : null
+      );
 
       // Log API call
-      await this.logSiteAPICall(siteId, endpoint, method, response.status);
+      await this.logSiteAPICall(siteId, endpoint, method, 200);
 
-      return response.data;
+      return result;
     } catch (error) {
+      // Trap errors carry a status; connection errors force a reconnect next time
+      if (!error.status && !error.response) {
+        this.closeSiteTransport(siteId);
+      }
       this.logger.error(`API call failed for site ${siteId}:`, error.message);
       throw error;
     }
@@ -0,0 +1,191 @@
+// backend/services/notificationOutbox.js
+const EventEmitter = require('events');
+
+/**
+ * Notification Outbox
+ * Notifications are written to the `notifications` table (status 'pending') in the
+ * same transaction as the change that caused them, then delivered by a worker
+ * with retries, so an SMTP/SMS outage never fails or rolls back a request.
+ */
+class NotificationOutbox extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mailer = config.mailer || null;
+    this.smsClient = config.smsClient || null;
+    this.smsFrom = config.smsFrom || process.env.TWILIO_PHONE;
+    this.pollInterval = config.pollInterval || 5000;
+    this.batchSize = config.batchSize || 20;
+    this.maxAttempts = config.maxAttempts || 5;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== ENQUEUE ====================
+   */
+
+  /**
+   * Queue a notification. Pass the transaction client to make it part of that transaction.
+   * notification: { channel: 'email' | 'sms', recipient, subject, message, type, hotspotUserId, userId }
+   */
+  async enqueue(notification, client = this.db) {
+    try {
+      const result = await client.query(
+        `INSERT INTO notifications (user_id, hotspot_user_id, type, channel, subject, message, recipient, status, next_attempt_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', NOW(), NOW())
+         RETURNING *`,
+        [
+          notification.userId || null,
+          notification.hotspotUserId || null,
+          notification.type || null,
+          notification.channel,
+          notification.subject || null,
+          notification.message,
+          notification.recipient,
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error enqueuing notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== DELIVERY ====================
+   */
+
+  /**
+   * Fill in account secrets at send time so they are never stored in the outbox:
+   * {{password}} becomes the hotspot user's current password
+   */
+  async render(notification, client = this.db) {
+    if (!notification.hotspot_user_id || !String(notification.message).includes('{{password}}')) {
+      return notification;
+    }
+
+    const result = await client.query('SELECT password FROM hotspot_users WHERE id = $1', [
+      notification.hotspot_user_id,
+    ]);
+    if (!result.rows[0]) {
+      throw new Error('Hotspot account no longer exists');
+    }
+
+    return { ...notification, message: notification.message.split('{{password}}').join(result.rows[0].password) };
+  }
+
+  async deliver(notification) {
+    switch (notification.channel) {
+      case 'email':
+        if (!this.mailer) throw new Error('Email transport not configured');
+        await this.mailer.sendMail({
+          to: notification.recipient,
+          subject: notification.subject,
+          html: notification.message,
+        });
+        break;
+      case 'sms':
+        if (!this.smsClient) throw new Error('SMS client not configured');
+        await this.smsClient.messages.create({
+          body: notification.message,
+          from: this.smsFrom,
+          to: notification.recipient,
+        });
+        break;
+      default:
+        throw new Error(`Unknown notification channel: ${notification.channel}`);
+    }
+  }
+
+  /**
+   * Deliver one batch of due notifications; failures back off exponentially
+   */
+  async processBatch() {
+    const client = await this.db.connect();
+    let processed = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      const pending = await client.query(
+        `SELECT * FROM notifications
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [this.batchSize]
+      );
+
+      for (const notification of pending.rows) {
+        try {
+          await this.deliver(await this.render(notification, client));
+          await client.query(
+            `UPDATE notifications SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+             WHERE id = $1`,
+            [notification.id]
+          );
+          this.emit('notification:sent', notification);
+        } catch (error) {
+          const attempts = notification.attempts + 1;
+          const failed = attempts >= this.maxAttempts;
+
+          await client.query(
+            `UPDATE notifications
+             SET status = $2, attempts = $3, last_error = $4,
+                 next_attempt_at = NOW() + ($5 || ' seconds')::interval
+             WHERE id = $1`,
+            [notification.id, failed ? 'failed' : 'pending', attempts, error.message, 30 * 2 ** attempts]
+          );
+
+          this.logger.warn(
+            `Notification ${notification.id} (${notification.channel}) attempt ${attempts} failed: ${error.message}`
+          );
+          if (failed) this.emit('notification:failed', { notification, error });
+        }
+        processed += 1;
+      }
+
+      await client.query('COMMIT');
+      return processed;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error('Error processing notification outbox:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.processBatch();
+      } catch (error) {
+        // Logged in processBatch; retried next tick
+      } finally {
+        this.running = false;
+      }
+    }, this.pollInterval);
+
+    this.logger.info('Notification outbox worker started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = NotificationOutbox;
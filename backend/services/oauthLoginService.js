@@ -0,0 +1,503 @@
+// backend/services/oauthLoginService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const STATE_TTL = 600;
+// Clock skew tolerated on id_token exp/iat
+const CLOCK_SKEW = 60;
+
+// id_token algorithms accepted from a provider's JWKS (node crypto digest, EC signature encoding)
+const JWS_ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * OAuth error with the HTTP status to answer with
+ */
+class OAuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OAuthError';
+    this.status = status;
+  }
+}
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString());
+
+const hostnameOf = (url) => new URL(url).hostname;
+
+/**
+ * Built-in providers. 'oidc' providers use discovery from the issuer; 'oauth2'
+ * providers list their endpoints. walledGarden: hosts the login pages load before
+ * the guest is online; walledGardenIp: the exact ones of those loaded over HTTPS.
+ */
+const PROVIDER_DEFAULTS = {
+  google: {
+    label: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile'],
+    walledGarden: [
+      'accounts.google.com',
+      '*.gstatic.com',
+      '*.googleusercontent.com',
+      'accounts.youtube.com',
+      'fonts.googleapis.com',
+    ],
+    walledGardenIp: [
+      'accounts.google.com',
+      'ssl.gstatic.com',
+      'www.gstatic.com',
+      'fonts.gstatic.com',
+      'lh3.googleusercontent.com',
+      'accounts.youtube.com',
+      'fonts.googleapis.com',
+    ],
+  },
+  facebook: {
+    label: 'Facebook',
+    type: 'oauth2',
+    authorizationEndpoint: 'https://www.facebook.com/v18.0/dialog/oauth',
+    tokenEndpoint: 'https://graph.facebook.com/v18.0/oauth/access_token',
+    userinfoEndpoint: 'https://graph.facebook.com/me?fields=id,name,email',
+    scopes: ['email', 'public_profile'],
+    walledGarden: ['*.facebook.com', '*.facebook.net', '*.fbcdn.net', '*.fbsbx.com'],
+    walledGardenIp: ['www.facebook.com', 'm.facebook.com', 'connect.facebook.net', 'static.xx.fbcdn.net'],
+  },
+  mock: {
+    label: 'Mock Login',
+    type: 'oidc',
+    scopes: ['openid', 'email', 'profile'],
+  },
+};
+
+/**
+ * Providers configured through OAUTH_<NAME>_CLIENT_ID / _CLIENT_SECRET
+ * (plus OAUTH_MOCK_ISSUER and optional OAUTH_MOCK_DISCOVERY_URL for the local stand-in)
+ */
+function providersFromEnv(env = process.env) {
+  return Object.entries(PROVIDER_DEFAULTS).reduce((providers, [name, defaults]) => {
+    const prefix = `OAUTH_${name.toUpperCase()}`;
+    const clientId = env[`${prefix}_CLIENT_ID`];
+    if (!clientId) return providers;
+
+    const provider = {
+      ...defaults,
+      name,
+      clientId,
+      clientSecret: env[`${prefix}_CLIENT_SECRET`],
+      issuer: env[`${prefix}_ISSUER`] || defaults.issuer,
+      discoveryURL: env[`${prefix}_DISCOVERY_URL`] || null,
+    };
+    if (!provider.walledGarden && provider.issuer) {
+      provider.walledGarden = [hostnameOf(provider.issuer)];
+    }
+
+    providers[name] = provider;
+    return providers;
+  }, {});
+}
+
+/**
+ * OAuth Login Service
+ * "Login with Google/Facebook" for the captive portal: authorization code flow with
+ * PKCE, state kept in Redis, an identity record with marketing consent, and a
+ * hotspot account with a free-tier session on success.
+ */
+class OAuthLoginService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.redis = config.redis;
+    this.providers = config.providers || {};
+    this.callbackBaseURL = (config.callbackBaseURL || process.env.APP_URL || '').replace(/\/$/, '');
+    this.httpTimeout = config.httpTimeout || 10000;
+
+    this.freeMinutes = config.freeMinutes !== undefined ? config.freeMinutes : 30;
+    this.freeProfileId = config.freeProfileId || null;
+    this.freeCooldownHours = config.freeCooldownHours || 24;
+
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * ==================== PROVIDERS ====================
+   */
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new OAuthError(`Unknown login provider: ${name}`, 404);
+    }
+    return provider;
+  }
+
+  /**
+   * Public provider list for the portal buttons
+   */
+  getProviders() {
+    return Object.values(this.providers).map(({ name, label }) => ({ name, label }));
+  }
+
+  /**
+   * Walled-garden presets (one per provider) for WalledGardenService
+   */
+  getWalledGardenPresets() {
+    return Object.values(this.providers).map((provider) => ({
+      name: `oauth-${provider.name}`,
+      label: `${provider.label} login`,
+      hosts: provider.walledGarden || [],
+      ipHosts: provider.walledGardenIp,
+    }));
+  }
+
+  redirectURI(name) {
+    return `${this.callbackBaseURL}/api/portal/oauth/${name}/callback`;
+  }
+
+  /**
+   * Endpoints of a provider (OIDC discovery is cached)
+   */
+  async getEndpoints(provider) {
+    if (provider.type !== 'oidc') {
+      return {
+        authorization_endpoint: provider.authorizationEndpoint,
+        token_endpoint: provider.tokenEndpoint,
+        userinfo_endpoint: provider.userinfoEndpoint,
+        issuer: null,
+      };
+    }
+
+    if (!this.discoveryCache.has(provider.name)) {
+      const url = provider.discoveryURL || `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const response = await axios.get(url, { timeout: this.httpTimeout });
+      this.discoveryCache.set(provider.name, response.data);
+    }
+    return this.discoveryCache.get(provider.name);
+  }
+
+  /**
+   * ==================== AUTHORIZATION CODE FLOW ====================
+   */
+
+  /**
+   * Authorization URL to send the guest to; `mac`/`ip`/`marketingConsent` come back in the state
+   */
+  async createAuthorizationURL(name, { mac, ip, marketingConsent } = {}) {
+    const provider = this.getProvider(name);
+
+    try {
+      const endpoints = await this.getEndpoints(provider);
+      const state = base64url(crypto.randomBytes(24));
+      const nonce = base64url(crypto.randomBytes(16));
+      const codeVerifier = base64url(crypto.randomBytes(32));
+
+      await this.redis.set(
+        `oauth:state:${state}`,
+        JSON.stringify({ provider: name, nonce, codeVerifier, mac, ip, marketingConsent: Boolean(marketingConsent) }),
+        { EX: STATE_TTL }
+      );
+
+      const url = new URL(endpoints.authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: this.redirectURI(name),
+        scope: provider.scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256',
+      }).toString();
+
+      return url.toString();
+    } catch (error) {
+      this.logger.error(`Error starting ${name} login:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish the login: exchange the code, read the profile, find or create the account
+   */
+  async handleCallback(name, { code, state, error: providerError }) {
+    const provider = this.getProvider(name);
+
+    if (providerError) {
+      throw new OAuthError(`Login cancelled: ${providerError}`);
+    }
+
+    const stored = state && await this.redis.get(`oauth:state:${state}`);
+    if (!stored) {
+      throw new OAuthError('Login expired, please try again');
+    }
+    await this.redis.del(`oauth:state:${state}`);
+
+    const session = JSON.parse(stored);
+    if (session.provider !== name) {
+      throw new OAuthError('Login state does not match provider');
+    }
+
+    try {
+      const endpoints = await this.getEndpoints(provider);
+      const tokens = await this.exchangeCode(provider, endpoints, code, session.codeVerifier);
+      const profile = await this.getProfile(provider, endpoints, tokens, session.nonce);
+
+      const { user, identity, created } = await this.upsertIdentity(provider, profile, session.marketingConsent);
+      const grantedUser = await this.grantFreeSession(user, identity);
+
+      this.logger.info(`${provider.label} login for ${grantedUser.username}`);
+      this.emit('oauth:login', { provider: name, user: grantedUser, created });
+      return { user: grantedUser, identity, created, mac: session.mac, ip: session.ip };
+    } catch (error) {
+      if (error instanceof OAuthError) throw error;
+      this.logger.error(`Error completing ${name} login:`, error.response?.data || error);
+      throw new OAuthError(`${provider.label} login failed`, 502);
+    }
+  }
+
+  async exchangeCode(provider, endpoints, code, codeVerifier) {
+    const response = await axios.post(
+      endpoints.token_endpoint,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectURI(provider.name),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: codeVerifier,
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: this.httpTimeout,
+      }
+    );
+    return response.data;
+  }
+
+  /**
+   * Signing keys of a provider from its jwks_uri, cached; `refresh` refetches after key rotation
+   */
+  async getSigningKeys(provider, endpoints, refresh = false) {
+    if (!endpoints.jwks_uri) {
+      throw new OAuthError(`${provider.label} does not publish signing keys`, 502);
+    }
+
+    if (refresh || !this.jwksCache.has(provider.name)) {
+      const response = await axios.get(endpoints.jwks_uri, { timeout: this.httpTimeout });
+      this.jwksCache.set(provider.name, (response.data && response.data.keys) || []);
+    }
+    return this.jwksCache.get(provider.name);
+  }
+
+  /**
+   * Verify an id_token (OIDC Core 3.1.3.7): signature against the provider's JWKS,
+   * then iss, aud/azp, exp and nonce
+   */
+  async verifyIdToken(provider, endpoints, idToken, nonce) {
+    const [headerSegment, payloadSegment, signatureSegment] = String(idToken).split('.');
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(headerSegment);
+      payload = decodeSegment(payloadSegment);
+    } catch (error) {
+      throw new OAuthError('Malformed id_token');
+    }
+
+    const algorithm = JWS_ALGORITHMS[header.alg];
+    if (!algorithm || !signatureSegment) {
+      throw new OAuthError(`Unsupported id_token algorithm: ${header.alg}`);
+    }
+
+    const findKey = (keys) => keys.find((k) => (!header.kid || k.kid === header.kid) && (!k.use || k.use === 'sig'));
+    let jwk = findKey(await this.getSigningKeys(provider, endpoints));
+    if (!jwk) {
+      jwk = findKey(await this.getSigningKeys(provider, endpoints, true));
+    }
+    if (!jwk) {
+      throw new OAuthError('id_token signing key not found');
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(
+        algorithm.digest,
+        Buffer.from(`${headerSegment}.${payloadSegment}`),
+        { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+        Buffer.from(signatureSegment, 'base64url')
+      );
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new OAuthError('id_token signature invalid');
+    }
+
+    const audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!endpoints.issuer || payload.iss !== endpoints.issuer) {
+      throw new OAuthError('id_token issuer mismatch');
+    }
+    if (!audience.includes(provider.clientId) || (audience.length > 1 && payload.azp !== provider.clientId)) {
+      throw new OAuthError('id_token audience mismatch');
+    }
+    if (!payload.exp || payload.exp + CLOCK_SKEW < now) {
+      throw new OAuthError('id_token expired');
+    }
+    if (payload.iat && payload.iat - CLOCK_SKEW > now) {
+      throw new OAuthError('id_token issued in the future');
+    }
+    if (!nonce || payload.nonce !== nonce) {
+      throw new OAuthError('id_token nonce mismatch');
+    }
+    return payload;
+  }
+
+  /**
+   * Normalised profile: { subject, email, name }
+   */
+  async getProfile(provider, endpoints, tokens, nonce) {
+    if (provider.type === 'oidc' && !tokens.id_token) {
+      throw new OAuthError('Provider did not return an id_token', 502);
+    }
+    const claims = provider.type === 'oidc'
+      ? await this.verifyIdToken(provider, endpoints, tokens.id_token, nonce)
+      : {};
+
+    let userinfo = {};
+    if (endpoints.userinfo_endpoint) {
+      const response = await axios.get(endpoints.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: this.httpTimeout,
+      });
+      userinfo = response.data;
+    }
+
+    const subject = claims.sub || userinfo.sub || userinfo.id;
+    if (!subject) {
+      throw new OAuthError('Provider did not return a user id', 502);
+    }
+    if (claims.sub && userinfo.sub && claims.sub !== userinfo.sub) {
+      throw new OAuthError('userinfo subject mismatch', 502);
+    }
+
+    return {
+      subject: String(subject),
+      email: userinfo.email || claims.email || null,
+      name: userinfo.name || claims.name || null,
+    };
+  }
+
+  /**
+   * ==================== ACCOUNTS ====================
+   */
+
+  async upsertIdentity(provider, profile, marketingConsent) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        `SELECT i.*, row_to_json(hu.*) AS hotspot_user
+         FROM oauth_identities i
+         JOIN hotspot_users hu ON hu.id = i.hotspot_user_id
+         WHERE i.provider = $1 AND i.subject = $2
+         FOR UPDATE OF i`,
+        [provider.name, profile.subject]
+      );
+
+      let identity;
+      let user;
+      let created = false;
+
+      if (existing.rows[0]) {
+        user = existing.rows[0].hotspot_user;
+        const result = await client.query(
+          `UPDATE oauth_identities
+           SET email = COALESCE($2, email), name = COALESCE($3, name), last_login = NOW(),
+               marketing_consent = $4,
+               consent_at = CASE WHEN $4 AND NOT marketing_consent THEN NOW() ELSE consent_at END
+           WHERE id = $1
+           RETURNING *`,
+          [existing.rows[0].id, profile.email, profile.name, marketingConsent]
+        );
+        identity = result.rows[0];
+      } else {
+        const userResult = await client.query(
+          `INSERT INTO hotspot_users (username, email, password, expiry_date, profile_id, status, created_at)
+           VALUES ($1, $2, $3, NOW(), $4, 'active', NOW())
+           RETURNING *`,
+          [
+            `${provider.name}_${profile.subject}`.slice(0, 255),
+            profile.email,
+            crypto.randomBytes(6).toString('hex'),
+            this.freeProfileId,
+          ]
+        );
+        user = userResult.rows[0];
+
+        const result = await client.query(
+          `INSERT INTO oauth_identities (
+            hotspot_user_id, provider, subject, email, name, marketing_consent, consent_at, last_login, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6 THEN NOW() END, NOW(), NOW())
+          RETURNING *`,
+          [user.id, provider.name, profile.subject, profile.email, profile.name, marketingConsent]
+        );
+        identity = result.rows[0];
+        created = true;
+      }
+
+      await client.query('COMMIT');
+      return { user, identity, created };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Free-tier session: extend the account by freeMinutes, at most once per cooldown
+   */
+  async grantFreeSession(user, identity) {
+    if (!this.freeMinutes) return user;
+
+    const lastGrant = identity.last_free_session_at ? new Date(identity.last_free_session_at).getTime() : 0;
+    if (Date.now() - lastGrant < this.freeCooldownHours * 3600 * 1000) {
+      return user;
+    }
+
+    const result = await this.db.query(
+      `UPDATE hotspot_users
+       SET expiry_date = GREATEST(COALESCE(expiry_date, NOW()), NOW() + ($2 || ' minutes')::interval),
+           profile_id = COALESCE(profile_id, $3), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [user.id, this.freeMinutes, this.freeProfileId]
+    );
+    await this.db.query(
+      'UPDATE oauth_identities SET last_free_session_at = NOW() WHERE id = $1',
+      [identity.id]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = OAuthLoginService;
+module.exports.OAuthError = OAuthError;
+module.exports.providersFromEnv = providersFromEnv;
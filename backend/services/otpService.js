@@ -0,0 +1,232 @@
+// backend/services/otpService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+/**
+ * OTP error with the HTTP status to answer with (and seconds to wait for 429s)
+ */
+class OtpError extends Error {
+  constructor(message, status = 400, retryAfter = null) {
+    super(message);
+    this.name = 'OtpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * SMS OTP Service
+ * Phone-number login for the captive portal. Codes are stored hashed (HMAC) in Redis
+ * with an expiry; requests are rate limited per phone and per MAC with a resend
+ * cooldown, and wrong guesses burn the code after a few attempts. Attempts are
+ * counted with INCR in their own key, expiring with the code, so concurrent guesses
+ * cannot get past the limit.
+ * A verified phone gets a hotspot account created on first login.
+ */
+class OtpService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.redis = config.redis;
+    this.smsClient = config.smsClient || null;
+    this.smsFrom = config.smsFrom || process.env.TWILIO_PHONE;
+    this.pluginManager = config.pluginManager || null;
+    this.secret = config.secret || process.env.OTP_SECRET || process.env.JWT_SECRET;
+    this.brandName = config.brandName || 'WiFi Hotspot';
+
+    this.codeLength = config.codeLength || 6;
+    this.ttl = config.ttl || 300;
+    this.resendCooldown = config.resendCooldown || 60;
+    this.maxAttempts = config.maxAttempts || 5;
+    this.maxPerPhone = config.maxPerPhone || 5;
+    this.maxPerMac = config.maxPerMac || 10;
+    this.rateWindow = config.rateWindow || 3600;
+    this.defaultCountryCode = config.defaultCountryCode || '880';
+    // Free minutes for a new account; 0 = must buy or redeem access first
+    this.signupMinutes = config.signupMinutes || 0;
+    this.signupProfileId = config.signupProfileId || null;
+  }
+
+  /**
+   * ==================== HELPERS ====================
+   */
+
+  /**
+   * Normalise to E.164: '01712-345678' -> '+8801712345678'
+   */
+  normalizePhone(phone) {
+    let digits = String(phone || '').replace(/[\s().-]/g, '');
+
+    if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+    if (!digits.startsWith('+')) {
+      digits = digits.startsWith(this.defaultCountryCode)
+        ? `+${digits}`
+        : `+${this.defaultCountryCode}${digits.replace(/^0/, '')}`;
+    }
+
+    if (!/^\+\d{8,15}$/.test(digits)) {
+      throw new OtpError('Invalid phone number');
+    }
+    return digits;
+  }
+
+  hashCode(phone, code) {
+    return crypto.createHmac('sha256', this.secret).update(`${phone}:${code}`).digest('hex');
+  }
+
+  generateCode() {
+    return String(crypto.randomInt(0, 10 ** this.codeLength)).padStart(this.codeLength, '0');
+  }
+
+  /**
+   * Count a request in a fixed window; throws 429 once the limit is passed
+   */
+  async hitRateLimit(key, limit, message) {
+    const count = await this.redis.incr(key);
+    if (count === 1) {
+      await this.redis.expire(key, this.rateWindow);
+    }
+    if (count > limit) {
+      throw new OtpError(message, 429, await this.redis.ttl(key));
+    }
+  }
+
+  async sendSMS(phone, message) {
+    // Prefer an installed SMS gateway plugin, fall back to Twilio
+    if (this.pluginManager && (this.pluginManager.hooks.get('notification:send') || []).length > 0) {
+      await this.pluginManager.executeHook('notification:send', { channel: 'sms', phone, message });
+      return;
+    }
+    if (!this.smsClient) throw new Error('SMS client not configured');
+    await this.smsClient.messages.create({ body: message, from: this.smsFrom, to: phone });
+  }
+
+  /**
+   * ==================== OTP FLOW ====================
+   */
+
+  /**
+   * Send a login code to a phone
+   */
+  async requestOtp(phoneNumber, { mac } = {}) {
+    const phone = this.normalizePhone(phoneNumber);
+
+    try {
+      const cooldown = await this.redis.ttl(`otp:cooldown:${phone}`);
+      if (cooldown > 0) {
+        throw new OtpError(`Please wait ${cooldown}s before requesting a new code`, 429, cooldown);
+      }
+
+      await this.hitRateLimit(`otp:rate:phone:${phone}`, this.maxPerPhone, 'Too many codes requested for this number');
+      if (mac) {
+        const macKey = String(mac).replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+        await this.hitRateLimit(`otp:rate:mac:${macKey}`, this.maxPerMac, 'Too many codes requested from this device');
+      }
+
+      const code = this.generateCode();
+      await this.redis
+        .multi()
+        .set(`otp:code:${phone}`, this.hashCode(phone, code), { EX: this.ttl })
+        .set(`otp:attempts:${phone}`, '0', { EX: this.ttl })
+        .set(`otp:cooldown:${phone}`, '1', { EX: this.resendCooldown })
+        .exec();
+
+      try {
+        await this.sendSMS(phone, `${code} is your ${this.brandName} login code. It expires in ${Math.round(this.ttl / 60)} minutes.`);
+      } catch (error) {
+        await this.redis.del([`otp:code:${phone}`, `otp:attempts:${phone}`, `otp:cooldown:${phone}`]);
+        this.logger.error('Error sending OTP SMS:', error);
+        throw new OtpError('Could not send the code, please try again', 502);
+      }
+
+      this.emit('otp:sent', { phone });
+      return { phone, expiresIn: this.ttl, resendIn: this.resendCooldown };
+    } catch (error) {
+      if (!(error instanceof OtpError)) {
+        this.logger.error('Error requesting OTP:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a code; on success returns the hotspot user for the phone (created if new)
+   */
+  async verifyOtp(phoneNumber, code) {
+    const phone = this.normalizePhone(phoneNumber);
+    const key = `otp:code:${phone}`;
+    const attemptsKey = `otp:attempts:${phone}`;
+
+    try {
+      const stored = await this.redis.get(key);
+      if (!stored) {
+        throw new OtpError('Code expired, please request a new one');
+      }
+
+      // Every try is counted before the code is compared
+      const attempts = await this.redis.incr(attemptsKey);
+      if (attempts > this.maxAttempts) {
+        await this.redis.del([key, attemptsKey]);
+        throw new OtpError('Too many wrong codes, please request a new one', 429);
+      }
+
+      const expected = Buffer.from(stored, 'hex');
+      const actual = Buffer.from(this.hashCode(phone, String(code || '').trim()), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        if (attempts >= this.maxAttempts) {
+          await this.redis.del([key, attemptsKey]);
+          throw new OtpError('Too many wrong codes, please request a new one', 429);
+        }
+        throw new OtpError(`Wrong code, ${this.maxAttempts - attempts} attempts left`);
+      }
+
+      // Only one request gets to use the code
+      const used = await this.redis.del(key);
+      await this.redis.del(attemptsKey);
+      if (!used) {
+        throw new OtpError('Code expired, please request a new one');
+      }
+
+      const { user, created } = await this.findOrCreateUser(phone);
+      this.emit('otp:verified', { phone, user, created });
+      return { user, created };
+    } catch (error) {
+      if (!(error instanceof OtpError)) {
+        this.logger.error('Error verifying OTP:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Hotspot account for a verified phone; the username is the number without '+'
+   */
+  async findOrCreateUser(phone) {
+    const username = phone.slice(1);
+
+    const existing = await this.db.query(
+      'SELECT * FROM hotspot_users WHERE phone = $1 OR username = $2 ORDER BY id LIMIT 1',
+      [phone, username]
+    );
+    if (existing.rows[0]) {
+      return { user: existing.rows[0], created: false };
+    }
+
+    const expiryDate = new Date(Date.now() + this.signupMinutes * 60 * 1000);
+    const result = await this.db.query(
+      `INSERT INTO hotspot_users (username, phone, password, expiry_date, profile_id, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, 'active', NOW())
+       ON CONFLICT (username) DO UPDATE SET phone = EXCLUDED.phone
+       RETURNING *`,
+      [username, phone, crypto.randomBytes(6).toString('hex'), expiryDate, this.signupProfileId]
+    );
+
+    this.logger.info(`Created hotspot account ${username} from phone login`);
+    return { user: result.rows[0], created: true };
+  }
+}
+
+module.exports = OtpService;
+module.exports.OtpError = OtpError;
@@ -0,0 +1,162 @@
+// backend/services/paymentRoutingService.js
+const EventEmitter = require('events');
+const axios = require('axios');
+
+/**
+ * Payment routing error with the HTTP status to answer with
+ */
+class PaymentRoutingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentRoutingError';
+    this.status = status;
+  }
+}
+
+// Used when the payment service can't be asked which providers it has
+const KNOWN_PROVIDERS = [
+  { name: 'stripe', currencies: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'SGD', 'MYR', 'BDT', 'JPY'] },
+  { name: 'bkash', currencies: ['BDT'] },
+  { name: 'nagad', currencies: ['BDT'] },
+  { name: 'sslcommerz', currencies: ['BDT', 'USD', 'EUR', 'GBP', 'SGD', 'INR', 'MYR'] },
+];
+
+/**
+ * Payment Routing Service
+ * Admin side of payment_provider_routes: which gateway takes payments for a site,
+ * a reseller and/or a currency. The payment service resolves routes at checkout,
+ * most specific first, and falls back to its defaults.
+ */
+class PaymentRoutingService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.paymentServiceURL = config.paymentServiceURL || process.env.PAYMENT_SERVICE_URL;
+    this.internalToken = config.internalToken || process.env.INTERNAL_API_TOKEN;
+  }
+
+  /**
+   * ==================== PROVIDERS ====================
+   */
+
+  /**
+   * Providers with their currencies and whether the payment service has credentials
+   */
+  async getProviders() {
+    try {
+      const response = await axios.get(`${this.paymentServiceURL}/api/payment/providers`, {
+        headers: { 'X-Internal-Token': this.internalToken },
+        timeout: 5000,
+      });
+      return response.data;
+    } catch (error) {
+      this.logger.warn(`Payment providers unavailable: ${error.message}`);
+      return KNOWN_PROVIDERS.map((provider) => ({ ...provider, configured: null }));
+    }
+  }
+
+  /**
+   * ==================== ROUTES ====================
+   */
+
+  async getRoutes({ siteId, resellerId } = {}) {
+    const conditions = [];
+    const params = [];
+    if (siteId) {
+      params.push(parseInt(siteId, 10));
+      conditions.push(`site_id = $${params.length}`);
+    }
+    if (resellerId) {
+      params.push(parseInt(resellerId, 10));
+      conditions.push(`reseller_id = $${params.length}`);
+    }
+
+    const result = await this.db.query(
+      `SELECT * FROM payment_provider_routes
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY (site_id IS NOT NULL) DESC, (reseller_id IS NOT NULL) DESC,
+                (currency IS NOT NULL) DESC, priority ASC, id ASC`,
+      params
+    );
+    return result.rows;
+  }
+
+  async validateRoute({ provider, currency }) {
+    const providers = await this.getProviders();
+    const known = providers.find((p) => p.name === provider);
+    if (!known) {
+      throw new PaymentRoutingError(`Unknown payment provider: ${provider}`);
+    }
+    if (currency && !known.currencies.includes(currency)) {
+      throw new PaymentRoutingError(`${provider} does not accept ${currency}`);
+    }
+  }
+
+  /**
+   * Add a route { siteId, resellerId, currency, provider, priority }
+   */
+  async createRoute(data, createdBy = null) {
+    const route = {
+      siteId: data.siteId ? parseInt(data.siteId, 10) : null,
+      resellerId: data.resellerId ? parseInt(data.resellerId, 10) : null,
+      currency: data.currency ? String(data.currency).trim().toUpperCase() : null,
+      provider: String(data.provider || '').trim().toLowerCase(),
+      priority: data.priority !== undefined && data.priority !== '' ? parseInt(data.priority, 10) : 100,
+    };
+    if (route.currency && !/^[A-Z]{3}$/.test(route.currency)) {
+      throw new PaymentRoutingError('Currency must be a 3-letter ISO code');
+    }
+    await this.validateRoute(route);
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO payment_provider_routes (site_id, reseller_id, currency, provider, priority, status, created_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, 'active', $6, NOW())
+         RETURNING *`,
+        [route.siteId, route.resellerId, route.currency, route.provider, route.priority, createdBy]
+      );
+
+      this.logger.info(`Payment route added: ${route.provider} for site ${route.siteId}, reseller ${route.resellerId}, ${route.currency || 'any currency'}`);
+      this.emit('route:created', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error creating payment route:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable/disable a route or change its priority { status, priority }
+   */
+  async updateRoute(id, { status, priority }) {
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      throw new PaymentRoutingError('Status must be active or inactive');
+    }
+
+    const result = await this.db.query(
+      `UPDATE payment_provider_routes
+       SET status = COALESCE($2, status), priority = COALESCE($3, priority)
+       WHERE id = $1
+       RETURNING *`,
+      [id, status || null, priority !== undefined && priority !== '' ? parseInt(priority, 10) : null]
+    );
+    if (!result.rows[0]) {
+      throw new PaymentRoutingError('Route not found', 404);
+    }
+    this.emit('route:updated', result.rows[0]);
+    return result.rows[0];
+  }
+
+  async deleteRoute(id) {
+    const result = await this.db.query('DELETE FROM payment_provider_routes WHERE id = $1 RETURNING *', [id]);
+    if (!result.rows[0]) {
+      throw new PaymentRoutingError('Route not found', 404);
+    }
+    this.emit('route:deleted', result.rows[0]);
+    return result.rows[0];
+  }
+}
+
+module.exports = PaymentRoutingService;
+module.exports.PaymentRoutingError = PaymentRoutingError;
@@ -0,0 +1,508 @@
+// backend/services/portalCheckoutService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+const { normalizeMac } = require('./deviceRegistry');
+const { customerKey } = require('./promotionService');
+
+/**
+ * Checkout error with the HTTP status to answer with
+ */
+class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+  }
+}
+
+const PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 30, yearly: 365 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Portal Checkout Service
+ * Self-service plan purchase in the captive portal:
+ *   1. the guest picks a plan, an order is stored and the payment service opens a
+ *      hosted checkout with the gateway routed for the site and currency (reachable
+ *      through that gateway's walled-garden preset)
+ *   2. the payment webhook calls fulfillOrder: a paid voucher is issued and redeemed
+ *      straight away, onto the logged-in account or as a new account named after the code
+ *   3. the portal polls the order and, once it is fulfilled, exchanges the claim token
+ *      it got with the order for a portal session: once, and within `claimMinutes`
+ * Fulfilment is idempotent and serialised on the order row, so webhook retries and
+ * concurrent deliveries are safe. A logged-in user may instead
+ * pay from their wallet, in which case the debit and the voucher commit together.
+ * Promo codes are reserved with the order and confirmed when it is paid; an order
+ * discounted to nothing is fulfilled without a checkout.
+ */
+class PortalCheckoutService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.monetizationService = config.monetizationService;
+    this.redemptionService = config.redemptionService;
+    this.walletService = config.walletService || null;
+    this.promotionService = config.promotionService || null;
+    this.generateCode = config.generateCode;
+    this.paymentServiceURL = config.paymentServiceURL || process.env.PAYMENT_SERVICE_URL;
+    this.portalURL = (config.portalURL || process.env.PORTAL_URL || '').replace(/\/$/, '');
+    this.internalToken = config.internalToken || process.env.INTERNAL_API_TOKEN;
+    this.claimMinutes = config.claimMinutes || 60;
+  }
+
+  /**
+   * ==================== PLANS ====================
+   */
+
+  planValidityDays(plan) {
+    return plan.validity_days || PERIOD_DAYS[plan.billing_period] || 30;
+  }
+
+  /**
+   * Plans shown on the portal's "Buy access" page
+   */
+  async getPlans() {
+    const plans = await this.monetizationService.getAllPlans();
+    return plans.map((plan) => ({
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      price: Number(plan.price),
+      currency: plan.currency,
+      validityDays: this.planValidityDays(plan),
+      bandwidthLimit: plan.bandwidth_limit,
+      maxDevices: plan.max_devices,
+      features: plan.features,
+    }));
+  }
+
+  async findPlan(planId) {
+    const plans = await this.monetizationService.getAllPlans();
+    const plan = plans.find((p) => p.id === parseInt(planId, 10));
+    if (!plan) {
+      throw new CheckoutError('Plan not found', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * The plan's price after promo codes { promoCodes, siteId, customer, lock }
+   */
+  async priceOrder(client, plan, { promoCodes, siteId, customer, lock = true }) {
+    if (!this.promotionService) {
+      if (promoCodes && promoCodes.length) {
+        throw new CheckoutError('Promo codes are not available', 503);
+      }
+      const price = Number(plan.price);
+      return { listAmount: price, amount: price, discount: 0, bonusDays: 0, currency: plan.currency, applied: [] };
+    }
+    return this.promotionService.quote(client, {
+      codes: promoCodes,
+      channel: 'portal',
+      amount: plan.price,
+      currency: plan.currency,
+      planId: plan.id,
+      siteId,
+      customerKey: customer,
+      lock,
+    });
+  }
+
+  /**
+   * What the guest would pay for a plan with promo codes, shown before checkout
+   * { planId, promoCodes, siteId, hotspotUserId, email, phone, mac }
+   */
+  async quoteOrder({ planId, promoCodes, siteId, hotspotUserId, email, phone, mac }) {
+    const plan = await this.findPlan(planId);
+    const quote = await this.priceOrder(null, plan, {
+      promoCodes,
+      siteId,
+      customer: customerKey({ hotspotUserId, email, phone, mac }),
+      lock: false,
+    });
+    return { ...quote, planId: plan.id, validityDays: this.planValidityDays(plan) + quote.bonusDays };
+  }
+
+  /**
+   * ==================== ORDERS ====================
+   */
+
+  /**
+   * Store an order and open a hosted checkout for it; returns { orderId, checkoutUrl, claimToken }
+   * `hotspotUserId` (from a portal session) tops up that account instead of creating one
+   */
+  async createOrder({ planId, hotspotUserId, email, phone, mac, ip, siteId, promoCodes }) {
+    const plan = await this.findPlan(planId);
+
+    const orderId = crypto.randomUUID();
+    const claimToken = crypto.randomBytes(24).toString('base64url');
+    const macAddress = mac ? normalizeMac(mac) : null;
+    const customer = customerKey({ hotspotUserId, email, phone, mac: macAddress });
+
+    // The codes are reserved with the order so their limits hold while the guest pays
+    const client = await this.db.connect();
+    let quote;
+    try {
+      await client.query('BEGIN');
+
+      quote = await this.priceOrder(client, plan, { promoCodes, siteId, customer });
+      await client.query(
+        `INSERT INTO portal_orders (
+          id, plan_id, hotspot_user_id, site_id, amount, list_amount, discount_amount, bonus_days, currency,
+          email, phone, mac_address, ip_address, claim_token_hash, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'pending', NOW())`,
+        [
+          orderId, plan.id, hotspotUserId || null, siteId || null, quote.amount, quote.listAmount, quote.discount,
+          quote.bonusDays, plan.currency, email || null, phone || null, macAddress, ip || null, hashToken(claimToken),
+        ]
+      );
+      if (this.promotionService) {
+        await this.promotionService.recordRedemptions(client, quote, {
+          channel: 'portal', orderId, customerKey: customer, planId: plan.id, siteId,
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (!error.status) {
+        this.logger.error('Error storing portal order:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The router's mac/ip come back on the return URL so the portal can log the device in
+    const returnParams = new URLSearchParams({ order: orderId });
+    if (macAddress) returnParams.set('mac', macAddress);
+    if (ip) returnParams.set('ip', ip);
+
+    if (quote.amount === 0) {
+      await this.fulfillOrder(orderId);
+      this.logger.info(`Portal order ${orderId} for plan ${plan.name} fully discounted`);
+      this.emit('order:created', { orderId, plan, provider: null });
+      return { orderId, checkoutUrl: `${this.portalURL}/?${returnParams}`, provider: null, claimToken };
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.paymentServiceURL}/api/payment/checkout-session`,
+        {
+          orderId,
+          amount: quote.amount,
+          currency: plan.currency,
+          description: `${plan.name} - ${this.planValidityDays(plan) + quote.bonusDays} day WiFi access`,
+          email,
+          phone,
+          siteId: siteId || null,
+          successUrl: `${this.portalURL}/?${returnParams}`,
+          cancelUrl: `${this.portalURL}/?${new URLSearchParams({ ...Object.fromEntries(returnParams), cancelled: '1' })}`,
+        },
+        { headers: { 'X-Internal-Token': this.internalToken }, timeout: 15000 }
+      );
+
+      await this.db.query(
+        'UPDATE portal_orders SET checkout_session_id = $1, payment_provider = $2 WHERE id = $3',
+        [response.data.sessionId, response.data.provider, orderId]
+      );
+
+      this.logger.info(`Portal order ${orderId} created for plan ${plan.name} via ${response.data.provider}`);
+      this.emit('order:created', { orderId, plan, provider: response.data.provider });
+      return { orderId, checkoutUrl: response.data.checkoutUrl, provider: response.data.provider, claimToken };
+    } catch (error) {
+      this.logger.error('Error creating portal order:', error.response?.data || error);
+      await this.db.query(
+        `UPDATE portal_orders SET status = 'failed', error = $1 WHERE id = $2 AND status = 'pending'`,
+        [error.message, orderId]
+      ).catch(() => {});
+      if (this.promotionService) {
+        await this.promotionService.releaseRedemptions(null, orderId).catch(() => {});
+      }
+      throw new CheckoutError('Could not start checkout, please try again', 502);
+    }
+  }
+
+  async getOrder(orderId) {
+    const result = await this.db.query(
+      `SELECT o.*, p.name AS plan_name
+       FROM portal_orders o
+       LEFT JOIN subscription_plans p ON p.id = o.plan_id
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    if (!result.rows[0]) {
+      throw new CheckoutError('Order not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Order state for the portal's polling
+   */
+  async getOrderStatus(orderId) {
+    const order = await this.getOrder(orderId);
+    return { orderId: order.id, status: order.status, plan: order.plan_name };
+  }
+
+  /**
+   * Exchange the order's claim token for the account it bought, once the order is
+   * fulfilled. Works once, within claimMinutes of fulfilment; resolves to { order, user }.
+   */
+  async claimOrder(orderId, claimToken) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM portal_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const order = result.rows[0];
+      const expected = Buffer.from((order && order.claim_token_hash) || '');
+      const given = Buffer.from(claimToken ? hashToken(claimToken) : '');
+      if (!order || expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new CheckoutError('Order not found', 404);
+      }
+      if (order.status !== 'fulfilled') {
+        throw new CheckoutError('The order is not paid yet', 409);
+      }
+      if (order.claimed_at) {
+        throw new CheckoutError('This order has already been used to log in', 409);
+      }
+      if (new Date(order.fulfilled_at).getTime() + this.claimMinutes * 60 * 1000 < Date.now()) {
+        throw new CheckoutError('This link has expired, please log in with your account', 410);
+      }
+
+      await client.query('UPDATE portal_orders SET claimed_at = NOW() WHERE id = $1', [orderId]);
+      const user = await client.query('SELECT * FROM hotspot_users WHERE id = $1', [order.hotspot_user_id]);
+
+      await client.query('COMMIT');
+      return { order, user: user.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (!error.status) {
+        this.logger.error(`Error claiming portal order ${orderId}:`, error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Payment confirmed (called from the payment webhook): issue a paid voucher for the
+   * plan and redeem it. Safe to call again for the same order.
+   */
+  async fulfillOrder(orderId, { transactionId, amount, currency } = {}) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query('SELECT * FROM portal_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const order = orderResult.rows[0];
+      if (!order) {
+        throw new CheckoutError('Order not found', 404);
+      }
+      if (order.status === 'fulfilled') {
+        await client.query('COMMIT');
+        return order;
+      }
+      if (amount !== undefined && Math.round(Number(amount) * 100) !== Math.round(Number(order.amount) * 100)) {
+        throw new CheckoutError(`Paid amount ${amount} does not match order amount ${order.amount}`, 409);
+      }
+      if (currency && String(currency).toUpperCase() !== String(order.currency).toUpperCase()) {
+        throw new CheckoutError(`Paid currency ${currency} does not match order currency ${order.currency}`, 409);
+      }
+
+      const voucher = await this.issueOrderVoucher(client, order);
+
+      await client.query(
+        `UPDATE portal_orders
+         SET status = 'paid', voucher_id = $2, transaction_id = COALESCE($3, transaction_id),
+             paid_at = COALESCE(paid_at, NOW())
+         WHERE id = $1`,
+        [orderId, voucher.id, transactionId || null]
+      );
+      if (this.promotionService) {
+        await this.promotionService.confirmRedemptions(client, orderId);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      this.logger.error(`Error fulfilling portal order ${orderId}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.completeOrder(orderId);
+  }
+
+  /**
+   * Pay for a plan from the logged-in user's wallet: the debit, the order and its paid
+   * voucher commit in one transaction, then the voucher tops up the account
+   */
+  async payFromWallet({ planId, hotspotUserId, mac, ip, siteId, promoCodes }) {
+    if (!this.walletService) {
+      throw new CheckoutError('Wallet payments are not available', 503);
+    }
+    const plan = await this.findPlan(planId);
+
+    const orderId = crypto.randomUUID();
+    const customer = customerKey({ hotspotUserId });
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const quote = await this.priceOrder(client, plan, { promoCodes, siteId, customer });
+      const orderResult = await client.query(
+        `INSERT INTO portal_orders (
+          id, plan_id, hotspot_user_id, site_id, amount, list_amount, discount_amount, bonus_days, currency,
+          mac_address, ip_address, payment_provider, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'wallet', 'pending', NOW())
+        RETURNING *`,
+        [
+          orderId, plan.id, hotspotUserId, siteId || null, quote.amount, quote.listAmount, quote.discount,
+          quote.bonusDays, plan.currency, mac ? normalizeMac(mac) : null, ip || null,
+        ]
+      );
+      const order = orderResult.rows[0];
+
+      // A fully discounted plan takes nothing from the wallet
+      const entry = quote.amount > 0
+        ? await this.walletService.debit(client, {
+          ownerType: 'hotspot_user',
+          ownerId: hotspotUserId,
+          amount: quote.amount,
+          currency: plan.currency,
+          description: `${plan.name} - ${this.planValidityDays(plan) + quote.bonusDays} day WiFi access`,
+          referenceType: 'portal_order',
+          referenceId: orderId,
+          idempotencyKey: `portal_order:${orderId}`,
+        })
+        : null;
+      if (this.promotionService) {
+        await this.promotionService.recordRedemptions(client, quote, {
+          channel: 'portal', orderId, customerKey: customer, planId: plan.id, siteId, status: 'redeemed',
+        });
+      }
+      const voucher = await this.issueOrderVoucher(client, order);
+
+      await client.query(
+        `UPDATE portal_orders SET status = 'paid', voucher_id = $2, wallet_entry_id = $3, paid_at = NOW()
+         WHERE id = $1`,
+        [orderId, voucher.id, entry ? entry.id : null]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (!error.status) {
+        this.logger.error('Error paying portal order from wallet:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.logger.info(`Portal order ${orderId} for plan ${plan.name} paid from wallet`);
+    return this.completeOrder(orderId);
+  }
+
+  /**
+   * The paid voucher for an order, issued on first call
+   */
+  async issueOrderVoucher(client, order) {
+    if (order.voucher_id) {
+      const existing = await client.query('SELECT * FROM vouchers WHERE id = $1', [order.voucher_id]);
+      return existing.rows[0];
+    }
+
+    const planResult = await client.query('SELECT * FROM subscription_plans WHERE id = $1', [order.plan_id]);
+    const plan = planResult.rows[0];
+
+    const voucherResult = await client.query(
+      `INSERT INTO vouchers (code, days, price, bandwidth, profile_id, paid, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, true, 'active', NOW())
+       RETURNING *`,
+      [this.generateCode(), this.planValidityDays(plan) + (order.bonus_days || 0), order.amount, plan.bandwidth_limit, plan.profile_id]
+    );
+    return voucherResult.rows[0];
+  }
+
+  /**
+   * Redeem a paid order's voucher and mark the order fulfilled. The order row stays
+   * locked meanwhile, so a concurrent call waits and then finds it fulfilled.
+   */
+  async completeOrder(orderId) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query('SELECT * FROM portal_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const order = orderResult.rows[0];
+      if (order.status !== 'paid') {
+        await client.query('COMMIT');
+        return order;
+      }
+
+      const voucherResult = await client.query('SELECT * FROM vouchers WHERE id = $1', [order.voucher_id]);
+      const voucher = voucherResult.rows[0];
+      const user = await this.redeemOrderVoucher(order, voucher);
+
+      const result = await client.query(
+        `UPDATE portal_orders
+         SET status = 'fulfilled', hotspot_user_id = $2, fulfilled_at = NOW(), error = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [orderId, user.id]
+      );
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Portal order ${orderId} fulfilled for ${user.username}`);
+      this.emit('order:fulfilled', { order: result.rows[0], voucher, user });
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      await this.db.query(
+        'UPDATE portal_orders SET error = $1 WHERE id = $2',
+        [error.message, orderId]
+      ).catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Redeem the order's voucher; a retry after a crash finds the account it already made
+   */
+  async redeemOrderVoucher(order, voucher) {
+    if (voucher.status === 'redeemed') {
+      const existing = await this.db.query(
+        'SELECT * FROM hotspot_users WHERE voucher_id = $1 ORDER BY updated_at DESC LIMIT 1',
+        [voucher.id]
+      );
+      if (existing.rows[0]) return existing.rows[0];
+    }
+
+    if (order.hotspot_user_id) {
+      return this.redemptionService.topUp({ code: voucher.code, hotspotUserId: order.hotspot_user_id });
+    }
+    return this.redemptionService.redeem({
+      code: voucher.code,
+      username: voucher.code,
+      email: order.email,
+      phone: order.phone,
+    });
+  }
+}
+
+module.exports = PortalCheckoutService;
+module.exports.CheckoutError = CheckoutError;
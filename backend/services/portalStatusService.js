@@ -0,0 +1,301 @@
+// backend/services/portalStatusService.js
+const EventEmitter = require('events');
+const { getRouterTargets } = require('./routerTargets');
+const { parseDuration } = require('./mikrotikManager');
+
+const ACTIVE_PATH = '/ip/hotspot/active';
+const COOKIE_PATH = '/ip/hotspot/cookie';
+
+const GIGABYTE = 1024 * 1024 * 1024;
+// Counter samples older than this are dropped (the portal polls every few seconds)
+const SAMPLE_TTL = 10 * 60 * 1000;
+
+const macKey = (mac) => String(mac || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+
+/**
+ * Portal Status Service
+ * Live status for the portal dashboard: data used vs limit, time left, the speed limit
+ * in force and why (plan, fair usage tier, bandwidth schedule), and the user's live
+ * sessions with uptime and current throughput. Throughput is the byte-counter delta
+ * between two polls. Also ends sessions, and forgets the device's cookie and binding,
+ * on the main router and every remote site when the user logs out.
+ */
+class PortalStatusService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.multiSiteManager = config.multiSiteManager || null;
+    this.deviceRegistry = config.deviceRegistry || null;
+    this.coaClient = config.coaClient || null;
+    // With RADIUS, live counters come from accounting and logout is a Disconnect-Request
+    this.radiusEnabled = Boolean(config.radiusEnabled);
+
+    this.samples = new Map();
+  }
+
+  /**
+   * ==================== STATUS ====================
+   */
+
+  async getStatus(hotspotUserId) {
+    try {
+      const result = await this.db.query(
+        `SELECT hu.*, p.name AS profile_name, p.rate_limit AS profile_rate_limit, f.name AS fup_policy_name
+         FROM hotspot_users hu
+         LEFT JOIN hotspot_profiles p ON p.id = hu.profile_id
+         LEFT JOIN fup_policies f ON f.id = hu.fup_policy_id
+         WHERE hu.id = $1`,
+        [hotspotUserId]
+      );
+      const user = result.rows[0];
+      if (!user) {
+        const error = new Error('Account not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const schedule = await this.db.query(
+        `SELECT s.name, s.rate_limit
+         FROM bandwidth_schedule_runs r
+         JOIN bandwidth_schedules s ON s.id = r.schedule_id
+         WHERE r.username = $1
+         LIMIT 1`,
+        [user.username]
+      );
+
+      const { sessions, error: sessionsError } = await this.getLiveSessions(user.username);
+      const limit = user.bandwidth_limit ? Number(user.bandwidth_limit) * GIGABYTE : null;
+      const used = Number(user.bandwidth_used || 0);
+      const expiresAt = user.expiry_date ? new Date(user.expiry_date) : null;
+
+      return {
+        username: user.username,
+        status: user.status,
+        profile: user.profile_name,
+        data: {
+          used,
+          limit,
+          remaining: limit !== null ? Math.max(limit - used, 0) : null,
+        },
+        time: {
+          expiresAt,
+          secondsRemaining: expiresAt ? Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 0) : null,
+        },
+        speed: this.describeSpeedLimit(user, schedule.rows[0]),
+        sessions,
+        sessionsError,
+        checkedAt: new Date(),
+      };
+    } catch (error) {
+      if (!error.status) {
+        this.logger.error('Error getting portal status:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The rate limit in force and what set it, in the same precedence as RADIUS replies
+   */
+  describeSpeedLimit(user, schedule) {
+    if (user.fup_blocked) {
+      return { rateLimit: null, reason: 'fup_blocked', detail: user.fup_policy_name };
+    }
+    if (user.fup_rate_limit) {
+      return { rateLimit: user.fup_rate_limit, reason: 'fup', detail: user.fup_policy_name };
+    }
+    if (schedule && schedule.rate_limit) {
+      return { rateLimit: schedule.rate_limit, reason: 'schedule', detail: schedule.name };
+    }
+    return {
+      rateLimit: user.rate_limit || user.profile_rate_limit || null,
+      reason: 'plan',
+      detail: user.profile_name,
+    };
+  }
+
+  /**
+   * ==================== SESSIONS ====================
+   */
+
+  /**
+   * Live sessions of a user: { id, macAddress, ipAddress, uptimeSeconds, bytesIn, bytesOut,
+   * downloadBps, uploadBps }. Router errors are reported, not thrown.
+   */
+  async getLiveSessions(username) {
+    let sessions;
+
+    try {
+      sessions = this.radiusEnabled
+        ? await this.getAccountingSessions(username)
+        : await this.getRouterSessions(username);
+    } catch (error) {
+      this.logger.warn(`Live sessions unavailable for ${username}: ${error.message}`);
+      return { sessions: [], error: 'Live session data is unavailable right now' };
+    }
+
+    return { sessions: sessions.map((session) => this.withThroughput(username, session)), error: null };
+  }
+
+  async getRouters() {
+    return getRouterTargets(this.db, {
+      mikrotikManager: this.mikrotikManager,
+      multiSiteManager: this.multiSiteManager,
+    });
+  }
+
+  /**
+   * The user's entries in /ip/hotspot/active on every router, filtered by the router
+   */
+  async getRouterSessions(username) {
+    const sessions = [];
+
+    for (const router of await this.getRouters()) {
+      const active = (await router.print(ACTIVE_PATH, { user: username })) || [];
+      active.forEach((session) => {
+        sessions.push({
+          id: `${router.key}:${session['.id']}`,
+          macAddress: session['mac-address'],
+          ipAddress: session.address,
+          uptimeSeconds: parseDuration(session.uptime),
+          sessionTimeLeft: session['session-time-left'] || null,
+          // bytes-in is what the router received from the client (upload)
+          bytesIn: Number(session['bytes-in'] || 0),
+          bytesOut: Number(session['bytes-out'] || 0),
+        });
+      });
+    }
+
+    return sessions;
+  }
+
+  async getAccountingSessions(username) {
+    const result = await this.db.query(
+      `SELECT * FROM session_logs
+       WHERE username = $1 AND status = 'active'
+       ORDER BY login_time DESC`,
+      [username]
+    );
+
+    return result.rows.map((row) => ({
+      id: row.acct_session_id || String(row.id),
+      macAddress: row.mac_address,
+      ipAddress: row.ip_address,
+      uptimeSeconds: Math.floor((Date.now() - new Date(row.login_time).getTime()) / 1000),
+      // Accounting counts from the NAS's view of the client, like bytes-in/out on the router
+      bytesIn: Number(row.bytes_upload || 0),
+      bytesOut: Number(row.bytes_download || 0),
+    }));
+  }
+
+  /**
+   * Bits per second since the previous sample of the same session
+   */
+  withThroughput(username, session) {
+    const now = Date.now();
+    const key = `${username}:${session.id}`;
+    const previous = this.samples.get(key);
+
+    const moved = !previous || session.bytesIn !== previous.bytesIn || session.bytesOut !== previous.bytesOut;
+
+    let downloadBps = null;
+    let uploadBps = null;
+    if (previous && (moved || !this.radiusEnabled)) {
+      const seconds = Math.max((now - previous.at) / 1000, 1);
+      downloadBps = Math.max(Math.round(((session.bytesOut - previous.bytesOut) * 8) / seconds), 0);
+      uploadBps = Math.max(Math.round(((session.bytesIn - previous.bytesIn) * 8) / seconds), 0);
+    } else if (previous) {
+      // Accounting counters only move every interim interval; keep the last rate until they do
+      ({ downloadBps, uploadBps } = previous);
+    }
+
+    if (moved || !this.radiusEnabled) {
+      this.samples.set(key, { at: now, bytesIn: session.bytesIn, bytesOut: session.bytesOut, downloadBps, uploadBps });
+    }
+    this.pruneSamples(now);
+
+    return {
+      id: session.id,
+      macAddress: session.macAddress,
+      ipAddress: session.ipAddress,
+      uptimeSeconds: session.uptimeSeconds,
+      sessionTimeLeft: session.sessionTimeLeft || null,
+      bytesIn: session.bytesIn,
+      bytesOut: session.bytesOut,
+      downloadBps,
+      uploadBps,
+    };
+  }
+
+  pruneSamples(now) {
+    for (const [key, sample] of this.samples) {
+      if (now - sample.at > SAMPLE_TTL) this.samples.delete(key);
+    }
+  }
+
+  /**
+   * ==================== LOGOUT ====================
+   */
+
+  /**
+   * End the user's sessions for `macAddress` (all sessions without it) on every router,
+   * and drop the matching hotspot cookies and device bindings so the device is not
+   * logged straight back in
+   */
+  async logout(hotspotUserId, { macAddress } = {}) {
+    try {
+      const result = await this.db.query('SELECT username FROM hotspot_users WHERE id = $1', [hotspotUserId]);
+      const { username } = result.rows[0] || {};
+      if (!username) return { disconnected: 0 };
+
+      const matches = (entry) => !macAddress || macKey(entry['mac-address']) === macKey(macAddress);
+
+      let disconnected = 0;
+      if (this.radiusEnabled) {
+        const results = await this.coaClient.disconnectUser(username, 'portal-logout', { macAddress });
+        disconnected = results.length;
+      }
+
+      for (const router of await this.getRouters()) {
+        try {
+          const cookies = ((await router.print(COOKIE_PATH, { user: username })) || []).filter(matches);
+          for (const cookie of cookies) {
+            await router.remove(COOKIE_PATH, cookie['.id']);
+          }
+
+          if (!this.radiusEnabled) {
+            const sessions = ((await router.print(ACTIVE_PATH, { user: username })) || []).filter(matches);
+            for (const session of sessions) {
+              await router.remove(ACTIVE_PATH, session['.id']);
+              this.samples.delete(`${username}:${router.key}:${session['.id']}`);
+            }
+            disconnected += sessions.length;
+          }
+        } catch (error) {
+          this.logger.error(`Error ending portal sessions of ${username} on ${router.name}:`, error.message);
+        }
+      }
+
+      if (this.deviceRegistry) {
+        const devices = await this.db.query(
+          "SELECT * FROM user_devices WHERE hotspot_user_id = $1 AND status = 'active'",
+          [hotspotUserId]
+        );
+        for (const device of devices.rows.filter((d) => matches({ 'mac-address': d.mac_address }))) {
+          await this.deviceRegistry.unbindDevice(device);
+        }
+      }
+
+      this.logger.info(`Portal logout for ${username}: ${disconnected} sessions ended`);
+      this.emit('portal:logout', { username, disconnected });
+      return { disconnected };
+    } catch (error) {
+      this.logger.error('Error logging out portal session:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PortalStatusService;
@@ -0,0 +1,539 @@
+// backend/services/promotionService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+/**
+ * Promotion error with the HTTP status to answer with
+ */
+class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_days'];
+const CHANNELS = ['any', 'portal', 'voucher_batch'];
+// Within a priority: percentages first, so fixed amounts come off the discounted price
+const TYPE_ORDER = { percentage: 0, fixed: 1, free_days: 2 };
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Who a redemption counts against for per-user limits: the logged-in account, else
+ * the admin/reseller selling a batch, else the buyer's email, phone or device
+ */
+const customerKey = ({ hotspotUserId, userId, email, phone, mac } = {}) => {
+  if (hotspotUserId) return `hotspot_user:${hotspotUserId}`;
+  if (userId) return `user:${userId}`;
+  if (email) return `email:${String(email).trim().toLowerCase()}`;
+  if (phone) return `phone:${String(phone).replace(/[^0-9+]/g, '')}`;
+  if (mac) return `mac:${String(mac).replace(/[^0-9a-fA-F]/g, '').toUpperCase()}`;
+  return null;
+};
+
+/**
+ * Promotion Service
+ * Discount campaigns and their coupon codes, applied at portal checkout and when a
+ * voucher batch is sold. quote() checks codes against the campaign's window, channel,
+ * plan/site restrictions, minimum amount, usage limits (per campaign, per code and per
+ * customer) and stacking rules, then prices them: percentages, then fixed amounts, in
+ * priority order, never below zero; free days add to the access bought. Codes on an
+ * order awaiting payment are reserved, and count towards the limits for
+ * `reservationHours`, until the payment confirms or releases them.
+ */
+class PromotionService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    // The payment service cancels payments left pending for a day
+    this.reservationHours = config.reservationHours || 24;
+  }
+
+  /**
+   * ==================== CAMPAIGNS ====================
+   */
+
+  /**
+   * Create a campaign { name, description, discountType, discountValue, currency, maxDiscount,
+   * minAmount, channel, planIds, siteIds, stackable, priority, startsAt, endsAt,
+   * maxRedemptions, maxRedemptionsPerUser, codes: ['SUMMER'], generate: { count, prefix, length } }
+   */
+  async createPromotion(data, createdBy) {
+    const fields = this.promotionFields(data);
+    if (!fields.name) {
+      throw new PromotionError('Name is required');
+    }
+    if (!DISCOUNT_TYPES.includes(fields.discount_type)) {
+      throw new PromotionError(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    this.validateDiscount(fields);
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const columns = Object.keys(fields);
+      const result = await client.query(
+        `INSERT INTO promotions (${columns.join(', ')}, status, created_by, created_at)
+         VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')}, 'active', $${columns.length + 1}, NOW())
+         RETURNING *`,
+        [...Object.values(fields), createdBy]
+      );
+      const promotion = result.rows[0];
+
+      const codes = await this.insertCodes(client, promotion.id, data);
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Created promotion ${promotion.name} with ${codes.length} code(s)`);
+      this.emit('promotion:created', promotion);
+      return { ...promotion, codes };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        throw new PromotionError('A promo code with that name already exists', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Change a campaign's terms or status ('active' | 'paused' | 'archived')
+   */
+  async updatePromotion(promotionId, updates) {
+    const fields = this.promotionFields(updates);
+    if (updates.status !== undefined) {
+      if (!['active', 'paused', 'archived'].includes(updates.status)) {
+        throw new PromotionError('Status must be active, paused or archived');
+      }
+      fields.status = updates.status;
+    }
+    if (fields.discount_type !== undefined && !DISCOUNT_TYPES.includes(fields.discount_type)) {
+      throw new PromotionError(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+    }
+
+    const current = await this.getPromotion(promotionId);
+    this.validateDiscount({ ...current, ...fields });
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return current;
+    }
+    const result = await this.db.query(
+      `UPDATE promotions SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...Object.values(fields), promotionId]
+    );
+
+    this.logger.info(`Updated promotion ${promotionId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Column values from the API's field names; only those present
+   */
+  promotionFields(data) {
+    const mapping = {
+      name: 'name',
+      description: 'description',
+      discountType: 'discount_type',
+      discountValue: 'discount_value',
+      currency: 'currency',
+      maxDiscount: 'max_discount',
+      minAmount: 'min_amount',
+      channel: 'channel',
+      planIds: 'plan_ids',
+      siteIds: 'site_ids',
+      stackable: 'stackable',
+      priority: 'priority',
+      startsAt: 'starts_at',
+      endsAt: 'ends_at',
+      maxRedemptions: 'max_redemptions',
+      maxRedemptionsPerUser: 'max_redemptions_per_user',
+    };
+    const ids = (list) => (Array.isArray(list) && list.length ? list.map((id) => parseInt(id, 10)) : null);
+
+    const fields = {};
+    for (const [key, column] of Object.entries(mapping)) {
+      if (data[key] === undefined) continue;
+      let value = data[key] === '' ? null : data[key];
+      if (key === 'planIds' || key === 'siteIds') value = ids(value);
+      if (key === 'currency' && value) value = value.toUpperCase();
+      if (key === 'stackable') value = Boolean(value);
+      fields[column] = value;
+    }
+    if (fields.priority === null) {
+      delete fields.priority;
+    }
+    if (fields.channel !== undefined && !CHANNELS.includes(fields.channel || 'any')) {
+      throw new PromotionError(`Channel must be one of ${CHANNELS.join(', ')}`);
+    }
+    return fields;
+  }
+
+  validateDiscount(promotion) {
+    const value = Number(promotion.discount_value);
+    if (!(value > 0)) {
+      throw new PromotionError('Discount value must be positive');
+    }
+    if (promotion.discount_type === 'percentage' && value > 100) {
+      throw new PromotionError('A percentage discount cannot exceed 100');
+    }
+    if (promotion.discount_type === 'free_days' && !Number.isInteger(value)) {
+      throw new PromotionError('Free days must be a whole number');
+    }
+    if (promotion.starts_at && promotion.ends_at && new Date(promotion.ends_at) <= new Date(promotion.starts_at)) {
+      throw new PromotionError('The campaign must end after it starts');
+    }
+  }
+
+  /**
+   * Campaigns with their code count and what they have been redeemed for (?status)
+   */
+  async getPromotions({ status } = {}) {
+    const result = await this.db.query(
+      `SELECT p.*,
+        (SELECT COUNT(*) FROM promotion_codes c WHERE c.promotion_id = p.id) AS code_count,
+        COUNT(r.id) FILTER (WHERE r.status = 'redeemed') AS redemption_count,
+        COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'redeemed'), 0) AS discount_total
+       FROM promotions p
+       LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+       WHERE ($1::text IS NULL OR p.status = $1)
+       GROUP BY p.id
+       ORDER BY p.created_at DESC`,
+      [status || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * A campaign with its codes and how often each was redeemed
+   */
+  async getPromotion(promotionId) {
+    const result = await this.db.query('SELECT * FROM promotions WHERE id = $1', [promotionId]);
+    if (!result.rows[0]) {
+      throw new PromotionError('Promotion not found', 404);
+    }
+
+    const codes = await this.db.query(
+      `SELECT c.*, COUNT(r.id) FILTER (WHERE r.status = 'redeemed') AS redemption_count
+       FROM promotion_codes c
+       LEFT JOIN promotion_redemptions r ON r.promotion_code_id = c.id
+       WHERE c.promotion_id = $1
+       GROUP BY c.id
+       ORDER BY c.id ASC`,
+      [promotionId]
+    );
+    return { ...result.rows[0], codes: codes.rows };
+  }
+
+  /**
+   * ==================== CODES ====================
+   */
+
+  /**
+   * Add codes to a campaign { codes: ['SUMMER'], generate: { count, prefix, length }, maxRedemptions }
+   */
+  async addCodes(promotionId, data) {
+    await this.getPromotion(promotionId);
+    try {
+      const codes = await this.insertCodes(this.db, promotionId, data);
+      this.logger.info(`Added ${codes.length} code(s) to promotion ${promotionId}`);
+      return codes;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new PromotionError('A promo code with that name already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  async insertCodes(client, promotionId, { codes = [], generate, maxRedemptions } = {}) {
+    const list = this.normalizeCodes(codes);
+    if (generate && generate.count) {
+      const count = Math.min(parseInt(generate.count, 10) || 0, 10000);
+      const length = Math.min(Math.max(parseInt(generate.length, 10) || 8, 4), 20);
+      const prefix = (generate.prefix || '').toUpperCase();
+      const generated = new Set();
+      while (generated.size < count) {
+        let code = prefix;
+        for (let i = 0; i < length; i += 1) {
+          code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        generated.add(code);
+      }
+      list.push(...generated);
+    }
+    if (list.length === 0) return [];
+
+    const result = await client.query(
+      `INSERT INTO promotion_codes (promotion_id, code, max_redemptions, status, created_at)
+       SELECT $1, code, $3, 'active', NOW() FROM unnest($2::text[]) AS code
+       RETURNING *`,
+      [promotionId, list, maxRedemptions || null]
+    );
+    return result.rows;
+  }
+
+  async setCodeStatus(codeId, status) {
+    if (!['active', 'disabled'].includes(status)) {
+      throw new PromotionError('Status must be active or disabled');
+    }
+    const result = await this.db.query(
+      'UPDATE promotion_codes SET status = $2 WHERE id = $1 RETURNING *',
+      [codeId, status]
+    );
+    if (!result.rows[0]) {
+      throw new PromotionError('Promo code not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  normalizeCodes(codes) {
+    const list = Array.isArray(codes) ? codes : String(codes || '').split(/[\s,]+/);
+    return [...new Set(list.map((code) => String(code).trim().toUpperCase()).filter(Boolean))];
+  }
+
+  /**
+   * ==================== PRICING ====================
+   */
+
+  /**
+   * Price a sale with promo codes { codes, channel, amount, currency, planId, siteId,
+   * customerKey, lock } -> { listAmount, amount, discount, bonusDays, currency, applied }.
+   * With `lock` (inside the transaction that records the redemptions) the campaigns are
+   * locked so concurrent checkouts cannot both take the last use.
+   */
+  async quote(client, { codes, channel, amount, currency, planId, siteId, customerKey: customer, lock = false }) {
+    const listAmount = roundMoney(amount || 0);
+    const currencyCode = currency ? currency.toUpperCase() : null;
+    const list = this.normalizeCodes(codes);
+    const quote = {
+      listAmount, amount: listAmount, discount: 0, bonusDays: 0, currency: currencyCode, applied: [],
+    };
+    if (list.length === 0) return quote;
+
+    const db = client || this.db;
+    const result = await db.query(
+      `SELECT p.*, c.id AS code_id, c.code, c.max_redemptions AS code_max_redemptions, c.status AS code_status
+       FROM promotion_codes c
+       JOIN promotions p ON p.id = c.promotion_id
+       WHERE c.code = ANY($1)
+       ORDER BY p.id
+       ${lock ? 'FOR UPDATE OF p' : ''}`,
+      [list]
+    );
+    const found = new Map(result.rows.map((row) => [row.code, row]));
+
+    const promotions = [];
+    for (const code of list) {
+      const promotion = found.get(code);
+      if (!promotion) {
+        throw new PromotionError(`Promo code ${code} is not valid`);
+      }
+      await this.checkEligible(db, promotion, {
+        channel, amount: listAmount, currency: currencyCode, planId, siteId, customer,
+      });
+      promotions.push(promotion);
+    }
+
+    if (promotions.length > 1) {
+      const single = promotions.find((promotion) => !promotion.stackable);
+      if (single) {
+        throw new PromotionError(`Promo code ${single.code} cannot be combined with other codes`);
+      }
+      if (new Set(promotions.map((promotion) => promotion.id)).size < promotions.length) {
+        throw new PromotionError('Only one code per promotion can be used');
+      }
+    }
+
+    promotions.sort((a, b) => (
+      a.priority - b.priority || TYPE_ORDER[a.discount_type] - TYPE_ORDER[b.discount_type] || a.id - b.id
+    ));
+
+    let running = listAmount;
+    for (const promotion of promotions) {
+      const value = Number(promotion.discount_value);
+      let discount = 0;
+      let bonusDays = 0;
+
+      if (promotion.discount_type === 'percentage') {
+        discount = roundMoney((running * value) / 100);
+      } else if (promotion.discount_type === 'fixed') {
+        discount = value;
+      } else {
+        bonusDays = value;
+      }
+      if (promotion.max_discount !== null && promotion.max_discount !== undefined) {
+        discount = Math.min(discount, Number(promotion.max_discount));
+      }
+      discount = roundMoney(Math.min(discount, running));
+      running = roundMoney(running - discount);
+
+      quote.bonusDays += bonusDays;
+      quote.applied.push({
+        promotionId: promotion.id,
+        codeId: promotion.code_id,
+        code: promotion.code,
+        name: promotion.name,
+        discountType: promotion.discount_type,
+        discount,
+        bonusDays,
+      });
+    }
+
+    quote.amount = running;
+    quote.discount = roundMoney(listAmount - running);
+    return quote;
+  }
+
+  /**
+   * Throws why a code cannot be used on this sale
+   */
+  async checkEligible(db, promotion, { channel, amount, currency, planId, siteId, customer }) {
+    const { code } = promotion;
+    const now = new Date();
+
+    if (promotion.status !== 'active' || promotion.code_status !== 'active') {
+      throw new PromotionError(`Promo code ${code} is no longer active`);
+    }
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+      throw new PromotionError(`Promo code ${code} is not valid yet`);
+    }
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+      throw new PromotionError(`Promo code ${code} has expired`);
+    }
+    if (promotion.channel && promotion.channel !== 'any' && promotion.channel !== channel) {
+      throw new PromotionError(`Promo code ${code} cannot be used here`);
+    }
+    if (promotion.plan_ids && !promotion.plan_ids.includes(parseInt(planId, 10))) {
+      throw new PromotionError(`Promo code ${code} does not apply to this plan`);
+    }
+    if (promotion.site_ids && !promotion.site_ids.includes(parseInt(siteId, 10))) {
+      throw new PromotionError(`Promo code ${code} cannot be used at this location`);
+    }
+    if (promotion.discount_type === 'fixed' && promotion.currency && currency && promotion.currency !== currency) {
+      throw new PromotionError(`Promo code ${code} is only valid for ${promotion.currency} purchases`);
+    }
+    if (promotion.min_amount !== null && amount < Number(promotion.min_amount)) {
+      throw new PromotionError(`Promo code ${code} needs a purchase of at least ${promotion.min_amount}`);
+    }
+    if (promotion.max_redemptions_per_user && !customer) {
+      throw new PromotionError(`Log in or enter your email to use promo code ${code}`);
+    }
+
+    const usage = await db.query(
+      `SELECT
+        COUNT(*) FILTER (WHERE promotion_id = $1) AS promotion_uses,
+        COUNT(*) FILTER (WHERE promotion_code_id = $2) AS code_uses,
+        COUNT(*) FILTER (WHERE promotion_id = $1 AND customer_key = $3) AS customer_uses
+       FROM promotion_redemptions
+       WHERE (promotion_id = $1 OR promotion_code_id = $2)
+         AND (status = 'redeemed' OR (status = 'reserved' AND created_at > NOW() - INTERVAL '1 hour' * $4))`,
+      [promotion.id, promotion.code_id, customer || null, this.reservationHours]
+    );
+    const uses = usage.rows[0];
+
+    if (promotion.max_redemptions && Number(uses.promotion_uses) >= promotion.max_redemptions) {
+      throw new PromotionError(`Promo code ${code} has been fully redeemed`);
+    }
+    if (promotion.code_max_redemptions && Number(uses.code_uses) >= promotion.code_max_redemptions) {
+      throw new PromotionError(`Promo code ${code} has been fully redeemed`);
+    }
+    if (promotion.max_redemptions_per_user && Number(uses.customer_uses) >= promotion.max_redemptions_per_user) {
+      throw new PromotionError(`You have already used promo code ${code}`);
+    }
+  }
+
+  /**
+   * ==================== REDEMPTIONS ====================
+   */
+
+  /**
+   * Store the codes a quote applied { channel, orderId, batchId, customerKey, planId, siteId,
+   * quantity, status: 'reserved' | 'redeemed' }; `quantity` scales a per-voucher batch quote
+   */
+  async recordRedemptions(client, quote, {
+    channel, orderId, batchId, customerKey: customer, planId, siteId, quantity = 1, status = 'reserved',
+  }) {
+    const rows = [];
+    for (const applied of quote.applied) {
+      const result = await client.query(
+        `INSERT INTO promotion_redemptions (
+          promotion_id, promotion_code_id, channel, order_id, batch_id, customer_key, plan_id, site_id,
+          list_amount, discount_amount, bonus_days, currency, status, created_at, redeemed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), ${status === 'redeemed' ? 'NOW()' : 'NULL'})
+        RETURNING *`,
+        [
+          applied.promotionId, applied.codeId, channel, orderId || null, batchId || null, customer || null,
+          planId || null, siteId || null, roundMoney(quote.listAmount * quantity),
+          roundMoney(applied.discount * quantity), applied.bonusDays, quote.currency, status,
+        ]
+      );
+      rows.push(result.rows[0]);
+    }
+
+    if (status === 'redeemed' && rows.length) {
+      this.emit('promotion:redeemed', rows);
+    }
+    return rows;
+  }
+
+  /**
+   * The order was paid: its reserved codes are used
+   */
+  async confirmRedemptions(client, orderId) {
+    const result = await (client || this.db).query(
+      `UPDATE promotion_redemptions SET status = 'redeemed', redeemed_at = NOW()
+       WHERE order_id = $1 AND status = 'reserved'
+       RETURNING *`,
+      [orderId]
+    );
+    if (result.rows.length) {
+      this.emit('promotion:redeemed', result.rows);
+    }
+    return result.rows;
+  }
+
+  /**
+   * The order will not be paid: give its codes back
+   */
+  async releaseRedemptions(client, orderId) {
+    const result = await (client || this.db).query(
+      `UPDATE promotion_redemptions SET status = 'released'
+       WHERE order_id = $1 AND status = 'reserved'
+       RETURNING id`,
+      [orderId]
+    );
+    return result.rows.length;
+  }
+
+  /**
+   * Redemptions of a campaign, newest first (?status, ?limit, ?offset)
+   */
+  async getRedemptions(promotionId, { status, limit = 100, offset = 0 } = {}) {
+    const result = await this.db.query(
+      `SELECT r.*, c.code, hu.username
+       FROM promotion_redemptions r
+       JOIN promotion_codes c ON c.id = r.promotion_code_id
+       LEFT JOIN portal_orders o ON o.id = r.order_id
+       LEFT JOIN hotspot_users hu ON hu.id = o.hotspot_user_id
+       WHERE r.promotion_id = $1 AND ($2::text IS NULL OR r.status = $2)
+       ORDER BY r.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [promotionId, status || null, Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = PromotionService;
+module.exports.PromotionError = PromotionError;
+module.exports.customerKey = customerKey;
@@ -0,0 +1,242 @@
+// backend/services/radiusCoAClient.js
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const {
+  decodePacket,
+  encodeRequest,
+  verifyResponseAuthenticator,
+} = require('./radiusPacket');
+
+/**
+ * RADIUS CoA/Disconnect Client (RFC 5176)
+ * Pushes entitlement changes to the NAS serving a user's live sessions
+ */
+class RadiusCoAClient extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.radiusServer = config.radiusServer || null;
+    this.secret = config.secret || null;
+    this.port = config.port || 3799;
+    this.timeout = config.timeout || 3000;
+    this.retries = config.retries !== undefined ? config.retries : 2;
+    this.disconnectOnNak = config.disconnectOnNak !== false;
+    this.identifier = Math.floor(Math.random() * 256);
+  }
+
+  getSecret(nasAddress) {
+    return this.radiusServer ? this.radiusServer.getSecret(nasAddress) : this.secret;
+  }
+
+  nextIdentifier() {
+    this.identifier = (this.identifier + 1) % 256;
+    return this.identifier;
+  }
+
+  /**
+   * ==================== TRANSPORT ====================
+   */
+
+  /**
+   * Send a CoA-Request/Disconnect-Request and wait for ACK/NAK, retrying on timeout
+   */
+  sendRequest(nasAddress, code, attributes) {
+    const secret = this.getSecret(nasAddress);
+    if (!secret) {
+      return Promise.reject(new Error(`No RADIUS shared secret configured for NAS ${nasAddress}`));
+    }
+    const identifier = this.nextIdentifier();
+    const packet = encodeRequest(code, identifier, attributes, secret);
+    const authenticator = packet.subarray(4, 20);
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      let attempts = 0;
+      let timer = null;
+
+      const finish = (error, result) => {
+        clearTimeout(timer);
+        socket.close();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      const send = () => {
+        attempts += 1;
+        socket.send(packet, this.port, nasAddress, (error) => {
+          if (error) finish(error);
+        });
+        timer = setTimeout(() => {
+          if (attempts > this.retries) {
+            finish(new Error(`No response from NAS ${nasAddress} to ${code}`));
+          } else {
+            send();
+          }
+        }, this.timeout);
+      };
+
+      socket.on('message', (msg) => {
+        let reply;
+        try {
+          reply = decodePacket(msg);
+        } catch (error) {
+          return;
+        }
+
+        if (reply.identifier !== identifier) return;
+        if (!verifyResponseAuthenticator(reply.raw, authenticator, secret)) {
+          this.logger.warn(`Bad response authenticator from NAS ${nasAddress}`);
+          return;
+        }
+
+        finish(null, {
+          code: reply.codeName,
+          acked: reply.codeName.endsWith('-ACK'),
+          errorCause: reply.attributes['Error-Cause'] || null,
+        });
+      });
+
+      socket.on('error', (error) => finish(error));
+      send();
+    });
+  }
+
+  /**
+   * ==================== SESSIONS ====================
+   */
+
+  async getActiveSessions(username) {
+    const result = await this.db.query(
+      `SELECT * FROM session_logs
+       WHERE username = $1 AND status = 'active' AND nas_ip_address IS NOT NULL`,
+      [username]
+    );
+    return result.rows;
+  }
+
+  sessionAttributes(session) {
+    return {
+      'User-Name': session.username,
+      'Acct-Session-Id': session.acct_session_id,
+      'Framed-IP-Address': session.ip_address || undefined,
+    };
+  }
+
+  /**
+   * Store the outcome of the last CoA/DM on the session record
+   */
+  async recordResult(session, action, result) {
+    await this.db.query(
+      `UPDATE session_logs
+       SET coa_action = $1, coa_result = $2, coa_error = $3, coa_at = NOW()
+       WHERE id = $4`,
+      [action, result.code, result.error || (result.errorCause ? `Error-Cause ${result.errorCause}` : null), session.id]
+    );
+  }
+
+  async sendForSession(session, action, code, attributes) {
+    let result;
+    try {
+      result = await this.sendRequest(String(session.nas_ip_address), code, attributes);
+    } catch (error) {
+      result = { code: 'timeout', acked: false, error: error.message };
+    }
+
+    await this.recordResult(session, action, result);
+    this.emit(`coa:${action}`, { session, result });
+
+    if (!result.acked) {
+      this.logger.warn(
+        `${code} for ${session.username} (${session.acct_session_id}) failed: ${result.error || result.code}`
+      );
+    }
+    return { sessionId: session.id, acctSessionId: session.acct_session_id, action, ...result };
+  }
+
+  /**
+   * ==================== ACTIONS ====================
+   */
+
+  /**
+   * Disconnect every live session of a user (or only the one of `macAddress`)
+   */
+  async disconnectUser(username, reason = 'admin', { macAddress } = {}) {
+    try {
+      const macKey = (mac) => String(mac || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+      const sessions = (await this.getActiveSessions(username))
+        .filter((session) => !macAddress || macKey(session.mac_address) === macKey(macAddress));
+
+      const results = [];
+      for (const session of sessions) {
+        results.push(
+          await this.sendForSession(session, 'disconnect', 'Disconnect-Request', this.sessionAttributes(session))
+        );
+      }
+
+      this.logger.info(`Disconnect (${reason}) sent for ${username}: ${results.length} sessions`);
+      return results;
+    } catch (error) {
+      this.logger.error('Error disconnecting user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push new limits (e.g. Mikrotik-Rate-Limit) to every live session of a user
+   */
+  async changeAuthorization(username, attributes) {
+    try {
+      const sessions = await this.getActiveSessions(username);
+
+      const results = [];
+      for (const session of sessions) {
+        let result = await this.sendForSession(session, 'coa', 'CoA-Request', {
+          ...this.sessionAttributes(session),
+          ...attributes,
+        });
+
+        // Router refused the change: kick the user so the next login picks up the new limits
+        if (!result.acked && result.code === 'CoA-NAK' && this.disconnectOnNak) {
+          result = await this.sendForSession(
+            session, 'disconnect', 'Disconnect-Request', this.sessionAttributes(session)
+          );
+        }
+        results.push(result);
+      }
+
+      return results;
+    } catch (error) {
+      this.logger.error('Error sending CoA:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-evaluate a user's entitlement and apply it to live sessions:
+   * CoA with fresh limits, or Disconnect if the user is no longer entitled
+   */
+  async syncUser(username, reason = 'entitlement-change') {
+    let user;
+    if (this.radiusServer) {
+      user = await this.radiusServer.findUser(username);
+    } else {
+      const result = await this.db.query('SELECT * FROM hotspot_users WHERE username = $1', [username]);
+      user = result.rows[0];
+    }
+
+    if (!user || user.status !== 'active') {
+      return this.disconnectUser(username, reason);
+    }
+
+    const attributes = this.radiusServer ? this.radiusServer.buildReplyAttributes(user) : {};
+    if (attributes.error) {
+      return this.disconnectUser(username, reason);
+    }
+
+    delete attributes['Acct-Interim-Interval'];
+    return this.changeAuthorization(username, attributes);
+  }
+}
+
+module.exports = RadiusCoAClient;
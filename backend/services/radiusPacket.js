@@ -0,0 +1,378 @@
+// backend/services/radiusPacket.js
+const crypto = require('crypto');
+
+/**
+ * RADIUS packet codec (RFC 2865, 2866, 5176) with the MikroTik vendor dictionary
+ */
+
+const MIKROTIK_VENDOR_ID = 14988;
+
+const CODES = {
+  'Access-Request': 1,
+  'Access-Accept': 2,
+  'Access-Reject': 3,
+  'Accounting-Request': 4,
+  'Accounting-Response': 5,
+  'Disconnect-Request': 40,
+  'Disconnect-ACK': 41,
+  'Disconnect-NAK': 42,
+  'CoA-Request': 43,
+  'CoA-ACK': 44,
+  'CoA-NAK': 45,
+};
+
+const CODE_NAMES = Object.fromEntries(Object.entries(CODES).map(([name, code]) => [code, name]));
+
+// [type, name, kind]
+const ATTRIBUTES = [
+  [1, 'User-Name', 'string'],
+  [2, 'User-Password', 'octets'],
+  [3, 'CHAP-Password', 'octets'],
+  [4, 'NAS-IP-Address', 'ipaddr'],
+  [5, 'NAS-Port', 'integer'],
+  [6, 'Service-Type', 'integer'],
+  [8, 'Framed-IP-Address', 'ipaddr'],
+  [18, 'Reply-Message', 'string'],
+  [24, 'State', 'octets'],
+  [25, 'Class', 'octets'],
+  [27, 'Session-Timeout', 'integer'],
+  [28, 'Idle-Timeout', 'integer'],
+  [30, 'Called-Station-Id', 'string'],
+  [31, 'Calling-Station-Id', 'string'],
+  [32, 'NAS-Identifier', 'string'],
+  [40, 'Acct-Status-Type', 'integer'],
+  [41, 'Acct-Delay-Time', 'integer'],
+  [42, 'Acct-Input-Octets', 'integer'],
+  [43, 'Acct-Output-Octets', 'integer'],
+  [44, 'Acct-Session-Id', 'string'],
+  [45, 'Acct-Authentic', 'integer'],
+  [46, 'Acct-Session-Time', 'integer'],
+  [47, 'Acct-Input-Packets', 'integer'],
+  [48, 'Acct-Output-Packets', 'integer'],
+  [49, 'Acct-Terminate-Cause', 'integer'],
+  [52, 'Acct-Input-Gigawords', 'integer'],
+  [53, 'Acct-Output-Gigawords', 'integer'],
+  [55, 'Event-Timestamp', 'integer'],
+  [60, 'CHAP-Challenge', 'octets'],
+  [61, 'NAS-Port-Type', 'integer'],
+  [80, 'Message-Authenticator', 'octets'],
+  [85, 'Acct-Interim-Interval', 'integer'],
+  [87, 'NAS-Port-Id', 'string'],
+  [101, 'Error-Cause', 'integer'],
+];
+
+const MIKROTIK_ATTRIBUTES = [
+  [1, 'Mikrotik-Recv-Limit', 'integer'],
+  [2, 'Mikrotik-Xmit-Limit', 'integer'],
+  [3, 'Mikrotik-Group', 'string'],
+  [8, 'Mikrotik-Rate-Limit', 'string'],
+  [10, 'Mikrotik-Address-List', 'string'],
+  [14, 'Mikrotik-Recv-Limit-Gigawords', 'integer'],
+  [15, 'Mikrotik-Xmit-Limit-Gigawords', 'integer'],
+  [17, 'Mikrotik-Total-Limit', 'integer'],
+  [18, 'Mikrotik-Total-Limit-Gigawords', 'integer'],
+];
+
+const ACCT_STATUS_TYPES = {
+  Start: 1,
+  Stop: 2,
+  'Interim-Update': 3,
+  'Accounting-On': 7,
+  'Accounting-Off': 8,
+};
+
+const byType = new Map(ATTRIBUTES.map(([type, name, kind]) => [type, { type, name, kind }]));
+const byName = new Map(ATTRIBUTES.map(([type, name, kind]) => [name, { type, name, kind }]));
+const vendorByType = new Map(MIKROTIK_ATTRIBUTES.map(([type, name, kind]) => [type, { type, name, kind }]));
+MIKROTIK_ATTRIBUTES.forEach(([type, name, kind]) => {
+  byName.set(name, { type, name, kind, vendor: MIKROTIK_VENDOR_ID });
+});
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+/**
+ * ==================== VALUE ENCODING ====================
+ */
+
+function decodeValue(kind, value) {
+  switch (kind) {
+    case 'string':
+      return value.toString('utf8');
+    case 'integer':
+      return value.length === 4 ? value.readUInt32BE(0) : null;
+    case 'ipaddr':
+      return value.length === 4 ? Array.from(value).join('.') : null;
+    default:
+      return value;
+  }
+}
+
+function encodeValue(kind, value) {
+  switch (kind) {
+    case 'string':
+      return Buffer.from(String(value), 'utf8');
+    case 'integer': {
+      const buf = Buffer.alloc(4);
+      buf.writeUInt32BE(Math.max(0, Math.min(0xffffffff, Math.floor(Number(value)))), 0);
+      return buf;
+    }
+    case 'ipaddr':
+      return Buffer.from(String(value).split('.').map((n) => parseInt(n, 10)));
+    default:
+      return Buffer.isBuffer(value) ? value : Buffer.from(value);
+  }
+}
+
+/**
+ * ==================== PACKETS ====================
+ */
+
+/**
+ * Decode a packet. Repeated attributes become arrays, unknown attributes are kept in `list`
+ */
+function decodePacket(buffer) {
+  if (buffer.length < 20) {
+    throw new Error('RADIUS packet too short');
+  }
+
+  const length = buffer.readUInt16BE(2);
+  if (length < 20 || length > buffer.length) {
+    throw new Error('RADIUS packet length mismatch');
+  }
+
+  const packet = {
+    code: buffer[0],
+    codeName: CODE_NAMES[buffer[0]] || `Unknown-${buffer[0]}`,
+    identifier: buffer[1],
+    authenticator: buffer.subarray(4, 20),
+    attributes: {},
+    list: [],
+    raw: buffer.subarray(0, length),
+  };
+
+  const add = (name, value) => {
+    if (packet.attributes[name] === undefined) {
+      packet.attributes[name] = value;
+    } else {
+      packet.attributes[name] = [].concat(packet.attributes[name], value);
+    }
+  };
+
+  let offset = 20;
+  while (offset + 2 <= length) {
+    const type = buffer[offset];
+    const attrLength = buffer[offset + 1];
+    if (attrLength < 2 || offset + attrLength > length) {
+      throw new Error('Malformed RADIUS attribute');
+    }
+
+    const value = buffer.subarray(offset + 2, offset + attrLength);
+    packet.list.push({ type, value });
+
+    if (type === 26 && value.length >= 6 && value.readUInt32BE(0) === MIKROTIK_VENDOR_ID) {
+      // Vendor-Specific: vendor-id(4) vendor-type(1) vendor-length(1) value
+      let vOffset = 4;
+      while (vOffset + 2 <= value.length) {
+        const vType = value[vOffset];
+        const vLength = value[vOffset + 1];
+        if (vLength < 2) break;
+        const def = vendorByType.get(vType);
+        if (def) add(def.name, decodeValue(def.kind, value.subarray(vOffset + 2, vOffset + vLength)));
+        vOffset += vLength;
+      }
+    } else {
+      const def = byType.get(type);
+      if (def) add(def.name, decodeValue(def.kind, value));
+    }
+
+    offset += attrLength;
+  }
+
+  return packet;
+}
+
+/**
+ * Encode attributes given as { name: value | [values] } or [[name, value], ...]
+ */
+function encodeAttributes(attributes = {}) {
+  const entries = Array.isArray(attributes) ? attributes : Object.entries(attributes);
+  const parts = [];
+
+  entries.forEach(([name, values]) => {
+    const def = byName.get(name);
+    if (!def) {
+      throw new Error(`Unknown RADIUS attribute: ${name}`);
+    }
+
+    [].concat(values).forEach((value) => {
+      if (value === undefined || value === null) return;
+      const encoded = encodeValue(def.kind, value);
+
+      if (def.vendor) {
+        const attr = Buffer.alloc(2 + 6 + 2 + encoded.length);
+        attr[0] = 26;
+        attr[1] = attr.length;
+        attr.writeUInt32BE(def.vendor, 2);
+        attr[6] = def.type;
+        attr[7] = 2 + encoded.length;
+        encoded.copy(attr, 8);
+        parts.push(attr);
+      } else {
+        parts.push(Buffer.concat([Buffer.from([def.type, 2 + encoded.length]), encoded]));
+      }
+    });
+  });
+
+  return Buffer.concat(parts);
+}
+
+function buildPacket(code, identifier, authenticator, attributeBuffer) {
+  const header = Buffer.alloc(20);
+  header[0] = code;
+  header[1] = identifier;
+  header.writeUInt16BE(20 + attributeBuffer.length, 2);
+  authenticator.copy(header, 4);
+  return Buffer.concat([header, attributeBuffer]);
+}
+
+/**
+ * Fill in Message-Authenticator (HMAC-MD5 over the packet with the field zeroed)
+ */
+function signMessageAuthenticator(packet, secret) {
+  let offset = 20;
+  while (offset + 2 <= packet.length) {
+    if (packet[offset] === 80) {
+      packet.fill(0, offset + 2, offset + 18);
+      const hmac = crypto.createHmac('md5', secret).update(packet).digest();
+      hmac.copy(packet, offset + 2);
+      return packet;
+    }
+    offset += packet[offset + 1];
+  }
+  return packet;
+}
+
+/**
+ * Encode a reply to `request` (Access-Accept/Reject, Accounting-Response, CoA/Disconnect ACK/NAK)
+ */
+function encodeResponse(code, request, attributes, secret) {
+  const withMA = request.attributes['Message-Authenticator'] !== undefined;
+  const attrs = encodeAttributes(
+    withMA ? [...toEntries(attributes), ['Message-Authenticator', Buffer.alloc(16)]] : attributes
+  );
+
+  const packet = buildPacket(CODES[code] || code, request.identifier, request.authenticator, attrs);
+  if (withMA) signMessageAuthenticator(packet, secret);
+
+  md5(packet, Buffer.from(secret)).copy(packet, 4);
+  return packet;
+}
+
+/**
+ * Encode a request whose authenticator is the MD5 of the packet (Accounting, CoA, Disconnect)
+ */
+function encodeRequest(code, identifier, attributes, secret) {
+  const packet = buildPacket(CODES[code] || code, identifier, Buffer.alloc(16), encodeAttributes(attributes));
+  md5(packet, Buffer.from(secret)).copy(packet, 4);
+  return packet;
+}
+
+function toEntries(attributes) {
+  return Array.isArray(attributes) ? attributes : Object.entries(attributes || {});
+}
+
+/**
+ * ==================== VERIFICATION ====================
+ */
+
+/**
+ * Verify the Request Authenticator of an Accounting/CoA/Disconnect request
+ */
+function verifyRequestAuthenticator(raw, secret) {
+  const copy = Buffer.from(raw);
+  copy.fill(0, 4, 20);
+  return crypto.timingSafeEqual(md5(copy, Buffer.from(secret)), raw.subarray(4, 20));
+}
+
+/**
+ * Verify the Response Authenticator of a reply against the request authenticator we sent
+ */
+function verifyResponseAuthenticator(raw, requestAuthenticator, secret) {
+  const copy = Buffer.from(raw);
+  requestAuthenticator.copy(copy, 4);
+  return crypto.timingSafeEqual(md5(copy, Buffer.from(secret)), raw.subarray(4, 20));
+}
+
+/**
+ * Verify Message-Authenticator; packets without one fail, so an Access-Request can't be
+ * forged by MD5 collision on the Response Authenticator (Blast-RADIUS)
+ */
+function verifyMessageAuthenticator(packet, secret) {
+  if (packet.attributes['Message-Authenticator'] === undefined) return false;
+
+  const copy = Buffer.from(packet.raw);
+  const received = Buffer.from(packet.attributes['Message-Authenticator']);
+  signMessageAuthenticator(copy, secret);
+
+  let offset = 20;
+  while (offset + 2 <= copy.length) {
+    if (copy[offset] === 80) {
+      return crypto.timingSafeEqual(copy.subarray(offset + 2, offset + 18), received);
+    }
+    offset += copy[offset + 1];
+  }
+  return false;
+}
+
+/**
+ * Decrypt a PAP User-Password (RFC 2865 5.2)
+ */
+function decryptPassword(encrypted, secret, authenticator) {
+  const out = Buffer.alloc(encrypted.length);
+  let previous = authenticator;
+
+  for (let i = 0; i < encrypted.length; i += 16) {
+    const block = md5(Buffer.from(secret), previous);
+    for (let j = 0; j < 16 && i + j < encrypted.length; j++) {
+      out[i + j] = encrypted[i + j] ^ block[j];
+    }
+    previous = encrypted.subarray(i, i + 16);
+  }
+
+  return out.toString('utf8').replace(/\0+$/, '');
+}
+
+/**
+ * Verify a CHAP-Password against the cleartext password (RFC 2865 5.3)
+ */
+function verifyCHAP(packet, password) {
+  const chap = packet.attributes['CHAP-Password'];
+  if (!chap || chap.length !== 17) return false;
+
+  const challenge = packet.attributes['CHAP-Challenge'] || packet.authenticator;
+  const expected = md5(chap.subarray(0, 1), Buffer.from(String(password)), challenge);
+  return crypto.timingSafeEqual(expected, chap.subarray(1));
+}
+
+/**
+ * Combine an octet counter with its gigawords companion
+ */
+function octets(attributes, name, gigawordsName) {
+  return (attributes[gigawordsName] || 0) * 4294967296 + (attributes[name] || 0);
+}
+
+module.exports = {
+  MIKROTIK_VENDOR_ID,
+  CODES,
+  ACCT_STATUS_TYPES,
+  decodePacket,
+  encodeAttributes,
+  encodeResponse,
+  encodeRequest,
+  verifyRequestAuthenticator,
+  verifyResponseAuthenticator,
+  verifyMessageAuthenticator,
+  decryptPassword,
+  verifyCHAP,
+  octets,
+};
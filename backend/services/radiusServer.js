@@ -0,0 +1,543 @@
+// backend/services/radiusServer.js
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const bcrypt = require('bcryptjs');
+const {
+  ACCT_STATUS_TYPES,
+  decodePacket,
+  encodeResponse,
+  verifyRequestAuthenticator,
+  verifyMessageAuthenticator,
+  decryptPassword,
+  verifyCHAP,
+  octets,
+} = require('./radiusPacket');
+
+const GIGABYTE = 1024 * 1024 * 1024;
+
+const TERMINATE_CAUSES = {
+  1: 'user-request',
+  2: 'lost-carrier',
+  3: 'lost-service',
+  4: 'idle-timeout',
+  5: 'session-timeout',
+  6: 'admin-reset',
+  7: 'admin-reboot',
+  9: 'nas-error',
+  10: 'nas-request',
+  11: 'nas-reboot',
+};
+
+/**
+ * RADIUS Server
+ * Authenticates hotspot users and vouchers from Postgres and ingests accounting
+ */
+class RadiusServer extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.host = config.host || '0.0.0.0';
+    this.authPort = config.authPort || 1812;
+    this.acctPort = config.acctPort || 1813;
+    this.secret = config.secret || null;
+    this.clients = config.clients || {}; // { '10.0.0.1': 'per-nas-secret' }
+    this.defaultRateLimit = config.defaultRateLimit || null;
+    this.interimInterval = config.interimInterval || 300;
+    this.replyCacheTTL = config.replyCacheTTL || 5000;
+    this.deviceRegistry = config.deviceRegistry || null;
+
+    this.authSocket = null;
+    this.acctSocket = null;
+    this.replyCache = new Map();
+  }
+
+  /**
+   * ==================== LIFECYCLE ====================
+   */
+
+  async start() {
+    if (!this.secret && Object.keys(this.clients).length === 0) {
+      throw new Error('RADIUS shared secret is not configured (set RADIUS_SECRET)');
+    }
+
+    this.authSocket = await this.bind(this.authPort, (msg, rinfo) =>
+      this.onMessage(this.authSocket, msg, rinfo)
+    );
+    this.acctSocket = await this.bind(this.acctPort, (msg, rinfo) =>
+      this.onMessage(this.acctSocket, msg, rinfo)
+    );
+
+    this.logger.info(`RADIUS server listening (auth: ${this.authPort}, acct: ${this.acctPort})`);
+    return this;
+  }
+
+  bind(port, onMessage) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.on('message', onMessage);
+      socket.bind(port, this.host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => this.logger.error('RADIUS socket error:', error));
+        resolve(socket);
+      });
+    });
+  }
+
+  async stop() {
+    const close = (socket) =>
+      socket ? new Promise((resolve) => socket.close(() => resolve())) : Promise.resolve();
+
+    await Promise.all([close(this.authSocket), close(this.acctSocket)]);
+    this.authSocket = null;
+    this.acctSocket = null;
+    this.replyCache.clear();
+  }
+
+  getSecret(address) {
+    return this.clients[address] || this.secret;
+  }
+
+  /**
+   * ==================== DISPATCH ====================
+   */
+
+  async onMessage(socket, msg, rinfo) {
+    let packet;
+    try {
+      packet = decodePacket(msg);
+    } catch (error) {
+      this.logger.warn(`Dropping malformed RADIUS packet from ${rinfo.address}: ${error.message}`);
+      return;
+    }
+
+    // NAS retransmissions get the same reply instead of being processed twice
+    const cacheKey = `${rinfo.address}:${rinfo.port}:${packet.identifier}:${packet.authenticator.toString('hex')}`;
+    const cached = this.replyCache.get(cacheKey);
+    if (cached) {
+      socket.send(cached, rinfo.port, rinfo.address);
+      return;
+    }
+
+    const secret = this.getSecret(rinfo.address);
+    if (!secret) {
+      this.logger.warn(`Dropping RADIUS ${packet.codeName} from unknown NAS ${rinfo.address}`);
+      return;
+    }
+
+    try {
+      let reply;
+      if (packet.codeName === 'Access-Request') {
+        reply = await this.handleAccessRequest(packet, secret, rinfo);
+      } else if (packet.codeName === 'Accounting-Request') {
+        reply = await this.handleAccountingRequest(packet, secret, rinfo);
+      } else {
+        this.logger.warn(`Ignoring RADIUS ${packet.codeName} from ${rinfo.address}`);
+        return;
+      }
+
+      if (!reply) return;
+
+      this.replyCache.set(cacheKey, reply);
+      setTimeout(() => this.replyCache.delete(cacheKey), this.replyCacheTTL).unref();
+      socket.send(reply, rinfo.port, rinfo.address);
+    } catch (error) {
+      // No reply: the NAS will retry or fail over to another server
+      this.logger.error(`Error handling RADIUS ${packet.codeName}:`, error);
+    }
+  }
+
+  /**
+   * ==================== AUTHENTICATION ====================
+   */
+
+  async handleAccessRequest(packet, secret, rinfo) {
+    if (!verifyMessageAuthenticator(packet, secret)) {
+      this.logger.warn(
+        `Dropping Access-Request from ${rinfo.address}: Message-Authenticator missing or wrong ` +
+          '(check the shared secret and require-message-auth on the NAS)'
+      );
+      return null;
+    }
+
+    const username = packet.attributes['User-Name'];
+    const reject = (reason) => {
+      this.logger.info(`RADIUS reject for ${username}: ${reason}`);
+      this.emit('access:reject', { username, reason, nas: rinfo.address });
+      return encodeResponse('Access-Reject', packet, { 'Reply-Message': reason }, secret);
+    };
+
+    if (!username) {
+      return reject('Missing username');
+    }
+
+    const password = packet.attributes['User-Password']
+      ? decryptPassword(packet.attributes['User-Password'], secret, packet.authenticator)
+      : null;
+
+    let user = await this.findUser(username);
+    let device = null;
+
+    // Remembered device logging in by MAC: act as its owner
+    if (!user && this.deviceRegistry && this.isMacLogin(packet)) {
+      device = await this.deviceRegistry.findByMac(packet.attributes['Calling-Station-Id']);
+      if (!device) {
+        return reject('Unknown device');
+      }
+      user = await this.findUser(device.username);
+    }
+
+    if (!user) {
+      const voucher = await this.findVoucher(username);
+      if (!voucher || !this.checkPassword(packet, password, voucher.code)) {
+        return reject('Invalid username or password');
+      }
+      await this.activateVoucher(voucher, username);
+      user = await this.findUser(username);
+    } else if (!device && !(await this.checkUserPassword(packet, password, user.password))) {
+      return reject('Invalid username or password');
+    }
+
+    if (user.status !== 'active') {
+      return reject('Account disabled');
+    }
+
+    const attributes = this.buildReplyAttributes(user);
+    if (attributes.error) {
+      return reject(attributes.error);
+    }
+
+    await this.db.query('UPDATE hotspot_users SET last_login = NOW() WHERE id = $1', [user.id]);
+    await this.rememberDevice(user, device, packet.attributes);
+
+    this.logger.info(`RADIUS accept for ${username}`);
+    this.emit('access:accept', { username, nas: rinfo.address, attributes });
+    return encodeResponse('Access-Accept', packet, attributes, secret);
+  }
+
+  /**
+   * login-by=mac: the router sends the client's MAC as both User-Name and Calling-Station-Id
+   */
+  isMacLogin(packet) {
+    const toHex = (value) => String(value || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+    const callingStation = toHex(packet.attributes['Calling-Station-Id']);
+    return callingStation.length === 12 && toHex(packet.attributes['User-Name']) === callingStation;
+  }
+
+  /**
+   * Remember the device of a password login so it can log in by MAC next time
+   */
+  async rememberDevice(user, device, attrs) {
+    if (!this.deviceRegistry) return;
+
+    try {
+      if (device) {
+        await this.deviceRegistry.touchDevice(device.id, attrs['Framed-IP-Address'] || null);
+      } else if (attrs['Calling-Station-Id']) {
+        await this.deviceRegistry.registerDevice(user.id, attrs['Calling-Station-Id'], {
+          ip: attrs['Framed-IP-Address'] || null,
+        });
+      }
+    } catch (error) {
+      // Over the device limit: the login still succeeds, the device just is not remembered
+      this.logger.info(`Device not remembered for ${user.username}: ${error.message}`);
+    }
+  }
+
+  async findUser(username) {
+    const result = await this.db.query(
+      `SELECT hu.*, hp.name AS profile_name, hp.rate_limit AS profile_rate_limit
+       FROM hotspot_users hu
+       LEFT JOIN hotspot_profiles hp ON hp.id = hu.profile_id AND hp.status = 'active'
+       WHERE hu.username = $1`,
+      [username]
+    );
+    return result.rows[0];
+  }
+
+  async findVoucher(code) {
+    const result = await this.db.query(
+      "SELECT * FROM vouchers WHERE code = $1 AND status = 'active'",
+      [code.toUpperCase()]
+    );
+    return result.rows[0];
+  }
+
+  checkPassword(packet, password, expected) {
+    if (packet.attributes['CHAP-Password']) {
+      return verifyCHAP(packet, expected);
+    }
+    return password !== null && password === String(expected);
+  }
+
+  /**
+   * Stored passwords are cleartext (needed for CHAP) or bcrypt (PAP only)
+   */
+  async checkUserPassword(packet, password, stored) {
+    if (!stored) return false;
+
+    if (stored.startsWith('$2')) {
+      return password !== null && bcrypt.compare(password, stored);
+    }
+    return this.checkPassword(packet, password, stored);
+  }
+
+  /**
+   * First login with a voucher code: create the hotspot user and mark the voucher redeemed
+   */
+  async activateVoucher(voucher, username) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        "SELECT * FROM vouchers WHERE id = $1 AND status = 'active' FOR UPDATE",
+        [voucher.id]
+      );
+      if (locked.rows.length === 0) {
+        throw new Error(`Voucher ${voucher.code} is no longer active`);
+      }
+
+      const expiryDate = new Date();
+      expiryDate.setDate(expiryDate.getDate() + voucher.days);
+
+      const userResult = await client.query(
+        `INSERT INTO hotspot_users (username, password, bandwidth_limit, expiry_date, voucher_id, fup_policy_id, profile_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         RETURNING *`,
+        [username, voucher.code, voucher.bandwidth, expiryDate, voucher.id, voucher.fup_policy_id, voucher.profile_id]
+      );
+
+      await client.query(
+        'UPDATE vouchers SET status = $1, redeemed_at = NOW() WHERE id = $2',
+        ['redeemed', voucher.id]
+      );
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Voucher ${voucher.code} activated via RADIUS`);
+      this.emit('voucher:activated', { voucher, user: userResult.rows[0] });
+      return userResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Session-Timeout, Mikrotik-Rate-Limit, Mikrotik-Total-Limit and Mikrotik-Group for an account
+   */
+  buildReplyAttributes(user) {
+    const attributes = { 'Acct-Interim-Interval': this.interimInterval };
+
+    if (user.expiry_date) {
+      const remaining = Math.floor((new Date(user.expiry_date).getTime() - Date.now()) / 1000);
+      if (remaining <= 0) return { error: 'Account expired' };
+      attributes['Session-Timeout'] = remaining;
+    }
+
+    if (user.fup_blocked) return { error: 'Fair usage limit reached' };
+
+    if (user.profile_name) {
+      attributes['Mikrotik-Group'] = user.profile_name;
+    }
+
+    // A fair-usage throttle overrides the account's own rate limit, which overrides the profile's
+    const rateLimit = user.fup_rate_limit || user.rate_limit || user.profile_rate_limit || this.defaultRateLimit;
+    if (rateLimit) {
+      attributes['Mikrotik-Rate-Limit'] = rateLimit;
+    }
+
+    if (user.bandwidth_limit) {
+      const remaining = Number(user.bandwidth_limit) * GIGABYTE - Number(user.bandwidth_used || 0);
+      if (remaining <= 0) return { error: 'Data limit reached' };
+      attributes['Mikrotik-Total-Limit'] = remaining % 4294967296;
+      attributes['Mikrotik-Total-Limit-Gigawords'] = Math.floor(remaining / 4294967296);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * ==================== ACCOUNTING ====================
+   */
+
+  async handleAccountingRequest(packet, secret, rinfo) {
+    if (!verifyRequestAuthenticator(packet.raw, secret)) {
+      this.logger.warn(`Bad accounting authenticator from ${rinfo.address}, check the shared secret`);
+      return null;
+    }
+
+    const attrs = packet.attributes;
+    const nasAddress = attrs['NAS-IP-Address'] || rinfo.address;
+
+    // Sessions of MAC logins are accounted to the device owner
+    if (this.deviceRegistry && this.isMacLogin(packet)) {
+      const device = await this.deviceRegistry.findByMac(attrs['Calling-Station-Id'], { entitledOnly: false });
+      if (device) attrs['User-Name'] = device.username;
+    }
+
+    switch (attrs['Acct-Status-Type']) {
+      case ACCT_STATUS_TYPES.Start:
+        await this.startSession(attrs, nasAddress);
+        break;
+      case ACCT_STATUS_TYPES['Interim-Update']:
+        await this.updateSession(attrs, nasAddress, false);
+        break;
+      case ACCT_STATUS_TYPES.Stop:
+        await this.updateSession(attrs, nasAddress, true);
+        break;
+      case ACCT_STATUS_TYPES['Accounting-On']:
+      case ACCT_STATUS_TYPES['Accounting-Off']:
+        await this.closeNASSessions(nasAddress);
+        break;
+      default:
+        this.logger.warn(`Unknown Acct-Status-Type ${attrs['Acct-Status-Type']} from ${rinfo.address}`);
+    }
+
+    return encodeResponse('Accounting-Response', packet, {}, secret);
+  }
+
+  async startSession(attrs, nasAddress) {
+    const result = await this.db.query(
+      `INSERT INTO session_logs (username, ip_address, mac_address, login_time, status, acct_session_id, nas_ip_address)
+       SELECT $1, $2, $3, NOW(), 'active', $4, $5
+       WHERE EXISTS (SELECT 1 FROM hotspot_users WHERE username = $1)
+         AND NOT EXISTS (SELECT 1 FROM session_logs WHERE acct_session_id = $4 AND username = $1)
+       RETURNING *`,
+      [
+        attrs['User-Name'],
+        attrs['Framed-IP-Address'] || null,
+        attrs['Calling-Station-Id'] || null,
+        attrs['Acct-Session-Id'],
+        nasAddress,
+      ]
+    );
+
+    if (result.rows[0]) {
+      this.emit('session:start', result.rows[0]);
+    }
+  }
+
+  /**
+   * Apply Interim-Update/Stop counters; deltas against the stored totals go to bandwidth_usage
+   */
+  async updateSession(attrs, nasAddress, stop) {
+    const username = attrs['User-Name'];
+    const download = octets(attrs, 'Acct-Output-Octets', 'Acct-Output-Gigawords');
+    const upload = octets(attrs, 'Acct-Input-Octets', 'Acct-Input-Gigawords');
+    const duration = attrs['Acct-Session-Time'] || 0;
+
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const userResult = await client.query(
+        'SELECT id FROM hotspot_users WHERE username = $1',
+        [username]
+      );
+      if (userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        this.logger.warn(`Accounting for unknown user ${username}`);
+        return;
+      }
+
+      let sessionResult = await client.query(
+        `SELECT * FROM session_logs WHERE acct_session_id = $1 AND username = $2 FOR UPDATE`,
+        [attrs['Acct-Session-Id'], username]
+      );
+
+      // Interim-Update without a Start (lost packet or server restart)
+      if (sessionResult.rows.length === 0) {
+        sessionResult = await client.query(
+          `INSERT INTO session_logs (username, ip_address, mac_address, login_time, status, acct_session_id, nas_ip_address)
+           VALUES ($1, $2, $3, NOW() - ($4 || ' seconds')::interval, 'active', $5, $6)
+           RETURNING *`,
+          [
+            username,
+            attrs['Framed-IP-Address'] || null,
+            attrs['Calling-Station-Id'] || null,
+            duration,
+            attrs['Acct-Session-Id'],
+            nasAddress,
+          ]
+        );
+      }
+
+      const session = sessionResult.rows[0];
+      const deltaDownload = Math.max(0, download - Number(session.bytes_download || 0));
+      const deltaUpload = Math.max(0, upload - Number(session.bytes_upload || 0));
+      const deltaDuration = Math.max(0, duration - Number(session.duration || 0));
+
+      const updated = await client.query(
+        `UPDATE session_logs
+         SET bytes_download = GREATEST(bytes_download, $1),
+             bytes_upload = GREATEST(bytes_upload, $2),
+             duration = GREATEST(COALESCE(duration, 0), $3),
+             logout_time = CASE WHEN $4 THEN NOW() ELSE logout_time END,
+             status = CASE WHEN $4 THEN 'closed' ELSE status END,
+             terminate_cause = CASE WHEN $4 THEN $5 ELSE terminate_cause END
+         WHERE id = $6
+         RETURNING *`,
+        [
+          download,
+          upload,
+          duration,
+          stop,
+          TERMINATE_CAUSES[attrs['Acct-Terminate-Cause']] || null,
+          session.id,
+        ]
+      );
+
+      if (deltaDownload > 0 || deltaUpload > 0) {
+        await client.query(
+          `INSERT INTO bandwidth_usage (username, date, bytes_download, bytes_upload)
+           VALUES ($1, CURRENT_DATE, $2, $3)
+           ON CONFLICT (username, date) DO UPDATE
+           SET bytes_download = bandwidth_usage.bytes_download + EXCLUDED.bytes_download,
+               bytes_upload = bandwidth_usage.bytes_upload + EXCLUDED.bytes_upload`,
+          [username, deltaDownload, deltaUpload]
+        );
+      }
+
+      await client.query(
+        `UPDATE hotspot_users
+         SET bandwidth_used = COALESCE(bandwidth_used, 0) + $1,
+             session_duration = COALESCE(session_duration, 0) + $2,
+             updated_at = NOW()
+         WHERE username = $3`,
+        [deltaDownload + deltaUpload, deltaDuration, username]
+      );
+
+      await client.query('COMMIT');
+
+      this.emit(stop ? 'session:stop' : 'session:update', updated.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Accounting-On/Off: the NAS rebooted, none of its sessions survive
+   */
+  async closeNASSessions(nasAddress) {
+    const result = await this.db.query(
+      `UPDATE session_logs
+       SET status = 'closed', logout_time = NOW(), terminate_cause = 'nas-reboot'
+       WHERE nas_ip_address = $1 AND status = 'active'`,
+      [nasAddress]
+    );
+
+    this.logger.info(`Closed ${result.rowCount} sessions for NAS ${nasAddress}`);
+  }
+}
+
+module.exports = RadiusServer;
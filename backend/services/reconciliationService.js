@@ -0,0 +1,792 @@
+// backend/services/reconciliationService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+/**
+ * Reconciliation error with the HTTP status to answer with
+ */
+class ReconciliationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReconciliationError';
+    this.status = status;
+  }
+}
+
+const ISSUE_TYPE = {
+  MISSING_PAYMENT: 'missing_payment', // settled by the gateway, no payments row
+  MISSING_SETTLEMENT: 'missing_settlement', // completed here, not in the export
+  DUPLICATE_SETTLEMENT: 'duplicate_settlement', // the export settles one payment twice
+  DUPLICATE_PAYMENT: 'duplicate_payment', // several payments rows for one gateway transaction
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  STATUS_MISMATCH: 'status_mismatch', // settled, but the payment isn't completed here
+  REFUND_NOT_RECORDED: 'refund_not_recorded',
+  REFUNDED_VOUCHER_ACTIVE: 'refunded_voucher_active',
+};
+
+// Export columns (headers lower-cased, non-alphanumerics as _) per normalized field,
+// covering the Stripe balance/payments exports, bKash and Nagad merchant statements,
+// SSLCommerz transaction reports and a plain generic layout
+const FIELD_ALIASES = {
+  transactionId: [
+    'transaction_id', 'trx_id', 'trxid', 'txn_id', 'bank_tran_id', 'payment_intent_id', 'paymentintent_id',
+    'payment_intent', 'issuer_payment_ref', 'source_id', 'charge_id', 'id',
+  ],
+  paymentRef: ['payment_id', 'paymentid', 'payment_ref_id', 'tran_id', 'order_id', 'charge_id', 'source_id'],
+  reference: ['reference', 'merchant_invoice_number', 'invoice_number', 'merchant_reference', 'merchant_order_id'],
+  amount: ['gross', 'amount', 'transaction_amount', 'total_amount'],
+  refundedAmount: ['amount_refunded', 'refunded_amount'],
+  fee: ['fee', 'fees', 'service_charge', 'commission'],
+  net: ['net', 'net_amount', 'store_amount'],
+  currency: ['currency', 'currency_type'],
+  type: ['reporting_category', 'transaction_type', 'type', 'category'],
+  status: ['status', 'transaction_status'],
+  date: [
+    'created_utc', 'created_date_utc', 'created', 'date_time', 'datetime', 'transaction_date', 'tran_date',
+    'date', 'available_on_utc',
+  ],
+};
+
+// Gateways that only settle in one currency, for exports without a currency column
+const PROVIDER_CURRENCY = { bkash: 'BDT', nagad: 'BDT' };
+
+const normalizeHeader = (header) => String(header).replace(/^\uFEFF/, '').trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * RFC 4180 CSV: quoted fields, "" escapes, CRLF; the delimiter is guessed from the header
+ */
+function parseCSV(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers, ...records] = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  if (!headers) return [];
+  const keys = headers.map(normalizeHeader);
+  return records.map((values) => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+}
+
+/**
+ * JSON exports: an array of records or { data | transactions | results: [...] }
+ */
+function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ReconciliationError(`Export is not valid JSON: ${error.message}`);
+  }
+  const records = Array.isArray(data) ? data : data.data || data.transactions || data.results;
+  if (!Array.isArray(records)) {
+    throw new ReconciliationError('JSON export must be an array of transactions');
+  }
+  return records.map((record) => Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [normalizeHeader(key), value])
+  ));
+}
+
+/**
+ * Amounts as gateways print them: "৳1,250.00", "BDT 1,250", "(12.50)", "-12.50",
+ * "1.250,00". Anything that is still not a number after dropping the currency and
+ * thousands separators is rejected rather than read as 0
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new ReconciliationError(`Unreadable amount "${value}"`);
+    return value;
+  }
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  let digits = text.replace(/^\((.*)\)$/, '$1').replace(/[^0-9.,+-]/g, '');
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(digits);
+  digits = digits.replace(/^[+-]|-$/g, '');
+
+  // The last of "." and "," is the decimal point when both appear; a lone "," is
+  // one only when one or two digits follow it
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  if (lastComma > lastDot && (lastDot !== -1 || /,\d{1,2}$/.test(digits))) {
+    digits = digits.replace(/\./g, '').replace(',', '.');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  if (!/^(\d+(\.\d*)?|\.\d+)$/.test(digits)) {
+    throw new ReconciliationError(`Unreadable amount "${text}"`);
+  }
+  const number = Number(digits);
+  return negative ? -number : number;
+}
+
+function parseDate(value, utc = false) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d{10}$/.test(value)) return new Date(Number(value) * 1000);
+  // Stripe's *_utc columns carry no zone
+  if (utc && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  // bKash: yyyyMMddHHmmss, Dhaka time
+  const compact = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (compact) {
+    const [, y, mo, d, h, mi, s] = compact;
+    return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}+06:00`);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Payment, refund or something else (fees, payouts, adjustments), from the type
+ * column or the sign of the amount
+ */
+function transactionType(type, amount) {
+  const text = String(type || '').toLowerCase();
+  if (/refund|reversal|chargeback|dispute/.test(text)) return 'refund';
+  if (/fee|payout|transfer|adjustment|withdraw|topup|top_up|tax/.test(text)) return 'other';
+  if (amount !== null && amount < 0) return 'refund';
+  return 'payment';
+}
+
+const FAILED_STATUS = /fail|cancel|declin|expire|incomplete/i;
+
+/**
+ * Reconciliation Service
+ * Imports gateway transaction/settlement exports (CSV or JSON) and matches each
+ * row to `payments` by transaction id, Stripe payment id, gateway payment id or our
+ * reference. Flags money settled without a payment (and the reverse over the
+ * export's period), double settlements, amount and status mismatches, refunds not
+ * applied here and refunded payments whose voucher still works. The report is an
+ * Excel workbook built by AnalyticsService.generateExcelReport.
+ */
+class ReconciliationService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.analyticsService = config.analyticsService;
+    // Imports with open issues are re-checked this often for this long, as late
+    // webhooks and refunds settle them
+    this.interval = config.interval || 6 * 60 * 60 * 1000;
+    this.recheckDays = config.recheckDays || 14;
+    this.timer = null;
+  }
+
+  /**
+   * ==================== IMPORT ====================
+   */
+
+  /**
+   * Parse an export into normalized rows
+   */
+  parseExport(provider, format, content) {
+    const records = format === 'json' ? parseJSON(content) : parseCSV(content);
+    const column = (record, field) => FIELD_ALIASES[field]
+      .find((alias) => record[alias] !== undefined && record[alias] !== '');
+    const pick = (record, field) => {
+      const key = column(record, field);
+      return key ? record[key] : undefined;
+    };
+
+    const amountOf = (record, field, index) => {
+      try {
+        return parseAmount(pick(record, field));
+      } catch (error) {
+        throw new ReconciliationError(`Row ${index + 1}: ${error.message}`);
+      }
+    };
+
+    return records.map((record, index) => {
+      const amount = amountOf(record, 'amount', index);
+      const transactionId = pick(record, 'transactionId');
+      const paymentRef = FIELD_ALIASES.paymentRef
+        .map((alias) => record[alias])
+        .find((value) => value && value !== transactionId);
+      const type = transactionType(pick(record, 'type'), amount);
+      const status = pick(record, 'status');
+
+      return {
+        rowNumber: index + 1,
+        type: FAILED_STATUS.test(status || '') && type === 'payment' ? 'other' : type,
+        transactionId: transactionId ? String(transactionId) : null,
+        paymentRef: paymentRef ? String(paymentRef) : null,
+        reference: pick(record, 'reference') ? String(pick(record, 'reference')) : null,
+        status: status ? String(status) : null,
+        amount: amount === null ? null : Math.abs(amount),
+        refundedAmount: Math.abs(amountOf(record, 'refundedAmount', index) || 0),
+        fee: amountOf(record, 'fee', index),
+        net: amountOf(record, 'net', index),
+        currency: String(pick(record, 'currency') || PROVIDER_CURRENCY[provider] || '').toUpperCase() || null,
+        occurredAt: parseDate(pick(record, 'date'), /utc/.test(column(record, 'date') || '')),
+        raw: record,
+      };
+    });
+  }
+
+  /**
+   * Import an export and reconcile it
+   * { provider, format: 'csv' | 'json', fileName, content, periodStart, periodEnd }
+   */
+  async importSettlement(data, importedBy = null) {
+    const provider = String(data.provider || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(provider)) {
+      throw new ReconciliationError('Provider is required');
+    }
+    const format = String(data.format || (/\.json$/i.test(data.fileName || '') ? 'json' : 'csv')).toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      throw new ReconciliationError('Format must be csv or json');
+    }
+    if (!data.content || !String(data.content).trim()) {
+      throw new ReconciliationError('The export is empty');
+    }
+
+    const rows = this.parseExport(provider, format, String(data.content));
+    if (rows.length === 0) {
+      throw new ReconciliationError('No transactions found in the export');
+    }
+    if (!rows.some((row) => row.transactionId || row.paymentRef || row.reference)) {
+      throw new ReconciliationError('No transaction id column found in the export');
+    }
+
+    const checksum = crypto.createHash('sha256').update(String(data.content)).digest('hex');
+    const dates = rows.map((row) => row.occurredAt).filter(Boolean).map((date) => date.getTime());
+    const periodStart = parseDate(data.periodStart) || (dates.length ? new Date(Math.min(...dates)) : null);
+    const periodEnd = parseDate(data.periodEnd) || (dates.length ? new Date(Math.max(...dates)) : null);
+
+    const client = await this.db.connect();
+    let settlementImport;
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT id FROM settlement_imports WHERE provider = $1 AND checksum = $2',
+        [provider, checksum]
+      );
+      if (existing.rows[0]) {
+        throw new ReconciliationError(`This export was already imported (#${existing.rows[0].id})`, 409);
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO settlement_imports (provider, file_name, format, checksum, period_start, period_end, row_count, status, imported_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'imported', $8, NOW())
+         RETURNING *`,
+        [provider, data.fileName || null, format, checksum, periodStart, periodEnd, rows.length, importedBy]
+      );
+      settlementImport = inserted.rows[0];
+
+      // Multi-row inserts, 500 rows at a time
+      for (let i = 0; i < rows.length; i += 500) {
+        const chunk = rows.slice(i, i + 500);
+        const params = [];
+        const values = chunk.map((row) => {
+          params.push(
+            settlementImport.id, row.rowNumber, row.type, row.transactionId, row.paymentRef, row.reference,
+            row.status, row.amount, row.refundedAmount, row.fee, row.net, row.currency, row.occurredAt, row.raw
+          );
+          const offset = params.length - 14;
+          return `(${Array.from({ length: 14 }, (_, n) => `$${offset + n + 1}`).join(', ')})`;
+        });
+
+        await client.query(
+          `INSERT INTO settlement_transactions (
+            import_id, row_number, type, transaction_id, payment_ref, reference,
+            status, amount, refunded_amount, fee, net, currency, occurred_at, raw
+          ) VALUES ${values.join(', ')}`,
+          params
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!(error instanceof ReconciliationError)) {
+        this.logger.error('Error importing settlement export:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.logger.info(`Imported ${rows.length} ${provider} settlement rows (import ${settlementImport.id})`);
+    this.emit('import:created', settlementImport);
+    return this.reconcile(settlementImport.id);
+  }
+
+  async getImports({ provider, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (provider) {
+      params.push(provider);
+      where = 'WHERE i.provider = $1';
+    }
+
+    const result = await this.db.query(
+      `SELECT i.*, u.email AS imported_by_email,
+              (SELECT COUNT(*)::int FROM reconciliation_issues r
+               WHERE r.import_id = i.id AND r.resolved_at IS NULL) AS open_issues
+       FROM settlement_imports i
+       LEFT JOIN users u ON u.id = i.imported_by
+       ${where}
+       ORDER BY i.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit, 10) || 50, parseInt(offset, 10) || 0]
+    );
+    return result.rows;
+  }
+
+  async getImport(importId) {
+    const result = await this.db.query('SELECT * FROM settlement_imports WHERE id = $1', [importId]);
+    if (!result.rows[0]) {
+      throw new ReconciliationError('Import not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  async deleteImport(importId) {
+    const result = await this.db.query('DELETE FROM settlement_imports WHERE id = $1 RETURNING *', [importId]);
+    if (!result.rows[0]) {
+      throw new ReconciliationError('Import not found', 404);
+    }
+    this.emit('import:deleted', result.rows[0]);
+    return result.rows[0];
+  }
+
+  /**
+   * ==================== RECONCILIATION ====================
+   */
+
+  /**
+   * Match an import's rows to payments and record the issues. Safe to re-run:
+   * open issues are recomputed, resolved ones are kept.
+   */
+  async reconcile(importId) {
+    const settlementImport = await this.getImport(importId);
+    const { provider } = settlementImport;
+
+    const rowsResult = await this.db.query(
+      'SELECT * FROM settlement_transactions WHERE import_id = $1 ORDER BY row_number',
+      [importId]
+    );
+    const rows = rowsResult.rows;
+    const identifiers = (row) => [row.transaction_id, row.payment_ref, row.reference].filter(Boolean);
+    const allIds = [...new Set(rows.flatMap(identifiers))];
+
+    const paymentsResult = await this.db.query(
+      `SELECT * FROM payments
+       WHERE provider = $1
+         AND (transaction_id = ANY($2) OR stripe_payment_id = ANY($2)
+              OR provider_payment_id = ANY($2) OR reference = ANY($2))`,
+      [provider, allIds]
+    );
+    const byKey = new Map();
+    for (const payment of paymentsResult.rows) {
+      for (const key of [payment.transaction_id, payment.stripe_payment_id, payment.provider_payment_id, payment.reference]) {
+        if (!key) continue;
+        if (!byKey.has(key)) byKey.set(key, new Map());
+        byKey.get(key).set(payment.id, payment);
+      }
+    }
+
+    const issues = [];
+    const updates = [];
+    const settled = new Map();
+    const refunded = [];
+    const issue = (type, fields) => issues.push({ type, ...fields });
+
+    for (const row of rows) {
+      if (row.type === 'other') {
+        updates.push({ id: row.id, paymentId: null, status: 'skipped' });
+        continue;
+      }
+
+      const matches = new Map();
+      for (const key of identifiers(row)) {
+        for (const [id, payment] of byKey.get(key) || []) matches.set(id, payment);
+      }
+      const [payment, ...others] = [...matches.values()].sort((a, b) => a.id - b.id);
+
+      if (!payment) {
+        issue(row.type === 'refund' ? ISSUE_TYPE.REFUND_NOT_RECORDED : ISSUE_TYPE.MISSING_PAYMENT, {
+          row,
+          settledAmount: row.amount,
+          currency: row.currency,
+          details: `${row.type === 'refund' ? 'Refund' : 'Settled payment'} ${identifiers(row).join(' / ')} has no payment record`,
+        });
+        updates.push({ id: row.id, paymentId: null, status: 'unmatched' });
+        continue;
+      }
+
+      const before = issues.length;
+      if (others.length) {
+        issue(ISSUE_TYPE.DUPLICATE_PAYMENT, {
+          row,
+          payment,
+          details: `Payments ${[payment, ...others].map((p) => p.id).join(', ')} all match ${identifiers(row).join(' / ')}`,
+        });
+      }
+
+      if (row.type === 'payment') {
+        if (settled.has(payment.id)) {
+          issue(ISSUE_TYPE.DUPLICATE_SETTLEMENT, {
+            row,
+            payment,
+            settledAmount: row.amount,
+            currency: row.currency,
+            details: `Payment ${payment.id} is also settled by row ${settled.get(payment.id).row_number}`,
+          });
+        } else {
+          settled.set(payment.id, row);
+        }
+
+        const currencyMismatch = row.currency && payment.currency
+          && row.currency.toUpperCase() !== payment.currency.toUpperCase();
+        if (row.amount !== null && (toCents(row.amount) !== toCents(payment.amount) || currencyMismatch)) {
+          issue(ISSUE_TYPE.AMOUNT_MISMATCH, {
+            row,
+            payment,
+            expectedAmount: payment.amount,
+            settledAmount: row.amount,
+            currency: row.currency || payment.currency,
+            details: `Settled ${row.amount} ${row.currency || ''}, payment is ${payment.amount} ${payment.currency}`.trim(),
+          });
+        }
+
+        if (!['completed', 'refunded'].includes(payment.status)) {
+          issue(ISSUE_TYPE.STATUS_MISMATCH, {
+            row,
+            payment,
+            expectedAmount: payment.amount,
+            settledAmount: row.amount,
+            currency: payment.currency,
+            details: `Settled by ${provider} but the payment is ${payment.status}`,
+          });
+        }
+      }
+
+      if (row.type === 'refund' || Number(row.refunded_amount) > 0) {
+        refunded.push({ row, payment });
+        if (payment.status !== 'refunded') {
+          issue(ISSUE_TYPE.REFUND_NOT_RECORDED, {
+            row,
+            payment,
+            settledAmount: row.type === 'refund' ? row.amount : row.refunded_amount,
+            currency: row.currency || payment.currency,
+            details: `Refunded by ${provider} but the payment is ${payment.status}`,
+          });
+        }
+      }
+
+      updates.push({ id: row.id, paymentId: payment.id, status: issues.length > before ? 'issue' : 'matched' });
+    }
+
+    // Completed here during the period but not in the export
+    if (settlementImport.period_start && settlementImport.period_end) {
+      const missing = await this.db.query(
+        `SELECT * FROM payments
+         WHERE provider = $1 AND status IN ('completed', 'refunded')
+           AND COALESCE(paid_at, created_at) BETWEEN $2 AND $3
+           AND NOT (id = ANY($4))`,
+        [provider, settlementImport.period_start, settlementImport.period_end, [...settled.keys()]]
+      );
+      for (const payment of missing.rows) {
+        issue(ISSUE_TYPE.MISSING_SETTLEMENT, {
+          payment,
+          expectedAmount: payment.amount,
+          currency: payment.currency,
+          details: `Payment ${payment.id} (${payment.transaction_id || payment.reference}) is ${payment.status} but not in the export`,
+        });
+      }
+    }
+
+    // Refunded (by the export or here) but the voucher or its account still works
+    const refundedHere = settlementImport.period_start && settlementImport.period_end
+      ? (await this.db.query(
+        `SELECT id FROM payments
+         WHERE provider = $1 AND status = 'refunded'
+           AND COALESCE(paid_at, created_at) BETWEEN $2 AND $3`,
+        [provider, settlementImport.period_start, settlementImport.period_end]
+      )).rows.map((row) => row.id)
+      : [];
+    const refundRows = new Map(refunded.map(({ row, payment }) => [payment.id, row]));
+    const activeVouchers = await this.findActiveVouchers([...new Set([...refundRows.keys(), ...refundedHere])]);
+    for (const voucher of activeVouchers) {
+      const row = refundRows.get(voucher.payment_id);
+      issue(ISSUE_TYPE.REFUNDED_VOUCHER_ACTIVE, {
+        row,
+        payment: { id: voucher.payment_id, amount: voucher.amount, currency: voucher.currency },
+        voucherId: voucher.voucher_id,
+        expectedAmount: voucher.amount,
+        currency: voucher.currency,
+        details: `Voucher ${voucher.code} is ${voucher.status}${voucher.active_users ? ` with ${voucher.active_users} active account(s)` : ''} after a refund`,
+      });
+      const update = row && updates.find((u) => u.id === row.id);
+      if (update) update.status = 'issue';
+    }
+
+    const summary = this.summarize(rows, updates, issues);
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (updates.length) {
+        await client.query(
+          `UPDATE settlement_transactions s
+           SET payment_id = u.payment_id, match_status = u.status
+           FROM unnest($1::int[], $2::int[], $3::text[]) AS u(id, payment_id, status)
+           WHERE s.id = u.id`,
+          [updates.map((u) => u.id), updates.map((u) => u.paymentId), updates.map((u) => u.status)]
+        );
+      }
+
+      await client.query('DELETE FROM reconciliation_issues WHERE import_id = $1 AND resolved_at IS NULL', [importId]);
+      for (const found of issues) {
+        await client.query(
+          `INSERT INTO reconciliation_issues (
+            import_id, type, settlement_transaction_id, payment_id, voucher_id,
+            expected_amount, settled_amount, currency, details, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+          ON CONFLICT DO NOTHING`,
+          [
+            importId,
+            found.type,
+            found.row ? found.row.id : null,
+            found.payment ? found.payment.id : null,
+            found.voucherId || null,
+            found.expectedAmount === undefined ? null : found.expectedAmount,
+            found.settledAmount === undefined ? null : found.settledAmount,
+            found.currency || null,
+            found.details,
+          ]
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE settlement_imports SET status = 'reconciled', summary = $2, reconciled_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [importId, summary]
+      );
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Reconciled ${provider} import ${importId}: ${summary.matched}/${summary.rows} matched, ${summary.issueCount} issue(s)`);
+      this.emit('import:reconciled', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error('Error saving reconciliation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Vouchers bought by these payments that still work: active/redeemed, or with
+   * an active hotspot account
+   */
+  async findActiveVouchers(paymentIds) {
+    if (paymentIds.length === 0) return [];
+
+    const result = await this.db.query(
+      `SELECT p.id AS payment_id, p.amount, p.currency, v.id AS voucher_id, v.code, v.status,
+              (SELECT COUNT(*)::int FROM hotspot_users h WHERE h.voucher_id = v.id AND h.status = 'active') AS active_users
+       FROM payments p
+       LEFT JOIN portal_orders o ON o.id = p.order_id
+       JOIN vouchers v ON v.id = COALESCE(
+         o.voucher_id,
+         CASE WHEN p.metadata->>'voucherId' ~ '^[0-9]+$' THEN (p.metadata->>'voucherId')::int END
+       )
+       WHERE p.id = ANY($1)`,
+      [paymentIds]
+    );
+    return result.rows.filter((row) => ['active', 'redeemed'].includes(row.status) || row.active_users > 0);
+  }
+
+  summarize(rows, updates, issues) {
+    const count = (status) => updates.filter((u) => u.status === status).length;
+    const total = (type) => rows
+      .filter((row) => row.type === type)
+      .reduce((sum, row) => sum + toCents(row.amount || 0), 0) / 100;
+
+    return {
+      rows: rows.length,
+      matched: count('matched'),
+      withIssues: count('issue'),
+      unmatched: count('unmatched'),
+      skipped: count('skipped'),
+      settledAmount: total('payment'),
+      refundedAmount: total('refund'),
+      fees: rows.reduce((sum, row) => sum + toCents(row.fee || 0), 0) / 100,
+      issueCount: issues.length,
+      issues: issues.reduce((counts, found) => ({ ...counts, [found.type]: (counts[found.type] || 0) + 1 }), {}),
+    };
+  }
+
+  /**
+   * ==================== ISSUES ====================
+   */
+
+  async getIssues(importId, { type, resolved } = {}) {
+    const params = [importId];
+    const conditions = ['r.import_id = $1'];
+    if (type) {
+      params.push(type);
+      conditions.push(`r.type = $${params.length}`);
+    }
+    if (resolved !== undefined && resolved !== '') {
+      conditions.push(resolved === true || resolved === 'true' ? 'r.resolved_at IS NOT NULL' : 'r.resolved_at IS NULL');
+    }
+
+    const result = await this.db.query(
+      `SELECT r.*, s.row_number, s.transaction_id AS settlement_transaction, s.occurred_at,
+              p.reference, p.transaction_id, p.status AS payment_status, v.code AS voucher_code
+       FROM reconciliation_issues r
+       LEFT JOIN settlement_transactions s ON s.id = r.settlement_transaction_id
+       LEFT JOIN payments p ON p.id = r.payment_id
+       LEFT JOIN vouchers v ON v.id = r.voucher_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY r.resolved_at IS NOT NULL, r.type, s.row_number NULLS LAST, r.id`,
+      params
+    );
+    return result.rows;
+  }
+
+  async resolveIssue(issueId, note, resolvedBy = null) {
+    const result = await this.db.query(
+      `UPDATE reconciliation_issues SET resolved_at = NOW(), resolved_by = $2, resolution_note = $3
+       WHERE id = $1
+       RETURNING *`,
+      [issueId, resolvedBy, note || null]
+    );
+    if (!result.rows[0]) {
+      throw new ReconciliationError('Issue not found', 404);
+    }
+    this.emit('issue:resolved', result.rows[0]);
+    return result.rows[0];
+  }
+
+  /**
+   * ==================== REPORT ====================
+   */
+
+  /**
+   * Excel reconciliation report for an import
+   */
+  async generateReport(importId) {
+    const settlementImport = await this.getImport(importId);
+    const [issues, transactions] = await Promise.all([
+      this.getIssues(importId),
+      this.db.query(
+        `SELECT s.*, p.reference AS payment_reference, p.status AS payment_status
+         FROM settlement_transactions s
+         LEFT JOIN payments p ON p.id = s.payment_id
+         WHERE s.import_id = $1
+         ORDER BY s.row_number`,
+        [importId]
+      ),
+    ]);
+
+    return this.analyticsService.generateExcelReport({
+      generatedAt: new Date().toISOString(),
+      reportType: 'reconciliation',
+      dateRange: { start: settlementImport.period_start, end: settlementImport.period_end },
+      reconciliation: {
+        import: settlementImport,
+        summary: settlementImport.summary,
+        issues,
+        transactions: transactions.rows,
+      },
+    });
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  /**
+   * Re-run recent imports that still have open issues
+   */
+  async recheckOpenImports() {
+    const result = await this.db.query(
+      `SELECT DISTINCT i.id FROM settlement_imports i
+       JOIN reconciliation_issues r ON r.import_id = i.id AND r.resolved_at IS NULL
+       WHERE i.created_at >= NOW() - ($1 || ' days')::interval`,
+      [this.recheckDays]
+    );
+
+    for (const { id } of result.rows) {
+      try {
+        await this.reconcile(id);
+      } catch (error) {
+        this.logger.error(`Error re-checking settlement import ${id}:`, error.message);
+      }
+    }
+    return result.rows.length;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.recheckOpenImports().catch((error) => this.logger.error('Reconciliation re-check failed:', error.message));
+    }, this.interval);
+
+    this.logger.info('Reconciliation re-check started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = ReconciliationService;
+module.exports.ReconciliationError = ReconciliationError;
+module.exports.ISSUE_TYPE = ISSUE_TYPE;
+module.exports.parseCSV = parseCSV;
@@ -0,0 +1,56 @@
+// backend/services/routerTargets.js
+
+/**
+ * Router Targets
+ * One interface over the main router (MikrotikManager) and remote sites
+ * (MultiSiteManager.callSiteAPI), for features that push config to every router.
+ *
+ * Each target: { key, name, siteId, print(path, query), add(path, data), set(path, id, data), remove(path, id),
+ * command(path, data) }
+ */
+async function getRouterTargets(db, { mikrotikManager, multiSiteManager }, siteId = null) {
+  const routers = [];
+
+  if (!siteId && mikrotikManager) {
+    routers.push({
+      key: 'main',
+      name: 'Main router',
+      siteId: null,
+      print: (path, query = {}) => mikrotikManager.print(path, query),
+      add: (path, data) => mikrotikManager.add(path, data),
+      set: (path, id, data) => mikrotikManager.set(path, id, data),
+      remove: (path, id) => mikrotikManager.remove(path, id),
+      command: (path, data) => mikrotikManager.command(path, data),
+    });
+  }
+
+  if (multiSiteManager) {
+    const sites = await db.query(
+      `SELECT id, site_name FROM sites
+       WHERE site_type = 'remote' AND status = 'active' AND ($1::int IS NULL OR id = $1)
+       ORDER BY id`,
+      [siteId || null]
+    );
+
+    sites.rows.forEach((site) => {
+      routers.push({
+        key: `site:${site.id}`,
+        name: site.site_name,
+        siteId: site.id,
+        print: (path, query = {}) => multiSiteManager.callSiteAPI(
+          site.id,
+          Object.keys(query).length ? `${path}?${new URLSearchParams(query)}` : path,
+          'GET'
+        ),
+        add: (path, data) => multiSiteManager.callSiteAPI(site.id, path, 'POST', data),
+        set: (path, id, data) => multiSiteManager.callSiteAPI(site.id, `${path}/${id}`, 'PUT', data),
+        remove: (path, id) => multiSiteManager.callSiteAPI(site.id, `${path}/${id}`, 'DELETE'),
+        command: (path, data) => multiSiteManager.callSiteAPI(site.id, path, 'COMMAND', data),
+      });
+    });
+  }
+
+  return routers;
+}
+
+module.exports = { getRouterTargets };
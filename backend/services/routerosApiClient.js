@@ -0,0 +1,436 @@
+// backend/services/routerosApiClient.js
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * RouterOS API error (!trap / !fatal replies)
+ * Categories follow the RouterOS API documentation
+ */
+class RouterOSTrapError extends Error {
+  constructor(message, category = null, command = null) {
+    super(message);
+    this.name = 'RouterOSTrapError';
+    this.category = category;
+    this.command = command;
+    this.status = RouterOSTrapError.statusForCategory(category);
+  }
+
+  static statusForCategory(category) {
+    switch (category) {
+      case 0: // missing item or command
+        return 404;
+      case 1: // argument value failure
+        return 400;
+      case 2: // execution of command interrupted
+        return 499;
+      case 3: // scripting failure
+      case 4: // general failure
+      case 5: // API failure
+      case 6: // TTY related failure
+        return 500;
+      default:
+        return 500;
+    }
+  }
+}
+
+/**
+ * ==================== WIRE ENCODING ====================
+ */
+
+/**
+ * Encode word length prefix
+ */
+function encodeLength(len) {
+  if (len < 0x80) {
+    return Buffer.from([len]);
+  }
+  if (len < 0x4000) {
+    return Buffer.from([(len >> 8) | 0x80, len & 0xff]);
+  }
+  if (len < 0x200000) {
+    return Buffer.from([(len >> 16) | 0xc0, (len >> 8) & 0xff, len & 0xff]);
+  }
+  if (len < 0x10000000) {
+    return Buffer.from([
+      (len >>> 24) | 0xe0,
+      (len >> 16) & 0xff,
+      (len >> 8) & 0xff,
+      len & 0xff,
+    ]);
+  }
+  return Buffer.from([
+    0xf0,
+    (len >>> 24) & 0xff,
+    (len >> 16) & 0xff,
+    (len >> 8) & 0xff,
+    len & 0xff,
+  ]);
+}
+
+/**
+ * Decode word length prefix at offset
+ * Returns { length, bytes } or null if the buffer is incomplete
+ */
+function decodeLength(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+
+  let bytes;
+  let length;
+
+  if ((first & 0x80) === 0x00) {
+    return { length: first, bytes: 1 };
+  } else if ((first & 0xc0) === 0x80) {
+    bytes = 2;
+    length = first & 0x3f;
+  } else if ((first & 0xe0) === 0xc0) {
+    bytes = 3;
+    length = first & 0x1f;
+  } else if ((first & 0xf0) === 0xe0) {
+    bytes = 4;
+    length = first & 0x0f;
+  } else {
+    bytes = 5;
+    length = 0;
+  }
+
+  if (offset + bytes > buffer.length) return null;
+
+  for (let i = 1; i < bytes; i++) {
+    length = length * 256 + buffer[offset + i];
+  }
+
+  return { length, bytes };
+}
+
+/**
+ * Encode a sentence (array of words) for the wire
+ */
+function encodeSentence(words) {
+  const parts = [];
+  words.forEach((word) => {
+    const data = Buffer.from(word, 'utf8');
+    parts.push(encodeLength(data.length), data);
+  });
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a reply sentence into { type, tag, attributes }
+ */
+function parseSentence(words) {
+  const sentence = { type: words[0], tag: null, attributes: {} };
+
+  words.slice(1).forEach((word) => {
+    if (word.startsWith('.tag=')) {
+      sentence.tag = word.slice(5);
+    } else if (word.startsWith('=')) {
+      const idx = word.indexOf('=', 1);
+      const key = idx === -1 ? word.slice(1) : word.slice(1, idx);
+      sentence.attributes[key] = idx === -1 ? '' : word.slice(idx + 1);
+    }
+  });
+
+  return sentence;
+}
+
+/**
+ * RouterOS API Client
+ * Speaks the RouterOS sentence/word protocol on port 8728 (8729 with TLS)
+ */
+class RouterOSApiClient extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.host = config.host;
+    this.user = config.user;
+    this.pass = config.pass || '';
+    this.useTLS = config.useTLS || false;
+    this.port = config.port || (this.useTLS ? 8729 : 8728);
+    this.timeout = config.timeout || 5000;
+    // RouterOS api-ssl certificates are usually self-signed
+    this.tlsOptions = { rejectUnauthorized: false, ...(config.tlsOptions || {}) };
+    this.logger = config.logger || console;
+
+    this.socket = null;
+    this.connected = false;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.currentWords = [];
+    this.pending = new Map();
+    this.nextTag = 1;
+  }
+
+  /**
+   * ==================== CONNECTION ====================
+   */
+
+  /**
+   * Open the socket and log in (idempotent)
+   */
+  async connect() {
+    if (this.connected) return this;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.setTimeout(0);
+        this.connected = true;
+        this.login()
+          .then(() => {
+            this.emit('connected');
+            resolve(this);
+          })
+          .catch((error) => {
+            this.close();
+            reject(error);
+          });
+      };
+
+      const options = { host: this.host, port: this.port };
+      this.socket = this.useTLS
+        ? tls.connect({ ...options, ...this.tlsOptions }, onConnect)
+        : net.connect(options, onConnect);
+
+      this.socket.setTimeout(this.timeout, () => {
+        const error = new Error(`Connection to ${this.host}:${this.port} timed out`);
+        this.socket.destroy(error);
+      });
+
+      this.socket.on('data', (data) => this.onData(data));
+      this.socket.on('error', (error) => {
+        if (!this.connected) reject(error);
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      });
+      this.socket.on('close', () => this.onClose());
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Authenticate (post-6.43 plain login, falls back to MD5 challenge)
+   */
+  async login() {
+    const result = await this.write('/login', {
+      name: this.user,
+      password: this.pass,
+    });
+
+    const challenge = result.done.ret;
+    if (!challenge) return;
+
+    // Pre-6.43 routers answer with a challenge instead of logging in
+    const md5 = crypto.createHash('md5');
+    md5.update(Buffer.from([0]));
+    md5.update(Buffer.from(this.pass, 'utf8'));
+    md5.update(Buffer.from(challenge, 'hex'));
+
+    await this.write('/login', {
+      name: this.user,
+      response: `00${md5.digest('hex')}`,
+    });
+  }
+
+  /**
+   * Close connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+
+  onClose() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.currentWords = [];
+
+    const error = new Error('RouterOS API connection closed');
+    this.pending.forEach((request) => request.reject(error));
+    this.pending.clear();
+
+    if (wasConnected) this.emit('close');
+  }
+
+  /**
+   * ==================== PROTOCOL ====================
+   */
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let offset = 0;
+    for (;;) {
+      const prefix = decodeLength(this.buffer, offset);
+      if (!prefix || offset + prefix.bytes + prefix.length > this.buffer.length) break;
+
+      const start = offset + prefix.bytes;
+      offset = start + prefix.length;
+
+      if (prefix.length === 0) {
+        const words = this.currentWords;
+        this.currentWords = [];
+        this.onSentence(parseSentence(words));
+      } else {
+        this.currentWords.push(this.buffer.toString('utf8', start, offset));
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  onSentence(sentence) {
+    if (sentence.type === '!fatal') {
+      const message = Object.keys(sentence.attributes)[0] || 'fatal error';
+      this.logger.error(`RouterOS API fatal: ${message}`);
+      this.close();
+      return;
+    }
+
+    const request = this.pending.get(sentence.tag);
+    if (!request) return;
+
+    switch (sentence.type) {
+      case '!re':
+        if (request.onData) {
+          request.onData(sentence.attributes);
+        } else {
+          request.replies.push(sentence.attributes);
+        }
+        break;
+
+      case '!trap':
+        request.trap = new RouterOSTrapError(
+          sentence.attributes.message || 'RouterOS API error',
+          sentence.attributes.category !== undefined
+            ? parseInt(sentence.attributes.category, 10)
+            : null,
+          request.command
+        );
+        break;
+
+      case '!done':
+        this.pending.delete(sentence.tag);
+        clearTimeout(request.timer);
+
+        // A cancelled /listen finishes with an "interrupted" trap
+        if (request.trap && !(request.cancelled && request.trap.category === 2)) {
+          request.reject(request.trap);
+        } else {
+          request.resolve({ replies: request.replies, done: sentence.attributes });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Build API words from a command, attributes and queries
+   */
+  buildWords(command, params = {}, queries = []) {
+    const words = [command];
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      const formatted = typeof value === 'boolean' ? (value ? 'yes' : 'no') : value;
+      words.push(`=${key}=${formatted}`);
+    });
+
+    queries.forEach((query) => words.push(query.startsWith('?') ? query : `?${query}`));
+
+    return words;
+  }
+
+  /**
+   * Send a tagged command, resolves on !done with all !re replies
+   */
+  write(command, params = {}, options = {}) {
+    if (!this.socket) {
+      return Promise.reject(new Error('RouterOS API not connected'));
+    }
+
+    const tag = String(this.nextTag++);
+    const words = [...this.buildWords(command, params, options.queries), `.tag=${tag}`];
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        command,
+        replies: [],
+        onData: options.onData || null,
+        trap: null,
+        cancelled: false,
+        resolve,
+        reject,
+        timer: null,
+      };
+
+      if (!options.onData && this.timeout) {
+        request.timer = setTimeout(() => {
+          this.pending.delete(tag);
+          reject(new Error(`RouterOS API command timed out: ${command}`));
+        }, options.timeout || this.timeout);
+      }
+
+      this.pending.set(tag, request);
+      if (options.onTag) options.onTag(tag);
+      this.socket.write(encodeSentence(words));
+    });
+  }
+
+  /**
+   * Run a command (connecting first if needed), returns !re replies
+   */
+  async exec(command, params = {}, options = {}) {
+    await this.connect();
+    const result = await this.write(command, params, options);
+    return options.withDone ? result : result.replies;
+  }
+
+  /**
+   * Stream a /listen (or follow) command
+   * Returns { tag, cancel(), done } where done settles when the stream ends
+   */
+  async listen(command, params = {}, onData, options = {}) {
+    await this.connect();
+
+    let tag = null;
+    const done = this.write(command, params, {
+      ...options,
+      onData,
+      onTag: (t) => {
+        tag = t;
+      },
+    });
+
+    return {
+      tag,
+      done,
+      cancel: async () => {
+        const request = this.pending.get(tag);
+        if (!request) return;
+        request.cancelled = true;
+        await this.write('/cancel', { tag });
+        await done.catch(() => {});
+      },
+    };
+  }
+}
+
+module.exports = {
+  RouterOSApiClient,
+  RouterOSTrapError,
+  encodeLength,
+  decodeLength,
+  encodeSentence,
+  parseSentence,
+};
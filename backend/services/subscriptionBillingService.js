@@ -0,0 +1,976 @@
+// backend/services/subscriptionBillingService.js
+const EventEmitter = require('events');
+const axios = require('axios');
+const { BILLING_INTERVALS } = require('./monetizationService');
+
+/**
+ * Billing error with the HTTP status to answer with
+ */
+class BillingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BillingError';
+    this.status = status;
+  }
+}
+
+const FINAL_ACTIONS = ['suspend', 'downgrade'];
+const GIGABYTE = 1024 * 1024 * 1024;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Subscription Billing Service
+ * Renews user_subscriptions as they fall due. Every renewal is a subscription_charges
+ * row paid through the payment service: off-session with the saved payment method
+ * where the gateway supports it (Stripe), otherwise by a payment link sent to the
+ * subscriber. A declined or unpaid charge is retried on the dunning schedule (days
+ * after each failure) with a reminder each time, and access stays on meanwhile
+ * (past_due). After the last retry the account is suspended or moved to the
+ * downgrade profile and the subscriber gets a link to pay; paying any charge starts
+ * the next period and restores access. markChargePaid is idempotent, since the
+ * payment service reports every completion of a payment. A charge the payment
+ * service never answered for is sent again as the same charge (same chargeId, which
+ * the gateway dedupes on) rather than as a new one.
+ */
+class SubscriptionBillingService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.monetizationService = config.monetizationService;
+    this.outbox = config.outbox || null;
+    this.coaClient = config.coaClient || null;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.radiusEnabled = Boolean(config.radiusEnabled);
+    this.paymentServiceURL = config.paymentServiceURL || process.env.PAYMENT_SERVICE_URL;
+    this.internalToken = config.internalToken || process.env.INTERNAL_API_TOKEN;
+    this.portalURL = (config.portalURL || process.env.PORTAL_URL || '').replace(/\/$/, '');
+
+    // Days to wait before each retry; the charge after the last one is final
+    this.dunningSchedule = (config.dunningSchedule || [1, 3, 7])
+      .map(Number)
+      .filter((days) => Number.isFinite(days) && days > 0);
+    this.downgradeProfileId = config.downgradeProfileId || null;
+    this.finalAction = FINAL_ACTIONS.includes(config.finalAction) ? config.finalAction : 'suspend';
+    if (this.finalAction === 'downgrade' && !this.downgradeProfileId) {
+      this.logger.warn('Subscription dunning: no downgrade profile configured, suspending instead');
+      this.finalAction = 'suspend';
+    }
+    // The payment service cancels payments left pending for a day
+    this.linkTimeoutHours = config.linkTimeoutHours || 23;
+    this.pollInterval = config.pollInterval || 300000;
+    this.batchSize = config.batchSize || 20;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== SUBSCRIPTIONS ====================
+   */
+
+  /**
+   * Subscription with what billing needs of its plan and account; `lock` for update
+   */
+  async loadSubscription(client, subscriptionId, lock = false) {
+    const result = await client.query(
+      `SELECT s.*, p.name AS plan_name, p.billing_period, pp.name AS pending_plan_name,
+              hu.username, hu.email AS user_email, hu.phone AS user_phone, hu.profile_id AS user_profile_id
+       FROM user_subscriptions s
+       LEFT JOIN subscription_plans p ON p.id = s.plan_id
+       LEFT JOIN subscription_plans pp ON pp.id = s.pending_plan_id
+       LEFT JOIN hotspot_users hu ON hu.id = s.hotspot_user_id
+       WHERE s.id = $1
+       ${lock ? 'FOR UPDATE OF s' : ''}`,
+      [subscriptionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Subscriptions, soonest due first { status, hotspotUserId, limit, offset }
+   */
+  async getSubscriptions({ status, hotspotUserId, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(String(status).split(','));
+      conditions.push(`s.status = ANY($${params.length})`);
+    }
+    if (hotspotUserId) {
+      params.push(hotspotUserId);
+      conditions.push(`s.hotspot_user_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(
+      `SELECT s.*, p.name AS plan_name, p.billing_period, hu.username
+       FROM user_subscriptions s
+       LEFT JOIN subscription_plans p ON p.id = s.plan_id
+       LEFT JOIN hotspot_users hu ON hu.id = s.hotspot_user_id
+       ${where}
+       ORDER BY s.next_billing_date ASC NULLS LAST, s.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0]
+    );
+    return result.rows;
+  }
+
+  /**
+   * One subscription with its charges, newest first
+   */
+  async getSubscription(subscriptionId) {
+    const subscription = await this.loadSubscription(this.db, subscriptionId);
+    if (!subscription) {
+      throw new BillingError('Subscription not found', 404);
+    }
+
+    const [charges, planChanges] = await Promise.all([
+      this.db.query(
+        'SELECT * FROM subscription_charges WHERE subscription_id = $1 ORDER BY created_at DESC, id DESC',
+        [subscriptionId]
+      ),
+      this.monetizationService.getPlanChanges(subscriptionId),
+    ]);
+    return { ...subscription, charges: charges.rows, planChanges };
+  }
+
+  /**
+   * Subscribe a hotspot account to a plan
+   * { planId, hotspotUserId, provider, customerId, paymentMethodId, email, phone }
+   */
+  async createSubscription(data, createdBy = null) {
+    if (!data.planId || !data.hotspotUserId) {
+      throw new BillingError('Plan and hotspot user are required');
+    }
+
+    const { subscription } = await this.monetizationService.subscribeUserToPlan(
+      createdBy,
+      data.planId,
+      data.paymentMethodId,
+      {
+        hotspotUserId: data.hotspotUserId,
+        provider: data.provider,
+        customerId: data.customerId,
+        email: data.email,
+        phone: data.phone,
+      }
+    );
+    return subscription;
+  }
+
+  /**
+   * Store a new payment method { provider, customerId, paymentMethodId }; a
+   * subscription in dunning is charged with it on the next run
+   */
+  async updatePaymentMethod(subscriptionId, { provider, customerId, paymentMethodId } = {}) {
+    const result = await this.db.query(
+      `UPDATE user_subscriptions
+       SET provider = COALESCE($2, provider), provider_customer_id = $3, payment_method_id = $4,
+           next_retry_at = CASE WHEN status = 'past_due' THEN NOW() ELSE next_retry_at END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [subscriptionId, provider || null, customerId || null, paymentMethodId || null]
+    );
+    if (result.rows.length === 0) {
+      throw new BillingError('Subscription not found', 404);
+    }
+
+    this.emit('subscription:payment-method', result.rows[0]);
+    return result.rows[0];
+  }
+
+  /**
+   * Stop renewing; an open payment link is no longer honoured as a renewal
+   */
+  async cancelSubscription(subscriptionId) {
+    const subscription = await this.monetizationService.cancelSubscription(subscriptionId);
+    if (!subscription) {
+      throw new BillingError('Subscription not found', 404);
+    }
+
+    await this.db.query(
+      `UPDATE subscription_charges SET status = 'cancelled', error = 'Subscription cancelled'
+       WHERE subscription_id = $1 AND status IN ('pending', 'error')`,
+      [subscriptionId]
+    );
+    return subscription;
+  }
+
+  /**
+   * ==================== PLAN CHANGES ====================
+   */
+
+  async previewPlanChange(subscriptionId, planId, { effective } = {}) {
+    return this.monetizationService.previewPlanChange(subscriptionId, planId, { effective });
+  }
+
+  /**
+   * Switch plans { planId, effective }: MonetizationService.changePlan prorates and
+   * records it; here an immediate change is pushed to the network, its amount due
+   * charged, and the adjusted invoice sent
+   */
+  async changePlan(subscriptionId, { planId, effective } = {}, requestedBy = null) {
+    if (!planId) {
+      throw new BillingError('Plan is required');
+    }
+
+    const result = await this.monetizationService.changePlan(subscriptionId, planId, { effective, requestedBy });
+    const subscription = await this.loadSubscription(this.db, subscriptionId);
+
+    if (result.reprovision) {
+      await this.enforceAccess(subscription.username);
+    }
+
+    let charge = result.charge;
+    if (charge) {
+      try {
+        charge = (await this.charge(subscription, charge)) || charge;
+      } catch (error) {
+        this.logger.error(`Error charging plan change of subscription ${subscriptionId}:`, error);
+      }
+    }
+
+    const change = (await this.monetizationService.getPlanChanges(subscriptionId))
+      .find((row) => row.id === result.change.id) || result.change;
+    await this.sendPlanChangeInvoice(subscription, change, charge)
+      .catch((error) => this.logger.error('Error sending plan change invoice:', error));
+
+    this.emit('subscription:plan-changed', { subscription, change, charge });
+    return { change, subscription, charge, reprovision: result.reprovision };
+  }
+
+  async cancelPlanChange(subscriptionId) {
+    return this.monetizationService.cancelPlanChange(subscriptionId);
+  }
+
+  /**
+   * Adjusted invoice for a plan change: the credit for the unused part of the old
+   * plan against the new plan's cost for the rest of the period
+   */
+  async sendPlanChangeInvoice(subscription, change, charge) {
+    const money = (amount) => `${Number(amount).toFixed(2)} ${change.currency}`;
+
+    if (change.status === 'scheduled') {
+      return this.notify(this.db, subscription, {
+        type: 'subscription_plan_change',
+        subject: 'Plan change scheduled',
+        message: `Your subscription moves to ${subscription.pending_plan_name || 'the new plan'} on `
+          + `${formatDate(subscription.next_billing_date)}, when your current period ends.`,
+      });
+    }
+
+    const lines = [
+      `Credit for unused ${change.from_plan_name || 'previous plan'}: -${money(change.unused_credit)}`,
+      `${subscription.plan_name || 'New plan'} until ${change.period_end ? formatDate(change.period_end) : 'your next renewal'}: ${money(change.new_cost)}`,
+    ];
+    if (Number(change.balance_applied) > 0) {
+      lines.push(`Account credit used: -${money(change.balance_applied)}`);
+    }
+
+    let total;
+    if (Number(change.amount_due) > 0) {
+      const paid = charge && charge.status === 'paid';
+      total = paid
+        ? `Paid: ${money(change.amount_due)}`
+        : `Due: ${money(change.amount_due)}${charge && charge.checkout_url ? `. Pay here: ${charge.checkout_url}` : ''}`;
+    } else if (Number(change.amount_credited) > 0) {
+      total = `Credited to your next renewal: ${money(change.amount_credited)}`;
+    } else {
+      total = 'Nothing to pay';
+    }
+
+    return this.notify(this.db, subscription, {
+      type: 'subscription_plan_change',
+      subject: `Plan changed to ${subscription.plan_name || 'your new plan'}`,
+      message: `Your plan change is effective now. ${lines.join('; ')}. ${total}.`,
+    });
+  }
+
+  /**
+   * ==================== BILLING ====================
+   */
+
+  /**
+   * One billing pass: expire unpaid links, then charge what is due
+   */
+  async runOnce() {
+    await this.expireStaleCharges();
+
+    const claimed = await this.claimDue();
+    for (const { subscription, charge, planChange } of claimed) {
+      try {
+        if (planChange) await this.enforceAccess(subscription.username);
+        await this.charge(subscription, charge);
+      } catch (error) {
+        this.logger.error(`Error charging subscription ${subscription.id}:`, error);
+      }
+    }
+    return claimed.length;
+  }
+
+  /**
+   * Open a pending charge for each due subscription. The pending charge is what
+   * keeps the next pass (or a second worker) from charging the period again.
+   */
+  async claimDue() {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const due = await client.query(
+        `SELECT s.id FROM user_subscriptions s
+         WHERE s.status IN ('active', 'past_due')
+           AND s.next_billing_date <= NOW()
+           AND (s.next_retry_at IS NULL OR s.next_retry_at <= NOW())
+           AND NOT EXISTS (
+             SELECT 1 FROM subscription_charges c WHERE c.subscription_id = s.id AND c.status = 'pending'
+           )
+         ORDER BY s.next_billing_date ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [this.batchSize]
+      );
+
+      const claimed = [];
+      for (const { id } of due.rows) {
+        let subscription = await this.loadSubscription(client, id);
+
+        const resumed = await this.resumeCharge(client, id);
+        if (resumed) {
+          claimed.push({ subscription, charge: resumed, planChange: null });
+          continue;
+        }
+
+        // A downgrade scheduled for the period end takes effect with this renewal
+        const planChange = await this.monetizationService.applyPendingPlanChange(client, subscription);
+        if (planChange) {
+          subscription = await this.loadSubscription(client, id);
+        }
+        const charge = await this.createCharge(client, subscription);
+        claimed.push({ subscription, charge, planChange });
+      }
+
+      await client.query('COMMIT');
+      return claimed;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error('Error claiming due subscriptions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The subscription's last charge, back to pending, if the payment service never
+   * answered for it
+   */
+  async resumeCharge(client, subscriptionId) {
+    const result = await client.query(
+      `UPDATE subscription_charges SET status = 'pending', error = NULL
+       WHERE id = (
+         SELECT id FROM subscription_charges WHERE subscription_id = $1
+         ORDER BY created_at DESC, id DESC LIMIT 1
+       ) AND status = 'error'
+       RETURNING *`,
+      [subscriptionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A renewal picks up where the last period ended; after a suspension the new
+   * period starts when it is paid for. The subscription's balance (credit from a
+   * plan change, or an unpaid proration) is settled with it; credit_applied is
+   * taken off the balance once the charge is paid.
+   */
+  async createCharge(client, subscription) {
+    const interval = BILLING_INTERVALS[subscription.billing_period] || BILLING_INTERVALS.monthly;
+    const periodStart = subscription.status === 'suspended' || !subscription.next_billing_date
+      ? new Date()
+      : subscription.next_billing_date;
+    const price = Number(subscription.price);
+    const amount = Math.max(Math.round((price - Number(subscription.credit_balance || 0)) * 100) / 100, 0);
+
+    const result = await client.query(
+      `INSERT INTO subscription_charges (
+        subscription_id, type, attempt, amount, credit_applied, currency, period_start, period_end, status, provider, created_at
+      ) VALUES ($1, 'renewal', $2, $3, $4, $5, $6, $6::timestamp + $7::interval, 'pending', $8, NOW())
+      RETURNING *`,
+      [
+        subscription.id,
+        subscription.failed_attempts + 1,
+        amount,
+        Math.round((price - amount) * 100) / 100,
+        subscription.currency,
+        periodStart,
+        interval,
+        subscription.provider,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Have the payment service take a charge. `checkout` asks for a payment link even
+   * when a saved payment method exists.
+   */
+  async charge(subscription, charge, { checkout = false } = {}) {
+    // Covered by credit
+    if (Number(charge.amount) <= 0) {
+      return this.markChargePaid(charge.id);
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.paymentServiceURL}/api/payment/subscription-charge`,
+        {
+          subscriptionId: subscription.id,
+          chargeId: charge.id,
+          amount: Number(charge.amount),
+          currency: charge.currency,
+          provider: subscription.provider,
+          customerId: subscription.provider_customer_id,
+          paymentMethodId: subscription.payment_method_id,
+          email: subscription.email || subscription.user_email,
+          phone: subscription.phone || subscription.user_phone,
+          description: `${subscription.plan_name || 'WiFi'} ${charge.type === 'proration' ? 'plan change' : 'subscription'} `
+            + `${formatDate(charge.period_start)} - ${formatDate(charge.period_end)}`,
+          successUrl: this.portalURL || undefined,
+          checkout,
+        },
+        { headers: { 'X-Internal-Token': this.internalToken }, timeout: 30000 }
+      );
+    } catch (error) {
+      const reason = (error.response && error.response.data && error.response.data.error) || error.message;
+      if (error.response && error.response.status < 500) {
+        // Refused outright (no provider for the currency, bad payment method)
+        return this.recordFailure(charge.id, reason);
+      }
+
+      // Payment service unreachable or timed out, so the charge may have gone through:
+      // not the subscriber's failure, the same charge is sent again next pass
+      this.logger.warn(`Subscription ${subscription.id} not charged, payment service unavailable: ${reason}`);
+      await this.db.query(
+        `UPDATE subscription_charges SET status = 'error', error = $2 WHERE id = $1 AND status = 'pending'`,
+        [charge.id, reason]
+      );
+      return null;
+    }
+
+    const { paymentId, provider, status, transactionId, checkoutUrl, error } = response.data;
+    await this.db.query(
+      `UPDATE subscription_charges
+       SET payment_id = COALESCE($2, payment_id), provider = COALESCE($3, provider), checkout_url = $4
+       WHERE id = $1`,
+      [charge.id, paymentId || null, provider || null, checkoutUrl || null]
+    );
+
+    if (status === 'completed') {
+      return this.markChargePaid(charge.id, { paymentId, transactionId, provider });
+    }
+    if (status === 'failed' || status === 'cancelled') {
+      return this.recordFailure(charge.id, error || `Payment ${status}`);
+    }
+
+    // Pending: paid later through the link, or settled by the gateway's webhook. A
+    // plan change sends its link with the adjusted invoice.
+    if (checkoutUrl && !checkout && charge.type !== 'proration') {
+      await this.notify(this.db, subscription, {
+        type: 'subscription_payment_link',
+        subject: 'Renew your WiFi subscription',
+        message: `Your ${subscription.plan_name || 'WiFi'} subscription renews on ${formatDate(charge.period_start)}. `
+          + `Pay ${Number(charge.amount).toFixed(2)} ${charge.currency} here to keep your access: ${checkoutUrl}`,
+      });
+    }
+    return { ...charge, status: 'pending', payment_id: paymentId, checkout_url: checkoutUrl };
+  }
+
+  /**
+   * Charge again now (admin), e.g. after the subscriber fixed their card; works for
+   * suspended subscriptions too
+   */
+  async retryNow(subscriptionId) {
+    const client = await this.db.connect();
+    let subscription;
+    let charge;
+
+    try {
+      await client.query('BEGIN');
+      subscription = await this.loadSubscription(client, subscriptionId, true);
+      if (!subscription) {
+        throw new BillingError('Subscription not found', 404);
+      }
+      if (subscription.status === 'cancelled') {
+        throw new BillingError('Subscription is cancelled', 409);
+      }
+
+      if (subscription.status === 'active' && new Date(subscription.next_billing_date) > new Date()) {
+        throw new BillingError('Subscription is not due yet', 409);
+      }
+
+      // An open payment link is replaced; the link still counts if it gets paid
+      await client.query(
+        `UPDATE subscription_charges SET status = 'cancelled', error = 'Replaced by a retry'
+         WHERE subscription_id = $1 AND status = 'pending' AND checkout_url IS NOT NULL`,
+        [subscriptionId]
+      );
+      const pending = await client.query(
+        `SELECT id FROM subscription_charges WHERE subscription_id = $1 AND status = 'pending'`,
+        [subscriptionId]
+      );
+      if (pending.rows.length > 0) {
+        throw new BillingError('A charge is already in progress', 409);
+      }
+
+      charge = (await this.resumeCharge(client, subscriptionId)) || (await this.createCharge(client, subscription));
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.charge(subscription, charge);
+    return this.getSubscription(subscriptionId);
+  }
+
+  /**
+   * Unpaid payment links (and charges that never heard back) count as failed
+   */
+  async expireStaleCharges() {
+    const stale = await this.db.query(
+      `SELECT id FROM subscription_charges
+       WHERE status = 'pending' AND created_at < NOW() - ($1 || ' hours')::interval
+       ORDER BY created_at ASC`,
+      [this.linkTimeoutHours]
+    );
+
+    for (const { id } of stale.rows) {
+      try {
+        await this.recordFailure(id, 'Payment was not completed in time');
+      } catch (error) {
+        this.logger.error(`Error expiring subscription charge ${id}:`, error);
+      }
+    }
+    return stale.rows.length;
+  }
+
+  /**
+   * ==================== OUTCOMES ====================
+   */
+
+  /**
+   * A charge was paid: start the period it covers and lift any suspension. Called by
+   * the payment service for every completion, so a repeat is a no-op. A late payment
+   * of an expired link still counts. A proration charge only settles the balance.
+   */
+  async markChargePaid(chargeId, { paymentId, transactionId, provider } = {}) {
+    const client = await this.db.connect();
+    let charge;
+    let subscription;
+    let previousStatus;
+    let restored = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const chargeResult = await client.query(
+        'SELECT * FROM subscription_charges WHERE id = $1 FOR UPDATE',
+        [chargeId]
+      );
+      charge = chargeResult.rows[0];
+      if (!charge) {
+        throw new BillingError('Subscription charge not found', 404);
+      }
+      if (charge.status === 'paid') {
+        await client.query('COMMIT');
+        return charge;
+      }
+      previousStatus = charge.status;
+
+      const paid = await client.query(
+        `UPDATE subscription_charges
+         SET status = 'paid', payment_id = COALESCE($2, payment_id), transaction_id = COALESCE($3, transaction_id),
+             provider = COALESCE($4, provider), error = NULL, paid_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [chargeId, paymentId || null, transactionId || null, provider || null]
+      );
+      charge = paid.rows[0];
+
+      subscription = await this.loadSubscription(client, charge.subscription_id, true);
+      if (subscription.status === 'cancelled') {
+        await client.query('COMMIT');
+        this.logger.warn(`Charge ${chargeId} paid for cancelled subscription ${subscription.id}`);
+        return charge;
+      }
+
+      if (charge.type === 'proration') {
+        // A failed proration was added to the balance as owed
+        if (previousStatus === 'failed') {
+          await client.query(
+            `UPDATE user_subscriptions SET credit_balance = COALESCE(credit_balance, 0) + $2, updated_at = NOW() WHERE id = $1`,
+            [subscription.id, charge.amount]
+          );
+        }
+        await this.notify(client, subscription, {
+          type: 'subscription_plan_change_paid',
+          subject: 'Plan change paid',
+          message: `Thank you, we received ${Number(charge.amount).toFixed(2)} ${charge.currency} for switching to `
+            + `${subscription.plan_name || 'your new plan'} until ${formatDate(charge.period_end)}.`,
+        });
+        await client.query('COMMIT');
+        this.emit('charge:paid', { subscription, charge });
+        return charge;
+      }
+      restored = subscription.status === 'suspended';
+
+      await client.query(
+        `UPDATE user_subscriptions
+         SET status = 'active', failed_attempts = 0, next_retry_at = NULL, last_error = NULL,
+             current_period_start = $2,
+             current_period_end = GREATEST(COALESCE(current_period_end, $3), $3),
+             next_billing_date = GREATEST(COALESCE(next_billing_date, $3), $3),
+             credit_balance = COALESCE(credit_balance, 0) - $4,
+             suspended_at = NULL, suspension_action = NULL, previous_profile_id = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [subscription.id, charge.period_start, charge.period_end, charge.credit_applied || 0]
+      );
+
+      if (subscription.hotspot_user_id) {
+        await client.query(
+          `UPDATE hotspot_users
+           SET expiry_date = GREATEST(COALESCE(expiry_date, $2), $2),
+               status = CASE WHEN $3 THEN 'active' ELSE status END,
+               profile_id = CASE WHEN $4 THEN $5 ELSE profile_id END,
+               updated_at = NOW()
+           WHERE id = $1`,
+          [
+            subscription.hotspot_user_id,
+            charge.period_end,
+            restored && subscription.suspension_action === 'suspend',
+            restored && subscription.suspension_action === 'downgrade',
+            subscription.previous_profile_id,
+          ]
+        );
+      }
+
+      await this.notify(client, subscription, {
+        type: 'subscription_renewed',
+        subject: restored ? 'Your WiFi access is restored' : 'Subscription renewed',
+        message: `Thank you, we received ${Number(charge.amount).toFixed(2)} ${charge.currency} for your `
+          + `${subscription.plan_name || 'WiFi'} subscription. It is paid until ${formatDate(charge.period_end)}.`
+          + (restored ? ' Your access has been restored.' : ''),
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`Error recording payment of subscription charge ${chargeId}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (restored) {
+      await this.enforceAccess(subscription.username);
+      this.logger.info(`Subscription ${subscription.id}: paid, access restored`);
+      this.emit('subscription:restored', { subscription, charge });
+    }
+    this.emit('charge:paid', { subscription, charge });
+    return charge;
+  }
+
+  /**
+   * A charge was declined or went unpaid: schedule the next dunning retry with a
+   * reminder, or take the final action once the schedule is used up
+   */
+  async recordFailure(chargeId, reason) {
+    const client = await this.db.connect();
+    let subscription;
+    let charge;
+    let final = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const failed = await client.query(
+        `UPDATE subscription_charges SET status = 'failed', error = $2
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [chargeId, reason]
+      );
+      charge = failed.rows[0];
+      if (!charge) {
+        // Already settled either way
+        await client.query('COMMIT');
+        return null;
+      }
+
+      subscription = await this.loadSubscription(client, charge.subscription_id, true);
+
+      // An unpaid plan change is owed and collected with the next renewal, not dunned
+      if (charge.type === 'proration') {
+        await client.query(
+          `UPDATE user_subscriptions SET credit_balance = COALESCE(credit_balance, 0) - $2, updated_at = NOW() WHERE id = $1`,
+          [subscription.id, charge.amount]
+        );
+        await this.notify(client, subscription, {
+          type: 'subscription_plan_change_unpaid',
+          subject: 'Plan change payment failed',
+          message: `We could not take the ${Number(charge.amount).toFixed(2)} ${charge.currency} for your plan change `
+            + `(${reason}). It will be added to your next renewal on ${formatDate(subscription.next_billing_date)}.`,
+        });
+        await client.query('COMMIT');
+        this.emit('charge:failed', { subscription, charge, reason });
+        return charge;
+      }
+
+      if (!['active', 'past_due'].includes(subscription.status)) {
+        // Suspended (restore link unpaid) or cancelled: nothing more to do
+        await client.query('COMMIT');
+        return charge;
+      }
+
+      const attempts = subscription.failed_attempts + 1;
+      final = attempts > this.dunningSchedule.length;
+
+      if (!final) {
+        const retryAt = new Date(Date.now() + this.dunningSchedule[attempts - 1] * 86400000);
+        await client.query(
+          `UPDATE user_subscriptions
+           SET status = 'past_due', failed_attempts = $2, next_retry_at = $3, last_error = $4, updated_at = NOW()
+           WHERE id = $1`,
+          [subscription.id, attempts, retryAt, reason]
+        );
+
+        // Keep the account online while the retries run
+        if (subscription.hotspot_user_id) {
+          await client.query(
+            `UPDATE hotspot_users
+             SET expiry_date = GREATEST(COALESCE(expiry_date, NOW()), $2::timestamp + ($3 || ' hours')::interval),
+                 updated_at = NOW()
+             WHERE id = $1`,
+            [subscription.hotspot_user_id, retryAt, this.linkTimeoutHours]
+          );
+        }
+
+        await this.notify(client, subscription, {
+          type: 'subscription_payment_failed',
+          subject: 'Payment for your WiFi subscription failed',
+          message: `We could not take the ${Number(charge.amount).toFixed(2)} ${charge.currency} payment for your `
+            + `${subscription.plan_name || 'WiFi'} subscription (${reason}). We will try again on ${formatDate(retryAt)}; `
+            + 'please make sure your payment method is up to date to keep your access.',
+        });
+      } else {
+        await this.applyFinalAction(client, subscription, attempts, reason);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`Error recording failure of subscription charge ${chargeId}:`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!final) {
+      this.emit('charge:failed', { subscription, charge, reason });
+      return charge;
+    }
+
+    await this.enforceAccess(subscription.username);
+    this.logger.info(`Subscription ${subscription.id}: dunning exhausted, access ${this.finalAction === 'downgrade' ? 'downgraded' : 'suspended'}`);
+    this.emit('subscription:suspended', { subscription, charge, action: this.finalAction });
+    await this.sendRestoreLink(subscription.id);
+    return charge;
+  }
+
+  async applyFinalAction(client, subscription, attempts, reason) {
+    const downgrade = this.finalAction === 'downgrade';
+
+    await client.query(
+      `UPDATE user_subscriptions
+       SET status = 'suspended', failed_attempts = $2, next_retry_at = NULL, last_error = $3,
+           suspended_at = NOW(), suspension_action = $4, previous_profile_id = $5, updated_at = NOW()
+       WHERE id = $1`,
+      [subscription.id, attempts, reason, this.finalAction, subscription.user_profile_id || null]
+    );
+
+    if (subscription.hotspot_user_id) {
+      await client.query(
+        downgrade
+          ? `UPDATE hotspot_users SET profile_id = $2, updated_at = NOW() WHERE id = $1`
+          : `UPDATE hotspot_users SET status = 'suspended', updated_at = NOW() WHERE id = $1`,
+        downgrade ? [subscription.hotspot_user_id, this.downgradeProfileId] : [subscription.hotspot_user_id]
+      );
+    }
+  }
+
+  /**
+   * After the final failure: a payment link that brings the account back, sent
+   * with the suspension notice
+   */
+  async sendRestoreLink(subscriptionId) {
+    const client = await this.db.connect();
+    let subscription;
+    let charge;
+
+    try {
+      await client.query('BEGIN');
+      subscription = await this.loadSubscription(client, subscriptionId, true);
+      charge = await this.createCharge(client, subscription);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`Error opening restore charge for subscription ${subscriptionId}:`, error);
+      return;
+    } finally {
+      client.release();
+    }
+
+    let link = null;
+    try {
+      const result = await this.charge(subscription, charge, { checkout: true });
+      link = result && result.checkout_url;
+    } catch (error) {
+      this.logger.error(`Error creating restore link for subscription ${subscriptionId}:`, error);
+    }
+
+    const consequence = subscription.suspension_action === 'downgrade'
+      ? 'your connection has been moved to a reduced plan'
+      : 'your WiFi access has been suspended';
+    await this.notify(this.db, subscription, {
+      type: 'subscription_suspended',
+      subject: 'Your WiFi subscription is suspended',
+      message: `We could not collect the payment for your ${subscription.plan_name || 'WiFi'} subscription, so ${consequence}. `
+        + (link
+          ? `Pay ${Number(charge.amount).toFixed(2)} ${charge.currency} here to restore it right away: ${link}`
+          : 'Please contact support to restore it.'),
+    }).catch((error) => this.logger.error('Error sending suspension notice:', error));
+  }
+
+  /**
+   * ==================== ACCESS ====================
+   */
+
+  /**
+   * Apply the account's current status, profile and limits to the network: a RADIUS
+   * CoA (or Disconnect when suspended), or the hotspot user and queue on the router
+   */
+  async enforceAccess(username) {
+    if (!username) return;
+
+    try {
+      if (this.radiusEnabled && this.coaClient) {
+        await this.coaClient.syncUser(username, 'billing');
+        return;
+      }
+      if (!this.mikrotikManager) return;
+
+      const result = await this.db.query(
+        `SELECT hu.status, hu.bandwidth_limit, hu.rate_limit, hu.fup_rate_limit,
+                hp.name AS profile_name, hp.rate_limit AS profile_rate_limit
+         FROM hotspot_users hu
+         LEFT JOIN hotspot_profiles hp ON hp.id = hu.profile_id
+         WHERE hu.username = $1`,
+        [username]
+      );
+      const user = result.rows[0];
+      if (!user) return;
+
+      const blocked = user.status !== 'active';
+      const updates = { disabled: blocked ? 'yes' : 'no' };
+      if (user.profile_name) updates.profile = user.profile_name;
+      if (user.bandwidth_limit) updates['limit-bytes-out'] = Number(user.bandwidth_limit) * GIGABYTE;
+      await this.mikrotikManager.updateHotspotUser(username, updates);
+
+      if (blocked) {
+        const sessions = await this.mikrotikManager.getActiveSessions();
+        for (const session of sessions.filter((s) => s.user === username)) {
+          await this.mikrotikManager.disconnectSession(session.id);
+        }
+        return;
+      }
+
+      // The plan's speed on the user's queue, unless a fair-usage throttle is in force
+      const rate = user.rate_limit || user.profile_rate_limit;
+      if (rate && !user.fup_rate_limit) {
+        await this.mikrotikManager.updateQueueBandwidth(username, { maxLimit: rate, limitAt: rate, burstLimit: rate })
+          .catch(() => {}); // no queue of its own: the profile's rate applies
+      }
+    } catch (error) {
+      this.logger.error(`Error enforcing billing status for ${username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * ==================== NOTIFICATIONS ====================
+   */
+
+  async notify(client, subscription, { type, subject, message }) {
+    if (!this.outbox) return;
+
+    const email = subscription.email || subscription.user_email;
+    const phone = subscription.phone || subscription.user_phone;
+
+    if (email) {
+      await this.outbox.enqueue({
+        channel: 'email',
+        type,
+        hotspotUserId: subscription.hotspot_user_id,
+        recipient: email,
+        subject,
+        message: `<p>${message}</p>`,
+      }, client);
+    }
+
+    if (phone) {
+      await this.outbox.enqueue({
+        channel: 'sms',
+        type,
+        hotspotUserId: subscription.hotspot_user_id,
+        recipient: phone,
+        message,
+      }, client);
+    }
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.logger.error('Error running subscription billing:', error);
+      } finally {
+        this.running = false;
+      }
+    }, this.pollInterval);
+
+    this.logger.info('Subscription billing started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = SubscriptionBillingService;
+module.exports.BillingError = BillingError;
@@ -0,0 +1,488 @@
+// backend/services/voucherBatchService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so printed codes are easy to type
+const DEFAULT_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const DEFAULT_CODE_LENGTH = 10;
+const MAX_BATCH_SIZE = 5000;
+
+/**
+ * Voucher batch error with the HTTP status to answer with
+ */
+class VoucherBatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VoucherBatchError';
+    this.status = status;
+  }
+}
+
+// Quote a CSV field when it holds a delimiter, quote or line break; neutralise leading
+// formula characters so spreadsheets do not evaluate them
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Voucher Batch Service
+ * Generates voucher sheets for resale, renders printable cards and manages batches
+ */
+class VoucherBatchService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.portalURL = config.portalURL || process.env.PORTAL_URL || 'http://localhost:8080';
+    this.brandName = config.brandName || 'WiFi Hotspot';
+    this.currency = config.currency || 'USD';
+    this.promotionService = config.promotionService || null;
+    // Batches sold by reseller staff earn the reseller commission (WhiteLabelService)
+    this.whitelabelService = config.whitelabelService || null;
+  }
+
+  /**
+   * ==================== CODE GENERATION ====================
+   */
+
+  /**
+   * Generate a single random code from the alphabet
+   */
+  generateCode(alphabet = DEFAULT_ALPHABET, length = DEFAULT_CODE_LENGTH) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Generate N codes that are unique within the batch and against existing vouchers
+   */
+  async generateUniqueCodes(count, options = {}) {
+    const alphabet = options.alphabet || DEFAULT_ALPHABET;
+    const length = options.length || DEFAULT_CODE_LENGTH;
+    const prefix = options.prefix || '';
+
+    // Refuse keyspaces too small to hold the batch comfortably
+    if (Math.pow(alphabet.length, length) < count * 100) {
+      throw new VoucherBatchError('Code alphabet/length too small for batch size');
+    }
+
+    const codes = new Set();
+
+    for (let attempt = 0; codes.size < count && attempt < 10; attempt++) {
+      const candidates = new Set();
+      while (candidates.size < count - codes.size) {
+        const code = `${prefix}${this.generateCode(alphabet, length)}`;
+        if (!codes.has(code)) candidates.add(code);
+      }
+
+      const existing = await this.db.query(
+        'SELECT code FROM vouchers WHERE code = ANY($1)',
+        [[...candidates]]
+      );
+      const taken = new Set(existing.rows.map((r) => r.code));
+
+      candidates.forEach((code) => {
+        if (!taken.has(code)) codes.add(code);
+      });
+    }
+
+    if (codes.size < count) {
+      throw new Error('Could not generate enough unique voucher codes');
+    }
+
+    return [...codes];
+  }
+
+  /**
+   * Generate batch ID
+   */
+  generateBatchId() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `BATCH-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * ==================== BATCH MANAGEMENT ====================
+   */
+
+  /**
+   * Create a batch of vouchers for a plan; `resellerId` when sold by reseller staff
+   */
+  async createBatch(batchData, createdBy, resellerId = null) {
+    const {
+      name,
+      quantity,
+      codeLength,
+      alphabet,
+      prefix,
+      notes,
+      profileId,
+      promoCodes,
+    } = batchData;
+    let { days, bandwidth, price } = batchData;
+
+    // A profile supplies the plan's validity and data cap unless overridden
+    if (profileId) {
+      const profile = await this.db.query(
+        "SELECT * FROM hotspot_profiles WHERE id = $1 AND status = 'active'",
+        [profileId]
+      );
+      if (profile.rows.length === 0) {
+        throw new VoucherBatchError('Profile not found', 404);
+      }
+      days = days || profile.rows[0].validity_days;
+      bandwidth = bandwidth || profile.rows[0].data_limit_gb;
+    }
+
+    const count = parseInt(quantity, 10);
+    if (!count || count < 1 || count > MAX_BATCH_SIZE) {
+      throw new VoucherBatchError(`Quantity must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+    if (!days || days < 1) {
+      throw new VoucherBatchError('Days must be at least 1');
+    }
+    if (alphabet && new Set(alphabet).size !== alphabet.length) {
+      throw new VoucherBatchError('Alphabet must not contain duplicate characters');
+    }
+    if (promoCodes && promoCodes.length && !this.promotionService) {
+      throw new VoucherBatchError('Promo codes are not available');
+    }
+
+    const codes = await this.generateUniqueCodes(count, {
+      alphabet,
+      length: codeLength,
+      prefix,
+    });
+
+    const batchId = this.generateBatchId();
+    // `price` is stored net of promo codes (what the batch sold for); the list price is kept apart
+    const listPrice = price;
+    const customer = `user:${createdBy}`;
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Promo codes discount the unit price and add free days to every voucher
+      let quote = null;
+      if (this.promotionService) {
+        quote = await this.promotionService.quote(client, {
+          codes: promoCodes,
+          channel: 'voucher_batch',
+          amount: price || 0,
+          currency: this.currency,
+          customerKey: customer,
+          lock: true,
+        });
+        if (quote.applied.length) {
+          price = quote.amount;
+          days = parseInt(days, 10) + quote.bonusDays;
+        }
+      }
+
+      const expiryDate = new Date();
+      expiryDate.setDate(expiryDate.getDate() + parseInt(days, 10));
+
+      const batchResult = await client.query(
+        `INSERT INTO voucher_batches (
+          id, name, quantity, days, price, list_price, bonus_days, bandwidth, code_length,
+          alphabet, prefix, notes, profile_id, status, created_by, reseller_id, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', $14, $15, NOW())
+        RETURNING *`,
+        [
+          batchId,
+          name || batchId,
+          count,
+          days,
+          price,
+          listPrice,
+          quote ? quote.bonusDays : 0,
+          bandwidth,
+          codeLength || DEFAULT_CODE_LENGTH,
+          alphabet || DEFAULT_ALPHABET,
+          prefix || null,
+          notes || null,
+          profileId || null,
+          createdBy,
+          resellerId || null,
+        ]
+      );
+
+      await client.query(
+        `INSERT INTO vouchers (
+          code, days, price, bandwidth, expiry_date, created_by, batch_id, profile_id, reseller_id, created_at, status
+        )
+         SELECT code, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), 'active'
+         FROM unnest($1::text[]) AS code`,
+        [codes, days, price, bandwidth, expiryDate, createdBy, batchId, profileId || null, resellerId || null]
+      );
+
+      if (quote && quote.applied.length) {
+        await this.promotionService.recordRedemptions(client, quote, {
+          channel: 'voucher_batch', batchId, customerKey: customer, quantity: count, status: 'redeemed',
+        });
+      }
+
+      if (resellerId && this.whitelabelService && Number(price) > 0) {
+        await this.whitelabelService.recordCommission(
+          resellerId,
+          Math.round(Number(price) * count * 100) / 100,
+          { transactionType: 'voucher_batch', currency: this.currency, referenceId: batchId },
+          client
+        );
+      }
+
+      await client.query('COMMIT');
+
+      const batch = batchResult.rows[0];
+      this.logger.info(`Created voucher batch ${batchId} (${count} vouchers)`);
+      this.emit('batch:created', batch);
+
+      return { ...batch, codes };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.status) {
+        this.logger.error('Error creating voucher batch:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List batches with redemption counts
+   */
+  async getBatches(createdBy = null, limit = 50, offset = 0) {
+    try {
+      const result = await this.db.query(
+        `SELECT
+          b.*,
+          COUNT(v.id) as total_vouchers,
+          COUNT(CASE WHEN v.status = 'active' THEN 1 END) as active_vouchers,
+          COUNT(CASE WHEN v.status = 'redeemed' THEN 1 END) as redeemed_vouchers,
+          COUNT(CASE WHEN v.status = 'void' THEN 1 END) as void_vouchers
+         FROM voucher_batches b
+         LEFT JOIN vouchers v ON v.batch_id = b.id
+         WHERE ($1::int IS NULL OR b.created_by = $1)
+         GROUP BY b.id
+         ORDER BY b.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [createdBy, limit, offset]
+      );
+
+      return result.rows;
+    } catch (error) {
+      this.logger.error('Error getting voucher batches:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a batch with its vouchers; with createdBy, only if that user created it
+   */
+  async getBatch(batchId, createdBy = null) {
+    try {
+      const batchResult = await this.db.query(
+        'SELECT * FROM voucher_batches WHERE id = $1 AND ($2::int IS NULL OR created_by = $2)',
+        [batchId, createdBy]
+      );
+
+      if (batchResult.rows.length === 0) {
+        return null;
+      }
+
+      const vouchers = await this.db.query(
+        `SELECT id, code, status, redeemed_at, expiry_date
+         FROM vouchers WHERE batch_id = $1 ORDER BY id ASC`,
+        [batchId]
+      );
+
+      return { ...batchResult.rows[0], vouchers: vouchers.rows };
+    } catch (error) {
+      this.logger.error('Error getting voucher batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Void all unredeemed vouchers in a batch (e.g. lost or stolen sheet)
+   */
+  async voidBatch(batchId, reason = null, createdBy = null) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const batchResult = await client.query(
+        `UPDATE voucher_batches SET status = 'void', voided_at = NOW(), void_reason = $2
+         WHERE id = $1 AND status != 'void' AND ($3::int IS NULL OR created_by = $3)
+         RETURNING *`,
+        [batchId, reason, createdBy]
+      );
+
+      if (batchResult.rows.length === 0) {
+        throw new VoucherBatchError('Batch not found or already void', 404);
+      }
+
+      const voided = await client.query(
+        `UPDATE vouchers SET status = 'void'
+         WHERE batch_id = $1 AND status = 'active'`,
+        [batchId]
+      );
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Voided batch ${batchId} (${voided.rowCount} vouchers)`);
+      this.emit('batch:voided', { batchId, voidedCount: voided.rowCount });
+
+      return { ...batchResult.rows[0], voidedCount: voided.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error('Error voiding voucher batch:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * ==================== EXPORT ====================
+   */
+
+  /**
+   * Export batch vouchers as CSV
+   */
+  async exportBatchCSV(batchId, createdBy = null) {
+    const batch = await this.getBatch(batchId, createdBy);
+    if (!batch) {
+      throw new VoucherBatchError('Batch not found', 404);
+    }
+
+    const rows = [['code', 'days', 'price', 'bandwidth_gb', 'status', 'redeemed_at']];
+    batch.vouchers.forEach((v) => {
+      rows.push([
+        v.code,
+        batch.days,
+        batch.price,
+        batch.bandwidth,
+        v.status,
+        v.redeemed_at ? new Date(v.redeemed_at).toISOString() : '',
+      ]);
+    });
+
+    return rows.map((row) => row.map(csvField).join(',')).join('\n');
+  }
+
+  /**
+   * Build the URL encoded in each card's QR code
+   */
+  getRedeemURL(code) {
+    return `${this.portalURL}/?voucher=${encodeURIComponent(code)}`;
+  }
+
+  /**
+   * Render printable A4 sheet of cut-out voucher cards (2 x 5 per page)
+   */
+  async generateBatchPDF(batchId, options = {}) {
+    const batch = await this.getBatch(batchId, options.createdBy || null);
+    if (!batch) {
+      throw new VoucherBatchError('Batch not found', 404);
+    }
+
+    const vouchers = options.includeRedeemed
+      ? batch.vouchers
+      : batch.vouchers.filter((v) => v.status === 'active');
+
+    const qrCodes = await Promise.all(
+      vouchers.map((v) =>
+        QRCode.toBuffer(this.getRedeemURL(v.code), { margin: 1, width: 200 })
+      )
+    );
+
+    const brandName = options.brandName || this.brandName;
+    const currency = options.currency || this.currency;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 30 });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const columns = 2;
+      const rows = 5;
+      const perPage = columns * rows;
+      const cardWidth = (doc.page.width - 60) / columns;
+      const cardHeight = (doc.page.height - 60) / rows;
+      const padding = 10;
+      const qrSize = cardHeight - padding * 2;
+
+      vouchers.forEach((voucher, i) => {
+        if (i > 0 && i % perPage === 0) {
+          doc.addPage();
+        }
+
+        const slot = i % perPage;
+        const x = 30 + (slot % columns) * cardWidth;
+        const y = 30 + Math.floor(slot / columns) * cardHeight;
+        const textX = x + padding + qrSize + padding;
+        const textWidth = cardWidth - qrSize - padding * 3;
+
+        // Dashed cut lines
+        doc.save()
+          .dash(4, { space: 4 })
+          .lineWidth(0.5)
+          .strokeColor('#9ca3af')
+          .rect(x, y, cardWidth, cardHeight)
+          .stroke()
+          .restore();
+
+        doc.image(qrCodes[i], x + padding, y + padding, { width: qrSize, height: qrSize });
+
+        doc.fillColor('#111827')
+          .fontSize(11)
+          .font('Helvetica-Bold')
+          .text(brandName, textX, y + padding, { width: textWidth });
+
+        doc.fontSize(16)
+          .font('Courier-Bold')
+          .text(voucher.code, textX, y + padding + 18, { width: textWidth });
+
+        doc.fontSize(10)
+          .font('Helvetica')
+          .text(`${currency} ${Number(batch.price || 0).toFixed(2)}`, textX, y + padding + 42, {
+            width: textWidth,
+          })
+          .text(
+            `${batch.days} day(s)${batch.bandwidth ? ` · ${batch.bandwidth} GB` : ''}`,
+            { width: textWidth }
+          );
+
+        doc.fontSize(7)
+          .fillColor('#4b5563')
+          .text(
+            '1. Connect to the WiFi network\n2. Scan the QR code or open the login page\n3. Enter the code above and choose a username',
+            textX,
+            y + cardHeight - padding - 30,
+            { width: textWidth }
+          );
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = VoucherBatchService;
+module.exports.VoucherBatchError = VoucherBatchError;
@@ -0,0 +1,235 @@
+// backend/services/voucherRedemptionService.js
+const EventEmitter = require('events');
+
+/**
+ * Redemption error with the HTTP status to answer with
+ */
+class RedemptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RedemptionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Voucher Redemption Service
+ * Redeems a voucher as a saga:
+ *   1. lock the voucher row (SELECT ... FOR UPDATE) inside a transaction
+ *   2. create the hotspot user and mark the voucher redeemed
+ *   3. queue the welcome notification in the outbox (same transaction; the password is
+ *      filled in by the outbox at send time, see NotificationOutbox.render)
+ *   4. provision the router user
+ *   5. commit; if anything after step 4 fails, delete the router user again
+ */
+class VoucherRedemptionService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotik = config.mikrotik;
+    this.outbox = config.outbox;
+    // With RADIUS the router authenticates against the database instead
+    this.provisionRouter = config.provisionRouter !== false;
+  }
+
+  generatePassword() {
+    return Math.random().toString(36).substring(7);
+  }
+
+  /**
+   * Redeem voucher `code` for a new hotspot account
+   */
+  async redeem({ code, username, email, phone }) {
+    if (!code || !username) {
+      throw new RedemptionError('Voucher code and username are required');
+    }
+
+    const client = await this.db.connect();
+    let routerUser = null;
+
+    try {
+      await client.query('BEGIN');
+
+      // Concurrent redemptions of the same code queue up here
+      const voucherResult = await client.query(
+        'SELECT * FROM vouchers WHERE code = $1 FOR UPDATE',
+        [code]
+      );
+      const voucher = voucherResult.rows[0];
+
+      if (!voucher || voucher.status !== 'active') {
+        throw new RedemptionError('Invalid voucher');
+      }
+
+      const existing = await client.query(
+        'SELECT 1 FROM hotspot_users WHERE username = $1',
+        [username]
+      );
+      if (existing.rows.length > 0) {
+        throw new RedemptionError('Username already taken', 409);
+      }
+
+      const expiryDate = new Date();
+      expiryDate.setDate(expiryDate.getDate() + voucher.days);
+      const password = this.generatePassword();
+
+      const userResult = await client.query(
+        `INSERT INTO hotspot_users (username, email, phone, password, bandwidth_limit, expiry_date, voucher_id, fup_policy_id, profile_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         RETURNING *`,
+        [username, email, phone, password, voucher.bandwidth, expiryDate, voucher.id, voucher.fup_policy_id, voucher.profile_id]
+      );
+      const user = userResult.rows[0];
+
+      await client.query(
+        'UPDATE vouchers SET status = $1, redeemed_at = NOW() WHERE id = $2',
+        ['redeemed', voucher.id]
+      );
+
+      if (email) {
+        await this.outbox.enqueue({
+          channel: 'email',
+          type: 'account_created',
+          hotspotUserId: user.id,
+          recipient: email,
+          subject: 'Hotspot Account Created',
+          message: `<h2>Welcome!</h2><p>Your account has been created. Username: ${username}, Password: {{password}}</p>`,
+        }, client);
+      }
+
+      if (this.provisionRouter) {
+        const profile = voucher.profile_id
+          ? await client.query('SELECT name FROM hotspot_profiles WHERE id = $1', [voucher.profile_id])
+          : { rows: [] };
+
+        await this.mikrotik.createUser({
+          name: username,
+          password,
+          profile: profile.rows[0] ? profile.rows[0].name : undefined,
+          'limit-bytes-out': voucher.bandwidth * 1024 * 1024 * 1024,
+          'limit-uptime': voucher.days * 24 * 60 * 60,
+        });
+        routerUser = username;
+      }
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Voucher ${voucher.code} redeemed by ${username}`);
+      this.emit('voucher:redeemed', { voucher, user });
+      return user;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      if (routerUser) {
+        await this.compensateRouterUser(routerUser);
+      }
+
+      // Lost the race for the username to a concurrent signup
+      if (error.code === '23505' && error.constraint === 'hotspot_users_username_key') {
+        throw new RedemptionError('Username already taken', 409);
+      }
+
+      if (!(error instanceof RedemptionError)) {
+        this.logger.error('Error redeeming voucher:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Redeem voucher `code` onto an existing account: extends the expiry from now (or
+   * from the current expiry if still valid) and takes over the voucher's limits
+   */
+  async topUp({ code, hotspotUserId }) {
+    if (!code || !hotspotUserId) {
+      throw new RedemptionError('Voucher code and account are required');
+    }
+
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const voucherResult = await client.query(
+        'SELECT * FROM vouchers WHERE code = $1 FOR UPDATE',
+        [code]
+      );
+      const voucher = voucherResult.rows[0];
+
+      if (!voucher || voucher.status !== 'active') {
+        throw new RedemptionError('Invalid voucher');
+      }
+
+      const userResult = await client.query(
+        `UPDATE hotspot_users
+         SET expiry_date = GREATEST(COALESCE(expiry_date, NOW()), NOW()) + ($2 || ' days')::interval,
+             bandwidth_limit = COALESCE($3, bandwidth_limit),
+             bandwidth_used = CASE WHEN $3 IS NULL THEN bandwidth_used ELSE 0 END,
+             voucher_id = $4,
+             fup_policy_id = COALESCE($5, fup_policy_id),
+             profile_id = COALESCE($6, profile_id),
+             status = 'active',
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [hotspotUserId, voucher.days, voucher.bandwidth, voucher.id, voucher.fup_policy_id, voucher.profile_id]
+      );
+      const user = userResult.rows[0];
+      if (!user) {
+        throw new RedemptionError('Account not found', 404);
+      }
+
+      await client.query(
+        'UPDATE vouchers SET status = $1, redeemed_at = NOW() WHERE id = $2',
+        ['redeemed', voucher.id]
+      );
+
+      if (this.provisionRouter) {
+        const profile = voucher.profile_id
+          ? await client.query('SELECT name FROM hotspot_profiles WHERE id = $1', [voucher.profile_id])
+          : { rows: [] };
+
+        await this.mikrotik.updateUser(user.username, {
+          profile: profile.rows[0] ? profile.rows[0].name : undefined,
+          'limit-bytes-out': user.bandwidth_limit ? user.bandwidth_limit * 1024 * 1024 * 1024 : undefined,
+          'limit-uptime': Math.floor((new Date(user.expiry_date).getTime() - Date.now()) / 1000),
+        });
+      }
+
+      await client.query('COMMIT');
+
+      this.logger.info(`Voucher ${voucher.code} topped up ${user.username}`);
+      this.emit('voucher:redeemed', { voucher, user, topUp: true });
+      return user;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      if (!(error instanceof RedemptionError)) {
+        this.logger.error('Error topping up account:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Undo router provisioning after a failed commit
+   */
+  async compensateRouterUser(username) {
+    try {
+      await this.mikrotik.deleteUser(username);
+      this.logger.warn(`Rolled back router user ${username} after failed redemption`);
+    } catch (error) {
+      // Leaves an orphan on the router; surface it for manual cleanup
+      this.logger.error(`Failed to roll back router user ${username}:`, error);
+      this.emit('compensation:failed', { username, error });
+    }
+  }
+}
+
+module.exports = VoucherRedemptionService;
+module.exports.RedemptionError = RedemptionError;
@@ -0,0 +1,460 @@
+// backend/services/walledGardenService.js
+const EventEmitter = require('events');
+const { getRouterTargets } = require('./routerTargets');
+
+const PATHS = {
+  host: '/ip/hotspot/walled-garden',
+  ip: '/ip/hotspot/walled-garden/ip',
+};
+
+// Router entries we own carry this tag in their comment; anything else is left alone
+const MANAGED_TAG = /^hm:(\d+)\b/;
+
+/**
+ * Hostname presets for services customers must reach before logging in. `hosts` go to
+ * the walled garden, which only sees plain HTTP requests; HTTPS is let through by
+ * walled-garden/ip entries, so `ipHosts` are the exact hostnames the pages load over
+ * HTTPS (the router resolves them; wildcards cannot be resolved).
+ */
+const PRESETS = {
+  stripe: {
+    label: 'Stripe',
+    // Checkout pages also load hCaptcha
+    hosts: ['stripe.com', '*.stripe.com', '*.stripe.network', '*.stripecdn.com', 'hcaptcha.com', '*.hcaptcha.com'],
+    ipHosts: [
+      'stripe.com', 'checkout.stripe.com', 'js.stripe.com', 'api.stripe.com', 'm.stripe.com', 'q.stripe.com',
+      'm.stripe.network', 'b.stripecdn.com', 'hcaptcha.com', 'api.hcaptcha.com', 'newassets.hcaptcha.com',
+    ],
+  },
+  bkash: {
+    label: 'bKash',
+    hosts: ['*.bka.sh', '*.bkash.com', '*.pay.bka.sh'],
+    ipHosts: [
+      'tokenized.pay.bka.sh', 'tokenized.sandbox.bka.sh', 'payment.bkash.com', 'sandbox.payment.bkash.com',
+    ],
+  },
+  nagad: {
+    label: 'Nagad',
+    hosts: ['*.mynagad.com'],
+    ipHosts: ['api.mynagad.com', 'sandbox.mynagad.com', 'sandbox-ssl.mynagad.com'],
+  },
+  sslcommerz: {
+    label: 'SSLCommerz',
+    hosts: ['*.sslcommerz.com'],
+    ipHosts: ['securepay.sslcommerz.com', 'sandbox.sslcommerz.com', 'seamless-epay.sslcommerz.com'],
+  },
+};
+
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Walled Garden Service
+ * Hosts and addresses reachable before hotspot login (payment gateways, support site,
+ * captive portal). Global entries go to every router, site entries only to that site.
+ * Compares the DB with each router to report drift and pushes the difference.
+ */
+class WalledGardenService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.mikrotikManager = config.mikrotikManager || null;
+    this.multiSiteManager = config.multiSiteManager || null;
+    this.portalURL = config.portalURL || process.env.PORTAL_URL || null;
+    this.supportURL = config.supportURL || process.env.SUPPORT_URL || null;
+    // Gateways send the customer back here (payment service return URLs) before login
+    this.paymentURL = config.paymentURL || null;
+    // More presets from other services, e.g. social login providers: [{ name, label, hosts }]
+    this.extraPresets = config.extraPresets || [];
+  }
+
+  /**
+   * ==================== ENTRIES ====================
+   */
+
+  /**
+   * Create entry
+   * { type: 'host' | 'ip', dstHost: '*.stripe.com', dstAddress, dstPort, protocol,
+   *   action: 'allow' | 'deny', siteId (omit for global), comment }
+   */
+  async createEntry(entryData) {
+    try {
+      const entry = this.normalizeEntry(entryData);
+
+      const result = await this.db.query(
+        `INSERT INTO walled_garden_entries (
+          site_id, entry_type, dst_host, dst_address, dst_port, protocol,
+          action, preset, comment, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', NOW())
+        RETURNING *`,
+        [
+          entry.siteId,
+          entry.type,
+          entry.dstHost,
+          entry.dstAddress,
+          entry.dstPort,
+          entry.protocol,
+          entry.action,
+          entry.preset,
+          entry.comment,
+        ]
+      );
+
+      this.emit('entry:created', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error creating walled garden entry:', error);
+      throw error;
+    }
+  }
+
+  async updateEntry(entryId, updates) {
+    try {
+      const fields = {
+        dst_host: updates.dstHost,
+        dst_address: updates.dstAddress,
+        dst_port: updates.dstPort,
+        protocol: updates.protocol,
+        action: updates.action,
+        comment: updates.comment,
+        status: updates.status,
+      };
+
+      if (updates.action !== undefined && !['allow', 'deny'].includes(updates.action)) {
+        throw new Error('Action must be allow or deny');
+      }
+
+      const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+      const result = await this.db.query(
+        `UPDATE walled_garden_entries
+         SET ${entries.map(([key], i) => `${key} = $${i + 2}`).join(', ')}${entries.length ? ',' : ''} updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [entryId, ...entries.map(([, value]) => (value === '' ? null : value))]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Walled garden entry not found');
+      }
+
+      this.emit('entry:updated', result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      this.logger.error('Error updating walled garden entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete entry. Routers still holding it show it as drift until the next sync.
+   */
+  async deleteEntry(entryId) {
+    try {
+      await this.db.query('DELETE FROM walled_garden_entries WHERE id = $1', [entryId]);
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Error deleting walled garden entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List entries: all, global only (siteId = 'global') or global + one site
+   */
+  async getEntries(siteId = null) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM walled_garden_entries
+         WHERE ($1::text IS NULL
+           OR ($1 = 'global' AND site_id IS NULL)
+           OR ($1 <> 'global' AND (site_id IS NULL OR site_id::text = $1)))
+         ORDER BY site_id NULLS FIRST, entry_type, id`,
+        [siteId === null || siteId === undefined ? null : String(siteId)]
+      );
+      return result.rows;
+    } catch (error) {
+      this.logger.error('Error getting walled garden entries:', error);
+      throw error;
+    }
+  }
+
+  normalizeEntry(entryData) {
+    const type = entryData.type || (entryData.dstAddress ? 'ip' : 'host');
+    const action = entryData.action || 'allow';
+
+    if (!PATHS[type]) {
+      throw new Error('Type must be host or ip');
+    }
+    if (type === 'host' && !entryData.dstHost) {
+      throw new Error('dstHost is required for host entries');
+    }
+    if (type === 'ip' && !entryData.dstAddress && !entryData.dstHost) {
+      throw new Error('dstAddress or dstHost is required for ip entries');
+    }
+    if (!['allow', 'deny'].includes(action)) {
+      throw new Error('Action must be allow or deny');
+    }
+
+    return {
+      type,
+      action,
+      siteId: entryData.siteId || null,
+      dstHost: entryData.dstHost || null,
+      dstAddress: entryData.dstAddress || null,
+      dstPort: entryData.dstPort ? String(entryData.dstPort) : null,
+      protocol: entryData.protocol || null,
+      preset: entryData.preset || null,
+      comment: entryData.comment || null,
+    };
+  }
+
+  /**
+   * ==================== PRESETS ====================
+   */
+
+  /**
+   * Payment gateway presets plus the captive portal, payment service and support site
+   * from config. A preset without ipHosts opens HTTPS to its exact (non-wildcard) hosts.
+   */
+  getPresets() {
+    const presets = Object.entries(PRESETS).map(([name, preset]) => ({ name, ...preset }));
+    presets.push(...this.extraPresets);
+
+    const portalHost = this.portalURL && hostnameOf(this.portalURL);
+    if (portalHost) {
+      presets.push({ name: 'portal', label: 'Captive portal', hosts: [portalHost] });
+    }
+
+    const paymentHost = this.paymentURL && hostnameOf(this.paymentURL);
+    if (paymentHost) {
+      presets.push({ name: 'payments', label: 'Payment service', hosts: [paymentHost] });
+    }
+
+    const supportHost = this.supportURL && hostnameOf(this.supportURL);
+    if (supportHost) {
+      presets.push({ name: 'support', label: 'Support site', hosts: [supportHost] });
+    }
+
+    return presets.map((preset) => ({
+      ...preset,
+      ipHosts: preset.ipHosts || preset.hosts.filter((host) => !host.includes('*')),
+    }));
+  }
+
+  /**
+   * Add a preset's hosts (walled garden) and ipHosts (walled-garden/ip, by dst-host or
+   * dst-address for an IP) to the global set or a site's set, skipping those already there
+   */
+  async applyPreset(presetName, siteId = null) {
+    try {
+      const preset = this.getPresets().find((p) => p.name === presetName);
+      if (!preset) {
+        throw new Error(`Unknown preset: ${presetName}`);
+      }
+
+      const wanted = [
+        ...preset.hosts.map((host) => ({ type: 'host', dstHost: host })),
+        ...preset.ipHosts.map((host) => (IPV4.test(host)
+          ? { type: 'ip', dstAddress: host }
+          : { type: 'ip', dstHost: host })),
+      ];
+
+      const existing = await this.db.query(
+        `SELECT entry_type, COALESCE(dst_host, dst_address) AS target FROM walled_garden_entries
+         WHERE site_id IS NOT DISTINCT FROM $1 AND COALESCE(dst_host, dst_address) = ANY($2)`,
+        [siteId || null, [...preset.hosts, ...preset.ipHosts]]
+      );
+      const present = new Set(existing.rows.map((row) => `${row.entry_type}:${row.target}`));
+      const targetOf = (entry) => `${entry.type}:${entry.dstHost || entry.dstAddress}`;
+
+      const created = [];
+      for (const entry of wanted.filter((e) => !present.has(targetOf(e)))) {
+        created.push(await this.createEntry({
+          ...entry,
+          action: 'allow',
+          siteId,
+          preset: preset.name,
+          comment: preset.label,
+        }));
+      }
+
+      this.logger.info(`Applied walled garden preset ${preset.name}: ${created.length} entries added`);
+      return { preset: preset.name, created, skipped: [...present] };
+    } catch (error) {
+      this.logger.error('Error applying walled garden preset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== ROUTER SYNC ====================
+   */
+
+  /**
+   * Map an entry row onto walled-garden (host) or walled-garden/ip properties
+   */
+  toRouterEntry(entry) {
+    const comment = `hm:${entry.id}${entry.comment ? ` ${entry.comment}` : ''}`;
+    const properties = entry.entry_type === 'ip'
+      ? {
+        'dst-address': entry.dst_address,
+        'dst-host': entry.dst_host,
+        'dst-port': entry.dst_port,
+        protocol: entry.protocol,
+        action: entry.action === 'deny' ? 'reject' : 'accept',
+        comment,
+      }
+      : {
+        'dst-host': entry.dst_host,
+        'dst-port': entry.dst_port,
+        action: entry.action,
+        comment,
+      };
+
+    return Object.fromEntries(
+      Object.entries(properties).filter(([, value]) => value !== null && value !== undefined)
+    );
+  }
+
+  /**
+   * Compare the desired entries with one router's walled garden
+   */
+  async diffRouter(router, entries) {
+    const desired = entries.filter(
+      (entry) => entry.status === 'active' && (entry.site_id === null || entry.site_id === router.siteId)
+    );
+
+    const drift = { missing: [], changed: [], extra: [], unmanaged: [] };
+    const seen = new Set();
+
+    for (const type of Object.keys(PATHS)) {
+      const routerEntries = (await router.print(PATHS[type])) || [];
+
+      routerEntries.forEach((routerEntry) => {
+        const match = MANAGED_TAG.exec(routerEntry.comment || '');
+        if (!match) {
+          drift.unmanaged.push({ type, routerEntry });
+          return;
+        }
+
+        const entry = desired.find((e) => e.id === parseInt(match[1], 10) && e.entry_type === type);
+        if (!entry || seen.has(entry.id)) {
+          drift.extra.push({ type, routerEntry });
+          return;
+        }
+        seen.add(entry.id);
+
+        const wanted = this.toRouterEntry(entry);
+        const changes = Object.fromEntries(
+          Object.entries(wanted).filter(([key, value]) => String(routerEntry[key] || '') !== String(value))
+        );
+        if (Object.keys(changes).length > 0) {
+          drift.changed.push({ type, entry, routerEntry, changes });
+        }
+      });
+    }
+
+    desired
+      .filter((entry) => !seen.has(entry.id))
+      .forEach((entry) => drift.missing.push({ type: entry.entry_type, entry }));
+
+    return drift;
+  }
+
+  async getRouters(siteId) {
+    return getRouterTargets(
+      this.db,
+      { mikrotikManager: this.mikrotikManager, multiSiteManager: this.multiSiteManager },
+      siteId
+    );
+  }
+
+  /**
+   * Drift report for every router (or one site)
+   */
+  async getDrift(siteId = null) {
+    try {
+      const [entriesResult, routers] = await Promise.all([
+        this.db.query('SELECT * FROM walled_garden_entries ORDER BY id'),
+        this.getRouters(siteId),
+      ]);
+
+      const reports = [];
+      for (const router of routers) {
+        try {
+          const drift = await this.diffRouter(router, entriesResult.rows);
+          reports.push({
+            router: router.name,
+            siteId: router.siteId,
+            inSync: !drift.missing.length && !drift.changed.length && !drift.extra.length,
+            ...drift,
+          });
+        } catch (error) {
+          reports.push({ router: router.name, siteId: router.siteId, error: error.message });
+        }
+      }
+
+      return reports;
+    } catch (error) {
+      this.logger.error('Error checking walled garden drift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push the DB state to every router (or one site): add missing, fix changed,
+   * remove managed entries no longer in the DB. Unmanaged entries are never touched.
+   */
+  async sync(siteId = null) {
+    try {
+      const [entriesResult, routers] = await Promise.all([
+        this.db.query('SELECT * FROM walled_garden_entries ORDER BY id'),
+        this.getRouters(siteId),
+      ]);
+
+      const reports = [];
+      for (const router of routers) {
+        const report = { router: router.name, siteId: router.siteId, added: 0, updated: 0, removed: 0 };
+
+        try {
+          const drift = await this.diffRouter(router, entriesResult.rows);
+
+          for (const { type, entry } of drift.missing) {
+            await router.add(PATHS[type], this.toRouterEntry(entry));
+            report.added += 1;
+          }
+          for (const { type, routerEntry, changes } of drift.changed) {
+            await router.set(PATHS[type], routerEntry['.id'], changes);
+            report.updated += 1;
+          }
+          for (const { type, routerEntry } of drift.extra) {
+            await router.remove(PATHS[type], routerEntry['.id']);
+            report.removed += 1;
+          }
+        } catch (error) {
+          this.logger.error(`Error syncing walled garden to ${router.name}:`, error);
+          report.error = error.message;
+        }
+
+        reports.push(report);
+      }
+
+      this.emit('walledGarden:synced', reports);
+      return { synced: reports.every((r) => !r.error), routers: reports };
+    } catch (error) {
+      this.logger.error('Error syncing walled garden:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WalledGardenService;
+module.exports.PRESETS = PRESETS;
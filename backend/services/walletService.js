@@ -0,0 +1,782 @@
+// backend/services/walletService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Wallet error with the HTTP status to answer with
+ */
+class WalletError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WalletError';
+    this.status = status;
+  }
+}
+
+const OWNER_TYPES = ['hotspot_user', 'reseller', 'affiliate', 'system'];
+
+// Where money enters and leaves the wallets; these may run negative
+const SYSTEM_ACCOUNTS = {
+  GATEWAY: 'gateway',         // paid in through a payment gateway (top-ups, refunds)
+  SALES: 'sales',             // plans and vouchers bought from a wallet
+  COMMISSIONS: 'commissions', // reseller and affiliate commissions earned
+  PAYOUTS: 'payouts',         // commission balances paid out
+  ADJUSTMENTS: 'adjustments', // manual corrections by an admin
+};
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Wallet Service
+ * Prepaid balances for hotspot users, resellers and affiliates, kept as a double-entry
+ * ledger: every movement is a journal entry whose postings sum to zero across the
+ * accounts involved, so the system accounts show where each amount came from and
+ * went. Accounts are locked in id order while posting, and an entry's idempotency key
+ * makes a retried top-up, purchase or commission post only once. Holds set money
+ * aside (a requested payout) until they are captured into an entry or released.
+ */
+class WalletService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.paymentServiceURL = config.paymentServiceURL || process.env.PAYMENT_SERVICE_URL;
+    this.internalToken = config.internalToken || process.env.INTERNAL_API_TOKEN;
+    this.portalURL = (config.portalURL || process.env.PORTAL_URL || '').replace(/\/$/, '');
+    this.defaultCurrency = (config.defaultCurrency || 'USD').toUpperCase();
+    this.minTopUp = config.minTopUp || 1;
+    this.pollInterval = config.pollInterval || 60000;
+
+    this.timer = null;
+  }
+
+  /**
+   * Run `fn` in the caller's transaction, or in a new one without a client
+   */
+  async inTransaction(client, fn) {
+    if (client) return fn(client);
+
+    const own = await this.db.connect();
+    try {
+      await own.query('BEGIN');
+      const result = await fn(own);
+      await own.query('COMMIT');
+      return result;
+    } catch (error) {
+      await own.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      own.release();
+    }
+  }
+
+  /**
+   * ==================== ACCOUNTS ====================
+   */
+
+  /**
+   * The owner's account in a currency, opened on first use
+   */
+  async getOrCreateAccount(client, ownerType, ownerId, currency, code = 'main') {
+    if (!OWNER_TYPES.includes(ownerType)) {
+      throw new WalletError(`Unknown account owner: ${ownerType}`);
+    }
+    const db = client || this.db;
+    const currencyCode = (currency || this.defaultCurrency).toUpperCase();
+    const owner = ownerType === 'system' ? null : parseInt(ownerId, 10);
+
+    await db.query(
+      `INSERT INTO wallet_accounts (owner_type, owner_id, code, currency, allow_negative, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (owner_type, (COALESCE(owner_id, 0)), code, currency) DO NOTHING`,
+      [ownerType, owner, code, currencyCode, ownerType === 'system']
+    );
+    const result = await db.query(
+      `SELECT * FROM wallet_accounts
+       WHERE owner_type = $1 AND COALESCE(owner_id, 0) = COALESCE($2::int, 0) AND code = $3 AND currency = $4`,
+      [ownerType, owner, code, currencyCode]
+    );
+    return result.rows[0];
+  }
+
+  async systemAccount(client, code, currency) {
+    return this.getOrCreateAccount(client, 'system', null, currency, code);
+  }
+
+  async getAccount(accountId) {
+    const result = await this.db.query('SELECT * FROM wallet_accounts WHERE id = $1', [accountId]);
+    if (!result.rows[0]) {
+      throw new WalletError('Wallet account not found', 404);
+    }
+    return this.describeAccount(result.rows[0]);
+  }
+
+  /**
+   * Accounts, largest balance first (?ownerType, ?ownerId, ?currency, ?limit, ?offset)
+   */
+  async getAccounts({ ownerType, ownerId, currency, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (ownerType) {
+      params.push(ownerType);
+      conditions.push(`owner_type = $${params.length}`);
+    }
+    if (ownerId) {
+      params.push(parseInt(ownerId, 10));
+      conditions.push(`owner_id = $${params.length}`);
+    }
+    if (currency) {
+      params.push(currency.toUpperCase());
+      conditions.push(`currency = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0);
+
+    const result = await this.db.query(
+      `SELECT a.*, hu.username
+       FROM wallet_accounts a
+       LEFT JOIN hotspot_users hu ON a.owner_type = 'hotspot_user' AND hu.id = a.owner_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.owner_type = 'system', ABS(a.balance) DESC, a.id ASC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows.map((account) => this.describeAccount(account));
+  }
+
+  /**
+   * An owner's balances, one per currency: [{ accountId, currency, balance, held, available }]
+   */
+  async getBalances(ownerType, ownerId) {
+    const accounts = await this.getAccounts({ ownerType, ownerId });
+    return accounts.map(({ id, currency, balance, held, available }) => ({
+      accountId: id, currency, balance, held, available,
+    }));
+  }
+
+  describeAccount(account) {
+    return {
+      ...account,
+      balance: Number(account.balance),
+      held: Number(account.held),
+      available: fromCents(toCents(account.balance) - toCents(account.held)),
+    };
+  }
+
+  /**
+   * Postings on an account, newest first, with the entry each belongs to
+   * (?from, ?to, ?limit, ?offset)
+   */
+  async getStatement(accountId, { from, to, limit = 50, offset = 0 } = {}) {
+    const account = await this.getAccount(accountId);
+    const params = [accountId];
+    const conditions = ['p.account_id = $1'];
+    if (from) {
+      params.push(from);
+      conditions.push(`p.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`p.created_at < $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 50, 500), parseInt(offset, 10) || 0);
+
+    const result = await this.db.query(
+      `SELECT p.id, p.entry_id, p.amount, p.balance_after, p.created_at,
+              e.type, e.description, e.reference_type, e.reference_id
+       FROM wallet_postings p
+       JOIN wallet_journal_entries e ON e.id = p.entry_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY p.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      account,
+      postings: result.rows.map((posting) => ({
+        ...posting,
+        amount: Number(posting.amount),
+        balance_after: Number(posting.balance_after),
+      })),
+    };
+  }
+
+  /**
+   * A journal entry with all of its postings
+   */
+  async getEntry(entryId) {
+    const entry = await this.db.query('SELECT * FROM wallet_journal_entries WHERE id = $1', [entryId]);
+    if (!entry.rows[0]) {
+      throw new WalletError('Journal entry not found', 404);
+    }
+    const postings = await this.db.query(
+      `SELECT p.*, a.owner_type, a.owner_id, a.code
+       FROM wallet_postings p
+       JOIN wallet_accounts a ON a.id = p.account_id
+       WHERE p.entry_id = $1
+       ORDER BY p.amount ASC, p.id ASC`,
+      [entryId]
+    );
+    return { ...entry.rows[0], postings: postings.rows };
+  }
+
+  /**
+   * ==================== POSTING ====================
+   */
+
+  /**
+   * Record a journal entry { type, description, currency, postings: [{ accountId, amount }],
+   * referenceType, referenceId, idempotencyKey, reversesEntryId, createdBy, allowOverdraft }.
+   * Postings must sum to zero; a debit may not take an account below what it has
+   * available unless the account (a system one) or the entry allows it. An entry
+   * with an idempotency key that was already posted is returned as it is.
+   */
+  async post(client, entry) {
+    return this.inTransaction(client, async (db) => {
+      if (entry.idempotencyKey) {
+        const existing = await db.query(
+          'SELECT * FROM wallet_journal_entries WHERE idempotency_key = $1',
+          [entry.idempotencyKey]
+        );
+        if (existing.rows[0]) return { ...existing.rows[0], duplicate: true };
+      }
+
+      const postings = entry.postings
+        .map((posting) => ({ accountId: parseInt(posting.accountId, 10), cents: toCents(posting.amount) }))
+        .filter((posting) => posting.cents !== 0);
+      if (postings.length < 2) {
+        throw new WalletError('A journal entry needs at least two postings');
+      }
+      if (postings.some((posting) => !Number.isFinite(posting.cents))) {
+        throw new WalletError('Posting amounts must be numbers');
+      }
+      if (postings.reduce((sum, posting) => sum + posting.cents, 0) !== 0) {
+        throw new WalletError('Journal entry postings must sum to zero');
+      }
+
+      // Lock in id order so concurrent entries over the same accounts cannot deadlock
+      const accountIds = [...new Set(postings.map((posting) => posting.accountId))].sort((a, b) => a - b);
+      const locked = await db.query(
+        'SELECT * FROM wallet_accounts WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [accountIds]
+      );
+      const accounts = new Map(locked.rows.map((account) => [account.id, account]));
+      const currency = (entry.currency || locked.rows[0]?.currency || '').toUpperCase();
+
+      for (const accountId of accountIds) {
+        const account = accounts.get(accountId);
+        if (!account) {
+          throw new WalletError(`Wallet account ${accountId} not found`, 404);
+        }
+        if (account.currency !== currency) {
+          throw new WalletError(`Wallet account ${accountId} is in ${account.currency}, not ${currency}`);
+        }
+        if (account.status !== 'active') {
+          throw new WalletError(`Wallet account ${accountId} is ${account.status}`, 409);
+        }
+
+        const change = postings
+          .filter((posting) => posting.accountId === accountId)
+          .reduce((sum, posting) => sum + posting.cents, 0);
+        const available = toCents(account.balance) - toCents(account.held);
+        if (change < 0 && available + change < 0 && !account.allow_negative && !entry.allowOverdraft) {
+          throw new WalletError(
+            `Insufficient balance: ${fromCents(Math.max(available, 0)).toFixed(2)} ${currency} available`,
+            402
+          );
+        }
+      }
+
+      const total = postings.filter((posting) => posting.cents > 0).reduce((sum, posting) => sum + posting.cents, 0);
+      const inserted = await db.query(
+        `INSERT INTO wallet_journal_entries (
+          type, description, currency, amount, reference_type, reference_id, idempotency_key,
+          reverses_entry_id, created_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        RETURNING *`,
+        [
+          entry.type, entry.description || null, currency, fromCents(total),
+          entry.referenceType || null, entry.referenceId !== undefined && entry.referenceId !== null ? String(entry.referenceId) : null,
+          entry.idempotencyKey || null, entry.reversesEntryId || null, entry.createdBy || null,
+        ]
+      );
+      const journalEntry = inserted.rows[0];
+
+      const recorded = [];
+      for (const posting of postings) {
+        const updated = await db.query(
+          'UPDATE wallet_accounts SET balance = balance + $2, updated_at = NOW() WHERE id = $1 RETURNING balance',
+          [posting.accountId, fromCents(posting.cents)]
+        );
+        const row = await db.query(
+          `INSERT INTO wallet_postings (entry_id, account_id, amount, balance_after, created_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           RETURNING *`,
+          [journalEntry.id, posting.accountId, fromCents(posting.cents), updated.rows[0].balance]
+        );
+        recorded.push(row.rows[0]);
+      }
+
+      this.emit('entry:posted', { entry: journalEntry, postings: recorded });
+      return { ...journalEntry, postings: recorded };
+    });
+  }
+
+  /**
+   * Move `amount` from one account to another as a single entry
+   */
+  async transfer(client, { fromAccountId, toAccountId, amount, ...entry }) {
+    if (!(toCents(amount) > 0)) {
+      throw new WalletError('Amount must be positive');
+    }
+    return this.post(client, {
+      ...entry,
+      postings: [
+        { accountId: fromAccountId, amount: -Number(amount) },
+        { accountId: toAccountId, amount: Number(amount) },
+      ],
+    });
+  }
+
+  /**
+   * Pay for something from an owner's wallet { ownerType, ownerId, amount, currency,
+   * description, referenceType, referenceId, idempotencyKey }. Meant to run inside
+   * the caller's transaction so the debit and what it buys commit together.
+   */
+  async debit(client, { ownerType, ownerId, amount, currency, ...entry }) {
+    const account = await this.getOrCreateAccount(client, ownerType, ownerId, currency);
+    const sales = await this.systemAccount(client, SYSTEM_ACCOUNTS.SALES, account.currency);
+    return this.transfer(client, {
+      type: 'purchase',
+      ...entry,
+      currency: account.currency,
+      fromAccountId: account.id,
+      toAccountId: sales.id,
+      amount,
+    });
+  }
+
+  /**
+   * Commission earned by a reseller or affiliate { ownerType, ownerId, amount, currency,
+   * description, referenceType, referenceId }; posted once per reference
+   */
+  async creditCommission(client, { ownerType, ownerId, amount, currency, referenceType, referenceId, ...entry }) {
+    if (!referenceType || referenceId === undefined || referenceId === null) {
+      throw new WalletError('A reference is required');
+    }
+    const account = await this.getOrCreateAccount(client, ownerType, ownerId, currency);
+    const commissions = await this.systemAccount(client, SYSTEM_ACCOUNTS.COMMISSIONS, account.currency);
+    return this.transfer(client, {
+      type: 'commission',
+      ...entry,
+      currency: account.currency,
+      fromAccountId: commissions.id,
+      toAccountId: account.id,
+      amount,
+      referenceType,
+      referenceId,
+      idempotencyKey: `${referenceType}:${referenceId}:commission`,
+    });
+  }
+
+  /**
+   * Earnings paid out of a reseller's or affiliate's wallet { ownerType, ownerId, amount,
+   * currency, holdId, description, referenceType, referenceId }; posted once per reference.
+   * With `holdId` the money set aside for the payout is captured. The money has left
+   * by the time this is called, so a payout larger than the balance is still recorded.
+   */
+  async payout(client, { ownerType, ownerId, amount, currency, holdId, referenceType, referenceId, ...entry }) {
+    if (!referenceType || referenceId === undefined || referenceId === null) {
+      throw new WalletError('A reference is required');
+    }
+    const account = await this.getOrCreateAccount(client, ownerType, ownerId, currency);
+    const payouts = await this.systemAccount(client, SYSTEM_ACCOUNTS.PAYOUTS, account.currency);
+    const payoutEntry = {
+      type: 'payout',
+      ...entry,
+      currency: account.currency,
+      referenceType,
+      referenceId,
+      idempotencyKey: `${referenceType}:${referenceId}:payout`,
+    };
+
+    if (holdId) {
+      const { entry: posted } = await this.captureHold(client, holdId, { ...payoutEntry, toAccountId: payouts.id });
+      return posted;
+    }
+    return this.transfer(client, {
+      ...payoutEntry,
+      fromAccountId: account.id,
+      toAccountId: payouts.id,
+      amount,
+      allowOverdraft: true,
+    });
+  }
+
+  /**
+   * Manual credit (positive) or debit (negative) against the adjustments account
+   */
+  async adjust(accountId, { amount, description }, adminId) {
+    if (!toCents(amount)) {
+      throw new WalletError('Amount is required');
+    }
+    if (!description) {
+      throw new WalletError('A reason is required for an adjustment');
+    }
+
+    const account = await this.getAccount(accountId);
+    return this.inTransaction(null, async (client) => {
+      const adjustments = await this.systemAccount(client, SYSTEM_ACCOUNTS.ADJUSTMENTS, account.currency);
+      const entry = await this.post(client, {
+        type: 'adjustment',
+        description,
+        currency: account.currency,
+        createdBy: adminId,
+        postings: [
+          { accountId: adjustments.id, amount: -Number(amount) },
+          { accountId: account.id, amount: Number(amount) },
+        ],
+      });
+      this.logger.info(`Wallet account ${account.id} adjusted by ${amount} ${account.currency}: ${description}`);
+      return entry;
+    });
+  }
+
+  /**
+   * ==================== TOP-UPS ====================
+   */
+
+  /**
+   * Store a top-up and open a hosted checkout for it through the payment service
+   * { ownerType, ownerId, amount, currency, email, phone, siteId, successUrl, cancelUrl }
+   * -> { topupId, checkoutUrl, provider }
+   */
+  async createTopUp({ ownerType, ownerId, amount, currency, email, phone, siteId, successUrl, cancelUrl }, requestedBy = null) {
+    const value = Number(amount);
+    if (!(toCents(value) >= toCents(this.minTopUp))) {
+      throw new WalletError(`The minimum top-up is ${this.minTopUp}`);
+    }
+
+    const account = await this.getOrCreateAccount(null, ownerType, ownerId, currency);
+    const topupId = crypto.randomUUID();
+
+    await this.db.query(
+      `INSERT INTO wallet_topups (id, account_id, amount, currency, status, requested_by, created_at)
+       VALUES ($1, $2, $3, $4, 'pending', $5, NOW())`,
+      [topupId, account.id, value, account.currency, requestedBy]
+    );
+
+    try {
+      const returnURL = successUrl || `${this.portalURL}/?${new URLSearchParams({ topup: topupId })}`;
+      const response = await axios.post(
+        `${this.paymentServiceURL}/api/payment/wallet-topup`,
+        {
+          topupId,
+          amount: value,
+          currency: account.currency,
+          description: 'Wallet top-up',
+          email,
+          phone,
+          siteId: siteId || null,
+          resellerId: ownerType === 'reseller' ? account.owner_id : null,
+          successUrl: returnURL,
+          cancelUrl: cancelUrl || `${returnURL}${returnURL.includes('?') ? '&' : '?'}cancelled=1`,
+        },
+        { headers: { 'X-Internal-Token': this.internalToken }, timeout: 15000 }
+      );
+
+      await this.db.query(
+        'UPDATE wallet_topups SET checkout_session_id = $1, payment_provider = $2 WHERE id = $3',
+        [response.data.sessionId, response.data.provider, topupId]
+      );
+
+      this.logger.info(`Wallet top-up ${topupId} of ${value} ${account.currency} for account ${account.id} via ${response.data.provider}`);
+      return { topupId, checkoutUrl: response.data.checkoutUrl, provider: response.data.provider };
+    } catch (error) {
+      this.logger.error('Error creating wallet top-up:', error.response?.data || error);
+      await this.db.query(
+        `UPDATE wallet_topups SET status = 'failed', error = $1 WHERE id = $2 AND status = 'pending'`,
+        [error.message, topupId]
+      ).catch(() => {});
+      throw new WalletError('Could not start the top-up, please try again', 502);
+    }
+  }
+
+  async getTopUp(topupId) {
+    const result = await this.db.query(
+      `SELECT t.*, a.owner_type, a.owner_id
+       FROM wallet_topups t
+       JOIN wallet_accounts a ON a.id = t.account_id
+       WHERE t.id = $1`,
+      [topupId]
+    );
+    if (!result.rows[0]) {
+      throw new WalletError('Top-up not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Payment confirmed (called from the payment webhook): credit the wallet from the
+   * gateway account. Safe to call again for the same top-up.
+   */
+  async creditTopUp(topupId, { transactionId, amount, currency } = {}) {
+    const topup = await this.inTransaction(null, async (client) => {
+      const locked = await client.query('SELECT * FROM wallet_topups WHERE id = $1 FOR UPDATE', [topupId]);
+      const row = locked.rows[0];
+      if (!row) {
+        throw new WalletError('Top-up not found', 404);
+      }
+      if (['credited', 'refunded'].includes(row.status)) {
+        return row;
+      }
+      if (amount !== undefined && toCents(amount) !== toCents(row.amount)) {
+        throw new WalletError(`Paid amount ${amount} does not match top-up amount ${row.amount}`, 409);
+      }
+      if (currency && currency.toUpperCase() !== row.currency) {
+        throw new WalletError(`Paid in ${currency}, top-up is in ${row.currency}`, 409);
+      }
+
+      const gateway = await this.systemAccount(client, SYSTEM_ACCOUNTS.GATEWAY, row.currency);
+      const entry = await this.transfer(client, {
+        type: 'topup',
+        description: `Top-up via ${row.payment_provider || 'payment gateway'}`,
+        currency: row.currency,
+        fromAccountId: gateway.id,
+        toAccountId: row.account_id,
+        amount: row.amount,
+        referenceType: 'wallet_topup',
+        referenceId: row.id,
+        idempotencyKey: `wallet_topup:${row.id}`,
+      });
+
+      const updated = await client.query(
+        `UPDATE wallet_topups
+         SET status = 'credited', entry_id = $2, transaction_id = COALESCE($3, transaction_id),
+             credited_at = NOW(), error = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, entry.id, transactionId || null]
+      );
+      this.emit('topup:credited', updated.rows[0]);
+      return updated.rows[0];
+    });
+
+    this.logger.info(`Wallet top-up ${topupId} credited to account ${topup.account_id}`);
+    return topup;
+  }
+
+  /**
+   * Top-up refunded at the gateway: take the amount back out of the wallet, even if
+   * that leaves it negative because it was already spent. Only the first call acts.
+   */
+  async refundTopUp(topupId, { transactionId } = {}) {
+    return this.inTransaction(null, async (client) => {
+      const locked = await client.query('SELECT * FROM wallet_topups WHERE id = $1 FOR UPDATE', [topupId]);
+      const row = locked.rows[0];
+      if (!row) {
+        throw new WalletError('Top-up not found', 404);
+      }
+      if (row.status !== 'credited') {
+        return row;
+      }
+
+      const gateway = await this.systemAccount(client, SYSTEM_ACCOUNTS.GATEWAY, row.currency);
+      await this.transfer(client, {
+        type: 'refund',
+        description: 'Top-up refunded',
+        currency: row.currency,
+        fromAccountId: row.account_id,
+        toAccountId: gateway.id,
+        amount: row.amount,
+        referenceType: 'wallet_topup',
+        referenceId: row.id,
+        idempotencyKey: `wallet_topup:${row.id}:refund`,
+        reversesEntryId: row.entry_id,
+        allowOverdraft: true,
+      });
+
+      const updated = await client.query(
+        `UPDATE wallet_topups SET status = 'refunded', transaction_id = COALESCE($2, transaction_id)
+         WHERE id = $1 RETURNING *`,
+        [row.id, transactionId || null]
+      );
+      this.logger.info(`Wallet top-up ${row.id} refunded from account ${row.account_id}`);
+      this.emit('topup:refunded', updated.rows[0]);
+      return updated.rows[0];
+    });
+  }
+
+  /**
+   * ==================== HOLDS ====================
+   */
+
+  /**
+   * Set money aside on an account { amount, reason, referenceType, referenceId, expiresAt }
+   */
+  async placeHold(client, accountId, { amount, reason, referenceType, referenceId, expiresAt }) {
+    return this.inTransaction(client, async (db) => {
+      const cents = toCents(amount);
+      if (!(cents > 0)) {
+        throw new WalletError('Hold amount must be positive');
+      }
+
+      const locked = await db.query('SELECT * FROM wallet_accounts WHERE id = $1 FOR UPDATE', [accountId]);
+      const account = locked.rows[0];
+      if (!account) {
+        throw new WalletError('Wallet account not found', 404);
+      }
+      const available = toCents(account.balance) - toCents(account.held);
+      if (available < cents && !account.allow_negative) {
+        throw new WalletError(
+          `Insufficient balance: ${fromCents(Math.max(available, 0)).toFixed(2)} ${account.currency} available`,
+          402
+        );
+      }
+
+      await db.query(
+        'UPDATE wallet_accounts SET held = held + $2, updated_at = NOW() WHERE id = $1',
+        [accountId, fromCents(cents)]
+      );
+      const result = await db.query(
+        `INSERT INTO wallet_holds (
+          account_id, amount, reason, reference_type, reference_id, status, expires_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, 'active', $6, NOW())
+        RETURNING *`,
+        [
+          accountId, fromCents(cents), reason || null, referenceType || null,
+          referenceId !== undefined && referenceId !== null ? String(referenceId) : null, expiresAt || null,
+        ]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * The active hold for a reference, e.g. ('reseller_payout', 12)
+   */
+  async findHold(client, referenceType, referenceId) {
+    const result = await (client || this.db).query(
+      `SELECT * FROM wallet_holds
+       WHERE reference_type = $1 AND reference_id = $2 AND status = 'active'
+       ORDER BY id DESC LIMIT 1`,
+      [referenceType, String(referenceId)]
+    );
+    return result.rows[0] || null;
+  }
+
+  async lockHold(client, holdId) {
+    const result = await client.query('SELECT * FROM wallet_holds WHERE id = $1 FOR UPDATE', [holdId]);
+    const hold = result.rows[0];
+    if (!hold) {
+      throw new WalletError('Hold not found', 404);
+    }
+    if (hold.status !== 'active') {
+      throw new WalletError(`Hold is already ${hold.status}`, 409);
+    }
+    await client.query(
+      'UPDATE wallet_accounts SET held = GREATEST(held - $2, 0), updated_at = NOW() WHERE id = $1',
+      [hold.account_id, hold.amount]
+    );
+    return hold;
+  }
+
+  /**
+   * Turn a hold into an entry moving the held amount to `toAccountId`
+   * { toAccountId, type, description, idempotencyKey, createdBy }
+   */
+  async captureHold(client, holdId, { toAccountId, ...entry }) {
+    return this.inTransaction(client, async (db) => {
+      const hold = await this.lockHold(db, holdId);
+      const posted = await this.transfer(db, {
+        type: 'capture',
+        referenceType: hold.reference_type,
+        referenceId: hold.reference_id,
+        ...entry,
+        fromAccountId: hold.account_id,
+        toAccountId,
+        amount: hold.amount,
+      });
+
+      const result = await db.query(
+        `UPDATE wallet_holds SET status = 'captured', entry_id = $2, settled_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [hold.id, posted.id]
+      );
+      return { hold: result.rows[0], entry: posted };
+    });
+  }
+
+  /**
+   * Give held money back to the account's available balance
+   */
+  async releaseHold(client, holdId, status = 'released') {
+    return this.inTransaction(client, async (db) => {
+      const hold = await this.lockHold(db, holdId);
+      const result = await db.query(
+        'UPDATE wallet_holds SET status = $2, settled_at = NOW() WHERE id = $1 RETURNING *',
+        [hold.id, status]
+      );
+      return result.rows[0];
+    });
+  }
+
+  async getHolds(accountId, status = 'active') {
+    const result = await this.db.query(
+      `SELECT * FROM wallet_holds
+       WHERE account_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC`,
+      [accountId, status || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Release holds past their expiry
+   */
+  async expireHolds() {
+    const result = await this.db.query(
+      `SELECT id FROM wallet_holds
+       WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at < NOW()
+       ORDER BY expires_at ASC
+       LIMIT 100`
+    );
+
+    for (const { id } of result.rows) {
+      try {
+        await this.releaseHold(null, id, 'expired');
+      } catch (error) {
+        // Captured or released since it was selected
+        if (error.status !== 409) {
+          this.logger.error(`Error expiring wallet hold ${id}:`, error);
+        }
+      }
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.expireHolds().catch((error) => this.logger.error('Error expiring wallet holds:', error));
+    }, this.pollInterval);
+
+    this.logger.info('Wallet hold expiry started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = WalletService;
+module.exports.WalletError = WalletError;
+module.exports.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
@@ -0,0 +1,75 @@
+// backend/services/webhookEventService.js
+const EventEmitter = require('events');
+const axios = require('axios');
+
+/**
+ * Webhook event error with the HTTP status to answer with
+ */
+class WebhookEventError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.status = status;
+  }
+}
+
+/**
+ * Webhook Event Service
+ * Admin side of the payment service's inbound webhook store: list events by state,
+ * look at one (with the gateway's payload) and replay failed or dead ones.
+ */
+class WebhookEventService extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.paymentServiceURL = config.paymentServiceURL || process.env.PAYMENT_SERVICE_URL;
+    this.internalToken = config.internalToken || process.env.INTERNAL_API_TOKEN;
+  }
+
+  async request(method, path, params) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.paymentServiceURL}/api/payment/webhook-events${path}`,
+        params,
+        headers: { 'X-Internal-Token': this.internalToken },
+        timeout: 30000,
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new WebhookEventError((error.response.data && error.response.data.error) || error.message, error.response.status);
+      }
+      throw new WebhookEventError(`Payment service unavailable: ${error.message}`);
+    }
+  }
+
+  /**
+   * ==================== EVENTS ====================
+   */
+
+  /**
+   * Events, newest first, with counts per status { status, provider, limit, offset }
+   */
+  async getEvents({ status, provider, limit, offset } = {}) {
+    return this.request('get', '', { status, provider, limit, offset });
+  }
+
+  async getEvent(id) {
+    return this.request('get', `/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Run an event through the payment handlers again
+   */
+  async replayEvent(id, replayedBy = null) {
+    const event = await this.request('post', `/${encodeURIComponent(id)}/replay`);
+    this.logger.info(`Webhook event ${id} replayed by user ${replayedBy}: ${event.status}`);
+    this.emit('event:replayed', { event, replayedBy });
+    return event;
+  }
+}
+
+module.exports = WebhookEventService;
+module.exports.WebhookEventError = WebhookEventError;
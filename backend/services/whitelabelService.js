@@ -3,13 +3,16 @@ const EventEmitter = require('events');
 
 /**
  * White-Label Service
- * Manages reseller accounts, branding, and custom configurations
+ * Manages reseller accounts, branding, and custom configurations.
+ * With a wallet service, commissions are credited to the reseller's wallet and
+ * payouts are held on it when requested and debited when completed.
  */
 class WhiteLabelService extends EventEmitter {
   constructor(db, config = {}) {
     super();
     this.db = db;
     this.logger = config.logger || console;
+    this.walletService = config.walletService || null;
   }
 
   /**
@@ -358,6 +361,68 @@ class WhiteLabelService extends EventEmitter {
     }
   }
 
+  /**
+   * Record the commission on a reseller's sale and credit it to their wallet
+   * { transactionType, currency, referenceId: the sale }. Pass the sale's transaction
+   * client to record it atomically with the sale; once per sale.
+   */
+  async recordCommission(resellerId, amount, { transactionType = 'voucher_sale', currency, referenceId } = {}, saleClient = null) {
+    if (referenceId === undefined || referenceId === null) {
+      throw new Error('A sale reference is required');
+    }
+    const { rate, commission } = await this.calculateCommission(resellerId, amount, transactionType);
+    const commissionAmount = Math.round(commission * 100) / 100;
+    const client = saleClient || await this.db.connect();
+
+    try {
+      if (!saleClient) await client.query('BEGIN');
+
+      const existing = await client.query(
+        `SELECT * FROM reseller_commissions
+         WHERE reseller_id = $1 AND transaction_type = $2 AND reference_id = $3`,
+        [resellerId, transactionType, String(referenceId)]
+      );
+      if (existing.rows[0]) {
+        if (!saleClient) await client.query('COMMIT');
+        return existing.rows[0];
+      }
+
+      const result = await client.query(
+        `INSERT INTO reseller_commissions (
+          reseller_id, transaction_type, reference_id, amount, commission_rate, commission_amount, paid_amount, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, 0, NOW())
+        RETURNING *`,
+        [resellerId, transactionType, String(referenceId), amount, rate, commissionAmount]
+      );
+      const record = result.rows[0];
+
+      if (this.walletService && commissionAmount > 0) {
+        await this.walletService.creditCommission(client, {
+          ownerType: 'reseller',
+          ownerId: resellerId,
+          amount: commissionAmount,
+          currency,
+          description: `${rate}% commission on ${transactionType.replace(/_/g, ' ')} ${referenceId}`,
+          referenceType: transactionType,
+          referenceId: String(referenceId),
+        });
+      }
+
+      if (!saleClient) await client.query('COMMIT');
+
+      this.logger.info(`Commission recorded: reseller ${resellerId} - $${commissionAmount}`);
+      this.emit('commission:recorded', record);
+
+      return record;
+    } catch (error) {
+      if (!saleClient) await client.query('ROLLBACK').catch(() => {});
+      this.logger.error('Error recording commission:', error);
+      throw error;
+    } finally {
+      if (!saleClient) client.release();
+    }
+  }
+
   /**
    * Get reseller earnings
    */
@@ -523,8 +588,12 @@ class WhiteLabelService extends EventEmitter {
    * Create payout request
    */
   async createPayoutRequest(resellerId, amount, bankDetails) {
+    const client = await this.db.connect();
+
     try {
-      const result = await this.db.query(
+      await client.query('BEGIN');
+
+      const result = await client.query(
         `INSERT INTO reseller_payouts (
           reseller_id, amount, bank_details, status, created_at
         ) VALUES ($1, $2, $3, 'pending', NOW())
@@ -532,13 +601,29 @@ class WhiteLabelService extends EventEmitter {
         [resellerId, amount, JSON.stringify(bankDetails)]
       );
 
+      // The requested amount can no longer be spent from the wallet
+      if (this.walletService) {
+        const account = await this.walletService.getOrCreateAccount(client, 'reseller', resellerId);
+        await this.walletService.placeHold(client, account.id, {
+          amount,
+          reason: 'payout',
+          referenceType: 'reseller_payout',
+          referenceId: result.rows[0].id,
+        });
+      }
+
+      await client.query('COMMIT');
+
       this.logger.info(`Payout request created: ${resellerId} - $${amount}`);
       this.emit('payout:requested', result.rows[0]);
 
       return result.rows[0];
     } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
       this.logger.error('Error creating payout:', error);
       throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -569,22 +654,45 @@ class WhiteLabelService extends EventEmitter {
    * Complete payout
    */
   async completePayout(payoutId, transactionId) {
+    const client = await this.db.connect();
+
     try {
-      const result = await this.db.query(
+      await client.query('BEGIN');
+
+      const result = await client.query(
         `UPDATE reseller_payouts 
          SET status = 'completed', transaction_id = $2, completed_at = NOW()
          WHERE id = $1
          RETURNING *`,
         [payoutId, transactionId]
       );
+      const payout = result.rows[0];
+
+      if (this.walletService && payout) {
+        const hold = await this.walletService.findHold(client, 'reseller_payout', payout.id);
+        await this.walletService.payout(client, {
+          ownerType: 'reseller',
+          ownerId: payout.reseller_id,
+          amount: payout.amount,
+          holdId: hold ? hold.id : null,
+          description: `Payout${transactionId ? ` ${transactionId}` : ''}`,
+          referenceType: 'reseller_payout',
+          referenceId: payout.id,
+        });
+      }
+
+      await client.query('COMMIT');
 
       this.logger.info(`Payout completed: ${payoutId}`);
-      this.emit('payout:completed', result.rows[0]);
+      this.emit('payout:completed', payout);
 
-      return result.rows[0];
+      return payout;
     } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
       this.logger.error('Error completing payout:', error);
       throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -0,0 +1,268 @@
+// backend/simulator/mockOidcProvider.js
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULT_USERS = [
+  { sub: 'mock-user-1', email: 'alice@example.com', email_verified: true, name: 'Alice Example' },
+  { sub: 'mock-user-2', email: 'bob@example.com', email_verified: true, name: 'Bob Example' },
+];
+
+const base64url = (input) => Buffer.from(input).toString('base64')
+  .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+/**
+ * Mock OIDC Provider
+ * Local stand-in for Google/Facebook login: discovery, authorization code flow with
+ * PKCE, token, userinfo. The authorize page lets you pick a fake user (or pass
+ * login_hint=<sub|email> to skip it). id_tokens are RS256-signed with a key generated at
+ * startup and published at /jwks.
+ *
+ * The authorize URL is what the browser sees (publicURL); token/userinfo URLs follow
+ * the Host the discovery document was fetched from, so the backend can use an
+ * internal hostname.
+ */
+class MockOIDCProvider extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.logger = config.logger || console;
+    this.host = config.host || '0.0.0.0';
+    this.port = config.port || 8090;
+    this.fixedPublicURL = Boolean(config.publicURL);
+    this.publicURL = (config.publicURL || `http://localhost:${this.port}`).replace(/\/$/, '');
+    this.clients = config.clients || {
+      'hotspot-portal': { secret: 'hotspot-portal-secret' },
+    };
+    this.users = config.users || DEFAULT_USERS;
+    this.codeTTL = config.codeTTL || 60000;
+
+    this.codes = new Map();
+    this.tokens = new Map();
+    this.server = null;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.privateKey = privateKey;
+    this.keyId = crypto.randomBytes(8).toString('hex');
+    this.jwk = { ...publicKey.export({ format: 'jwk' }), kid: this.keyId, use: 'sig', alg: 'RS256' };
+  }
+
+  /**
+   * ==================== LIFECYCLE ====================
+   */
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch((error) => {
+          this.logger.error('Mock OIDC error:', error);
+          this.json(res, 500, { error: 'server_error', error_description: error.message });
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        if (!this.fixedPublicURL) this.publicURL = `http://localhost:${this.port}`;
+        this.logger.info(`Mock OIDC provider listening on ${this.port} (issuer ${this.publicURL})`);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * ==================== HTTP ====================
+   */
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', (chunk) => { data += chunk; });
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return this.json(res, 200, this.discovery(`http://${req.headers.host}`));
+      case '/authorize':
+        return this.authorize(url, res);
+      case '/token':
+        return this.token(req, res);
+      case '/userinfo':
+        return this.userinfo(req, res);
+      case '/jwks':
+        return this.json(res, 200, { keys: [this.jwk] });
+      default:
+        return this.json(res, 404, { error: 'not_found' });
+    }
+  }
+
+  discovery(internalURL) {
+    return {
+      issuer: this.publicURL,
+      authorization_endpoint: `${this.publicURL}/authorize`,
+      token_endpoint: `${internalURL}/token`,
+      userinfo_endpoint: `${internalURL}/userinfo`,
+      jwks_uri: `${internalURL}/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256', 'plain'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+    };
+  }
+
+  /**
+   * ==================== AUTHORIZATION CODE FLOW ====================
+   */
+
+  authorize(url, res) {
+    const params = Object.fromEntries(url.searchParams);
+    const client = this.clients[params.client_id];
+
+    if (!client || params.response_type !== 'code' || !params.redirect_uri) {
+      return this.json(res, 400, { error: 'invalid_request' });
+    }
+
+    const hint = params.login_hint || params.sub;
+    const user = hint && this.users.find((u) => u.sub === hint || u.email === hint);
+
+    if (!user) {
+      const links = this.users.map((u) => {
+        const next = new URLSearchParams({ ...params, sub: u.sub });
+        return `<li><a href="/authorize?${next}">${u.name} &lt;${u.email}&gt;</a></li>`;
+      }).join('');
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(`<!doctype html><title>Mock login</title><h1>Mock OIDC login</h1><ul>${links}</ul>`);
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, {
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      user,
+      nonce: params.nonce,
+      scope: params.scope || 'openid',
+      codeChallenge: params.code_challenge,
+      codeChallengeMethod: params.code_challenge_method || 'plain',
+      expiresAt: Date.now() + this.codeTTL,
+    });
+
+    const redirect = new URL(params.redirect_uri);
+    redirect.searchParams.set('code', code);
+    if (params.state) redirect.searchParams.set('state', params.state);
+
+    this.emit('authorized', { user, clientId: params.client_id });
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  clientCredentials(req, body) {
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (basic) {
+      const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+      return { id, secret };
+    }
+    return { id: body.get('client_id'), secret: body.get('client_secret') };
+  }
+
+  verifyPKCE(grant, verifier) {
+    if (!grant.codeChallenge) return true;
+    if (!verifier) return false;
+    const expected = grant.codeChallengeMethod === 'S256'
+      ? base64url(crypto.createHash('sha256').update(verifier).digest())
+      : verifier;
+    return expected === grant.codeChallenge;
+  }
+
+  async token(req, res) {
+    if (req.method !== 'POST') return this.json(res, 405, { error: 'invalid_request' });
+
+    const body = new URLSearchParams(await this.readBody(req));
+    const { id, secret } = this.clientCredentials(req, body);
+    const client = this.clients[id];
+    if (!client || client.secret !== secret) {
+      return this.json(res, 401, { error: 'invalid_client' });
+    }
+
+    const code = body.get('code');
+    const grant = this.codes.get(code);
+    this.codes.delete(code);
+
+    if (
+      body.get('grant_type') !== 'authorization_code'
+      || !grant
+      || grant.expiresAt < Date.now()
+      || grant.clientId !== id
+      || grant.redirectUri !== body.get('redirect_uri')
+      || !this.verifyPKCE(grant, body.get('code_verifier'))
+    ) {
+      return this.json(res, 400, { error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(accessToken, grant.user);
+
+    return this.json(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: grant.scope,
+      id_token: this.signIdToken(grant),
+    });
+  }
+
+  signIdToken(grant) {
+    const now = Math.floor(Date.now() / 1000);
+    return this.signJWT({
+      iss: this.publicURL,
+      aud: grant.clientId,
+      sub: grant.user.sub,
+      email: grant.user.email,
+      email_verified: grant.user.email_verified,
+      name: grant.user.name,
+      nonce: grant.nonce,
+      iat: now,
+      exp: now + 3600,
+    });
+  }
+
+  /**
+   * RS256 JWT over `claims` with the published key (or another `privateKey`, to test rejection)
+   */
+  signJWT(claims, privateKey = this.privateKey) {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: this.keyId }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = base64url(crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey));
+    return `${header}.${payload}.${signature}`;
+  }
+
+  userinfo(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const user = this.tokens.get(token);
+    if (!user) {
+      return this.json(res, 401, { error: 'invalid_token' });
+    }
+    return this.json(res, 200, user);
+  }
+}
+
+module.exports = { MockOIDCProvider };
@@ -0,0 +1,27 @@
+// backend/simulator/oidcServer.js
+// Standalone mock OIDC provider for social login, used by the docker-compose "demo" profile
+const { MockOIDCProvider } = require('./mockOidcProvider');
+
+const provider = new MockOIDCProvider({
+  host: process.env.MOCK_OIDC_HOST || '0.0.0.0',
+  port: parseInt(process.env.MOCK_OIDC_PORT || '8090', 10),
+  publicURL: process.env.MOCK_OIDC_PUBLIC_URL,
+  clients: {
+    [process.env.MOCK_OIDC_CLIENT_ID || 'hotspot-portal']: {
+      secret: process.env.MOCK_OIDC_CLIENT_SECRET || 'hotspot-portal-secret',
+    },
+  },
+});
+
+provider.start().catch((error) => {
+  console.error('Failed to start mock OIDC provider:', error);
+  process.exit(1);
+});
+
+const shutdown = async () => {
+  await provider.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
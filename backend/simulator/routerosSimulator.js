@@ -0,0 +1,612 @@
+// backend/simulator/routerosSimulator.js
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const EventEmitter = require('events');
+const {
+  decodeLength,
+  encodeSentence,
+} = require('../services/routerosApiClient');
+const { parseDuration } = require('../services/mikrotikManager');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+// Menus that REST returns as a single object rather than a list
+const SINGLETON_MENUS = ['/system/identity', '/system/resource'];
+
+/**
+ * Simulator error, rendered as a REST error body or an API !trap
+ */
+class SimulatorError extends Error {
+  constructor(message, status = 400, category = undefined) {
+    super(message);
+    this.status = status;
+    this.category = category;
+  }
+}
+
+/**
+ * Format seconds as a RouterOS duration (1d2h3m4s)
+ */
+function formatDuration(seconds) {
+  const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  let remaining = Math.floor(seconds);
+  let out = '';
+
+  units.forEach(([unit, size]) => {
+    if (remaining >= size) {
+      out += `${Math.floor(remaining / size)}${unit}`;
+      remaining %= size;
+    }
+  });
+
+  return out || '0s';
+}
+
+/**
+ * RouterOS Simulator
+ * In-memory fake router speaking REST (v7) and the binary API, for tests and demo mode
+ */
+class RouterOSSimulator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.host = config.host || '127.0.0.1';
+    this.restPort = config.restPort !== undefined ? config.restPort : 8080;
+    this.apiPort = config.apiPort !== undefined ? config.apiPort : 8728;
+    this.user = config.user || 'admin';
+    this.pass = config.pass !== undefined ? config.pass : 'admin';
+    this.tickInterval = config.tickInterval || 0;
+    this.bytesPerSecond = config.bytesPerSecond || 125000;
+    this.logger = config.logger || console;
+    this.fixtures = typeof config.fixtures === 'object'
+      ? config.fixtures
+      : require(config.fixtures || DEFAULT_FIXTURES);
+
+    this.faults = [];
+    this.timers = new Set();
+    this.httpServer = null;
+    this.apiServer = null;
+    this.apiSockets = new Set();
+    this.ticker = null;
+
+    this.reset();
+  }
+
+  /**
+   * ==================== STATE ====================
+   */
+
+  /**
+   * Restore fixture state
+   */
+  reset() {
+    this.menus = new Map();
+    this.nextId = 100;
+    this.uptimes = new Map();
+
+    Object.entries(this.fixtures).forEach(([menu, items]) => {
+      this.menus.set(menu, items.map((item) => ({ ...item })));
+    });
+
+    this.emit('reset');
+  }
+
+  getMenu(menu) {
+    const items = this.menus.get(menu);
+    if (!items) {
+      throw new SimulatorError('no such command or directory', 404, 0);
+    }
+    return items;
+  }
+
+  isMenu(menu) {
+    return this.menus.has(menu);
+  }
+
+  findItem(menu, id) {
+    const item = this.getMenu(menu).find(
+      (i) => i['.id'] === id || i.name === id || i.user === id
+    );
+    if (!item) {
+      throw new SimulatorError('no such item', 404, 0);
+    }
+    return item;
+  }
+
+  list(menu, query = {}) {
+    return this.getMenu(menu).filter((item) =>
+      Object.entries(query).every(([key, value]) => String(item[key]) === String(value))
+    );
+  }
+
+  add(menu, data = {}) {
+    const items = this.getMenu(menu);
+
+    if (data.name && items.some((i) => i.name === data.name)) {
+      throw new SimulatorError('failure: already have such name', 400);
+    }
+
+    const item = { '.id': `*${(this.nextId++).toString(16).toUpperCase()}` };
+    Object.entries(data).forEach(([key, value]) => {
+      item[key] = String(value);
+    });
+
+    items.push(item);
+    this.emit('change', { menu, type: 'add', item });
+    return item;
+  }
+
+  set(menu, id, data = {}) {
+    const item = this.findItem(menu, id);
+    Object.entries(data).forEach(([key, value]) => {
+      if (key !== '.id' && key !== 'numbers') item[key] = String(value);
+    });
+    this.emit('change', { menu, type: 'set', item });
+    return item;
+  }
+
+  remove(menu, id) {
+    const items = this.getMenu(menu);
+    const item = this.findItem(menu, id);
+    items.splice(items.indexOf(item), 1);
+    this.uptimes.delete(item['.id']);
+    this.emit('change', { menu, type: 'remove', item });
+    return item;
+  }
+
+  /**
+   * Run a non-CRUD command (e.g. /system/backup/save, /ip/hotspot/active/login)
+   */
+  runCommand(command, params = {}) {
+    if (command === '/system/backup/save') {
+      const name = `sim-${Date.now()}.backup`;
+      this.getMenu('/file').push({ '.id': `*${(this.nextId++).toString(16).toUpperCase()}`, name, type: 'backup' });
+    }
+    if (command === '/ip/hotspot/active/login') {
+      this.login({
+        user: params.user,
+        password: params.password,
+        address: params.ip,
+        macAddress: params['mac-address'],
+        loginBy: 'api',
+      });
+    }
+    return [];
+  }
+
+  /**
+   * ==================== HOTSPOT SESSIONS ====================
+   */
+
+  /**
+   * Log a client in through the captive portal, as the router would
+   */
+  login({ user, password, address, macAddress, server = 'hotspot1', loginBy = 'http-chap' }) {
+    const account = this.list('/ip/hotspot/user', { name: user })[0];
+    if (!account || (account.password !== undefined && account.password !== password)) {
+      throw new SimulatorError('invalid username or password', 401);
+    }
+    if (account.disabled === 'true' || account.disabled === 'yes') {
+      throw new SimulatorError('user disabled', 403);
+    }
+    if (this.uptimeExceeded(account)) {
+      throw new SimulatorError('user uptime limit reached', 403);
+    }
+
+    const session = this.add('/ip/hotspot/active', {
+      server,
+      user,
+      address: address || `10.5.50.${10 + this.getMenu('/ip/hotspot/active').length}`,
+      'mac-address': macAddress || 'AA:BB:CC:00:00:01',
+      'login-by': loginBy,
+      uptime: '0s',
+      'bytes-in': 0,
+      'bytes-out': 0,
+      'packets-in': 0,
+      'packets-out': 0,
+    });
+
+    this.uptimes.set(session['.id'], 0);
+    return session;
+  }
+
+  uptimeExceeded(account) {
+    const limit = parseDuration(account['limit-uptime']);
+    return limit > 0 && parseDuration(account.uptime) >= limit;
+  }
+
+  /**
+   * Advance session counters (uptime, bytes) and enforce byte/uptime limits
+   */
+  tick(seconds = 1) {
+    const sessions = [...this.getMenu('/ip/hotspot/active')];
+
+    sessions.forEach((session) => {
+      const uptime = (this.uptimes.get(session['.id']) || 0) + seconds;
+      this.uptimes.set(session['.id'], uptime);
+
+      const bytes = Math.round(this.bytesPerSecond * seconds);
+      session.uptime = formatDuration(uptime);
+      session['bytes-in'] = String(Number(session['bytes-in']) + Math.round(bytes / 8));
+      session['bytes-out'] = String(Number(session['bytes-out']) + bytes);
+
+      const account = this.list('/ip/hotspot/user', { name: session.user })[0];
+      if (account) {
+        account['bytes-in'] = String(Number(account['bytes-in'] || 0) + Math.round(bytes / 8));
+        account['bytes-out'] = String(Number(account['bytes-out'] || 0) + bytes);
+        account.uptime = formatDuration(parseDuration(account.uptime) + seconds);
+
+        const limit = Number(account['limit-bytes-out'] || 0);
+        if ((limit > 0 && Number(account['bytes-out']) >= limit) || this.uptimeExceeded(account)) {
+          this.remove('/ip/hotspot/active', session['.id']);
+          return;
+        }
+      }
+
+      this.emit('change', { menu: '/ip/hotspot/active', type: 'set', item: session });
+    });
+  }
+
+  /**
+   * ==================== FAULT INJECTION ====================
+   */
+
+  /**
+   * Inject a fault
+   * rule: { path, method?, type: 'timeout' | 'http' | 'trap', status?, message?, category?, count? }
+   */
+  injectFault(rule) {
+    const fault = { count: Infinity, ...rule };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  takeFault(target, method) {
+    const fault = this.faults.find(
+      (f) => target.startsWith(f.path) && (!f.method || f.method.toUpperCase() === method)
+    );
+    if (!fault) return null;
+
+    fault.count -= 1;
+    if (fault.count <= 0) {
+      this.faults.splice(this.faults.indexOf(fault), 1);
+    }
+    return fault;
+  }
+
+  /**
+   * ==================== REST SERVER ====================
+   */
+
+  /**
+   * Split a REST path into menu and optional item id/command
+   */
+  resolvePath(target) {
+    if (this.isMenu(target)) {
+      return { menu: target, id: null };
+    }
+
+    const idx = target.lastIndexOf('/');
+    const parent = target.slice(0, idx);
+    if (this.isMenu(parent)) {
+      return { menu: parent, id: decodeURIComponent(target.slice(idx + 1)) };
+    }
+
+    return { menu: null, id: null };
+  }
+
+  handleREST(req, body) {
+    const url = new URL(req.url, 'http://sim');
+    const target = url.pathname.replace(/^\/rest/, '');
+    const method = req.method.toUpperCase();
+    const query = Object.fromEntries(url.searchParams);
+    const { menu, id } = this.resolvePath(target);
+
+    if (!menu && method === 'POST') {
+      return this.runCommand(target, body);
+    }
+    if (!menu) {
+      throw new SimulatorError('no such command or directory', 404, 0);
+    }
+
+    switch (method) {
+      case 'GET': {
+        if (id) return this.findItem(menu, id);
+        const items = this.list(menu, query);
+        return SINGLETON_MENUS.includes(menu) ? items[0] : items;
+      }
+      case 'PUT':
+        return this.add(menu, body);
+      case 'PATCH':
+        return this.set(menu, id, body);
+      case 'DELETE':
+        this.remove(menu, id);
+        return null;
+      case 'POST':
+        // POST /rest/menu/print|add|set|remove mirrors the console commands
+        if (id === 'print') return this.list(menu, query);
+        if (id === 'add') return { ret: this.add(menu, body)['.id'] };
+        if (id === 'set') return this.set(menu, body['.id'] || body.numbers, body) && [];
+        if (id === 'remove') return this.remove(menu, body['.id'] || body.numbers) && [];
+        return this.runCommand(target, body);
+      default:
+        throw new SimulatorError('method not allowed', 405);
+    }
+  }
+
+  /**
+   * Control endpoints for tests and demo mode (/__sim/...)
+   */
+  handleControl(req, body) {
+    const url = new URL(req.url, 'http://sim');
+    const route = `${req.method.toUpperCase()} ${url.pathname}`;
+
+    switch (route) {
+      case 'GET /__sim/state':
+        return Object.fromEntries(this.menus);
+      case 'POST /__sim/reset':
+        this.reset();
+        this.clearFaults();
+        return { success: true };
+      case 'POST /__sim/faults':
+        return this.injectFault(body);
+      case 'DELETE /__sim/faults':
+        this.clearFaults();
+        return { success: true };
+      case 'POST /__sim/login':
+        return this.login(body);
+      case 'POST /__sim/tick':
+        this.tick(body.seconds || 60);
+        return { success: true };
+      default:
+        throw new SimulatorError('unknown simulator endpoint', 404);
+    }
+  }
+
+  checkBasicAuth(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, encoded] = header.split(' ');
+    if (scheme !== 'Basic' || !encoded) return false;
+
+    const [user, ...rest] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+    return user === this.user && rest.join(':') === this.pass;
+  }
+
+  onHTTPRequest(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+
+    req.on('end', () => {
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(payload === null || payload === undefined ? '' : JSON.stringify(payload));
+      };
+
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+
+        if (req.url.startsWith('/__sim/')) {
+          return send(200, this.handleControl(req, body));
+        }
+
+        if (!req.url.startsWith('/rest')) {
+          throw new SimulatorError('Not Found', 404);
+        }
+
+        if (!this.checkBasicAuth(req)) {
+          return send(401, { error: 401, message: 'Unauthorized' });
+        }
+
+        const fault = this.takeFault(req.url.replace(/^\/rest/, ''), req.method.toUpperCase());
+        if (fault) {
+          if (fault.type === 'timeout') {
+            // Never answer; the client is expected to time out
+            const timer = setTimeout(() => {
+              this.timers.delete(timer);
+              req.socket.destroy();
+            }, fault.delay || 30000);
+            this.timers.add(timer);
+            return undefined;
+          }
+          throw new SimulatorError(fault.message || 'injected fault', fault.status || 500, fault.category);
+        }
+
+        const result = this.handleREST(req, body);
+        return send(result === null ? 204 : 200, result);
+      } catch (error) {
+        const status = error.status || 500;
+        return send(status, {
+          error: status,
+          message: http.STATUS_CODES[status] || 'Error',
+          detail: error.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * ==================== BINARY API SERVER ====================
+   */
+
+  onAPIConnection(socket) {
+    const conn = { socket, buffer: Buffer.alloc(0), words: [], loggedIn: false, listeners: new Map() };
+    this.apiSockets.add(socket);
+
+    socket.on('data', (data) => {
+      conn.buffer = Buffer.concat([conn.buffer, data]);
+
+      let offset = 0;
+      for (;;) {
+        const prefix = decodeLength(conn.buffer, offset);
+        if (!prefix || offset + prefix.bytes + prefix.length > conn.buffer.length) break;
+
+        const start = offset + prefix.bytes;
+        offset = start + prefix.length;
+
+        if (prefix.length === 0) {
+          const words = conn.words;
+          conn.words = [];
+          if (words.length > 0) this.onAPISentence(conn, words);
+        } else {
+          conn.words.push(conn.buffer.toString('utf8', start, offset));
+        }
+      }
+
+      conn.buffer = conn.buffer.subarray(offset);
+    });
+
+    socket.on('close', () => {
+      conn.listeners.forEach((off) => off());
+      this.apiSockets.delete(socket);
+    });
+    socket.on('error', () => {});
+  }
+
+  onAPISentence(conn, words) {
+    const command = words[0];
+    const params = {};
+    const query = {};
+    let tag = null;
+
+    words.slice(1).forEach((word) => {
+      if (word.startsWith('.tag=')) {
+        tag = word.slice(5);
+      } else if (word.startsWith('=')) {
+        const idx = word.indexOf('=', 1);
+        params[word.slice(1, idx)] = word.slice(idx + 1);
+      } else if (word.startsWith('?') && word.includes('=')) {
+        const idx = word.indexOf('=');
+        query[word.slice(1, idx)] = word.slice(idx + 1);
+      }
+    });
+
+    const reply = (type, attributes = {}) => {
+      const out = [type];
+      Object.entries(attributes).forEach(([key, value]) => out.push(`=${key}=${value}`));
+      if (tag !== null) out.push(`.tag=${tag}`);
+      if (!conn.socket.destroyed) conn.socket.write(encodeSentence(out));
+    };
+
+    const trap = (error) => {
+      const attributes = { message: error.message };
+      if (error.category !== undefined) attributes.category = error.category;
+      reply('!trap', attributes);
+      reply('!done');
+    };
+
+    if (command === '/login') {
+      if (params.name === this.user && params.password === this.pass) {
+        conn.loggedIn = true;
+        return reply('!done');
+      }
+      return trap(new SimulatorError('invalid user name or password (6)'));
+    }
+
+    if (!conn.loggedIn) {
+      return trap(new SimulatorError('not logged in', 401, 5));
+    }
+
+    if (command === '/cancel') {
+      const off = conn.listeners.get(params.tag);
+      if (off) {
+        off();
+        conn.listeners.delete(params.tag);
+      }
+      return reply('!done');
+    }
+
+    const idx = command.lastIndexOf('/');
+    const menu = command.slice(0, idx);
+    const verb = command.slice(idx + 1);
+
+    const fault = this.takeFault(command, 'API');
+    if (fault) {
+      if (fault.type === 'timeout') return undefined;
+      return trap(new SimulatorError(fault.message || 'injected fault', fault.status, fault.category));
+    }
+
+    try {
+      switch (verb) {
+        case 'print':
+          this.list(menu, query).forEach((item) => reply('!re', item));
+          return reply('!done');
+        case 'add':
+          return reply('!done', { ret: this.add(menu, params)['.id'] });
+        case 'set':
+          this.set(menu, params['.id'] || params.numbers, params);
+          return reply('!done');
+        case 'remove':
+          this.remove(menu, params['.id'] || params.numbers);
+          return reply('!done');
+        case 'listen': {
+          this.getMenu(menu);
+          const onChange = (change) => {
+            if (change.menu !== menu) return;
+            reply('!re', change.type === 'remove' ? { ...change.item, '.dead': 'true' } : change.item);
+          };
+          this.on('change', onChange);
+          conn.listeners.set(tag, () => {
+            this.off('change', onChange);
+            trap(new SimulatorError('interrupted', 499, 2));
+          });
+          return undefined;
+        }
+        default:
+          this.runCommand(command, params);
+          return reply('!done');
+      }
+    } catch (error) {
+      return trap(error);
+    }
+  }
+
+  /**
+   * ==================== LIFECYCLE ====================
+   */
+
+  async start() {
+    if (this.restPort !== null) {
+      this.httpServer = http.createServer((req, res) => this.onHTTPRequest(req, res));
+      await new Promise((resolve) => this.httpServer.listen(this.restPort, this.host, resolve));
+      this.restPort = this.httpServer.address().port;
+    }
+
+    if (this.apiPort !== null) {
+      this.apiServer = net.createServer((socket) => this.onAPIConnection(socket));
+      await new Promise((resolve) => this.apiServer.listen(this.apiPort, this.host, resolve));
+      this.apiPort = this.apiServer.address().port;
+    }
+
+    if (this.tickInterval) {
+      this.ticker = setInterval(() => this.tick(this.tickInterval / 1000), this.tickInterval);
+    }
+
+    this.logger.info(
+      `RouterOS simulator listening (REST: ${this.restPort}, API: ${this.apiPort})`
+    );
+    return this;
+  }
+
+  async stop() {
+    clearInterval(this.ticker);
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.apiSockets.forEach((socket) => socket.destroy());
+
+    const close = (server) =>
+      server ? new Promise((resolve) => server.close(() => resolve())) : Promise.resolve();
+
+    if (this.httpServer) this.httpServer.closeAllConnections?.();
+    await Promise.all([close(this.httpServer), close(this.apiServer)]);
+    this.httpServer = null;
+    this.apiServer = null;
+  }
+}
+
+module.exports = { RouterOSSimulator, SimulatorError, formatDuration };
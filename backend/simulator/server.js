@@ -0,0 +1,26 @@
+// backend/simulator/server.js
+// Standalone RouterOS simulator, used by the docker-compose "demo" profile
+const { RouterOSSimulator } = require('./routerosSimulator');
+
+const simulator = new RouterOSSimulator({
+  host: process.env.SIM_HOST || '0.0.0.0',
+  restPort: parseInt(process.env.SIM_REST_PORT || '80', 10),
+  apiPort: parseInt(process.env.SIM_API_PORT || '8728', 10),
+  user: process.env.SIM_USER || 'admin',
+  pass: process.env.SIM_PASS || 'admin',
+  fixtures: process.env.SIM_FIXTURES,
+  tickInterval: parseInt(process.env.SIM_TICK_INTERVAL || '5000', 10),
+});
+
+simulator.start().catch((error) => {
+  console.error('Failed to start RouterOS simulator:', error);
+  process.exit(1);
+});
+
+const shutdown = async () => {
+  await simulator.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,204 @@
+// backend/test/oauthLogin.test.js
+// Social login against the bundled mock OIDC provider: node --test test/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const { MockOIDCProvider } = require('../simulator/mockOidcProvider');
+const OAuthLoginService = require('../services/oauthLoginService');
+
+const { OAuthError } = OAuthLoginService;
+
+const quiet = { info() {}, warn() {}, error() {} };
+const CLIENT_ID = 'hotspot-portal';
+const CLIENT_SECRET = 'hotspot-portal-secret';
+
+let provider;
+
+before(async () => {
+  provider = new MockOIDCProvider({
+    host: '127.0.0.1',
+    port: 0,
+    logger: quiet,
+    clients: { [CLIENT_ID]: { secret: CLIENT_SECRET } },
+  });
+  await provider.start();
+});
+
+after(async () => {
+  await provider.stop();
+});
+
+function createRedis() {
+  const store = new Map();
+  return {
+    store,
+    async set(key, value) { store.set(key, value); },
+    async get(key) { return store.has(key) ? store.get(key) : null; },
+    async del(key) { return store.delete(key) ? 1 : 0; },
+  };
+}
+
+/**
+ * Just enough of a pg pool for upsertIdentity and grantFreeSession
+ */
+function createDb() {
+  const state = { users: [], identities: [] };
+
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) return { rows: [] };
+    if (/FROM oauth_identities i/.test(sql)) {
+      const identity = state.identities.find((i) => i.provider === params[0] && i.subject === params[1]);
+      return {
+        rows: identity
+          ? [{ ...identity, hotspot_user: state.users.find((u) => u.id === identity.hotspot_user_id) }]
+          : [],
+      };
+    }
+    if (/INSERT INTO hotspot_users/.test(sql)) {
+      const user = { id: state.users.length + 1, username: params[0], email: params[1] };
+      state.users.push(user);
+      return { rows: [user] };
+    }
+    if (/INSERT INTO oauth_identities/.test(sql)) {
+      const identity = {
+        id: state.identities.length + 1,
+        hotspot_user_id: params[0],
+        provider: params[1],
+        subject: params[2],
+        email: params[3],
+        name: params[4],
+      };
+      state.identities.push(identity);
+      return { rows: [identity] };
+    }
+    if (/UPDATE oauth_identities\s+SET email/.test(sql)) {
+      return { rows: [state.identities.find((i) => i.id === params[0])] };
+    }
+    if (/UPDATE hotspot_users/.test(sql)) {
+      return { rows: [state.users.find((u) => u.id === params[0])] };
+    }
+    return { rows: [] };
+  };
+
+  return { state, pool: { query, connect: async () => ({ query, release() {} }) } };
+}
+
+function createService(db, redis) {
+  return new OAuthLoginService(db, {
+    logger: quiet,
+    redis,
+    callbackBaseURL: 'http://portal.test',
+    providers: OAuthLoginService.providersFromEnv({
+      OAUTH_MOCK_CLIENT_ID: CLIENT_ID,
+      OAUTH_MOCK_CLIENT_SECRET: CLIENT_SECRET,
+      OAUTH_MOCK_ISSUER: provider.publicURL,
+    }),
+  });
+}
+
+/**
+ * Follow the authorize URL as the guest's browser would, picking `loginHint`
+ */
+async function authorize(url, loginHint) {
+  const authorizeURL = new URL(url);
+  authorizeURL.searchParams.set('login_hint', loginHint);
+
+  const response = await axios.get(authorizeURL.toString(), {
+    maxRedirects: 0,
+    validateStatus: (status) => status === 302,
+  });
+  const callback = new URL(response.headers.location);
+  return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+}
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: provider.publicURL,
+    aud: CLIENT_ID,
+    sub: 'mock-user-1',
+    nonce: 'n-0S6_WzA2Mj',
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  };
+}
+
+test('login creates the account from the verified id_token and userinfo', async () => {
+  const { state: dbState, pool } = createDb();
+  const redis = createRedis();
+  const service = createService(pool, redis);
+
+  const url = await service.createAuthorizationURL('mock', { mac: 'AA:BB:CC:00:00:01', marketingConsent: true });
+  const { code, state } = await authorize(url, 'alice@example.com');
+
+  const result = await service.handleCallback('mock', { code, state });
+  assert.strictEqual(result.created, true);
+  assert.strictEqual(result.mac, 'AA:BB:CC:00:00:01');
+  assert.strictEqual(result.identity.subject, 'mock-user-1');
+  assert.strictEqual(result.identity.email, 'alice@example.com');
+  assert.strictEqual(dbState.users.length, 1);
+
+  // The state is single use
+  await assert.rejects(service.handleCallback('mock', { code, state }), /Login expired/);
+});
+
+test('id_token signed by another key is rejected', async () => {
+  const service = createService(createDb().pool, createRedis());
+  const endpoints = await service.getEndpoints(service.getProvider('mock'));
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await assert.rejects(
+    service.verifyIdToken(service.getProvider('mock'), endpoints, provider.signJWT(claims(), privateKey), claims().nonce),
+    (error) => error instanceof OAuthError && /signature invalid/.test(error.message)
+  );
+});
+
+test('id_token with altered claims is rejected', async () => {
+  const service = createService(createDb().pool, createRedis());
+  const endpoints = await service.getEndpoints(service.getProvider('mock'));
+
+  const [header, , signature] = provider.signJWT(claims()).split('.');
+  const forged = Buffer.from(JSON.stringify(claims({ sub: 'mock-user-2' }))).toString('base64url');
+
+  await assert.rejects(
+    service.verifyIdToken(service.getProvider('mock'), endpoints, `${header}.${forged}.${signature}`, claims().nonce),
+    /signature invalid/
+  );
+});
+
+test('id_token with unsigned alg is rejected', async () => {
+  const service = createService(createDb().pool, createRedis());
+  const endpoints = await service.getEndpoints(service.getProvider('mock'));
+
+  const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims())).toString('base64url');
+
+  await assert.rejects(
+    service.verifyIdToken(service.getProvider('mock'), endpoints, `${header}.${payload}.`, claims().nonce),
+    /Unsupported id_token algorithm/
+  );
+});
+
+for (const [name, overrides, nonce, message] of [
+  ['issuer', { iss: 'https://evil.example' }, undefined, /issuer mismatch/],
+  ['audience', { aud: 'someone-else' }, undefined, /audience mismatch/],
+  ['expiry', { exp: Math.floor(Date.now() / 1000) - 3600 }, undefined, /expired/],
+  ['nonce', {}, 'another-nonce', /nonce mismatch/],
+]) {
+  test(`id_token with wrong ${name} is rejected`, async () => {
+    const service = createService(createDb().pool, createRedis());
+    const endpoints = await service.getEndpoints(service.getProvider('mock'));
+
+    await assert.rejects(
+      service.verifyIdToken(
+        service.getProvider('mock'),
+        endpoints,
+        provider.signJWT(claims(overrides)),
+        nonce || claims().nonce
+      ),
+      message
+    );
+  });
+}
@@ -0,0 +1,192 @@
+// backend/test/routerosSimulator.test.js
+// Integration tests against the in-repo RouterOS simulator: node --test test/
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { RouterOSSimulator } = require('../simulator/routerosSimulator');
+const MikrotikManager = require('../services/mikrotikManager');
+const VoucherRedemptionService = require('../services/voucherRedemptionService');
+
+const quiet = { info() {}, warn() {}, error() {} };
+
+let simulator;
+
+before(async () => {
+  simulator = new RouterOSSimulator({ restPort: 0, apiPort: 0, logger: quiet });
+  await simulator.start();
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+beforeEach(() => {
+  simulator.reset();
+  simulator.clearFaults();
+});
+
+function createManager(transport, config = {}) {
+  return new MikrotikManager({
+    host: '127.0.0.1',
+    user: 'admin',
+    pass: 'admin',
+    restPort: simulator.restPort,
+    apiPort: simulator.apiPort,
+    transport,
+    logger: quiet,
+    ...config,
+  });
+}
+
+/**
+ * Just enough of a pg pool for VoucherRedemptionService.redeem
+ */
+function createVoucherDb(voucher) {
+  const state = { voucher, users: [], notifications: [], committed: false, rolledBack: false };
+
+  const client = {
+    async query(sql, params = []) {
+      if (sql === 'BEGIN') return { rows: [] };
+      if (sql === 'COMMIT') {
+        if (state.failCommit) throw new Error('connection lost');
+        state.committed = true;
+        return { rows: [] };
+      }
+      if (sql === 'ROLLBACK') {
+        state.rolledBack = true;
+        return { rows: [] };
+      }
+      if (/FROM vouchers WHERE code/.test(sql)) {
+        return { rows: state.voucher.code === params[0] ? [state.voucher] : [] };
+      }
+      if (/SELECT 1 FROM hotspot_users/.test(sql)) {
+        return { rows: state.users.filter((u) => u.username === params[0]) };
+      }
+      if (/INSERT INTO hotspot_users/.test(sql)) {
+        const user = { id: state.users.length + 1, username: params[0], password: params[3] };
+        state.users.push(user);
+        return { rows: [user] };
+      }
+      if (/UPDATE vouchers SET status/.test(sql)) {
+        state.voucherStatus = params[0];
+        return { rows: [] };
+      }
+      if (/INSERT INTO notifications/.test(sql)) {
+        state.notifications.push(params[5]);
+        return { rows: [{}] };
+      }
+      return { rows: [] };
+    },
+    release() {},
+  };
+
+  return { state, pool: { connect: async () => client, query: client.query } };
+}
+
+for (const transport of ['rest', 'api']) {
+  test(`${transport}: hotspot user CRUD`, async () => {
+    const manager = createManager(transport);
+    try {
+      await manager.createHotspotUser('alice', 'secret', { profile: 'default' });
+      assert.strictEqual(simulator.list('/ip/hotspot/user', { name: 'alice' }).length, 1);
+
+      await manager.updateHotspotUser('alice', { 'limit-uptime': '1h' });
+      assert.strictEqual(simulator.list('/ip/hotspot/user', { name: 'alice' })[0]['limit-uptime'], '1h');
+
+      await manager.deleteHotspotUser('alice');
+      assert.strictEqual(simulator.list('/ip/hotspot/user', { name: 'alice' }).length, 0);
+    } finally {
+      manager.close();
+    }
+  });
+
+  test(`${transport}: voucher redeem to live session`, async () => {
+    const manager = createManager(transport);
+    const { state, pool } = createVoucherDb({ id: 1, code: 'ABC123', status: 'active', days: 1, bandwidth: 1 });
+    const service = new VoucherRedemptionService(pool, {
+      logger: quiet,
+      outbox: { enqueue: async () => ({}) },
+      mikrotik: {
+        createUser: (data) => manager.add('/ip/hotspot/user', data),
+        deleteUser: (name) => manager.deleteHotspotUser(name),
+      },
+    });
+
+    try {
+      const user = await service.redeem({ code: 'ABC123', username: 'guest1' });
+      assert.ok(state.committed);
+      assert.strictEqual(state.voucherStatus, 'redeemed');
+
+      simulator.login({ user: 'guest1', password: user.password, macAddress: 'AA:BB:CC:00:00:10' });
+      simulator.tick(60);
+
+      const sessions = (await manager.getActiveSessions()).filter((s) => s.user === 'guest1');
+      assert.strictEqual(sessions.length, 1);
+      assert.strictEqual(sessions[0].uptimeSeconds, 60);
+      assert.ok(sessions[0].bytesOut > 0);
+    } finally {
+      manager.close();
+    }
+  });
+
+  test(`${transport}: router fault rolls the redemption back`, async () => {
+    const manager = createManager(transport);
+    const { state, pool } = createVoucherDb({ id: 1, code: 'ABC123', status: 'active', days: 1, bandwidth: 1 });
+    const service = new VoucherRedemptionService(pool, {
+      logger: quiet,
+      outbox: { enqueue: async () => ({}) },
+      mikrotik: {
+        createUser: (data) => manager.add('/ip/hotspot/user', data),
+        deleteUser: (name) => manager.deleteHotspotUser(name),
+      },
+    });
+
+    simulator.injectFault({
+      path: transport === 'rest' ? '/ip/hotspot/user' : '/ip/hotspot/user/add',
+      type: transport === 'rest' ? 'http' : 'trap',
+      status: 500,
+      message: 'router busy',
+      count: 1,
+    });
+
+    try {
+      await assert.rejects(service.redeem({ code: 'ABC123', username: 'guest1' }));
+      assert.ok(state.rolledBack);
+      assert.ok(!state.committed);
+      assert.strictEqual(simulator.list('/ip/hotspot/user', { name: 'guest1' }).length, 0);
+    } finally {
+      manager.close();
+    }
+  });
+
+  test(`${transport}: failed commit removes the provisioned router user`, async () => {
+    const manager = createManager(transport);
+    const { state, pool } = createVoucherDb({ id: 1, code: 'ABC123', status: 'active', days: 1, bandwidth: 1 });
+    state.failCommit = true;
+    const service = new VoucherRedemptionService(pool, {
+      logger: quiet,
+      outbox: { enqueue: async () => ({}) },
+      mikrotik: {
+        createUser: (data) => manager.add('/ip/hotspot/user', data),
+        deleteUser: (name) => manager.deleteHotspotUser(name),
+      },
+    });
+
+    try {
+      await assert.rejects(service.redeem({ code: 'ABC123', username: 'guest1' }), /connection lost/);
+      assert.strictEqual(simulator.list('/ip/hotspot/user', { name: 'guest1' }).length, 0);
+    } finally {
+      manager.close();
+    }
+  });
+}
+
+test('rest: a router that stops answering times out', async () => {
+  const manager = createManager('rest', { timeout: 200 });
+  simulator.injectFault({ path: '/ip/hotspot/active', type: 'timeout', delay: 1000, count: 1 });
+
+  try {
+    await assert.rejects(manager.getActiveSessions(), /timeout/i);
+  } finally {
+    manager.close();
+  }
+});
@@ -10,11 +10,50 @@ CREATE TABLE IF NOT EXISTS users (
   password VARCHAR(255) NOT NULL,
   phone VARCHAR(20),
   role VARCHAR(50) DEFAULT 'admin',
+  -- Staff of a reseller: their sales earn the reseller commission
+  reseller_id INT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   last_login TIMESTAMP
 );
 
+-- Fair Usage Policies (tiered throttling per billing cycle)
+CREATE TABLE IF NOT EXISTS fup_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  full_rate_limit VARCHAR(64),
+  reset_period VARCHAR(20) DEFAULT 'monthly',
+  reset_day INT DEFAULT 1,
+  tiers JSONB DEFAULT '[]',
+  is_default BOOLEAN DEFAULT FALSE,
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Hotspot User Profiles (mirrored to /ip/hotspot/user/profile on every router)
+CREATE TABLE IF NOT EXISTS hotspot_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(64) UNIQUE NOT NULL,
+  description TEXT,
+  shared_users INT DEFAULT 1,
+  max_devices INT DEFAULT 3,
+  rate_limit VARCHAR(64),
+  idle_timeout VARCHAR(32),
+  keepalive_timeout VARCHAR(32),
+  session_timeout VARCHAR(32),
+  address_list VARCHAR(64),
+  on_login TEXT,
+  on_logout TEXT,
+  validity_days INT,
+  data_limit_gb INT,
+  status VARCHAR(50) DEFAULT 'active',
+  last_synced_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Hotspot Users Table
 CREATE TABLE IF NOT EXISTS hotspot_users (
   id SERIAL PRIMARY KEY,
@@ -24,15 +63,130 @@ CREATE TABLE IF NOT EXISTS hotspot_users (
   password VARCHAR(255),
   bandwidth_limit BIGINT,
   bandwidth_used BIGINT DEFAULT 0,
+  router_bytes_seen BIGINT DEFAULT 0,
   session_duration INT DEFAULT 0,
   expiry_date TIMESTAMP,
   last_login TIMESTAMP,
   status VARCHAR(50) DEFAULT 'active',
+  rate_limit VARCHAR(64),
   voucher_id INT,
+  fup_policy_id INT REFERENCES fup_policies(id),
+  fup_tier INT DEFAULT 0,
+  fup_usage_base BIGINT DEFAULT 0,
+  fup_cycle_start TIMESTAMP,
+  fup_rate_limit VARCHAR(64),
+  fup_blocked BOOLEAN DEFAULT FALSE,
+  fup_free_bytes BIGINT DEFAULT 0,
+  fup_enforce_pending BOOLEAN DEFAULT FALSE,
+  profile_id INT REFERENCES hotspot_profiles(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Remembered devices per hotspot user (MAC auto-login)
+CREATE TABLE IF NOT EXISTS user_devices (
+  id SERIAL PRIMARY KEY,
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE CASCADE,
+  mac_address VARCHAR(17) NOT NULL,
+  name VARCHAR(64),
+  randomized BOOLEAN DEFAULT FALSE,
+  auto_login BOOLEAN DEFAULT TRUE,
+  previous_mac VARCHAR(17),
+  last_ip INET,
+  status VARCHAR(50) DEFAULT 'active',
+  first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen TIMESTAMP,
+  repaired_at TIMESTAMP,
+  UNIQUE (hotspot_user_id, mac_address)
+);
+
+-- Social / OAuth logins linked to hotspot users
+CREATE TABLE IF NOT EXISTS oauth_identities (
+  id SERIAL PRIMARY KEY,
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE CASCADE,
+  provider VARCHAR(32) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  name VARCHAR(255),
+  marketing_consent BOOLEAN DEFAULT FALSE,
+  consent_at TIMESTAMP,
+  last_free_session_at TIMESTAMP,
+  last_login TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, subject)
+);
+
+-- Click-through free access per site; site_id NULL = default for every site
+CREATE TABLE IF NOT EXISTS guest_access_settings (
+  id SERIAL PRIMARY KEY,
+  site_id INT,
+  enabled BOOLEAN DEFAULT FALSE,
+  profile_id INT REFERENCES hotspot_profiles(id),
+  session_minutes INT DEFAULT 30,
+  daily_minutes INT DEFAULT 30,
+  cooldown_minutes INT DEFAULT 60,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Versioned terms of use shown before free access (never edited, only superseded)
+CREATE TABLE IF NOT EXISTS terms_versions (
+  id SERIAL PRIMARY KEY,
+  site_id INT,
+  version INT NOT NULL,
+  title VARCHAR(255),
+  body TEXT NOT NULL,
+  published_by INT REFERENCES users(id),
+  published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Who accepted which terms version, from where (kept for legal compliance)
+CREATE TABLE IF NOT EXISTS terms_acceptances (
+  id SERIAL PRIMARY KEY,
+  terms_version_id INT REFERENCES terms_versions(id),
+  site_id INT,
+  mac_address VARCHAR(17) NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Free sessions handed out per device (daily allowance and cooldown)
+CREATE TABLE IF NOT EXISTS guest_access_grants (
+  id SERIAL PRIMARY KEY,
+  site_id INT,
+  mac_address VARCHAR(17) NOT NULL,
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE CASCADE,
+  terms_acceptance_id INT REFERENCES terms_acceptances(id),
+  minutes INT NOT NULL,
+  granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Voucher Batches (printed sheets sold through shops)
+CREATE TABLE IF NOT EXISTS voucher_batches (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(255),
+  quantity INT NOT NULL,
+  days INT NOT NULL,
+  -- Unit price charged, after promo codes; list_price is the one before them
+  price DECIMAL(10, 2),
+  bandwidth INT,
+  code_length INT,
+  alphabet VARCHAR(100),
+  prefix VARCHAR(20),
+  notes TEXT,
+  profile_id INT REFERENCES hotspot_profiles(id),
+  list_price DECIMAL(10, 2),
+  bonus_days INT DEFAULT 0,
+  status VARCHAR(50) DEFAULT 'active',
+  void_reason TEXT,
+  created_by INT REFERENCES users(id),
+  reseller_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  voided_at TIMESTAMP
+);
+
 -- Vouchers Table
 CREATE TABLE IF NOT EXISTS vouchers (
   id SERIAL PRIMARY KEY,
@@ -45,7 +199,117 @@ CREATE TABLE IF NOT EXISTS vouchers (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   redeemed_at TIMESTAMP,
   status VARCHAR(50) DEFAULT 'active',
-  paid BOOLEAN DEFAULT FALSE
+  paid BOOLEAN DEFAULT FALSE,
+  batch_id VARCHAR(64) REFERENCES voucher_batches(id),
+  fup_policy_id INT REFERENCES fup_policies(id),
+  profile_id INT REFERENCES hotspot_profiles(id),
+  reseller_id INT
+);
+
+-- Subscription / access plans (sold in the captive portal)
+CREATE TABLE IF NOT EXISTS subscription_plans (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  price DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(10) DEFAULT 'USD',
+  billing_period VARCHAR(20) DEFAULT 'monthly',
+  bandwidth_limit INT,
+  max_devices INT,
+  features TEXT DEFAULT '[]',
+  max_users INT DEFAULT 100,
+  validity_days INT,
+  profile_id INT REFERENCES hotspot_profiles(id),
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Plan purchases from the captive portal; fulfilled by issuing and redeeming a voucher
+CREATE TABLE IF NOT EXISTS portal_orders (
+  id UUID PRIMARY KEY,
+  plan_id INT REFERENCES subscription_plans(id),
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE SET NULL,
+  voucher_id INT REFERENCES vouchers(id),
+  site_id INT,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(10) DEFAULT 'USD',
+  email VARCHAR(255),
+  phone VARCHAR(20),
+  mac_address VARCHAR(17),
+  ip_address INET,
+  checkout_session_id VARCHAR(255),
+  payment_provider VARCHAR(50),
+  transaction_id VARCHAR(255),
+  wallet_entry_id INT,
+  list_amount DECIMAL(10, 2),
+  discount_amount DECIMAL(10, 2) DEFAULT 0,
+  bonus_days INT DEFAULT 0,
+  -- SHA-256 of the token handed to the browser that placed the order; it exchanges it,
+  -- once, for a portal session when the order is fulfilled
+  claim_token_hash VARCHAR(64),
+  claimed_at TIMESTAMP,
+  status VARCHAR(50) DEFAULT 'pending',
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP,
+  fulfilled_at TIMESTAMP
+);
+
+-- Discount campaigns. A campaign gives a percentage or fixed amount off, or free days,
+-- through its coupon codes; plan_ids/site_ids (NULL = any) and `channel` restrict
+-- where it applies. Only stackable campaigns combine with other codes.
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(10),
+  max_discount DECIMAL(10, 2),
+  min_amount DECIMAL(10, 2),
+  channel VARCHAR(20) DEFAULT 'any',
+  plan_ids INT[],
+  site_ids INT[],
+  stackable BOOLEAN DEFAULT false,
+  priority INT DEFAULT 100,
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  max_redemptions INT,
+  max_redemptions_per_user INT,
+  status VARCHAR(20) DEFAULT 'active',
+  created_by INT REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS promotion_codes (
+  id SERIAL PRIMARY KEY,
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  max_redemptions INT,
+  status VARCHAR(20) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A code used on a portal order or a voucher batch. Reserved while the order awaits
+-- payment (counting towards the limits for a day), redeemed once it is paid.
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INT NOT NULL REFERENCES promotions(id),
+  promotion_code_id INT NOT NULL REFERENCES promotion_codes(id),
+  channel VARCHAR(20) NOT NULL,
+  order_id UUID REFERENCES portal_orders(id),
+  batch_id VARCHAR(64) REFERENCES voucher_batches(id),
+  customer_key VARCHAR(255),
+  plan_id INT,
+  site_id INT,
+  list_amount DECIMAL(10, 2),
+  discount_amount DECIMAL(10, 2) DEFAULT 0,
+  bonus_days INT DEFAULT 0,
+  currency VARCHAR(10),
+  status VARCHAR(20) DEFAULT 'reserved',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  redeemed_at TIMESTAMP
 );
 
 -- Session Logs Table
@@ -59,7 +323,14 @@ CREATE TABLE IF NOT EXISTS session_logs (
   bytes_download BIGINT DEFAULT 0,
   bytes_upload BIGINT DEFAULT 0,
   duration INT,
-  status VARCHAR(50)
+  status VARCHAR(50),
+  acct_session_id VARCHAR(64),
+  nas_ip_address INET,
+  terminate_cause VARCHAR(64),
+  coa_action VARCHAR(32),
+  coa_result VARCHAR(32),
+  coa_error TEXT,
+  coa_at TIMESTAMP
 );
 
 -- Bandwidth Usage Tracking
@@ -73,6 +344,107 @@ CREATE TABLE IF NOT EXISTS bandwidth_usage (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Bandwidth Schedules (time-of-day speed windows)
+CREATE TABLE IF NOT EXISTS bandwidth_schedules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  days INT[] DEFAULT '{0,1,2,3,4,5,6}',
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  rate_limit VARCHAR(64),
+  counts_toward_quota BOOLEAN DEFAULT TRUE,
+  fup_policy_id INT REFERENCES fup_policies(id),
+  site_id INT,
+  status VARCHAR(50) DEFAULT 'active',
+  applied BOOLEAN DEFAULT FALSE,
+  last_applied_at TIMESTAMP,
+  last_reverted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Users currently under a schedule
+CREATE TABLE IF NOT EXISTS bandwidth_schedule_runs (
+  id SERIAL PRIMARY KEY,
+  schedule_id INT REFERENCES bandwidth_schedules(id) ON DELETE CASCADE,
+  username VARCHAR(255) REFERENCES hotspot_users(username),
+  usage_at_start BIGINT DEFAULT 0,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (schedule_id, username)
+);
+
+-- A user's queue limits from before the first schedule in effect, per router
+-- ('main' or 'site:<id>'), restored when the last one ends
+CREATE TABLE IF NOT EXISTS bandwidth_base_limits (
+  username VARCHAR(255) REFERENCES hotspot_users(username) ON DELETE CASCADE,
+  router_key VARCHAR(32) NOT NULL,
+  max_limit VARCHAR(64),
+  limit_at VARCHAR(64),
+  burst_limit VARCHAR(64),
+  saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (username, router_key)
+);
+
+-- Walled Garden (reachable before login); site_id NULL = every router
+CREATE TABLE IF NOT EXISTS walled_garden_entries (
+  id SERIAL PRIMARY KEY,
+  site_id INT,
+  entry_type VARCHAR(10) DEFAULT 'host',
+  dst_host VARCHAR(255),
+  dst_address VARCHAR(64),
+  dst_port VARCHAR(32),
+  protocol VARCHAR(16),
+  action VARCHAR(10) DEFAULT 'allow',
+  preset VARCHAR(32),
+  comment TEXT,
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sites (remote routers managed through MultiSiteManager). router_api_type is the
+-- transport: 'rest', 'rest-ssl', 'api', 'api-ssl' or 'auto' (probed on first use);
+-- router_port is that transport's port. timezone (IANA name) is the clock the site's
+-- bandwidth schedules follow
+CREATE TABLE IF NOT EXISTS sites (
+  id SERIAL PRIMARY KEY,
+  site_name VARCHAR(255) NOT NULL,
+  location VARCHAR(255),
+  site_type VARCHAR(20) DEFAULT 'remote',
+  router_ip VARCHAR(255),
+  router_port INT,
+  router_user VARCHAR(255),
+  router_pass VARCHAR(255),
+  router_api_type VARCHAR(20) DEFAULT 'auto',
+  timezone VARCHAR(64),
+  api_key VARCHAR(128) UNIQUE,
+  bandwidth INT,
+  max_users INT,
+  parent_site_id INT REFERENCES sites(id),
+  status VARCHAR(50) DEFAULT 'active',
+  last_heartbeat TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_api_logs (
+  id SERIAL PRIMARY KEY,
+  site_id INT REFERENCES sites(id) ON DELETE CASCADE,
+  endpoint TEXT,
+  method VARCHAR(10),
+  status_code INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS site_management_tokens (
+  id SERIAL PRIMARY KEY,
+  site_id INT REFERENCES sites(id) ON DELETE CASCADE,
+  token VARCHAR(128) NOT NULL,
+  permissions JSONB DEFAULT '[]',
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Network Devices (Access Points/Routers)
 CREATE TABLE IF NOT EXISTS network_devices (
   id SERIAL PRIMARY KEY,
@@ -98,11 +470,357 @@ CREATE TABLE IF NOT EXISTS payments (
   payment_method VARCHAR(50),
   transaction_id VARCHAR(255) UNIQUE,
   stripe_payment_id VARCHAR(255),
+  provider VARCHAR(50) DEFAULT 'stripe',
+  provider_payment_id VARCHAR(255),
+  reference VARCHAR(64) UNIQUE,
+  order_id UUID REFERENCES portal_orders(id),
+  site_id INT,
+  reseller_id INT,
   description TEXT,
+  metadata JSONB DEFAULT '{}',
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring plan subscriptions, renewed by the billing engine
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INT REFERENCES users(id),
+  hotspot_user_id INT REFERENCES hotspot_users(id) ON DELETE SET NULL,
+  plan_id INT REFERENCES subscription_plans(id),
+  price DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(10) DEFAULT 'USD',
+  status VARCHAR(50) DEFAULT 'active',
+  provider VARCHAR(50),
+  provider_customer_id VARCHAR(255),
+  payment_method_id VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(20),
+  current_period_start TIMESTAMP,
+  current_period_end TIMESTAMP,
+  next_billing_date TIMESTAMP,
+  credit_balance DECIMAL(10, 2) DEFAULT 0,
+  pending_plan_id INT REFERENCES subscription_plans(id),
+  failed_attempts INT DEFAULT 0,
+  next_retry_at TIMESTAMP,
+  last_error TEXT,
+  suspended_at TIMESTAMP,
+  suspension_action VARCHAR(20),
+  previous_profile_id INT REFERENCES hotspot_profiles(id),
+  cancelled_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- One row per renewal attempt; paid by a saved payment method or a payment link
+CREATE TABLE IF NOT EXISTS subscription_charges (
+  id SERIAL PRIMARY KEY,
+  subscription_id INT REFERENCES user_subscriptions(id) ON DELETE CASCADE,
+  type VARCHAR(20) DEFAULT 'renewal',
+  attempt INT DEFAULT 1,
+  amount DECIMAL(10, 2) NOT NULL,
+  credit_applied DECIMAL(10, 2) DEFAULT 0,
+  currency VARCHAR(10) DEFAULT 'USD',
+  period_start TIMESTAMP NOT NULL,
+  period_end TIMESTAMP NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  provider VARCHAR(50),
+  payment_id INT REFERENCES payments(id),
+  transaction_id VARCHAR(255),
+  checkout_url TEXT,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP
+);
+
+-- Plan switches with their proration: the adjusted invoice of an immediate change,
+-- or a change scheduled for the end of the period
+CREATE TABLE IF NOT EXISTS subscription_plan_changes (
+  id SERIAL PRIMARY KEY,
+  subscription_id INT REFERENCES user_subscriptions(id) ON DELETE CASCADE,
+  from_plan_id INT REFERENCES subscription_plans(id),
+  to_plan_id INT REFERENCES subscription_plans(id),
+  effective VARCHAR(20) NOT NULL,
+  status VARCHAR(20) DEFAULT 'scheduled',
+  period_start TIMESTAMP,
+  period_end TIMESTAMP,
+  remaining_fraction DECIMAL(7, 6),
+  unused_credit DECIMAL(10, 2) DEFAULT 0,
+  new_cost DECIMAL(10, 2) DEFAULT 0,
+  balance_applied DECIMAL(10, 2) DEFAULT 0,
+  amount_due DECIMAL(10, 2) DEFAULT 0,
+  amount_credited DECIMAL(10, 2) DEFAULT 0,
+  currency VARCHAR(10),
+  charge_id INT REFERENCES subscription_charges(id),
+  requested_by INT REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  applied_at TIMESTAMP
+);
+
+-- Resellers selling vouchers under their own brand, and the commission on each sale
+CREATE TABLE IF NOT EXISTS resellers (
+  id SERIAL PRIMARY KEY,
+  business_name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(20),
+  country VARCHAR(100),
+  address TEXT,
+  contact_person VARCHAR(255),
+  commission_rate DECIMAL(5, 2) DEFAULT 20,
+  max_users INT DEFAULT 1000,
+  api_key VARCHAR(128),
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS commission_rates (
+  id SERIAL PRIMARY KEY,
+  reseller_id INT NOT NULL REFERENCES resellers(id) ON DELETE CASCADE,
+  transaction_type VARCHAR(50),
+  rate DECIMAL(5, 2) NOT NULL,
+  min_amount DECIMAL(10, 2) DEFAULT 0,
+  max_amount DECIMAL(10, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per sale (transaction_type + reference_id), credited to the reseller's wallet
+CREATE TABLE IF NOT EXISTS reseller_commissions (
+  id SERIAL PRIMARY KEY,
+  reseller_id INT NOT NULL REFERENCES resellers(id),
+  transaction_type VARCHAR(50) NOT NULL,
+  reference_id VARCHAR(64) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  commission_rate DECIMAL(5, 2),
+  commission_amount DECIMAL(10, 2) NOT NULL,
+  paid_amount DECIMAL(10, 2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prepaid wallet, kept as a double-entry ledger. Every balance is an account: a hotspot
+-- user's, reseller's or affiliate's, or a system account money comes from or goes to
+-- (gateway, sales, commissions, payouts, adjustments). Journal entries move money in
+-- postings that sum to zero; `balance` is the running total of the account's postings.
+CREATE TABLE IF NOT EXISTS wallet_accounts (
+  id SERIAL PRIMARY KEY,
+  owner_type VARCHAR(20) NOT NULL,
+  owner_id INT,
+  code VARCHAR(50) NOT NULL DEFAULT 'main',
+  currency VARCHAR(10) NOT NULL,
+  balance DECIMAL(12, 2) DEFAULT 0,
+  held DECIMAL(12, 2) DEFAULT 0,
+  allow_negative BOOLEAN DEFAULT false,
+  status VARCHAR(20) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS wallet_journal_entries (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(30) NOT NULL,
+  description TEXT,
+  currency VARCHAR(10) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  reference_type VARCHAR(30),
+  reference_id VARCHAR(64),
+  idempotency_key VARCHAR(128) UNIQUE,
+  reverses_entry_id INT REFERENCES wallet_journal_entries(id),
+  created_by INT REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Positive amounts credit the account, negative ones debit it
+CREATE TABLE IF NOT EXISTS wallet_postings (
+  id SERIAL PRIMARY KEY,
+  entry_id INT NOT NULL REFERENCES wallet_journal_entries(id),
+  account_id INT NOT NULL REFERENCES wallet_accounts(id),
+  amount DECIMAL(12, 2) NOT NULL,
+  balance_after DECIMAL(12, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Money set aside on an account (e.g. a requested payout) until it is captured or released
+CREATE TABLE IF NOT EXISTS wallet_holds (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES wallet_accounts(id),
+  amount DECIMAL(12, 2) NOT NULL,
+  reason VARCHAR(30),
+  reference_type VARCHAR(30),
+  reference_id VARCHAR(64),
+  status VARCHAR(20) DEFAULT 'active',
+  entry_id INT REFERENCES wallet_journal_entries(id),
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  settled_at TIMESTAMP
+);
+
+-- Wallet top-ups paid through the payment service
+CREATE TABLE IF NOT EXISTS wallet_topups (
+  id UUID PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES wallet_accounts(id),
+  amount DECIMAL(12, 2) NOT NULL,
+  currency VARCHAR(10) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  payment_provider VARCHAR(50),
+  checkout_session_id VARCHAR(255),
+  transaction_id VARCHAR(255),
+  entry_id INT REFERENCES wallet_journal_entries(id),
+  requested_by INT REFERENCES users(id),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  credited_at TIMESTAMP
+);
+
+-- Tax charged per seller country; prices are tax-inclusive and invoices break the tax out
+CREATE TABLE IF NOT EXISTS tax_rates (
+  id SERIAL PRIMARY KEY,
+  country VARCHAR(2) NOT NULL,
+  tax_name VARCHAR(50) NOT NULL,
+  rate DECIMAL(5, 2) NOT NULL,
+  registration_label VARCHAR(50),
+  invoice_title VARCHAR(100),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  status VARCHAR(20) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Gapless invoice / credit note numbers per tenant (NULL reseller = the operator)
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  id SERIAL PRIMARY KEY,
+  reseller_id INT,
+  document_type VARCHAR(20) NOT NULL,
+  prefix VARCHAR(30) NOT NULL,
+  next_number INT NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoices for completed payments and credit notes for refunds, with the rendered PDF
+CREATE TABLE IF NOT EXISTS invoices (
+  id SERIAL PRIMARY KEY,
+  number VARCHAR(50) UNIQUE NOT NULL,
+  document_type VARCHAR(20) NOT NULL DEFAULT 'invoice',
+  payment_id INT NOT NULL REFERENCES payments(id),
+  original_invoice_id INT REFERENCES invoices(id),
+  reseller_id INT,
+  hotspot_user_id INT REFERENCES hotspot_users(id),
+  user_id INT REFERENCES users(id),
+  customer_name VARCHAR(255),
+  customer_email VARCHAR(255),
+  customer_phone VARCHAR(20),
+  seller JSONB NOT NULL DEFAULT '{}',
+  lines JSONB NOT NULL DEFAULT '[]',
+  currency VARCHAR(10) NOT NULL,
+  subtotal DECIMAL(12, 2) NOT NULL,
+  tax_name VARCHAR(50),
+  tax_rate DECIMAL(5, 2) DEFAULT 0,
+  tax_amount DECIMAL(12, 2) DEFAULT 0,
+  total DECIMAL(12, 2) NOT NULL,
+  country VARCHAR(2),
+  status VARCHAR(20) DEFAULT 'issued',
+  pdf BYTEA,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  emailed_at TIMESTAMP
+);
+
+-- Which payment gateway takes a payment; the most specific active route wins
+-- (site, then reseller, then currency), NULL columns match anything
+CREATE TABLE IF NOT EXISTS payment_provider_routes (
+  id SERIAL PRIMARY KEY,
+  site_id INT,
+  reseller_id INT,
+  currency VARCHAR(10),
+  provider VARCHAR(50) NOT NULL,
+  priority INT DEFAULT 100,
+  status VARCHAR(20) DEFAULT 'active',
+  created_by INT REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Provider transaction/settlement exports imported for reconciliation
+CREATE TABLE IF NOT EXISTS settlement_imports (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  file_name VARCHAR(255),
+  format VARCHAR(10),
+  checksum VARCHAR(64),
+  period_start TIMESTAMP,
+  period_end TIMESTAMP,
+  row_count INT DEFAULT 0,
+  status VARCHAR(20) DEFAULT 'imported',
+  summary JSONB DEFAULT '{}',
+  imported_by INT REFERENCES users(id),
+  reconciled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, checksum)
+);
+
+-- One row of an export, normalized; payment_id is the payments row it matched
+CREATE TABLE IF NOT EXISTS settlement_transactions (
+  id SERIAL PRIMARY KEY,
+  import_id INT REFERENCES settlement_imports(id) ON DELETE CASCADE,
+  row_number INT,
+  type VARCHAR(20) DEFAULT 'payment',
+  transaction_id VARCHAR(255),
+  payment_ref VARCHAR(255),
+  reference VARCHAR(255),
+  status VARCHAR(50),
+  amount DECIMAL(12, 2),
+  refunded_amount DECIMAL(12, 2) DEFAULT 0,
+  fee DECIMAL(12, 2),
+  net DECIMAL(12, 2),
+  currency VARCHAR(10),
+  occurred_at TIMESTAMP,
+  payment_id INT REFERENCES payments(id),
+  match_status VARCHAR(20) DEFAULT 'pending',
+  raw JSONB
+);
+
+-- Discrepancies found by a reconciliation run; resolved ones survive re-runs
+CREATE TABLE IF NOT EXISTS reconciliation_issues (
+  id SERIAL PRIMARY KEY,
+  import_id INT REFERENCES settlement_imports(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  settlement_transaction_id INT REFERENCES settlement_transactions(id) ON DELETE CASCADE,
+  payment_id INT REFERENCES payments(id),
+  voucher_id INT REFERENCES vouchers(id),
+  expected_amount DECIMAL(12, 2),
+  settled_amount DECIMAL(12, 2),
+  currency VARCHAR(10),
+  details TEXT,
+  resolved_by INT REFERENCES users(id),
+  resolved_at TIMESTAMP,
+  resolution_note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inbound gateway webhooks, one row per provider event: redeliveries only bump
+-- `deliveries`, failed events are retried with backoff and end up 'dead'
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(50),
+  source_type VARCHAR(100),
+  provider_payment_id VARCHAR(255),
+  transaction_id VARCHAR(255),
+  payment_id INT REFERENCES payments(id),
+  event JSONB NOT NULL,
+  payload JSONB,
+  status VARCHAR(20) DEFAULT 'received',
+  attempts INT DEFAULT 0,
+  deliveries INT DEFAULT 1,
+  last_error TEXT,
+  occurred_at TIMESTAMP,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  -- Set while a worker is handling the event
+  claimed_until TIMESTAMP,
+  UNIQUE (provider, event_id)
+);
+
 -- Notifications Log
 CREATE TABLE IF NOT EXISTS notifications (
   id SERIAL PRIMARY KEY,
@@ -114,6 +832,10 @@ CREATE TABLE IF NOT EXISTS notifications (
   message TEXT,
   recipient VARCHAR(255),
   status VARCHAR(50) DEFAULT 'sent',
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -131,14 +853,59 @@ CREATE TABLE IF NOT EXISTS settings (
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_hotspot_users_username ON hotspot_users(username);
 CREATE INDEX idx_hotspot_users_status ON hotspot_users(status);
+CREATE INDEX idx_hotspot_users_fup_policy_id ON hotspot_users(fup_policy_id);
+CREATE INDEX idx_user_devices_mac_address ON user_devices(mac_address);
+CREATE INDEX idx_oauth_identities_hotspot_user_id ON oauth_identities(hotspot_user_id);
+CREATE UNIQUE INDEX idx_guest_access_settings_site_id ON guest_access_settings((COALESCE(site_id, 0)));
+CREATE UNIQUE INDEX idx_terms_versions_site_version ON terms_versions((COALESCE(site_id, 0)), version);
+CREATE INDEX idx_terms_acceptances_mac_address ON terms_acceptances(mac_address);
+CREATE INDEX idx_terms_acceptances_accepted_at ON terms_acceptances(accepted_at);
+CREATE INDEX idx_guest_access_grants_mac_granted ON guest_access_grants(mac_address, granted_at);
 CREATE INDEX idx_vouchers_code ON vouchers(code);
 CREATE INDEX idx_vouchers_status ON vouchers(status);
+CREATE INDEX idx_vouchers_batch_id ON vouchers(batch_id);
+CREATE INDEX idx_vouchers_profile_id ON vouchers(profile_id);
+CREATE INDEX idx_portal_orders_status ON portal_orders(status);
+CREATE UNIQUE INDEX idx_payments_provider_payment ON payments(provider, provider_payment_id);
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_user_subscriptions_due ON user_subscriptions(status, next_billing_date);
+CREATE INDEX idx_user_subscriptions_hotspot_user ON user_subscriptions(hotspot_user_id);
+CREATE INDEX idx_subscription_charges_subscription ON subscription_charges(subscription_id, status);
+CREATE INDEX idx_subscription_plan_changes_subscription ON subscription_plan_changes(subscription_id, status);
+CREATE INDEX idx_promotion_codes_promotion ON promotion_codes(promotion_id);
+CREATE INDEX idx_promotion_redemptions_code ON promotion_redemptions(promotion_code_id, status);
+CREATE INDEX idx_promotion_redemptions_customer ON promotion_redemptions(promotion_id, customer_key);
+CREATE INDEX idx_promotion_redemptions_order ON promotion_redemptions(order_id);
+CREATE UNIQUE INDEX idx_wallet_accounts_owner ON wallet_accounts(owner_type, COALESCE(owner_id, 0), code, currency);
+CREATE INDEX idx_wallet_postings_account ON wallet_postings(account_id, id);
+CREATE INDEX idx_wallet_postings_entry ON wallet_postings(entry_id);
+CREATE INDEX idx_wallet_journal_entries_reference ON wallet_journal_entries(reference_type, reference_id);
+CREATE INDEX idx_wallet_holds_active ON wallet_holds(status, expires_at);
+CREATE INDEX idx_wallet_topups_account ON wallet_topups(account_id, created_at);
+CREATE UNIQUE INDEX idx_reseller_commissions_sale ON reseller_commissions(reseller_id, transaction_type, reference_id);
+CREATE INDEX idx_tax_rates_country ON tax_rates(country, effective_from);
+CREATE UNIQUE INDEX idx_invoice_sequences_tenant ON invoice_sequences(COALESCE(reseller_id, 0), document_type);
+CREATE UNIQUE INDEX idx_invoices_payment ON invoices(payment_id, document_type);
+CREATE INDEX idx_invoices_hotspot_user ON invoices(hotspot_user_id, issued_at);
+CREATE INDEX idx_invoices_reseller ON invoices(reseller_id, issued_at);
+CREATE INDEX idx_payment_provider_routes_lookup ON payment_provider_routes(status, currency);
+CREATE INDEX idx_settlement_transactions_import ON settlement_transactions(import_id);
+CREATE INDEX idx_settlement_transactions_transaction ON settlement_transactions(transaction_id);
+CREATE UNIQUE INDEX idx_reconciliation_issues_unique ON reconciliation_issues(
+  import_id, type, (COALESCE(settlement_transaction_id, 0)), (COALESCE(payment_id, 0))
+);
+CREATE INDEX idx_payment_webhook_events_due ON payment_webhook_events(status, next_attempt_at);
+CREATE INDEX idx_payment_webhook_events_payment ON payment_webhook_events(provider, provider_payment_id);
 CREATE INDEX idx_session_logs_username ON session_logs(username);
 CREATE INDEX idx_session_logs_login_time ON session_logs(login_time);
 CREATE INDEX idx_bandwidth_usage_username ON bandwidth_usage(username);
 CREATE INDEX idx_bandwidth_usage_date ON bandwidth_usage(date);
+CREATE UNIQUE INDEX idx_bandwidth_usage_username_date ON bandwidth_usage(username, date);
+CREATE INDEX idx_session_logs_acct_session_id ON session_logs(acct_session_id);
+CREATE INDEX idx_walled_garden_entries_site_id ON walled_garden_entries(site_id);
 CREATE INDEX idx_network_devices_status ON network_devices(status);
 CREATE INDEX idx_payments_status ON payments(status);
+CREATE INDEX idx_notifications_outbox ON notifications(status, next_attempt_at);
 
 -- Insert Default Admin User
 INSERT INTO users (email, password, role) 
@@ -153,3 +920,8 @@ INSERT INTO settings (key, value, description) VALUES
 ('currency', 'USD', 'Default currency'),
 ('support_email', 'support@hotspot.local', 'Support email address')
 ON CONFLICT DO NOTHING;
+
+-- Bangladesh standard VAT; the BIN and Mushak-6.3 are required on VAT invoices
+INSERT INTO tax_rates (country, tax_name, rate, registration_label, invoice_title, effective_from)
+SELECT 'BD', 'VAT', 15.00, 'BIN', 'Tax Invoice (Mushak-6.3)', DATE '2019-07-01'
+WHERE NOT EXISTS (SELECT 1 FROM tax_rates WHERE country = 'BD');
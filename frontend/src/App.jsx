@@ -143,6 +143,60 @@ const Dashboard = () => {
           >
             Vouchers
           </button>
+          <button
+            className={activeTab === 'sessions' ? 'active' : ''}
+            onClick={() => setActiveTab('sessions')}
+          >
+            Sessions
+          </button>
+          <button
+            className={activeTab === 'walled-garden' ? 'active' : ''}
+            onClick={() => setActiveTab('walled-garden')}
+          >
+            Walled Garden
+          </button>
+          <button
+            className={activeTab === 'guest-access' ? 'active' : ''}
+            onClick={() => setActiveTab('guest-access')}
+          >
+            Free Access
+          </button>
+          <button
+            className={activeTab === 'payment-routes' ? 'active' : ''}
+            onClick={() => setActiveTab('payment-routes')}
+          >
+            Payments
+          </button>
+          <button
+            className={activeTab === 'subscriptions' ? 'active' : ''}
+            onClick={() => setActiveTab('subscriptions')}
+          >
+            Subscriptions
+          </button>
+          <button
+            className={activeTab === 'wallets' ? 'active' : ''}
+            onClick={() => setActiveTab('wallets')}
+          >
+            Wallets
+          </button>
+          <button
+            className={activeTab === 'promotions' ? 'active' : ''}
+            onClick={() => setActiveTab('promotions')}
+          >
+            Promotions
+          </button>
+          <button
+            className={activeTab === 'invoices' ? 'active' : ''}
+            onClick={() => setActiveTab('invoices')}
+          >
+            Invoices
+          </button>
+          <button
+            className={activeTab === 'reconciliation' ? 'active' : ''}
+            onClick={() => setActiveTab('reconciliation')}
+          >
+            Reconciliation
+          </button>
           <button
             className={activeTab === 'bandwidth' ? 'active' : ''}
             onClick={() => setActiveTab('bandwidth')}
@@ -171,6 +225,15 @@ const Dashboard = () => {
         {activeTab === 'dashboard' && <DashboardTab networkStatus={networkStatus} />}
         {activeTab === 'users' && <UsersTab users={users} />}
         {activeTab === 'vouchers' && <VouchersTab vouchers={vouchers} onRefresh={fetchVouchers} />}
+        {activeTab === 'sessions' && <SessionsTab />}
+        {activeTab === 'walled-garden' && <WalledGardenTab />}
+        {activeTab === 'guest-access' && <GuestAccessTab />}
+        {activeTab === 'payment-routes' && <PaymentRoutesTab />}
+        {activeTab === 'subscriptions' && <SubscriptionsTab />}
+        {activeTab === 'wallets' && <WalletsTab />}
+        {activeTab === 'promotions' && <PromotionsTab />}
+        {activeTab === 'invoices' && <InvoicesTab />}
+        {activeTab === 'reconciliation' && <ReconciliationTab />}
         {activeTab === 'bandwidth' && <BandwidthTab users={users} />}
         {activeTab === 'network' && <NetworkTab networkStatus={networkStatus} />}
       </div>
@@ -342,6 +405,8 @@ const VouchersTab = ({ vouchers, onRefresh }) => {
         </div>
       </div>
 
+      <VoucherBatchesSection onRefresh={onRefresh} />
+
       <table className="vouchers-table">
         <thead>
           <tr>
@@ -370,6 +435,2366 @@ const VouchersTab = ({ vouchers, onRefresh }) => {
   );
 };
 
+const VoucherBatchesSection = ({ onRefresh }) => {
+  const [batches, setBatches] = useState([]);
+  const [newBatch, setNewBatch] = useState({
+    name: '',
+    quantity: 100,
+    days: 7,
+    price: 10,
+    bandwidth: 5,
+    codeLength: 10,
+    alphabet: '',
+    promoCodes: '',
+  });
+  const [creating, setCreating] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchBatches = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/vouchers/batches`, {
+        headers: authHeaders(),
+      });
+      setBatches(response.data);
+    } catch (error) {
+      console.error('Error fetching voucher batches:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
+  const handleCreateBatch = async () => {
+    setCreating(true);
+    try {
+      const { alphabet, promoCodes, ...batch } = newBatch;
+      if (alphabet) batch.alphabet = alphabet;
+      if (promoCodes) batch.promoCodes = promoCodes.split(/[\s,]+/).filter(Boolean);
+      await axios.post(
+        `${API_URL}/api/vouchers/batches`,
+        batch,
+        { headers: authHeaders() }
+      );
+      alert('Voucher batch generated successfully!');
+      fetchBatches();
+      onRefresh();
+    } catch (error) {
+      alert('Error generating batch: ' + error.response?.data?.error);
+    }
+    setCreating(false);
+  };
+
+  const handleDownload = async (batchId, type) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/vouchers/batches/${batchId}/${type}`, {
+        headers: authHeaders(),
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `vouchers-${batchId}.${type === 'pdf' ? 'pdf' : 'csv'}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error downloading batch: ' + error.message);
+    }
+  };
+
+  const handleVoid = async (batchId) => {
+    const reason = window.prompt('Reason for voiding this batch?');
+    if (reason === null) return;
+
+    try {
+      await axios.post(
+        `${API_URL}/api/vouchers/batches/${batchId}/void`,
+        { reason },
+        { headers: authHeaders() }
+      );
+      fetchBatches();
+      onRefresh();
+    } catch (error) {
+      alert('Error voiding batch: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <>
+      <div className="form-section">
+        <h3>Generate Voucher Batch</h3>
+        <div className="form-group">
+          <input
+            type="text"
+            placeholder="Batch Name"
+            value={newBatch.name}
+            onChange={(e) => setNewBatch({ ...newBatch, name: e.target.value })}
+          />
+          <input
+            type="number"
+            placeholder="Quantity"
+            value={newBatch.quantity}
+            onChange={(e) => setNewBatch({ ...newBatch, quantity: parseInt(e.target.value) })}
+          />
+          <input
+            type="number"
+            placeholder="Days"
+            value={newBatch.days}
+            onChange={(e) => setNewBatch({ ...newBatch, days: parseInt(e.target.value) })}
+          />
+          <input
+            type="number"
+            placeholder="Price"
+            value={newBatch.price}
+            onChange={(e) => setNewBatch({ ...newBatch, price: parseFloat(e.target.value) })}
+          />
+          <input
+            type="number"
+            placeholder="Bandwidth (GB)"
+            value={newBatch.bandwidth}
+            onChange={(e) => setNewBatch({ ...newBatch, bandwidth: parseInt(e.target.value) })}
+          />
+          <input
+            type="number"
+            placeholder="Code Length"
+            value={newBatch.codeLength}
+            onChange={(e) => setNewBatch({ ...newBatch, codeLength: parseInt(e.target.value) })}
+          />
+          <input
+            type="text"
+            placeholder="Alphabet (optional)"
+            value={newBatch.alphabet}
+            onChange={(e) => setNewBatch({ ...newBatch, alphabet: e.target.value.toUpperCase() })}
+          />
+          <input
+            type="text"
+            placeholder="Promo codes (optional)"
+            value={newBatch.promoCodes}
+            onChange={(e) => setNewBatch({ ...newBatch, promoCodes: e.target.value.toUpperCase() })}
+          />
+          <button onClick={handleCreateBatch} disabled={creating}>
+            {creating ? 'Generating...' : 'Generate Batch'}
+          </button>
+        </div>
+      </div>
+
+      <table className="vouchers-table">
+        <thead>
+          <tr>
+            <th>Batch</th>
+            <th>Plan</th>
+            <th>Active / Redeemed / Total</th>
+            <th>Status</th>
+            <th>Created</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {batches.map((batch) => (
+            <tr key={batch.id}>
+              <td>{batch.name}</td>
+              <td>
+                {batch.days}d · {batch.bandwidth} GB · ${batch.price}
+                {batch.list_price && Number(batch.list_price) !== Number(batch.price) && ` (list $${batch.list_price})`}
+                {batch.bonus_days > 0 && ` · +${batch.bonus_days}d promo`}
+              </td>
+              <td>{batch.active_vouchers} / {batch.redeemed_vouchers} / {batch.total_vouchers}</td>
+              <td><span className={`status ${batch.status}`}>{batch.status}</span></td>
+              <td>{new Date(batch.created_at).toLocaleDateString()}</td>
+              <td>
+                <button className="btn-small" onClick={() => handleDownload(batch.id, 'pdf')}>
+                  Print PDF
+                </button>
+                <button className="btn-small" onClick={() => handleDownload(batch.id, 'export')}>
+                  Export CSV
+                </button>
+                {batch.status !== 'void' && (
+                  <button className="btn-small danger" onClick={() => handleVoid(batch.id)}>
+                    Void
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+};
+
+const SESSIONS_REFRESH_MS = 10000;
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(0)} KB`;
+};
+
+const SessionsTab = () => {
+  const [sessions, setSessions] = useState([]);
+  const [lastUpdated, setLastUpdated] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/sessions`, {
+        headers: authHeaders(),
+      });
+      setSessions(response.data);
+      setLastUpdated(new Date());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    const timer = setInterval(fetchSessions, SESSIONS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleDisconnect = async (session, block) => {
+    const action = block ? 'Block' : 'Kick';
+    if (!window.confirm(`${action} ${session.user} (${session.macAddress})?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/sessions/${encodeURIComponent(session.id)}`, {
+        headers: authHeaders(),
+        params: block ? { block: true } : undefined,
+      });
+      fetchSessions();
+    } catch (error) {
+      alert(`Error (${action}): ` + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Active Sessions ({sessions.length})</h2>
+      <p>
+        Refreshes every {SESSIONS_REFRESH_MS / 1000}s
+        {lastUpdated && ` - last updated ${lastUpdated.toLocaleTimeString()}`}
+      </p>
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>IP Address</th>
+            <th>MAC Address</th>
+            <th>Access Point</th>
+            <th>Uptime</th>
+            <th>Download</th>
+            <th>Upload</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((session) => (
+            <tr key={session.id}>
+              <td>{session.user}</td>
+              <td>{session.ipAddress}</td>
+              <td>{session.macAddress}</td>
+              <td>
+                {session.accessPoint || '-'}
+                {session.signal && ` (${session.signal})`}
+              </td>
+              <td>{session.uptime}</td>
+              <td>{formatBytes(session.bytesOut)}</td>
+              <td>{formatBytes(session.bytesIn)}</td>
+              <td>
+                <button className="btn-small" onClick={() => handleDisconnect(session, false)}>
+                  Kick
+                </button>
+                <button className="btn-small danger" onClick={() => handleDisconnect(session, true)}>
+                  Block
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const WalledGardenTab = () => {
+  const [entries, setEntries] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [drift, setDrift] = useState([]);
+  const [scope, setScope] = useState('');
+  const [newEntry, setNewEntry] = useState({ type: 'host', target: '', dstPort: '', action: 'allow' });
+  const [syncing, setSyncing] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchEntries = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/walled-garden`, {
+        headers: authHeaders(),
+      });
+      setEntries(response.data);
+    } catch (error) {
+      console.error('Error fetching walled garden:', error);
+    }
+  };
+
+  const fetchDrift = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/walled-garden/drift`, {
+        headers: authHeaders(),
+      });
+      setDrift(response.data);
+    } catch (error) {
+      console.error('Error checking walled garden drift:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+    fetchDrift();
+    axios.get(`${API_URL}/api/walled-garden/presets`, { headers: authHeaders() })
+      .then((response) => setPresets(response.data))
+      .catch((error) => console.error('Error fetching presets:', error));
+    axios.get(`${API_URL}/api/sites`, { headers: authHeaders() })
+      .then((response) => setSites(response.data))
+      .catch((error) => console.error('Error fetching sites:', error));
+  }, []);
+
+  const siteName = (siteId) => {
+    if (!siteId) return 'All routers';
+    const site = sites.find((s) => s.id === siteId);
+    return site ? site.site_name : `Site ${siteId}`;
+  };
+
+  const handleAdd = async () => {
+    const { type, target, dstPort, action } = newEntry;
+    try {
+      await axios.post(
+        `${API_URL}/api/walled-garden`,
+        {
+          type,
+          action,
+          dstPort: dstPort || undefined,
+          [type === 'ip' && /^[0-9./]+$/.test(target) ? 'dstAddress' : 'dstHost']: target,
+          siteId: scope ? parseInt(scope) : null,
+        },
+        { headers: authHeaders() }
+      );
+      setNewEntry({ ...newEntry, target: '', dstPort: '' });
+      fetchEntries();
+      fetchDrift();
+    } catch (error) {
+      alert('Error adding entry: ' + error.response?.data?.error);
+    }
+  };
+
+  const handlePreset = async (name) => {
+    try {
+      await axios.post(
+        `${API_URL}/api/walled-garden/presets/${name}`,
+        { siteId: scope ? parseInt(scope) : null },
+        { headers: authHeaders() }
+      );
+      fetchEntries();
+      fetchDrift();
+    } catch (error) {
+      alert('Error applying preset: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove ${entry.dst_host || entry.dst_address} from the walled garden?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/walled-garden/${entry.id}`, {
+        headers: authHeaders(),
+      });
+      fetchEntries();
+      fetchDrift();
+    } catch (error) {
+      alert('Error removing entry: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/walled-garden/sync`, {}, {
+        headers: authHeaders(),
+      });
+      const failed = response.data.routers.filter((r) => r.error);
+      if (failed.length > 0) {
+        alert('Sync failed on: ' + failed.map((r) => `${r.router} (${r.error})`).join(', '));
+      }
+      fetchDrift();
+    } catch (error) {
+      alert('Error syncing walled garden: ' + error.response?.data?.error);
+    }
+    setSyncing(false);
+  };
+
+  const describe = (item) => item.entry
+    ? item.entry.dst_host || item.entry.dst_address
+    : item.routerEntry['dst-host'] || item.routerEntry['dst-address'];
+
+  return (
+    <div className="tab-content">
+      <h2>Walled Garden</h2>
+      <p>Hosts reachable before login, such as payment gateways, the support site and the portal</p>
+
+      <div className="form-section">
+        <h3>Add Entry</h3>
+        <div className="form-group">
+          <select value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="">All routers (global)</option>
+            {sites.map((site) => (
+              <option key={site.id} value={site.id}>{site.site_name}</option>
+            ))}
+          </select>
+          <select
+            value={newEntry.type}
+            onChange={(e) => setNewEntry({ ...newEntry, type: e.target.value })}
+          >
+            <option value="host">Host (HTTP)</option>
+            <option value="ip">IP (any protocol)</option>
+          </select>
+          <input
+            type="text"
+            placeholder={newEntry.type === 'ip' ? 'Address or host' : 'Host, e.g. *.example.com'}
+            value={newEntry.target}
+            onChange={(e) => setNewEntry({ ...newEntry, target: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Port (optional)"
+            value={newEntry.dstPort}
+            onChange={(e) => setNewEntry({ ...newEntry, dstPort: e.target.value })}
+          />
+          <select
+            value={newEntry.action}
+            onChange={(e) => setNewEntry({ ...newEntry, action: e.target.value })}
+          >
+            <option value="allow">Allow</option>
+            <option value="deny">Deny</option>
+          </select>
+          <button className="btn primary" onClick={handleAdd} disabled={!newEntry.target}>
+            Add
+          </button>
+        </div>
+        <div className="form-group">
+          {presets.map((preset) => (
+            <button key={preset.name} className="btn secondary" onClick={() => handlePreset(preset.name)}>
+              + {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Scope</th>
+            <th>Type</th>
+            <th>Destination</th>
+            <th>Port</th>
+            <th>Action</th>
+            <th>Comment</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.id}>
+              <td>{siteName(entry.site_id)}</td>
+              <td>{entry.entry_type}</td>
+              <td>{entry.dst_host || entry.dst_address}</td>
+              <td>{entry.dst_port || '-'}</td>
+              <td>{entry.action}</td>
+              <td>{entry.comment || '-'}</td>
+              <td>
+                <button className="btn-small danger" onClick={() => handleDelete(entry)}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Router Drift</h3>
+      <div className="form-group">
+        <button className="btn secondary" onClick={fetchDrift}>Check Again</button>
+        <button className="btn primary" onClick={handleSync} disabled={syncing}>
+          {syncing ? 'Syncing...' : 'Sync All Routers'}
+        </button>
+      </div>
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Router</th>
+            <th>Status</th>
+            <th>Differences</th>
+          </tr>
+        </thead>
+        <tbody>
+          {drift.map((report) => (
+            <tr key={report.router}>
+              <td>{report.router}</td>
+              <td>
+                {report.error && <span className="status inactive">Unreachable</span>}
+                {!report.error && (
+                  <span className={`status ${report.inSync ? 'active' : 'pending'}`}>
+                    {report.inSync ? 'In sync' : 'Drift'}
+                  </span>
+                )}
+              </td>
+              <td>
+                {report.error}
+                {report.missing?.map((item, i) => (
+                  <div key={`m${i}`}>Missing on router: {describe(item)}</div>
+                ))}
+                {report.changed?.map((item, i) => (
+                  <div key={`c${i}`}>
+                    Changed: {describe(item)} ({Object.keys(item.changes).join(', ')})
+                  </div>
+                ))}
+                {report.extra?.map((item, i) => (
+                  <div key={`e${i}`}>Not in DB: {describe(item)}</div>
+                ))}
+                {report.unmanaged?.length > 0 && (
+                  <div>{report.unmanaged.length} unmanaged entries (left untouched)</div>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const GuestAccessTab = () => {
+  const [sites, setSites] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [scope, setScope] = useState('');
+  const [settings, setSettings] = useState(null);
+  const [terms, setTerms] = useState([]);
+  const [newTerms, setNewTerms] = useState({ title: 'Terms of Use', body: '' });
+  const [acceptances, setAcceptances] = useState([]);
+  const [macFilter, setMacFilter] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+  const siteParams = () => (scope ? { siteId: scope } : {});
+
+  const fetchScope = async () => {
+    try {
+      const [settingsResponse, termsResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/guest-access/settings`, { headers: authHeaders(), params: siteParams() }),
+        axios.get(`${API_URL}/api/guest-access/terms`, { headers: authHeaders(), params: siteParams() }),
+      ]);
+      setSettings(settingsResponse.data);
+      setTerms(termsResponse.data);
+    } catch (error) {
+      console.error('Error fetching free access settings:', error);
+    }
+  };
+
+  const fetchAcceptances = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/guest-access/acceptances`, {
+        headers: authHeaders(),
+        params: { ...siteParams(), mac: macFilter || undefined },
+      });
+      setAcceptances(response.data);
+    } catch (error) {
+      alert('Error fetching acceptances: ' + error.response?.data?.error);
+    }
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/sites`, { headers: authHeaders() })
+      .then((response) => setSites(response.data))
+      .catch((error) => console.error('Error fetching sites:', error));
+    axios.get(`${API_URL}/api/profiles`, { headers: authHeaders() })
+      .then((response) => setProfiles(response.data))
+      .catch((error) => console.error('Error fetching profiles:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchScope();
+    fetchAcceptances();
+  }, [scope]);
+
+  const handleSave = async () => {
+    try {
+      await axios.put(
+        `${API_URL}/api/guest-access/settings`,
+        {
+          siteId: scope ? parseInt(scope) : null,
+          enabled: settings.enabled,
+          profileId: settings.profile_id ? parseInt(settings.profile_id) : null,
+          sessionMinutes: settings.session_minutes,
+          dailyMinutes: settings.daily_minutes,
+          cooldownMinutes: settings.cooldown_minutes,
+        },
+        { headers: authHeaders() }
+      );
+      fetchScope();
+    } catch (error) {
+      alert('Error saving settings: ' + error.response?.data?.error);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!window.confirm('Publish a new terms version? Guests will have to accept it again.')) return;
+
+    try {
+      await axios.post(
+        `${API_URL}/api/guest-access/terms`,
+        { ...newTerms, siteId: scope ? parseInt(scope) : null },
+        { headers: authHeaders() }
+      );
+      setNewTerms({ ...newTerms, body: '' });
+      fetchScope();
+    } catch (error) {
+      alert('Error publishing terms: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Free Access</h2>
+      <p>Click-through terms and free guest sessions, per site or for all sites</p>
+
+      <div className="form-group">
+        <select value={scope} onChange={(e) => setScope(e.target.value)}>
+          <option value="">All sites (default)</option>
+          {sites.map((site) => (
+            <option key={site.id} value={site.id}>{site.site_name}</option>
+          ))}
+        </select>
+      </div>
+
+      {settings && (
+        <div className="form-section">
+          <h3>Settings</h3>
+          {scope && settings.site_id === null && <p>Using the default settings until saved for this site</p>}
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+              />
+              Enabled
+            </label>
+            <select
+              value={settings.profile_id || ''}
+              onChange={(e) => setSettings({ ...settings, profile_id: e.target.value })}
+            >
+              <option value="">Guest profile...</option>
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name} {profile.rate_limit ? `(${profile.rate_limit})` : ''}
+                </option>
+              ))}
+            </select>
+            <label>Minutes per session</label>
+            <input
+              type="number"
+              min="1"
+              value={settings.session_minutes}
+              onChange={(e) => setSettings({ ...settings, session_minutes: e.target.value })}
+            />
+            <label>Minutes per day per device</label>
+            <input
+              type="number"
+              min="1"
+              value={settings.daily_minutes}
+              onChange={(e) => setSettings({ ...settings, daily_minutes: e.target.value })}
+            />
+            <label>Cooldown (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              value={settings.cooldown_minutes}
+              onChange={(e) => setSettings({ ...settings, cooldown_minutes: e.target.value })}
+            />
+            <button className="btn primary" onClick={handleSave}>Save</button>
+          </div>
+        </div>
+      )}
+
+      <div className="form-section">
+        <h3>Terms of Use</h3>
+        <div className="form-group">
+          <input
+            type="text"
+            placeholder="Title"
+            value={newTerms.title}
+            onChange={(e) => setNewTerms({ ...newTerms, title: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <textarea
+            rows="8"
+            placeholder="Terms text"
+            value={newTerms.body}
+            onChange={(e) => setNewTerms({ ...newTerms, body: e.target.value })}
+          />
+        </div>
+        <button className="btn primary" onClick={handlePublish} disabled={!newTerms.body.trim()}>
+          Publish New Version
+        </button>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Title</th>
+            <th>Published</th>
+            <th>Acceptances</th>
+          </tr>
+        </thead>
+        <tbody>
+          {terms.map((version) => (
+            <tr key={version.id}>
+              <td>v{version.version}</td>
+              <td>{version.title}</td>
+              <td>{new Date(version.published_at).toLocaleString()}</td>
+              <td>{version.acceptances}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Acceptance Records</h3>
+      <div className="form-group">
+        <input
+          type="text"
+          placeholder="Filter by MAC"
+          value={macFilter}
+          onChange={(e) => setMacFilter(e.target.value)}
+        />
+        <button className="btn secondary" onClick={fetchAcceptances}>Search</button>
+      </div>
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Accepted</th>
+            <th>MAC</th>
+            <th>IP</th>
+            <th>Terms</th>
+            <th>Site</th>
+          </tr>
+        </thead>
+        <tbody>
+          {acceptances.map((acceptance) => (
+            <tr key={acceptance.id}>
+              <td>{new Date(acceptance.accepted_at).toLocaleString()}</td>
+              <td>{acceptance.mac_address}</td>
+              <td>{acceptance.ip_address || '-'}</td>
+              <td>v{acceptance.terms_version}</td>
+              <td>{acceptance.site_id || '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const PaymentRoutesTab = () => {
+  const [providers, setProviders] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [newRoute, setNewRoute] = useState({ siteId: '', resellerId: '', currency: 'BDT', provider: '', priority: 100 });
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchRoutes = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/payment-routes`, { headers: authHeaders() });
+      setRoutes(response.data);
+    } catch (error) {
+      console.error('Error fetching payment routes:', error);
+    }
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/payment-routes/providers`, { headers: authHeaders() })
+      .then((response) => setProviders(response.data))
+      .catch((error) => console.error('Error fetching payment providers:', error));
+    axios.get(`${API_URL}/api/sites`, { headers: authHeaders() })
+      .then((response) => setSites(response.data))
+      .catch((error) => console.error('Error fetching sites:', error));
+    fetchRoutes();
+  }, []);
+
+  const siteName = (siteId) => {
+    const site = sites.find((s) => s.id === siteId);
+    return site ? site.site_name : `#${siteId}`;
+  };
+
+  const handleAdd = async () => {
+    try {
+      await axios.post(
+        `${API_URL}/api/payment-routes`,
+        {
+          siteId: newRoute.siteId ? parseInt(newRoute.siteId) : null,
+          resellerId: newRoute.resellerId ? parseInt(newRoute.resellerId) : null,
+          currency: newRoute.currency || null,
+          provider: newRoute.provider,
+          priority: newRoute.priority,
+        },
+        { headers: authHeaders() }
+      );
+      setNewRoute({ ...newRoute, siteId: '', resellerId: '' });
+      fetchRoutes();
+    } catch (error) {
+      alert('Error adding route: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleToggle = async (route) => {
+    try {
+      await axios.put(
+        `${API_URL}/api/payment-routes/${route.id}`,
+        { status: route.status === 'active' ? 'inactive' : 'active' },
+        { headers: authHeaders() }
+      );
+      fetchRoutes();
+    } catch (error) {
+      alert('Error updating route: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleDelete = async (route) => {
+    if (!window.confirm(`Remove the ${route.provider} route?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/payment-routes/${route.id}`, { headers: authHeaders() });
+      fetchRoutes();
+    } catch (error) {
+      alert('Error removing route: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Payment Gateways</h2>
+      <p>
+        Which gateway takes payments for a site, reseller or currency. The most specific active
+        route wins; without one BDT goes to bKash and other currencies to Stripe.
+      </p>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Provider</th>
+            <th>Currencies</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {providers.map((provider) => (
+            <tr key={provider.name}>
+              <td>{provider.name}</td>
+              <td>{provider.currencies.join(', ')}</td>
+              <td>
+                {provider.configured === null ? 'Unknown' : provider.configured ? 'Configured' : 'No credentials'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="form-section">
+        <h3>Add Route</h3>
+        <div className="form-group">
+          <select value={newRoute.siteId} onChange={(e) => setNewRoute({ ...newRoute, siteId: e.target.value })}>
+            <option value="">Any site</option>
+            {sites.map((site) => (
+              <option key={site.id} value={site.id}>{site.site_name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            placeholder="Reseller ID (any)"
+            value={newRoute.resellerId}
+            onChange={(e) => setNewRoute({ ...newRoute, resellerId: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Currency (any)"
+            maxLength="3"
+            value={newRoute.currency}
+            onChange={(e) => setNewRoute({ ...newRoute, currency: e.target.value.toUpperCase() })}
+          />
+          <select value={newRoute.provider} onChange={(e) => setNewRoute({ ...newRoute, provider: e.target.value })}>
+            <option value="">Provider...</option>
+            {providers.map((provider) => (
+              <option key={provider.name} value={provider.name}>{provider.name}</option>
+            ))}
+          </select>
+          <label>Priority</label>
+          <input
+            type="number"
+            value={newRoute.priority}
+            onChange={(e) => setNewRoute({ ...newRoute, priority: e.target.value })}
+          />
+          <button className="btn primary" onClick={handleAdd} disabled={!newRoute.provider}>Add</button>
+        </div>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Site</th>
+            <th>Reseller</th>
+            <th>Currency</th>
+            <th>Provider</th>
+            <th>Priority</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {routes.map((route) => (
+            <tr key={route.id}>
+              <td>{route.site_id ? siteName(route.site_id) : 'Any'}</td>
+              <td>{route.reseller_id || 'Any'}</td>
+              <td>{route.currency || 'Any'}</td>
+              <td>{route.provider}</td>
+              <td>{route.priority}</td>
+              <td>{route.status}</td>
+              <td>
+                <button className="btn-small" onClick={() => handleToggle(route)}>
+                  {route.status === 'active' ? 'Disable' : 'Enable'}
+                </button>
+                <button className="btn-small danger" onClick={() => handleDelete(route)}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <WebhookEventsPanel />
+    </div>
+  );
+};
+
+const WEBHOOK_EVENT_FILTERS = {
+  'failed,deferred,dead': 'Needs attention',
+  processed: 'Processed',
+  ignored: 'Ignored',
+  '': 'All',
+};
+
+const WebhookEventsPanel = () => {
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('failed,deferred,dead');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchEvents = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/payment-webhooks`, {
+        headers: authHeaders(),
+        params: { status: status || undefined, limit: 100 },
+      });
+      setEvents(response.data.events);
+      setCounts(response.data.counts);
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [status]);
+
+  const handleReplay = async (event) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/payment-webhooks/${event.id}/replay`,
+        {},
+        { headers: authHeaders() }
+      );
+      alert(`Event ${event.id}: ${response.data.status}${response.data.last_error ? ` (${response.data.last_error})` : ''}`);
+      fetchEvents();
+    } catch (error) {
+      alert('Error replaying event: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="form-section">
+      <h3>Webhook Events</h3>
+      <p>
+        Gateway notifications as received. Failed and deferred events are retried automatically;
+        dead events have run out of retries and need a replay once the cause is fixed.
+      </p>
+      <div className="form-group">
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {Object.entries(WEBHOOK_EVENT_FILTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <span>
+          {Object.entries(counts).map(([name, count]) => `${name}: ${count}`).join(' · ')}
+        </span>
+        <button className="btn-small" onClick={fetchEvents}>Refresh</button>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Received</th>
+            <th>Provider</th>
+            <th>Event</th>
+            <th>Payment</th>
+            <th>Status</th>
+            <th>Attempts</th>
+            <th>Last Error</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {events.map((event) => (
+            <tr key={event.id}>
+              <td>{new Date(event.received_at).toLocaleString()}</td>
+              <td>{event.provider}</td>
+              <td title={event.event_id}>{event.event_type}{event.source_type ? ` (${event.source_type})` : ''}</td>
+              <td>{event.payment_id || event.provider_payment_id || event.transaction_id || '-'}</td>
+              <td>{event.status}{event.deliveries > 1 ? ` ×${event.deliveries}` : ''}</td>
+              <td>{event.attempts}</td>
+              <td>{event.last_error || '-'}</td>
+              <td>
+                <button className="btn-small" onClick={() => handleReplay(event)}>Replay</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const RECONCILIATION_PROVIDERS = ['stripe', 'bkash', 'nagad', 'sslcommerz'];
+
+const SUBSCRIPTION_FILTERS = {
+  '': 'All',
+  'past_due,suspended': 'In dunning',
+  active: 'Active',
+  suspended: 'Suspended',
+  cancelled: 'Cancelled',
+};
+
+const SubscriptionsTab = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [status, setStatus] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [planChange, setPlanChange] = useState({ planId: '', effective: '', preview: null });
+  const [form, setForm] = useState({
+    planId: '', hotspotUserId: '', provider: 'stripe', customerId: '', paymentMethodId: '', email: '',
+  });
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchSubscriptions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/subscriptions`, {
+        headers: authHeaders(),
+        params: status ? { status } : {},
+      });
+      setSubscriptions(response.data);
+    } catch (error) {
+      console.error('Error fetching subscriptions:', error);
+    }
+  };
+
+  const fetchSubscription = async (subscription) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/subscriptions/${subscription.id}`, { headers: authHeaders() });
+      setSelected(response.data);
+      setPlanChange({ planId: '', effective: '', preview: null });
+    } catch (error) {
+      console.error('Error fetching subscription:', error);
+    }
+  };
+
+  const handlePreviewPlanChange = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/subscriptions/${selected.id}/change-plan/preview`, {
+        headers: authHeaders(),
+        params: { planId: planChange.planId, effective: planChange.effective || undefined },
+      });
+      setPlanChange({ ...planChange, preview: response.data });
+    } catch (error) {
+      alert('Error previewing plan change: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleChangePlan = async () => {
+    try {
+      await axios.post(
+        `${API_URL}/api/subscriptions/${selected.id}/change-plan`,
+        { planId: planChange.planId, effective: planChange.effective || undefined },
+        { headers: authHeaders() }
+      );
+      fetchSubscription(selected);
+      fetchSubscriptions();
+    } catch (error) {
+      alert('Error changing plan: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleCancelPlanChange = async () => {
+    try {
+      await axios.delete(`${API_URL}/api/subscriptions/${selected.id}/plan-change`, { headers: authHeaders() });
+      fetchSubscription(selected);
+    } catch (error) {
+      alert('Error cancelling plan change: ' + error.response?.data?.error);
+    }
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/plans`, { headers: authHeaders() })
+      .then((response) => setPlans(response.data))
+      .catch((error) => console.error('Error fetching plans:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [status]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`${API_URL}/api/subscriptions`, form, { headers: authHeaders() });
+      setForm({ ...form, hotspotUserId: '', customerId: '', paymentMethodId: '', email: '' });
+      fetchSubscriptions();
+    } catch (error) {
+      alert('Error creating subscription: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleRetry = async (subscription) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/subscriptions/${subscription.id}/retry`,
+        {},
+        { headers: authHeaders() }
+      );
+      setSelected(response.data);
+      fetchSubscriptions();
+    } catch (error) {
+      alert('Error charging subscription: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleCancel = async (subscription) => {
+    if (!window.confirm(`Cancel subscription #${subscription.id}? It will not renew again.`)) return;
+
+    try {
+      await axios.post(`${API_URL}/api/subscriptions/${subscription.id}/cancel`, {}, { headers: authHeaders() });
+      if (selected && selected.id === subscription.id) setSelected(null);
+      fetchSubscriptions();
+    } catch (error) {
+      alert('Error cancelling subscription: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Subscriptions</h2>
+      <p>
+        Due subscriptions are renewed automatically. Failed charges are retried on the dunning schedule
+        with a reminder each time; after the last retry access is suspended until the subscriber pays.
+      </p>
+
+      <form className="form-section" onSubmit={handleCreate}>
+        <h3>New Subscription</h3>
+        <div className="form-group">
+          <select value={form.planId} onChange={(e) => setForm({ ...form, planId: e.target.value })} required>
+            <option value="">Plan...</option>
+            {plans.map((plan) => (
+              <option key={plan.id} value={plan.id}>
+                {plan.name} ({plan.price} {plan.currency} / {plan.billing_period})
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            placeholder="Hotspot user ID"
+            value={form.hotspotUserId}
+            onChange={(e) => setForm({ ...form, hotspotUserId: e.target.value })}
+            required
+          />
+          <select value={form.provider} onChange={(e) => setForm({ ...form, provider: e.target.value })}>
+            {RECONCILIATION_PROVIDERS.map((provider) => (
+              <option key={provider} value={provider}>{provider}</option>
+            ))}
+          </select>
+          <input
+            placeholder="Customer ID (Stripe)"
+            value={form.customerId}
+            onChange={(e) => setForm({ ...form, customerId: e.target.value })}
+          />
+          <input
+            placeholder="Payment method ID"
+            value={form.paymentMethodId}
+            onChange={(e) => setForm({ ...form, paymentMethodId: e.target.value })}
+          />
+          <input
+            type="email"
+            placeholder="Billing email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+          />
+          <button className="btn primary" type="submit">Subscribe</button>
+        </div>
+      </form>
+
+      <div className="form-group">
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {Object.entries(SUBSCRIPTION_FILTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button className="btn-small" onClick={fetchSubscriptions}>Refresh</button>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>User</th>
+            <th>Plan</th>
+            <th>Price</th>
+            <th>Status</th>
+            <th>Next Billing</th>
+            <th>Failed</th>
+            <th>Next Retry</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {subscriptions.map((subscription) => (
+            <tr key={subscription.id}>
+              <td>{subscription.id}</td>
+              <td>{subscription.username || '-'}</td>
+              <td>{subscription.plan_name}</td>
+              <td>{subscription.price} {subscription.currency}</td>
+              <td title={subscription.last_error || ''}>{subscription.status.replace(/_/g, ' ')}</td>
+              <td>{subscription.next_billing_date && new Date(subscription.next_billing_date).toLocaleDateString()}</td>
+              <td>{subscription.failed_attempts}</td>
+              <td>{subscription.next_retry_at ? new Date(subscription.next_retry_at).toLocaleString() : '-'}</td>
+              <td>
+                <button className="btn-small" onClick={() => fetchSubscription(subscription)}>Charges</button>
+                {['past_due', 'suspended'].includes(subscription.status) && (
+                  <button className="btn-small" onClick={() => handleRetry(subscription)}>Charge now</button>
+                )}
+                {subscription.status !== 'cancelled' && (
+                  <button className="btn-small danger" onClick={() => handleCancel(subscription)}>Cancel</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <div className="form-section">
+          <h3>Subscription #{selected.id} ({selected.username || 'no user'}): {selected.plan_name}</h3>
+          <p>
+            Credit balance: {selected.credit_balance} {selected.currency}
+            {selected.pending_plan_name && (
+              <span>
+                {' · '}Switching to {selected.pending_plan_name} on{' '}
+                {new Date(selected.next_billing_date).toLocaleDateString()}{' '}
+                <button className="btn-small" onClick={handleCancelPlanChange}>Keep current plan</button>
+              </span>
+            )}
+          </p>
+
+          {['active', 'past_due'].includes(selected.status) && (
+            <div className="form-group">
+              <select
+                value={planChange.planId}
+                onChange={(e) => setPlanChange({ ...planChange, planId: e.target.value, preview: null })}
+              >
+                <option value="">Change plan to...</option>
+                {plans.filter((plan) => plan.id !== selected.plan_id).map((plan) => (
+                  <option key={plan.id} value={plan.id}>{plan.name} ({plan.price} {plan.currency})</option>
+                ))}
+              </select>
+              <select
+                value={planChange.effective}
+                onChange={(e) => setPlanChange({ ...planChange, effective: e.target.value, preview: null })}
+              >
+                <option value="">Upgrade now, downgrade at period end</option>
+                <option value="now">Now (prorated)</option>
+                <option value="period_end">At period end</option>
+              </select>
+              <button className="btn-small" onClick={handlePreviewPlanChange} disabled={!planChange.planId}>Preview</button>
+              <button className="btn-small primary" onClick={handleChangePlan} disabled={!planChange.planId}>Change</button>
+              {planChange.preview && (
+                <span>
+                  {planChange.preview.effective === 'now'
+                    ? `Credit ${planChange.preview.unusedCredit}, new plan ${planChange.preview.newCost}, `
+                      + (planChange.preview.amountDue > 0
+                        ? `due now ${planChange.preview.amountDue} ${planChange.preview.currency}`
+                        : `credited ${planChange.preview.amountCredited} ${planChange.preview.currency}`)
+                    : `Switches on ${new Date(planChange.preview.effectiveAt).toLocaleDateString()}`}
+                </span>
+              )}
+            </div>
+          )}
+
+          {selected.planChanges.length > 0 && (
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Requested</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Effective</th>
+                  <th>Status</th>
+                  <th>Credit</th>
+                  <th>New Plan</th>
+                  <th>Due</th>
+                  <th>Credited</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.planChanges.map((change) => (
+                  <tr key={change.id}>
+                    <td>{new Date(change.created_at).toLocaleString()}</td>
+                    <td>{change.from_plan_name}</td>
+                    <td>{change.to_plan_name}</td>
+                    <td>{change.effective.replace(/_/g, ' ')}</td>
+                    <td>{change.status}</td>
+                    <td>{change.unused_credit}</td>
+                    <td>{change.new_cost}</td>
+                    <td>{change.amount_due}</td>
+                    <td>{change.amount_credited}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Charges</h3>
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Type</th>
+                <th>Attempt</th>
+                <th>Period</th>
+                <th>Amount</th>
+                <th>Provider</th>
+                <th>Status</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.charges.map((charge) => (
+                <tr key={charge.id}>
+                  <td>{new Date(charge.created_at).toLocaleString()}</td>
+                  <td>{charge.type}</td>
+                  <td>{charge.attempt}</td>
+                  <td>
+                    {new Date(charge.period_start).toLocaleDateString()}
+                    {' - '}
+                    {new Date(charge.period_end).toLocaleDateString()}
+                  </td>
+                  <td>{charge.amount} {charge.currency}</td>
+                  <td>{charge.provider || '-'}</td>
+                  <td>{charge.status}</td>
+                  <td>
+                    {charge.error || (charge.checkout_url && charge.status === 'pending' ? (
+                      <a href={charge.checkout_url} target="_blank" rel="noreferrer">Payment link</a>
+                    ) : '')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WALLET_OWNER_FILTERS = {
+  '': 'All accounts',
+  hotspot_user: 'Hotspot users',
+  reseller: 'Resellers',
+  affiliate: 'Affiliates',
+  system: 'System',
+};
+
+const WalletsTab = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [ownerType, setOwnerType] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [adjustment, setAdjustment] = useState({ amount: '', description: '' });
+  const [topup, setTopup] = useState({ ownerType: 'reseller', ownerId: '', amount: '', currency: '', email: '' });
+  const [topupLink, setTopupLink] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/wallet/accounts`, {
+        headers: authHeaders(),
+        params: ownerType ? { ownerType } : {},
+      });
+      setAccounts(response.data);
+    } catch (error) {
+      console.error('Error fetching wallet accounts:', error);
+    }
+  };
+
+  const fetchStatement = async (account) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/wallet/accounts/${account.id}/statement`, {
+        headers: authHeaders(),
+      });
+      setSelected(response.data);
+    } catch (error) {
+      console.error('Error fetching wallet statement:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [ownerType]);
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(
+        `${API_URL}/api/wallet/accounts/${selected.account.id}/adjust`,
+        { amount: Number(adjustment.amount), description: adjustment.description },
+        { headers: authHeaders() }
+      );
+      setAdjustment({ amount: '', description: '' });
+      fetchStatement(selected.account);
+      fetchAccounts();
+    } catch (error) {
+      alert('Error adjusting wallet: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/wallet/topups`,
+        {
+          ...topup,
+          amount: Number(topup.amount),
+          currency: topup.currency || undefined,
+          email: topup.email || undefined,
+        },
+        { headers: authHeaders() }
+      );
+      setTopupLink(response.data);
+    } catch (error) {
+      alert('Error creating top-up: ' + error.response?.data?.error);
+    }
+  };
+
+  const ownerLabel = (account) => {
+    if (account.owner_type === 'system') return `System: ${account.code}`;
+    return `${WALLET_OWNER_FILTERS[account.owner_type] || account.owner_type} #${account.owner_id}`
+      + (account.username ? ` (${account.username})` : '');
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Wallets</h2>
+      <p>
+        Prepaid balances kept as a double-entry ledger. Every top-up, wallet purchase, commission and
+        payout is a journal entry between an owner's account and a system account.
+      </p>
+
+      <form className="form-section" onSubmit={handleTopUp}>
+        <h3>Top-up Link</h3>
+        <div className="form-group">
+          <select value={topup.ownerType} onChange={(e) => setTopup({ ...topup, ownerType: e.target.value })}>
+            <option value="reseller">Reseller</option>
+            <option value="hotspot_user">Hotspot user</option>
+          </select>
+          <input
+            type="number"
+            placeholder="Owner ID"
+            value={topup.ownerId}
+            onChange={(e) => setTopup({ ...topup, ownerId: e.target.value })}
+            required
+          />
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Amount"
+            value={topup.amount}
+            onChange={(e) => setTopup({ ...topup, amount: e.target.value })}
+            required
+          />
+          <input
+            placeholder="Currency (default)"
+            value={topup.currency}
+            onChange={(e) => setTopup({ ...topup, currency: e.target.value })}
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            value={topup.email}
+            onChange={(e) => setTopup({ ...topup, email: e.target.value })}
+          />
+          <button className="btn primary" type="submit">Create link</button>
+        </div>
+        {topupLink && (
+          <p>
+            Payment link ({topupLink.provider}): <a href={topupLink.checkoutUrl}>{topupLink.checkoutUrl}</a>
+          </p>
+        )}
+      </form>
+
+      <div className="form-group">
+        <select value={ownerType} onChange={(e) => setOwnerType(e.target.value)}>
+          {Object.entries(WALLET_OWNER_FILTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button className="btn-small" onClick={fetchAccounts}>Refresh</button>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Owner</th>
+            <th>Currency</th>
+            <th>Balance</th>
+            <th>Held</th>
+            <th>Available</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {accounts.map((account) => (
+            <tr key={account.id}>
+              <td>{account.id}</td>
+              <td>{ownerLabel(account)}</td>
+              <td>{account.currency}</td>
+              <td>{account.balance.toFixed(2)}</td>
+              <td>{account.held.toFixed(2)}</td>
+              <td>{account.available.toFixed(2)}</td>
+              <td>{account.status}</td>
+              <td>
+                <button className="btn-small" onClick={() => fetchStatement(account)}>Statement</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <div className="form-section">
+          <h3>
+            Account #{selected.account.id} ({ownerLabel(selected.account)}):{' '}
+            {selected.account.balance.toFixed(2)} {selected.account.currency}
+          </h3>
+
+          <form className="form-group" onSubmit={handleAdjust}>
+            <input
+              type="number"
+              step="0.01"
+              placeholder="Amount (negative to debit)"
+              value={adjustment.amount}
+              onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+              required
+            />
+            <input
+              placeholder="Reason"
+              value={adjustment.description}
+              onChange={(e) => setAdjustment({ ...adjustment, description: e.target.value })}
+              required
+            />
+            <button className="btn-small primary" type="submit">Adjust</button>
+          </form>
+
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Entry</th>
+                <th>Type</th>
+                <th>Description</th>
+                <th>Amount</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.postings.map((posting) => (
+                <tr key={posting.id}>
+                  <td>{new Date(posting.created_at).toLocaleString()}</td>
+                  <td>{posting.entry_id}</td>
+                  <td>{posting.type}</td>
+                  <td>{posting.description}</td>
+                  <td>{posting.amount > 0 ? '+' : ''}{posting.amount.toFixed(2)}</td>
+                  <td>{posting.balance_after.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PROMOTION_TYPES = {
+  percentage: 'Percent off',
+  fixed: 'Amount off',
+  free_days: 'Free days',
+};
+
+const EMPTY_PROMOTION = {
+  name: '',
+  discountType: 'percentage',
+  discountValue: '',
+  currency: '',
+  maxDiscount: '',
+  minAmount: '',
+  channel: 'any',
+  planIds: '',
+  siteIds: '',
+  stackable: false,
+  priority: 100,
+  startsAt: '',
+  endsAt: '',
+  maxRedemptions: '',
+  maxRedemptionsPerUser: '',
+  codes: '',
+  generateCount: '',
+  generatePrefix: '',
+};
+
+const PromotionsTab = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [revenue, setRevenue] = useState([]);
+  const [form, setForm] = useState(EMPTY_PROMOTION);
+  const [selected, setSelected] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [newCodes, setNewCodes] = useState({ codes: '', count: '', prefix: '' });
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const splitList = (value) => value.split(/[\s,]+/).filter(Boolean);
+
+  const fetchPromotions = async () => {
+    try {
+      const [promotionsResponse, revenueResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/promotions`, { headers: authHeaders() }),
+        axios.get(`${API_URL}/api/promotions/revenue`, { headers: authHeaders() }),
+      ]);
+      setPromotions(promotionsResponse.data);
+      setRevenue(revenueResponse.data);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+    }
+  };
+
+  const fetchPromotion = async (promotionId) => {
+    try {
+      const [promotionResponse, redemptionsResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/promotions/${promotionId}`, { headers: authHeaders() }),
+        axios.get(`${API_URL}/api/promotions/${promotionId}/redemptions`, { headers: authHeaders() }),
+      ]);
+      setSelected(promotionResponse.data);
+      setRedemptions(redemptionsResponse.data);
+    } catch (error) {
+      console.error('Error fetching promotion:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchPromotions();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const { codes, generateCount, generatePrefix, planIds, siteIds, ...promotion } = form;
+    try {
+      await axios.post(
+        `${API_URL}/api/promotions`,
+        {
+          ...promotion,
+          discountValue: Number(promotion.discountValue),
+          planIds: splitList(planIds),
+          siteIds: splitList(siteIds),
+          codes: splitList(codes),
+          generate: generateCount ? { count: Number(generateCount), prefix: generatePrefix } : undefined,
+        },
+        { headers: authHeaders() }
+      );
+      setForm(EMPTY_PROMOTION);
+      fetchPromotions();
+    } catch (error) {
+      alert('Error creating promotion: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleStatus = async (promotion, status) => {
+    try {
+      await axios.put(`${API_URL}/api/promotions/${promotion.id}`, { status }, { headers: authHeaders() });
+      fetchPromotions();
+      if (selected && selected.id === promotion.id) fetchPromotion(promotion.id);
+    } catch (error) {
+      alert('Error updating promotion: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleCodeStatus = async (code, status) => {
+    try {
+      await axios.put(`${API_URL}/api/promotions/codes/${code.id}`, { status }, { headers: authHeaders() });
+      fetchPromotion(selected.id);
+    } catch (error) {
+      alert('Error updating code: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleAddCodes = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(
+        `${API_URL}/api/promotions/${selected.id}/codes`,
+        {
+          codes: splitList(newCodes.codes),
+          generate: newCodes.count ? { count: Number(newCodes.count), prefix: newCodes.prefix } : undefined,
+        },
+        { headers: authHeaders() }
+      );
+      setNewCodes({ codes: '', count: '', prefix: '' });
+      fetchPromotion(selected.id);
+      fetchPromotions();
+    } catch (error) {
+      alert('Error adding codes: ' + error.response?.data?.error);
+    }
+  };
+
+  const describeDiscount = (promotion) => {
+    const value = Number(promotion.discount_value);
+    if (promotion.discount_type === 'percentage') return `${value}% off`;
+    if (promotion.discount_type === 'fixed') return `${value.toFixed(2)} ${promotion.currency || ''} off`;
+    return `+${value} days`;
+  };
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => setForm({ ...form, [name]: e.target.value }),
+  });
+
+  return (
+    <div className="tab-content">
+      <h2>Promotions</h2>
+      <p>
+        Discount campaigns with promo codes, used at portal checkout and when a voucher batch is sold.
+        Codes only combine when every campaign involved is stackable.
+      </p>
+
+      <form className="form-section" onSubmit={handleCreate}>
+        <h3>New Campaign</h3>
+        <div className="form-group">
+          <input placeholder="Name" {...field('name')} required />
+          <select {...field('discountType')}>
+            {Object.entries(PROMOTION_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input type="number" step="0.01" placeholder="Value" {...field('discountValue')} required />
+          <input placeholder="Currency (fixed only)" {...field('currency')} />
+          <input type="number" step="0.01" placeholder="Max discount" {...field('maxDiscount')} />
+          <input type="number" step="0.01" placeholder="Min purchase" {...field('minAmount')} />
+          <select {...field('channel')}>
+            <option value="any">Portal and batches</option>
+            <option value="portal">Portal only</option>
+            <option value="voucher_batch">Voucher batches only</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <input placeholder="Plan IDs (all)" {...field('planIds')} />
+          <input placeholder="Site IDs (all)" {...field('siteIds')} />
+          <input type="number" placeholder="Priority" {...field('priority')} />
+          <label>
+            <input
+              type="checkbox"
+              checked={form.stackable}
+              onChange={(e) => setForm({ ...form, stackable: e.target.checked })}
+            />
+            Stackable
+          </label>
+          <input type="datetime-local" title="Starts" {...field('startsAt')} />
+          <input type="datetime-local" title="Ends" {...field('endsAt')} />
+          <input type="number" placeholder="Max uses" {...field('maxRedemptions')} />
+          <input type="number" placeholder="Max uses per customer" {...field('maxRedemptionsPerUser')} />
+        </div>
+        <div className="form-group">
+          <input placeholder="Codes (e.g. SUMMER, WELCOME)" {...field('codes')} />
+          <input type="number" placeholder="Or generate N codes" {...field('generateCount')} />
+          <input placeholder="Generated prefix" {...field('generatePrefix')} />
+          <button className="btn primary" type="submit">Create</button>
+        </div>
+      </form>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Discount</th>
+            <th>Channel</th>
+            <th>Valid</th>
+            <th>Codes</th>
+            <th>Redeemed</th>
+            <th>Discount given</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {promotions.map((promotion) => (
+            <tr key={promotion.id}>
+              <td>{promotion.name}{promotion.stackable && ' (stackable)'}</td>
+              <td>{describeDiscount(promotion)}</td>
+              <td>{promotion.channel}</td>
+              <td>
+                {promotion.starts_at ? new Date(promotion.starts_at).toLocaleDateString() : '…'}
+                {' – '}
+                {promotion.ends_at ? new Date(promotion.ends_at).toLocaleDateString() : '…'}
+              </td>
+              <td>{promotion.code_count}</td>
+              <td>
+                {promotion.redemption_count}
+                {promotion.max_redemptions && ` / ${promotion.max_redemptions}`}
+              </td>
+              <td>{Number(promotion.discount_total).toFixed(2)}</td>
+              <td><span className={`status ${promotion.status}`}>{promotion.status}</span></td>
+              <td>
+                <button className="btn-small" onClick={() => fetchPromotion(promotion.id)}>Codes</button>
+                {promotion.status === 'active' && (
+                  <button className="btn-small" onClick={() => handleStatus(promotion, 'paused')}>Pause</button>
+                )}
+                {promotion.status === 'paused' && (
+                  <button className="btn-small" onClick={() => handleStatus(promotion, 'active')}>Resume</button>
+                )}
+                {promotion.status !== 'archived' && (
+                  <button className="btn-small danger" onClick={() => handleStatus(promotion, 'archived')}>
+                    Archive
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <div className="form-section">
+          <h3>{selected.name}: {describeDiscount(selected)}</h3>
+
+          <form className="form-group" onSubmit={handleAddCodes}>
+            <input
+              placeholder="Codes"
+              value={newCodes.codes}
+              onChange={(e) => setNewCodes({ ...newCodes, codes: e.target.value.toUpperCase() })}
+            />
+            <input
+              type="number"
+              placeholder="Or generate N"
+              value={newCodes.count}
+              onChange={(e) => setNewCodes({ ...newCodes, count: e.target.value })}
+            />
+            <input
+              placeholder="Prefix"
+              value={newCodes.prefix}
+              onChange={(e) => setNewCodes({ ...newCodes, prefix: e.target.value.toUpperCase() })}
+            />
+            <button className="btn-small primary" type="submit">Add codes</button>
+          </form>
+
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Redeemed</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.codes.map((code) => (
+                <tr key={code.id}>
+                  <td>{code.code}</td>
+                  <td>{code.redemption_count}{code.max_redemptions && ` / ${code.max_redemptions}`}</td>
+                  <td>{code.status}</td>
+                  <td>
+                    {code.status === 'active' ? (
+                      <button className="btn-small" onClick={() => handleCodeStatus(code, 'disabled')}>Disable</button>
+                    ) : (
+                      <button className="btn-small" onClick={() => handleCodeStatus(code, 'active')}>Enable</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Redemptions</h3>
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Code</th>
+                <th>Channel</th>
+                <th>Customer</th>
+                <th>List</th>
+                <th>Discount</th>
+                <th>Bonus days</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {redemptions.map((redemption) => (
+                <tr key={redemption.id}>
+                  <td>{new Date(redemption.created_at).toLocaleString()}</td>
+                  <td>{redemption.code}</td>
+                  <td>{redemption.channel}{redemption.batch_id && ` (${redemption.batch_id})`}</td>
+                  <td>{redemption.username || redemption.customer_key}</td>
+                  <td>{Number(redemption.list_amount).toFixed(2)} {redemption.currency}</td>
+                  <td>{Number(redemption.discount_amount).toFixed(2)}</td>
+                  <td>{redemption.bonus_days}</td>
+                  <td>{redemption.status}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h3>Revenue by Source (30 days)</h3>
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Source</th>
+            <th>Sales</th>
+            <th>With promo</th>
+            <th>Gross</th>
+            <th>Discounts</th>
+            <th>Net</th>
+          </tr>
+        </thead>
+        <tbody>
+          {revenue.map((row) => (
+            <tr key={row.source}>
+              <td>{row.source}</td>
+              <td>{row.transaction_count}</td>
+              <td>{row.promoted_count}</td>
+              <td>{Number(row.gross_revenue).toFixed(2)}</td>
+              <td>{Number(row.discount_total).toFixed(2)}</td>
+              <td>{Number(row.total_revenue).toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const INVOICE_TYPE_FILTERS = {
+  '': 'All documents',
+  invoice: 'Invoices',
+  credit_note: 'Credit notes',
+};
+
+const InvoicesTab = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [filters, setFilters] = useState({ documentType: '', resellerId: '', paymentId: '' });
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchInvoices = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get(`${API_URL}/api/invoices`, { headers: authHeaders(), params });
+      setInvoices(response.data);
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [filters.documentType]);
+
+  const handleDownload = async (invoice) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/invoices/${invoice.id}/pdf`, {
+        headers: authHeaders(),
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.number}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error downloading invoice: ' + error.message);
+    }
+  };
+
+  const handleEmail = async (invoice) => {
+    const email = window.prompt('Send to', invoice.customer_email || '');
+    if (!email) return;
+
+    try {
+      await axios.post(`${API_URL}/api/invoices/${invoice.id}/email`, { email }, { headers: authHeaders() });
+      fetchInvoices();
+    } catch (error) {
+      alert('Error emailing invoice: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Invoices</h2>
+      <p>
+        Invoices are issued when a payment completes and credit notes when it is refunded, numbered per
+        operator or reseller. Prices include tax; the rate of the seller's country is shown on each document.
+      </p>
+
+      <div className="form-group">
+        <select value={filters.documentType} onChange={(e) => setFilters({ ...filters, documentType: e.target.value })}>
+          {Object.entries(INVOICE_TYPE_FILTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          placeholder="Reseller ID"
+          value={filters.resellerId}
+          onChange={(e) => setFilters({ ...filters, resellerId: e.target.value })}
+        />
+        <input
+          type="number"
+          placeholder="Payment ID"
+          value={filters.paymentId}
+          onChange={(e) => setFilters({ ...filters, paymentId: e.target.value })}
+        />
+        <button className="btn-small" onClick={fetchInvoices}>Search</button>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Number</th>
+            <th>Date</th>
+            <th>Seller</th>
+            <th>Customer</th>
+            <th>Payment</th>
+            <th>Tax</th>
+            <th>Total</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {invoices.map((invoice) => (
+            <tr key={invoice.id}>
+              <td>{invoice.number}{invoice.document_type === 'credit_note' && ' (credit note)'}</td>
+              <td>{new Date(invoice.issued_at).toLocaleDateString()}</td>
+              <td>{invoice.seller.name}</td>
+              <td>{invoice.customer_name || invoice.customer_email || '-'}</td>
+              <td>#{invoice.payment_id}</td>
+              <td>
+                {invoice.tax_name
+                  ? `${invoice.tax_name} ${Number(invoice.tax_rate)}%: ${Number(invoice.tax_amount).toFixed(2)}`
+                  : '-'}
+              </td>
+              <td>{Number(invoice.total).toFixed(2)} {invoice.currency}</td>
+              <td>{invoice.status}{invoice.emailed_at && ' · emailed'}</td>
+              <td>
+                <button className="btn-small" onClick={() => handleDownload(invoice)}>PDF</button>
+                <button className="btn-small" onClick={() => handleEmail(invoice)}>Email</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const ReconciliationTab = () => {
+  const [imports, setImports] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const [showResolved, setShowResolved] = useState(false);
+  const [upload, setUpload] = useState({ provider: 'stripe', file: null, periodStart: '', periodEnd: '' });
+  const [importing, setImporting] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchImports = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/reconciliation/imports`, { headers: authHeaders() });
+      setImports(response.data);
+    } catch (error) {
+      console.error('Error fetching settlement imports:', error);
+    }
+  };
+
+  const fetchIssues = async (settlementImport) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/reconciliation/imports/${settlementImport.id}/issues`, {
+        headers: authHeaders(),
+        params: showResolved ? {} : { resolved: false },
+      });
+      setIssues(response.data);
+    } catch (error) {
+      console.error('Error fetching reconciliation issues:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchImports();
+  }, []);
+
+  useEffect(() => {
+    if (selected) fetchIssues(selected);
+  }, [selected, showResolved]);
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const content = await upload.file.text();
+      const response = await axios.post(`${API_URL}/api/reconciliation/imports`, content, {
+        headers: { ...authHeaders(), 'Content-Type': 'text/plain' },
+        params: {
+          provider: upload.provider,
+          fileName: upload.file.name,
+          periodStart: upload.periodStart || undefined,
+          periodEnd: upload.periodEnd || undefined,
+        },
+      });
+      setUpload({ ...upload, file: null });
+      fetchImports();
+      setSelected(response.data);
+    } catch (error) {
+      alert('Error importing export: ' + error.response?.data?.error);
+    }
+    setImporting(false);
+  };
+
+  const handleRun = async (settlementImport) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/reconciliation/imports/${settlementImport.id}/run`,
+        {},
+        { headers: authHeaders() }
+      );
+      fetchImports();
+      setSelected(response.data);
+    } catch (error) {
+      alert('Error reconciling: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleReport = async (settlementImport) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/reconciliation/imports/${settlementImport.id}/report`, {
+        headers: authHeaders(),
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reconciliation-${settlementImport.provider}-${settlementImport.id}.xlsx`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error downloading report: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (settlementImport) => {
+    if (!window.confirm(`Remove import #${settlementImport.id} and its issues?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/reconciliation/imports/${settlementImport.id}`, { headers: authHeaders() });
+      if (selected && selected.id === settlementImport.id) setSelected(null);
+      fetchImports();
+    } catch (error) {
+      alert('Error removing import: ' + error.response?.data?.error);
+    }
+  };
+
+  const handleResolve = async (issue) => {
+    const note = window.prompt('How was this resolved?');
+    if (note === null) return;
+
+    try {
+      await axios.put(`${API_URL}/api/reconciliation/issues/${issue.id}/resolve`, { note }, { headers: authHeaders() });
+      fetchIssues(selected);
+      fetchImports();
+    } catch (error) {
+      alert('Error resolving issue: ' + error.response?.data?.error);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <h2>Payment Reconciliation</h2>
+      <p>
+        Import a gateway transaction or settlement export (CSV or JSON) to match it against payments.
+        Imports with open issues are re-checked automatically for two weeks.
+      </p>
+
+      <div className="form-section">
+        <h3>Import Export</h3>
+        <div className="form-group">
+          <select value={upload.provider} onChange={(e) => setUpload({ ...upload, provider: e.target.value })}>
+            {RECONCILIATION_PROVIDERS.map((provider) => (
+              <option key={provider} value={provider}>{provider}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })}
+          />
+          <label>From</label>
+          <input
+            type="date"
+            value={upload.periodStart}
+            onChange={(e) => setUpload({ ...upload, periodStart: e.target.value })}
+          />
+          <label>To</label>
+          <input
+            type="date"
+            value={upload.periodEnd}
+            onChange={(e) => setUpload({ ...upload, periodEnd: e.target.value })}
+          />
+          <button className="btn primary" onClick={handleImport} disabled={!upload.file || importing}>
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+
+      <table className="users-table">
+        <thead>
+          <tr>
+            <th>Imported</th>
+            <th>Provider</th>
+            <th>File</th>
+            <th>Period</th>
+            <th>Rows</th>
+            <th>Matched</th>
+            <th>Open Issues</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {imports.map((settlementImport) => (
+            <tr key={settlementImport.id}>
+              <td>{new Date(settlementImport.created_at).toLocaleString()}</td>
+              <td>{settlementImport.provider}</td>
+              <td>{settlementImport.file_name}</td>
+              <td>
+                {settlementImport.period_start && new Date(settlementImport.period_start).toLocaleDateString()}
+                {' - '}
+                {settlementImport.period_end && new Date(settlementImport.period_end).toLocaleDateString()}
+              </td>
+              <td>{settlementImport.row_count}</td>
+              <td>{settlementImport.summary?.matched ?? '-'}</td>
+              <td>{settlementImport.open_issues}</td>
+              <td>
+                <button className="btn-small" onClick={() => setSelected(settlementImport)}>Issues</button>
+                <button className="btn-small" onClick={() => handleRun(settlementImport)}>Re-run</button>
+                <button className="btn-small" onClick={() => handleReport(settlementImport)}>Report</button>
+                <button className="btn-small danger" onClick={() => handleDelete(settlementImport)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <div className="form-section">
+          <h3>Issues: {selected.provider} import #{selected.id}</h3>
+          <p>
+            {Object.entries(selected.summary?.issues || {})
+              .map(([type, count]) => `${type.replace(/_/g, ' ')}: ${count}`)
+              .join(' · ') || 'No issues found'}
+          </p>
+          <label>
+            <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+            Show resolved
+          </label>
+
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Issue</th>
+                <th>Row</th>
+                <th>Payment</th>
+                <th>Expected</th>
+                <th>Settled</th>
+                <th>Details</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((issue) => (
+                <tr key={issue.id}>
+                  <td>{issue.type.replace(/_/g, ' ')}</td>
+                  <td>{issue.row_number || '-'}</td>
+                  <td>{issue.payment_id ? `#${issue.payment_id} ${issue.reference || ''}` : '-'}</td>
+                  <td>{issue.expected_amount ? `${issue.expected_amount} ${issue.currency || ''}` : '-'}</td>
+                  <td>{issue.settled_amount ? `${issue.settled_amount} ${issue.currency || ''}` : '-'}</td>
+                  <td>{issue.details}</td>
+                  <td>
+                    {issue.resolved_at ? (
+                      <span title={issue.resolution_note}>Resolved</span>
+                    ) : (
+                      <button className="btn-small" onClick={() => handleResolve(issue)}>Resolve</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const BandwidthTab = ({ users }) => {
   return (
     <div className="tab-content">
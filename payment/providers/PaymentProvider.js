@@ -0,0 +1,142 @@
+// payment/providers/PaymentProvider.js
+
+/**
+ * Provider error with the HTTP status to answer with; `code` is the gateway's own
+ * status code when it sent one
+ */
+class PaymentProviderError extends Error {
+  constructor(message, status = 502, code = null) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Payment states every provider maps its own states onto
+ */
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+/**
+ * Normalized webhook/IPN event types
+ */
+const EVENT_TYPE = {
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  IGNORED: 'ignored',
+};
+
+/**
+ * Payment Provider
+ * Interface the payment service talks to; one subclass per gateway.
+ *
+ *   createPayment({ reference, amount, currency, description, email, phone,
+ *                   returnUrl, successUrl, cancelUrl, ipnUrl, metadata })
+ *     -> { providerPaymentId, redirectUrl, raw }
+ *   parseReturn(req)                -> { providerPaymentId, outcome: 'success' | 'failure' | 'cancel', params }
+ *   executePayment(id, params)      -> payment result (capture after the customer approved)
+ *   queryPayment(id)                -> payment result
+ *   chargeSaved({ reference, amount, currency, customerId, paymentMethodId, description, metadata, idempotencyKey })
+ *     -> payment result (merchant-initiated charge of a saved payment method, for renewals)
+ *   refund({ providerPaymentId, transactionId, amount, currency, reason }) -> { refundId, status, amount, raw }
+ *   verifyWebhook(req)              -> { type, eventId, occurredAt, providerPaymentId, transactionId,
+ *                                        amount, currency, metadata, raw }
+ *
+ * verifyWebhook rejects (400) anything whose signature does not check out. eventId is
+ * the gateway's id for the notification, the same on every redelivery.
+ * A payment result is { providerPaymentId, status (PAYMENT_STATUS), transactionId, amount, currency, raw },
+ * plus `reference` (ours) when the gateway echoes it back;
+ * chargeSaved resolves to a FAILED result with `error` when the charge is declined.
+ * Amounts are in major units (taka, dollars) everywhere.
+ */
+class PaymentProvider {
+  constructor(config = {}) {
+    this.logger = config.logger || console;
+    this.timeout = config.timeout || 15000;
+  }
+
+  /** Provider key used in routes and payment records */
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  /** Upper-case ISO currency codes the gateway settles in */
+  get currencies() {
+    return [];
+  }
+
+  /** Whether the gateway pushes signed notifications (otherwise pending payments are polled) */
+  get supportsWebhooks() {
+    return false;
+  }
+
+  /**
+   * Whether a verified webhook still only proves who signed it, not what the gateway
+   * recorded; the payment is then confirmed with queryPayment before it is acted on
+   */
+  get webhooksNeedConfirmation() {
+    return false;
+  }
+
+  /** Whether a saved payment method can be charged without the customer (chargeSaved) */
+  get supportsSavedPayments() {
+    return false;
+  }
+
+  /** Credentials are present */
+  isConfigured() {
+    return false;
+  }
+
+  supportsCurrency(currency) {
+    return this.currencies.includes(String(currency || '').toUpperCase());
+  }
+
+  async createPayment() {
+    throw new PaymentProviderError(`${this.name} does not implement createPayment`, 501);
+  }
+
+  parseReturn() {
+    throw new PaymentProviderError(`${this.name} has no return callback`, 404);
+  }
+
+  async executePayment(providerPaymentId) {
+    return this.queryPayment(providerPaymentId);
+  }
+
+  async queryPayment() {
+    throw new PaymentProviderError(`${this.name} does not implement queryPayment`, 501);
+  }
+
+  async chargeSaved() {
+    throw new PaymentProviderError(`${this.name} cannot charge saved payment methods`, 501);
+  }
+
+  async refund() {
+    throw new PaymentProviderError(`${this.name} does not implement refunds`, 501);
+  }
+
+  async verifyWebhook() {
+    throw new PaymentProviderError(`${this.name} does not send webhooks`, 404);
+  }
+
+  /**
+   * Amount as the gateways want it on the wire: a string with two decimals
+   */
+  formatAmount(amount) {
+    return Number(amount).toFixed(2);
+  }
+}
+
+module.exports = PaymentProvider;
+module.exports.PaymentProviderError = PaymentProviderError;
+module.exports.PAYMENT_STATUS = PAYMENT_STATUS;
+module.exports.EVENT_TYPE = EVENT_TYPE;
@@ -0,0 +1,314 @@
+// payment/providers/bkashProvider.js
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+
+const { PaymentProviderError, PAYMENT_STATUS, EVENT_TYPE } = PaymentProvider;
+
+const SUCCESS = '0000';
+// Refresh the grant token this long before bKash expires it
+const TOKEN_MARGIN = 60 * 1000;
+
+const TRANSACTION_STATUS = {
+  Completed: PAYMENT_STATUS.COMPLETED,
+  Initiated: PAYMENT_STATUS.PENDING,
+  Authorized: PAYMENT_STATUS.PENDING,
+  Pending: PAYMENT_STATUS.PENDING,
+  Failed: PAYMENT_STATUS.FAILED,
+  Cancelled: PAYMENT_STATUS.CANCELLED,
+  Expired: PAYMENT_STATUS.CANCELLED,
+  Declined: PAYMENT_STATUS.FAILED,
+};
+
+// bKash webhooks are AWS SNS messages; signing certificates must come from SNS
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const SNS_SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+};
+const SNS_SIGNATURE_ALGORITHMS = { 1: 'RSA-SHA1', 2: 'RSA-SHA256' };
+
+/**
+ * The string SNS signs: "<field>\n<value>\n" for each signed field that is present
+ */
+function snsStringToSign(message) {
+  const fields = SNS_SIGNED_FIELDS[message.Type];
+  if (!fields) return null;
+  return fields
+    .filter((field) => message[field] !== undefined && message[field] !== null)
+    .map((field) => `${field}\n${message[field]}\n`)
+    .join('');
+}
+
+/**
+ * bKash Provider
+ * Tokenized Checkout (v1.2.0-beta), URL based: grant token -> create payment ->
+ * the customer approves on bkashURL -> bKash redirects to callbackURL with
+ * paymentID and status -> execute -> query. Merchants registered for webhooks also
+ * get an AWS SNS notification per transaction, signed with an SNS certificate;
+ * payments are still confirmed by querying when neither arrives.
+ */
+class BkashProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta').replace(/\/$/, '');
+    this.username = config.username;
+    this.password = config.password;
+    this.appKey = config.appKey;
+    this.appSecret = config.appSecret;
+    // Signing certificates under this prefix are trusted as well (the sandbox)
+    this.webhookCertURLPrefix = config.webhookCertURLPrefix || null;
+    // Any AWS account can have SNS sign a message, so only bKash's topics for this
+    // merchant are listened to; without one configured, webhooks are refused
+    this.webhookTopicArns = String(config.webhookTopicArns || '')
+      .split(',')
+      .map((arn) => arn.trim())
+      .filter(Boolean);
+
+    this.token = null;
+    this.refreshToken = null;
+    this.tokenExpiresAt = 0;
+    this.certificates = new Map();
+  }
+
+  get name() {
+    return 'bkash';
+  }
+
+  get currencies() {
+    return ['BDT'];
+  }
+
+  get supportsWebhooks() {
+    return true;
+  }
+
+  get webhooksNeedConfirmation() {
+    return true;
+  }
+
+  isConfigured() {
+    return Boolean(this.username && this.password && this.appKey && this.appSecret);
+  }
+
+  /**
+   * ==================== AUTH ====================
+   */
+
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt - TOKEN_MARGIN) {
+      return this.token;
+    }
+
+    const refreshing = Boolean(this.refreshToken);
+    const response = await axios.post(
+      `${this.baseURL}/tokenized/checkout/token/${refreshing ? 'refresh' : 'grant'}`,
+      refreshing
+        ? { app_key: this.appKey, app_secret: this.appSecret, refresh_token: this.refreshToken }
+        : { app_key: this.appKey, app_secret: this.appSecret },
+      {
+        headers: { username: this.username, password: this.password, Accept: 'application/json' },
+        timeout: this.timeout,
+        validateStatus: () => true,
+      }
+    );
+
+    const data = response.data || {};
+    if (!data.id_token) {
+      // A rejected refresh token falls back to a fresh grant
+      if (refreshing) {
+        this.refreshToken = null;
+        return this.getToken();
+      }
+      throw new PaymentProviderError(`bKash token grant failed: ${data.statusMessage || data.msg || response.status}`, 502, data.statusCode);
+    }
+
+    this.token = data.id_token;
+    this.refreshToken = data.refresh_token || null;
+    this.tokenExpiresAt = Date.now() + Number(data.expires_in || 3600) * 1000;
+    return this.token;
+  }
+
+  async request(path, body) {
+    const token = await this.getToken();
+    const response = await axios.post(`${this.baseURL}/tokenized/checkout${path}`, body, {
+      headers: { Authorization: token, 'X-APP-Key': this.appKey, Accept: 'application/json' },
+      timeout: this.timeout,
+      validateStatus: () => true,
+    });
+
+    if (response.status === 401) {
+      this.token = null;
+    }
+
+    const data = response.data || {};
+    if (response.status >= 400 || (data.statusCode && data.statusCode !== SUCCESS) || data.errorCode) {
+      const message = data.statusMessage || data.errorMessage || `HTTP ${response.status}`;
+      throw new PaymentProviderError(`bKash ${path}: ${message}`, 502, data.statusCode || data.errorCode);
+    }
+    return data;
+  }
+
+  /**
+   * ==================== PAYMENTS ====================
+   */
+
+  async createPayment({ reference, amount, currency, phone, returnUrl }) {
+    const data = await this.request('/create', {
+      mode: '0011',
+      payerReference: phone || reference,
+      callbackURL: returnUrl,
+      amount: this.formatAmount(amount),
+      currency: currency.toUpperCase(),
+      intent: 'sale',
+      merchantInvoiceNumber: reference,
+    });
+
+    return { providerPaymentId: data.paymentID, redirectUrl: data.bkashURL, raw: data };
+  }
+
+  parseReturn(req) {
+    const { paymentID, status } = req.query;
+    const outcome = { success: 'success', cancel: 'cancel' }[status] || 'failure';
+    return { providerPaymentId: paymentID, outcome, params: req.query };
+  }
+
+  async executePayment(providerPaymentId) {
+    const data = await this.request('/execute', { paymentID: providerPaymentId });
+    return this.toResult(providerPaymentId, data);
+  }
+
+  async queryPayment(providerPaymentId) {
+    const data = await this.request('/payment/status', { paymentID: providerPaymentId });
+    return this.toResult(providerPaymentId, data);
+  }
+
+  toResult(providerPaymentId, data) {
+    return {
+      providerPaymentId,
+      status: TRANSACTION_STATUS[data.transactionStatus] || PAYMENT_STATUS.PENDING,
+      transactionId: data.trxID || null,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      currency: data.currency,
+      payer: data.customerMsisdn,
+      raw: data,
+    };
+  }
+
+  async refund({ providerPaymentId, transactionId, amount, reason }) {
+    const data = await this.request('/payment/refund', {
+      paymentID: providerPaymentId,
+      trxID: transactionId,
+      amount: this.formatAmount(amount),
+      sku: 'wifi-access',
+      reason: (reason || 'Customer refund').slice(0, 255),
+    });
+
+    return {
+      refundId: data.refundTrxID,
+      status: data.transactionStatus === 'Completed' ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.PENDING,
+      amount: Number(data.amount),
+      raw: data,
+    };
+  }
+
+  /**
+   * ==================== WEBHOOKS ====================
+   */
+
+  trustedSNSURL(url) {
+    if (this.webhookCertURLPrefix && String(url).startsWith(this.webhookCertURLPrefix)) return true;
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && SNS_CERT_HOST.test(parsed.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getCertificate(url) {
+    if (!this.certificates.has(url)) {
+      const response = await axios.get(url, { responseType: 'text', timeout: this.timeout });
+      this.certificates.set(url, String(response.data));
+    }
+    return this.certificates.get(url);
+  }
+
+  async verifySNSSignature(message) {
+    const algorithm = SNS_SIGNATURE_ALGORITHMS[message.SignatureVersion];
+    const stringToSign = snsStringToSign(message);
+    if (!algorithm || !stringToSign || !message.Signature) {
+      throw new PaymentProviderError('Webhook is not a signed SNS message', 400);
+    }
+    if (!this.trustedSNSURL(message.SigningCertURL)) {
+      throw new PaymentProviderError(`Untrusted SNS signing certificate: ${message.SigningCertURL}`, 400);
+    }
+
+    const certificate = await this.getCertificate(message.SigningCertURL);
+    const valid = crypto.createVerify(algorithm).update(stringToSign, 'utf8')
+      .verify(certificate, message.Signature, 'base64');
+    if (!valid) {
+      throw new PaymentProviderError('Webhook signature verification failed', 400);
+    }
+  }
+
+  /**
+   * SNS posts JSON as text/plain. The subscription is confirmed when SNS asks; each
+   * notification carries one transaction. Only messages from a configured topic are
+   * accepted, and what they say is confirmed with queryPayment before it is acted on.
+   */
+  async verifyWebhook(req) {
+    let message;
+    try {
+      const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+      message = typeof body === 'string' ? JSON.parse(body) : body;
+    } catch (error) {
+      throw new PaymentProviderError('Webhook body is not JSON', 400);
+    }
+    await this.verifySNSSignature(message || {});
+    if (!this.webhookTopicArns.includes(message.TopicArn)) {
+      throw new PaymentProviderError(`SNS topic is not a configured bKash topic: ${message.TopicArn}`, 403);
+    }
+
+    const base = { eventId: message.MessageId, occurredAt: message.Timestamp, metadata: {}, raw: message };
+
+    if (message.Type === 'SubscriptionConfirmation') {
+      if (!this.trustedSNSURL(message.SubscribeURL)) {
+        throw new PaymentProviderError(`Untrusted SNS subscribe URL: ${message.SubscribeURL}`, 400);
+      }
+      await axios.get(message.SubscribeURL, { timeout: this.timeout });
+      this.logger.info(`bKash webhook subscription confirmed for ${message.TopicArn}`);
+      return { ...base, type: EVENT_TYPE.IGNORED, sourceType: message.Type };
+    }
+    if (message.Type !== 'Notification') {
+      return { ...base, type: EVENT_TYPE.IGNORED, sourceType: message.Type };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message.Message);
+    } catch (error) {
+      throw new PaymentProviderError('bKash notification message is not JSON', 400);
+    }
+
+    const status = TRANSACTION_STATUS[data.transactionStatus];
+    let type = EVENT_TYPE.IGNORED;
+    if (status === PAYMENT_STATUS.COMPLETED) type = EVENT_TYPE.PAYMENT_SUCCEEDED;
+    else if (status === PAYMENT_STATUS.FAILED) type = EVENT_TYPE.PAYMENT_FAILED;
+
+    return {
+      ...base,
+      type,
+      sourceType: data.transactionStatus,
+      providerPaymentId: data.paymentID || null,
+      transactionId: data.trxID || null,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      currency: data.currency,
+      metadata: { reference: data.merchantInvoiceNumber || null },
+    };
+  }
+}
+
+module.exports = BkashProvider;
+module.exports.snsStringToSign = snsStringToSign;
@@ -0,0 +1,140 @@
+// payment/providers/index.js
+const PaymentProvider = require('./PaymentProvider');
+const StripeProvider = require('./stripeProvider');
+const BkashProvider = require('./bkashProvider');
+const NagadProvider = require('./nagadProvider');
+const SSLCommerzProvider = require('./sslcommerzProvider');
+
+const { PaymentProviderError } = PaymentProvider;
+
+/**
+ * Providers built from the environment; each is usable once its credentials are set.
+ * The *_BASE_URL variables point a provider at the local sandbox.
+ */
+function providersFromEnv(env = process.env, logger = console) {
+  return [
+    new StripeProvider({
+      logger,
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      apiBase: env.STRIPE_API_BASE,
+    }),
+    new BkashProvider({
+      logger,
+      baseURL: env.BKASH_BASE_URL,
+      username: env.BKASH_USERNAME,
+      password: env.BKASH_PASSWORD,
+      appKey: env.BKASH_APP_KEY,
+      appSecret: env.BKASH_APP_SECRET,
+      webhookCertURLPrefix: env.BKASH_WEBHOOK_CERT_URL_PREFIX,
+      webhookTopicArns: env.BKASH_WEBHOOK_TOPIC_ARNS,
+    }),
+    new NagadProvider({
+      logger,
+      baseURL: env.NAGAD_BASE_URL,
+      merchantId: env.NAGAD_MERCHANT_ID,
+      merchantNumber: env.NAGAD_MERCHANT_NUMBER,
+      merchantPrivateKey: env.NAGAD_MERCHANT_PRIVATE_KEY,
+      gatewayPublicKey: env.NAGAD_PG_PUBLIC_KEY,
+      clientIP: env.NAGAD_CLIENT_IP,
+    }),
+    new SSLCommerzProvider({
+      logger,
+      baseURL: env.SSLCOMMERZ_BASE_URL,
+      storeId: env.SSLCOMMERZ_STORE_ID,
+      storePassword: env.SSLCOMMERZ_STORE_PASSWORD,
+    }),
+  ];
+}
+
+/**
+ * Payment Provider Registry
+ * Picks the provider for a payment from payment_provider_routes, most specific
+ * first: site, then reseller, then currency only, then the global default. A route
+ * is skipped when its provider is not configured or cannot take the currency.
+ * Without a matching route BDT goes to DEFAULT_BDT_PROVIDER (bKash) and everything
+ * else to DEFAULT_PAYMENT_PROVIDER (Stripe).
+ */
+class PaymentProviderRegistry {
+  constructor(db, config = {}) {
+    this.db = db;
+    this.logger = config.logger || console;
+    this.providers = new Map((config.providers || providersFromEnv(process.env, this.logger)).map((p) => [p.name, p]));
+    this.defaults = {
+      BDT: config.defaultBDTProvider || process.env.DEFAULT_BDT_PROVIDER || 'bkash',
+      '*': config.defaultProvider || process.env.DEFAULT_PAYMENT_PROVIDER || 'stripe',
+    };
+  }
+
+  /**
+   * A configured provider by name
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new PaymentProviderError(`Unknown payment provider: ${name}`, 404);
+    }
+    if (!provider.isConfigured()) {
+      throw new PaymentProviderError(`Payment provider ${name} is not configured`, 503);
+    }
+    return provider;
+  }
+
+  list() {
+    return [...this.providers.values()].map((provider) => ({
+      name: provider.name,
+      currencies: provider.currencies,
+      configured: provider.isConfigured(),
+      webhooks: provider.supportsWebhooks,
+    }));
+  }
+
+  usable(name, currency) {
+    const provider = this.providers.get(name);
+    return Boolean(provider && provider.isConfigured() && provider.supportsCurrency(currency));
+  }
+
+  /**
+   * Provider for a payment: { siteId, resellerId, currency }
+   */
+  async resolve({ siteId = null, resellerId = null, currency }) {
+    const code = String(currency || '').toUpperCase();
+
+    const result = await this.db.query(
+      `SELECT * FROM payment_provider_routes
+       WHERE status = 'active'
+         AND (site_id IS NULL OR site_id = $1)
+         AND (reseller_id IS NULL OR reseller_id = $2)
+         AND (currency IS NULL OR currency = $3)
+       ORDER BY (site_id IS NOT NULL) DESC, (reseller_id IS NOT NULL) DESC,
+                (currency IS NOT NULL) DESC, priority ASC, id ASC`,
+      [siteId || null, resellerId || null, code]
+    );
+
+    const route = result.rows.find((row) => this.usable(row.provider, code));
+    if (route) {
+      return this.providers.get(route.provider);
+    }
+    if (result.rows.length) {
+      this.logger.warn(`No usable payment route for ${code} (site ${siteId}, reseller ${resellerId}); using the default`);
+    }
+
+    const fallback = this.defaults[code] || this.defaults['*'];
+    if (this.usable(fallback, code)) {
+      return this.providers.get(fallback);
+    }
+
+    const any = [...this.providers.keys()].find((name) => this.usable(name, code));
+    if (!any) {
+      throw new PaymentProviderError(`No payment provider accepts ${code || 'this currency'}`, 422);
+    }
+    return this.providers.get(any);
+  }
+}
+
+module.exports = PaymentProviderRegistry;
+module.exports.providersFromEnv = providersFromEnv;
+module.exports.PaymentProvider = PaymentProvider;
+module.exports.PaymentProviderError = PaymentProviderError;
+module.exports.PAYMENT_STATUS = PaymentProvider.PAYMENT_STATUS;
+module.exports.EVENT_TYPE = PaymentProvider.EVENT_TYPE;
@@ -0,0 +1,284 @@
+// payment/providers/nagadProvider.js
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+
+const { PaymentProviderError, PAYMENT_STATUS } = PaymentProvider;
+
+// ISO 4217 numeric code for BDT, as Nagad expects it
+const BDT_NUMERIC = '050';
+
+const STATUS = {
+  Success: PAYMENT_STATUS.COMPLETED,
+  OrderInitiated: PAYMENT_STATUS.PENDING,
+  Ready: PAYMENT_STATUS.PENDING,
+  InProgress: PAYMENT_STATUS.PENDING,
+  Cancelled: PAYMENT_STATUS.CANCELLED,
+  Aborted: PAYMENT_STATUS.CANCELLED,
+  Failed: PAYMENT_STATUS.FAILED,
+  InvalidRequest: PAYMENT_STATUS.FAILED,
+  Fraud: PAYMENT_STATUS.FAILED,
+  Rejected: PAYMENT_STATUS.FAILED,
+};
+
+/**
+ * Accept PEM or the bare base64 key body Nagad hands out
+ */
+function toPem(key, type) {
+  if (!key) return null;
+  const text = key.replace(/\\n/g, '\n').trim();
+  if (text.includes('-----BEGIN')) return text;
+  const label = type === 'private' ? 'PRIVATE KEY' : 'PUBLIC KEY';
+  return `-----BEGIN ${label}-----\n${text.match(/.{1,64}/g).join('\n')}\n-----END ${label}-----`;
+}
+
+/**
+ * RSA PKCS#1 v1.5 decryption. Node 20 refuses that padding in privateDecrypt
+ * (CVE-2023-46809), but Nagad replies use it, so the padding is stripped here:
+ * 0x00 0x02 <non-zero random bytes> 0x00 <message>.
+ */
+function pkcs1Decrypt(privateKey, buffer) {
+  const block = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, buffer);
+  const separator = block.indexOf(0, 2);
+  if (block[0] !== 0 || block[1] !== 2 || separator < 10) {
+    throw new PaymentProviderError('Nagad reply could not be decrypted', 502);
+  }
+  return block.subarray(separator + 1);
+}
+
+/**
+ * Nagad time format, Asia/Dhaka: YYYYMMDDHHmmss
+ */
+function nagadDateTime(date = new Date()) {
+  const dhaka = new Date(date.getTime() + 6 * 60 * 60 * 1000);
+  return dhaka.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Nagad Provider
+ * Online payment gateway (check-out API v-0.2.0): initialize -> complete -> the
+ * customer pays on callBackUrl -> Nagad redirects to merchantCallbackURL with
+ * payment_ref_id and status -> verify. Sensitive data goes RSA-encrypted with the
+ * gateway's public key and signed (SHA256withRSA) with the merchant's private key;
+ * replies come back encrypted to the merchant key and signed by the gateway.
+ */
+class NagadProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || 'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0').replace(/\/$/, '');
+    this.merchantId = config.merchantId;
+    this.merchantNumber = config.merchantNumber;
+    this.merchantPrivateKey = toPem(config.merchantPrivateKey, 'private');
+    this.gatewayPublicKey = toPem(config.gatewayPublicKey, 'public');
+    this.clientIP = config.clientIP || '127.0.0.1';
+  }
+
+  get name() {
+    return 'nagad';
+  }
+
+  get currencies() {
+    return ['BDT'];
+  }
+
+  /**
+   * Nagad signs nothing it sends to the merchant's callback; every outcome is taken
+   * from the verify API instead
+   */
+  get webhooksNeedConfirmation() {
+    return true;
+  }
+
+  isConfigured() {
+    return Boolean(this.merchantId && this.merchantPrivateKey && this.gatewayPublicKey);
+  }
+
+  /**
+   * ==================== CRYPTO ====================
+   */
+
+  encrypt(data) {
+    return crypto.publicEncrypt(
+      { key: this.gatewayPublicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(JSON.stringify(data))
+    ).toString('base64');
+  }
+
+  decrypt(data) {
+    return pkcs1Decrypt(this.merchantPrivateKey, Buffer.from(data, 'base64')).toString();
+  }
+
+  sign(data) {
+    return crypto.sign('sha256', Buffer.from(JSON.stringify(data)), this.merchantPrivateKey).toString('base64');
+  }
+
+  verify(plain, signature) {
+    try {
+      return crypto.verify('sha256', Buffer.from(plain), this.gatewayPublicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Encrypted, signed request body
+   */
+  sealed(data, extra = {}) {
+    return { sensitiveData: this.encrypt(data), signature: this.sign(data), ...extra };
+  }
+
+  /**
+   * Decrypt a gateway reply and check the gateway's signature over it
+   */
+  unseal(data) {
+    if (!data.sensitiveData) {
+      throw new PaymentProviderError(`Nagad: ${data.message || data.reason || 'no data in reply'}`, 502, data.status);
+    }
+    // The signature covers the decrypted text exactly as sent
+    const plain = this.decrypt(data.sensitiveData);
+    if (!data.signature || !this.verify(plain, data.signature)) {
+      throw new PaymentProviderError('Nagad reply signature is invalid', 502);
+    }
+    return JSON.parse(plain);
+  }
+
+  async request(method, path, body) {
+    const response = await axios({
+      method,
+      url: `${this.baseURL}${path}`,
+      data: body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-KM-Api-Version': 'v-0.2.0',
+        'X-KM-IP-V4': this.clientIP,
+        'X-KM-Client-Type': 'PC_WEB',
+      },
+      timeout: this.timeout,
+      validateStatus: () => true,
+    });
+
+    const data = response.data || {};
+    if (response.status >= 400) {
+      throw new PaymentProviderError(`Nagad ${path}: ${data.message || data.reason || `HTTP ${response.status}`}`, 502, data.status);
+    }
+    return data;
+  }
+
+  /**
+   * ==================== PAYMENTS ====================
+   */
+
+  /**
+   * Nagad order ids are alphanumeric, at most 20 characters: the payment reference fits
+   */
+  async createPayment({ reference, amount, currency, returnUrl, description }) {
+    if (currency.toUpperCase() !== 'BDT') {
+      throw new PaymentProviderError('Nagad only accepts BDT', 400);
+    }
+
+    const challenge = crypto.randomBytes(20).toString('hex');
+    const datetime = nagadDateTime();
+
+    const init = await this.request(
+      'post',
+      `/api/dfs/check-out/initialize/${this.merchantId}/${reference}?locale=EN`,
+      this.sealed({ merchantId: this.merchantId, datetime, orderId: reference, challenge }, { dateTime: datetime })
+    );
+    const session = this.unseal(init);
+
+    const complete = await this.request(
+      'post',
+      `/api/dfs/check-out/complete/${session.paymentReferenceId}`,
+      this.sealed(
+        {
+          merchantId: this.merchantId,
+          orderId: reference,
+          currencyCode: BDT_NUMERIC,
+          amount: this.formatAmount(amount),
+          challenge: session.challenge,
+        },
+        {
+          merchantCallbackURL: returnUrl,
+          additionalMerchantInfo: { productDetails: description || 'WiFi Access' },
+        }
+      )
+    );
+
+    if (complete.status !== 'Success' || !complete.callBackUrl) {
+      throw new PaymentProviderError(`Nagad checkout failed: ${complete.message || complete.status}`, 502, complete.status);
+    }
+
+    return { providerPaymentId: session.paymentReferenceId, redirectUrl: complete.callBackUrl, raw: complete };
+  }
+
+  parseReturn(req) {
+    const { payment_ref_id: paymentRefId, status } = req.query;
+    const outcome = status === 'Success' ? 'success' : (status === 'Aborted' || status === 'Cancelled' ? 'cancel' : 'failure');
+    return { providerPaymentId: paymentRefId, outcome, params: req.query };
+  }
+
+  /**
+   * The callback is unsigned, so its status only decides whether to ask: the payment
+   * is what the verify API reports, and it must be the order the callback named
+   */
+  async executePayment(providerPaymentId, params = {}) {
+    const result = await this.queryPayment(providerPaymentId);
+    if (params.order_id && result.reference !== params.order_id) {
+      throw new PaymentProviderError('Nagad callback order does not match the payment', 409);
+    }
+    return result;
+  }
+
+  async queryPayment(providerPaymentId) {
+    const data = await this.request('get', `/api/dfs/verify/payment/${encodeURIComponent(providerPaymentId)}`);
+    if (data.merchantId && this.merchantId && data.merchantId !== this.merchantId) {
+      throw new PaymentProviderError('Nagad payment belongs to another merchant', 409);
+    }
+    if (data.paymentRefId && data.paymentRefId !== providerPaymentId) {
+      throw new PaymentProviderError('Nagad verified a different payment', 409);
+    }
+
+    return {
+      providerPaymentId,
+      status: STATUS[data.status] || PAYMENT_STATUS.PENDING,
+      transactionId: data.issuerPaymentRefNo || null,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      currency: 'BDT',
+      reference: data.orderId,
+      payer: data.clientMobileNo,
+      raw: data,
+    };
+  }
+
+  /**
+   * Purchase cancellation (full or partial refund)
+   */
+  async refund({ providerPaymentId, transactionId, amount, reason, originalAmount, paidAt, reference }) {
+    const data = await this.request(
+      'post',
+      `/api/dfs/purchase/cancel?paymentRefId=${encodeURIComponent(providerPaymentId)}&orderId=${encodeURIComponent(reference)}`,
+      this.sealed({
+        merchantId: this.merchantId,
+        originalRequestDate: nagadDateTime(paidAt ? new Date(paidAt) : new Date()).slice(0, 8),
+        originalAmount: this.formatAmount(originalAmount !== undefined ? originalAmount : amount),
+        cancelAmount: this.formatAmount(amount),
+        referenceNo: transactionId || providerPaymentId,
+        // Kept short: the whole block must fit in one RSA-2048 encryption (245 bytes)
+        referenceMessage: (reason || 'Customer refund').slice(0, 40),
+      })
+    );
+    const result = this.unseal(data);
+
+    return {
+      refundId: result.cancelIssuerRefNo || result.cancelTrxId || null,
+      status: result.cancelStatus === 'Success' || result.status === 'Success' ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.PENDING,
+      amount: Number(result.cancelAmount || amount),
+      raw: result,
+    };
+  }
+}
+
+module.exports = NagadProvider;
+module.exports.nagadDateTime = nagadDateTime;
+module.exports.toPem = toPem;
+module.exports.pkcs1Decrypt = pkcs1Decrypt;
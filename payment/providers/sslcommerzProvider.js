@@ -0,0 +1,240 @@
+// payment/providers/sslcommerzProvider.js
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+
+const { PaymentProviderError, PAYMENT_STATUS, EVENT_TYPE } = PaymentProvider;
+
+const VALIDATION_STATUS = {
+  VALID: PAYMENT_STATUS.COMPLETED,
+  VALIDATED: PAYMENT_STATUS.COMPLETED,
+  PENDING: PAYMENT_STATUS.PENDING,
+  UNATTEMPTED: PAYMENT_STATUS.PENDING,
+  FAILED: PAYMENT_STATUS.FAILED,
+  INVALID_TRANSACTION: PAYMENT_STATUS.FAILED,
+  CANCELLED: PAYMENT_STATUS.CANCELLED,
+  EXPIRED: PAYMENT_STATUS.CANCELLED,
+};
+
+const md5 = (value) => crypto.createHash('md5').update(String(value)).digest('hex');
+
+const withParam = (url, key, value) => {
+  const target = new URL(url);
+  target.searchParams.set(key, value);
+  return target.toString();
+};
+
+/**
+ * SSLCommerz Provider
+ * Hosted payment page (API v4): open a session -> the customer pays on
+ * GatewayPageURL -> the browser POSTs back to success/fail/cancel URL and the
+ * gateway POSTs an IPN -> both are checked with verify_sign and confirmed with the
+ * validation API. The payment id is our tran_id; refunds need the bank_tran_id.
+ */
+class SSLCommerzProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || 'https://sandbox.sslcommerz.com').replace(/\/$/, '');
+    this.storeId = config.storeId;
+    this.storePassword = config.storePassword;
+  }
+
+  get name() {
+    return 'sslcommerz';
+  }
+
+  get currencies() {
+    return ['BDT', 'USD', 'EUR', 'GBP', 'SGD', 'INR', 'MYR'];
+  }
+
+  get supportsWebhooks() {
+    return true;
+  }
+
+  isConfigured() {
+    return Boolean(this.storeId && this.storePassword);
+  }
+
+  async get(path, params) {
+    const response = await axios.get(`${this.baseURL}${path}`, {
+      params: { ...params, store_id: this.storeId, store_passwd: this.storePassword, format: 'json' },
+      timeout: this.timeout,
+      validateStatus: () => true,
+    });
+    if (response.status >= 400 || typeof response.data !== 'object') {
+      throw new PaymentProviderError(`SSLCommerz ${path}: HTTP ${response.status}`, 502);
+    }
+    return response.data;
+  }
+
+  /**
+   * ==================== PAYMENTS ====================
+   */
+
+  async createPayment({ reference, amount, currency, description, email, phone, returnUrl, ipnUrl, customerName }) {
+    const form = new URLSearchParams({
+      store_id: this.storeId,
+      store_passwd: this.storePassword,
+      total_amount: this.formatAmount(amount),
+      currency: currency.toUpperCase(),
+      tran_id: reference,
+      success_url: withParam(returnUrl, 'result', 'success'),
+      fail_url: withParam(returnUrl, 'result', 'fail'),
+      cancel_url: withParam(returnUrl, 'result', 'cancel'),
+      cus_name: customerName || 'WiFi Customer',
+      cus_email: email || 'customer@example.com',
+      cus_phone: phone || '01700000000',
+      cus_add1: 'N/A',
+      cus_city: 'Dhaka',
+      cus_country: 'Bangladesh',
+      shipping_method: 'NO',
+      product_name: description || 'WiFi Access',
+      product_category: 'Internet',
+      product_profile: 'non-physical-goods',
+      value_a: reference,
+    });
+    if (ipnUrl) form.set('ipn_url', ipnUrl);
+
+    const response = await axios.post(`${this.baseURL}/gwprocess/v4/api.php`, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.timeout,
+      validateStatus: () => true,
+    });
+
+    const data = response.data || {};
+    if (data.status !== 'SUCCESS' || !data.GatewayPageURL) {
+      throw new PaymentProviderError(`SSLCommerz session failed: ${data.failedreason || `HTTP ${response.status}`}`, 502);
+    }
+
+    return { providerPaymentId: reference, redirectUrl: data.GatewayPageURL, raw: { sessionkey: data.sessionkey } };
+  }
+
+  /**
+   * The browser comes back as a form POST; `result` is ours, set on the three URLs
+   */
+  parseReturn(req) {
+    const body = req.body || {};
+    const result = req.query.result;
+    let outcome = 'failure';
+    if (result === 'success' && (body.status === 'VALID' || body.status === 'VALIDATED')) outcome = 'success';
+    if (result === 'cancel') outcome = 'cancel';
+    return { providerPaymentId: body.tran_id, outcome, params: body };
+  }
+
+  /**
+   * Confirm with the validation API (val_id from the return or IPN), by tran_id without it
+   */
+  async executePayment(providerPaymentId, params = {}) {
+    if (!params.val_id) {
+      return this.queryPayment(providerPaymentId);
+    }
+
+    const data = await this.get('/validator/api/validationserverAPI.php', { val_id: params.val_id });
+    if (data.tran_id !== providerPaymentId) {
+      throw new PaymentProviderError('SSLCommerz validation is for another transaction', 409);
+    }
+    return this.toResult(providerPaymentId, data);
+  }
+
+  async queryPayment(providerPaymentId) {
+    const data = await this.get('/validator/api/merchantTransIDvalidationAPI.php', { tran_id: providerPaymentId });
+    const elements = data.element || [];
+    // A transaction can have several attempts; a valid one wins
+    const element = elements.find((e) => VALIDATION_STATUS[e.status] === PAYMENT_STATUS.COMPLETED) || elements[0];
+
+    if (!element) {
+      return { providerPaymentId, status: PAYMENT_STATUS.PENDING, transactionId: null, raw: data };
+    }
+    return this.toResult(providerPaymentId, element);
+  }
+
+  toResult(providerPaymentId, data) {
+    let status = VALIDATION_STATUS[data.status] || PAYMENT_STATUS.PENDING;
+    // Risky transactions are held for review in the merchant panel
+    if (status === PAYMENT_STATUS.COMPLETED && String(data.risk_level) === '1') {
+      status = PAYMENT_STATUS.PENDING;
+    }
+
+    return {
+      providerPaymentId,
+      status,
+      transactionId: data.bank_tran_id || null,
+      amount: data.currency_amount !== undefined ? Number(data.currency_amount) : Number(data.amount),
+      currency: data.currency_type || data.currency,
+      validationId: data.val_id,
+      raw: data,
+    };
+  }
+
+  async refund({ transactionId, amount, reason }) {
+    const data = await this.get('/validator/api/merchantTransIDvalidationAPI.php', {
+      bank_tran_id: transactionId,
+      refund_amount: this.formatAmount(amount),
+      refund_remarks: (reason || 'Customer refund').slice(0, 255),
+      v: 1,
+    });
+
+    if (data.APIConnect !== 'DONE' || data.status === 'failed') {
+      throw new PaymentProviderError(`SSLCommerz refund failed: ${data.errorReason || data.APIConnect}`, 502);
+    }
+
+    return {
+      refundId: data.refund_ref_id,
+      status: data.status === 'success' ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.PENDING,
+      amount: Number(amount),
+      raw: data,
+    };
+  }
+
+  /**
+   * ==================== IPN ====================
+   */
+
+  /**
+   * verify_sign is the md5 of the fields named in verify_key plus md5(store password),
+   * sorted by key and joined as key=value&...
+   */
+  verifySignature(body) {
+    if (!body.verify_sign || !body.verify_key) return false;
+
+    const fields = {};
+    for (const key of body.verify_key.split(',')) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+    fields.store_passwd = md5(this.storePassword);
+
+    const hashString = Object.keys(fields).sort().map((key) => `${key}=${fields[key]}`).join('&');
+    const expected = md5(hashString);
+    return expected.length === body.verify_sign.length
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(body.verify_sign));
+  }
+
+  /**
+   * IPN form POST: signature first, then the validation API has the final word
+   */
+  async verifyWebhook(req) {
+    const body = req.body || {};
+    if (!this.verifySignature(body)) {
+      throw new PaymentProviderError('IPN signature verification failed', 400);
+    }
+
+    // SSLCommerz has no event id; a repeated IPN repeats these fields
+    const eventId = [body.tran_id, body.status, body.val_id].filter(Boolean).join(':');
+    const base = { eventId, providerPaymentId: body.tran_id, metadata: {}, raw: body };
+    if (body.status !== 'VALID' && body.status !== 'VALIDATED') {
+      return { ...base, type: EVENT_TYPE.PAYMENT_FAILED, sourceType: body.status };
+    }
+
+    const result = await this.executePayment(body.tran_id, { val_id: body.val_id });
+    return {
+      ...base,
+      type: result.status === PAYMENT_STATUS.COMPLETED ? EVENT_TYPE.PAYMENT_SUCCEEDED : EVENT_TYPE.IGNORED,
+      transactionId: result.transactionId,
+      amount: result.amount,
+      currency: result.currency,
+      paymentMethod: body.card_type,
+    };
+  }
+}
+
+module.exports = SSLCommerzProvider;
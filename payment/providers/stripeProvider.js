@@ -0,0 +1,268 @@
+// payment/providers/stripeProvider.js
+const Stripe = require('stripe');
+const PaymentProvider = require('./PaymentProvider');
+
+const { PaymentProviderError, PAYMENT_STATUS, EVENT_TYPE } = PaymentProvider;
+
+// Currencies without minor units (Stripe takes whole amounts for these)
+const ZERO_DECIMAL = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const INTENT_STATUS = {
+  succeeded: PAYMENT_STATUS.COMPLETED,
+  canceled: PAYMENT_STATUS.CANCELLED,
+  requires_payment_method: PAYMENT_STATUS.PENDING,
+};
+
+/**
+ * Stripe Provider
+ * Hosted Checkout Sessions; the payment id is the session id. Completion arrives on
+ * the signed webhook (payment_intent.* events carry the session's metadata).
+ * `apiBase` points the SDK somewhere else, e.g. the local payment sandbox.
+ */
+class StripeProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super(config);
+    this.secretKey = config.secretKey;
+    this.webhookSecret = config.webhookSecret;
+
+    const options = { timeout: this.timeout };
+    if (config.apiBase) {
+      const base = new URL(config.apiBase);
+      options.host = base.hostname;
+      options.port = base.port || (base.protocol === 'https:' ? 443 : 80);
+      options.protocol = base.protocol.replace(':', '');
+    }
+    this.stripe = this.secretKey ? Stripe(this.secretKey, options) : null;
+  }
+
+  get name() {
+    return 'stripe';
+  }
+
+  get currencies() {
+    return ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'SGD', 'MYR', 'BDT', 'JPY'];
+  }
+
+  get supportsWebhooks() {
+    return true;
+  }
+
+  get supportsSavedPayments() {
+    return true;
+  }
+
+  isConfigured() {
+    return Boolean(this.stripe && this.webhookSecret);
+  }
+
+  toMinor(amount, currency) {
+    return ZERO_DECIMAL.includes(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100);
+  }
+
+  fromMinor(amount, currency) {
+    return ZERO_DECIMAL.includes(currency.toUpperCase()) ? amount : amount / 100;
+  }
+
+  /**
+   * ==================== PAYMENTS ====================
+   */
+
+  async createPayment({ reference, amount, currency, description, email, successUrl, cancelUrl, metadata = {} }) {
+    const meta = { ...metadata, reference };
+
+    try {
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [{
+          price_data: {
+            currency: currency.toLowerCase(),
+            product_data: { name: description || 'WiFi Access' },
+            unit_amount: this.toMinor(amount, currency),
+          },
+          quantity: 1,
+        }],
+        customer_email: email || undefined,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata: meta,
+        payment_intent_data: { metadata: meta, description },
+      });
+
+      return { providerPaymentId: session.id, redirectUrl: session.url, raw: session };
+    } catch (error) {
+      throw new PaymentProviderError(error.message, error.statusCode || 502, error.code);
+    }
+  }
+
+  /**
+   * Embedded Payment Element flow (voucher purchases from the admin shop)
+   */
+  async createIntent({ amount, currency, email, description, metadata = {} }) {
+    const intent = await this.stripe.paymentIntents.create({
+      amount: this.toMinor(amount, currency),
+      currency: currency.toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      receipt_email: email,
+      metadata,
+      description,
+    });
+    return { providerPaymentId: intent.id, clientSecret: intent.client_secret, raw: intent };
+  }
+
+  /**
+   * Off-session charge of a customer's saved card (subscription renewals). A decline
+   * or a card that needs the customer to authenticate comes back as FAILED. Sending
+   * the same idempotencyKey again returns the first attempt's PaymentIntent.
+   */
+  async chargeSaved({
+    reference, amount, currency, customerId, paymentMethodId, description, metadata = {}, idempotencyKey,
+  }) {
+    if (!customerId || !paymentMethodId) {
+      throw new PaymentProviderError('Stripe needs the customer and payment method to charge', 400);
+    }
+
+    try {
+      const intent = await this.stripe.paymentIntents.create({
+        amount: this.toMinor(amount, currency),
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: paymentMethodId,
+        off_session: true,
+        confirm: true,
+        description,
+        metadata: { ...metadata, reference },
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return {
+        providerPaymentId: intent.id,
+        status: INTENT_STATUS[intent.status] || PAYMENT_STATUS.PENDING,
+        transactionId: intent.id,
+        amount: this.fromMinor(intent.amount, intent.currency),
+        currency: intent.currency.toUpperCase(),
+        raw: intent,
+      };
+    } catch (error) {
+      const intent = error.raw && error.raw.payment_intent;
+      if (error.type === 'StripeCardError' || intent) {
+        return {
+          providerPaymentId: intent ? intent.id : null,
+          status: PAYMENT_STATUS.FAILED,
+          transactionId: intent ? intent.id : null,
+          amount,
+          currency: currency.toUpperCase(),
+          error: error.message,
+          raw: error.raw,
+        };
+      }
+      throw new PaymentProviderError(error.message, error.statusCode || 502, error.code);
+    }
+  }
+
+  /**
+   * Session ids (cs_) and PaymentIntent ids (pi_) are both accepted
+   */
+  async queryPayment(providerPaymentId) {
+    try {
+      let intent;
+      if (providerPaymentId.startsWith('pi_')) {
+        intent = await this.stripe.paymentIntents.retrieve(providerPaymentId);
+      } else {
+        const session = await this.stripe.checkout.sessions.retrieve(providerPaymentId, { expand: ['payment_intent'] });
+        intent = session.payment_intent;
+        if (!intent || typeof intent === 'string') {
+          return {
+            providerPaymentId,
+            status: session.status === 'expired' ? PAYMENT_STATUS.CANCELLED : PAYMENT_STATUS.PENDING,
+            transactionId: typeof intent === 'string' ? intent : null,
+            amount: this.fromMinor(session.amount_total, session.currency),
+            currency: session.currency.toUpperCase(),
+            raw: session,
+          };
+        }
+      }
+
+      return {
+        providerPaymentId,
+        status: INTENT_STATUS[intent.status] || PAYMENT_STATUS.PENDING,
+        transactionId: intent.id,
+        amount: this.fromMinor(intent.amount, intent.currency),
+        currency: intent.currency.toUpperCase(),
+        raw: intent,
+      };
+    } catch (error) {
+      throw new PaymentProviderError(error.message, error.statusCode || 502, error.code);
+    }
+  }
+
+  async refund({ transactionId, amount, currency, reason }) {
+    try {
+      const refund = await this.stripe.refunds.create({
+        payment_intent: transactionId,
+        amount: amount !== undefined ? this.toMinor(amount, currency) : undefined,
+        reason: reason || 'requested_by_customer',
+      });
+
+      return {
+        refundId: refund.id,
+        status: refund.status === 'succeeded' ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.PENDING,
+        amount: this.fromMinor(refund.amount, refund.currency || currency),
+        raw: refund,
+      };
+    } catch (error) {
+      throw new PaymentProviderError(error.message, error.statusCode || 502, error.code);
+    }
+  }
+
+  /**
+   * ==================== WEBHOOKS ====================
+   */
+
+  /**
+   * Needs the raw body (req.body as a Buffer)
+   */
+  async verifyWebhook(req) {
+    let event;
+    try {
+      event = this.stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], this.webhookSecret);
+    } catch (error) {
+      throw new PaymentProviderError(`Webhook signature verification failed: ${error.message}`, 400);
+    }
+
+    const object = event.data.object;
+    const base = {
+      eventId: event.id,
+      occurredAt: new Date(event.created * 1000).toISOString(),
+      metadata: object.metadata || {},
+      raw: event,
+    };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed':
+        return {
+          ...base,
+          type: event.type === 'payment_intent.succeeded' ? EVENT_TYPE.PAYMENT_SUCCEEDED : EVENT_TYPE.PAYMENT_FAILED,
+          providerPaymentId: null,
+          transactionId: object.id,
+          amount: this.fromMinor(object.amount, object.currency),
+          currency: object.currency.toUpperCase(),
+          paymentMethod: object.payment_method,
+        };
+
+      case 'charge.refunded':
+        return {
+          ...base,
+          type: EVENT_TYPE.REFUND_SUCCEEDED,
+          providerPaymentId: null,
+          transactionId: object.payment_intent,
+          amount: this.fromMinor(object.amount_refunded, object.currency),
+          currency: object.currency.toUpperCase(),
+        };
+
+      default:
+        return { ...base, type: EVENT_TYPE.IGNORED, sourceType: event.type };
+    }
+  }
+}
+
+module.exports = StripeProvider;
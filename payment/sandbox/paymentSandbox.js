@@ -0,0 +1,1076 @@
+// payment/sandbox/paymentSandbox.js
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { pkcs1Decrypt, toPem } = require('../providers/nagadProvider');
+const { snsStringToSign } = require('../providers/bkashProvider');
+
+const randomId = (prefix, bytes = 8) => `${prefix}${crypto.randomBytes(bytes).toString('hex')}`;
+const md5 = (value) => crypto.createHash('md5').update(String(value)).digest('hex');
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function withParams(url, params) {
+  const target = new URL(url);
+  for (const [key, value] of Object.entries(params)) target.searchParams.set(key, value);
+  return target.toString();
+}
+
+/**
+ * Stripe sends form bodies with bracketed keys: line_items[0][price_data][currency]=usd
+ */
+function parseNestedForm(text) {
+  const result = {};
+  for (const [key, value] of new URLSearchParams(text)) {
+    const path = key.replace(/\]/g, '').split('[');
+    let node = result;
+    path.forEach((segment, i) => {
+      if (i === path.length - 1) {
+        if (segment === '') node.push(value);
+        else node[segment] = value;
+        return;
+      }
+      if (node[segment] === undefined) node[segment] = /^\d*$/.test(path[i + 1]) ? [] : {};
+      node = node[segment];
+    });
+  }
+  return result;
+}
+
+// Drop unset values so they don't override the sandbox defaults
+const defined = (values = {}) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined && value !== '')
+);
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+// Saved Stripe test cards that decline off-session charges
+const DECLINED_PAYMENT_METHODS = ['pm_card_chargeDeclined', 'pm_card_visa_chargeDeclined'];
+
+/**
+ * Payment Sandbox
+ * Local stand-in for the payment gateways, one server for all of them:
+ *   /bkash/...       bKash Tokenized Checkout (grant/refresh token, create, execute, status, refund),
+ *                    SNS-signed webhooks with the signing key at /bkash/sns/cert.pem
+ *   /nagad/...       Nagad check-out API with the RSA sealed payloads (initialize, complete, verify, cancel)
+ *   /sslcommerz/...  SSLCommerz v4 session, validation and refund APIs, IPN with verify_sign
+ *   /v1/...          the Stripe API calls the payment service makes (checkout, off-session
+ *                    charges of saved cards), with signed webhooks
+ * Each gateway has a hosted page (`<prefix>/pay/<id>`) where the payment is approved,
+ * cancelled or failed; `?action=pay|cancel|fail` skips the page, for tests.
+ *
+ * Nagad needs two key pairs; missing keys are generated and `nagadKeys` holds the
+ * merchant side (gatewayPublicKey, merchantPrivateKey) for the payment service.
+ */
+class PaymentSandbox extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.logger = config.logger || console;
+    this.host = config.host || '0.0.0.0';
+    this.port = config.port || 8095;
+    this.fixedPublicURL = Boolean(config.publicURL);
+    this.publicURL = (config.publicURL || `http://localhost:${this.port}`).replace(/\/$/, '');
+
+    this.bkash = {
+      username: 'sandboxTokenizedUser02',
+      password: 'sandboxTokenizedUser02@12345',
+      appKey: '4f6o0cjiki2rfm34kfdadl1eqq',
+      appSecret: '2is7hdktrekvrbljjh44ll3d9l1dtjo4pasmjvs5vl5qr3fug4b',
+      webhookURL: null,
+      ...defined(config.bkash),
+    };
+    // Where the payment service fetches the signing key; the SNS topic signs with it
+    this.bkash.certURL = this.bkash.certURL || null;
+    this.bkash.signingKey = generateKeyPair();
+    this.sslcommerz = { storeId: 'testbox', storePassword: 'qwerty', ...defined(config.sslcommerz) };
+    this.stripeConfig = {
+      webhookSecret: 'whsec_sandbox',
+      webhookURL: null,
+      ...defined(config.stripe),
+    };
+
+    const nagad = { merchantId: '683002007104225', merchantNumber: '01700000000', ...defined(config.nagad) };
+    nagad.gatewayPrivateKey = toPem(nagad.gatewayPrivateKey, 'private');
+    nagad.merchantPublicKey = toPem(nagad.merchantPublicKey, 'public');
+    if (nagad.gatewayPrivateKey) {
+      nagad.gatewayPublicKey = crypto.createPublicKey(nagad.gatewayPrivateKey).export({ type: 'spki', format: 'pem' });
+    } else {
+      const gateway = generateKeyPair();
+      nagad.gatewayPrivateKey = gateway.privateKey;
+      nagad.gatewayPublicKey = gateway.publicKey;
+      nagad.generated = true;
+    }
+    if (!nagad.merchantPublicKey) {
+      const merchant = generateKeyPair();
+      nagad.merchantPublicKey = merchant.publicKey;
+      nagad.merchantPrivateKey = merchant.privateKey;
+      nagad.generated = true;
+    }
+    this.nagad = nagad;
+
+    this.tokens = new Map();
+    this.payments = {
+      bkash: new Map(),
+      nagad: new Map(),
+      sslcommerz: new Map(),
+      stripeSessions: new Map(),
+      stripeIntents: new Map(),
+    };
+    this.validations = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Merchant-side Nagad keys matching this sandbox
+   */
+  get nagadKeys() {
+    return {
+      merchantId: this.nagad.merchantId,
+      gatewayPublicKey: this.nagad.gatewayPublicKey,
+      merchantPrivateKey: this.nagad.merchantPrivateKey || null,
+    };
+  }
+
+  /**
+   * ==================== LIFECYCLE ====================
+   */
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch((error) => {
+          this.logger.error('Payment sandbox error:', error);
+          this.json(res, 500, { error: error.message });
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        if (!this.fixedPublicURL) this.publicURL = `http://localhost:${this.port}`;
+        this.logger.info(`Payment sandbox listening on ${this.port} (public ${this.publicURL})`);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * ==================== HTTP ====================
+   */
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  html(res, body) {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<!doctype html><meta charset="utf-8"><title>Payment sandbox</title>${body}`);
+  }
+
+  redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', (chunk) => { data += chunk; });
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  async parseBody(req) {
+    const text = await this.readBody(req);
+    if (!text) return {};
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+      return JSON.parse(text);
+    }
+    return parseNestedForm(text);
+  }
+
+  /**
+   * Approve / cancel / fail page shared by the gateways
+   */
+  hostedPage(res, title, amount, currency) {
+    return this.html(res, `
+      <h1>${escapeHtml(title)} sandbox</h1>
+      <p>Amount: <strong>${escapeHtml(amount)} ${escapeHtml(currency)}</strong></p>
+      <p><a href="?action=pay">Pay</a> &middot; <a href="?action=cancel">Cancel</a> &middot; <a href="?action=fail">Fail</a></p>`);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const [, prefix] = url.pathname.split('/');
+
+    switch (prefix) {
+      case 'bkash':
+        return this.handleBkash(req, res, url);
+      case 'nagad':
+        return this.handleNagad(req, res, url);
+      case 'sslcommerz':
+        return this.handleSSLCommerz(req, res, url);
+      case 'v1':
+      case 'stripe':
+        return this.handleStripe(req, res, url);
+      case 'health':
+        return this.json(res, 200, { status: 'OK' });
+      default:
+        return this.json(res, 404, { error: 'not_found' });
+    }
+  }
+
+  /**
+   * ==================== BKASH ====================
+   */
+
+  async handleBkash(req, res, url) {
+    const path = url.pathname.replace(/^\/bkash(\/v[\w.-]+)?/, '');
+
+    const page = /^\/pay\/([\w-]+)$/.exec(path);
+    if (page) return this.bkashPage(res, url, page[1]);
+    if (path === '/sns/cert.pem') {
+      res.writeHead(200, { 'Content-Type': 'application/x-pem-file' });
+      return res.end(this.bkash.signingKey.publicKey);
+    }
+
+    if (req.method !== 'POST') return this.json(res, 405, { statusCode: '9999', statusMessage: 'Method not allowed' });
+    const body = await this.parseBody(req);
+
+    if (path === '/tokenized/checkout/token/grant' || path === '/tokenized/checkout/token/refresh') {
+      return this.bkashToken(req, res, body, path.endsWith('refresh'));
+    }
+
+    const token = this.tokens.get(req.headers.authorization);
+    if (!token || token.expiresAt < Date.now() || req.headers['x-app-key'] !== this.bkash.appKey) {
+      return this.json(res, 401, { message: 'Unauthorized' });
+    }
+
+    switch (path) {
+      case '/tokenized/checkout/create':
+        return this.json(res, 200, this.bkashCreate(body));
+      case '/tokenized/checkout/execute':
+        return this.json(res, 200, this.bkashExecute(body));
+      case '/tokenized/checkout/payment/status':
+        return this.json(res, 200, this.bkashStatus(body));
+      case '/tokenized/checkout/payment/refund':
+        return this.json(res, 200, this.bkashRefund(body));
+      default:
+        return this.json(res, 404, { statusCode: '9999', statusMessage: 'Not found' });
+    }
+  }
+
+  bkashToken(req, res, body, refresh) {
+    const { username, password } = req.headers;
+    if (username !== this.bkash.username || password !== this.bkash.password) {
+      return this.json(res, 200, { statusCode: '2079', statusMessage: 'Invalid username and password' });
+    }
+    if (body.app_key !== this.bkash.appKey || body.app_secret !== this.bkash.appSecret) {
+      return this.json(res, 200, { statusCode: '2001', statusMessage: 'Invalid App Key' });
+    }
+    if (refresh && ![...this.tokens.values()].some((t) => t.refreshToken === body.refresh_token)) {
+      return this.json(res, 200, { statusCode: '2081', statusMessage: 'Invalid refresh token' });
+    }
+
+    const idToken = randomId('bkash.', 24);
+    const refreshToken = randomId('', 16);
+    this.tokens.set(idToken, { refreshToken, expiresAt: Date.now() + 3600 * 1000 });
+
+    return this.json(res, 200, {
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      id_token: idToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      refresh_token: refreshToken,
+    });
+  }
+
+  bkashCreate(body) {
+    const amount = Number(body.amount);
+    if (body.mode !== '0011' || !body.callbackURL || !(amount > 0) || body.currency !== 'BDT' || body.intent !== 'sale') {
+      return { statusCode: '2065', statusMessage: 'Mandatory field missing' };
+    }
+
+    const paymentID = `TR0011${crypto.randomBytes(10).toString('hex').toUpperCase()}`;
+    const payment = {
+      paymentID,
+      amount: amount.toFixed(2),
+      currency: 'BDT',
+      intent: 'sale',
+      merchantInvoiceNumber: body.merchantInvoiceNumber,
+      payerReference: body.payerReference,
+      callbackURL: body.callbackURL,
+      paymentCreateTime: new Date().toISOString(),
+      transactionStatus: 'Initiated',
+      refunded: 0,
+    };
+    this.payments.bkash.set(paymentID, payment);
+    this.emit('payment:created', { provider: 'bkash', id: paymentID, amount: payment.amount });
+
+    return {
+      paymentID,
+      bkashURL: `${this.publicURL}/bkash/pay/${paymentID}`,
+      callbackURL: body.callbackURL,
+      successCallbackURL: withParams(body.callbackURL, { paymentID, status: 'success' }),
+      failureCallbackURL: withParams(body.callbackURL, { paymentID, status: 'failure' }),
+      cancelledCallbackURL: withParams(body.callbackURL, { paymentID, status: 'cancel' }),
+      amount: payment.amount,
+      intent: 'sale',
+      currency: 'BDT',
+      paymentCreateTime: payment.paymentCreateTime,
+      transactionStatus: 'Initiated',
+      merchantInvoiceNumber: payment.merchantInvoiceNumber,
+      statusCode: '0000',
+      statusMessage: 'Successful',
+    };
+  }
+
+  bkashPage(res, url, paymentID) {
+    const payment = this.payments.bkash.get(paymentID);
+    if (!payment) return this.json(res, 404, { error: 'Unknown payment' });
+
+    const action = url.searchParams.get('action');
+    if (!action) return this.hostedPage(res, 'bKash', payment.amount, 'BDT');
+
+    const status = { pay: 'success', cancel: 'cancel' }[action] || 'failure';
+    if (payment.transactionStatus === 'Initiated') {
+      payment.transactionStatus = { success: 'Authorized', cancel: 'Cancelled' }[status] || 'Failed';
+    }
+    return this.redirect(res, withParams(payment.callbackURL, {
+      paymentID, status, signature: randomId('', 8), apiVersion: '1.2.0-beta',
+    }));
+  }
+
+  bkashView(payment) {
+    return {
+      paymentID: payment.paymentID,
+      trxID: payment.trxID,
+      transactionStatus: payment.transactionStatus,
+      amount: payment.amount,
+      currency: payment.currency,
+      intent: payment.intent,
+      paymentExecuteTime: payment.paymentExecuteTime,
+      merchantInvoiceNumber: payment.merchantInvoiceNumber,
+      payerReference: payment.payerReference,
+      customerMsisdn: payment.customerMsisdn,
+      statusCode: '0000',
+      statusMessage: 'Successful',
+    };
+  }
+
+  bkashExecute({ paymentID }) {
+    const payment = this.payments.bkash.get(paymentID);
+    if (!payment) return { statusCode: '2056', statusMessage: 'Invalid Payment State' };
+    if (payment.transactionStatus === 'Completed') {
+      return { statusCode: '2062', statusMessage: 'The payment has already been completed' };
+    }
+    if (payment.transactionStatus !== 'Authorized') {
+      return { statusCode: '2056', statusMessage: 'Invalid Payment State' };
+    }
+
+    payment.transactionStatus = 'Completed';
+    payment.trxID = crypto.randomBytes(5).toString('hex').toUpperCase();
+    payment.paymentExecuteTime = new Date().toISOString();
+    payment.customerMsisdn = '01770618575';
+    this.emit('payment:completed', { provider: 'bkash', id: paymentID, transactionId: payment.trxID });
+    this.sendBkashWebhook(payment);
+    return this.bkashView(payment);
+  }
+
+  /**
+   * Transaction notification as bKash sends it: an SNS message signed with
+   * SignatureVersion 2 (SHA256withRSA) over the SNS string to sign
+   */
+  async sendBkashWebhook(payment) {
+    const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const message = {
+      Type: 'Notification',
+      MessageId: crypto.randomUUID(),
+      TopicArn: 'arn:aws:sns:ap-southeast-1:000000000000:bkash-sandbox',
+      Message: JSON.stringify({
+        dateTime: stamp,
+        debitMSISDN: payment.customerMsisdn,
+        creditOrganizationName: 'Sandbox Merchant',
+        creditShortCode: '01700000000',
+        trxID: payment.trxID,
+        paymentID: payment.paymentID,
+        transactionStatus: payment.transactionStatus,
+        transactionType: '10003',
+        amount: payment.amount,
+        currency: payment.currency,
+        transactionReference: payment.payerReference,
+        merchantInvoiceNumber: payment.merchantInvoiceNumber,
+      }),
+      Timestamp: new Date().toISOString(),
+      SignatureVersion: '2',
+      SigningCertURL: this.bkash.certURL || `${this.publicURL}/bkash/sns/cert.pem`,
+      UnsubscribeURL: `${this.publicURL}/bkash/sns/unsubscribe`,
+    };
+    message.Signature = crypto.createSign('RSA-SHA256').update(snsStringToSign(message), 'utf8')
+      .sign(this.bkash.signingKey.privateKey, 'base64');
+    this.emit('bkash:webhook', message);
+    if (!this.bkash.webhookURL) return;
+
+    try {
+      await axios.post(this.bkash.webhookURL, JSON.stringify(message), {
+        headers: { 'Content-Type': 'text/plain; charset=UTF-8', 'x-amz-sns-message-type': 'Notification' },
+        timeout: 10000,
+      });
+    } catch (error) {
+      this.logger.warn(`bKash sandbox webhook to ${this.bkash.webhookURL} failed: ${error.message}`);
+    }
+  }
+
+  bkashStatus({ paymentID }) {
+    const payment = this.payments.bkash.get(paymentID);
+    if (!payment) return { statusCode: '2056', statusMessage: 'Invalid Payment State' };
+    return this.bkashView(payment);
+  }
+
+  bkashRefund({ paymentID, trxID, amount }) {
+    const payment = this.payments.bkash.get(paymentID);
+    if (!payment || payment.transactionStatus !== 'Completed' || payment.trxID !== trxID) {
+      return { statusCode: '2056', statusMessage: 'Invalid Payment State' };
+    }
+    const refundAmount = Number(amount);
+    if (!(refundAmount > 0) || payment.refunded + refundAmount > Number(payment.amount)) {
+      return { statusCode: '2071', statusMessage: 'Refund amount exceeds the transaction amount' };
+    }
+
+    payment.refunded += refundAmount;
+    const refundTrxID = crypto.randomBytes(5).toString('hex').toUpperCase();
+    this.emit('payment:refunded', { provider: 'bkash', id: paymentID, amount: refundAmount });
+
+    return {
+      completedTime: new Date().toISOString(),
+      transactionStatus: 'Completed',
+      originalTrxID: trxID,
+      refundTrxID,
+      amount: refundAmount.toFixed(2),
+      currency: 'BDT',
+      charge: '0.00',
+      statusCode: '0000',
+      statusMessage: 'Successful',
+    };
+  }
+
+  /**
+   * ==================== NAGAD ====================
+   */
+
+  nagadOpen(body) {
+    const plain = pkcs1Decrypt(this.nagad.gatewayPrivateKey, Buffer.from(body.sensitiveData || '', 'base64')).toString();
+    const valid = crypto.verify(
+      'sha256', Buffer.from(plain), this.nagad.merchantPublicKey, Buffer.from(body.signature || '', 'base64')
+    );
+    if (!valid) {
+      const error = new Error('Invalid signature');
+      error.reason = 'InvalidSignature';
+      throw error;
+    }
+    return JSON.parse(plain);
+  }
+
+  nagadSeal(data) {
+    const plain = JSON.stringify(data);
+    return {
+      sensitiveData: crypto.publicEncrypt(
+        { key: this.nagad.merchantPublicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+        Buffer.from(plain)
+      ).toString('base64'),
+      signature: crypto.sign('sha256', Buffer.from(plain), this.nagad.gatewayPrivateKey).toString('base64'),
+    };
+  }
+
+  async handleNagad(req, res, url) {
+    const path = url.pathname.replace(/^\/nagad/, '').replace(/^\/remote-payment-gateway-[\d.]+/, '');
+
+    const page = /^\/pay\/([\w-]+)$/.exec(path);
+    if (page) return this.nagadPage(res, url, page[1]);
+
+    const verify = /^\/api\/dfs\/verify\/payment\/([\w-]+)$/.exec(path);
+    if (verify && req.method === 'GET') return this.nagadVerify(res, verify[1]);
+
+    if (req.method !== 'POST') return this.json(res, 405, { reason: 'MethodNotAllowed', message: 'Method not allowed' });
+    const body = await this.parseBody(req);
+
+    try {
+      const init = /^\/api\/dfs\/check-out\/initialize\/([\w-]+)\/([\w-]+)$/.exec(path);
+      if (init) return this.nagadInitialize(res, init[1], init[2], body);
+
+      const complete = /^\/api\/dfs\/check-out\/complete\/([\w-]+)$/.exec(path);
+      if (complete) return this.nagadComplete(res, complete[1], body);
+
+      if (path === '/api/dfs/purchase/cancel') {
+        return this.nagadCancel(res, url.searchParams.get('paymentRefId'), url.searchParams.get('orderId'), body);
+      }
+    } catch (error) {
+      return this.json(res, 400, { reason: error.reason || 'InvalidRequest', message: error.message });
+    }
+
+    return this.json(res, 404, { reason: 'NotFound', message: 'Not found' });
+  }
+
+  nagadInitialize(res, merchantId, orderId, body) {
+    const data = this.nagadOpen(body);
+    if (merchantId !== this.nagad.merchantId || data.merchantId !== merchantId || data.orderId !== orderId) {
+      return this.json(res, 400, { reason: 'InvalidMerchant', message: 'Merchant or order mismatch' });
+    }
+    if ([...this.payments.nagad.values()].some((p) => p.orderId === orderId)) {
+      return this.json(res, 400, { reason: 'DuplicateOrderId', message: 'Order id already used' });
+    }
+
+    const paymentReferenceId = `MDA${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+    const challenge = crypto.randomBytes(20).toString('hex');
+    this.payments.nagad.set(paymentReferenceId, {
+      paymentRefId: paymentReferenceId,
+      orderId,
+      challenge,
+      status: 'OrderInitiated',
+      orderDateTime: new Date().toISOString(),
+    });
+
+    return this.json(res, 200, this.nagadSeal({
+      paymentReferenceId,
+      challenge,
+      acceptDateTime: data.datetime,
+    }));
+  }
+
+  nagadComplete(res, paymentRefId, body) {
+    const payment = this.payments.nagad.get(paymentRefId);
+    if (!payment) return this.json(res, 400, { reason: 'InvalidPaymentRefId', message: 'Unknown payment reference' });
+
+    const data = this.nagadOpen(body);
+    if (data.challenge !== payment.challenge || data.orderId !== payment.orderId || data.currencyCode !== '050') {
+      return this.json(res, 400, { reason: 'InvalidRequest', message: 'Challenge, order or currency mismatch' });
+    }
+
+    payment.amount = Number(data.amount).toFixed(2);
+    payment.callbackURL = body.merchantCallbackURL;
+    payment.additionalMerchantInfo = body.additionalMerchantInfo || null;
+    payment.status = 'Ready';
+    this.emit('payment:created', { provider: 'nagad', id: paymentRefId, amount: payment.amount });
+
+    return this.json(res, 200, { status: 'Success', callBackUrl: `${this.publicURL}/nagad/pay/${paymentRefId}` });
+  }
+
+  nagadPage(res, url, paymentRefId) {
+    const payment = this.payments.nagad.get(paymentRefId);
+    if (!payment || !payment.callbackURL) return this.json(res, 404, { error: 'Unknown payment' });
+
+    const action = url.searchParams.get('action');
+    if (!action) return this.hostedPage(res, 'Nagad', payment.amount, 'BDT');
+
+    if (payment.status === 'Ready') {
+      payment.status = { pay: 'Success', cancel: 'Aborted' }[action] || 'Failed';
+      if (payment.status === 'Success') {
+        payment.issuerPaymentRefNo = crypto.randomBytes(5).toString('hex').toUpperCase();
+        payment.issuerPaymentDateTime = new Date().toISOString();
+        this.emit('payment:completed', { provider: 'nagad', id: paymentRefId, transactionId: payment.issuerPaymentRefNo });
+      }
+    }
+
+    return this.redirect(res, withParams(payment.callbackURL, {
+      merchant: this.nagad.merchantId,
+      order_id: payment.orderId,
+      payment_ref_id: paymentRefId,
+      status: payment.status,
+      status_code: payment.status === 'Success' ? '00_0000_000' : '00_1000_001',
+      message: payment.status === 'Success' ? 'Successful Transaction' : 'Transaction not completed',
+      payment_dt: (payment.issuerPaymentDateTime || '').replace(/[-:T]/g, '').slice(0, 14),
+      issuer_payment_ref: payment.issuerPaymentRefNo || '',
+    }));
+  }
+
+  nagadVerify(res, paymentRefId) {
+    const payment = this.payments.nagad.get(paymentRefId);
+    if (!payment) return this.json(res, 400, { reason: 'InvalidPaymentRefId', message: 'Unknown payment reference' });
+
+    return this.json(res, 200, {
+      merchantId: this.nagad.merchantId,
+      orderId: payment.orderId,
+      paymentRefId,
+      amount: payment.amount,
+      clientMobileNo: payment.status === 'Success' ? '017****5678' : null,
+      merchantMobileNo: this.nagad.merchantNumber,
+      orderDateTime: payment.orderDateTime,
+      issuerPaymentDateTime: payment.issuerPaymentDateTime || null,
+      issuerPaymentRefNo: payment.issuerPaymentRefNo || null,
+      additionalMerchantInfo: payment.additionalMerchantInfo,
+      status: payment.status,
+      statusCode: payment.status === 'Success' ? '000' : '001',
+      cancelIssuerDateTime: payment.cancelIssuerDateTime || null,
+      cancelIssuerRefNo: payment.cancelIssuerRefNo || null,
+    });
+  }
+
+  nagadCancel(res, paymentRefId, orderId, body) {
+    const payment = this.payments.nagad.get(paymentRefId);
+    if (!payment || payment.orderId !== orderId || payment.status !== 'Success') {
+      return this.json(res, 400, { reason: 'InvalidPaymentState', message: 'Payment cannot be cancelled' });
+    }
+
+    const data = this.nagadOpen(body);
+    const cancelAmount = Number(data.cancelAmount);
+    const cancelled = Number(payment.cancelledAmount || 0);
+    if (!(cancelAmount > 0) || cancelled + cancelAmount > Number(payment.amount)) {
+      return this.json(res, 400, { reason: 'InvalidAmount', message: 'Cancel amount exceeds the payment' });
+    }
+
+    payment.cancelledAmount = cancelled + cancelAmount;
+    payment.cancelIssuerRefNo = crypto.randomBytes(5).toString('hex').toUpperCase();
+    payment.cancelIssuerDateTime = new Date().toISOString();
+    this.emit('payment:refunded', { provider: 'nagad', id: paymentRefId, amount: cancelAmount });
+
+    return this.json(res, 200, this.nagadSeal({
+      cancelStatus: 'Success',
+      cancelAmount: cancelAmount.toFixed(2),
+      cancelIssuerRefNo: payment.cancelIssuerRefNo,
+      cancelIssuerDateTime: payment.cancelIssuerDateTime,
+      originalAmount: payment.amount,
+      paymentRefId,
+    }));
+  }
+
+  /**
+   * ==================== SSLCOMMERZ ====================
+   */
+
+  sslcommerzAuthorized(params) {
+    return params.store_id === this.sslcommerz.storeId && params.store_passwd === this.sslcommerz.storePassword;
+  }
+
+  async handleSSLCommerz(req, res, url) {
+    const path = url.pathname.replace(/^\/sslcommerz/, '');
+
+    const page = /^\/pay\/([\w-]+)$/.exec(path);
+    if (page) return this.sslcommerzPage(res, url, page[1]);
+
+    if (path === '/gwprocess/v4/api.php' && req.method === 'POST') {
+      return this.sslcommerzSession(res, await this.parseBody(req));
+    }
+
+    const params = Object.fromEntries(url.searchParams);
+    if (!this.sslcommerzAuthorized(params)) {
+      return this.json(res, 200, { APIConnect: 'INVALID_REQUEST', status: 'INVALID_TRANSACTION' });
+    }
+
+    if (path === '/validator/api/validationserverAPI.php') {
+      return this.json(res, 200, this.sslcommerzValidate(params.val_id));
+    }
+    if (path === '/validator/api/merchantTransIDvalidationAPI.php') {
+      if (params.bank_tran_id && params.refund_amount) return this.json(res, 200, this.sslcommerzRefund(params));
+      if (params.refund_ref_id) return this.json(res, 200, this.sslcommerzRefundStatus(params.refund_ref_id));
+      return this.json(res, 200, this.sslcommerzQuery(params.tran_id));
+    }
+
+    return this.json(res, 404, { status: 'FAILED', failedreason: 'Not found' });
+  }
+
+  sslcommerzSession(res, body) {
+    if (!this.sslcommerzAuthorized(body)) {
+      return this.json(res, 200, { status: 'FAILED', failedreason: 'Store Credential Error Or Store is De-active' });
+    }
+    const amount = Number(body.total_amount);
+    const missing = ['tran_id', 'success_url', 'fail_url', 'cancel_url', 'currency'].filter((key) => !body[key]);
+    if (missing.length || !(amount >= 10)) {
+      return this.json(res, 200, {
+        status: 'FAILED',
+        failedreason: missing.length ? `Missing ${missing.join(', ')}` : 'Invalid Amount, must be at least 10.00',
+      });
+    }
+
+    const sessionkey = crypto.randomBytes(16).toString('hex').toUpperCase();
+    this.payments.sslcommerz.set(sessionkey, {
+      ...body,
+      sessionkey,
+      amount: amount.toFixed(2),
+      status: 'PENDING',
+      refunds: [],
+    });
+    this.emit('payment:created', { provider: 'sslcommerz', id: body.tran_id, amount: amount.toFixed(2) });
+
+    return this.json(res, 200, {
+      status: 'SUCCESS',
+      failedreason: '',
+      sessionkey,
+      GatewayPageURL: `${this.publicURL}/sslcommerz/pay/${sessionkey}`,
+      redirectGatewayURL: `${this.publicURL}/sslcommerz/pay/${sessionkey}`,
+    });
+  }
+
+  /**
+   * The fields SSLCommerz posts to the success/fail URLs and the IPN, with verify_sign
+   */
+  sslcommerzFields(session) {
+    const fields = {
+      tran_id: session.tran_id,
+      val_id: session.val_id || '',
+      amount: session.amount,
+      card_type: session.status === 'VALID' ? 'BKASH-BKash' : '',
+      store_amount: session.status === 'VALID' ? (Number(session.amount) * 0.975).toFixed(2) : '',
+      bank_tran_id: session.bank_tran_id || '',
+      status: session.status,
+      tran_date: session.tran_date || '',
+      currency: session.currency,
+      card_issuer: session.status === 'VALID' ? 'BKash Mobile Banking' : '',
+      card_brand: session.status === 'VALID' ? 'MOBILEBANKING' : '',
+      card_issuer_country: 'Bangladesh',
+      currency_type: session.currency,
+      currency_amount: session.amount,
+      value_a: session.value_a || '',
+      risk_level: '0',
+      risk_title: 'Safe',
+    };
+
+    const signed = { ...fields, store_passwd: md5(this.sslcommerz.storePassword) };
+    const hashString = Object.keys(signed).sort().map((key) => `${key}=${signed[key]}`).join('&');
+    return { ...fields, verify_sign: md5(hashString), verify_key: Object.keys(fields).join(',') };
+  }
+
+  async sslcommerzPage(res, url, sessionkey) {
+    const session = this.payments.sslcommerz.get(sessionkey);
+    if (!session) return this.json(res, 404, { error: 'Unknown session' });
+
+    const action = url.searchParams.get('action');
+    if (!action) return this.hostedPage(res, 'SSLCommerz', session.amount, session.currency);
+
+    if (session.status === 'PENDING') {
+      session.status = { pay: 'VALID', cancel: 'CANCELLED' }[action] || 'FAILED';
+      session.tran_date = new Date().toISOString().replace('T', ' ').slice(0, 19);
+      if (session.status === 'VALID') {
+        session.val_id = `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+        session.bank_tran_id = `${Date.now()}${crypto.randomBytes(3).toString('hex')}`.toUpperCase();
+        this.validations.set(session.val_id, sessionkey);
+        this.emit('payment:completed', { provider: 'sslcommerz', id: session.tran_id, transactionId: session.bank_tran_id });
+      }
+    }
+
+    const fields = this.sslcommerzFields(session);
+    if (session.ipn_url) {
+      // The gateway posts the IPN on its own; failures only get logged
+      axios.post(session.ipn_url, new URLSearchParams(fields).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000,
+      }).catch((error) => this.logger.warn(`SSLCommerz sandbox IPN to ${session.ipn_url} failed: ${error.message}`));
+    }
+
+    const target = { VALID: session.success_url, CANCELLED: session.cancel_url }[session.status] || session.fail_url;
+    const inputs = Object.entries(fields)
+      .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+      .join('');
+    return this.html(res, `
+      <form id="return" method="POST" action="${escapeHtml(target)}">${inputs}<button>Return to merchant</button></form>
+      <script>document.getElementById('return').submit();</script>`);
+  }
+
+  sslcommerzElement(session) {
+    return {
+      ...this.sslcommerzFields(session),
+      APIConnect: 'DONE',
+      validated_on: session.validatedOn || '',
+      gw_version: '',
+    };
+  }
+
+  sslcommerzValidate(valId) {
+    const session = this.payments.sslcommerz.get(this.validations.get(valId));
+    if (!session) return { status: 'INVALID_TRANSACTION', APIConnect: 'DONE' };
+
+    const element = this.sslcommerzElement(session);
+    if (session.validatedOn) {
+      element.status = 'VALIDATED';
+    } else {
+      session.validatedOn = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    }
+    return element;
+  }
+
+  sslcommerzQuery(tranId) {
+    const elements = [...this.payments.sslcommerz.values()]
+      .filter((session) => session.tran_id === tranId)
+      .map((session) => this.sslcommerzElement(session));
+    return { APIConnect: 'DONE', no_of_trans_found: elements.length, element: elements };
+  }
+
+  sslcommerzRefund({ bank_tran_id: bankTranId, refund_amount: refundAmount, refund_remarks: remarks }) {
+    const session = [...this.payments.sslcommerz.values()].find((s) => s.bank_tran_id === bankTranId);
+    if (!session || session.status !== 'VALID') {
+      return { APIConnect: 'DONE', bank_tran_id: bankTranId, status: 'failed', errorReason: 'Invalid bank transaction id' };
+    }
+    const refunded = session.refunds.reduce((sum, r) => sum + r.amount, 0);
+    const amount = Number(refundAmount);
+    if (!(amount > 0) || refunded + amount > Number(session.amount)) {
+      return { APIConnect: 'DONE', bank_tran_id: bankTranId, status: 'failed', errorReason: 'Refund amount exceeds the payment' };
+    }
+
+    const refund = { refundRefId: crypto.randomBytes(8).toString('hex'), amount, remarks, initiatedOn: new Date().toISOString() };
+    session.refunds.push(refund);
+    this.emit('payment:refunded', { provider: 'sslcommerz', id: session.tran_id, amount });
+
+    return {
+      APIConnect: 'DONE',
+      bank_tran_id: bankTranId,
+      trans_id: session.tran_id,
+      refund_ref_id: refund.refundRefId,
+      status: 'success',
+      errorReason: '',
+    };
+  }
+
+  sslcommerzRefundStatus(refundRefId) {
+    for (const session of this.payments.sslcommerz.values()) {
+      const refund = session.refunds.find((r) => r.refundRefId === refundRefId);
+      if (refund) {
+        return {
+          APIConnect: 'DONE',
+          bank_tran_id: session.bank_tran_id,
+          tran_id: session.tran_id,
+          refund_ref_id: refundRefId,
+          initiated_on: refund.initiatedOn,
+          refunded_on: refund.initiatedOn,
+          status: 'refunded',
+          errorReason: '',
+        };
+      }
+    }
+    return { APIConnect: 'DONE', status: 'failed', errorReason: 'Unknown refund reference' };
+  }
+
+  /**
+   * ==================== STRIPE ====================
+   */
+
+  stripeError(res, status, message, type = 'invalid_request_error') {
+    return this.json(res, status, { error: { type, message } });
+  }
+
+  async handleStripe(req, res, url) {
+    const page = /^\/stripe\/checkout\/([\w-]+)$/.exec(url.pathname);
+    if (page) return this.stripePage(res, url, page[1]);
+
+    if (!/^Bearer sk_/.test(req.headers.authorization || '')) {
+      return this.stripeError(res, 401, 'Invalid API Key provided', 'authentication_error');
+    }
+
+    const body = req.method === 'POST' ? await this.parseBody(req) : {};
+    const expand = url.searchParams.getAll('expand[]').concat(body.expand || []);
+    const path = url.pathname;
+    let match;
+
+    if (path === '/v1/checkout/sessions' && req.method === 'POST') {
+      return this.json(res, 200, this.stripeCreateSession(body));
+    }
+    if ((match = /^\/v1\/checkout\/sessions\/([\w-]+)$/.exec(path))) {
+      const session = this.payments.stripeSessions.get(match[1]);
+      if (!session) return this.stripeError(res, 404, `No such checkout.session: '${match[1]}'`);
+      return this.json(res, 200, this.stripeExpand(session, expand));
+    }
+    if (path === '/v1/payment_intents' && req.method === 'POST') {
+      const intent = this.stripeCreateIntent(body);
+      if (String(body.confirm) === 'true') {
+        // Off-session charge of a saved card; Stripe's decline test cards are declined
+        if (DECLINED_PAYMENT_METHODS.includes(body.payment_method)) {
+          intent.last_payment_error = { type: 'card_error', code: 'card_declined', message: 'Your card was declined.' };
+          await this.sendStripeEvent('payment_intent.payment_failed', intent);
+          return this.json(res, 402, {
+            error: { ...intent.last_payment_error, decline_code: 'generic_decline', payment_intent: intent },
+          });
+        }
+        await this.stripeSucceed(intent);
+      }
+      return this.json(res, 200, intent);
+    }
+    if ((match = /^\/v1\/payment_intents\/([\w-]+)(\/confirm)?$/.exec(path))) {
+      const intent = this.payments.stripeIntents.get(match[1]);
+      if (!intent) return this.stripeError(res, 404, `No such payment_intent: '${match[1]}'`);
+      if (match[2] && req.method === 'POST') await this.stripeSucceed(intent);
+      return this.json(res, 200, intent);
+    }
+    if (path === '/v1/refunds' && req.method === 'POST') {
+      const refund = await this.stripeRefund(body);
+      if (!refund) return this.stripeError(res, 400, 'This PaymentIntent cannot be refunded');
+      return this.json(res, 200, refund);
+    }
+
+    return this.stripeError(res, 404, `Unrecognized request URL (${req.method}: ${path})`);
+  }
+
+  stripeCreateIntent({ amount, currency, metadata = {}, description, receipt_email: receiptEmail }) {
+    const id = randomId('pi_sandbox_', 12);
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount: Number(amount),
+      amount_received: 0,
+      currency: String(currency).toLowerCase(),
+      status: 'requires_payment_method',
+      client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      metadata,
+      description: description || null,
+      receipt_email: receiptEmail || null,
+      payment_method: null,
+      latest_charge: null,
+      created: Math.floor(Date.now() / 1000),
+    };
+    this.payments.stripeIntents.set(id, intent);
+    return intent;
+  }
+
+  stripeCreateSession(body) {
+    const item = (body.line_items || [])[0] || {};
+    const price = item.price_data || {};
+    const id = randomId('cs_test_sandbox_', 12);
+    const session = {
+      id,
+      object: 'checkout.session',
+      mode: body.mode || 'payment',
+      url: `${this.publicURL}/stripe/checkout/${id}`,
+      amount_total: Number(price.unit_amount || 0) * Number(item.quantity || 1),
+      currency: String(price.currency || 'usd').toLowerCase(),
+      customer_email: body.customer_email || null,
+      metadata: body.metadata || {},
+      payment_intent: null,
+      payment_status: 'unpaid',
+      status: 'open',
+      success_url: body.success_url,
+      cancel_url: body.cancel_url,
+      payment_intent_data: body.payment_intent_data || {},
+      created: Math.floor(Date.now() / 1000),
+    };
+    this.payments.stripeSessions.set(id, session);
+    this.emit('payment:created', { provider: 'stripe', id, amount: session.amount_total });
+
+    const { payment_intent_data: omitted, ...view } = session;
+    return view;
+  }
+
+  stripeExpand(session, expand) {
+    const { payment_intent_data: omitted, ...view } = session;
+    if (expand.includes('payment_intent') && session.payment_intent) {
+      view.payment_intent = this.payments.stripeIntents.get(session.payment_intent);
+    }
+    return view;
+  }
+
+  async stripePage(res, url, sessionId) {
+    const session = this.payments.stripeSessions.get(sessionId);
+    if (!session) return this.json(res, 404, { error: 'Unknown session' });
+
+    const action = url.searchParams.get('action');
+    if (!action) return this.hostedPage(res, 'Stripe', (session.amount_total / 100).toFixed(2), session.currency.toUpperCase());
+
+    if (action !== 'pay') {
+      return this.redirect(res, session.cancel_url);
+    }
+
+    if (session.status === 'open') {
+      const intent = this.stripeCreateIntent({
+        amount: session.amount_total,
+        currency: session.currency,
+        metadata: session.payment_intent_data.metadata || session.metadata,
+        description: session.payment_intent_data.description,
+        receipt_email: session.customer_email,
+      });
+      session.payment_intent = intent.id;
+      session.payment_status = 'paid';
+      session.status = 'complete';
+      await this.stripeSucceed(intent);
+    }
+
+    return this.redirect(res, session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id));
+  }
+
+  async stripeSucceed(intent) {
+    if (intent.status === 'succeeded') return;
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount;
+    intent.payment_method = 'pm_card_visa';
+    intent.latest_charge = randomId('ch_sandbox_', 12);
+    this.emit('payment:completed', { provider: 'stripe', id: intent.id, transactionId: intent.id });
+    await this.sendStripeEvent('payment_intent.succeeded', intent);
+  }
+
+  async stripeRefund({ payment_intent: intentId, amount, reason }) {
+    const intent = this.payments.stripeIntents.get(intentId);
+    if (!intent || intent.status !== 'succeeded') return null;
+
+    const refunded = intent.amount_refunded || 0;
+    const refundAmount = amount !== undefined ? Number(amount) : intent.amount - refunded;
+    if (!(refundAmount > 0) || refunded + refundAmount > intent.amount) return null;
+    intent.amount_refunded = refunded + refundAmount;
+
+    const refund = {
+      id: randomId('re_sandbox_', 12),
+      object: 'refund',
+      amount: refundAmount,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      charge: intent.latest_charge,
+      reason: reason || null,
+      status: 'succeeded',
+      created: Math.floor(Date.now() / 1000),
+    };
+    this.emit('payment:refunded', { provider: 'stripe', id: intent.id, amount: refundAmount });
+
+    await this.sendStripeEvent('charge.refunded', {
+      id: intent.latest_charge,
+      object: 'charge',
+      amount: intent.amount,
+      amount_refunded: intent.amount_refunded,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      metadata: intent.metadata,
+      refunded: intent.amount_refunded >= intent.amount,
+    });
+    return refund;
+  }
+
+  /**
+   * Signed like Stripe: Stripe-Signature: t=<unix time>,v1=HMAC-SHA256(secret, "<t>.<payload>")
+   */
+  async sendStripeEvent(type, object) {
+    const event = {
+      id: randomId('evt_sandbox_', 12),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object },
+    };
+    this.emit('stripe:event', event);
+    if (!this.stripeConfig.webhookURL) return;
+
+    const payload = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', this.stripeConfig.webhookSecret)
+      .update(`${timestamp}.${payload}`).digest('hex');
+
+    try {
+      await axios.post(this.stripeConfig.webhookURL, payload, {
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': `t=${timestamp},v1=${signature}` },
+        timeout: 10000,
+      });
+    } catch (error) {
+      this.logger.warn(`Stripe sandbox webhook ${type} to ${this.stripeConfig.webhookURL} failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { PaymentSandbox, parseNestedForm };
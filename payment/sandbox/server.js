@@ -0,0 +1,52 @@
+// payment/sandbox/server.js
+// Standalone payment gateway sandbox, used by the docker-compose "demo" profile
+const { PaymentSandbox } = require('./paymentSandbox');
+
+const sandbox = new PaymentSandbox({
+  host: process.env.PAYMENT_SANDBOX_HOST || '0.0.0.0',
+  port: parseInt(process.env.PAYMENT_SANDBOX_PORT || '8095', 10),
+  publicURL: process.env.PAYMENT_SANDBOX_PUBLIC_URL,
+  bkash: {
+    username: process.env.BKASH_USERNAME,
+    password: process.env.BKASH_PASSWORD,
+    appKey: process.env.BKASH_APP_KEY,
+    appSecret: process.env.BKASH_APP_SECRET,
+    webhookURL: process.env.BKASH_SANDBOX_WEBHOOK_URL,
+    certURL: process.env.BKASH_SANDBOX_CERT_URL,
+  },
+  nagad: {
+    merchantId: process.env.NAGAD_MERCHANT_ID,
+    gatewayPrivateKey: process.env.NAGAD_SANDBOX_PG_PRIVATE_KEY,
+    merchantPublicKey: process.env.NAGAD_SANDBOX_MERCHANT_PUBLIC_KEY,
+  },
+  sslcommerz: {
+    storeId: process.env.SSLCOMMERZ_STORE_ID,
+    storePassword: process.env.SSLCOMMERZ_STORE_PASSWORD,
+  },
+  stripe: {
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    webhookURL: process.env.STRIPE_SANDBOX_WEBHOOK_URL,
+  },
+});
+
+sandbox.start().then(() => {
+  if (sandbox.nagad.generated) {
+    const keys = sandbox.nagadKeys;
+    console.log('Nagad sandbox keys were generated; give the payment service:');
+    console.log(`NAGAD_PG_PUBLIC_KEY="${keys.gatewayPublicKey.replace(/\n/g, '\\n')}"`);
+    if (keys.merchantPrivateKey) {
+      console.log(`NAGAD_MERCHANT_PRIVATE_KEY="${keys.merchantPrivateKey.replace(/\n/g, '\\n')}"`);
+    }
+  }
+}).catch((error) => {
+  console.error('Failed to start payment sandbox:', error);
+  process.exit(1);
+});
+
+const shutdown = async () => {
+  await sandbox.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
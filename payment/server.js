@@ -1,14 +1,30 @@
-// payment/server.js - Stripe Payment Service
+// payment/server.js - Payment Service (Stripe, bKash, Nagad, SSLCommerz)
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const crypto = require('crypto');
 const axios = require('axios');
 const dotenv = require('dotenv');
 const { Pool } = require('pg');
+const PaymentProviderRegistry = require('./providers');
+const WebhookEventStore = require('./webhookEventStore');
+
+const { PAYMENT_STATUS, EVENT_TYPE, PaymentProviderError } = PaymentProviderRegistry;
+const { EventDeferredError, EVENT_STATUS } = WebhookEventStore;
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+// Stripe webhooks need the raw body for the signature check; SSLCommerz posts forms
+const RAW_BODY_PATHS = ['/api/payment/webhook', '/api/payment/webhook/stripe'];
+app.use((req, res, next) => (
+  RAW_BODY_PATHS.includes(req.path) ? next() : express.json()(req, res, next)
+));
+// bKash webhooks come from AWS SNS, which posts its JSON as text/plain
+app.use('/api/payment/webhook/bkash', express.text({ type: 'text/plain' }));
+app.use(express.urlencoded({ extended: false }));
+
+const PORT = process.env.PAYMENT_PORT || 3001;
+// Where browsers and gateways reach this service (return URLs, IPN URLs)
+const PUBLIC_URL = (process.env.PAYMENT_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
 
 // Database Connection
 const pool = new Pool({
@@ -19,87 +35,631 @@ const pool = new Pool({
   database: process.env.DB_NAME,
 });
 
+const providers = new PaymentProviderRegistry(pool);
+const webhookEvents = new WebhookEventStore(pool, {
+  handler: (stored) => handleEvent(stored.provider, stored.event),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+});
+
+const requireInternal = (req, res, next) => {
+  if (req.headers['x-internal-token'] !== process.env.INTERNAL_API_TOKEN) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+// Our reference for a payment: alphanumeric and at most 20 characters, which every
+// gateway accepts as its order / invoice / transaction id
+const newReference = () => `PAY${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+
+// ==================== PROVIDERS ====================
+
+app.get('/api/payment/providers', requireInternal, (req, res) => {
+  res.json(providers.list());
+});
+
 // ==================== PAYMENT INTENTS ====================
 
-// Create Payment Intent for Voucher
+// Create Payment Intent for Voucher (Stripe Payment Element)
 app.post('/api/payment/create-intent', async (req, res) => {
   try {
     const { amount, voucherId, email, description } = req.body;
+    const metadata = { voucherId, type: 'voucher_purchase' };
+    const stripe = providers.get('stripe');
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100),
-      currency: 'usd',
-      automatic_payment_methods: {
-        enabled: true,
-      },
-      receipt_email: email,
-      metadata: {
-        voucherId,
-        type: 'voucher_purchase',
-      },
+    const intent = await stripe.createIntent({
+      amount,
+      currency: 'USD',
+      email,
+      metadata,
       description: description || `Hotspot Voucher Purchase`,
     });
 
+    await pool.query(
+      `INSERT INTO payments (
+        provider, provider_payment_id, reference, amount, currency, status, stripe_payment_id, description, metadata, created_at
+      ) VALUES ('stripe', $1, $2, $3, 'USD', 'pending', $1, $4, $5, NOW())`,
+      [intent.providerPaymentId, newReference(), amount, `Voucher ${voucherId} Payment`, metadata]
+    );
+
     res.json({
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
+      clientSecret: intent.clientSecret,
+      paymentIntentId: intent.providerPaymentId,
     });
   } catch (error) {
     console.error('Error creating payment intent:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// ==================== WEBHOOK HANDLER ====================
+// Hosted checkout for a captive portal order (called by the backend). The provider
+// comes from the site/reseller/currency routes unless one is named.
+app.post('/api/payment/checkout-session', requireInternal, async (req, res) => {
+  let payment;
 
-// Stripe Webhook Signature Verification
-const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  try {
+    const {
+      orderId, amount, currency, description, email, phone, siteId, resellerId, successUrl, cancelUrl,
+    } = req.body;
+    const code = (currency || 'USD').toUpperCase();
+    const provider = req.body.provider
+      ? providers.get(req.body.provider)
+      : await providers.resolve({ siteId, resellerId, currency: code });
+    const reference = newReference();
+    const metadata = { orderId, type: 'portal_purchase' };
 
-app.post('/api/payment/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
+    const inserted = await pool.query(
+      `INSERT INTO payments (
+        provider, reference, order_id, site_id, reseller_id, amount, currency, status, description, metadata, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8, $9, NOW())
+      RETURNING *`,
+      [
+        provider.name, reference, orderId, siteId || null, resellerId || null, amount, code,
+        `Portal order ${orderId}`, { ...metadata, successUrl, cancelUrl },
+      ]
+    );
+    payment = inserted.rows[0];
 
-  let event;
+    const checkout = await provider.createPayment({
+      reference,
+      amount: Number(amount),
+      currency: code,
+      description: description || 'WiFi Access',
+      email,
+      phone,
+      successUrl,
+      cancelUrl,
+      returnUrl: `${PUBLIC_URL}/api/payment/return/${provider.name}`,
+      ipnUrl: `${PUBLIC_URL}/api/payment/webhook/${provider.name}`,
+      metadata,
+    });
+
+    await pool.query(
+      'UPDATE payments SET provider_payment_id = $1, updated_at = NOW() WHERE id = $2',
+      [checkout.providerPaymentId, payment.id]
+    );
+
+    res.json({
+      sessionId: checkout.providerPaymentId,
+      checkoutUrl: checkout.redirectUrl,
+      provider: provider.name,
+      paymentId: payment.id,
+    });
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    if (payment) {
+      await pool.query(
+        `UPDATE payments SET status = 'failed', updated_at = NOW() WHERE id = $1`,
+        [payment.id]
+      ).catch(() => {});
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Hosted checkout for a wallet top-up (called by the backend); routed like portal orders
+app.post('/api/payment/wallet-topup', requireInternal, async (req, res) => {
+  let payment;
 
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      webhookSecret
+    const {
+      topupId, amount, currency, description, email, phone, siteId, resellerId, successUrl, cancelUrl,
+    } = req.body;
+    const code = (currency || 'USD').toUpperCase();
+    const provider = req.body.provider
+      ? providers.get(req.body.provider)
+      : await providers.resolve({ siteId, resellerId, currency: code });
+    const reference = newReference();
+    const metadata = { topupId, type: 'wallet_topup' };
+
+    const inserted = await pool.query(
+      `INSERT INTO payments (
+        provider, reference, site_id, reseller_id, amount, currency, status, description, metadata, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, NOW())
+      RETURNING *`,
+      [
+        provider.name, reference, siteId || null, resellerId || null, amount, code,
+        `Wallet top-up ${topupId}`, { ...metadata, successUrl, cancelUrl },
+      ]
     );
+    payment = inserted.rows[0];
+
+    const checkout = await provider.createPayment({
+      reference,
+      amount: Number(amount),
+      currency: code,
+      description: description || 'Wallet top-up',
+      email,
+      phone,
+      successUrl,
+      cancelUrl,
+      returnUrl: `${PUBLIC_URL}/api/payment/return/${provider.name}`,
+      ipnUrl: `${PUBLIC_URL}/api/payment/webhook/${provider.name}`,
+      metadata,
+    });
+
+    await pool.query(
+      'UPDATE payments SET provider_payment_id = $1, updated_at = NOW() WHERE id = $2',
+      [checkout.providerPaymentId, payment.id]
+    );
+
+    res.json({
+      sessionId: checkout.providerPaymentId,
+      checkoutUrl: checkout.redirectUrl,
+      provider: provider.name,
+      paymentId: payment.id,
+    });
   } catch (error) {
-    console.error('Webhook signature verification failed:', error.message);
-    return res.status(400).send(`Webhook Error: ${error.message}`);
+    console.error('Error creating wallet top-up:', error);
+    if (payment) {
+      await pool.query(
+        `UPDATE payments SET status = 'failed', updated_at = NOW() WHERE id = $1`,
+        [payment.id]
+      ).catch(() => {});
+    }
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
+
+// Renewal of a subscription (called by the backend's billing engine). The saved
+// payment method is charged off-session where the gateway allows it; otherwise, or
+// with `checkout`, a hosted payment link is returned for the subscriber to pay.
+app.post('/api/payment/subscription-charge', requireInternal, async (req, res) => {
+  let payment;
 
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
+    const {
+      subscriptionId, chargeId, amount, currency, customerId, paymentMethodId, email, phone, description, successUrl, checkout,
+    } = req.body;
+    const code = (currency || 'USD').toUpperCase();
+    const provider = req.body.provider
+      ? providers.get(req.body.provider)
+      : await providers.resolve({ currency: code });
+    const offSession = !checkout && provider.supportsSavedPayments && Boolean(paymentMethodId);
+    const metadata = { subscriptionId, chargeId, type: 'subscription_renewal' };
+
+    // The backend sends a charge it never heard back about again, with the same
+    // chargeId: the earlier payment is picked up and the gateway dedupes the charge
+    if (offSession) {
+      const previous = await pool.query(
+        `SELECT * FROM payments
+         WHERE provider = $1 AND metadata->>'type' = 'subscription_renewal' AND metadata->>'chargeId' = $2
+           AND status IN ('pending', 'completed')
+         ORDER BY id DESC LIMIT 1`,
+        [provider.name, String(chargeId)]
+      );
+      payment = previous.rows[0];
+
+      if (payment && payment.status === 'completed') {
+        return res.json({
+          paymentId: payment.id,
+          provider: provider.name,
+          status: PAYMENT_STATUS.COMPLETED,
+          transactionId: payment.transaction_id,
+        });
+      }
+    }
+
+    if (!payment) {
+      const inserted = await pool.query(
+        `INSERT INTO payments (
+          provider, reference, amount, currency, status, description, metadata, created_at
+        ) VALUES ($1, $2, $3, $4, 'pending', $5, $6, NOW())
+        RETURNING *`,
+        [
+          provider.name, newReference(), amount, code, `Subscription ${subscriptionId} charge ${chargeId}`,
+          { ...metadata, successUrl, cancelUrl: successUrl },
+        ]
+      );
+      payment = inserted.rows[0];
+    }
+    const { reference } = payment;
+
+    if (offSession) {
+      const result = await provider.chargeSaved({
+        reference,
+        amount: Number(amount),
+        currency: code,
+        customerId,
+        paymentMethodId,
+        description: description || 'WiFi subscription',
+        metadata,
+        idempotencyKey: `subscription-charge-${chargeId}`,
+      });
+
+      await pool.query(
+        'UPDATE payments SET provider_payment_id = $1, updated_at = NOW() WHERE id = $2',
+        [result.providerPaymentId, payment.id]
+      );
+      payment = { ...payment, provider_payment_id: result.providerPaymentId };
+
+      // The charge went through whatever happens next: answering an error here would
+      // make the backend charge the period again
+      try {
+        if (result.status === PAYMENT_STATUS.COMPLETED) {
+          await completePayment(payment, result);
+        } else if (result.status !== PAYMENT_STATUS.PENDING) {
+          await failPayment(payment, result.status);
+        }
+      } catch (error) {
+        console.error(`Error recording subscription payment ${payment.id}:`, error.message);
+      }
+
+      return res.json({
+        paymentId: payment.id,
+        provider: provider.name,
+        status: result.status,
+        transactionId: result.transactionId,
+        error: result.error,
+      });
+    }
+
+    const checkoutResult = await provider.createPayment({
+      reference,
+      amount: Number(amount),
+      currency: code,
+      description: description || 'WiFi subscription',
+      email,
+      phone,
+      successUrl,
+      cancelUrl: successUrl,
+      returnUrl: `${PUBLIC_URL}/api/payment/return/${provider.name}`,
+      ipnUrl: `${PUBLIC_URL}/api/payment/webhook/${provider.name}`,
+      metadata,
+    });
+
+    await pool.query(
+      'UPDATE payments SET provider_payment_id = $1, updated_at = NOW() WHERE id = $2',
+      [checkoutResult.providerPaymentId, payment.id]
+    );
+
+    res.json({
+      paymentId: payment.id,
+      provider: provider.name,
+      status: PAYMENT_STATUS.PENDING,
+      checkoutUrl: checkoutResult.redirectUrl,
+    });
+  } catch (error) {
+    console.error('Error creating subscription charge:', error.response?.data || error.message);
+    if (payment) {
+      await pool.query(
+        `UPDATE payments SET status = 'failed', updated_at = NOW() WHERE id = $1`,
+        [payment.id]
+      ).catch(() => {});
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ==================== RETURN CALLBACKS ====================
+
+// The customer comes back from the gateway (bKash/Nagad redirect, SSLCommerz form
+// POST). The payment is executed/validated server-side before the browser is sent on.
+app.all('/api/payment/return/:provider', async (req, res) => {
+  try {
+    const provider = providers.get(req.params.provider);
+    const { providerPaymentId, outcome, params } = provider.parseReturn(req);
+
+    const payment = await findPayment(provider.name, { providerPaymentId });
+    if (!payment) {
+      return res.status(404).send('Unknown payment');
+    }
+    const { successUrl, cancelUrl } = payment.metadata || {};
+
+    if (outcome !== 'success') {
+      await failPayment(payment, outcome === 'cancel' ? PAYMENT_STATUS.CANCELLED : PAYMENT_STATUS.FAILED);
+      return res.redirect(303, cancelUrl || successUrl);
+    }
+
+    const result = await confirmPayment(provider, payment, params);
+    if (result.status === PAYMENT_STATUS.COMPLETED) {
+      await completePayment(payment, result);
+    } else if (result.status !== PAYMENT_STATUS.PENDING) {
+      await failPayment(payment, result.status);
+      return res.redirect(303, cancelUrl || successUrl);
+    }
+
+    // Pending payments are picked up by the reconciler; the portal keeps polling the order
+    res.redirect(303, successUrl);
+  } catch (error) {
+    console.error(`Error handling ${req.params.provider} return:`, error.response?.data || error.message);
+    res.status(error.status || 500).send('Payment could not be confirmed. If you were charged it will be applied shortly.');
+  }
+});
+
+// Execute (capture) after approval; a repeat execute is refused by the gateway, so
+// fall back to asking for the payment's state. What the gateway confirms must be
+// this payment (our reference), whatever the redirect claimed.
+async function confirmPayment(provider, payment, params) {
+  let result;
+  try {
+    result = await provider.executePayment(payment.provider_payment_id, params);
+  } catch (error) {
+    console.warn(`${provider.name} execute failed for payment ${payment.id}, querying instead: ${error.message}`);
+    result = await provider.queryPayment(payment.provider_payment_id);
+  }
+
+  if (result.reference && payment.reference && result.reference !== payment.reference) {
+    throw new PaymentProviderError(`${provider.name} confirmed a different payment than ${payment.id}`, 409);
+  }
+  return result;
+}
+
+// ==================== WEBHOOK HANDLER ====================
+
+// Signed notifications; /api/payment/webhook is the Stripe endpoint already
+// registered in the Stripe dashboard. A verified event is stored first and then
+// handled; once stored the gateway gets a 200 and retries are ours.
+app.post(['/api/payment/webhook', '/api/payment/webhook/:provider'], express.raw({ type: 'application/json' }), async (req, res) => {
+  let provider;
+  let event;
+
+  try {
+    provider = providers.get(req.params.provider || 'stripe');
+    event = await provider.verifyWebhook(req);
+  } catch (error) {
+    console.error('Webhook verification failed:', error.message);
+    return res.status(error.status || 400).send(`Webhook Error: ${error.message}`);
+  }
+
+  let stored;
+  try {
+    ({ event: stored } = await webhookEvents.record(provider.name, event));
+  } catch (error) {
+    // Not stored: let the gateway redeliver
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const handled = await webhookEvents.process(stored.id);
+    res.json({ received: true, status: handled.status, duplicate: stored.deliveries > 1 });
+  } catch (error) {
+    // Stored as received; the worker picks it up
+    res.json({ received: true, status: stored.status });
+  }
+});
+
+// Act on a stored event. Events can arrive late, twice or out of order: one for a
+// payment we haven't recorded yet, or a refund ahead of the payment completing, is
+// deferred and retried; one overtaken by a later state change is ignored.
+async function handleEvent(providerName, event) {
+  if (event.type === EVENT_TYPE.IGNORED) {
+    return { status: EVENT_STATUS.IGNORED, note: `Unhandled ${providerName} event: ${event.sourceType || 'unknown'}` };
+  }
+
+  const payment = await findPayment(providerName, event) || await recordUntrackedPayment(providerName, event);
+  if (!payment) {
+    throw new EventDeferredError(`No payment matches ${event.providerPaymentId || event.transactionId || 'this event'} yet`);
+  }
+  const ignored = (note) => ({ status: EVENT_STATUS.IGNORED, note, paymentId: payment.id });
+
+  switch (event.type) {
+    case EVENT_TYPE.PAYMENT_SUCCEEDED: {
+      if (payment.status === PAYMENT_STATUS.REFUNDED) {
+        return ignored('Payment was already refunded');
+      }
+      const result = await confirmEvent(providerName, payment, event);
+      if (result.status !== PAYMENT_STATUS.COMPLETED) {
+        return ignored(`${providerName} reports the payment ${result.status}`);
+      }
+      await completePayment(payment, result);
+      break;
+    }
+
+    case EVENT_TYPE.PAYMENT_FAILED: {
+      if (payment.status !== PAYMENT_STATUS.PENDING) {
+        return ignored(`Payment is already ${payment.status}`);
+      }
+      const result = await confirmEvent(providerName, payment, event);
+      if (![PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(result.status)) {
+        return ignored(`${providerName} reports the payment ${result.status}`);
+      }
+      await failPayment(payment, result.status);
+      break;
+    }
+
+    case EVENT_TYPE.REFUND_SUCCEEDED:
+      if (payment.status === PAYMENT_STATUS.PENDING) {
+        throw new EventDeferredError(`Refund for payment ${payment.id} arrived before the payment completed`);
+      }
+      await applyRefund(payment);
+      break;
+
+    default:
+      return ignored(`Unhandled event type: ${event.type}`);
+  }
+
+  return { status: EVENT_STATUS.PROCESSED, paymentId: payment.id };
+}
+
+// What a webhook says about a payment, or, for gateways whose signature does not
+// vouch for the contents, what the gateway says when asked. Still pending there means
+// the notification ran ahead of the gateway (or was forged): retried later.
+async function confirmEvent(providerName, payment, event) {
+  const provider = providers.get(providerName);
+  if (!provider.webhooksNeedConfirmation) {
+    const status = event.type === EVENT_TYPE.PAYMENT_SUCCEEDED ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.FAILED;
+    return { ...event, status };
+  }
+  if (!payment.provider_payment_id) {
+    throw new EventDeferredError(`Payment ${payment.id} has no ${providerName} payment id to confirm yet`);
+  }
+
+  const result = await provider.queryPayment(payment.provider_payment_id);
+  if (result.status === PAYMENT_STATUS.PENDING) {
+    throw new EventDeferredError(`${providerName} still reports payment ${payment.id} pending`);
+  }
+  return result;
+}
 
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
+// ==================== WEBHOOK EVENTS ====================
 
-      case 'charge.refunded':
-        await handleRefund(event.data.object);
-        break;
+// Stored webhook events for the admin view (?status=failed,dead&provider&limit&offset)
+app.get('/api/payment/webhook-events', requireInternal, async (req, res) => {
+  try {
+    res.json(await webhookEvents.list(req.query));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/payment/webhook-events/:id', requireInternal, async (req, res) => {
+  try {
+    const stored = await webhookEvents.get(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    res.json(stored);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+// Handle a stored event again now, whatever its state; the handlers are idempotent
+app.post('/api/payment/webhook-events/:id/replay', requireInternal, async (req, res) => {
+  try {
+    const stored = await webhookEvents.get(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Webhook event not found' });
     }
 
-    res.json({ received: true });
+    const handled = await webhookEvents.process(stored.id, { replay: true });
+    console.log(`Webhook event ${stored.id} (${stored.provider} ${stored.event_id}) replayed: ${handled.status}`);
+    res.json(handled);
   } catch (error) {
-    console.error('Webhook processing error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ==================== PAYMENT RECORDS ====================
+
+// By the gateway's payment id, its transaction id or our reference in the metadata
+async function findPayment(providerName, { providerPaymentId, transactionId, metadata = {} }) {
+  const result = await pool.query(
+    `SELECT * FROM payments
+     WHERE provider = $1
+       AND (provider_payment_id = $2 OR provider_payment_id = $3 OR transaction_id = $3 OR reference = $4)
+     ORDER BY id DESC
+     LIMIT 1`,
+    [providerName, providerPaymentId || null, transactionId || null, metadata.reference || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Stripe payments started before payments were recorded up front
+async function recordUntrackedPayment(providerName, event) {
+  const { metadata = {} } = event;
+  if (event.type === EVENT_TYPE.REFUND_SUCCEEDED || (!metadata.orderId && !metadata.voucherId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO payments (
+      provider, provider_payment_id, reference, order_id, amount, currency, status, stripe_payment_id, description, metadata, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, NOW())
+    ON CONFLICT DO NOTHING
+    RETURNING *`,
+    [
+      providerName, event.transactionId, newReference(), metadata.orderId || null, event.amount, event.currency,
+      providerName === 'stripe' ? event.transactionId : null,
+      metadata.orderId ? `Portal order ${metadata.orderId}` : `Voucher ${metadata.voucherId} Payment`,
+      metadata,
+    ]
+  );
+  return result.rows[0] || findPayment(providerName, event);
+}
+
 // ==================== PAYMENT HANDLERS ====================
 
-async function handlePaymentSuccess(paymentIntent) {
-  const { voucherId } = paymentIntent.metadata;
+// Mark the payment completed and deliver what was bought. Runs again on webhook
+// replays and the reconciler; only the first completion activates a voucher.
+async function completePayment(payment, { transactionId, amount, currency, paymentMethod }) {
+  if (amount !== undefined && Math.round(Number(amount) * 100) !== Math.round(Number(payment.amount) * 100)) {
+    console.error(`Payment ${payment.id}: paid ${amount} ${currency}, expected ${payment.amount} ${payment.currency}`);
+    await pool.query(
+      `UPDATE payments SET status = 'review', updated_at = NOW() WHERE id = $1 AND status = 'pending'`,
+      [payment.id]
+    );
+    return;
+  }
+
+  const result = await pool.query(
+    `UPDATE payments p
+     SET status = 'completed', transaction_id = COALESCE($2, p.transaction_id),
+         payment_method = COALESCE($3, p.payment_method), paid_at = COALESCE(p.paid_at, NOW()), updated_at = NOW()
+     FROM (SELECT id, status AS previous_status FROM payments WHERE id = $1 FOR UPDATE) prev
+     WHERE p.id = prev.id AND prev.previous_status IN ('pending', 'failed', 'cancelled', 'completed')
+     RETURNING p.*, prev.previous_status`,
+    [payment.id, transactionId || null, paymentMethod || payment.provider]
+  );
+  const updated = result.rows[0];
+  if (!updated) return;
+
+  const { type } = updated.metadata || {};
+  if (type === 'portal_purchase') {
+    await handlePortalPurchase(updated);
+  } else if (type === 'subscription_renewal') {
+    await handleSubscriptionRenewal(updated);
+  } else if (type === 'wallet_topup') {
+    await handleWalletTopUp(updated);
+  } else if (type === 'voucher_purchase' && updated.previous_status !== 'completed') {
+    await handleVoucherPurchase(updated);
+  }
+
+  if (updated.previous_status !== 'completed') {
+    await requestInvoice(updated);
+  }
+}
+
+// Have the backend issue the invoice and mail it to the customer. Best effort: its
+// sweep issues whatever was missed, and a missing invoice must not fail the webhook.
+async function requestInvoice(payment) {
+  try {
+    await axios.post(
+      `${process.env.API_URL}/api/invoices/payments/${payment.id}`,
+      { email: true },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN }, timeout: 15000 }
+    );
+  } catch (error) {
+    console.error(`Error invoicing payment ${payment.id}:`, error.response?.data || error.message);
+  }
+}
+
+// Same for the credit note cancelling a refunded payment's invoice
+async function requestCreditNote(payment) {
+  try {
+    await axios.post(
+      `${process.env.API_URL}/api/invoices/payments/${payment.id}/credit-note`,
+      { reason: 'Refund', email: true },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN }, timeout: 15000 }
+    );
+  } catch (error) {
+    console.error(`Error issuing credit note for payment ${payment.id}:`, error.response?.data || error.message);
+  }
+}
+
+async function handleVoucherPurchase(payment) {
+  const { voucherId } = payment.metadata;
 
   try {
     // Update voucher as paid
@@ -108,21 +668,6 @@ async function handlePaymentSuccess(paymentIntent) {
       ['active', voucherId]
     );
 
-    // Create payment record
-    await pool.query(
-      `INSERT INTO payments (amount, currency, status, payment_method, transaction_id, stripe_payment_id, description, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
-      [
-        paymentIntent.amount / 100,
-        paymentIntent.currency,
-        'completed',
-        paymentIntent.payment_method,
-        paymentIntent.id,
-        paymentIntent.id,
-        `Voucher ${voucherId} Payment`,
-      ]
-    );
-
     // Get voucher details for notification
     const voucherResult = await pool.query(
       'SELECT code, email FROM vouchers v LEFT JOIN users u ON v.created_by = u.id WHERE v.id = $1',
@@ -141,67 +686,211 @@ async function handlePaymentSuccess(paymentIntent) {
   }
 }
 
-async function handlePaymentFailed(paymentIntent) {
-  const { voucherId } = paymentIntent.metadata;
+// Portal plan purchase: have the backend issue and redeem the voucher. A failure
+// fails the webhook event, which is retried; fulfilment is idempotent.
+async function handlePortalPurchase(payment) {
+  const orderId = payment.order_id || payment.metadata.orderId;
 
   try {
-    // Create failed payment record
-    await pool.query(
-      `INSERT INTO payments (amount, currency, status, payment_method, transaction_id, stripe_payment_id, description, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
-      [
-        paymentIntent.amount / 100,
-        paymentIntent.currency,
-        'failed',
-        paymentIntent.payment_method || 'unknown',
-        paymentIntent.id,
-        paymentIntent.id,
-        `Voucher ${voucherId} Payment - Failed`,
-      ]
+    await axios.post(
+      `${process.env.API_URL}/api/portal/orders/${orderId}/fulfill`,
+      {
+        transactionId: payment.transaction_id,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        provider: payment.provider,
+      },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN } }
     );
 
-    console.log(`Payment failed for voucher ${voucherId}`);
+    console.log(`Portal order ${orderId} paid via ${payment.provider} and fulfilled`);
   } catch (error) {
-    console.error('Error handling payment failure:', error);
+    console.error(`Error fulfilling portal order ${orderId}:`, error.response?.data || error.message);
     throw error;
   }
 }
 
-async function handleRefund(charge) {
+// Subscription renewal: the backend starts the paid period and lifts a suspension.
+// Idempotent there, so webhook replays and the reconciler may call it again.
+async function handleSubscriptionRenewal(payment) {
+  const { chargeId, subscriptionId } = payment.metadata;
+
   try {
-    const stripePyamentId = charge.payment_intent;
+    await axios.post(
+      `${process.env.API_URL}/api/subscriptions/charges/${chargeId}/paid`,
+      {
+        paymentId: payment.id,
+        transactionId: payment.transaction_id,
+        provider: payment.provider,
+      },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN } }
+    );
+
+    console.log(`Subscription ${subscriptionId} charge ${chargeId} paid via ${payment.provider}`);
+  } catch (error) {
+    console.error(`Error recording subscription charge ${chargeId}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Wallet top-up: the backend credits the wallet; idempotent there like portal orders
+async function handleWalletTopUp(payment) {
+  const { topupId } = payment.metadata;
 
-    // Find related payment
+  try {
+    await axios.post(
+      `${process.env.API_URL}/api/wallet/topups/${topupId}/credit`,
+      {
+        transactionId: payment.transaction_id,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        provider: payment.provider,
+      },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN } }
+    );
+
+    console.log(`Wallet top-up ${topupId} paid via ${payment.provider} and credited`);
+  } catch (error) {
+    console.error(`Error crediting wallet top-up ${topupId}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+async function failPayment(payment, status = PAYMENT_STATUS.FAILED) {
+  try {
+    const result = await pool.query(
+      `UPDATE payments SET status = $2, updated_at = NOW() WHERE id = $1 AND status = 'pending' RETURNING id`,
+      [payment.id, status]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`Payment ${payment.id} ${status} (${payment.description})`);
+    }
+  } catch (error) {
+    console.error('Error handling payment failure:', error);
+    throw error;
+  }
+}
+
+// Take back what the payment bought. Called after a refund call that completed
+// and again by refund webhooks, so only the first call acts.
+async function applyRefund(payment) {
+  try {
     const paymentResult = await pool.query(
-      'SELECT * FROM payments WHERE stripe_payment_id = $1',
-      [stripePyamentId]
+      `UPDATE payments SET status = 'refunded', updated_at = NOW()
+       WHERE id = $1 AND status <> 'refunded'
+       RETURNING *`,
+      [payment.id]
     );
+    if (paymentResult.rows.length === 0) return;
+
+    await requestCreditNote(payment);
+
+    // A refunded top-up comes back out of the wallet
+    const { type, topupId } = payment.metadata || {};
+    if (type === 'wallet_topup') {
+      await axios.post(
+        `${process.env.API_URL}/api/wallet/topups/${topupId}/refund`,
+        { transactionId: payment.transaction_id },
+        { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN } }
+      );
+      console.log(`Refund processed for wallet top-up ${topupId}`);
+      return;
+    }
+
+    // Deactivate related voucher and the account redeemed from it
+    let { voucherId } = payment.metadata || {};
 
-    if (paymentResult.rows.length > 0) {
-      const payment = paymentResult.rows[0];
+    // Portal purchases reference the order, which holds the issued voucher
+    const orderId = payment.order_id || (payment.metadata || {}).orderId;
+    if (orderId) {
+      const orderResult = await pool.query(
+        `UPDATE portal_orders SET status = 'refunded' WHERE id = $1 RETURNING voucher_id`,
+        [orderId]
+      );
+      voucherId = orderResult.rows[0] && orderResult.rows[0].voucher_id;
 
-      // Update payment status
+      // A refunded sale gives its promo codes back
       await pool.query(
-        'UPDATE payments SET status = $1 WHERE id = $2',
-        ['refunded', payment.id]
+        `UPDATE promotion_redemptions SET status = 'released' WHERE order_id = $1 AND status = 'redeemed'`,
+        [orderId]
       );
+    }
 
-      // Deactivate related voucher
+    if (voucherId) {
       await pool.query(
-        'UPDATE vouchers SET status = $1 WHERE id = (SELECT id FROM payments WHERE stripe_payment_id = $2)',
-        ['inactive', stripePyamentId]
+        'UPDATE vouchers SET status = $1 WHERE id = $2',
+        ['inactive', voucherId]
       );
 
-      console.log(`Refund processed for payment ${payment.id}`);
+      const usersResult = await pool.query(
+        'UPDATE hotspot_users SET status = $1, updated_at = NOW() WHERE voucher_id = $2 RETURNING username',
+        ['inactive', voucherId]
+      );
+
+      // Kick live sessions; the backend records the CoA/DM result on the session
+      for (const { username } of usersResult.rows) {
+        await disconnectUser(username, 'refund');
+      }
     }
+
+    console.log(`Refund processed for payment ${payment.id}`);
   } catch (error) {
     console.error('Error handling refund:', error);
     throw error;
   }
 }
 
+// ==================== RECONCILIATION ====================
+
+// Gateways without webhooks (bKash, Nagad) and lost return redirects leave payments
+// pending; ask the gateway about them. Pending for a day means abandoned.
+const RECONCILE_INTERVAL = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL || '300000', 10);
+
+async function reconcilePendingPayments() {
+  await pool.query(
+    `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+     WHERE status = 'pending' AND created_at < NOW() - INTERVAL '1 day'`
+  );
+
+  const result = await pool.query(
+    `SELECT * FROM payments
+     WHERE status = 'pending' AND provider_payment_id IS NOT NULL
+       AND created_at < NOW() - INTERVAL '2 minutes'
+     ORDER BY created_at ASC
+     LIMIT 50`
+  );
+
+  for (const payment of result.rows) {
+    try {
+      const provider = providers.get(payment.provider);
+      const status = await provider.queryPayment(payment.provider_payment_id);
+
+      if (status.status === PAYMENT_STATUS.COMPLETED) {
+        await completePayment(payment, status);
+      } else if (status.status !== PAYMENT_STATUS.PENDING) {
+        await failPayment(payment, status.status);
+      }
+    } catch (error) {
+      console.error(`Error reconciling payment ${payment.id}:`, error.message);
+    }
+  }
+}
+
 // ==================== PAYMENT NOTIFICATIONS ====================
 
+async function disconnectUser(username, reason) {
+  try {
+    await axios.post(
+      `${process.env.API_URL}/api/radius/coa`,
+      { username, action: 'disconnect', reason },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN } }
+    );
+  } catch (error) {
+    console.error(`Error disconnecting ${username}:`, error.message);
+  }
+}
+
 async function notifyPaymentSuccess(email, voucherCode) {
   try {
     // Send notification via API to backend
@@ -258,14 +947,20 @@ app.get('/api/payment/:paymentId', async (req, res) => {
 
     const payment = paymentResult.rows[0];
 
-    // Get details from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(
-      payment.stripe_payment_id
-    );
+    // Get details from the gateway
+    let providerDetails = null;
+    let providerError = null;
+    try {
+      const provider = providers.get(payment.provider);
+      providerDetails = (await provider.queryPayment(payment.provider_payment_id || payment.stripe_payment_id)).raw;
+    } catch (error) {
+      providerError = error.message;
+    }
 
     res.json({
       ...payment,
-      stripeDetails: paymentIntent,
+      providerDetails,
+      providerError,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -274,7 +969,8 @@ app.get('/api/payment/:paymentId', async (req, res) => {
 
 // ==================== REFUND HANDLING ====================
 
-app.post('/api/payment/refund', async (req, res) => {
+// Refund a payment at its gateway { paymentId, reason } (admins, through the backend)
+app.post('/api/payment/refund', requireInternal, async (req, res) => {
   try {
     const { paymentId, reason } = req.body;
 
@@ -289,82 +985,84 @@ app.post('/api/payment/refund', async (req, res) => {
     }
 
     const payment = paymentResult.rows[0];
+    if (payment.status !== 'completed') {
+      return res.status(409).json({ error: `Only completed payments can be refunded (status: ${payment.status})` });
+    }
 
-    // Process refund with Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.stripe_payment_id,
-      reason: reason || 'requested_by_customer',
+    // Process refund with the gateway that took the payment
+    const provider = providers.get(payment.provider);
+    const refund = await provider.refund({
+      providerPaymentId: payment.provider_payment_id,
+      transactionId: payment.transaction_id,
+      reference: payment.reference,
+      amount: Number(payment.amount),
+      originalAmount: Number(payment.amount),
+      currency: payment.currency,
+      paidAt: payment.paid_at,
+      reason,
     });
 
+    await pool.query(
+      `UPDATE payments SET metadata = metadata || $2, updated_at = NOW() WHERE id = $1`,
+      [payment.id, { refundId: refund.refundId, refundStatus: refund.status }]
+    );
+
+    // Gateways that refund synchronously send no refund webhook
+    if (refund.status === PAYMENT_STATUS.COMPLETED) {
+      await applyRefund(payment);
+    }
+
     res.json({
       success: true,
-      refundId: refund.id,
-      amount: refund.amount / 100,
+      refundId: refund.refundId,
+      amount: refund.amount,
       status: refund.status,
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ==================== INVOICE GENERATION ====================
 
-app.post('/api/payment/invoice', async (req, res) => {
+// Numbered PDF invoice for a payment, issued by the backend on first call
+// { paymentId, recipientEmail } -> { invoiceId, number }; with an email it is sent there
+app.post('/api/payment/invoice', requireInternal, async (req, res) => {
   try {
     const { paymentId, recipientEmail } = req.body;
 
-    // Get payment details
-    const paymentResult = await pool.query(
-      'SELECT * FROM payments WHERE id = $1',
-      [paymentId]
+    const response = await axios.post(
+      `${process.env.API_URL}/api/invoices/payments/${paymentId}`,
+      { email: recipientEmail || undefined },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_API_TOKEN }, timeout: 30000 }
     );
+    const { invoice } = response.data;
 
-    if (paymentResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-
-    const payment = paymentResult.rows[0];
-
-    const invoiceContent = `
-      <html>
-        <body>
-          <h1>Payment Invoice</h1>
-          <table>
-            <tr>
-              <td>Transaction ID:</td>
-              <td>${payment.transaction_id}</td>
-            </tr>
-            <tr>
-              <td>Amount:</td>
-              <td>$${payment.amount.toFixed(2)} ${payment.currency.toUpperCase()}</td>
-            </tr>
-            <tr>
-              <td>Status:</td>
-              <td>${payment.status}</td>
-            </tr>
-            <tr>
-              <td>Date:</td>
-              <td>${new Date(payment.created_at).toLocaleString()}</td>
-            </tr>
-            <tr>
-              <td>Description:</td>
-              <td>${payment.description}</td>
-            </tr>
-          </table>
-          <p>Thank you for your payment!</p>
-        </body>
-      </html>
-    `;
-
-    // Send invoice via email
-    await axios.post(`${process.env.API_URL}/api/notify/email`, {
-      email: recipientEmail,
-      subject: 'Payment Invoice',
-      html: invoiceContent,
+    res.json({
+      success: true,
+      message: recipientEmail ? 'Invoice sent' : 'Invoice issued',
+      invoiceId: invoice.id,
+      number: invoice.number,
     });
-
-    res.json({ success: true, message: 'Invoice sent' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.response?.status || 500).json({ error: error.response?.data?.error || error.message });
   }
 });
+
+// ==================== HEALTH CHECK ====================
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date() });
+});
+
+app.listen(PORT, () => {
+  console.log(`Payment service running on port ${PORT}`);
+  const enabled = providers.list().filter((p) => p.configured).map((p) => p.name);
+  console.log(`Payment providers: ${enabled.join(', ') || 'none configured'}`);
+});
+
+webhookEvents.start();
+
+setInterval(() => {
+  reconcilePendingPayments().catch((error) => console.error('Payment reconciliation failed:', error.message));
+}, RECONCILE_INTERVAL).unref();
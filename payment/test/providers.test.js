@@ -0,0 +1,260 @@
+// payment/test/providers.test.js
+// Payment providers against the local gateway sandbox: node --test test/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const { PaymentSandbox } = require('../sandbox/paymentSandbox');
+const BkashProvider = require('../providers/bkashProvider');
+const NagadProvider = require('../providers/nagadProvider');
+const SSLCommerzProvider = require('../providers/sslcommerzProvider');
+const StripeProvider = require('../providers/stripeProvider');
+const { PAYMENT_STATUS, EVENT_TYPE } = require('../providers/PaymentProvider');
+
+const quiet = { info() {}, warn() {}, error() {} };
+const RETURN_URL = 'http://payments.test/api/payment/return';
+
+let sandbox;
+let counter = 0;
+
+// Our references: alphanumeric, at most 20 characters
+const newReference = () => `TEST${Date.now().toString(36)}${(counter++).toString(36)}`.toUpperCase();
+
+before(async () => {
+  sandbox = new PaymentSandbox({ host: '127.0.0.1', port: 0, logger: quiet });
+  await sandbox.start();
+});
+
+after(async () => {
+  await sandbox.stop();
+});
+
+/**
+ * Take an action on the gateway's hosted page; resolves to the redirect or form the customer gets
+ */
+function approve(redirectUrl, action = 'pay') {
+  const url = new URL(redirectUrl);
+  url.searchParams.set('action', action);
+  return axios.get(url.toString(), { maxRedirects: 0, validateStatus: (status) => status < 400 });
+}
+
+/**
+ * ==================== BKASH ====================
+ */
+
+function createBkash(topicArns = 'arn:aws:sns:ap-southeast-1:000000000000:bkash-sandbox') {
+  return new BkashProvider({
+    logger: quiet,
+    baseURL: `${sandbox.publicURL}/bkash/v1.2.0-beta`,
+    ...sandbox.bkash,
+    webhookCertURLPrefix: `${sandbox.publicURL}/bkash/sns/`,
+    webhookTopicArns: topicArns,
+  });
+}
+
+test('bkash: create, approve, execute and refund', async () => {
+  const bkash = createBkash();
+  const payment = await bkash.createPayment({ reference: newReference(), amount: 50, currency: 'BDT', returnUrl: RETURN_URL });
+
+  await approve(payment.redirectUrl);
+  const result = await bkash.executePayment(payment.providerPaymentId);
+  assert.strictEqual(result.status, PAYMENT_STATUS.COMPLETED);
+  assert.strictEqual(result.amount, 50);
+
+  const refund = await bkash.refund({
+    providerPaymentId: payment.providerPaymentId,
+    transactionId: result.transactionId,
+    amount: 20,
+    currency: 'BDT',
+  });
+  assert.strictEqual(refund.status, PAYMENT_STATUS.COMPLETED);
+  assert.strictEqual(refund.amount, 20);
+});
+
+test('bkash: signed webhook verifies, an unknown topic does not', async () => {
+  const bkash = createBkash();
+  const message = new Promise((resolve) => sandbox.once('bkash:webhook', resolve));
+
+  const payment = await bkash.createPayment({ reference: newReference(), amount: 75, currency: 'BDT', returnUrl: RETURN_URL });
+  await approve(payment.redirectUrl);
+  await bkash.executePayment(payment.providerPaymentId);
+
+  const body = JSON.stringify(await message);
+  const event = await bkash.verifyWebhook({ body });
+  assert.strictEqual(event.type, EVENT_TYPE.PAYMENT_SUCCEEDED);
+  assert.strictEqual(bkash.webhooksNeedConfirmation, true);
+
+  await assert.rejects(createBkash('arn:aws:sns:ap-southeast-1:000000000000:other').verifyWebhook({ body }));
+
+  const tampered = JSON.parse(body);
+  tampered.Message = tampered.Message.replace('"75.00"', '"7500.00"');
+  await assert.rejects(bkash.verifyWebhook({ body: JSON.stringify(tampered) }), (error) => error.status === 400);
+});
+
+/**
+ * ==================== NAGAD ====================
+ */
+
+function createNagad() {
+  return new NagadProvider({
+    logger: quiet,
+    baseURL: `${sandbox.publicURL}/nagad/remote-payment-gateway-1.0`,
+    ...sandbox.nagadKeys,
+  });
+}
+
+test('nagad: sealed checkout, approve and verify', async () => {
+  const nagad = createNagad();
+  const reference = newReference();
+  const payment = await nagad.createPayment({ reference, amount: 120, currency: 'BDT', returnUrl: RETURN_URL });
+
+  const response = await approve(payment.redirectUrl);
+  const callback = new URL(response.headers.location);
+  const { providerPaymentId, outcome, params } = nagad.parseReturn({ query: Object.fromEntries(callback.searchParams) });
+  assert.strictEqual(providerPaymentId, payment.providerPaymentId);
+  assert.strictEqual(outcome, 'success');
+
+  const result = await nagad.executePayment(providerPaymentId, params);
+  assert.strictEqual(result.status, PAYMENT_STATUS.COMPLETED);
+  assert.strictEqual(result.reference, reference);
+  assert.strictEqual(result.amount, 120);
+
+  const refund = await nagad.refund({
+    providerPaymentId,
+    transactionId: result.transactionId,
+    amount: 120,
+    reference,
+  });
+  assert.strictEqual(refund.status, PAYMENT_STATUS.COMPLETED);
+});
+
+test('nagad: a forged success callback is not taken at its word', async () => {
+  const nagad = createNagad();
+  const reference = newReference();
+  const payment = await nagad.createPayment({ reference, amount: 120, currency: 'BDT', returnUrl: RETURN_URL });
+  assert.strictEqual(nagad.webhooksNeedConfirmation, true);
+
+  // The customer never paid, but the callback claims so
+  const forged = nagad.parseReturn({ query: { payment_ref_id: payment.providerPaymentId, status: 'Success', order_id: reference } });
+  assert.strictEqual(forged.outcome, 'success');
+  const result = await nagad.executePayment(forged.providerPaymentId, forged.params);
+  assert.strictEqual(result.status, PAYMENT_STATUS.PENDING);
+
+  // A paid payment presented as another order
+  await approve(payment.redirectUrl);
+  await assert.rejects(
+    nagad.executePayment(payment.providerPaymentId, { order_id: 'SOMEOTHERORDER' }),
+    (error) => error.status === 409
+  );
+});
+
+test('nagad: a reply not signed by the gateway is refused', async () => {
+  const nagad = createNagad();
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const plain = JSON.stringify({ paymentReferenceId: 'MDA1', challenge: 'x' });
+
+  const reply = {
+    sensitiveData: crypto.publicEncrypt(
+      { key: crypto.createPublicKey(nagad.merchantPrivateKey), padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(plain)
+    ).toString('base64'),
+    signature: crypto.sign('sha256', Buffer.from(plain), privateKey).toString('base64'),
+  };
+  assert.throws(() => nagad.unseal(reply), /signature is invalid/);
+});
+
+/**
+ * ==================== SSLCOMMERZ ====================
+ */
+
+function createSSLCommerz(storePassword = sandbox.sslcommerz.storePassword) {
+  return new SSLCommerzProvider({
+    logger: quiet,
+    baseURL: `${sandbox.publicURL}/sslcommerz`,
+    storeId: sandbox.sslcommerz.storeId,
+    storePassword,
+  });
+}
+
+/**
+ * The hidden fields of the auto-submitting return form (the same ones the IPN carries)
+ */
+function formFields(html) {
+  const fields = {};
+  for (const [, name, value] of html.matchAll(/<input type="hidden" name="([^"]+)" value="([^"]*)">/g)) {
+    fields[name] = value.replace(/&#(\d+);/g, (m, code) => String.fromCharCode(code));
+  }
+  return fields;
+}
+
+test('sslcommerz: session, approve, signed IPN and validation', async () => {
+  const sslcommerz = createSSLCommerz();
+  const reference = newReference();
+  const payment = await sslcommerz.createPayment({ reference, amount: 300, currency: 'BDT', returnUrl: RETURN_URL });
+
+  const fields = formFields((await approve(payment.redirectUrl)).data);
+  const event = await sslcommerz.verifyWebhook({ body: fields });
+  assert.strictEqual(event.type, EVENT_TYPE.PAYMENT_SUCCEEDED);
+  assert.strictEqual(event.providerPaymentId, reference);
+  assert.strictEqual(event.amount, 300);
+
+  const { outcome, params } = sslcommerz.parseReturn({ query: { result: 'success' }, body: fields });
+  assert.strictEqual(outcome, 'success');
+  const result = await sslcommerz.executePayment(reference, params);
+  assert.strictEqual(result.status, PAYMENT_STATUS.COMPLETED);
+});
+
+test('sslcommerz: IPN with a bad signature is rejected', async () => {
+  const sslcommerz = createSSLCommerz();
+  const reference = newReference();
+  const payment = await sslcommerz.createPayment({ reference, amount: 300, currency: 'BDT', returnUrl: RETURN_URL });
+  const fields = formFields((await approve(payment.redirectUrl)).data);
+
+  await assert.rejects(sslcommerz.verifyWebhook({ body: { ...fields, amount: '3.00' } }), (error) => error.status === 400);
+  await assert.rejects(createSSLCommerz('wrong').verifyWebhook({ body: fields }), (error) => error.status === 400);
+});
+
+/**
+ * ==================== STRIPE ====================
+ */
+
+function createStripe() {
+  return new StripeProvider({
+    logger: quiet,
+    secretKey: 'sk_test_sandbox',
+    webhookSecret: sandbox.stripeConfig.webhookSecret,
+    apiBase: sandbox.publicURL,
+  });
+}
+
+function signStripe(payload, secret = sandbox.stripeConfig.webhookSecret) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+test('stripe: checkout and signed webhook', async () => {
+  const stripe = createStripe();
+  const reference = newReference();
+  const eventPromise = new Promise((resolve) => sandbox.once('stripe:event', resolve));
+
+  const payment = await stripe.createPayment({
+    reference,
+    amount: 5,
+    currency: 'USD',
+    successUrl: 'http://payments.test/success',
+    cancelUrl: 'http://payments.test/cancel',
+  });
+  await approve(payment.redirectUrl);
+
+  const payload = Buffer.from(JSON.stringify(await eventPromise));
+  const event = await stripe.verifyWebhook({ body: payload, headers: { 'stripe-signature': signStripe(payload) } });
+  assert.strictEqual(event.type, EVENT_TYPE.PAYMENT_SUCCEEDED);
+  assert.strictEqual(event.metadata.reference, reference);
+  assert.strictEqual(event.amount, 5);
+
+  await assert.rejects(
+    stripe.verifyWebhook({ body: payload, headers: { 'stripe-signature': signStripe(payload, 'whsec_wrong') } }),
+    (error) => error.status === 400
+  );
+});
@@ -0,0 +1,290 @@
+// payment/webhookEventStore.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  DEFERRED: 'deferred',
+  FAILED: 'failed',
+  DEAD: 'dead',
+};
+
+// Picked up by the worker (and by a gateway redelivery)
+const RETRYABLE = [EVENT_STATUS.RECEIVED, EVENT_STATUS.DEFERRED, EVENT_STATUS.FAILED];
+
+/**
+ * Thrown by the handler when an event arrived ahead of what it depends on (the
+ * payment isn't recorded yet, a refund before the payment completed); the event
+ * is retried later instead of counted as failed
+ */
+class EventDeferredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EventDeferredError';
+    this.deferred = true;
+  }
+}
+
+/**
+ * Webhook Event Store
+ * Every verified gateway notification is written to payment_webhook_events before
+ * it is acted on, keyed by (provider, event_id), so a redelivered event is
+ * recognised and never handled twice once processed. An event is claimed for
+ * `claimTimeout` before it is handled, and the claim committed, so no transaction
+ * stays open while the handler calls out; a claim left by a crashed worker lapses.
+ * Failures and deferrals are retried with exponential backoff by a worker, oldest
+ * event first, and go 'dead' after maxAttempts until replayed by an admin.
+ *
+ * The handler gets the stored row and resolves to { status: 'processed' | 'ignored', note }.
+ */
+class WebhookEventStore extends EventEmitter {
+  constructor(db, config = {}) {
+    super();
+    this.db = db;
+    this.logger = config.logger || console;
+    this.handler = config.handler;
+    this.pollInterval = config.pollInterval || 30000;
+    this.batchSize = config.batchSize || 20;
+    this.maxAttempts = config.maxAttempts || 8;
+    this.claimTimeout = config.claimTimeout || 5 * 60;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * ==================== RECORDING ====================
+   */
+
+  /**
+   * Event id to dedupe on: the gateway's own, else a digest of the payload
+   */
+  static eventId(event) {
+    if (event.eventId) return String(event.eventId);
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(event.raw || event)).digest('hex')}`;
+  }
+
+  /**
+   * Store a verified event; a redelivery returns the existing row with duplicate = true
+   */
+  async record(provider, event) {
+    const { raw, ...normalized } = event;
+    const eventId = WebhookEventStore.eventId(event);
+    const occurredAt = event.occurredAt && !Number.isNaN(Date.parse(event.occurredAt))
+      ? new Date(event.occurredAt)
+      : null;
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO payment_webhook_events (
+          provider, event_id, event_type, source_type, provider_payment_id, transaction_id,
+          event, payload, status, occurred_at, next_attempt_at, received_at, last_delivered_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'received', $9, NOW(), NOW(), NOW())
+        ON CONFLICT (provider, event_id) DO UPDATE
+          SET deliveries = payment_webhook_events.deliveries + 1, last_delivered_at = NOW()
+        RETURNING *`,
+        [
+          provider,
+          eventId,
+          event.type,
+          event.sourceType || null,
+          event.providerPaymentId || null,
+          event.transactionId || null,
+          { ...normalized, eventId },
+          raw === undefined ? null : JSON.stringify(raw),
+          occurredAt,
+        ]
+      );
+
+      const stored = result.rows[0];
+      const duplicate = stored.deliveries > 1;
+      if (duplicate) {
+        this.logger.info(`Duplicate ${provider} webhook ${eventId} (delivery ${stored.deliveries}, ${stored.status})`);
+      }
+      return { event: stored, duplicate };
+    } catch (error) {
+      this.logger.error('Error recording webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ==================== PROCESSING ====================
+   */
+
+  /**
+   * Run the handler for one event if it is due for handling. Returns the row as it
+   * ends up; an event claimed by another worker is returned unchanged.
+   */
+  async process(id, { replay = false } = {}) {
+    try {
+      const claimed = await this.db.query(
+        `UPDATE payment_webhook_events
+         SET claimed_until = NOW() + ($2 || ' seconds')::interval
+         WHERE id = $1 AND (claimed_until IS NULL OR claimed_until < NOW())
+           ${replay ? '' : 'AND status = ANY($3)'}
+         RETURNING *`,
+        replay ? [id, this.claimTimeout] : [id, this.claimTimeout, RETRYABLE]
+      );
+
+      if (claimed.rows[0]) {
+        return await this.run(claimed.rows[0]);
+      }
+      return await this.get(id);
+    } catch (error) {
+      this.logger.error(`Error processing webhook event ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle one batch of due events, oldest first
+   */
+  async processBatch() {
+    try {
+      const due = await this.db.query(
+        `UPDATE payment_webhook_events
+         SET claimed_until = NOW() + ($3 || ' seconds')::interval
+         WHERE id IN (
+           SELECT id FROM payment_webhook_events
+           WHERE status = ANY($1) AND next_attempt_at <= NOW()
+             AND (claimed_until IS NULL OR claimed_until < NOW())
+           ORDER BY COALESCE(occurred_at, received_at), id
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [RETRYABLE, this.batchSize, this.claimTimeout]
+      );
+
+      // RETURNING is unordered
+      const events = due.rows.sort((a, b) => (
+        new Date(a.occurred_at || a.received_at) - new Date(b.occurred_at || b.received_at) || a.id - b.id
+      ));
+      for (const stored of events) {
+        await this.run(stored);
+      }
+      return events.length;
+    } catch (error) {
+      this.logger.error('Error processing webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a claimed event and record the outcome, releasing the claim
+   */
+  async run(stored) {
+    const attempts = stored.attempts + 1;
+
+    try {
+      const outcome = (await this.handler(stored)) || {};
+      const status = outcome.status === EVENT_STATUS.IGNORED ? EVENT_STATUS.IGNORED : EVENT_STATUS.PROCESSED;
+
+      const result = await this.db.query(
+        `UPDATE payment_webhook_events
+         SET status = $2, attempts = $3, last_error = $4, payment_id = COALESCE($5, payment_id),
+             processed_at = NOW(), next_attempt_at = NULL, claimed_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [stored.id, status, attempts, outcome.note || null, outcome.paymentId || null]
+      );
+      this.emit(`event:${status}`, result.rows[0]);
+      return result.rows[0];
+    } catch (error) {
+      const dead = attempts >= this.maxAttempts;
+      let status = error.deferred ? EVENT_STATUS.DEFERRED : EVENT_STATUS.FAILED;
+      if (dead) status = EVENT_STATUS.DEAD;
+
+      const result = await this.db.query(
+        `UPDATE payment_webhook_events
+         SET status = $2, attempts = $3, last_error = $4, claimed_until = NULL,
+             next_attempt_at = CASE WHEN $5 THEN NULL ELSE NOW() + ($6 || ' seconds')::interval END
+         WHERE id = $1
+         RETURNING *`,
+        [stored.id, status, attempts, error.message, dead, 30 * 2 ** attempts]
+      );
+
+      const log = error.deferred ? this.logger.info : this.logger.warn;
+      log.call(this.logger, `${stored.provider} webhook ${stored.event_id} attempt ${attempts} ${status}: ${error.message}`);
+      if (dead) this.emit('event:dead', { event: result.rows[0], error });
+      return result.rows[0];
+    }
+  }
+
+  /**
+   * ==================== ADMIN ====================
+   */
+
+  async list({ status, provider, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(String(status).split(','));
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if (provider) {
+      params.push(provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [events, counts] = await Promise.all([
+      this.db.query(
+        `SELECT id, provider, event_id, event_type, source_type, provider_payment_id, transaction_id, payment_id,
+                status, attempts, deliveries, last_error, occurred_at, next_attempt_at, received_at,
+                last_delivered_at, processed_at
+         FROM payment_webhook_events
+         ${where}
+         ORDER BY received_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, Math.min(parseInt(limit, 10) || 50, 200), parseInt(offset, 10) || 0]
+      ),
+      this.db.query('SELECT status, COUNT(*)::int AS count FROM payment_webhook_events GROUP BY status'),
+    ]);
+
+    return {
+      events: events.rows,
+      counts: Object.fromEntries(counts.rows.map((row) => [row.status, row.count])),
+    };
+  }
+
+  async get(id) {
+    const result = await this.db.query('SELECT * FROM payment_webhook_events WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * ==================== WORKER ====================
+   */
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.processBatch();
+      } catch (error) {
+        // Logged in processBatch; retried next tick
+      } finally {
+        this.running = false;
+      }
+    }, this.pollInterval);
+    this.timer.unref();
+
+    this.logger.info('Webhook event worker started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = WebhookEventStore;
+module.exports.EventDeferredError = EventDeferredError;
+module.exports.EVENT_STATUS = EVENT_STATUS;
@@ -5,32 +5,135 @@ import './App.css';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+// The router's login page redirects here with ?mac=$(mac)&ip=$(ip)&site=<site id>
+const getRouterParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    mac: params.get('mac') || undefined,
+    ip: params.get('ip') || undefined,
+    siteId: params.get('site') || undefined,
+  };
+};
+
+const initialPage = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('order')) return 'order';
+  if (params.get('topup') && localStorage.getItem('token')) return 'wallet';
+  return 'welcome';
+};
+
 const UserPortal = () => {
-  const [currentPage, setCurrentPage] = useState('welcome');
+  // Back from checkout: ?order=<id>, or ?topup=<id> for a wallet top-up
+  const [currentPage, setCurrentPage] = useState(initialPage);
   const [userData, setUserData] = useState(null);
+  const [pendingDevice, setPendingDevice] = useState(null);
+  const [oauthError, setOauthError] = useState('');
+
+  // Social login comes back as #oauth_token=... (or #oauth_error=...)
+  React.useEffect(() => {
+    const hash = new URLSearchParams(window.location.hash.slice(1));
+    const token = hash.get('oauth_token');
+    const error = hash.get('oauth_error');
+    if (!token && !error) return;
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (error) {
+      setOauthError(error);
+      return;
+    }
+
+    localStorage.setItem('token', token);
+    axios.get(`${API_URL}/api/portal/me`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((response) => {
+        setUserData(response.data.user);
+        setCurrentPage('dashboard');
+      })
+      .catch(() => setOauthError('Login failed, please try again'));
+  }, []);
+
+  // Back from a top-up checkout the page was reloaded; restore the logged-in account
+  React.useEffect(() => {
+    if (currentPage !== 'wallet' || userData) return;
+    const token = localStorage.getItem('token');
+    axios.get(`${API_URL}/api/portal/me`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((response) => setUserData(response.data.user))
+      .catch(() => {
+        localStorage.removeItem('token');
+        setCurrentPage('welcome');
+      });
+  }, []);
 
   return (
     <div className="portal-container">
       {currentPage === 'welcome' && (
-        <WelcomePage onNavigate={setCurrentPage} />
+        <WelcomePage onNavigate={setCurrentPage} error={oauthError} />
       )}
       {currentPage === 'register' && (
         <RegisterPage onNavigate={setCurrentPage} />
       )}
       {currentPage === 'login' && (
-        <LoginPage onNavigate={setCurrentPage} setUserData={setUserData} />
+        <LoginPage
+          onNavigate={setCurrentPage}
+          setUserData={setUserData}
+          setPendingDevice={setPendingDevice}
+        />
       )}
       {currentPage === 'redeem' && (
         <RedeemVoucherPage onNavigate={setCurrentPage} />
       )}
+      {currentPage === 'buy' && (
+        <BuyAccessPage onNavigate={setCurrentPage} />
+      )}
+      {currentPage === 'order' && (
+        <OrderStatusPage onNavigate={setCurrentPage} setUserData={setUserData} />
+      )}
+      {currentPage === 'guest' && (
+        <GuestAccessPage onNavigate={setCurrentPage} setUserData={setUserData} />
+      )}
       {currentPage === 'dashboard' && userData && (
         <UserDashboard user={userData} onNavigate={setCurrentPage} />
       )}
+      {currentPage === 'wallet' && (
+        <WalletPage onNavigate={setCurrentPage} />
+      )}
+      {currentPage === 'invoices' && userData && (
+        <InvoicesPage onNavigate={setCurrentPage} />
+      )}
+      {currentPage === 'devices' && userData && (
+        <DevicesPage
+          pendingDevice={pendingDevice}
+          onPaired={() => setPendingDevice(null)}
+          onNavigate={setCurrentPage}
+        />
+      )}
     </div>
   );
 };
 
-const WelcomePage = ({ onNavigate }) => {
+const WelcomePage = ({ onNavigate, error }) => {
+  const [providers, setProviders] = useState([]);
+  const [marketingConsent, setMarketingConsent] = useState(false);
+  const [freeAccess, setFreeAccess] = useState(false);
+
+  React.useEffect(() => {
+    axios.get(`${API_URL}/api/portal/oauth/providers`)
+      .then((response) => setProviders(response.data))
+      .catch(() => setProviders([]));
+
+    const { siteId, mac } = getRouterParams();
+    axios.get(`${API_URL}/api/portal/guest`, { params: { siteId, mac } })
+      .then((response) => setFreeAccess(response.data.enabled))
+      .catch(() => setFreeAccess(false));
+  }, []);
+
+  const socialLogin = (provider) => {
+    const { mac, ip } = getRouterParams();
+    const params = new URLSearchParams({ consent: marketingConsent ? '1' : '0' });
+    if (mac) params.set('mac', mac);
+    if (ip) params.set('ip', ip);
+    window.location.href = `${API_URL}/api/portal/oauth/${provider}/start?${params}`;
+  };
+
   return (
     <div className="page welcome-page">
       <div className="welcome-card">
@@ -57,13 +160,45 @@ const WelcomePage = ({ onNavigate }) => {
           </div>
         </div>
 
+        {error && <div className="error-message">{error}</div>}
+
+        {providers.length > 0 && (
+          <div className="social-login">
+            {providers.map((provider) => (
+              <button
+                key={provider.name}
+                className={`btn social ${provider.name}`}
+                onClick={() => socialLogin(provider.name)}
+              >
+                Continue with {provider.label}
+              </button>
+            ))}
+            <label className="consent">
+              <input
+                type="checkbox"
+                checked={marketingConsent}
+                onChange={(e) => setMarketingConsent(e.target.checked)}
+              />
+              Send me offers and news by email
+            </label>
+          </div>
+        )}
+
         <div className="welcome-actions">
+          {freeAccess && (
+            <button className="btn primary" onClick={() => onNavigate('guest')}>
+              Get Free Access
+            </button>
+          )}
           <button className="btn primary" onClick={() => onNavigate('login')}>
             Login to Existing Account
           </button>
           <button className="btn secondary" onClick={() => onNavigate('register')}>
             Create New Account
           </button>
+          <button className="btn secondary" onClick={() => onNavigate('buy')}>
+            Buy Access
+          </button>
           <button className="btn secondary" onClick={() => onNavigate('redeem')}>
             Redeem Voucher
           </button>
@@ -180,20 +315,35 @@ const RegisterPage = ({ onNavigate }) => {
   );
 };
 
-const LoginPage = ({ onNavigate, setUserData }) => {
-  const [formData, setFormData] = useState({ email: '', password: '' });
+const LoginPage = ({ onNavigate, setUserData, setPendingDevice }) => {
+  const [mode, setMode] = useState('phone');
+  const [formData, setFormData] = useState({ username: '', password: '' });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const handleLoggedIn = (data) => {
+    localStorage.setItem('token', data.token);
+    setUserData(data.user);
+
+    // Device limit reached: offer to re-pair this device instead
+    if (data.deviceLimit) {
+      setPendingDevice(data.deviceLimit);
+      onNavigate('devices');
+    } else {
+      onNavigate('dashboard');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const response = await axios.post(`${API_URL}/api/auth/login`, formData);
-      localStorage.setItem('token', response.data.token);
-      setUserData(response.data.user);
-      onNavigate('dashboard');
+      const response = await axios.post(`${API_URL}/api/portal/login`, {
+        ...formData,
+        ...getRouterParams(),
+      });
+      handleLoggedIn(response.data);
     } catch (err) {
       setError(err.response?.data?.error || 'Login failed');
     }
@@ -206,33 +356,51 @@ const LoginPage = ({ onNavigate, setUserData }) => {
         <h2>Login</h2>
         {error && <div className="error-message">{error}</div>}
 
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Email</label>
-            <input
-              type="email"
-              required
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-              placeholder="your@email.com"
-            />
-          </div>
+        {mode === 'phone' && (
+          <PhoneLoginForm onLoggedIn={handleLoggedIn} setError={setError} />
+        )}
 
-          <div className="form-group">
-            <label>Password</label>
-            <input
-              type="password"
-              required
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-              placeholder="Enter password"
-            />
-          </div>
+        {mode === 'password' && (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>Username</label>
+              <input
+                type="text"
+                required
+                value={formData.username}
+                onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+                placeholder="Your username"
+              />
+            </div>
 
-          <button type="submit" className="btn primary" disabled={loading}>
-            {loading ? 'Logging in...' : 'Login'}
+            <div className="form-group">
+              <label>Password</label>
+              <input
+                type="password"
+                required
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                placeholder="Enter password"
+              />
+            </div>
+
+            <button type="submit" className="btn primary" disabled={loading}>
+              {loading ? 'Logging in...' : 'Login'}
+            </button>
+          </form>
+        )}
+
+        <p className="form-footer">
+          <button
+            className="link-btn"
+            onClick={() => {
+              setError('');
+              setMode(mode === 'phone' ? 'password' : 'phone');
+            }}
+          >
+            {mode === 'phone' ? 'Login with username and password' : 'Login with phone number'}
           </button>
-        </form>
+        </p>
 
         <p className="form-footer">
           Don't have an account?
@@ -245,6 +413,118 @@ const LoginPage = ({ onNavigate, setUserData }) => {
   );
 };
 
+const PhoneLoginForm = ({ onLoggedIn, setError }) => {
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  React.useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const requestCode = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/portal/otp/request`, {
+        phone,
+        mac: getRouterParams().mac,
+      });
+      setCodeSent(true);
+      setResendIn(response.data.resendIn);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not send the code');
+      if (err.response?.data?.retryAfter) setResendIn(err.response.data.retryAfter);
+    }
+    setLoading(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!codeSent) {
+      requestCode();
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/portal/otp/verify`, {
+        phone,
+        code,
+        ...getRouterParams(),
+      });
+      onLoggedIn(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label>Phone Number</label>
+        <input
+          type="tel"
+          required
+          value={phone}
+          disabled={codeSent}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="01XXXXXXXXX"
+        />
+      </div>
+
+      {codeSent && (
+        <div className="form-group">
+          <label>Code</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="6-digit code from SMS"
+          />
+        </div>
+      )}
+
+      <button type="submit" className="btn primary" disabled={loading}>
+        {loading && 'Please wait...'}
+        {!loading && (codeSent ? 'Verify & Login' : 'Send Code')}
+      </button>
+
+      {codeSent && (
+        <p className="form-footer">
+          <button
+            type="button"
+            className="link-btn"
+            disabled={resendIn > 0 || loading}
+            onClick={requestCode}
+          >
+            {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+          </button>
+          <button
+            type="button"
+            className="link-btn"
+            onClick={() => {
+              setCodeSent(false);
+              setCode('');
+            }}
+          >
+            Change number
+          </button>
+        </p>
+      )}
+    </form>
+  );
+};
+
 const RedeemVoucherPage = ({ onNavigate }) => {
   const [formData, setFormData] = useState({
     code: '',
@@ -333,56 +613,863 @@ const RedeemVoucherPage = ({ onNavigate }) => {
   );
 };
 
+const GuestAccessPage = ({ onNavigate, setUserData }) => {
+  const [offer, setOffer] = useState(null);
+  const [accepted, setAccepted] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  React.useEffect(() => {
+    const { siteId, mac } = getRouterParams();
+    axios.get(`${API_URL}/api/portal/guest`, { params: { siteId, mac } })
+      .then((response) => setOffer(response.data))
+      .catch((err) => setError(err.response?.data?.error || 'Free access is not available'));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/api/portal/guest/accept`, {
+        termsVersionId: offer.terms.id,
+        ...getRouterParams(),
+      });
+      localStorage.setItem('token', response.data.token);
+      setUserData({ ...response.data.user, expiry_date: response.data.expiresAt });
+      onNavigate('dashboard');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not start free access');
+      // Terms were updated in the meantime: show the new version
+      if (err.response?.status === 409) {
+        const { siteId, mac } = getRouterParams();
+        const refreshed = await axios.get(`${API_URL}/api/portal/guest`, { params: { siteId, mac } });
+        setOffer(refreshed.data);
+        setAccepted(false);
+      }
+    }
+    setLoading(false);
+  };
+
+  const unavailable = offer && offer.enabled && (offer.remainingMinutes === 0 || offer.availableAt);
+
+  return (
+    <div className="page guest-page">
+      <div className="form-card">
+        <h2>Free WiFi</h2>
+        {error && <div className="error-message">{error}</div>}
+
+        {offer && !offer.enabled && <p>Free access is not available here.</p>}
+
+        {offer && offer.enabled && (
+          <form onSubmit={handleSubmit}>
+            <p>
+              {offer.sessionMinutes} minutes free
+              {offer.rateLimit && ` at up to ${offer.rateLimit.split(/[/ ]/)[0]}bps`}
+              {offer.remainingMinutes !== undefined && ` (${offer.remainingMinutes} minutes left today)`}
+            </p>
+
+            <div className="terms-box">
+              <h3>{offer.terms.title} (v{offer.terms.version})</h3>
+              <div className="terms-text">{offer.terms.body}</div>
+            </div>
+
+            <label className="consent">
+              <input
+                type="checkbox"
+                checked={accepted}
+                onChange={(e) => setAccepted(e.target.checked)}
+              />
+              I have read and accept the terms of use
+            </label>
+
+            {unavailable && (
+              <p className="form-footer">
+                {offer.availableAt
+                  ? `Free access is available again at ${new Date(offer.availableAt).toLocaleTimeString()}`
+                  : 'Free access for today is used up on this device'}
+              </p>
+            )}
+
+            <button type="submit" className="btn primary" disabled={!accepted || loading || unavailable}>
+              {loading ? 'Connecting...' : 'Accept & Connect'}
+            </button>
+          </form>
+        )}
+
+        <p className="form-footer">
+          <button className="link-btn" onClick={() => onNavigate('welcome')}>
+            Back
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const BuyAccessPage = ({ onNavigate }) => {
+  const [plans, setPlans] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [email, setEmail] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [quotes, setQuotes] = useState({});
+  const [loading, setLoading] = useState(null);
+  const [error, setError] = useState('');
+  const token = localStorage.getItem('token');
+
+  React.useEffect(() => {
+    axios.get(`${API_URL}/api/portal/plans`)
+      .then((response) => setPlans(response.data))
+      .catch(() => setError('Could not load plans'));
+
+    if (token) {
+      axios.get(`${API_URL}/api/portal/wallet`, { headers: { Authorization: `Bearer ${token}` } })
+        .then((response) => setBalances(response.data))
+        .catch(() => setBalances([]));
+    }
+  }, []);
+
+  const walletBalance = (currency) => {
+    const balance = balances.find((b) => b.currency === currency);
+    return balance ? balance.available : 0;
+  };
+
+  // The code is priced against every plan; plans it does not apply to keep their price
+  const handleApplyPromo = async () => {
+    setError('');
+    const { mac, siteId } = getRouterParams();
+    const results = await Promise.all(plans.map((plan) => axios.post(
+      `${API_URL}/api/portal/checkout/quote`,
+      { planId: plan.id, promoCodes: [promoCode], email: email || undefined, mac, siteId },
+      { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+    )
+      .then((response) => [plan.id, response.data])
+      .catch((err) => [plan.id, { error: err.response?.data?.error || 'Could not check the code' }])));
+
+    const applied = results.filter(([, quote]) => !quote.error);
+    if (applied.length === 0) {
+      setQuotes({});
+      setError(results.length ? results[0][1].error : 'No plans available');
+      return;
+    }
+    setQuotes(Object.fromEntries(applied));
+  };
+
+  const promoFor = (plan) => (quotes[plan.id] ? { promoCodes: [promoCode] } : {});
+
+  const planPrice = (plan) => (quotes[plan.id] ? quotes[plan.id].amount : plan.price);
+
+  const handlePayFromWallet = async (plan) => {
+    setLoading(plan.id);
+    setError('');
+
+    try {
+      const { mac, ip, siteId } = getRouterParams();
+      await axios.post(
+        `${API_URL}/api/portal/wallet/purchase`,
+        { planId: plan.id, mac, ip, siteId, ...promoFor(plan) },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      onNavigate('dashboard');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not pay from your wallet');
+      setLoading(null);
+    }
+  };
+
+  const handleBuy = async (plan) => {
+    setLoading(plan.id);
+    setError('');
+
+    try {
+      const { mac, ip, siteId } = getRouterParams();
+      const response = await axios.post(
+        `${API_URL}/api/portal/checkout`,
+        { planId: plan.id, email: email || undefined, mac, ip, siteId, ...promoFor(plan) },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      // Only this browser can log in with the order once it is paid
+      localStorage.setItem(`orderClaim:${response.data.orderId}`, response.data.claimToken);
+      // Hosted checkout, or straight back for a fully discounted order; both return to /?order=<id>
+      window.location.href = response.data.checkoutUrl;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not start checkout');
+      setLoading(null);
+    }
+  };
+
+  return (
+    <div className="page buy-page">
+      <div className="form-card">
+        <h2>Buy Access</h2>
+        {error && <div className="error-message">{error}</div>}
+        {token && <p>The plan will be added to your account.</p>}
+        {balances.map((balance) => (
+          <p key={balance.currency}>Wallet balance: {balance.available.toFixed(2)} {balance.currency}</p>
+        ))}
+
+        {!token && (
+          <div className="form-group">
+            <label>Email for the receipt (optional)</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="your@email.com"
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Promo code</label>
+          <input
+            type="text"
+            value={promoCode}
+            onChange={(e) => {
+              setPromoCode(e.target.value.toUpperCase());
+              setQuotes({});
+            }}
+            placeholder="SUMMER"
+          />
+          <button className="btn secondary" disabled={!promoCode || loading !== null} onClick={handleApplyPromo}>
+            Apply
+          </button>
+        </div>
+
+        <div className="plan-list">
+          {plans.map((plan) => (
+            <div key={plan.id} className="plan-card">
+              <h3>{plan.name}</h3>
+              {quotes[plan.id] && quotes[plan.id].discount > 0 ? (
+                <p className="plan-price">
+                  <s>{plan.price.toFixed(2)}</s> {quotes[plan.id].amount.toFixed(2)} {plan.currency}
+                </p>
+              ) : (
+                <p className="plan-price">{plan.price.toFixed(2)} {plan.currency}</p>
+              )}
+              <p>
+                {quotes[plan.id] ? quotes[plan.id].validityDays : plan.validityDays}
+                {' '}
+                {(quotes[plan.id] ? quotes[plan.id].validityDays : plan.validityDays) === 1 ? 'day' : 'days'}
+                {plan.bandwidthLimit ? `, ${plan.bandwidthLimit} GB` : ', unlimited data'}
+              </p>
+              {plan.description && <p>{plan.description}</p>}
+              <button
+                className="btn primary"
+                disabled={loading !== null}
+                onClick={() => handleBuy(plan)}
+              >
+                {loading === plan.id ? 'Redirecting...' : 'Buy'}
+              </button>
+              {token && walletBalance(plan.currency) >= planPrice(plan) && (
+                <button
+                  className="btn secondary"
+                  disabled={loading !== null}
+                  onClick={() => handlePayFromWallet(plan)}
+                >
+                  Pay from wallet
+                </button>
+              )}
+            </div>
+          ))}
+          {plans.length === 0 && !error && <p>No plans available right now.</p>}
+        </div>
+
+        <p className="form-footer">
+          <button className="link-btn" onClick={() => onNavigate(token ? 'dashboard' : 'welcome')}>
+            Back
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const OrderStatusPage = ({ onNavigate, setUserData }) => {
+  const params = new URLSearchParams(window.location.search);
+  const orderId = params.get('order');
+  const cancelled = params.get('cancelled') === '1';
+  const [status, setStatus] = useState(cancelled ? 'cancelled' : 'pending');
+  const [error, setError] = useState('');
+
+  React.useEffect(() => {
+    if (cancelled) return undefined;
+
+    // The webhook usually lands within seconds; give up after two minutes
+    let attempts = 0;
+    const timer = setInterval(async () => {
+      attempts += 1;
+      try {
+        const response = await axios.get(`${API_URL}/api/portal/orders/${orderId}`);
+        setStatus(response.data.status);
+
+        if (response.data.status === 'fulfilled') {
+          clearInterval(timer);
+          const claimKey = `orderClaim:${orderId}`;
+          const claimToken = localStorage.getItem(claimKey);
+          if (!claimToken) {
+            setStatus('unclaimed');
+            return;
+          }
+
+          const session = await axios.post(`${API_URL}/api/portal/orders/${orderId}/session`, { claimToken });
+          localStorage.removeItem(claimKey);
+          localStorage.setItem('token', session.data.token);
+          setUserData(session.data.user);
+          window.history.replaceState(null, '', window.location.pathname);
+          onNavigate('dashboard');
+        } else if (['failed', 'refunded'].includes(response.data.status)) {
+          clearInterval(timer);
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not check the payment');
+      }
+      if (attempts >= 60) {
+        clearInterval(timer);
+        setStatus('timeout');
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="page order-page">
+      <div className="form-card">
+        <h2>Payment</h2>
+        {error && <div className="error-message">{error}</div>}
+        {['pending', 'paid'].includes(status) && <p>Confirming your payment, you will be online in a moment...</p>}
+        {status === 'cancelled' && <p>The payment was cancelled. You have not been charged.</p>}
+        {status === 'failed' && <p>The payment could not be completed.</p>}
+        {status === 'unclaimed' && (
+          <p>Your payment went through. Log in with the details we sent you to get online.</p>
+        )}
+        {status === 'timeout' && (
+          <p>
+            We have not received the payment confirmation yet. If you were charged, your
+            access will be activated shortly; please contact support with order {orderId}.
+          </p>
+        )}
+
+        {!['pending', 'paid'].includes(status) && (
+          <p className="form-footer">
+            <button
+              className="link-btn"
+              onClick={() => {
+                window.history.replaceState(null, '', window.location.pathname);
+                onNavigate('buy');
+              }}
+            >
+              Back to plans
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatBps = (bps) => {
+  if (bps === null || bps === undefined) return '-';
+  if (bps >= 1000000) return `${(bps / 1000000).toFixed(1)} Mbps`;
+  return `${Math.round(bps / 1000)} kbps`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '-';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
+
+// Why the connection is at its current speed
+const describeSpeed = (speed) => {
+  if (!speed) return '';
+  switch (speed.reason) {
+    case 'fup_blocked':
+      return 'Your fair usage allowance is used up. Top up to get back online.';
+    case 'fup':
+      return `Slowed down by the fair usage policy${speed.detail ? ` (${speed.detail})` : ''}. Top up for full speed.`;
+    case 'schedule':
+      return `A scheduled speed limit is active${speed.detail ? `: ${speed.detail}` : ''}.`;
+    default:
+      return speed.rateLimit ? `Your plan allows up to ${speed.rateLimit}.` : 'Your plan has no speed limit.';
+  }
+};
+
 const UserDashboard = ({ user, onNavigate }) => {
-  const [userStats, setUserStats] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState(null);
+  const [receivedAt, setReceivedAt] = useState(Date.now());
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState('');
+  const [loggingOut, setLoggingOut] = useState(false);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
 
   React.useEffect(() => {
-    const fetchStats = async () => {
+    const fetchStatus = async () => {
       try {
-        const token = localStorage.getItem('token');
-        const response = await axios.get(`${API_URL}/api/users/stats/${user.username}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        setUserStats(response.data);
-      } catch (error) {
-        console.error('Error fetching stats:', error);
+        const response = await axios.get(`${API_URL}/api/portal/session`, { headers: authHeaders() });
+        setStatus(response.data);
+        setReceivedAt(Date.now());
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not refresh your status');
       }
-      setLoading(false);
     };
 
-    fetchStats();
+    fetchStatus();
+    const poller = setInterval(fetchStatus, 5000);
+    // Countdowns tick every second between polls
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(poller);
+      clearInterval(ticker);
+    };
   }, [user]);
 
+  const handleLogout = async () => {
+    setLoggingOut(true);
+    try {
+      await axios.post(
+        `${API_URL}/api/portal/session/logout`,
+        { mac: getRouterParams().mac },
+        { headers: authHeaders() }
+      );
+    } catch (err) {
+      console.error('Error ending router session:', err);
+    }
+    localStorage.removeItem('token');
+    onNavigate('welcome');
+  };
+
+  const elapsed = Math.floor((now - receivedAt) / 1000);
+  const { mac } = getRouterParams();
+  const macKey = (value) => String(value || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+  const session = status && (
+    status.sessions.find((s) => mac && macKey(s.macAddress) === macKey(mac)) || status.sessions[0]
+  );
+  const secondsRemaining = status && status.time.secondsRemaining !== null
+    ? Math.max(status.time.secondsRemaining - elapsed, 0)
+    : null;
+  const dataPercent = status && status.data.limit
+    ? Math.min(Math.round((status.data.used / status.data.limit) * 100), 100)
+    : null;
+  const slowed = status && ['fup', 'fup_blocked', 'schedule'].includes(status.speed.reason);
+
   return (
     <div className="page dashboard-page">
       <div className="dashboard-container">
-        <h2>Welcome, {user.email}!</h2>
+        <h2>Welcome, {user.username || user.email}!</h2>
+        {error && <div className="error-message">{error}</div>}
 
-        {userStats && (
-          <div className="stats-grid">
-            <StatBox
-              title="Bandwidth Used"
-              value={`${(userStats.dbUser?.bandwidth_used / 1024 / 1024 / 1024).toFixed(2)} GB`}
-              limit={`${userStats.dbUser?.bandwidth_limit} GB`}
-            />
-            <StatBox
-              title="Account Status"
-              value={userStats.dbUser?.status || 'Active'}
-            />
-            <StatBox
-              title="Expires"
-              value={new Date(userStats.dbUser?.expiry_date).toLocaleDateString()}
-            />
+        {status && (
+          <>
+            <div className="usage-meter">
+              <div className="usage-meter-label">
+                <span>Data used: {formatBytes(status.data.used)}</span>
+                <span>{status.data.limit ? `of ${formatBytes(status.data.limit)}` : 'Unlimited'}</span>
+              </div>
+              {dataPercent !== null && (
+                <div className="usage-bar">
+                  <div
+                    className={`usage-bar-fill ${dataPercent >= 90 ? 'critical' : ''}`}
+                    style={{ width: `${dataPercent}%` }}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="stats-grid">
+              <StatBox title="Time Remaining" value={formatDuration(secondsRemaining)} />
+              <StatBox
+                title="Current Speed"
+                value={session ? `↓ ${formatBps(session.downloadBps)} ↑ ${formatBps(session.uploadBps)}` : 'Offline'}
+              />
+              <StatBox
+                title="Session Uptime"
+                value={session ? formatDuration(session.uptimeSeconds + elapsed) : '-'}
+              />
+              <StatBox
+                title="Expires"
+                value={status.time.expiresAt ? new Date(status.time.expiresAt).toLocaleString() : 'Never'}
+              />
+            </div>
+
+            <div className={`speed-notice ${slowed ? 'warning' : ''}`}>
+              {describeSpeed(status.speed)}
+            </div>
+            {status.sessionsError && <p className="stat-limit">{status.sessionsError}</p>}
+          </>
+        )}
+
+        <div className="dashboard-actions">
+          <button className="btn primary" onClick={() => onNavigate('buy')}>
+            Top Up
+          </button>
+          <button className="btn secondary" onClick={() => onNavigate('wallet')}>
+            Wallet
+          </button>
+          <button className="btn secondary" onClick={() => onNavigate('invoices')}>
+            Invoices
+          </button>
+          <button className="btn secondary" onClick={() => onNavigate('devices')}>
+            My Devices
+          </button>
+          <button className="btn secondary" onClick={handleLogout} disabled={loggingOut}>
+            {loggingOut ? 'Logging out...' : 'Logout'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DevicesPage = ({ pendingDevice, onPaired, onNavigate }) => {
+  const [devices, setDevices] = useState([]);
+  const [maxDevices, setMaxDevices] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchDevices = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/portal/devices`, {
+        headers: authHeaders(),
+      });
+      setDevices(response.data.devices);
+      setMaxDevices(response.data.maxDevices);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load devices');
+    }
+  };
+
+  React.useEffect(() => {
+    fetchDevices();
+  }, []);
+
+  const handleRename = async () => {
+    try {
+      await axios.put(
+        `${API_URL}/api/portal/devices/${editing.id}`,
+        { name: editing.name },
+        { headers: authHeaders() }
+      );
+      setEditing(null);
+      fetchDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to rename device');
+    }
+  };
+
+  const handleRemove = async (device) => {
+    if (!window.confirm(`Forget ${device.name}? It will have to log in again.`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/portal/devices/${device.id}`, {
+        headers: authHeaders(),
+      });
+      fetchDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove device');
+    }
+  };
+
+  const handleRepair = async (device) => {
+    try {
+      await axios.post(
+        `${API_URL}/api/portal/devices/${device.id}/repair`,
+        { mac: pendingDevice.macAddress, ip: getRouterParams().ip },
+        { headers: authHeaders() }
+      );
+      onPaired();
+      fetchDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to re-pair device');
+    }
+  };
+
+  return (
+    <div className="page devices-page">
+      <div className="dashboard-container">
+        <h2>My Devices</h2>
+        <p>
+          Remembered devices connect automatically.
+          {maxDevices && ` You can remember up to ${maxDevices}.`}
+        </p>
+        {error && <div className="error-message">{error}</div>}
+
+        {pendingDevice && (
+          <div className="error-message">
+            <p>
+              This device ({pendingDevice.macAddress}) is not remembered because you reached
+              your limit of {pendingDevice.maxDevices} devices. Replace one below to connect
+              automatically from this device.
+            </p>
+            {pendingDevice.randomized && (
+              <p>
+                This device uses a private Wi-Fi address, which can change. If you keep being
+                asked to log in, turn off "Private Wi-Fi address" for this network.
+              </p>
+            )}
           </div>
         )}
 
+        <div className="device-list">
+          {devices.map((device) => (
+            <div key={device.id} className="stat-box">
+              {editing && editing.id === device.id ? (
+                <div className="form-group">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  />
+                  <button className="btn primary" onClick={handleRename}>Save</button>
+                  <button className="btn secondary" onClick={() => setEditing(null)}>Cancel</button>
+                </div>
+              ) : (
+                <h3>{device.name}</h3>
+              )}
+              <p>{device.mac_address}{device.randomized && ' (private address)'}</p>
+              <p>Last seen: {device.last_seen ? new Date(device.last_seen).toLocaleString() : '-'}</p>
+              <div className="dashboard-actions">
+                {pendingDevice ? (
+                  <button className="btn primary" onClick={() => handleRepair(device)}>
+                    Replace with this device
+                  </button>
+                ) : (
+                  <button
+                    className="btn secondary"
+                    onClick={() => setEditing({ id: device.id, name: device.name })}
+                  >
+                    Rename
+                  </button>
+                )}
+                <button className="btn secondary" onClick={() => handleRemove(device)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="dashboard-actions">
+          <button className="btn secondary" onClick={() => onNavigate('dashboard')}>
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WalletPage = ({ onNavigate }) => {
+  const topupId = new URLSearchParams(window.location.search).get('topup');
+  const cancelled = new URLSearchParams(window.location.search).get('cancelled') === '1';
+  const [balances, setBalances] = useState([]);
+  const [statement, setStatement] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [topupStatus, setTopupStatus] = useState(topupId ? (cancelled ? 'cancelled' : 'pending') : null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchWallet = async () => {
+    try {
+      const [balanceResponse, statementResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/portal/wallet`, { headers: authHeaders() }),
+        axios.get(`${API_URL}/api/portal/wallet/statement`, { headers: authHeaders() }),
+      ]);
+      setBalances(balanceResponse.data);
+      setStatement(statementResponse.data.postings);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not load your wallet');
+    }
+  };
+
+  React.useEffect(() => {
+    fetchWallet();
+    if (!topupId || cancelled) return undefined;
+
+    // Wait for the payment webhook to credit the top-up, as for plan orders
+    let attempts = 0;
+    const timer = setInterval(async () => {
+      attempts += 1;
+      try {
+        const response = await axios.get(`${API_URL}/api/portal/wallet/topups/${topupId}`, { headers: authHeaders() });
+        setTopupStatus(response.data.status);
+        if (response.data.status !== 'pending') {
+          clearInterval(timer);
+          window.history.replaceState(null, '', window.location.pathname);
+          fetchWallet();
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not check the top-up');
+      }
+      if (attempts >= 60) {
+        clearInterval(timer);
+        setTopupStatus('timeout');
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const { siteId } = getRouterParams();
+      const response = await axios.post(
+        `${API_URL}/api/portal/wallet/topup`,
+        { amount: Number(amount), currency: balances[0] ? balances[0].currency : undefined, siteId },
+        { headers: authHeaders() }
+      );
+      // Hosted checkout; it sends the user back to /?topup=<id>
+      window.location.href = response.data.checkoutUrl;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not start the top-up');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="page wallet-page">
+      <div className="dashboard-container">
+        <h2>Wallet</h2>
+        {error && <div className="error-message">{error}</div>}
+        {topupStatus === 'pending' && <p>Confirming your top-up...</p>}
+        {topupStatus === 'credited' && <p>Your top-up has been added to your wallet.</p>}
+        {topupStatus === 'cancelled' && <p>The top-up was cancelled. You have not been charged.</p>}
+        {topupStatus === 'failed' && <p>The top-up payment could not be completed.</p>}
+        {topupStatus === 'timeout' && (
+          <p>We have not received the payment confirmation yet. If you were charged, it will be added shortly.</p>
+        )}
+
+        <div className="stats-grid">
+          {balances.map((balance) => (
+            <StatBox
+              key={balance.currency}
+              title={`Balance (${balance.currency})`}
+              value={balance.available.toFixed(2)}
+              limit={balance.held > 0 ? `${balance.held.toFixed(2)} on hold` : null}
+            />
+          ))}
+          {balances.length === 0 && <StatBox title="Balance" value="0.00" />}
+        </div>
+
+        <form onSubmit={handleTopUp} className="form-group">
+          <label>Top up amount</label>
+          <input
+            type="number"
+            min="1"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+          />
+          <button type="submit" className="btn primary" disabled={loading}>
+            {loading ? 'Redirecting...' : 'Top Up Wallet'}
+          </button>
+        </form>
+
+        <h3>Statement</h3>
+        <div className="device-list">
+          {statement.map((posting) => (
+            <div key={posting.id} className="device-card">
+              <p>
+                <strong>{posting.amount > 0 ? '+' : ''}{posting.amount.toFixed(2)}</strong>
+                {' '}{posting.description || posting.type}
+              </p>
+              <p>{new Date(posting.created_at).toLocaleString()} · Balance {posting.balance_after.toFixed(2)}</p>
+            </div>
+          ))}
+          {statement.length === 0 && <p>No wallet activity yet.</p>}
+        </div>
+
+        <div className="dashboard-actions">
+          <button className="btn primary" onClick={() => onNavigate('buy')}>
+            Buy a Plan
+          </button>
+          <button className="btn secondary" onClick={() => onNavigate('dashboard')}>
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const InvoicesPage = ({ onNavigate }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [error, setError] = useState('');
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  React.useEffect(() => {
+    axios.get(`${API_URL}/api/portal/invoices`, { headers: authHeaders() })
+      .then((response) => setInvoices(response.data))
+      .catch((err) => setError(err.response?.data?.error || 'Could not load your invoices'));
+  }, []);
+
+  const handleDownload = async (invoice) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/portal/invoices/${invoice.id}/pdf`, {
+        headers: authHeaders(),
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.number}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Could not download the invoice');
+    }
+  };
+
+  return (
+    <div className="page invoices-page">
+      <div className="dashboard-container">
+        <h2>Invoices</h2>
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="device-list">
+          {invoices.map((invoice) => (
+            <div key={invoice.id} className="device-card">
+              <p>
+                <strong>{invoice.number}</strong>
+                {invoice.document_type === 'credit_note' ? ' · Credit note' : ''}
+                {' '}· {Number(invoice.total).toFixed(2)} {invoice.currency}
+              </p>
+              <p>{new Date(invoice.issued_at).toLocaleDateString()} · {invoice.seller.name}</p>
+              <button className="btn secondary" onClick={() => handleDownload(invoice)}>
+                Download PDF
+              </button>
+            </div>
+          ))}
+          {invoices.length === 0 && !error && <p>No invoices yet.</p>}
+        </div>
+
         <div className="dashboard-actions">
-          <button className="btn secondary" onClick={() => {
-            localStorage.removeItem('token');
-            onNavigate('welcome');
-          }}>
-            Logout
+          <button className="btn secondary" onClick={() => onNavigate('dashboard')}>
+            Back
           </button>
         </div>
       </div>